@@ -109,14 +109,13 @@ class ConvexAuth: ObservableObject {
     }
 
     func changePassword(currentPassword: String, newPassword: String) async throws {
-        guard let email = currentUser?.email else {
+        guard currentUser != nil else {
             throw ConvexError.notAuthenticated
         }
 
         let _: ChangePasswordResponse = try await client.action(
             ConvexConfig.Functions.changePassword,
             args: [
-                "email": email,
                 "currentPassword": currentPassword,
                 "newPassword": newPassword
             ]
@@ -127,8 +126,6 @@ class ConvexAuth: ObservableObject {
 
     // MARK: - Apple Sign In
     func signInWithApple(credential: ASAuthorizationAppleIDCredential, nonce: String) async throws {
-        _ = nonce // Nonce is used for the Apple request itself; backend does not require it
-
         guard let identityToken = credential.identityToken,
               let tokenString = String(data: identityToken, encoding: .utf8) else {
             throw ConvexError.notAuthenticated
@@ -147,7 +144,8 @@ class ConvexAuth: ObservableObject {
             args: [
                 "identityToken": tokenString,
                 "name": name ?? "",
-                "email": credential.email ?? ""
+                "email": credential.email ?? "",
+                "nonce": nonce
             ]
         )
 
@@ -260,7 +258,7 @@ struct AuthResponse: Decodable {
 }
 
 struct SignUpResponse: Decodable {
-    let token: String
+    let token: String?
     let user: ConvexUser
     let verificationSent: Bool?
 }
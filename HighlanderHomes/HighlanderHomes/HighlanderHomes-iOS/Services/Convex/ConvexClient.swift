@@ -57,7 +57,7 @@ class ConvexClient: ObservableObject {
 
         let body: [String: Any] = [
             "path": functionName,
-            "args": args,
+            "args": sessionArgs(for: functionName, args: args),
             "format": "json"
         ]
 
@@ -98,7 +98,7 @@ class ConvexClient: ObservableObject {
 
         let body: [String: Any] = [
             "path": functionName,
-            "args": args,
+            "args": sessionArgs(for: functionName, args: args),
             "format": "json"
         ]
 
@@ -147,7 +147,7 @@ class ConvexClient: ObservableObject {
 
         let body: [String: Any] = [
             "path": functionName,
-            "args": args,
+            "args": sessionArgs(for: functionName, args: args),
             "format": "json"
         ]
 
@@ -222,6 +222,28 @@ class ConvexClient: ObservableObject {
         token.split(separator: ".").count == 3
     }
 
+    /// Functions that run before a session exists and reject a session token.
+    private static let anonymousFunctions: Set<String> = [
+        "auth:signUp",
+        "auth:signIn",
+        "auth:signInWithApple",
+        "auth:sendVerificationEmail",
+        "auth:verifyEmail",
+        "auth:resetPassword",
+        "auth:completePasswordReset"
+    ]
+
+    /// The backend derives the caller from the session token, so it replaces
+    /// any client-supplied userId.
+    private func sessionArgs(for functionName: String, args: [String: Any]) -> [String: Any] {
+        guard let token = authToken,
+              !Self.anonymousFunctions.contains(functionName) else { return args }
+        var scoped = args
+        scoped.removeValue(forKey: "userId")
+        scoped["sessionToken"] = token
+        return scoped
+    }
+
     private func receiveMessage() {
         webSocketTask?.receive { [weak self] result in
             switch result {
@@ -396,10 +418,21 @@ private extension ConvexClient {
             return nil
         }
 
+        // Structured server errors (session, permission and rate-limit
+        // failures) carry a user-facing message in errorData.
+        if let errorData = json["errorData"] as? [String: Any],
+           let message = errorData["message"] as? String, !message.isEmpty {
+            return message
+        }
+
         if let message = json["message"] as? String, !message.isEmpty {
             return message
         }
 
+        if let message = json["errorMessage"] as? String, !message.isEmpty {
+            return message.replacingOccurrences(of: "Uncaught Error: ", with: "")
+        }
+
         if let errorString = json["error"] as? String, !errorString.isEmpty {
             return errorString
         }
@@ -8,24 +8,58 @@
  * @module
  */
 
+import type * as appleAuth from "../appleAuth.js";
+import type * as applicationLetters from "../applicationLetters.js";
 import type * as auth from "../auth.js";
 import type * as authInternal from "../authInternal.js";
+import type * as authorization from "../authorization.js";
+import type * as contractorInvoices from "../contractorInvoices.js";
 import type * as contractors from "../contractors.js";
+import type * as crons from "../crons.js";
+import type * as depositStatements from "../depositStatements.js";
 import type * as documents from "../documents.js";
+import type * as email from "../email.js";
 import type * as expenses from "../expenses.js";
 import type * as feedEvents from "../feedEvents.js";
+import type * as http from "../http.js";
 import type * as insurancePolicies from "../insurancePolicies.js";
+import type * as invitations from "../invitations.js";
+import type * as lateFees from "../lateFees.js";
+import type * as leaseRenewals from "../leaseRenewals.js";
+import type * as leases from "../leases.js";
 import type * as limits from "../limits.js";
+import type * as listingFeed from "../listingFeed.js";
+import type * as listings from "../listings.js";
+import type * as maintenanceEmails from "../maintenanceEmails.js";
+import type * as maintenanceMedia from "../maintenanceMedia.js";
+import type * as maintenanceMessages from "../maintenanceMessages.js";
 import type * as maintenanceRequests from "../maintenanceRequests.js";
+import type * as maintenanceSla from "../maintenanceSla.js";
+import type * as maintenanceUploads from "../maintenanceUploads.js";
 import type * as marketTrends from "../marketTrends.js";
 import type * as marketTrendsLive from "../marketTrendsLive.js";
 import type * as migrations from "../migrations.js";
+import type * as organizations from "../organizations.js";
+import type * as passwords from "../passwords.js";
+import type * as payments from "../payments.js";
+import type * as preventiveMaintenance from "../preventiveMaintenance.js";
 import type * as properties from "../properties.js";
+import type * as rateLimits from "../rateLimits.js";
+import type * as renewalNotices from "../renewalNotices.js";
+import type * as rentLedger from "../rentLedger.js";
 import type * as rentPayments from "../rentPayments.js";
+import type * as rentalApplications from "../rentalApplications.js";
 import type * as rentalLicenses from "../rentalLicenses.js";
 import type * as screenshots from "../screenshots.js";
+import type * as securityDeposits from "../securityDeposits.js";
+import type * as sessions from "../sessions.js";
+import type * as tenantPortal from "../tenantPortal.js";
 import type * as tenants from "../tenants.js";
+import type * as turnovers from "../turnovers.js";
+import type * as units from "../units.js";
 import type * as users from "../users.js";
+import type * as workOrderEmails from "../workOrderEmails.js";
+import type * as workOrders from "../workOrders.js";
 
 import type {
   ApiFromModules,
@@ -34,24 +68,58 @@ import type {
 } from "convex/server";
 
 declare const fullApi: ApiFromModules<{
+  appleAuth: typeof appleAuth;
+  applicationLetters: typeof applicationLetters;
   auth: typeof auth;
   authInternal: typeof authInternal;
+  authorization: typeof authorization;
+  contractorInvoices: typeof contractorInvoices;
   contractors: typeof contractors;
+  crons: typeof crons;
+  depositStatements: typeof depositStatements;
   documents: typeof documents;
+  email: typeof email;
   expenses: typeof expenses;
   feedEvents: typeof feedEvents;
+  http: typeof http;
   insurancePolicies: typeof insurancePolicies;
+  invitations: typeof invitations;
+  lateFees: typeof lateFees;
+  leaseRenewals: typeof leaseRenewals;
+  leases: typeof leases;
   limits: typeof limits;
+  listingFeed: typeof listingFeed;
+  listings: typeof listings;
+  maintenanceEmails: typeof maintenanceEmails;
+  maintenanceMedia: typeof maintenanceMedia;
+  maintenanceMessages: typeof maintenanceMessages;
   maintenanceRequests: typeof maintenanceRequests;
+  maintenanceSla: typeof maintenanceSla;
+  maintenanceUploads: typeof maintenanceUploads;
   marketTrends: typeof marketTrends;
   marketTrendsLive: typeof marketTrendsLive;
   migrations: typeof migrations;
+  organizations: typeof organizations;
+  passwords: typeof passwords;
+  payments: typeof payments;
+  preventiveMaintenance: typeof preventiveMaintenance;
   properties: typeof properties;
+  rateLimits: typeof rateLimits;
+  renewalNotices: typeof renewalNotices;
+  rentLedger: typeof rentLedger;
   rentPayments: typeof rentPayments;
+  rentalApplications: typeof rentalApplications;
   rentalLicenses: typeof rentalLicenses;
   screenshots: typeof screenshots;
+  securityDeposits: typeof securityDeposits;
+  sessions: typeof sessions;
+  tenantPortal: typeof tenantPortal;
   tenants: typeof tenants;
+  turnovers: typeof turnovers;
+  units: typeof units;
   users: typeof users;
+  workOrderEmails: typeof workOrderEmails;
+  workOrders: typeof workOrders;
 }>;
 
 /**
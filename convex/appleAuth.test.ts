@@ -0,0 +1,106 @@
+import { createHash, generateKeyPairSync, sign } from "crypto";
+import { describe, expect, it } from "vitest";
+import { APPLE_ISSUER, AppleJwks, verifyAppleIdentityToken } from "./appleAuth";
+
+const CLIENT_ID = "com.example.app";
+const NOW = Date.UTC(2026, 0, 1);
+const NOW_SECONDS = NOW / 1000;
+
+function makeKey(kid: string) {
+  const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" } };
+}
+
+const appleKey = makeKey("apple-1");
+const otherKey = makeKey("apple-1");
+
+function encode(value: object) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function makeToken(
+  claims: Record<string, unknown> = {},
+  { key = appleKey, kid = appleKey.kid }: { key?: typeof appleKey; kid?: string } = {}
+) {
+  const header = encode({ alg: "RS256", kid });
+  const payload = encode({
+    iss: APPLE_ISSUER,
+    aud: CLIENT_ID,
+    exp: NOW_SECONDS + 600,
+    iat: NOW_SECONDS,
+    sub: "001234.abcd",
+    email: "person@example.com",
+    email_verified: "true",
+    nonce: createHash("sha256").update("raw-nonce").digest("hex"),
+    ...claims,
+  });
+  const signature = sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), key.privateKey);
+  return `${header}.${payload}.${signature.toString("base64url")}`;
+}
+
+function verify(token: string, options: { nonce?: string; jwks?: AppleJwks } = {}) {
+  const jwks = options.jwks ?? { keys: [appleKey.jwk] };
+  return verifyAppleIdentityToken(token, {
+    audience: [CLIENT_ID],
+    nonce: options.nonce,
+    fetchJwks: async () => jwks,
+    now: NOW,
+  });
+}
+
+describe("verifyAppleIdentityToken", () => {
+  it("accepts a token signed by Apple for this app", async () => {
+    await expect(verify(makeToken(), { nonce: "raw-nonce" })).resolves.toEqual({
+      sub: "001234.abcd",
+      email: "person@example.com",
+      emailVerified: true,
+    });
+  });
+
+  it("rejects a token signed with a different key", async () => {
+    await expect(verify(makeToken({}, { key: otherKey }))).rejects.toThrow("invalid token signature");
+  });
+
+  it("rejects a token from another issuer", async () => {
+    await expect(verify(makeToken({ iss: "https://example.com" }))).rejects.toThrow(
+      "unexpected token issuer"
+    );
+  });
+
+  it("rejects a token for another app", async () => {
+    await expect(verify(makeToken({ aud: "com.example.other" }))).rejects.toThrow(
+      "token was issued for a different app"
+    );
+  });
+
+  it("rejects an expired token", async () => {
+    await expect(verify(makeToken({ exp: NOW_SECONDS - 120 }))).rejects.toThrow(
+      "identity token has expired"
+    );
+  });
+
+  it("rejects a token whose nonce doesn't match", async () => {
+    await expect(verify(makeToken(), { nonce: "another-nonce" })).rejects.toThrow(
+      "token nonce doesn't match this sign-in"
+    );
+  });
+
+  it("refetches the keys once when the token's key isn't cached", async () => {
+    const rotated = makeKey("apple-2");
+    const calls: (boolean | undefined)[] = [];
+    const claims = await verifyAppleIdentityToken(makeToken({}, { key: rotated, kid: rotated.kid }), {
+      audience: [CLIENT_ID],
+      fetchJwks: async (options) => {
+        calls.push(options?.refresh);
+        return { keys: options?.refresh ? [appleKey.jwk, rotated.jwk] : [appleKey.jwk] };
+      },
+      now: NOW,
+    });
+    expect(claims.sub).toBe("001234.abcd");
+    expect(calls).toEqual([undefined, true]);
+  });
+
+  it("rejects a token signed with a key Apple doesn't publish", async () => {
+    await expect(verify(makeToken({}, { kid: "unknown" }))).rejects.toThrow("unknown signing key");
+  });
+});
@@ -0,0 +1,155 @@
+/// <reference types="node" />
+"use node";
+
+import { createHash, createPublicKey, JsonWebKey, verify } from "crypto";
+
+export const APPLE_ISSUER = "https://appleid.apple.com";
+const APPLE_JWKS_URL = "https://appleid.apple.com/auth/keys";
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// A token signed with a key we don't have refetches the keys (Apple rotates
+// them), but at most this often, so made-up key IDs can't hammer Apple.
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// The iOS bundle ID; override with APPLE_CLIENT_IDS (comma-separated) to
+// also accept a web Services ID.
+const DEFAULT_APPLE_CLIENT_IDS = ["paukuntong.HighlanderHomes"];
+
+export type AppleJwk = JsonWebKey & { kid?: string; alg?: string };
+export type AppleJwks = { keys: AppleJwk[] };
+export type JwksFetcher = (options?: { refresh?: boolean }) => Promise<AppleJwks>;
+
+export type AppleIdentityClaims = {
+  sub: string;
+  email?: string;
+  emailVerified: boolean;
+};
+
+let cachedJwks: { jwks: AppleJwks; fetchedAt: number } | null = null;
+
+/**
+ * Fetch Apple's public signing keys, cached for an hour. `refresh` skips
+ * the cache unless it was filled within the last minute.
+ */
+export async function fetchAppleJwks(options: { refresh?: boolean } = {}): Promise<AppleJwks> {
+  const maxAgeMs = options.refresh ? JWKS_MIN_REFRESH_MS : JWKS_CACHE_TTL_MS;
+  if (cachedJwks && Date.now() - cachedJwks.fetchedAt < maxAgeMs) {
+    return cachedJwks.jwks;
+  }
+
+  const res = await fetch(APPLE_JWKS_URL);
+  if (!res.ok) {
+    throw new Error(`Failed to fetch Apple signing keys (${res.status})`);
+  }
+  const jwks = (await res.json()) as AppleJwks;
+  cachedJwks = { jwks, fetchedAt: Date.now() };
+  return jwks;
+}
+
+export function appleClientIds() {
+  const configured = process.env.APPLE_CLIENT_IDS;
+  if (!configured) {
+    return DEFAULT_APPLE_CLIENT_IDS;
+  }
+  return configured
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+function decodeSegment(segment: string) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function invalidToken(reason: string) {
+  return new Error(`Apple sign-in failed: ${reason}.`);
+}
+
+function sha256Hex(value: string) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Verify an Apple identity token (RS256 JWT): signature against Apple's
+ * JWKS, then `iss`, `aud` and `exp`, and `nonce` when the raw nonce the
+ * app hashed into its request is given. `fetchJwks` and `now` can be
+ * swapped out to verify against a local key set.
+ */
+export async function verifyAppleIdentityToken(
+  identityToken: string,
+  options: {
+    audience?: string[];
+    nonce?: string;
+    fetchJwks?: JwksFetcher;
+    now?: number;
+  } = {}
+): Promise<AppleIdentityClaims> {
+  const audience = options.audience ?? appleClientIds();
+  const fetchJwks = options.fetchJwks ?? fetchAppleJwks;
+  const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+
+  const segments = identityToken.split(".");
+  if (segments.length !== 3) {
+    throw invalidToken("malformed identity token");
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+
+  let header: { alg?: string; kid?: string };
+  let payload: Record<string, unknown>;
+  try {
+    header = decodeSegment(headerSegment);
+    payload = decodeSegment(payloadSegment);
+  } catch {
+    throw invalidToken("malformed identity token");
+  }
+
+  if (header.alg !== "RS256" || !header.kid) {
+    throw invalidToken("unsupported token algorithm");
+  }
+
+  let jwk = (await fetchJwks()).keys.find((key) => key.kid === header.kid);
+  if (!jwk) {
+    jwk = (await fetchJwks({ refresh: true })).keys.find((key) => key.kid === header.kid);
+  }
+  if (!jwk) {
+    throw invalidToken("unknown signing key");
+  }
+
+  const validSignature = verify(
+    "RSA-SHA256",
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    createPublicKey({ key: jwk, format: "jwk" }),
+    Buffer.from(signatureSegment, "base64url")
+  );
+  if (!validSignature) {
+    throw invalidToken("invalid token signature");
+  }
+
+  if (payload.iss !== APPLE_ISSUER) {
+    throw invalidToken("unexpected token issuer");
+  }
+
+  const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!tokenAudiences.some((aud) => typeof aud === "string" && audience.includes(aud))) {
+    throw invalidToken("token was issued for a different app");
+  }
+
+  if (typeof payload.exp !== "number" || payload.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw invalidToken("identity token has expired");
+  }
+
+  if (options.nonce !== undefined && payload.nonce !== sha256Hex(options.nonce)) {
+    throw invalidToken("token nonce doesn't match this sign-in");
+  }
+
+  if (typeof payload.sub !== "string" || !payload.sub) {
+    throw invalidToken("identity token has no subject");
+  }
+
+  return {
+    sub: payload.sub,
+    email: typeof payload.email === "string" ? payload.email : undefined,
+    // Apple sends this as a boolean or the string "true".
+    emailVerified: payload.email_verified === true || payload.email_verified === "true",
+  };
+}
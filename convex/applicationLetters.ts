@@ -0,0 +1,81 @@
+/// <reference types="node" />
+"use node";
+
+import { v } from "convex/values";
+import { action } from "./_generated/server";
+import { internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { deliverEmail } from "./email";
+import { escapeHtml, renderLetter } from "./renewalNotices";
+
+function letterEmail(letter: string, subject: string) {
+  return {
+    subject,
+    html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
+      ${letter
+        .split("\n\n")
+        .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`)
+        .join("\n      ")}
+    </div>
+  `,
+    text: letter,
+  };
+}
+
+/**
+ * Deny an application: render the adverse action notice from the
+ * portfolio's template, file it with the documents and email it to every
+ * applicant on the application
+ */
+export const deny = action({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("rentalApplications"),
+    reasons: v.array(v.string()),
+    note: v.optional(v.string()),
+  },
+  handler: async (
+    ctx,
+    args
+  ): Promise<{ documentId: Id<"documents">; downloadURL: string | null; emailsSent: number }> => {
+    const notice: {
+      ownerId: Id<"users">;
+      emails: string[];
+      applicantNames: string;
+      landlordName: string;
+      letter: string;
+      reasons: string[];
+    } = await ctx.runQuery(internal.rentalApplications.denialData, {
+      sessionToken: args.sessionToken,
+      id: args.id,
+      reasons: args.reasons,
+    });
+
+    const title = "Rental application decision";
+    const bytes = await renderLetter(title, notice.letter, Date.now());
+    const storageId = await ctx.storage.store(new Blob([bytes], { type: "application/pdf" }));
+    const filed: { documentId: Id<"documents">; downloadURL: string | null } =
+      await ctx.runMutation(internal.rentalApplications.markDenied, {
+        id: args.id,
+        ownerId: notice.ownerId,
+        reasons: notice.reasons,
+        note: args.note,
+        storageId,
+        title: `Adverse action notice - ${notice.applicantNames}`,
+        fileSizeBytes: bytes.byteLength,
+      });
+
+    let emailsSent = 0;
+    const message = letterEmail(notice.letter, `Your rental application with ${notice.landlordName}`);
+    for (const email of notice.emails) {
+      try {
+        await deliverEmail(email, message);
+        emailsSent += 1;
+      } catch (error) {
+        console.warn("Adverse action email failed:", error);
+      }
+    }
+    return { ...filed, emailsSent };
+  },
+});
@@ -2,14 +2,15 @@
 "use node";
 
 import { v } from "convex/values";
-import { action } from "./_generated/server";
+import { action, ActionCtx, internalAction } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { Doc, Id } from "./_generated/dataModel";
 import { createHash, randomBytes } from "crypto";
-import nodemailer from "nodemailer";
-
-function hashPassword(password: string, salt: string) {
-  return createHash("sha256").update(password + salt).digest("hex");
-}
+import { generateSessionToken, hashSessionToken, SESSION_TTL_MS } from "./sessions";
+import { hashPassword, needsRehash, verifyPassword } from "./passwords";
+import { rateLimited, RateLimitedAction } from "./rateLimits";
+import { verifyAppleIdentityToken } from "./appleAuth";
+import { appUrl, deliverEmail, smtpConfigured } from "./email";
 
 function validatePassword(password: string) {
   const hasLetter = /[A-Za-z]/.test(password);
@@ -25,112 +26,105 @@ function validateEmail(email: string) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+// Shape returned by authInternal.getUser. Results of runQuery/runMutation
+// are annotated in this file so their types don't turn circular through
+// the generated api.
+type AuthUser = {
+  _id: Id<"users">;
+  name: string;
+  email: string;
+  avatarURL?: string;
+  isPremium: boolean;
+  emailVerified?: boolean;
+  createdAt: number;
+  lastLoginAt?: number;
+};
+
+type AuthResult = { token: string; user: AuthUser };
+
 const VERIFICATION_CODE_TTL_MS = 15 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
 
-function generateVerificationCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+function hashResetToken(token: string) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a server-side session and return the token the client should send
+ * with every call. Only the token hash is persisted.
+ */
+export async function issueSession(ctx: ActionCtx, userId: Id<"users">): Promise<string> {
+  const token = generateSessionToken();
+  // Tenants with no portfolio of their own start in the tenant portal.
+  const activeTenantId: Id<"tenants"> | null = await ctx.runQuery(
+    internal.tenantPortal.defaultTenancy,
+    { userId }
+  );
+  await ctx.runMutation(internal.sessions.create, {
+    userId,
+    tokenHash: await hashSessionToken(token),
+    expiresAt: Date.now() + SESSION_TTL_MS,
+    activeTenantId: activeTenantId ?? undefined,
+  });
+  return token;
 }
 
-async function sendVerificationEmailViaResend(email: string, code: string) {
-  const apiKey = process.env.RESEND_API_KEY;
-  if (!apiKey) {
-    throw new Error("Missing RESEND_API_KEY");
+/**
+ * Count an attempt up front, in one mutation with the limit check, so
+ * parallel guesses can't all pass before a failure is recorded. A
+ * successful attempt clears the count.
+ */
+async function reserveAttempt(ctx: ActionCtx, email: string, action: RateLimitedAction) {
+  const retryAfterMs: number = await ctx.runMutation(internal.rateLimits.reserveAttempt, {
+    email,
+    action,
+  });
+  if (retryAfterMs > 0) {
+    throw rateLimited(retryAfterMs);
   }
+}
 
-  const from =
-    process.env.RESEND_FROM_EMAIL || "Highlander Homes <onboarding@resend.dev>";
+function generateVerificationCode() {
+  return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+async function deliverVerificationEmail(email: string, code: string) {
   const subject =
-    process.env.RESEND_VERIFICATION_SUBJECT || "Verify your email";
+    (smtpConfigured()
+      ? process.env.SMTP_VERIFICATION_SUBJECT
+      : process.env.RESEND_VERIFICATION_SUBJECT) || "Verify your email";
 
-  const html = `
+  await deliverEmail(email, {
+    subject,
+    html: `
     <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
       <h2>Verify your email</h2>
       <p>Your verification code is:</p>
       <div style="font-size: 24px; font-weight: 700; letter-spacing: 2px;">${code}</div>
       <p>This code expires in 15 minutes.</p>
     </div>
-  `;
-
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from,
-      to: email,
-      subject,
-      html,
-    }),
+  `,
+    text: `Your verification code is: ${code}\nThis code expires in 15 minutes.`,
   });
-
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Resend error: ${body}`);
-  }
 }
 
-async function sendVerificationEmailViaSMTP(email: string, code: string) {
-  const host = process.env.SMTP_HOST;
-  const port = Number(process.env.SMTP_PORT || "587");
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-  const from = process.env.SMTP_FROM || user;
-  const secureEnv = process.env.SMTP_SECURE;
-  const secure = secureEnv ? secureEnv === "true" : port === 465;
-
-  if (!host || !user || !pass || !from) {
-    throw new Error("Missing SMTP configuration");
-  }
+async function deliverPasswordResetEmail(email: string, token: string) {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
 
-  const subject = process.env.SMTP_VERIFICATION_SUBJECT || "Verify your email";
-  const html = `
+  await deliverEmail(email, {
+    subject: "Reset your Highlander Homes password",
+    html: `
     <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
-      <h2>Verify your email</h2>
-      <p>Your verification code is:</p>
-      <div style="font-size: 24px; font-weight: 700; letter-spacing: 2px;">${code}</div>
-      <p>This code expires in 15 minutes.</p>
+      <h2>Reset your password</h2>
+      <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+      <p><a href="${link}">Reset password</a></p>
+      <p>This link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.</p>
     </div>
-  `;
-  const text = `Your verification code is: ${code}\nThis code expires in 15 minutes.`;
-
-  const transporter = nodemailer.createTransport({
-    host,
-    port,
-    secure,
-    auth: { user, pass },
-  });
-
-  await transporter.sendMail({
-    from,
-    to: email,
-    subject,
-    text,
-    html,
+  `,
+    text: `Reset your password: ${link}\nThis link expires in 1 hour and can only be used once.`,
   });
 }
 
-async function deliverVerificationEmail(email: string, code: string) {
-  const smtpConfigured = !!(
-    process.env.SMTP_HOST &&
-    process.env.SMTP_USER &&
-    process.env.SMTP_PASS
-  );
-
-  if (smtpConfigured) {
-    await sendVerificationEmailViaSMTP(email, code);
-    return;
-  }
-
-  if (process.env.RESEND_API_KEY) {
-    await sendVerificationEmailViaResend(email, code);
-    return;
-  }
-
-  throw new Error("Email delivery not configured");
-}
-
 /**
  * Sign up with email and password
  */
@@ -150,7 +144,7 @@ export const signUp = action({
     // This is a simplified version for demonstration
     
     // Check if user already exists
-    const existingUser = await ctx.runQuery(internal.authInternal.findUserByEmail, {
+    const existingUser: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, {
       email,
     });
 
@@ -162,14 +156,13 @@ export const signUp = action({
       throw new Error("Password must be at least 8 characters and include letters and numbers.");
     }
 
-    const salt = randomBytes(16).toString("hex");
-    const passwordHash = hashPassword(args.password, salt);
+    const { passwordHash, passwordSalt } = await hashPassword(args.password);
 
-    const userId = await ctx.runMutation(internal.authInternal.createUser, {
+    const userId: Id<"users"> = await ctx.runMutation(internal.authInternal.createUser, {
       email,
       name: args.name,
       passwordHash,
-      passwordSalt: salt,
+      passwordSalt,
       emailVerified: false,
     });
 
@@ -189,14 +182,10 @@ export const signUp = action({
       console.warn("Verification email failed:", error);
     }
 
-    // Generate a simple token (in production, use proper JWT)
-    const token = `token_${userId}_${Date.now()}`;
-
-    // Get user data
-    const user = await ctx.runQuery(internal.authInternal.getUser, { userId });
+    // Get user data. No session is issued until the email is verified.
+    const user: AuthUser = await ctx.runQuery(internal.authInternal.getUser, { userId });
 
     return {
-      token,
       user,
       verificationSent,
     };
@@ -211,14 +200,16 @@ export const signIn = action({
     email: v.string(),
     password: v.string(),
   },
-  handler: async (ctx, args) => {
+  handler: async (ctx, args): Promise<AuthResult> => {
     const email = normalizeEmail(args.email);
     if (!validateEmail(email)) {
       throw new Error("Invalid email or password");
     }
 
+    await reserveAttempt(ctx, email, "signIn");
+
     // Find user by email
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, {
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, {
       email,
     });
 
@@ -234,18 +225,27 @@ export const signIn = action({
       throw new Error("Please verify your email before signing in.");
     }
 
-    const incomingHash = hashPassword(args.password, user.passwordSalt);
-    if (incomingHash !== user.passwordHash) {
+    const valid = await verifyPassword(args.password, user.passwordHash, user.passwordSalt);
+    if (!valid) {
       throw new Error("Invalid email or password");
     }
 
+    await ctx.runMutation(internal.rateLimits.clearFailures, { email, action: "signIn" });
+
+    // Upgrade legacy or outdated hashes now that we have the plaintext.
+    if (needsRehash(user.passwordHash)) {
+      await ctx.runMutation(internal.authInternal.setPassword, {
+        userId: user._id,
+        ...(await hashPassword(args.password)),
+      });
+    }
+
     // Update last login
     await ctx.runMutation(internal.authInternal.updateLastLogin, {
       userId: user._id,
     });
 
-    // Generate token
-    const token = `token_${user._id}_${Date.now()}`;
+    const token = await issueSession(ctx, user._id);
 
     return {
       token,
@@ -270,34 +270,69 @@ export const signInWithApple = action({
   args: {
     identityToken: v.string(),
     name: v.string(),
-    email: v.string(),
+    // Still sent by older app builds; the email now comes from the verified token.
+    email: v.optional(v.string()),
+    // The raw nonce whose SHA-256 the app put in its Apple request. Older
+    // app builds don't send it.
+    nonce: v.optional(v.string()),
   },
-  handler: async (ctx, args) => {
-    const email = normalizeEmail(args.email);
-
-    // In production, verify Apple identity token here
-    // For now, we'll create or find user by email
+  handler: async (ctx, args): Promise<AuthResult> => {
+    const claims = await verifyAppleIdentityToken(args.identityToken, { nonce: args.nonce });
 
-    let user = email
-      ? await ctx.runQuery(internal.authInternal.findUserByEmail, { email })
-      : null;
+    // Accounts are keyed by Apple's stable `sub`; the email can change or be
+    // a private relay address.
+    let user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByAppleSub, {
+      appleSub: claims.sub,
+    });
 
     if (!user) {
-      // Create new user
-      const userId = await ctx.runMutation(internal.authInternal.createUser, {
+      const email = claims.email ? normalizeEmail(claims.email) : "";
+      if (!email) {
+        throw new Error("Apple did not share an email address for this account.");
+      }
+
+      // Link an existing account only when Apple vouches for the email, and
+      // never make a second account with the same email.
+      const existing: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, {
         email,
-        name: args.name || "Apple User",
-        emailVerified: true,
-      });
-      user = await ctx.runQuery(internal.authInternal.getUser, { userId });
-    } else {
-      // Update last login
-      await ctx.runMutation(internal.authInternal.updateLastLogin, {
-        userId: user._id,
       });
+      if (existing && !claims.emailVerified) {
+        throw new Error(
+          "An account with this email already exists, and Apple hasn't verified the email. Sign in with your password instead."
+        );
+      }
+
+      if (existing) {
+        if (existing.appleSub && existing.appleSub !== claims.sub) {
+          throw new Error("This email is already linked to a different Apple ID.");
+        }
+        await ctx.runMutation(internal.authInternal.linkAppleSub, {
+          userId: existing._id,
+          appleSub: claims.sub,
+        });
+        user = existing;
+      } else {
+        await ctx.runMutation(internal.authInternal.createUser, {
+          email,
+          name: args.name || "Apple User",
+          emailVerified: claims.emailVerified,
+          appleSub: claims.sub,
+        });
+        user = await ctx.runQuery(internal.authInternal.findUserByAppleSub, {
+          appleSub: claims.sub,
+        });
+      }
     }
 
-    const token = `token_${user._id}_${Date.now()}`;
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    await ctx.runMutation(internal.authInternal.updateLastLogin, {
+      userId: user._id,
+    });
+
+    const token = await issueSession(ctx, user._id);
 
     return {
       token,
@@ -328,7 +363,9 @@ export const sendVerificationEmail = action({
       throw new Error("Please enter a valid email address.");
     }
 
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
+    await reserveAttempt(ctx, email, "sendVerificationEmail");
+
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
     if (!user) {
       throw new Error("User not found");
     }
@@ -361,15 +398,17 @@ export const verifyEmail = action({
       throw new Error("Please enter a valid email address.");
     }
 
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
+    await reserveAttempt(ctx, email, "verifyEmail");
+
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
     if (!user) {
       throw new Error("User not found");
     }
 
+    // Verification codes only sign in unverified accounts; verified accounts
+    // must use their password.
     if (user.emailVerified) {
-      const verifiedUser = await ctx.runQuery(internal.authInternal.getUser, { userId: user._id });
-      const token = `token_${user._id}_${Date.now()}`;
-      return { token, user: verifiedUser };
+      throw new Error("This email is already verified. Please sign in.");
     }
 
     if (!user.emailVerificationCode || !user.emailVerificationExpiresAt) {
@@ -387,39 +426,50 @@ export const verifyEmail = action({
     await ctx.runMutation(internal.authInternal.markEmailVerified, {
       userId: user._id,
     });
+    await ctx.runMutation(internal.rateLimits.clearFailures, { email, action: "verifyEmail" });
+    await ctx.runMutation(internal.rateLimits.clearFailures, {
+      email,
+      action: "sendVerificationEmail",
+    });
 
-    const verifiedUser = await ctx.runQuery(internal.authInternal.getUser, { userId: user._id });
-    const token = `token_${user._id}_${Date.now()}`;
+    const verifiedUser: AuthUser = await ctx.runQuery(internal.authInternal.getUser, { userId: user._id });
+    const token = await issueSession(ctx, user._id);
     return { token, user: verifiedUser };
   },
 });
 
 /**
- * Change password for an email/password account
+ * Change password for the signed-in email/password account. Every other
+ * session is signed out.
  */
 export const changePassword = action({
   args: {
-    email: v.string(),
+    sessionToken: v.string(),
     currentPassword: v.string(),
     newPassword: v.string(),
   },
   handler: async (ctx, args) => {
-    const email = normalizeEmail(args.email);
-    if (!validateEmail(email)) {
-      throw new Error("Please enter a valid email address.");
-    }
-
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
+    const sessionUser: { _id: Id<"users">; email: string } = await ctx.runQuery(
+      internal.sessions.getSessionUser,
+      { sessionToken: args.sessionToken }
+    );
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, {
+      email: sessionUser.email,
+    });
     if (!user) {
-      throw new Error("Invalid email or password");
+      throw new Error("User not found");
     }
 
     if (!user.passwordHash || !user.passwordSalt) {
       throw new Error("Password sign-in not enabled for this account.");
     }
 
-    const incomingHash = hashPassword(args.currentPassword, user.passwordSalt);
-    if (incomingHash !== user.passwordHash) {
+    const valid = await verifyPassword(
+      args.currentPassword,
+      user.passwordHash,
+      user.passwordSalt
+    );
+    if (!valid) {
       throw new Error("Current password is incorrect.");
     }
 
@@ -427,13 +477,11 @@ export const changePassword = action({
       throw new Error("Password must be at least 8 characters and include letters and numbers.");
     }
 
-    const salt = randomBytes(16).toString("hex");
-    const passwordHash = hashPassword(args.newPassword, salt);
-
     await ctx.runMutation(internal.authInternal.setPassword, {
       userId: user._id,
-      passwordHash,
-      passwordSalt: salt,
+      ...(await hashPassword(args.newPassword)),
+      revokeSessions: true,
+      keepSessionTokenHash: await hashSessionToken(args.sessionToken),
     });
 
     return { success: true };
@@ -441,19 +489,34 @@ export const changePassword = action({
 });
 
 /**
- * Force-verify an email (admin use)
+ * Sign out: revoke the current session token
  */
-export const forceVerifyEmail = action({
+export const signOut = action({
   args: {
-    email: v.string(),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    await ctx.runMutation(internal.sessions.revoke, {
+      sessionToken: args.sessionToken,
+    });
+    return { success: true };
+  },
+});
+
+/**
+ * Force-verify an email (admin use, run from the Convex dashboard or CLI)
+ */
+export const forceVerifyEmail = internalAction({
+  args: {
+    email: v.string(),
+  },
+  handler: async (ctx, args): Promise<AuthUser> => {
     const email = normalizeEmail(args.email);
     if (!validateEmail(email)) {
       throw new Error("Please enter a valid email address.");
     }
 
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
     if (!user) {
       throw new Error("User not found");
     }
@@ -467,14 +530,14 @@ export const forceVerifyEmail = action({
 });
 
 /**
- * Force set password for an email (admin use)
+ * Force set password for an email (admin use, run from the Convex dashboard or CLI)
  */
-export const forceSetPassword = action({
+export const forceSetPassword = internalAction({
   args: {
     email: v.string(),
     password: v.string(),
   },
-  handler: async (ctx, args) => {
+  handler: async (ctx, args): Promise<AuthUser> => {
     const email = normalizeEmail(args.email);
     if (!validateEmail(email)) {
       throw new Error("Please enter a valid email address.");
@@ -483,18 +546,14 @@ export const forceSetPassword = action({
       throw new Error("Password must be at least 8 characters and include letters and numbers.");
     }
 
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
     if (!user) {
       throw new Error("User not found");
     }
 
-    const salt = randomBytes(16).toString("hex");
-    const passwordHash = hashPassword(args.password, salt);
-
     await ctx.runMutation(internal.authInternal.setPassword, {
       userId: user._id,
-      passwordHash,
-      passwordSalt: salt,
+      ...(await hashPassword(args.password)),
     });
 
     return await ctx.runQuery(internal.authInternal.getUser, { userId: user._id });
@@ -502,15 +561,19 @@ export const forceSetPassword = action({
 });
 
 /**
- * Reset password
+ * Request a password reset: email a single-use link to the account
  */
 export const resetPassword = action({
   args: {
     email: v.string(),
   },
   handler: async (ctx, args) => {
-    const user = await ctx.runQuery(internal.authInternal.findUserByEmail, {
-      email: args.email,
+    const email = normalizeEmail(args.email);
+    // Counted for unknown emails too, so the limit doesn't reveal which exist
+    await reserveAttempt(ctx, email, "resetPassword");
+
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.authInternal.findUserByEmail, {
+      email,
     });
 
     if (!user) {
@@ -518,8 +581,51 @@ export const resetPassword = action({
       return { success: true };
     }
 
-    // In production, send password reset email here
-    // For now, just return success
+    const token = randomBytes(32).toString("hex");
+    await ctx.runMutation(internal.authInternal.createPasswordResetToken, {
+      userId: user._id,
+      tokenHash: hashResetToken(token),
+      expiresAt: Date.now() + PASSWORD_RESET_TTL_MS,
+    });
+
+    try {
+      await deliverPasswordResetEmail(user.email, token);
+    } catch (error) {
+      console.warn("Password reset email failed:", error);
+    }
+
+    return { success: true };
+  },
+});
+
+/**
+ * Complete a password reset from an emailed link.
+ * Signs the user out everywhere; they sign in again with the new password.
+ */
+export const completePasswordReset = action({
+  args: {
+    token: v.string(),
+    newPassword: v.string(),
+  },
+  handler: async (ctx, args) => {
+    if (!validatePassword(args.newPassword)) {
+      throw new Error("Password must be at least 8 characters and include letters and numbers.");
+    }
+
+    const userId: Id<"users"> = await ctx.runMutation(internal.authInternal.consumePasswordResetToken, {
+      tokenHash: hashResetToken(args.token),
+    });
+
+    await ctx.runMutation(internal.authInternal.setPassword, {
+      userId,
+      ...(await hashPassword(args.newPassword)),
+      revokeSessions: true,
+    });
+    const user: AuthUser = await ctx.runQuery(internal.authInternal.getUser, { userId });
+    await ctx.runMutation(internal.rateLimits.clearFailures, {
+      email: normalizeEmail(user.email),
+      action: "resetPassword",
+    });
 
     return { success: true };
   },
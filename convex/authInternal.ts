@@ -1,6 +1,7 @@
 import { v } from "convex/values";
 import { internalMutation, internalQuery } from "./_generated/server";
 import { isOwnerEmail, normalizeEmail as normalizeEmailHelper } from "./limits";
+import { revokeSessionsForUser } from "./sessions";
 
 function normalizeEmail(email: string) {
   return normalizeEmailHelper(email);
@@ -17,6 +18,29 @@ export const findUserByEmail = internalQuery({
   },
 });
 
+export const findUserByAppleSub = internalQuery({
+  args: { appleSub: v.string() },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("users")
+      .withIndex("by_apple_sub", (q) => q.eq("appleSub", args.appleSub))
+      .first();
+  },
+});
+
+export const linkAppleSub = internalMutation({
+  args: {
+    userId: v.id("users"),
+    appleSub: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.userId, {
+      appleSub: args.appleSub,
+      emailVerified: true,
+    });
+  },
+});
+
 export const createUser = internalMutation({
   args: {
     email: v.string(),
@@ -26,6 +50,7 @@ export const createUser = internalMutation({
     emailVerified: v.optional(v.boolean()),
     emailVerificationCode: v.optional(v.string()),
     emailVerificationExpiresAt: v.optional(v.number()),
+    appleSub: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
     const normalizedEmail = normalizeEmail(args.email);
@@ -39,6 +64,7 @@ export const createUser = internalMutation({
       emailVerified: args.emailVerified ?? false,
       emailVerificationCode: args.emailVerificationCode,
       emailVerificationExpiresAt: args.emailVerificationExpiresAt,
+      appleSub: args.appleSub,
       createdAt: Date.now(),
     });
     return userId;
@@ -106,11 +132,60 @@ export const setPassword = internalMutation({
     userId: v.id("users"),
     passwordHash: v.string(),
     passwordSalt: v.string(),
+    revokeSessions: v.optional(v.boolean()),
+    // With revokeSessions, the session that made the change stays signed in
+    keepSessionTokenHash: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
     await ctx.db.patch(args.userId, {
       passwordHash: args.passwordHash,
       passwordSalt: args.passwordSalt,
     });
+
+    if (args.revokeSessions) {
+      await revokeSessionsForUser(ctx, args.userId, args.keepSessionTokenHash);
+    }
+  },
+});
+
+export const createPasswordResetToken = internalMutation({
+  args: {
+    userId: v.id("users"),
+    tokenHash: v.string(),
+    expiresAt: v.number(),
+  },
+  handler: async (ctx, args) => {
+    // Only the most recent link stays valid.
+    const existing = await ctx.db
+      .query("passwordResetTokens")
+      .withIndex("by_user", (q) => q.eq("userId", args.userId))
+      .collect();
+    for (const token of existing) {
+      await ctx.db.delete(token._id);
+    }
+
+    await ctx.db.insert("passwordResetTokens", {
+      userId: args.userId,
+      tokenHash: args.tokenHash,
+      expiresAt: args.expiresAt,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+export const consumePasswordResetToken = internalMutation({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const token = await ctx.db
+      .query("passwordResetTokens")
+      .withIndex("by_token_hash", (q) => q.eq("tokenHash", args.tokenHash))
+      .first();
+
+    if (!token || token.usedAt || token.expiresAt <= Date.now()) {
+      throw new Error("This reset link is invalid or has expired. Request a new one.");
+    }
+
+    await ctx.db.patch(token._id, { usedAt: Date.now() });
+    return token.userId;
   },
 });
@@ -0,0 +1,299 @@
+import { ConvexError } from "convex/values";
+import { QueryCtx } from "./_generated/server";
+import { Doc, Id } from "./_generated/dataModel";
+import { loadSession } from "./sessions";
+import { normalizeEmail } from "./limits";
+
+export type Role = "owner" | "manager" | "maintenance" | "bookkeeper";
+
+export const ROLES: Role[] = ["owner", "manager", "maintenance", "bookkeeper"];
+
+/**
+ * Team roles plus "tenant", for sessions signed in to the tenant portal.
+ * Tenants are never members of a portfolio.
+ */
+export type AccessRole = Role | "tenant";
+
+export const ROLE_LABELS: Record<AccessRole, string> = {
+  owner: "Owner",
+  manager: "Property manager",
+  maintenance: "Maintenance",
+  bookkeeper: "Bookkeeper",
+  tenant: "Tenant",
+};
+
+/**
+ * Areas of a portfolio that permissions are granted on.
+ * - finance: rent payments and expenses
+ * - compliance: insurance policies and rental licenses
+ * - members: memberships and invitations
+ */
+export type Resource =
+  | "properties"
+  | "tenants"
+  | "maintenance"
+  | "contractors"
+  | "finance"
+  | "documents"
+  | "compliance"
+  | "feed"
+  | "members";
+
+type Permission = "read" | "write";
+
+const ALL: Resource[] = [
+  "properties",
+  "tenants",
+  "maintenance",
+  "contractors",
+  "finance",
+  "documents",
+  "compliance",
+  "feed",
+  "members",
+];
+
+// Tenants get nothing by default; functions that serve the tenant portal
+// opt in with `allowTenant` and scope their results to `access.tenantId`.
+const ROLE_PERMISSIONS: Record<AccessRole, Record<Permission, Resource[]>> = {
+  owner: { read: ALL, write: ALL },
+  manager: { read: ALL, write: ALL.filter((resource) => resource !== "members") },
+  maintenance: {
+    read: ["properties", "tenants", "maintenance", "contractors", "feed", "members"],
+    write: ["maintenance"],
+  },
+  bookkeeper: { read: ALL, write: [] },
+  tenant: { read: [], write: [] },
+};
+
+type OwnedTable =
+  | "properties"
+  | "units"
+  | "turnovers"
+  | "listings"
+  | "rentalApplications"
+  | "tenants"
+  | "leases"
+  | "leaseRenewals"
+  | "maintenanceRequests"
+  | "maintenanceMedia"
+  | "maintenanceTemplates"
+  | "maintenanceSchedules"
+  | "workOrders"
+  | "contractorInvoices"
+  | "contractors"
+  | "rentPayments"
+  | "payments"
+  | "securityDeposits"
+  | "depositDeductions"
+  | "expenses"
+  | "insurancePolicies"
+  | "rentalLicenses"
+  | "marketTrends"
+  | "documents"
+  | "feedEvents";
+
+const LABELS: Record<OwnedTable, string> = {
+  properties: "Property",
+  units: "Unit",
+  turnovers: "Turnover",
+  listings: "Listing",
+  rentalApplications: "Rental application",
+  tenants: "Tenant",
+  leases: "Lease",
+  leaseRenewals: "Renewal offer",
+  maintenanceRequests: "Maintenance request",
+  maintenanceMedia: "Maintenance photo",
+  maintenanceTemplates: "Maintenance template",
+  maintenanceSchedules: "Maintenance schedule",
+  workOrders: "Work order",
+  contractorInvoices: "Invoice",
+  contractors: "Contractor",
+  rentPayments: "Rent payment",
+  payments: "Payment",
+  securityDeposits: "Security deposit",
+  depositDeductions: "Deposit deduction",
+  expenses: "Expense",
+  insurancePolicies: "Insurance policy",
+  rentalLicenses: "Rental license",
+  marketTrends: "Market trend",
+  documents: "Document",
+  feedEvents: "Feed event",
+};
+
+/**
+ * The caller and the portfolio they are acting in.
+ * `ownerId` is the userId every row in the portfolio is keyed by;
+ * `organizationId` is null for a personal portfolio with no team yet.
+ * `tenantId` is set only for tenant portal sessions.
+ */
+export type Access = {
+  user: Doc<"users">;
+  ownerId: Id<"users">;
+  organizationId: Id<"organizations"> | null;
+  role: AccessRole;
+  tenantId: Id<"tenants"> | null;
+};
+
+export function forbidden(
+  message = "You don't have permission to access this record."
+) {
+  return new ConvexError({ code: "FORBIDDEN", message });
+}
+
+export function isRole(role: string): role is Role {
+  return (ROLES as string[]).includes(role);
+}
+
+export function can(role: AccessRole, resource: Resource, permission: Permission) {
+  return ROLE_PERMISSIONS[role][permission].includes(resource);
+}
+
+/**
+ * A user can act as a tenant when the tenant row is active and carries the
+ * user's verified email.
+ */
+export function isTenancyOf(tenant: Doc<"tenants">, user: Doc<"users">) {
+  return (
+    tenant.isActive &&
+    user.emailVerified === true &&
+    normalizeEmail(tenant.email) === normalizeEmail(user.email)
+  );
+}
+
+/**
+ * Active tenant rows the user can open the tenant portal for.
+ */
+export async function findTenancies(ctx: QueryCtx, user: Doc<"users">) {
+  if (!user.emailVerified) {
+    return [];
+  }
+  const tenants = await ctx.db
+    .query("tenants")
+    .withIndex("by_email", (q) => q.eq("email", normalizeEmail(user.email)))
+    .collect();
+  return tenants.filter((tenant) => isTenancyOf(tenant, user));
+}
+
+/**
+ * Resolve which portfolio the session is acting in. Falls back to the
+ * caller's own portfolio when no team portfolio is selected or the
+ * membership has since been removed.
+ */
+export async function resolveAccess(
+  ctx: QueryCtx,
+  sessionToken: string | undefined
+): Promise<Access> {
+  const { session, user } = await loadSession(ctx, sessionToken);
+
+  if (session.activeTenantId) {
+    const tenant = await ctx.db.get(session.activeTenantId);
+    if (tenant && isTenancyOf(tenant, user)) {
+      return {
+        user,
+        ownerId: tenant.userId,
+        organizationId: null,
+        role: "tenant",
+        tenantId: tenant._id,
+      };
+    }
+  }
+
+  if (session.activeOrganizationId) {
+    const organization = await ctx.db.get(session.activeOrganizationId);
+    const membership = organization
+      ? await ctx.db
+          .query("memberships")
+          .withIndex("by_organization_user", (q) =>
+            q.eq("organizationId", organization._id).eq("userId", user._id)
+          )
+          .first()
+      : null;
+    if (organization && membership && isRole(membership.role)) {
+      return {
+        user,
+        ownerId: organization.ownerId,
+        organizationId: organization._id,
+        role: membership.role,
+        tenantId: null,
+      };
+    }
+  }
+
+  const personal = await ctx.db
+    .query("organizations")
+    .withIndex("by_owner", (q) => q.eq("ownerId", user._id))
+    .first();
+
+  return {
+    user,
+    ownerId: user._id,
+    organizationId: personal?._id ?? null,
+    role: "owner",
+    tenantId: null,
+  };
+}
+
+/**
+ * Resolve the caller's portfolio and check their role allows `permission`
+ * on `resource`. Every public query and mutation on portfolio data goes
+ * through this. Pass `allowTenant` only from functions that narrow their
+ * results to `access.tenantId` for tenant sessions.
+ */
+export async function authorize(
+  ctx: QueryCtx,
+  sessionToken: string | undefined,
+  resource: Resource,
+  permission: Permission,
+  options: { allowTenant?: boolean } = {}
+): Promise<Access> {
+  const access = await resolveAccess(ctx, sessionToken);
+  if (access.role === "tenant" && options.allowTenant) {
+    return access;
+  }
+  if (!can(access.role, resource, permission)) {
+    throw forbidden(
+      permission === "write"
+        ? `Your role (${ROLE_LABELS[access.role]}) can't make changes to ${resource}.`
+        : `Your role (${ROLE_LABELS[access.role]}) can't view ${resource}.`
+    );
+  }
+  return access;
+}
+
+/**
+ * Load a row and make sure it belongs to the caller's active portfolio.
+ * Missing rows throw "<Label> not found"; rows from another portfolio throw
+ * a FORBIDDEN error.
+ */
+export async function requireOwned<T extends OwnedTable>(
+  ctx: QueryCtx,
+  access: Access,
+  table: T,
+  id: Id<T>
+): Promise<Doc<T>> {
+  const doc = await ctx.db.get(id);
+  if (!doc) {
+    throw new Error(`${LABELS[table]} not found`);
+  }
+  if (doc.userId !== access.ownerId) {
+    throw forbidden();
+  }
+  return doc;
+}
+
+/**
+ * Same as requireOwned, for optional foreign keys (propertyId, tenantId, ...).
+ * Skips the check when no id was supplied.
+ */
+export async function requireOwnedRef<T extends OwnedTable>(
+  ctx: QueryCtx,
+  access: Access,
+  table: T,
+  id: Id<T> | undefined
+): Promise<Doc<T> | null> {
+  if (!id) {
+    return null;
+  }
+  return await requireOwned(ctx, access, table, id);
+}
@@ -0,0 +1,320 @@
+import { v } from "convex/values";
+import { mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned } from "./authorization";
+
+const lineItemValidator = v.object({
+  description: v.string(),
+  quantity: v.number(),
+  unitPrice: v.number(),
+});
+
+function roundCents(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * The amount the invoice is checked against: the request's estimate, or
+ * failing that the work order's not-to-exceed
+ */
+function estimateFor(request: Doc<"maintenanceRequests"> | null, workOrder: Doc<"workOrders"> | null) {
+  return request?.estimatedCost ?? workOrder?.notToExceed;
+}
+
+async function toInvoice(ctx: QueryCtx, invoice: Doc<"contractorInvoices">) {
+  const request = await ctx.db.get(invoice.requestId);
+  const workOrder = await ctx.db.get(invoice.workOrderId);
+  const contractor = await ctx.db.get(invoice.contractorId);
+  const estimate = estimateFor(request, workOrder);
+  return {
+    _id: invoice._id,
+    id: invoice._id,
+    workOrderId: invoice.workOrderId,
+    requestId: invoice.requestId,
+    contractorId: invoice.contractorId,
+    contractorName: contractor?.companyName ?? "Contractor",
+    invoiceNumber: invoice.invoiceNumber,
+    invoiceDate: invoice.invoiceDate,
+    dueDate: invoice.dueDate,
+    lineItems: invoice.lineItems,
+    subtotal: invoice.subtotal,
+    tax: invoice.tax,
+    total: invoice.total,
+    fileName: invoice.file?.fileName,
+    fileURL: invoice.file ? await ctx.storage.getUrl(invoice.file.storageId) : null,
+    estimate,
+    overEstimate: estimate !== undefined && invoice.total > estimate,
+    status: invoice.status,
+    expenseId: invoice.expenseId,
+    approvedAt: invoice.approvedAt,
+    paidAt: invoice.paidAt,
+    paymentReference: invoice.paymentReference,
+    notes: invoice.notes,
+    createdAt: invoice.createdAt,
+    updatedAt: invoice.updatedAt,
+  };
+}
+
+/**
+ * Set the request's actualCost to the total of its approved invoices
+ */
+async function syncActualCost(ctx: MutationCtx, requestId: Id<"maintenanceRequests">) {
+  const invoices = await ctx.db
+    .query("contractorInvoices")
+    .withIndex("by_request", (q) => q.eq("requestId", requestId))
+    .collect();
+  const approved = invoices.filter((invoice) => invoice.status === "approved");
+  await ctx.db.patch(requestId, {
+    actualCost: approved.length
+      ? roundCents(approved.reduce((sum, invoice) => sum + invoice.total, 0))
+      : undefined,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * List contractor invoices, optionally for one maintenance request
+ */
+export const list = query({
+  args: { sessionToken: v.string(), requestId: v.optional(v.id("maintenanceRequests")) },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    const requestId = args.requestId;
+    const invoices = requestId
+      ? await ctx.db
+          .query("contractorInvoices")
+          .withIndex("by_request", (q) => q.eq("requestId", requestId))
+          .collect()
+      : await ctx.db
+          .query("contractorInvoices")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
+
+    const results = [];
+    for (const invoice of invoices.filter((entry) => entry.userId === access.ownerId)) {
+      results.push(await toInvoice(ctx, invoice));
+    }
+    return results.sort((a, b) => b.invoiceDate - a.invoiceDate);
+  },
+});
+
+/**
+ * Generate an upload URL for an invoice PDF
+ */
+export const generateUploadUrl = mutation({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    await authorize(ctx, args.sessionToken, "maintenance", "write");
+    return await ctx.storage.generateUploadUrl();
+  },
+});
+
+/**
+ * Record a contractor's invoice against their work order. It waits as
+ * pending until someone with finance access approves it.
+ */
+export const create = mutation({
+  args: {
+    sessionToken: v.string(),
+    workOrderId: v.id("workOrders"),
+    invoiceNumber: v.optional(v.string()),
+    invoiceDate: v.number(),
+    dueDate: v.optional(v.number()),
+    lineItems: v.array(lineItemValidator),
+    tax: v.number(),
+    file: v.optional(
+      v.object({
+        storageId: v.id("_storage"),
+        fileName: v.string(),
+        contentType: v.optional(v.string()),
+      })
+    ),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const workOrder = await requireOwned(ctx, access, "workOrders", args.workOrderId);
+
+    const lineItems = args.lineItems
+      .map((item) => ({
+        description: item.description.trim(),
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: roundCents(item.quantity * item.unitPrice),
+      }))
+      .filter((item) => item.description);
+    if (lineItems.length === 0) {
+      throw new Error("Add at least one line item");
+    }
+    if (lineItems.some((item) => item.quantity <= 0)) {
+      throw new Error("Line item quantities must be more than zero");
+    }
+    if (args.tax < 0) {
+      throw new Error("Tax can't be negative");
+    }
+    if (args.dueDate !== undefined && args.dueDate < args.invoiceDate) {
+      throw new Error("The due date is before the invoice date");
+    }
+
+    const subtotal = roundCents(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const tax = roundCents(args.tax);
+    const now = Date.now();
+    const invoiceId = await ctx.db.insert("contractorInvoices", {
+      workOrderId: workOrder._id,
+      requestId: workOrder.requestId,
+      contractorId: workOrder.contractorId,
+      invoiceNumber: args.invoiceNumber?.trim() || undefined,
+      invoiceDate: args.invoiceDate,
+      dueDate: args.dueDate,
+      lineItems,
+      subtotal,
+      tax,
+      total: roundCents(subtotal + tax),
+      file: args.file,
+      status: "pending",
+      notes: args.notes?.trim() || undefined,
+      userId: access.ownerId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return await toInvoice(ctx, (await ctx.db.get(invoiceId))!);
+  },
+});
+
+/**
+ * Approve an invoice: post it to expenses against the request's property
+ * and add it to the request's actualCost
+ */
+export const approve = mutation({
+  args: { sessionToken: v.string(), id: v.id("contractorInvoices") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const invoice = await requireOwned(ctx, access, "contractorInvoices", args.id);
+    if (invoice.status !== "pending") {
+      throw new Error("Only pending invoices can be approved");
+    }
+    const request = await requireOwned(ctx, access, "maintenanceRequests", invoice.requestId);
+    const contractor = await ctx.db.get(invoice.contractorId);
+    const vendor = contractor?.companyName ?? "Contractor";
+
+    const now = Date.now();
+    const expenseId = await ctx.db.insert("expenses", {
+      propertyId: request.propertyId,
+      title: invoice.invoiceNumber ? `${vendor} invoice ${invoice.invoiceNumber}` : `${vendor} invoice`,
+      description: request.title,
+      amount: invoice.total,
+      category: "maintenance",
+      date: invoice.invoiceDate,
+      isRecurring: false,
+      receiptURL: invoice.file ? (await ctx.storage.getUrl(invoice.file.storageId)) ?? undefined : undefined,
+      vendor,
+      notes: invoice.tax > 0 ? `Includes ${invoice.tax.toFixed(2)} tax` : undefined,
+      userId: access.ownerId,
+      createdAt: now,
+    });
+    await ctx.db.patch(invoice._id, {
+      status: "approved",
+      expenseId,
+      approvedAt: now,
+      updatedAt: now,
+    });
+    await syncActualCost(ctx, request._id);
+    return await toInvoice(ctx, (await ctx.db.get(invoice._id))!);
+  },
+});
+
+/**
+ * Reject a pending invoice, e.g. one the contractor needs to reissue
+ */
+export const reject = mutation({
+  args: { sessionToken: v.string(), id: v.id("contractorInvoices"), reason: v.optional(v.string()) },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const invoice = await requireOwned(ctx, access, "contractorInvoices", args.id);
+    if (invoice.status !== "pending") {
+      throw new Error("Only pending invoices can be rejected");
+    }
+    const reason = args.reason?.trim();
+    await ctx.db.patch(invoice._id, {
+      status: "rejected",
+      notes: reason ? [invoice.notes, `Rejected: ${reason}`].filter(Boolean).join("\n") : invoice.notes,
+      updatedAt: Date.now(),
+    });
+    return await toInvoice(ctx, (await ctx.db.get(invoice._id))!);
+  },
+});
+
+/**
+ * Undo an approval: delete the posted expense and put the invoice back to
+ * pending. Paid invoices have to be marked unpaid first.
+ */
+export const unapprove = mutation({
+  args: { sessionToken: v.string(), id: v.id("contractorInvoices") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const invoice = await requireOwned(ctx, access, "contractorInvoices", args.id);
+    if (invoice.status !== "approved") {
+      throw new Error("This invoice isn't approved");
+    }
+    if (invoice.paidAt !== undefined) {
+      throw new Error("Mark the invoice unpaid before undoing its approval");
+    }
+    if (invoice.expenseId && (await ctx.db.get(invoice.expenseId))) {
+      await ctx.db.delete(invoice.expenseId);
+    }
+    await ctx.db.patch(invoice._id, {
+      status: "pending",
+      expenseId: undefined,
+      approvedAt: undefined,
+      updatedAt: Date.now(),
+    });
+    await syncActualCost(ctx, invoice.requestId);
+    return await toInvoice(ctx, (await ctx.db.get(invoice._id))!);
+  },
+});
+
+/**
+ * Mark an approved invoice paid or unpaid
+ */
+export const setPaid = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("contractorInvoices"),
+    paid: v.boolean(),
+    paidAt: v.optional(v.number()),
+    paymentReference: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const invoice = await requireOwned(ctx, access, "contractorInvoices", args.id);
+    if (invoice.status !== "approved") {
+      throw new Error("Approve the invoice before marking it paid");
+    }
+    await ctx.db.patch(invoice._id, {
+      paidAt: args.paid ? (args.paidAt ?? Date.now()) : undefined,
+      paymentReference: args.paid ? args.paymentReference?.trim() || undefined : undefined,
+      updatedAt: Date.now(),
+    });
+    return await toInvoice(ctx, (await ctx.db.get(invoice._id))!);
+  },
+});
+
+/**
+ * Delete an invoice that was never approved, along with its PDF
+ */
+export const remove = mutation({
+  args: { sessionToken: v.string(), id: v.id("contractorInvoices") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const invoice = await requireOwned(ctx, access, "contractorInvoices", args.id);
+    if (invoice.status === "approved") {
+      throw new Error("Undo the approval before deleting this invoice");
+    }
+    if (invoice.file) {
+      await ctx.storage.delete(invoice.file.storageId);
+    }
+    await ctx.db.delete(invoice._id);
+    return { id: invoice._id };
+  },
+});
@@ -1,6 +1,7 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { internalMutation, query, mutation } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { authorize, requireOwned } from "./authorization";
 
 type ContractorSeedInput = {
   companyName: string;
@@ -271,7 +272,7 @@ function normalizeEmail(email: string) {
 async function resolveUserId(
   ctx: any,
   args: { userId?: string; ownerEmail?: string }
-) {
+): Promise<string> {
   if (args.userId) return args.userId;
   if (!args.ownerEmail) {
     throw new Error("userId or ownerEmail is required.");
@@ -338,17 +339,15 @@ async function insertContractors(
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
     specialty: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("contractors");
-
-    if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
-    }
-
-    const contractors = await query.collect();
+    const access = await authorize(ctx, args.sessionToken, "contractors", "read");
+    const contractors = await ctx.db
+      .query("contractors")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
 
     let filtered = contractors;
     if (args.specialty) {
@@ -393,9 +392,10 @@ export const create = mutation({
     hourlyRate: v.optional(v.number()),
     rating: v.optional(v.number()),
     isPreferred: v.boolean(),
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "contractors", "write");
     const now = Date.now();
     const contractorId = await ctx.db.insert("contractors", {
       companyName: args.companyName,
@@ -409,7 +409,7 @@ export const create = mutation({
       hourlyRate: args.hourlyRate,
       rating: args.rating,
       isPreferred: args.isPreferred,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
       updatedAt: now,
     });
@@ -440,6 +440,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("contractors"),
     companyName: v.optional(v.string()),
     contactName: v.optional(v.string()),
@@ -454,11 +455,9 @@ export const update = mutation({
     isPreferred: v.optional(v.boolean()),
   },
   handler: async (ctx, args) => {
-    const { id, ...updates } = args;
-    const contractor = await ctx.db.get(id);
-    if (!contractor) {
-      throw new Error("Contractor not found");
-    }
+    const { sessionToken, id, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "contractors", "write");
+    await requireOwned(ctx, access, "contractors", id);
 
     await ctx.db.patch(id, {
       ...updates,
@@ -489,7 +488,7 @@ export const update = mutation({
 /**
  * Bulk create contractors for a user
  */
-export const bulkCreate = mutation({
+export const bulkCreate = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
@@ -521,7 +520,7 @@ export const bulkCreate = mutation({
 /**
  * Seed default contractor list for a user
  */
-export const seedDefault = mutation({
+export const seedDefault = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
@@ -538,7 +537,7 @@ export const seedDefault = mutation({
 /**
  * Replace all contractors for a user with the default list
  */
-export const replaceDefault = mutation({
+export const replaceDefault = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
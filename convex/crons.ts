@@ -0,0 +1,66 @@
+import { cronJobs } from "convex/server";
+import { internal } from "./_generated/api";
+
+const crons = cronJobs();
+
+// Tenants entered before leases existed (or by older app versions) are moved
+// onto a lease in batches until none are left.
+crons.hourly("move tenants onto leases", { minuteUTC: 15 }, internal.tenants.migrateLeases);
+
+// Properties that predate unit records get them, built from their unit count
+// and their tenants' unit labels, a batch at a time.
+crons.hourly("create unit records", { minuteUTC: 45 }, internal.units.migrate);
+
+// Tenants whose notice has run out are moved out before the day's charges
+// are posted, so they aren't billed for a month they won't live there.
+crons.daily("move out tenants on notice", { hourUTC: 5, minuteUTC: 30 }, internal.turnovers.moveOutDue);
+
+// Post the day's rent charges, then mark overdue ones, then assess late fees
+// on whatever is overdue, so each step sees the previous step's writes.
+crons.daily("generate rent charges", { hourUTC: 6, minuteUTC: 0 }, internal.rentLedger.generateCharges);
+crons.daily("mark overdue rent", { hourUTC: 6, minuteUTC: 30 }, internal.rentLedger.markOverdue);
+crons.daily("assess late fees", { hourUTC: 7, minuteUTC: 0 }, internal.lateFees.assess);
+
+// Draft renewal offers for leases entering the lead time, then remind tenants
+// who haven't answered a sent offer.
+crons.daily("draft lease renewals", { hourUTC: 8, minuteUTC: 0 }, internal.leaseRenewals.draftDue);
+crons.daily(
+  "remind tenants about renewal offers",
+  { hourUTC: 14, minuteUTC: 0 },
+  internal.renewalNotices.sendReminders
+);
+
+// Requests that just missed an SLA target are flagged in the feed and
+// emailed to their owner.
+crons.hourly("flag maintenance SLA breaches", { minuteUTC: 30 }, internal.maintenanceSla.flagBreaches);
+
+// Preventive maintenance requests are created ahead of their due dates,
+// pre-assigned to the preferred contractor for the work.
+crons.daily(
+  "create preventive maintenance requests",
+  { hourUTC: 9, minuteUTC: 0 },
+  internal.preventiveMaintenance.createDue
+);
+
+// Files uploaded to application forms that were never sent are deleted a
+// day later.
+crons.daily(
+  "sweep unused application uploads",
+  { hourUTC: 3, minuteUTC: 0 },
+  internal.rentalApplications.sweepUploads
+);
+
+// The same for photos and files uploaded for maintenance requests.
+crons.daily(
+  "sweep unused maintenance uploads",
+  { hourUTC: 3, minuteUTC: 30 },
+  internal.maintenanceUploads.sweepUploads
+);
+
+crons.daily(
+  "flag deposit return deadlines",
+  { hourUTC: 12, minuteUTC: 0 },
+  internal.securityDeposits.flagDeadlines
+);
+
+export default crons;
@@ -0,0 +1,162 @@
+import { v } from "convex/values";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { action } from "./_generated/server";
+import { internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+
+type StatementData = {
+  _id: Id<"securityDeposits">;
+  ownerId: Id<"users">;
+  landlordName: string;
+  landlordEmail?: string;
+  tenantName: string;
+  unit?: string;
+  propertyName?: string;
+  propertyAddress?: string;
+  amount: number;
+  collectedAt: number;
+  accountName: string;
+  state: string;
+  rule: { annualRatePercent: number };
+  interest: number;
+  deductions: { description: string; amount: number }[];
+  totalDeductions: number;
+  refundDue: number;
+  tenantOwes: number;
+  moveOutDate?: number;
+  returnDeadline?: number;
+};
+
+function money(amount: number): string {
+  return `$${amount.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function day(timestamp: number | undefined): string {
+  if (!timestamp) {
+    return "-";
+  }
+  return new Date(timestamp).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Lay out the itemized disposition statement as a one-or-more page PDF
+ */
+async function renderStatement(data: StatementData, issuedAt: number): Promise<Uint8Array> {
+  const pdf = await PDFDocument.create();
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const margin = 56;
+  const width = 612;
+  const right = width - margin;
+
+  let page = pdf.addPage([width, 792]);
+  let y = 792 - margin;
+
+  const line = (text: string, options: { size?: number; bold?: boolean; gap?: number } = {}) => {
+    const size = options.size ?? 10;
+    if (y < margin + size) {
+      page = pdf.addPage([width, 792]);
+      y = 792 - margin;
+    }
+    page.drawText(text, { x: margin, y, size, font: options.bold ? bold : regular });
+    y -= options.gap ?? size + 6;
+  };
+  const row = (label: string, amount: string, isBold = false) => {
+    if (y < margin + 10) {
+      page = pdf.addPage([width, 792]);
+      y = 792 - margin;
+    }
+    const font = isBold ? bold : regular;
+    page.drawText(label, { x: margin, y, size: 10, font, maxWidth: right - margin - 100 });
+    page.drawText(amount, { x: right - font.widthOfTextAtSize(amount, 10), y, size: 10, font });
+    y -= 16;
+  };
+  const rule = () => {
+    page.drawLine({
+      start: { x: margin, y: y + 6 },
+      end: { x: right, y: y + 6 },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6),
+    });
+    y -= 6;
+  };
+
+  line("Security Deposit Disposition Statement", { size: 16, bold: true, gap: 26 });
+  line(`Issued ${day(issuedAt)}`);
+  line(`From: ${data.landlordName}${data.landlordEmail ? ` <${data.landlordEmail}>` : ""}`);
+  line(`To: ${data.tenantName}`);
+  line(
+    `Premises: ${[data.propertyName, data.unit ? `Unit ${data.unit}` : null, data.propertyAddress]
+      .filter(Boolean)
+      .join(", ")}`,
+    { gap: 24 }
+  );
+
+  line("Deposit", { size: 12, bold: true });
+  row(`Deposit collected ${day(data.collectedAt)}`, money(data.amount));
+  row(
+    `Interest at ${data.rule.annualRatePercent}% per year through ${day(data.moveOutDate)}`,
+    money(data.interest)
+  );
+  row(`Held in: ${data.accountName}`, "");
+  y -= 10;
+
+  line("Itemized deductions", { size: 12, bold: true });
+  if (data.deductions.length === 0) {
+    line("No deductions.");
+  }
+  for (const deduction of data.deductions) {
+    row(deduction.description, money(deduction.amount));
+  }
+  rule();
+  row("Total deductions", money(data.totalDeductions), true);
+  y -= 10;
+
+  rule();
+  if (data.tenantOwes > 0) {
+    row("Balance owed by tenant", money(data.tenantOwes), true);
+  } else {
+    row("Amount to be returned to tenant", money(data.refundDue), true);
+  }
+  y -= 14;
+
+  line(`Move-out date: ${day(data.moveOutDate)}`);
+  line(`Return deadline (${data.state}): ${day(data.returnDeadline)}`);
+
+  return await pdf.save();
+}
+
+/**
+ * Generate the itemized disposition statement for a moved-out tenant and file
+ * it under their documents, where the tenant portal also shows it
+ */
+export const generateStatement = action({
+  args: {
+    sessionToken: v.string(),
+    depositId: v.id("securityDeposits"),
+  },
+  handler: async (ctx, args): Promise<{ documentId: Id<"documents">; downloadURL: string | null }> => {
+    const data: StatementData = await ctx.runQuery(internal.securityDeposits.statementData, {
+      sessionToken: args.sessionToken,
+      depositId: args.depositId,
+    });
+
+    const bytes = await renderStatement(data, Date.now());
+    const storageId = await ctx.storage.store(new Blob([bytes], { type: "application/pdf" }));
+
+    const result: { documentId: Id<"documents">; downloadURL: string | null } =
+      await ctx.runMutation(internal.securityDeposits.attachStatement, {
+        depositId: data._id,
+        ownerId: data.ownerId,
+        storageId,
+        title: `Security deposit statement - ${data.tenantName}`,
+        fileSizeBytes: bytes.byteLength,
+      });
+    return result;
+  },
+});
@@ -1,12 +1,14 @@
 import { v } from "convex/values";
 import { mutation, query } from "./_generated/server";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
 
 /**
  * Generate a secure one-time upload URL for document upload.
  */
 export const generateUploadUrl = mutation({
-  args: {},
-  handler: async (ctx) => {
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    await authorize(ctx, args.sessionToken, "documents", "write");
     return await ctx.storage.generateUploadUrl();
   },
 });
@@ -16,7 +18,7 @@ export const generateUploadUrl = mutation({
  */
 export const create = mutation({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
     tenantId: v.optional(v.id("tenants")),
     title: v.string(),
@@ -27,9 +29,12 @@ export const create = mutation({
     notes: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "documents", "write");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    await requireOwnedRef(ctx, access, "tenants", args.tenantId);
     const now = Date.now();
     const id = await ctx.db.insert("documents", {
-      userId: args.userId,
+      userId: access.ownerId,
       propertyId: args.propertyId,
       tenantId: args.tenantId,
       title: args.title,
@@ -64,34 +69,48 @@ export const create = mutation({
 });
 
 /**
- * List documents for a user.
+ * List documents for a user. Tenants only see documents tagged with their tenantId.
  */
 export const list = query({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
     category: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "documents", "read", {
+      allowTenant: true,
+    });
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const userId = access.ownerId;
     let docs: any[] = [];
 
-    if (args.propertyId) {
+    if (access.tenantId) {
+      const tenantId = access.tenantId;
+      docs = await ctx.db
+        .query("documents")
+        .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+        .collect();
+      docs = docs.filter(
+        (doc) => doc.userId === userId && (!args.category || doc.category === args.category)
+      );
+    } else if (args.propertyId) {
       docs = await ctx.db
         .query("documents")
         .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
         .collect();
-      docs = docs.filter((doc) => doc.userId === args.userId);
+      docs = docs.filter((doc) => doc.userId === userId);
     } else if (args.category) {
       docs = await ctx.db
         .query("documents")
         .withIndex("by_user_category", (q) =>
-          q.eq("userId", args.userId).eq("category", args.category!)
+          q.eq("userId", userId).eq("category", args.category!)
         )
         .collect();
     } else {
       docs = await ctx.db
         .query("documents")
-        .withIndex("by_user", (q) => q.eq("userId", args.userId))
+        .withIndex("by_user", (q) => q.eq("userId", userId))
         .collect();
     }
 
@@ -126,6 +145,7 @@ export const list = query({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("documents"),
     title: v.optional(v.string()),
     category: v.optional(v.string()),
@@ -136,11 +156,11 @@ export const update = mutation({
     clearTenantId: v.optional(v.boolean()),
   },
   handler: async (ctx, args) => {
-    const { id, clearPropertyId, clearTenantId, ...updates } = args;
-    const doc = await ctx.db.get(id);
-    if (!doc) {
-      throw new Error("Document not found");
-    }
+    const { sessionToken, id, clearPropertyId, clearTenantId, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "documents", "write");
+    await requireOwned(ctx, access, "documents", id);
+    await requireOwnedRef(ctx, access, "properties", updates.propertyId);
+    await requireOwnedRef(ctx, access, "tenants", updates.tenantId);
 
     const patch: Record<string, any> = {
       updatedAt: Date.now(),
@@ -192,13 +212,12 @@ export const update = mutation({
  */
 export const remove = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("documents"),
   },
   handler: async (ctx, args) => {
-    const doc = await ctx.db.get(args.id);
-    if (!doc) {
-      throw new Error("Document not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "documents", "write");
+    const doc = await requireOwned(ctx, access, "documents", args.id);
     await ctx.storage.delete(doc.storageId);
     await ctx.db.delete(args.id);
     return { id: args.id };
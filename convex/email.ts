@@ -0,0 +1,100 @@
+/// <reference types="node" />
+"use node";
+
+import nodemailer from "nodemailer";
+
+/**
+ * Base URL of the web app, used to build links in outgoing emails.
+ */
+export function appUrl() {
+  return (process.env.APP_URL || "https://highlanderhomes.com").replace(/\/$/, "");
+}
+
+export type EmailMessage = {
+  subject: string;
+  html: string;
+  text: string;
+  replyTo?: string;
+};
+
+async function sendEmailViaResend(email: string, message: EmailMessage) {
+  const apiKey = process.env.RESEND_API_KEY;
+  if (!apiKey) {
+    throw new Error("Missing RESEND_API_KEY");
+  }
+
+  const from =
+    process.env.RESEND_FROM_EMAIL || "Highlander Homes <onboarding@resend.dev>";
+
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from,
+      to: email,
+      subject: message.subject,
+      html: message.html,
+      ...(message.replyTo ? { reply_to: message.replyTo } : {}),
+    }),
+  });
+
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Resend error: ${body}`);
+  }
+}
+
+async function sendEmailViaSMTP(email: string, message: EmailMessage) {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || "587");
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+  const from = process.env.SMTP_FROM || user;
+  const secureEnv = process.env.SMTP_SECURE;
+  const secure = secureEnv ? secureEnv === "true" : port === 465;
+
+  if (!host || !user || !pass || !from) {
+    throw new Error("Missing SMTP configuration");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: { user, pass },
+  });
+
+  await transporter.sendMail({
+    from,
+    to: email,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    replyTo: message.replyTo,
+  });
+}
+
+export function smtpConfigured() {
+  return !!(
+    process.env.SMTP_HOST &&
+    process.env.SMTP_USER &&
+    process.env.SMTP_PASS
+  );
+}
+
+export async function deliverEmail(email: string, message: EmailMessage) {
+  if (smtpConfigured()) {
+    await sendEmailViaSMTP(email, message);
+    return;
+  }
+
+  if (process.env.RESEND_API_KEY) {
+    await sendEmailViaResend(email, message);
+    return;
+  }
+
+  throw new Error("Email delivery not configured");
+}
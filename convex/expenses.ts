@@ -1,28 +1,29 @@
 import { v } from "convex/values";
 import { query, mutation } from "./_generated/server";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
 
 /**
  * List expenses
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("expenses");
+    const access = await authorize(ctx, args.sessionToken, "finance", "read");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const expenses = args.propertyId
+      ? await ctx.db
+          .query("expenses")
+          .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
+          .collect()
+      : await ctx.db
+          .query("expenses")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
 
-    if (args.propertyId) {
-      query = query.withIndex("by_property", (q) =>
-        q.eq("propertyId", args.propertyId!)
-      );
-    } else if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
-    }
-
-    const expenses = await query.collect();
-
-    return expenses.map((exp) => ({
+    return expenses.filter((exp) => exp.userId === access.ownerId).map((exp) => ({
       _id: exp._id,
       id: exp._id,
       propertyId: exp.propertyId,
@@ -57,9 +58,11 @@ export const create = mutation({
     receiptURL: v.optional(v.string()),
     vendor: v.optional(v.string()),
     notes: v.optional(v.string()),
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
     const now = Date.now();
     const expenseId = await ctx.db.insert("expenses", {
       propertyId: args.propertyId,
@@ -73,7 +76,7 @@ export const create = mutation({
       receiptURL: args.receiptURL,
       vendor: args.vendor,
       notes: args.notes,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
     });
 
@@ -102,6 +105,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("expenses"),
     propertyId: v.optional(v.id("properties")),
     clearPropertyId: v.optional(v.boolean()),
@@ -117,11 +121,10 @@ export const update = mutation({
     notes: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const { id, clearPropertyId, ...updates } = args;
-    const expense = await ctx.db.get(id);
-    if (!expense) {
-      throw new Error("Expense not found");
-    }
+    const { sessionToken, id, clearPropertyId, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "finance", "write");
+    await requireOwned(ctx, access, "expenses", id);
+    await requireOwnedRef(ctx, access, "properties", updates.propertyId);
 
     const patch: Record<string, any> = {};
 
@@ -179,12 +182,18 @@ export const update = mutation({
  */
 export const remove = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("expenses"),
   },
   handler: async (ctx, args) => {
-    const expense = await ctx.db.get(args.id);
-    if (!expense) {
-      throw new Error("Expense not found");
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    await requireOwned(ctx, access, "expenses", args.id);
+    const invoice = await ctx.db
+      .query("contractorInvoices")
+      .withIndex("by_expense", (q) => q.eq("expenseId", args.id))
+      .first();
+    if (invoice) {
+      throw new Error("This expense was posted from a contractor invoice. Undo the invoice's approval instead.");
     }
     await ctx.db.delete(args.id);
     return { id: args.id };
@@ -1,19 +1,21 @@
 import { v } from "convex/values";
 import { query } from "./_generated/server";
+import { authorize } from "./authorization";
 
 /**
  * List feed events for a user
  */
 export const list = query({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     since: v.optional(v.number()),
     limit: v.optional(v.number()),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "feed", "read");
     let query = ctx.db
       .query("feedEvents")
-      .withIndex("by_user_timestamp", (q) => q.eq("userId", args.userId))
+      .withIndex("by_user_timestamp", (q) => q.eq("userId", access.ownerId))
       .order("desc");
 
     const events = await query.collect();
@@ -0,0 +1,268 @@
+import { httpRouter } from "convex/server";
+import { httpAction } from "./_generated/server";
+import { internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { toJsonFeed, toZillowFeed } from "./listingFeed";
+import type { FeedListing } from "./listingFeed";
+import { maintenanceUploadProblem } from "./maintenanceUploads";
+import { applicationFileProblem } from "./rentalApplications";
+
+const http = httpRouter();
+
+// email.ts has the same helper, but it runs in Node and HTTP actions don't.
+function appUrl() {
+  return (process.env.APP_URL || "https://highlanderhomes.com").replace(/\/$/, "");
+}
+
+/**
+ * A portfolio's active listings, for listing sites to pull. The feed is
+ * public and picked by `?owner=`, the id shown next to the feed links.
+ */
+function listingFeedRoute(render: (
+  feed: { ownerName: string; listings: FeedListing[] },
+  request: Request
+) => { body: string; contentType: string }) {
+  return httpAction(async (ctx, request) => {
+    const owner = new URL(request.url).searchParams.get("owner");
+    const feed: { ownerName: string; listings: FeedListing[] } | null = owner
+      ? await ctx.runQuery(internal.listings.feed, { ownerId: owner })
+      : null;
+    if (!feed) {
+      return new Response("Feed not found", { status: 404 });
+    }
+    const { body, contentType } = render(feed, request);
+    return new Response(body, {
+      status: 200,
+      headers: {
+        "Content-Type": contentType,
+        "Cache-Control": "public, max-age=900",
+        "Access-Control-Allow-Origin": "*",
+      },
+    });
+  });
+}
+
+http.route({
+  path: "/listings/feed.json",
+  method: "GET",
+  handler: listingFeedRoute((feed, request) => ({
+    body: JSON.stringify(toJsonFeed(feed, appUrl(), request.url)),
+    contentType: "application/feed+json; charset=utf-8",
+  })),
+});
+
+http.route({
+  path: "/listings/feed.xml",
+  method: "GET",
+  handler: listingFeedRoute((feed) => ({
+    body: toZillowFeed(feed, appUrl()),
+    contentType: "application/xml; charset=utf-8",
+  })),
+});
+
+const UPLOAD_CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+/**
+ * An applicant's ID or pay stub, posted as the request body by the public
+ * application form at `?slug=`. The file is checked before it is stored and
+ * remembered, so submit only accepts this form's uploads and unused ones are
+ * swept.
+ */
+http.route({
+  path: "/applications/upload",
+  method: "POST",
+  handler: httpAction(async (ctx, request) => {
+    const reply = (status: number, body: object) =>
+      new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json", ...UPLOAD_CORS_HEADERS },
+      });
+
+    const slug = new URL(request.url).searchParams.get("slug") ?? "";
+    const listingId: Id<"listings"> | null = await ctx.runQuery(internal.rentalApplications.uploadListing, {
+      slug,
+    });
+    if (!listingId) {
+      return reply(404, { error: "This home is no longer taking applications" });
+    }
+
+    // Turn away files that are too big or the wrong type on their headers,
+    // before reading the body
+    const length = Number(request.headers.get("Content-Length") ?? NaN);
+    if (!Number.isInteger(length) || length <= 0) {
+      return reply(411, { error: "The upload needs a Content-Length" });
+    }
+    const declaredProblem = applicationFileProblem(request.headers.get("Content-Type") ?? "", length);
+    if (declaredProblem) {
+      return reply(400, { error: `The file ${declaredProblem}` });
+    }
+
+    const file = await request.blob();
+    const problem = applicationFileProblem(file.type, file.size);
+    if (problem) {
+      return reply(400, { error: `The file ${problem}` });
+    }
+    const storageId = await ctx.storage.store(file);
+    await ctx.runMutation(internal.rentalApplications.recordUpload, { storageId, listingId });
+    return reply(200, { storageId });
+  }),
+});
+
+http.route({
+  path: "/applications/upload",
+  method: "OPTIONS",
+  handler: httpAction(async () => new Response(null, { status: 204, headers: UPLOAD_CORS_HEADERS })),
+});
+
+/**
+ * A photo, video or message attachment for a maintenance request, posted as
+ * the request body
+ * with the session token as a bearer token. The file is remembered for the
+ * user who uploaded it, so only they can attach it, once.
+ */
+http.route({
+  path: "/maintenance/upload",
+  method: "POST",
+  handler: httpAction(async (ctx, request) => {
+    const reply = (status: number, body: object) =>
+      new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json", ...UPLOAD_CORS_HEADERS },
+      });
+
+    const sessionToken = (request.headers.get("Authorization") ?? "").replace(/^Bearer\s+/i, "");
+    let userId: Id<"users">;
+    try {
+      userId = await ctx.runQuery(internal.maintenanceUploads.uploader, { sessionToken });
+    } catch {
+      return reply(401, { error: "Sign in again to upload files" });
+    }
+
+    const length = Number(request.headers.get("Content-Length") ?? NaN);
+    if (!Number.isInteger(length) || length <= 0) {
+      return reply(411, { error: "The upload needs a Content-Length" });
+    }
+    const declaredProblem = maintenanceUploadProblem(request.headers.get("Content-Type") ?? "", length);
+    if (declaredProblem) {
+      return reply(400, { error: `The file ${declaredProblem}` });
+    }
+
+    const file = await request.blob();
+    const problem = maintenanceUploadProblem(file.type, file.size);
+    if (problem) {
+      return reply(400, { error: `The file ${problem}` });
+    }
+    const storageId = await ctx.storage.store(file);
+    await ctx.runMutation(internal.maintenanceUploads.recordUpload, { storageId, userId });
+    return reply(200, { storageId });
+  }),
+});
+
+http.route({
+  path: "/maintenance/upload",
+  method: "OPTIONS",
+  handler: httpAction(async () => new Response(null, { status: 204, headers: UPLOAD_CORS_HEADERS })),
+});
+
+const MAX_INBOUND_ATTACHMENTS = 5;
+const MAX_INBOUND_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+function field(fields: Record<string, unknown>, ...names: string[]) {
+  for (const name of names) {
+    const value = fields[name];
+    if (typeof value === "string" && value.trim()) {
+      return value;
+    }
+  }
+  return "";
+}
+
+/**
+ * Replies to maintenance emails, posted by the inbound email provider.
+ * Accepts a JSON body or a multipart form (the common providers send one or
+ * the other) with the sender, recipient and text; attached photos and PDFs
+ * in a form are kept. The webhook URL carries `?secret=INBOUND_EMAIL_SECRET`.
+ */
+http.route({
+  path: "/maintenance/inbound-email",
+  method: "POST",
+  handler: httpAction(async (ctx, request) => {
+    const secret = process.env.INBOUND_EMAIL_SECRET;
+    if (!secret || new URL(request.url).searchParams.get("secret") !== secret) {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const fields: Record<string, unknown> = {};
+    const files: File[] = [];
+    if ((request.headers.get("Content-Type") ?? "").includes("application/json")) {
+      Object.assign(fields, await request.json());
+    } else {
+      const form = await request.formData();
+      form.forEach((value, name) => {
+        if (typeof value === "string") {
+          fields[name] = value;
+        } else {
+          files.push(value);
+        }
+      });
+    }
+
+    // Providers name the recipient field differently; any may hold the reply address.
+    const addressed = JSON.stringify([
+      fields.to,
+      fields.To,
+      fields.ToFull,
+      fields.recipient,
+      fields.OriginalRecipient,
+    ]);
+    const token = addressed.match(/reply\+([a-f0-9]{32})@/i)?.[1]?.toLowerCase();
+    if (!token) {
+      // Acknowledge so the provider doesn't retry mail we'll never place.
+      return new Response("No reply address", { status: 200 });
+    }
+
+    const attachments: {
+      storageId: Id<"_storage">;
+      fileName: string;
+      contentType?: string;
+      fileSizeBytes?: number;
+    }[] = [];
+    for (const file of files.slice(0, MAX_INBOUND_ATTACHMENTS)) {
+      const usable =
+        (file.type.startsWith("image/") || file.type === "application/pdf") &&
+        file.size <= MAX_INBOUND_ATTACHMENT_BYTES;
+      if (usable) {
+        attachments.push({
+          storageId: await ctx.storage.store(file),
+          fileName: file.name || "Attachment",
+          contentType: file.type,
+          fileSizeBytes: file.size,
+        });
+      }
+    }
+
+    const messageId: Id<"maintenanceMessages"> | null = await ctx.runMutation(
+      internal.maintenanceMessages.receiveEmail,
+      {
+        token,
+        fromEmail: field(fields, "from", "From", "sender"),
+        body: field(fields, "stripped-text", "StrippedTextReply", "text", "TextBody", "body-plain"),
+        attachments,
+      }
+    );
+    if (!messageId) {
+      await ctx.runMutation(internal.maintenanceMessages.discardUploads, {
+        storageIds: attachments.map((attachment) => attachment.storageId),
+      });
+      return new Response("Reply not posted", { status: 200 });
+    }
+    await ctx.runAction(internal.maintenanceEmails.notify, { messageId });
+    return new Response("Posted", { status: 200 });
+  }),
+});
+
+export default http;
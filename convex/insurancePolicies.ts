@@ -1,6 +1,7 @@
 import { v } from "convex/values";
-import { mutation, query } from "./_generated/server";
+import { internalMutation, mutation, query } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
 
 type InsuranceSeedInput = {
   propertyLabel: string;
@@ -115,7 +116,7 @@ function parseTerm(term: string) {
 async function resolveUserId(
   ctx: any,
   args: { userId?: string; ownerEmail?: string }
-) {
+): Promise<string> {
   if (args.userId) return args.userId;
   if (!args.ownerEmail) {
     throw new Error("userId or ownerEmail is required.");
@@ -205,15 +206,14 @@ async function insertPolicies(
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("insurancePolicies");
-    if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
-    }
-
-    const policies = await query.collect();
+    const access = await authorize(ctx, args.sessionToken, "compliance", "read");
+    const policies = await ctx.db
+      .query("insurancePolicies")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
 
     return policies.map((policy) => ({
       _id: policy._id,
@@ -247,9 +247,11 @@ export const create = mutation({
     premium: v.number(),
     notes: v.optional(v.string()),
     agent: v.optional(v.string()),
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "compliance", "write");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
     const now = Date.now();
     const policyId = await ctx.db.insert("insurancePolicies", {
       propertyId: args.propertyId,
@@ -261,7 +263,7 @@ export const create = mutation({
       premium: args.premium,
       notes: args.notes,
       agent: args.agent,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
       updatedAt: now,
     });
@@ -290,6 +292,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("insurancePolicies"),
     propertyId: v.optional(v.id("properties")),
     propertyLabel: v.optional(v.string()),
@@ -302,11 +305,10 @@ export const update = mutation({
     agent: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const { id, ...updates } = args;
-    const policy = await ctx.db.get(id);
-    if (!policy) {
-      throw new Error("Insurance policy not found");
-    }
+    const { sessionToken, id, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "compliance", "write");
+    await requireOwned(ctx, access, "insurancePolicies", id);
+    await requireOwnedRef(ctx, access, "properties", updates.propertyId);
 
     const patch: Record<string, any> = {
       updatedAt: Date.now(),
@@ -349,13 +351,12 @@ export const update = mutation({
  */
 export const remove = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("insurancePolicies"),
   },
   handler: async (ctx, args) => {
-    const policy = await ctx.db.get(args.id);
-    if (!policy) {
-      throw new Error("Insurance policy not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "compliance", "write");
+    await requireOwned(ctx, access, "insurancePolicies", args.id);
     await ctx.db.delete(args.id);
     return { id: args.id };
   },
@@ -364,7 +365,7 @@ export const remove = mutation({
 /**
  * Seed default insurance policies for a user
  */
-export const seedDefault = mutation({
+export const seedDefault = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
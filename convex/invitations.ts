@@ -0,0 +1,63 @@
+/// <reference types="node" />
+"use node";
+
+import { v } from "convex/values";
+import { action } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { appUrl, deliverEmail } from "./email";
+
+function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Invite someone by email to the active portfolio with the given role.
+ * The invite link is valid for 7 days; accepting it requires signing in
+ * (or signing up) with the invited email.
+ */
+export const send = action({
+  args: {
+    sessionToken: v.string(),
+    email: v.string(),
+    role: v.union(
+      v.literal("owner"),
+      v.literal("manager"),
+      v.literal("maintenance"),
+      v.literal("bookkeeper")
+    ),
+  },
+  handler: async (ctx, args): Promise<{ email: string; emailSent: boolean }> => {
+    const invitation = await ctx.runMutation(internal.organizations.createInvitation, {
+      sessionToken: args.sessionToken,
+      email: args.email,
+      role: args.role,
+    });
+
+    const link = `${appUrl()}/accept-invite?token=${encodeURIComponent(invitation.token)}`;
+    const inviter = escapeHtml(invitation.inviterName);
+    const portfolio = escapeHtml(invitation.organizationName);
+
+    try {
+      await deliverEmail(invitation.email, {
+        subject: `${invitation.inviterName} invited you to ${invitation.organizationName} on Highlander Homes`,
+        html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
+      <h2>You're invited</h2>
+      <p>${inviter} invited you to join <strong>${portfolio}</strong> as ${escapeHtml(invitation.roleLabel)}.</p>
+      <p><a href="${link}">Accept invitation</a></p>
+      <p>This link expires in 7 days. Sign in or create an account with this email address to accept it.</p>
+    </div>
+  `,
+        text: `${invitation.inviterName} invited you to join ${invitation.organizationName} as ${invitation.roleLabel}.\nAccept the invitation: ${link}\nThis link expires in 7 days.`,
+      });
+      return { email: invitation.email, emailSent: true };
+    } catch (error) {
+      console.warn("Invitation email failed:", error);
+      return { email: invitation.email, emailSent: false };
+    }
+  },
+});
@@ -0,0 +1,131 @@
+// @vitest-environment edge-runtime
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { api, internal } from "./_generated/api";
+import { lateFeeAmount } from "./lateFees";
+import { insertCharge, seedPortfolio, setupConvex } from "./test.setup";
+
+const day = (month: number, date: number) => Date.UTC(2026, month - 1, date);
+
+describe("lateFeeAmount", () => {
+  const flat = { type: "flat", amount: 50 };
+
+  it("charges nothing through the last grace day", () => {
+    expect(lateFeeAmount(flat, 1500, 0, 5)).toBe(0);
+    expect(lateFeeAmount(flat, 1500, 5, 5)).toBe(0);
+    expect(lateFeeAmount(flat, 1500, 6, 5)).toBe(50);
+  });
+
+  it("takes a percentage of the charge", () => {
+    expect(lateFeeAmount({ type: "percent", amount: 5 }, 1234.5, 6, 5)).toBe(61.73);
+  });
+
+  it("accrues a daily fee for each day past grace, up to the cap", () => {
+    const daily = { type: "daily", amount: 10, maxAmount: 45 };
+    expect(lateFeeAmount(daily, 1500, 6, 5)).toBe(10);
+    expect(lateFeeAmount(daily, 1500, 9, 5)).toBe(40);
+    expect(lateFeeAmount(daily, 1500, 20, 5)).toBe(45);
+  });
+
+  it("caps a percentage fee", () => {
+    expect(lateFeeAmount({ type: "percent", amount: 10, maxAmount: 100 }, 1500, 6, 5)).toBe(100);
+  });
+});
+
+describe("assess and waive", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  async function runCronsOn(t: ReturnType<typeof setupConvex>, time: number) {
+    vi.setSystemTime(time);
+    await t.mutation(internal.rentLedger.markOverdue, {});
+    return await t.mutation(internal.lateFees.assess, {});
+  }
+
+  it("posts the fee the day after the grace period ends, once", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(1, 1));
+    const t = setupConvex();
+    const seed = await seedPortfolio(t, {
+      property: { rentGraceDays: 5, lateFeePolicy: { type: "flat", amount: 75 } },
+    });
+    const rent = await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+
+    // January 6 is the fifth grace day
+    expect(await runCronsOn(t, day(1, 6) + 12 * 60 * 60 * 1000)).toEqual({ created: 0, updated: 0 });
+    expect(await runCronsOn(t, day(1, 7))).toEqual({ created: 1, updated: 0 });
+    expect(await runCronsOn(t, day(1, 8))).toEqual({ created: 0, updated: 0 });
+
+    const fees = await t.run((ctx) =>
+      ctx.db
+        .query("rentPayments")
+        .withIndex("by_charge", (q) => q.eq("chargeId", rent))
+        .collect()
+    );
+    expect(fees).toHaveLength(1);
+    expect(fees[0]).toMatchObject({ kind: "late_fee", amount: 75, status: "pending", dueDate: day(1, 7) });
+  });
+
+  it("uses the policy's own grace period over the property's", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(1, 1));
+    const t = setupConvex();
+    const seed = await seedPortfolio(t, {
+      property: { rentGraceDays: 2, lateFeePolicy: { type: "flat", amount: 75, graceDays: 4 } },
+    });
+    await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+
+    expect(await runCronsOn(t, day(1, 5))).toEqual({ created: 0, updated: 0 });
+    expect(await runCronsOn(t, day(1, 6))).toEqual({ created: 1, updated: 0 });
+  });
+
+  it("takes a waived fee back off the tenant's balance", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(1, 1));
+    const t = setupConvex();
+    const seed = await seedPortfolio(t, {
+      property: { rentGraceDays: 5, lateFeePolicy: { type: "flat", amount: 75 } },
+    });
+    await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+    await runCronsOn(t, day(1, 7));
+    const ledger = { sessionToken: seed.sessionToken, tenantId: seed.tenantId };
+    expect((await t.query(api.rentLedger.ledger, ledger)).balance).toBe(1575);
+
+    const fee = (await t.run((ctx) => ctx.db.query("rentPayments").collect())).find(
+      (row) => row.kind === "late_fee"
+    )!;
+    const waived = await t.mutation(api.lateFees.waive, {
+      sessionToken: seed.sessionToken,
+      id: fee._id,
+      note: "First time late",
+    });
+    expect(waived).toMatchObject({ status: "waived", waiverNote: "First time late" });
+
+    const after = await t.query(api.rentLedger.ledger, ledger);
+    expect(after.balance).toBe(1500);
+    expect(after.entries.find((entry) => entry.type === "waiver")).toMatchObject({
+      amount: 75,
+      waivedByName: "Owner",
+    });
+
+    // A waived fee is settled: later runs don't post it again or grow it
+    expect(await runCronsOn(t, day(1, 10))).toEqual({ created: 0, updated: 0 });
+    await expect(
+      t.mutation(api.lateFees.waive, { sessionToken: seed.sessionToken, id: fee._id, note: "Again" })
+    ).rejects.toThrow("already settled");
+  });
+
+  it("only waives late fees, with a note", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const rent = await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+    await expect(
+      t.mutation(api.lateFees.waive, { sessionToken: seed.sessionToken, id: rent, note: "No" })
+    ).rejects.toThrow("Only late fees can be waived");
+
+    const fee = await insertCharge(t, seed, { amount: 75, dueDate: day(1, 7), kind: "late_fee" });
+    await expect(
+      t.mutation(api.lateFees.waive, { sessionToken: seed.sessionToken, id: fee, note: "  " })
+    ).rejects.toThrow("Add a note");
+  });
+});
@@ -0,0 +1,193 @@
+import { v } from "convex/values";
+import { internalMutation, mutation } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned } from "./authorization";
+import { applyCredits, DAY_MS, rentGraceDays, roundCents, startOfUtcDay } from "./rentLedger";
+
+export const LATE_FEE_TYPES = ["flat", "percent", "daily"];
+
+export type LateFeePolicy = NonNullable<Doc<"properties">["lateFeePolicy"]>;
+
+export const lateFeePolicyValidator = v.object({
+  type: v.string(),
+  amount: v.number(),
+  maxAmount: v.optional(v.number()),
+  graceDays: v.optional(v.number()),
+});
+
+/**
+ * Reject policies the assessor can't apply
+ */
+export function validateLateFeePolicy(policy: LateFeePolicy): void {
+  if (!LATE_FEE_TYPES.includes(policy.type)) {
+    throw new Error(`Late fee type must be one of: ${LATE_FEE_TYPES.join(", ")}`);
+  }
+  if (!(policy.amount > 0)) {
+    throw new Error("Late fee amount must be greater than zero");
+  }
+  if (policy.type === "percent" && policy.amount > 100) {
+    throw new Error("Late fee percentage can't exceed 100");
+  }
+  if (policy.maxAmount !== undefined && !(policy.maxAmount > 0)) {
+    throw new Error("Late fee cap must be greater than zero");
+  }
+  if (
+    policy.graceDays !== undefined &&
+    (!Number.isInteger(policy.graceDays) || policy.graceDays < 0)
+  ) {
+    throw new Error("Late fee grace period must be zero or more days");
+  }
+}
+
+/**
+ * Fee owed on a charge `daysLate` days past its due date, capped by the
+ * policy. Nothing is owed until the grace period has passed; a daily fee
+ * accrues for each day after that.
+ */
+export function lateFeeAmount(
+  policy: LateFeePolicy,
+  chargeAmount: number,
+  daysLate: number,
+  graceDays: number
+): number {
+  if (daysLate <= graceDays) {
+    return 0;
+  }
+
+  let fee: number;
+  switch (policy.type) {
+    case "flat":
+      fee = policy.amount;
+      break;
+    case "percent":
+      fee = (chargeAmount * policy.amount) / 100;
+      break;
+    case "daily":
+      fee = policy.amount * (daysLate - graceDays);
+      break;
+    default:
+      return 0;
+  }
+
+  if (policy.maxAmount !== undefined) {
+    fee = Math.min(fee, policy.maxAmount);
+  }
+  return roundCents(fee);
+}
+
+/**
+ * Post or accrue late fees on overdue rent charges
+ */
+export const assess = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const today = startOfUtcDay(now);
+    const overdue = await ctx.db
+      .query("rentPayments")
+      .withIndex("by_status_due", (q) => q.eq("status", "overdue"))
+      .collect();
+
+    const properties = new Map<Id<"properties">, Doc<"properties"> | null>();
+    let created = 0;
+    let updated = 0;
+
+    for (const charge of overdue) {
+      if ((charge.kind ?? "rent") !== "rent" || charge.dueDate === undefined) {
+        continue;
+      }
+      if (!properties.has(charge.propertyId)) {
+        properties.set(charge.propertyId, await ctx.db.get(charge.propertyId));
+      }
+      const property = properties.get(charge.propertyId) ?? null;
+      const policy = property?.lateFeePolicy;
+      if (!policy) {
+        continue;
+      }
+
+      const daysLate = Math.floor((today - startOfUtcDay(charge.dueDate)) / DAY_MS);
+      const graceDays = policy.graceDays ?? rentGraceDays(property);
+      const amount = lateFeeAmount(policy, charge.amount, daysLate, graceDays);
+      if (amount <= 0) {
+        continue;
+      }
+
+      const existing = await ctx.db
+        .query("rentPayments")
+        .withIndex("by_charge", (q) => q.eq("chargeId", charge._id))
+        .first();
+      if (existing) {
+        // Daily fees grow until paid, waived or capped; settled fees stay put.
+        const open = existing.status === "pending" || existing.status === "overdue";
+        if (open && existing.amount < amount) {
+          await ctx.db.patch(existing._id, { amount });
+          updated += 1;
+        }
+        continue;
+      }
+
+      await ctx.db.insert("rentPayments", {
+        propertyId: charge.propertyId,
+        unitId: charge.unitId,
+        tenantId: charge.tenantId,
+        amount,
+        paymentDate: today,
+        dueDate: today,
+        status: "pending",
+        source: "schedule",
+        kind: "late_fee",
+        chargeId: charge._id,
+        amountPaid: 0,
+        userId: charge.userId,
+        createdAt: now,
+      });
+      created += 1;
+      if (charge.tenantId) {
+        await applyCredits(ctx, charge.tenantId);
+      }
+    }
+
+    return { created, updated };
+  },
+});
+
+/**
+ * Waive a late fee, recording who waived it and why
+ */
+export const waive = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("rentPayments"),
+    note: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const fee = await requireOwned(ctx, access, "rentPayments", args.id);
+    if (fee.kind !== "late_fee") {
+      throw new Error("Only late fees can be waived");
+    }
+    if (fee.status === "completed" || fee.status === "waived" || fee.status === "cancelled") {
+      throw new Error("This late fee is already settled");
+    }
+    const note = args.note.trim();
+    if (!note) {
+      throw new Error("Add a note explaining why the fee is waived");
+    }
+
+    await ctx.db.patch(fee._id, {
+      status: "waived",
+      waivedAt: Date.now(),
+      waivedBy: access.user._id,
+      waiverNote: note,
+    });
+
+    const updated = await ctx.db.get(fee._id);
+    return {
+      _id: updated!._id,
+      id: updated!._id,
+      status: updated!.status,
+      waivedAt: updated!.waivedAt,
+      waiverNote: updated!.waiverNote,
+    };
+  },
+});
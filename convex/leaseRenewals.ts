@@ -0,0 +1,859 @@
+import { v } from "convex/values";
+import { internalMutation, internalQuery, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, forbidden, requireOwned } from "./authorization";
+import { renewLease } from "./leases";
+import { DAY_MS, startOfUtcDay } from "./rentLedger";
+import { normalizeState } from "./securityDeposits";
+import { openTurnoverFor, startTurnover } from "./turnovers";
+
+export type RenewalSettings = {
+  leadDays: number;
+  termMonths: number;
+  responseDays: number;
+  reminderIntervalDays: number;
+  defaultIncreasePercent: number;
+  noticeTemplate: string;
+};
+
+export const DEFAULT_NOTICE_TEMPLATE = `Dear {{tenantNames}},
+
+Your lease at {{propertyAddress}} ends on {{leaseEndDate}}. We would like to offer you a renewal on the following terms:
+
+Term: {{startDate}} to {{endDate}}
+Monthly rent: {{proposedRent}} (currently {{currentRent}})
+
+Please let us know by {{responseDeadline}} whether you will renew, decline, or continue month to month. You can answer from the tenant portal or by replying to this letter.
+
+Sincerely,
+{{landlordName}}`;
+
+export const DEFAULT_RENEWAL_SETTINGS: RenewalSettings = {
+  leadDays: 90,
+  termMonths: 12,
+  responseDays: 30,
+  reminderIntervalDays: 7,
+  defaultIncreasePercent: 3,
+  noticeTemplate: DEFAULT_NOTICE_TEMPLATE,
+};
+
+// Leases are drafted at most this far ahead, whatever an owner's lead time.
+const MAX_LEAD_DAYS = 365;
+
+// Month-to-month leases roll over this close to their end date.
+const MONTH_TO_MONTH_ROLLOVER_DAYS = 7;
+
+const OPEN_STATUSES = ["draft", "sent"];
+
+export function addUtcMonths(timestamp: number, months: number): number {
+  const date = new Date(startOfUtcDay(timestamp));
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.getTime();
+}
+
+/**
+ * "GAITHERSBURG, MD" for a city, "MD" for a state
+ */
+export function normalizeJurisdiction(value: string): string {
+  const parts = value.split(",").map((part) => part.trim().replace(/\s+/g, " "));
+  if (parts.length === 1) {
+    return normalizeState(parts[0]);
+  }
+  return `${parts.slice(0, -1).join(", ").toUpperCase()}, ${normalizeState(parts[parts.length - 1])}`;
+}
+
+/**
+ * Rent to offer: the market estimate when it's above the current rent,
+ * otherwise the default increase, never more than the jurisdiction's cap.
+ * Rounded to whole dollars.
+ */
+export function proposeRent(
+  currentRent: number,
+  marketRent: number | undefined,
+  defaultIncreasePercent: number,
+  capPercent: number | undefined
+): number {
+  let proposed =
+    marketRent !== undefined
+      ? Math.max(currentRent, marketRent)
+      : currentRent * (1 + defaultIncreasePercent / 100);
+  if (capPercent !== undefined) {
+    proposed = Math.min(proposed, currentRent * (1 + capPercent / 100));
+  }
+  return Math.round(proposed);
+}
+
+/**
+ * Fill `{{field}}` placeholders; unknown fields are left as written
+ */
+export function renderTemplate(template: string, values: Record<string, string>): string {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key: string) => values[key] ?? match);
+}
+
+async function loadSettings(ctx: QueryCtx, ownerId: Id<"users">): Promise<RenewalSettings> {
+  const saved = await ctx.db
+    .query("renewalSettings")
+    .withIndex("by_user", (q) => q.eq("userId", ownerId))
+    .first();
+  if (!saved) {
+    return DEFAULT_RENEWAL_SETTINGS;
+  }
+  return {
+    leadDays: saved.leadDays,
+    termMonths: saved.termMonths,
+    responseDays: saved.responseDays,
+    reminderIntervalDays: saved.reminderIntervalDays,
+    defaultIncreasePercent: saved.defaultIncreasePercent,
+    noticeTemplate: saved.noticeTemplate || DEFAULT_NOTICE_TEMPLATE,
+  };
+}
+
+/**
+ * The most specific cap for a property: its city, then its state
+ */
+async function capFor(ctx: QueryCtx, ownerId: Id<"users">, property: Doc<"properties">) {
+  const keys = [
+    normalizeJurisdiction(`${property.city}, ${property.state}`),
+    normalizeJurisdiction(property.state),
+  ];
+  for (const jurisdiction of keys) {
+    const cap = await ctx.db
+      .query("rentIncreaseCaps")
+      .withIndex("by_user_jurisdiction", (q) =>
+        q.eq("userId", ownerId).eq("jurisdiction", jurisdiction)
+      )
+      .first();
+    if (cap) {
+      return cap;
+    }
+  }
+  return null;
+}
+
+async function latestMarketRent(ctx: QueryCtx, propertyId: Id<"properties">) {
+  const trends = await ctx.db
+    .query("marketTrends")
+    .withIndex("by_property", (q) => q.eq("propertyId", propertyId))
+    .collect();
+  let latest: Doc<"marketTrends"> | null = null;
+  for (const trend of trends) {
+    if (trend.estimateRent !== undefined && (!latest || trend.observedAt > latest.observedAt)) {
+      latest = trend;
+    }
+  }
+  return latest?.estimateRent;
+}
+
+async function openRenewal(ctx: QueryCtx, leaseId: Id<"leases">) {
+  const renewals = await ctx.db
+    .query("leaseRenewals")
+    .withIndex("by_lease", (q) => q.eq("leaseId", leaseId))
+    .collect();
+  return renewals.find((renewal) => OPEN_STATUSES.includes(renewal.status)) ?? null;
+}
+
+async function draftRenewal(
+  ctx: MutationCtx,
+  lease: Doc<"leases">,
+  settings: RenewalSettings
+): Promise<Id<"leaseRenewals">> {
+  const property = await ctx.db.get(lease.propertyId);
+  if (!property) {
+    throw new Error("Property not found");
+  }
+  const marketRent = await latestMarketRent(ctx, lease.propertyId);
+  const cap = await capFor(ctx, lease.userId, property);
+  const proposedStartDate = startOfUtcDay(lease.endDate) + DAY_MS;
+
+  const now = Date.now();
+  return await ctx.db.insert("leaseRenewals", {
+    leaseId: lease._id,
+    propertyId: lease.propertyId,
+    currentRent: lease.monthlyRent,
+    ...(marketRent !== undefined ? { marketRent } : {}),
+    ...(cap ? { capPercent: cap.maxIncreasePercent, jurisdiction: cap.jurisdiction } : {}),
+    proposedRent: proposeRent(
+      lease.monthlyRent,
+      marketRent,
+      settings.defaultIncreasePercent,
+      cap?.maxIncreasePercent
+    ),
+    proposedStartDate,
+    proposedEndDate: addUtcMonths(proposedStartDate, settings.termMonths) - DAY_MS,
+    status: "draft",
+    userId: lease.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+async function toRenewal(ctx: QueryCtx, renewal: Doc<"leaseRenewals">) {
+  const lease = await ctx.db.get(renewal.leaseId);
+  const property = await ctx.db.get(renewal.propertyId);
+  const tenantNames = [];
+  for (const tenantId of lease?.tenantIds ?? []) {
+    const tenant = await ctx.db.get(tenantId);
+    if (tenant) {
+      tenantNames.push(`${tenant.firstName} ${tenant.lastName}`.trim());
+    }
+  }
+  const notice = renewal.noticeDocumentId ? await ctx.db.get(renewal.noticeDocumentId) : null;
+
+  return {
+    _id: renewal._id,
+    id: renewal._id,
+    leaseId: renewal.leaseId,
+    propertyId: renewal.propertyId,
+    propertyName: property?.name || property?.address,
+    unit: lease?.unit,
+    tenantNames,
+    leaseEndDate: lease?.endDate,
+    currentRent: renewal.currentRent,
+    marketRent: renewal.marketRent,
+    capPercent: renewal.capPercent,
+    jurisdiction: renewal.jurisdiction,
+    proposedRent: renewal.proposedRent,
+    proposedStartDate: renewal.proposedStartDate,
+    proposedEndDate: renewal.proposedEndDate,
+    status: renewal.status,
+    noticeURL: notice ? await ctx.storage.getUrl(notice.storageId) : null,
+    sentAt: renewal.sentAt,
+    responseDueAt: renewal.responseDueAt,
+    remindersSent: renewal.remindersSent ?? 0,
+    lastReminderAt: renewal.lastReminderAt,
+    respondedAt: renewal.respondedAt,
+    responseNote: renewal.responseNote,
+    renewedLeaseId: renewal.renewedLeaseId,
+    createdAt: renewal.createdAt,
+    updatedAt: renewal.updatedAt,
+  };
+}
+
+/**
+ * Renewal offers, plus current leases inside the lead time that don't have
+ * one yet (tenants only see offers sent to them)
+ */
+export const list = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read", {
+      allowTenant: true,
+    });
+
+    const renewals = await ctx.db
+      .query("leaseRenewals")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+
+    if (access.tenantId) {
+      const visible = [];
+      for (const renewal of renewals) {
+        const lease = await ctx.db.get(renewal.leaseId);
+        if (renewal.status !== "draft" && lease?.tenantIds.includes(access.tenantId)) {
+          visible.push(renewal);
+        }
+      }
+      return {
+        renewals: await Promise.all(visible.map((renewal) => toRenewal(ctx, renewal))),
+        upcoming: [],
+      };
+    }
+
+    const settings = await loadSettings(ctx, access.ownerId);
+    const horizon = Date.now() + settings.leadDays * DAY_MS;
+    const leases = await ctx.db
+      .query("leases")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+    const offered = new Set(renewals.map((renewal) => renewal.leaseId));
+    const upcoming = [];
+    for (const lease of leases) {
+      if (
+        lease.status !== "active" ||
+        lease.monthToMonth ||
+        lease.endDate > horizon ||
+        offered.has(lease._id)
+      ) {
+        continue;
+      }
+      const tenantNames = [];
+      for (const tenantId of lease.tenantIds) {
+        const tenant = await ctx.db.get(tenantId);
+        if (tenant) {
+          tenantNames.push(`${tenant.firstName} ${tenant.lastName}`.trim());
+        }
+      }
+      upcoming.push({
+        leaseId: lease._id,
+        propertyId: lease.propertyId,
+        unit: lease.unit,
+        tenantNames,
+        endDate: lease.endDate,
+        monthlyRent: lease.monthlyRent,
+      });
+    }
+
+    return {
+      renewals: await Promise.all(
+        renewals
+          .sort((a, b) => a.proposedStartDate - b.proposedStartDate)
+          .map((renewal) => toRenewal(ctx, renewal))
+      ),
+      upcoming: upcoming.sort((a, b) => a.endDate - b.endDate),
+    };
+  },
+});
+
+/**
+ * Draft a renewal offer for a lease now, without waiting for the lead time
+ */
+export const propose = mutation({
+  args: { sessionToken: v.string(), leaseId: v.id("leases") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const lease = await requireOwned(ctx, access, "leases", args.leaseId);
+    if (lease.status !== "active") {
+      throw new Error("Only the current lease can be renewed");
+    }
+    if (await openRenewal(ctx, lease._id)) {
+      throw new Error("This lease already has a renewal offer in progress");
+    }
+
+    const renewalId = await draftRenewal(ctx, lease, await loadSettings(ctx, access.ownerId));
+    return await toRenewal(ctx, (await ctx.db.get(renewalId))!);
+  },
+});
+
+/**
+ * Adjust the terms of an offer before the tenant has answered
+ */
+export const update = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("leaseRenewals"),
+    proposedRent: v.optional(v.number()),
+    proposedStartDate: v.optional(v.number()),
+    proposedEndDate: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const renewal = await requireOwned(ctx, access, "leaseRenewals", args.id);
+    if (!OPEN_STATUSES.includes(renewal.status)) {
+      throw new Error("The tenant has already answered this offer");
+    }
+    const proposedRent = args.proposedRent ?? renewal.proposedRent;
+    if (!(proposedRent > 0)) {
+      throw new Error("Proposed rent must be greater than zero");
+    }
+    if (renewal.capPercent !== undefined) {
+      const ceiling = renewal.currentRent * (1 + renewal.capPercent / 100);
+      if (proposedRent > Math.round(ceiling)) {
+        throw new Error(
+          `${renewal.jurisdiction} caps increases at ${renewal.capPercent}% (at most ${Math.round(ceiling)})`
+        );
+      }
+    }
+    const proposedStartDate = args.proposedStartDate ?? renewal.proposedStartDate;
+    const proposedEndDate = args.proposedEndDate ?? renewal.proposedEndDate;
+    if (proposedEndDate <= proposedStartDate) {
+      throw new Error("Lease end date must be after its start date");
+    }
+
+    await ctx.db.patch(renewal._id, {
+      proposedRent,
+      proposedStartDate,
+      proposedEndDate,
+      updatedAt: Date.now(),
+    });
+    return await toRenewal(ctx, (await ctx.db.get(renewal._id))!);
+  },
+});
+
+/**
+ * Record how the tenant answered. Accepting renews the lease on the offered
+ * terms; month to month renews it one month at a time at the offered rent.
+ * Tenants can answer offers sent to them from the portal.
+ */
+export const respond = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("leaseRenewals"),
+    outcome: v.union(v.literal("accepted"), v.literal("declined"), v.literal("month_to_month")),
+    note: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write", {
+      allowTenant: true,
+    });
+    const renewal = await ctx.db.get(args.id);
+    if (!renewal || renewal.userId !== access.ownerId) {
+      throw new Error("Renewal offer not found");
+    }
+    const lease = await ctx.db.get(renewal.leaseId);
+    if (!lease) {
+      throw new Error("Lease not found");
+    }
+    if (access.tenantId) {
+      if (!lease.tenantIds.includes(access.tenantId) || renewal.status !== "sent") {
+        throw forbidden();
+      }
+    }
+    if (!OPEN_STATUSES.includes(renewal.status)) {
+      throw new Error("This offer has already been answered");
+    }
+
+    let renewedLeaseId: Id<"leases"> | undefined;
+    if (args.outcome === "accepted") {
+      const renewed = await renewLease(ctx, lease, {
+        startDate: renewal.proposedStartDate,
+        endDate: renewal.proposedEndDate,
+        monthlyRent: renewal.proposedRent,
+      });
+      renewedLeaseId = renewed._id;
+    } else if (args.outcome === "month_to_month") {
+      const renewed = await renewLease(ctx, lease, {
+        startDate: renewal.proposedStartDate,
+        endDate: addUtcMonths(renewal.proposedStartDate, 1) - DAY_MS,
+        monthlyRent: renewal.proposedRent,
+        monthToMonth: true,
+      });
+      renewedLeaseId = renewed._id;
+    } else {
+      // Declining is the tenant's notice: the unit turns over at lease end.
+      const unit = lease.unitId ? await ctx.db.get(lease.unitId) : null;
+      if (unit) {
+        await startTurnover(ctx, unit, {
+          stage: "notice",
+          leaseId: lease._id,
+          moveOutDate: lease.endDate,
+        });
+      }
+    }
+
+    const now = Date.now();
+    const note = args.note?.trim();
+    await ctx.db.patch(renewal._id, {
+      status: args.outcome,
+      respondedAt: now,
+      respondedBy: access.user._id,
+      ...(note ? { responseNote: note } : {}),
+      ...(renewedLeaseId ? { renewedLeaseId } : {}),
+      updatedAt: now,
+    });
+
+    if (access.tenantId) {
+      const tenant = await ctx.db.get(access.tenantId);
+      const labels: Record<typeof args.outcome, string> = {
+        accepted: "accepted the renewal",
+        declined: "declined the renewal",
+        month_to_month: "chose month to month",
+      };
+      await ctx.db.insert("feedEvents", {
+        eventType: "leaseRenewal",
+        title: "Renewal answered",
+        subtitle: `${tenant ? `${tenant.firstName} ${tenant.lastName}`.trim() : "Tenant"} ${labels[args.outcome]}`,
+        ...(note ? { detail: note } : {}),
+        timestamp: now,
+        isRead: false,
+        isActionRequired: args.outcome === "declined",
+        priority: args.outcome === "declined" ? 2 : 1,
+        propertyId: renewal.propertyId,
+        tenantId: access.tenantId,
+        userId: renewal.userId,
+        createdAt: now,
+      });
+    }
+
+    return await toRenewal(ctx, (await ctx.db.get(renewal._id))!);
+  },
+});
+
+/**
+ * Renewal settings and rent increase caps for the portfolio
+ */
+export const settings = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read");
+    const caps = await ctx.db
+      .query("rentIncreaseCaps")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+    return {
+      settings: await loadSettings(ctx, access.ownerId),
+      defaultNoticeTemplate: DEFAULT_NOTICE_TEMPLATE,
+      caps: caps
+        .map((cap) => ({
+          _id: cap._id,
+          id: cap._id,
+          jurisdiction: cap.jurisdiction,
+          maxIncreasePercent: cap.maxIncreasePercent,
+        }))
+        .sort((a, b) => a.jurisdiction.localeCompare(b.jurisdiction)),
+    };
+  },
+});
+
+export const saveSettings = mutation({
+  args: {
+    sessionToken: v.string(),
+    leadDays: v.number(),
+    termMonths: v.number(),
+    responseDays: v.number(),
+    reminderIntervalDays: v.number(),
+    defaultIncreasePercent: v.number(),
+    noticeTemplate: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const wholeDays = [args.leadDays, args.responseDays, args.reminderIntervalDays];
+    if (wholeDays.some((days) => !Number.isInteger(days) || days < 1)) {
+      throw new Error("Lead time, response window and reminder interval must be at least one day");
+    }
+    if (args.leadDays > MAX_LEAD_DAYS) {
+      throw new Error(`Lead time can be at most ${MAX_LEAD_DAYS} days`);
+    }
+    if (!Number.isInteger(args.termMonths) || args.termMonths < 1) {
+      throw new Error("Renewal term must be at least one month");
+    }
+    if (args.defaultIncreasePercent < 0 || args.defaultIncreasePercent > 100) {
+      throw new Error("Default increase must be between 0 and 100 percent");
+    }
+
+    const template = args.noticeTemplate?.trim();
+    const values = {
+      leadDays: args.leadDays,
+      termMonths: args.termMonths,
+      responseDays: args.responseDays,
+      reminderIntervalDays: args.reminderIntervalDays,
+      defaultIncreasePercent: args.defaultIncreasePercent,
+      // The built-in letter is used whenever no template of their own is saved.
+      noticeTemplate: template && template !== DEFAULT_NOTICE_TEMPLATE ? template : undefined,
+      updatedAt: Date.now(),
+    };
+    const existing = await ctx.db
+      .query("renewalSettings")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .first();
+    if (existing) {
+      await ctx.db.patch(existing._id, values);
+    } else {
+      await ctx.db.insert("renewalSettings", { ...values, userId: access.ownerId });
+    }
+    return await loadSettings(ctx, access.ownerId);
+  },
+});
+
+/**
+ * Set the maximum yearly increase for a state or city
+ */
+export const setCap = mutation({
+  args: {
+    sessionToken: v.string(),
+    jurisdiction: v.string(),
+    maxIncreasePercent: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const jurisdiction = normalizeJurisdiction(args.jurisdiction);
+    if (!jurisdiction) {
+      throw new Error("Jurisdiction is required");
+    }
+    if (args.maxIncreasePercent < 0 || args.maxIncreasePercent > 100) {
+      throw new Error("Maximum increase must be between 0 and 100 percent");
+    }
+
+    const existing = await ctx.db
+      .query("rentIncreaseCaps")
+      .withIndex("by_user_jurisdiction", (q) =>
+        q.eq("userId", access.ownerId).eq("jurisdiction", jurisdiction)
+      )
+      .first();
+    const values = { maxIncreasePercent: args.maxIncreasePercent, updatedAt: Date.now() };
+    if (existing) {
+      await ctx.db.patch(existing._id, values);
+    } else {
+      await ctx.db.insert("rentIncreaseCaps", { ...values, jurisdiction, userId: access.ownerId });
+    }
+    return { jurisdiction, maxIncreasePercent: args.maxIncreasePercent };
+  },
+});
+
+export const removeCap = mutation({
+  args: { sessionToken: v.string(), id: v.id("rentIncreaseCaps") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const cap = await ctx.db.get(args.id);
+    if (!cap || cap.userId !== access.ownerId) {
+      throw new Error("Rent increase cap not found");
+    }
+    await ctx.db.delete(cap._id);
+    return { success: true };
+  },
+});
+
+function dayLabel(timestamp: number | undefined) {
+  if (!timestamp) {
+    return "-";
+  }
+  return new Date(timestamp).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function dollars(amount: number) {
+  return `$${amount.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Letter text and recipients for a renewal notice
+ */
+async function noticeFor(ctx: QueryCtx, renewal: Doc<"leaseRenewals">, responseDueAt: number) {
+  const lease = await ctx.db.get(renewal.leaseId);
+  const property = await ctx.db.get(renewal.propertyId);
+  const landlord = await ctx.db.get(renewal.userId);
+  if (!lease || !property) {
+    throw new Error("Lease not found");
+  }
+
+  const tenants = [];
+  for (const tenantId of lease.tenantIds) {
+    const tenant = await ctx.db.get(tenantId);
+    if (tenant) {
+      tenants.push(tenant);
+    }
+  }
+  const settings = await loadSettings(ctx, renewal.userId);
+  const tenantNames = tenants.map((tenant) => `${tenant.firstName} ${tenant.lastName}`.trim());
+  const address = `${property.address}${lease.unit ? `, Unit ${lease.unit}` : ""}, ${property.city}, ${property.state} ${property.zipCode}`;
+
+  return {
+    ownerId: renewal.userId,
+    tenantId: lease.tenantIds[0],
+    emails: tenants.map((tenant) => tenant.email),
+    tenantNames: tenantNames.join(", "),
+    landlordName: landlord?.name ?? "Your landlord",
+    letter: renderTemplate(settings.noticeTemplate, {
+      tenantNames: tenantNames.join(" and ") || "Resident",
+      propertyAddress: address,
+      leaseEndDate: dayLabel(lease.endDate),
+      startDate: dayLabel(renewal.proposedStartDate),
+      endDate: dayLabel(renewal.proposedEndDate),
+      currentRent: dollars(renewal.currentRent),
+      proposedRent: dollars(renewal.proposedRent),
+      responseDeadline: dayLabel(responseDueAt),
+      landlordName: landlord?.name ?? "Your landlord",
+    }),
+  };
+}
+
+export const noticeData = internalQuery({
+  args: { sessionToken: v.string(), id: v.id("leaseRenewals") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const renewal = await requireOwned(ctx, access, "leaseRenewals", args.id);
+    if (!OPEN_STATUSES.includes(renewal.status)) {
+      throw new Error("The tenant has already answered this offer");
+    }
+    const settings = await loadSettings(ctx, renewal.userId);
+    const responseDueAt = startOfUtcDay(Date.now()) + settings.responseDays * DAY_MS;
+    return { ...(await noticeFor(ctx, renewal, responseDueAt)), responseDueAt };
+  },
+});
+
+/**
+ * File the generated notice with the tenant's documents and start waiting
+ * for an answer
+ */
+export const markSent = internalMutation({
+  args: {
+    id: v.id("leaseRenewals"),
+    ownerId: v.id("users"),
+    storageId: v.id("_storage"),
+    title: v.string(),
+    fileSizeBytes: v.number(),
+    responseDueAt: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const renewal = await ctx.db.get(args.id);
+    if (!renewal) {
+      throw new Error("Renewal offer not found");
+    }
+    if (renewal.userId !== args.ownerId) {
+      throw forbidden();
+    }
+    const lease = await ctx.db.get(renewal.leaseId);
+
+    const now = Date.now();
+    if (renewal.noticeDocumentId) {
+      const previous = await ctx.db.get(renewal.noticeDocumentId);
+      if (previous) {
+        await ctx.storage.delete(previous.storageId);
+        await ctx.db.delete(previous._id);
+      }
+    }
+    const documentId = await ctx.db.insert("documents", {
+      userId: renewal.userId,
+      propertyId: renewal.propertyId,
+      ...(lease ? { tenantId: lease.tenantIds[0] } : {}),
+      title: args.title,
+      category: "lease",
+      storageId: args.storageId,
+      contentType: "application/pdf",
+      fileSizeBytes: args.fileSizeBytes,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await ctx.db.patch(renewal._id, {
+      status: "sent",
+      noticeDocumentId: documentId,
+      sentAt: now,
+      responseDueAt: args.responseDueAt,
+      updatedAt: now,
+    });
+
+    return {
+      documentId,
+      downloadURL: await ctx.storage.getUrl(args.storageId),
+    };
+  },
+});
+
+/**
+ * Draft offers for leases entering their owner's lead time, and roll
+ * month-to-month leases over another month
+ */
+export const draftDue = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const leases = await ctx.db
+      .query("leases")
+      .withIndex("by_status_end", (q) =>
+        q.eq("status", "active").lte("endDate", now + MAX_LEAD_DAYS * DAY_MS)
+      )
+      .collect();
+
+    const settingsByOwner = new Map<Id<"users">, RenewalSettings>();
+    let drafted = 0;
+    let rolledOver = 0;
+
+    for (const lease of leases) {
+      // Tenants who gave notice are moving out, not renewing.
+      if (lease.unitId && (await openTurnoverFor(ctx, lease.unitId))) {
+        continue;
+      }
+      if (lease.monthToMonth) {
+        if (lease.endDate <= now + MONTH_TO_MONTH_ROLLOVER_DAYS * DAY_MS) {
+          await renewLease(ctx, lease, {
+            endDate: addUtcMonths(startOfUtcDay(lease.endDate) + DAY_MS, 1) - DAY_MS,
+            monthlyRent: lease.monthlyRent,
+            monthToMonth: true,
+          });
+          rolledOver += 1;
+        }
+        continue;
+      }
+
+      if (!settingsByOwner.has(lease.userId)) {
+        settingsByOwner.set(lease.userId, await loadSettings(ctx, lease.userId));
+      }
+      const settings = settingsByOwner.get(lease.userId)!;
+      // Leases that already ended are left for the owner to deal with.
+      if (lease.endDate < now || lease.endDate > now + settings.leadDays * DAY_MS) {
+        continue;
+      }
+      const existing = await ctx.db
+        .query("leaseRenewals")
+        .withIndex("by_lease", (q) => q.eq("leaseId", lease._id))
+        .first();
+      if (existing) {
+        continue;
+      }
+      await draftRenewal(ctx, lease, settings);
+      drafted += 1;
+    }
+
+    return { drafted, rolledOver };
+  },
+});
+
+/**
+ * Sent offers still waiting on the tenant whose next reminder is due
+ */
+export const dueReminders = internalQuery({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const sent = await ctx.db
+      .query("leaseRenewals")
+      .withIndex("by_status", (q) => q.eq("status", "sent"))
+      .collect();
+
+    const due = [];
+    for (const renewal of sent) {
+      const settings = await loadSettings(ctx, renewal.userId);
+      const last = renewal.lastReminderAt ?? renewal.sentAt ?? renewal.createdAt;
+      if (now - last < settings.reminderIntervalDays * DAY_MS) {
+        continue;
+      }
+      const notice = await noticeFor(ctx, renewal, renewal.responseDueAt ?? now);
+      due.push({
+        id: renewal._id,
+        emails: notice.emails,
+        tenantNames: notice.tenantNames,
+        landlordName: notice.landlordName,
+        letter: notice.letter,
+        responseDueAt: renewal.responseDueAt,
+      });
+    }
+    return due;
+  },
+});
+
+/**
+ * Count a reminder, and tell the owner once the response deadline passes
+ */
+export const recordReminder = internalMutation({
+  args: { id: v.id("leaseRenewals"), tenantNames: v.string() },
+  handler: async (ctx, args) => {
+    const renewal = await ctx.db.get(args.id);
+    if (!renewal || renewal.status !== "sent") {
+      return;
+    }
+    const now = Date.now();
+    await ctx.db.patch(renewal._id, {
+      remindersSent: (renewal.remindersSent ?? 0) + 1,
+      lastReminderAt: now,
+      updatedAt: now,
+    });
+
+    if (renewal.responseDueAt && renewal.responseDueAt < now && !renewal.overdueAlertedAt) {
+      const lease = await ctx.db.get(renewal.leaseId);
+      await ctx.db.insert("feedEvents", {
+        eventType: "leaseRenewal",
+        title: "No answer to renewal offer",
+        subtitle: `${args.tenantNames || "Tenant"} · lease ends ${new Date(lease?.endDate ?? now).toISOString().slice(0, 10)}`,
+        detail: "Follow up with the tenant, or record their answer if they gave it another way.",
+        timestamp: now,
+        isRead: false,
+        isActionRequired: true,
+        actionLabel: "Review renewal",
+        priority: 2,
+        propertyId: renewal.propertyId,
+        ...(lease ? { tenantId: lease.tenantIds[0] } : {}),
+        userId: renewal.userId,
+        createdAt: now,
+      });
+      await ctx.db.patch(renewal._id, { overdueAlertedAt: now });
+    }
+  },
+});
@@ -0,0 +1,388 @@
+import { v } from "convex/values";
+import { mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
+import { DAY_MS, roundCents, startOfUtcDay } from "./rentLedger";
+import { refreshUnitStatus, resolveUnit } from "./units";
+
+export type RecurringCharge = { description: string; amount: number };
+
+const recurringChargeValidator = v.object({
+  description: v.string(),
+  amount: v.number(),
+});
+
+type LeaseTerms = {
+  startDate: number;
+  endDate: number;
+  monthlyRent: number;
+  securityDeposit: number;
+};
+
+function validateTerms(terms: LeaseTerms) {
+  if (terms.endDate <= terms.startDate) {
+    throw new Error("Lease end date must be after its start date");
+  }
+  if (terms.monthlyRent < 0 || terms.securityDeposit < 0) {
+    throw new Error("Rent and deposit can't be negative");
+  }
+}
+
+function cleanCharges(charges: RecurringCharge[]): RecurringCharge[] {
+  return charges.map((charge) => {
+    const description = charge.description.trim();
+    if (!description) {
+      throw new Error("Recurring charges need a description");
+    }
+    if (!(charge.amount > 0)) {
+      throw new Error("Recurring charge amounts must be greater than zero");
+    }
+    return { description, amount: roundCents(charge.amount) };
+  });
+}
+
+async function toLease(ctx: QueryCtx, lease: Doc<"leases">) {
+  const tenants = [];
+  for (const tenantId of lease.tenantIds) {
+    const tenant = await ctx.db.get(tenantId);
+    if (tenant) {
+      tenants.push({
+        _id: tenant._id,
+        id: tenant._id,
+        name: `${tenant.firstName} ${tenant.lastName}`.trim(),
+        email: tenant.email,
+      });
+    }
+  }
+  const document = lease.documentId ? await ctx.db.get(lease.documentId) : null;
+
+  return {
+    _id: lease._id,
+    id: lease._id,
+    propertyId: lease.propertyId,
+    unit: lease.unit,
+    unitId: lease.unitId,
+    tenantIds: lease.tenantIds,
+    tenants,
+    startDate: lease.startDate,
+    endDate: lease.endDate,
+    monthlyRent: lease.monthlyRent,
+    securityDeposit: lease.securityDeposit,
+    recurringCharges: lease.recurringCharges ?? [],
+    documentId: lease.documentId,
+    documentTitle: document?.title,
+    documentURL: document ? await ctx.storage.getUrl(document.storageId) : null,
+    previousLeaseId: lease.previousLeaseId,
+    status: lease.status,
+    monthToMonth: lease.monthToMonth ?? false,
+    notes: lease.notes,
+    createdAt: lease.createdAt,
+    updatedAt: lease.updatedAt,
+  };
+}
+
+/**
+ * Copy a lease's terms onto its tenants' rows, which rent scheduling, the
+ * portal and the mobile app read.
+ */
+export async function syncLeaseTenants(ctx: MutationCtx, lease: Doc<"leases">) {
+  const now = Date.now();
+  for (const tenantId of lease.tenantIds) {
+    await ctx.db.patch(tenantId, {
+      leaseId: lease._id,
+      propertyId: lease.propertyId,
+      unit: lease.unit,
+      unitId: lease.unitId,
+      leaseStartDate: lease.startDate,
+      leaseEndDate: lease.endDate,
+      monthlyRent: lease.monthlyRent,
+      securityDeposit: lease.securityDeposit,
+      updatedAt: now,
+    });
+  }
+}
+
+/**
+ * Move a tenant row that predates leases onto one, built from the terms on
+ * the row. With `joinCoTenants`, a tenant whose property, unit and dates match
+ * an existing lease joins it instead, which is how roommates entered as
+ * separate tenants end up sharing one lease.
+ */
+export async function ensureTenantLease(
+  ctx: MutationCtx,
+  tenant: Doc<"tenants">,
+  options: { joinCoTenants?: boolean } = {}
+): Promise<Id<"leases">> {
+  if (tenant.leaseId) {
+    return tenant.leaseId;
+  }
+  const status = tenant.isActive ? "active" : "ended";
+
+  if (options.joinCoTenants) {
+    const property = await ctx.db.get(tenant.propertyId);
+    // Without unit labels, tenants of a multi-unit building can't be told apart.
+    if (tenant.unit || (property?.units ?? 1) <= 1) {
+      const candidates = await ctx.db
+        .query("leases")
+        .withIndex("by_property", (q) => q.eq("propertyId", tenant.propertyId))
+        .collect();
+      const match = candidates.find(
+        (lease) =>
+          lease.userId === tenant.userId &&
+          lease.status === status &&
+          lease.unit === tenant.unit &&
+          lease.startDate === tenant.leaseStartDate &&
+          lease.endDate === tenant.leaseEndDate
+      );
+      if (match) {
+        await ctx.db.patch(match._id, {
+          tenantIds: [...match.tenantIds, tenant._id],
+          updatedAt: Date.now(),
+        });
+        await ctx.db.patch(tenant._id, { leaseId: match._id });
+        return match._id;
+      }
+    }
+  }
+
+  const now = Date.now();
+  const leaseId = await ctx.db.insert("leases", {
+    propertyId: tenant.propertyId,
+    unit: tenant.unit,
+    unitId: tenant.unitId,
+    tenantIds: [tenant._id],
+    startDate: tenant.leaseStartDate,
+    endDate: tenant.leaseEndDate,
+    monthlyRent: tenant.monthlyRent,
+    securityDeposit: tenant.securityDeposit,
+    status,
+    userId: tenant.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  await ctx.db.patch(tenant._id, { leaseId });
+  return leaseId;
+}
+
+/**
+ * Replace the current lease with a renewal on new terms. The old lease is
+ * kept as history; the renewal keeps its tenants, unit and recurring charges
+ * unless new ones are given.
+ */
+export async function renewLease(
+  ctx: MutationCtx,
+  lease: Doc<"leases">,
+  next: {
+    startDate?: number;
+    endDate: number;
+    monthlyRent: number;
+    securityDeposit?: number;
+    recurringCharges?: RecurringCharge[];
+    documentId?: Id<"documents">;
+    notes?: string;
+    monthToMonth?: boolean;
+  }
+): Promise<Doc<"leases">> {
+  if (lease.status !== "active") {
+    throw new Error("Only the current lease can be renewed");
+  }
+
+  const startDate = next.startDate ?? startOfUtcDay(lease.endDate) + DAY_MS;
+  if (startDate <= lease.endDate) {
+    throw new Error("A renewal has to start after the current lease ends");
+  }
+  const terms = {
+    startDate,
+    endDate: next.endDate,
+    monthlyRent: next.monthlyRent,
+    securityDeposit: next.securityDeposit ?? lease.securityDeposit,
+  };
+  validateTerms(terms);
+
+  const now = Date.now();
+  await ctx.db.patch(lease._id, { status: "renewed", updatedAt: now });
+  const renewalId = await ctx.db.insert("leases", {
+    propertyId: lease.propertyId,
+    unit: lease.unit,
+    unitId: lease.unitId,
+    tenantIds: lease.tenantIds,
+    ...terms,
+    recurringCharges: cleanCharges(next.recurringCharges ?? lease.recurringCharges ?? []),
+    ...(next.documentId ? { documentId: next.documentId } : {}),
+    previousLeaseId: lease._id,
+    status: "active",
+    ...(next.monthToMonth ? { monthToMonth: true } : {}),
+    ...(next.notes?.trim() ? { notes: next.notes.trim() } : {}),
+    userId: lease.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  const renewal = (await ctx.db.get(renewalId))!;
+  await syncLeaseTenants(ctx, renewal);
+  return renewal;
+}
+
+/**
+ * List leases, newest first (tenants only see their own)
+ */
+export const list = query({
+  args: {
+    sessionToken: v.string(),
+    propertyId: v.optional(v.id("properties")),
+    tenantId: v.optional(v.id("tenants")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read", {
+      allowTenant: true,
+    });
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    await requireOwnedRef(ctx, access, "tenants", args.tenantId);
+    const tenantId = access.tenantId ?? args.tenantId;
+
+    const leases = args.propertyId
+      ? await ctx.db
+          .query("leases")
+          .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
+          .collect()
+      : await ctx.db
+          .query("leases")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
+
+    const visible = leases
+      .filter((lease) => lease.userId === access.ownerId)
+      .filter((lease) => !tenantId || lease.tenantIds.includes(tenantId))
+      .sort((a, b) => b.startDate - a.startDate);
+    return await Promise.all(visible.map((lease) => toLease(ctx, lease)));
+  },
+});
+
+/**
+ * Get a lease with the chain of leases it renewed, most recent first
+ */
+export const get = query({
+  args: { sessionToken: v.string(), id: v.id("leases") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read", {
+      allowTenant: true,
+    });
+    const lease = await ctx.db.get(args.id);
+    if (
+      !lease ||
+      lease.userId !== access.ownerId ||
+      (access.tenantId && !lease.tenantIds.includes(access.tenantId))
+    ) {
+      throw new Error("Lease not found");
+    }
+
+    const history = [];
+    let previousId = lease.previousLeaseId;
+    while (previousId) {
+      const previous: Doc<"leases"> | null = await ctx.db.get(previousId);
+      if (!previous || previous.userId !== access.ownerId) {
+        break;
+      }
+      history.push(await toLease(ctx, previous));
+      previousId = previous.previousLeaseId;
+    }
+
+    return { ...(await toLease(ctx, lease)), history };
+  },
+});
+
+/**
+ * Correct a lease's terms. To change terms going forward, renew instead so
+ * the old terms stay on record.
+ */
+export const update = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("leases"),
+    unit: v.optional(v.string()),
+    startDate: v.optional(v.number()),
+    endDate: v.optional(v.number()),
+    monthlyRent: v.optional(v.number()),
+    securityDeposit: v.optional(v.number()),
+    recurringCharges: v.optional(v.array(recurringChargeValidator)),
+    documentId: v.optional(v.id("documents")),
+    clearDocument: v.optional(v.boolean()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const lease = await requireOwned(ctx, access, "leases", args.id);
+    await requireOwnedRef(ctx, access, "documents", args.documentId);
+
+    const terms = {
+      startDate: args.startDate ?? lease.startDate,
+      endDate: args.endDate ?? lease.endDate,
+      monthlyRent: args.monthlyRent ?? lease.monthlyRent,
+      securityDeposit: args.securityDeposit ?? lease.securityDeposit,
+    };
+    validateTerms(terms);
+
+    let unitFields = {};
+    if (args.unit !== undefined) {
+      const property = await requireOwned(ctx, access, "properties", lease.propertyId);
+      const unit = await resolveUnit(ctx, property, args.unit);
+      unitFields = { unit: unit?.label ?? (args.unit.trim() || undefined), unitId: unit?._id };
+    }
+
+    await ctx.db.patch(lease._id, {
+      ...terms,
+      ...unitFields,
+      ...(args.recurringCharges !== undefined
+        ? { recurringCharges: cleanCharges(args.recurringCharges) }
+        : {}),
+      ...(args.documentId !== undefined ? { documentId: args.documentId } : {}),
+      ...(args.clearDocument ? { documentId: undefined } : {}),
+      ...(args.notes !== undefined ? { notes: args.notes.trim() || undefined } : {}),
+      updatedAt: Date.now(),
+    });
+
+    const updated = await ctx.db.get(lease._id);
+    if (updated!.status === "active") {
+      await syncLeaseTenants(ctx, updated!);
+      await refreshUnitStatus(ctx, lease.unitId);
+      await refreshUnitStatus(ctx, updated!.unitId);
+    }
+    return await toLease(ctx, updated!);
+  },
+});
+
+/**
+ * Renew a lease: the current lease is kept as history and a new one with the
+ * same tenants takes over from the day after it ends, unless another start
+ * date is given.
+ */
+export const renew = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("leases"),
+    startDate: v.optional(v.number()),
+    endDate: v.number(),
+    monthlyRent: v.number(),
+    securityDeposit: v.optional(v.number()),
+    recurringCharges: v.optional(v.array(recurringChargeValidator)),
+    documentId: v.optional(v.id("documents")),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const lease = await requireOwned(ctx, access, "leases", args.id);
+    await requireOwnedRef(ctx, access, "documents", args.documentId);
+
+    const renewal = await renewLease(ctx, lease, {
+      startDate: args.startDate,
+      endDate: args.endDate,
+      monthlyRent: args.monthlyRent,
+      securityDeposit: args.securityDeposit,
+      recurringCharges: args.recurringCharges,
+      documentId: args.documentId,
+      notes: args.notes,
+    });
+    return await toLease(ctx, renewal);
+  },
+});
@@ -0,0 +1,147 @@
+export type FeedListing = {
+  slug: string;
+  title: string;
+  description: string;
+  monthlyRent: number;
+  securityDeposit?: number;
+  availableDate?: number;
+  photos: { url: string; caption?: string }[];
+  propertyType: string;
+  street: string;
+  unitLabel?: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  bedrooms?: number;
+  bathrooms?: number;
+  squareFeet?: number;
+  contactName: string;
+  contactEmail?: string;
+  createdAt: number;
+  updatedAt: number;
+};
+
+type Feed = { ownerName: string; listings: FeedListing[] };
+
+function isoDay(timestamp: number | undefined) {
+  return timestamp === undefined ? undefined : new Date(timestamp).toISOString().slice(0, 10);
+}
+
+export function listingPageUrl(appUrl: string, slug: string) {
+  return `${appUrl}/listing/${slug}`;
+}
+
+/**
+ * JSON Feed 1.1, with the rental terms under a `_rental` extension so
+ * generic feed readers still show the headline, photo and description
+ */
+export function toJsonFeed(feed: Feed, appUrl: string, feedUrl: string) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: `Rentals from ${feed.ownerName}`,
+    home_page_url: appUrl,
+    feed_url: feedUrl,
+    items: feed.listings.map((listing) => ({
+      id: listing.slug,
+      url: listingPageUrl(appUrl, listing.slug),
+      title: listing.title,
+      content_text: listing.description,
+      image: listing.photos[0]?.url,
+      date_published: new Date(listing.createdAt).toISOString(),
+      date_modified: new Date(listing.updatedAt).toISOString(),
+      _rental: {
+        monthly_rent: listing.monthlyRent,
+        security_deposit: listing.securityDeposit,
+        currency: "USD",
+        available_date: isoDay(listing.availableDate) ?? "now",
+        property_type: listing.propertyType,
+        bedrooms: listing.bedrooms,
+        bathrooms: listing.bathrooms,
+        square_feet: listing.squareFeet,
+        address: {
+          street: listing.street,
+          unit: listing.unitLabel,
+          city: listing.city,
+          state: listing.state,
+          postal_code: listing.zipCode,
+          country: "US",
+        },
+        photos: listing.photos,
+        apply_url: `${appUrl}/apply/${listing.slug}`,
+        contact: {
+          name: listing.contactName,
+          ...(listing.contactEmail ? { email: listing.contactEmail } : {}),
+        },
+      },
+    })),
+  };
+}
+
+// Zillow's feed only takes its own building types
+function zillowPropertyType(propertyType: string) {
+  const type = propertyType.toLowerCase();
+  if (type.includes("condo")) return "CONDO";
+  if (type.includes("town")) return "TOWNHOUSE";
+  if (type.includes("multi") || type.includes("apartment") || type.includes("duplex")) {
+    return "MEDIUM";
+  }
+  return "HOUSE";
+}
+
+// renewalNotices.ts has an escaper, but it runs in Node and this doesn't.
+function escapeXml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function tag(name: string, value: string | number | undefined, indent = "    ") {
+  return value === undefined || value === "" ? [] : [`${indent}<${name}>${escapeXml(String(value))}</${name}>`];
+}
+
+/**
+ * The Zillow Rental Network listing feed (HotPads format 2.1), which Zillow,
+ * Trulia and HotPads pull from a URL on a schedule
+ */
+export function toZillowFeed(feed: Feed, appUrl: string) {
+  const listings = feed.listings.map((listing) => {
+    const bathrooms = listing.bathrooms ?? 0;
+    return [
+      `  <Listing id="${escapeXml(listing.slug)}" type="RENTAL" propertyType="${zillowPropertyType(listing.propertyType)}">`,
+      ...tag("name", listing.title),
+      ...tag("unit", listing.unitLabel),
+      `    <street hide="false">${escapeXml(listing.street)}</street>`,
+      ...tag("city", listing.city),
+      ...tag("state", listing.state),
+      ...tag("zip", listing.zipCode),
+      ...tag("country", "US"),
+      ...tag("contactName", listing.contactName),
+      ...tag("contactEmail", listing.contactEmail),
+      ...tag("description", listing.description),
+      ...tag("website", listingPageUrl(appUrl, listing.slug)),
+      ...listing.photos.flatMap((photo) => [
+        `    <ListingPhoto source="${escapeXml(photo.url)}">`,
+        ...tag("caption", photo.caption, "      "),
+        "    </ListingPhoto>",
+      ]),
+      ...tag("price", listing.monthlyRent),
+      ...tag("pricingFrequency", "MONTHLY"),
+      ...tag("deposit", listing.securityDeposit),
+      ...tag("numBedrooms", listing.bedrooms),
+      ...tag("numFullBaths", listing.bathrooms !== undefined ? Math.floor(bathrooms) : undefined),
+      ...tag("numHalfBaths", listing.bathrooms !== undefined ? (bathrooms % 1 >= 0.5 ? 1 : 0) : undefined),
+      ...tag("squareFeet", listing.squareFeet),
+      ...tag("dateAvailable", isoDay(listing.availableDate)),
+      "  </Listing>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<hotPadsItems version="2.1">',
+    ...listings,
+    "</hotPadsItems>",
+    "",
+  ].join("\n");
+}
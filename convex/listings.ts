@@ -0,0 +1,418 @@
+import { v } from "convex/values";
+import { internalQuery, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned } from "./authorization";
+import type { FeedListing } from "./listingFeed";
+import { startOfUtcDay } from "./rentLedger";
+
+// Units that can take applications: empty, or about to be
+const LISTABLE_STATUSES = ["vacant", "notice"];
+
+const MAX_PHOTOS = 20;
+
+function validateEmail(email: string) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+const photoValidator = v.object({
+  storageId: v.id("_storage"),
+  caption: v.optional(v.string()),
+});
+
+function generateSlug() {
+  const bytes = new Uint8Array(12);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// turnovers.ts publishes listings, so the open turnover is looked up here
+// rather than imported from there.
+async function openTurnover(ctx: QueryCtx, unitId: Id<"units">) {
+  const turnovers = await ctx.db
+    .query("turnovers")
+    .withIndex("by_unit", (q) => q.eq("unitId", unitId))
+    .collect();
+  return turnovers.find((turnover) => turnover.status === "open") ?? null;
+}
+
+export async function activeListingFor(ctx: QueryCtx, unitId: Id<"units">) {
+  const listings = await ctx.db
+    .query("listings")
+    .withIndex("by_unit", (q) => q.eq("unitId", unitId))
+    .collect();
+  return listings.find((listing) => listing.status === "active") ?? null;
+}
+
+/**
+ * Headline and blurb for a listing, built from the unit and property
+ */
+export function describeListing(property: Doc<"properties">, unit: Doc<"units">) {
+  const rooms = [
+    unit.bedrooms === 0 ? "Studio" : unit.bedrooms !== undefined ? `${unit.bedrooms} bed` : null,
+    unit.bathrooms !== undefined ? `${unit.bathrooms} bath` : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const home = property.propertyType.toLowerCase() || "home";
+  const place = `${property.address}${property.units > 1 ? `, Unit ${unit.label}` : ""}`;
+  const size = unit.squareFeet ? ` with ${unit.squareFeet.toLocaleString("en-US")} sq ft` : "";
+  return {
+    title: `${rooms || property.propertyType || "Home"} in ${property.city}`,
+    description: `${rooms ? `${rooms} ` : ""}${home}${size} for rent at ${place}, ${property.city}, ${property.state} ${property.zipCode}.`,
+  };
+}
+
+/**
+ * Stop taking applications for a listing, which also drops it from the feed
+ */
+export async function closeListing(ctx: MutationCtx, listing: Doc<"listings">) {
+  if (listing.status === "closed") {
+    return;
+  }
+  const now = Date.now();
+  await ctx.db.patch(listing._id, { status: "closed", closedAt: now, updatedAt: now });
+}
+
+export async function closeUnitListings(ctx: MutationCtx, unitId: Id<"units">) {
+  const listing = await activeListingFor(ctx, unitId);
+  if (listing) {
+    await closeListing(ctx, listing);
+  }
+}
+
+/**
+ * List a unit from its own details, or update the rent and availability of
+ * the listing it already has
+ */
+export async function publishListing(
+  ctx: MutationCtx,
+  unit: Doc<"units">,
+  terms: { monthlyRent: number; availableDate?: number }
+): Promise<Doc<"listings">> {
+  const now = Date.now();
+  const existing = await activeListingFor(ctx, unit._id);
+  if (existing) {
+    await ctx.db.patch(existing._id, { ...terms, updatedAt: now });
+    return (await ctx.db.get(existing._id))!;
+  }
+  const property = await ctx.db.get(unit.propertyId);
+  if (!property) {
+    throw new Error("Property not found");
+  }
+  const listingId = await ctx.db.insert("listings", {
+    unitId: unit._id,
+    propertyId: unit.propertyId,
+    slug: generateSlug(),
+    status: "active",
+    ...describeListing(property, unit),
+    ...terms,
+    userId: unit.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return (await ctx.db.get(listingId))!;
+}
+
+/**
+ * Photo URLs, falling back to the property's picture
+ */
+async function listingPhotos(ctx: QueryCtx, listing: Doc<"listings">, property: Doc<"properties"> | null) {
+  const photos = [];
+  for (const photo of listing.photos ?? []) {
+    const url = await ctx.storage.getUrl(photo.storageId);
+    if (url) {
+      photos.push({ storageId: photo.storageId, caption: photo.caption, url });
+    }
+  }
+  if (!photos.length && property?.imageURL) {
+    photos.push({ storageId: undefined, caption: undefined, url: property.imageURL });
+  }
+  return photos;
+}
+
+async function toListing(ctx: QueryCtx, listing: Doc<"listings">) {
+  const unit = await ctx.db.get(listing.unitId);
+  const property = await ctx.db.get(listing.propertyId);
+  const applications = await ctx.db
+    .query("rentalApplications")
+    .withIndex("by_listing", (q) => q.eq("listingId", listing._id))
+    .collect();
+  return {
+    _id: listing._id,
+    id: listing._id,
+    unitId: listing.unitId,
+    unitLabel: unit?.label ?? "Unit",
+    propertyId: listing.propertyId,
+    propertyName: property?.name || property?.address || "Unknown property",
+    slug: listing.slug,
+    status: listing.status,
+    title: listing.title,
+    monthlyRent: listing.monthlyRent,
+    securityDeposit: listing.securityDeposit,
+    availableDate: listing.availableDate,
+    description: listing.description,
+    photos: await listingPhotos(ctx, listing, null),
+    contactEmail: listing.contactEmail,
+    applications: applications.length,
+    pendingApplications: applications.filter((application) => application.status === "submitted")
+      .length,
+    closedAt: listing.closedAt,
+    createdAt: listing.createdAt,
+    updatedAt: listing.updatedAt,
+  };
+}
+
+/**
+ * The portfolio's listings, open ones first
+ */
+export const list = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    const listings = await ctx.db
+      .query("listings")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+    listings.sort(
+      (a, b) =>
+        Number(b.status === "active") - Number(a.status === "active") || b.createdAt - a.createdAt
+    );
+
+    const results = [];
+    for (const listing of listings) {
+      results.push(await toListing(ctx, listing));
+    }
+    return results;
+  },
+});
+
+/**
+ * Which portfolio's feed to link to; team members share the owner's feed
+ */
+export const feedInfo = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    return { ownerId: access.ownerId };
+  },
+});
+
+export const generatePhotoUploadUrl = mutation({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    await authorize(ctx, args.sessionToken, "properties", "write");
+    return await ctx.storage.generateUploadUrl();
+  },
+});
+
+/**
+ * Start taking applications for a vacant unit, or one on notice. A unit has
+ * at most one open listing, so opening it again updates it. The headline and
+ * description are written from the unit's details unless given.
+ */
+export const open = mutation({
+  args: {
+    sessionToken: v.string(),
+    unitId: v.id("units"),
+    title: v.optional(v.string()),
+    monthlyRent: v.optional(v.number()),
+    securityDeposit: v.optional(v.number()),
+    availableDate: v.optional(v.number()),
+    description: v.optional(v.string()),
+    photos: v.optional(v.array(photoValidator)),
+    // Shown to listing sites; leave it blank to publish without one
+    contactEmail: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const unit = await requireOwned(ctx, access, "units", args.unitId);
+    const property = await requireOwned(ctx, access, "properties", unit.propertyId);
+    if (!LISTABLE_STATUSES.includes(unit.status)) {
+      throw new Error("Only vacant units and units on notice can take applications");
+    }
+
+    const turnover = await openTurnover(ctx, unit._id);
+    const existing = await activeListingFor(ctx, unit._id);
+    const monthlyRent =
+      args.monthlyRent ?? existing?.monthlyRent ?? turnover?.listedRent ?? unit.marketRent;
+    if (monthlyRent === undefined) {
+      throw new Error("Enter the monthly rent for this listing");
+    }
+    if (!(monthlyRent >= 0) || (args.securityDeposit !== undefined && !(args.securityDeposit >= 0))) {
+      throw new Error("Rent and deposit can't be negative");
+    }
+    if (args.photos && args.photos.length > MAX_PHOTOS) {
+      throw new Error(`A listing can have at most ${MAX_PHOTOS} photos`);
+    }
+    const contactEmail = args.contactEmail?.trim().toLowerCase();
+    if (contactEmail && !validateEmail(contactEmail)) {
+      throw new Error("Enter a valid contact email");
+    }
+
+    const generated = describeListing(property, unit);
+    const now = Date.now();
+    const terms = {
+      title: args.title?.trim() || existing?.title || generated.title,
+      monthlyRent,
+      securityDeposit: args.securityDeposit,
+      availableDate:
+        args.availableDate !== undefined
+          ? startOfUtcDay(args.availableDate)
+          : turnover?.vacantSince !== undefined
+            ? undefined
+            : turnover?.moveOutDate,
+      description:
+        args.description !== undefined
+          ? args.description.trim() || generated.description
+          : existing?.description || generated.description,
+      ...(args.photos !== undefined
+        ? {
+            photos: args.photos.map((photo) => ({
+              storageId: photo.storageId,
+              caption: photo.caption?.trim() || undefined,
+            })),
+          }
+        : {}),
+      contactEmail: contactEmail !== undefined ? contactEmail || undefined : existing?.contactEmail,
+      updatedAt: now,
+    };
+
+    if (existing) {
+      if (args.photos !== undefined) {
+        const kept = new Set(args.photos.map((photo) => photo.storageId));
+        for (const photo of existing.photos ?? []) {
+          if (!kept.has(photo.storageId)) {
+            await ctx.storage.delete(photo.storageId);
+          }
+        }
+      }
+      await ctx.db.patch(existing._id, terms);
+      return await toListing(ctx, (await ctx.db.get(existing._id))!);
+    }
+
+    const listingId = await ctx.db.insert("listings", {
+      unitId: unit._id,
+      propertyId: unit.propertyId,
+      slug: generateSlug(),
+      status: "active",
+      ...terms,
+      userId: unit.userId,
+      createdAt: now,
+    });
+    return await toListing(ctx, (await ctx.db.get(listingId))!);
+  },
+});
+
+export const close = mutation({
+  args: { sessionToken: v.string(), id: v.id("listings") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const listing = await requireOwned(ctx, access, "listings", args.id);
+    await closeListing(ctx, listing);
+    return await toListing(ctx, (await ctx.db.get(listing._id))!);
+  },
+});
+
+/**
+ * What the listing page and application form show. Public: the slug is the
+ * only credential, so only the advertised details are returned.
+ */
+export const publicListing = query({
+  args: { slug: v.string() },
+  handler: async (ctx, args) => {
+    const listing = await ctx.db
+      .query("listings")
+      .withIndex("by_slug", (q) => q.eq("slug", args.slug))
+      .first();
+    if (!listing) {
+      return null;
+    }
+    const unit = await ctx.db.get(listing.unitId);
+    const property = await ctx.db.get(listing.propertyId);
+    const landlord = await ctx.db.get(listing.userId);
+    if (!unit || !property) {
+      return null;
+    }
+    return {
+      accepting: listing.status === "active",
+      title: listing.title,
+      propertyName: property.name,
+      address: property.address,
+      city: property.city,
+      state: property.state,
+      zipCode: property.zipCode,
+      propertyType: property.propertyType,
+      photos: (await listingPhotos(ctx, listing, property)).map((photo) => ({
+        url: photo.url,
+        caption: photo.caption,
+      })),
+      unitLabel: property.units > 1 ? unit.label : undefined,
+      bedrooms: unit.bedrooms,
+      bathrooms: unit.bathrooms,
+      squareFeet: unit.squareFeet,
+      monthlyRent: listing.monthlyRent,
+      securityDeposit: listing.securityDeposit,
+      availableDate: listing.availableDate,
+      description: listing.description,
+      landlordName: landlord?.name ?? "The landlord",
+    };
+  },
+});
+
+/**
+ * A portfolio's active listings for the syndication feed, or null when the
+ * owner doesn't exist
+ */
+export const feed = internalQuery({
+  args: { ownerId: v.string() },
+  handler: async (ctx, args): Promise<{ ownerName: string; listings: FeedListing[] } | null> => {
+    const ownerId = ctx.db.normalizeId("users", args.ownerId);
+    const owner = ownerId ? await ctx.db.get(ownerId) : null;
+    if (!owner) {
+      return null;
+    }
+    const listings = (
+      await ctx.db
+        .query("listings")
+        .withIndex("by_user", (q) => q.eq("userId", owner._id))
+        .collect()
+    ).filter((listing) => listing.status === "active");
+
+    const entries: FeedListing[] = [];
+    for (const listing of listings) {
+      const unit = await ctx.db.get(listing.unitId);
+      const property = await ctx.db.get(listing.propertyId);
+      if (!unit || !property) {
+        continue;
+      }
+      const generated = describeListing(property, unit);
+      entries.push({
+        slug: listing.slug,
+        title: listing.title || generated.title,
+        description: listing.description || generated.description,
+        monthlyRent: listing.monthlyRent,
+        securityDeposit: listing.securityDeposit,
+        availableDate: listing.availableDate,
+        photos: (await listingPhotos(ctx, listing, property)).map((photo) => ({
+          url: photo.url,
+          caption: photo.caption,
+        })),
+        propertyType: property.propertyType,
+        street: property.address,
+        unitLabel: property.units > 1 ? unit.label : undefined,
+        city: property.city,
+        state: property.state,
+        zipCode: property.zipCode,
+        bedrooms: unit.bedrooms,
+        bathrooms: unit.bathrooms,
+        squareFeet: unit.squareFeet,
+        contactName: owner.name,
+        contactEmail: listing.contactEmail,
+        createdAt: listing.createdAt,
+        updatedAt: listing.updatedAt,
+      });
+    }
+    return { ownerName: owner.name, listings: entries };
+  },
+});
@@ -0,0 +1,168 @@
+/// <reference types="node" />
+"use node";
+
+import { v } from "convex/values";
+import { action, internalAction } from "./_generated/server";
+import type { ActionCtx } from "./_generated/server";
+import { internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { appUrl, deliverEmail } from "./email";
+import type { MessageNotice } from "./maintenanceMessages";
+import { escapeHtml } from "./renewalNotices";
+
+/**
+ * Address that posts replies back to the request, when inbound email is set
+ * up (see http.ts)
+ */
+export function replyAddress(token: string) {
+  const domain = process.env.INBOUND_EMAIL_DOMAIN;
+  return domain ? `reply+${token}@${domain}` : undefined;
+}
+
+function messageEmail(notice: MessageNotice, recipient: MessageNotice["recipients"][number]) {
+  const replyTo = replyAddress(recipient.replyToken);
+  const footer = replyTo
+    ? "Reply to this email to answer."
+    : recipient.recipientType === "tenant"
+      ? `Answer in your tenant portal: ${appUrl()}/portal`
+      : recipient.recipientType === "staff"
+        ? `Answer in Highlander Homes: ${appUrl()}/maintenance`
+        : "";
+  const attachments = notice.attachments.map((attachment) => `${attachment.fileName}: ${attachment.url}`);
+  const text = [
+    `${notice.authorName} wrote:`,
+    notice.body,
+    attachments.length ? `Attachments:\n${attachments.join("\n")}` : "",
+    footer,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    subject: notice.subject,
+    replyTo,
+    text,
+    html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
+      <p><strong>${escapeHtml(notice.authorName)}</strong> wrote:</p>
+      <p>${escapeHtml(notice.body).replace(/\n/g, "<br />")}</p>
+      ${notice.attachments
+        .map(
+          (attachment) =>
+            `<p><a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.fileName)}</a></p>`
+        )
+        .join("\n      ")}
+      ${footer ? `<p style="color: #64748b;">${escapeHtml(footer)}</p>` : ""}
+    </div>
+  `,
+  };
+}
+
+async function sendNotice(ctx: ActionCtx, messageId: Id<"maintenanceMessages">) {
+  const notice: MessageNotice | null = await ctx.runMutation(internal.maintenanceMessages.notice, {
+    messageId,
+  });
+  let emailsSent = 0;
+  for (const recipient of notice?.recipients ?? []) {
+    try {
+      await deliverEmail(recipient.email, messageEmail(notice!, recipient));
+      emailsSent += 1;
+    } catch (error) {
+      console.warn("Maintenance message email failed:", error);
+    }
+  }
+  return emailsSent;
+}
+
+/**
+ * Post a message on a maintenance request and email it to the others on the
+ * request. Internal notes stay in the app.
+ */
+export const post = action({
+  args: {
+    sessionToken: v.string(),
+    requestId: v.id("maintenanceRequests"),
+    body: v.string(),
+    internal: v.optional(v.boolean()),
+    attachments: v.optional(
+      v.array(v.object({ storageId: v.id("_storage"), fileName: v.string() }))
+    ),
+  },
+  handler: async (ctx, args): Promise<{ messageId: Id<"maintenanceMessages">; emailsSent: number }> => {
+    const message: { _id: Id<"maintenanceMessages"> } = await ctx.runMutation(
+      internal.maintenanceMessages.record,
+      {
+        sessionToken: args.sessionToken,
+        requestId: args.requestId,
+        body: args.body,
+        internal: args.internal ?? false,
+        attachments: args.attachments ?? [],
+      }
+    );
+    return { messageId: message._id, emailsSent: await sendNotice(ctx, message._id) };
+  },
+});
+
+/**
+ * Email a message that arrived by email on to the rest of the request
+ */
+export const notify = internalAction({
+  args: { messageId: v.id("maintenanceMessages") },
+  handler: async (ctx, args) => {
+    return { emailsSent: await sendNotice(ctx, args.messageId) };
+  },
+});
+
+function hoursLabel(hours: number) {
+  return hours % 24 === 0 && hours >= 48 ? `${hours / 24} days` : `${hours} ${hours === 1 ? "hour" : "hours"}`;
+}
+
+/**
+ * Tell an owner which requests just missed their SLA targets
+ */
+export const slaBreaches = internalAction({
+  args: {
+    email: v.string(),
+    name: v.string(),
+    breaches: v.array(
+      v.object({
+        title: v.string(),
+        propertyName: v.string(),
+        priority: v.string(),
+        stage: v.string(),
+        hours: v.number(),
+      })
+    ),
+  },
+  handler: async (_ctx, args) => {
+    const lines = args.breaches.map(
+      (breach) =>
+        `${breach.title} at ${breach.propertyName}: not ${breach.stage} within ${hoursLabel(breach.hours)} (${breach.priority})`
+    );
+    const link = `${appUrl()}/maintenance`;
+    const count = args.breaches.length;
+    try {
+      await deliverEmail(args.email, {
+        subject: `${count} maintenance ${count === 1 ? "request" : "requests"} missed ${count === 1 ? "its" : "their"} SLA`,
+        text: [`Hi ${args.name},`, "These requests have missed their response targets:", lines.join("\n"), link].join(
+          "\n\n"
+        ),
+        html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
+      <p>Hi ${escapeHtml(args.name)},</p>
+      <p>These requests have missed their response targets:</p>
+      <ul>
+        ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("\n        ")}
+      </ul>
+      <p><a href="${escapeHtml(link)}">Open maintenance</a></p>
+    </div>
+  `,
+      });
+    } catch (error) {
+      // The breaches are still in the feed.
+      console.warn("SLA breach email failed:", error);
+      return { emailed: false };
+    }
+    return { emailed: true };
+  },
+});
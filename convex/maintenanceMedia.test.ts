@@ -0,0 +1,153 @@
+// @vitest-environment edge-runtime
+import { describe, expect, it } from "vitest";
+import { api, internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { claimUploads } from "./maintenanceUploads";
+import { seedPortfolio, setupConvex } from "./test.setup";
+import type { TestConvex } from "./test.setup";
+
+const photo = () => new Blob(["not really a jpeg"], { type: "image/jpeg" });
+
+async function fileRequest(t: TestConvex, seed: Awaited<ReturnType<typeof seedPortfolio>>) {
+  return await t.run((ctx) =>
+    ctx.db.insert("maintenanceRequests", {
+      propertyId: seed.propertyId,
+      title: "Leaking tap",
+      descriptionText: "Kitchen",
+      category: "plumbing",
+      priority: "medium",
+      status: "new",
+      userId: seed.userId,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    })
+  );
+}
+
+// What the upload HTTP action does once the file is in
+async function upload(t: TestConvex, userId: Id<"users">) {
+  const storageId = await t.run((ctx) => ctx.storage.store(photo()));
+  await t.mutation(internal.maintenanceUploads.recordUpload, { storageId, userId });
+  return storageId;
+}
+
+// A photo or video already on a request, as insertMedia writes it
+async function addMediaRow(
+  t: TestConvex,
+  seed: Awaited<ReturnType<typeof seedPortfolio>>,
+  requestId: Id<"maintenanceRequests">,
+  storageId: Id<"_storage">
+) {
+  return await t.run((ctx) =>
+    ctx.db.insert("maintenanceMedia", {
+      requestId,
+      storageId,
+      kind: "photo",
+      contentType: "image/jpeg",
+      fileName: "tap.jpg",
+      fileSizeBytes: 17,
+      url: "https://example.com/tap.jpg",
+      uploadedByType: "staff",
+      uploadedByName: "Owner",
+      userId: seed.userId,
+      createdAt: Date.now(),
+    })
+  );
+}
+
+describe("maintenance media uploads", () => {
+  it("lets the uploader claim a file once", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const storageId = await upload(t, seed.userId);
+    const files = [{ storageId, fileName: "tap.jpg" }];
+
+    await t.run(async (ctx) => {
+      const user = (await ctx.db.get(seed.userId))!;
+      const access = { user, ownerId: user._id, organizationId: null, role: "owner" as const, tenantId: null };
+      await claimUploads(ctx, access, files);
+      await expect(claimUploads(ctx, access, files)).rejects.toThrow("didn't finish uploading");
+    });
+    expect(await t.run((ctx) => ctx.db.query("maintenanceUploads").collect())).toEqual([]);
+  });
+
+  it("won't attach a stored file that wasn't uploaded for maintenance", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const requestId = await fileRequest(t, seed);
+    const storageId = await t.run(async (ctx) => {
+      const storageId = await ctx.storage.store(photo());
+      await ctx.db.insert("documents", {
+        userId: seed.userId,
+        title: "Lease",
+        category: "lease",
+        storageId,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+      return storageId;
+    });
+
+    await expect(
+      t.mutation(api.maintenanceMedia.add, {
+        sessionToken: seed.sessionToken,
+        requestId,
+        files: [{ storageId, fileName: "lease.jpg" }],
+      })
+    ).rejects.toThrow("didn't finish uploading");
+    expect(await t.run((ctx) => ctx.db.query("maintenanceMedia").collect())).toEqual([]);
+  });
+
+  it("won't attach another user's upload", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const requestId = await fileRequest(t, seed);
+    const someoneElse = await t.run((ctx) =>
+      ctx.db.insert("users", {
+        name: "Other",
+        email: "other@example.com",
+        isPremium: false,
+        createdAt: Date.now(),
+      })
+    );
+    const storageId = await upload(t, someoneElse);
+
+    await expect(
+      t.mutation(api.maintenanceMedia.add, {
+        sessionToken: seed.sessionToken,
+        requestId,
+        files: [{ storageId, fileName: "tap.jpg" }],
+      })
+    ).rejects.toThrow("didn't finish uploading");
+  });
+
+  it("keeps a removed photo's file while a document still uses it", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const requestId = await fileRequest(t, seed);
+    const storageId = await t.run((ctx) => ctx.storage.store(photo()));
+    const mediaId = await addMediaRow(t, seed, requestId, storageId);
+    // Both rows were written before uploads were tracked
+    await t.run((ctx) =>
+      ctx.db.insert("documents", {
+        userId: seed.userId,
+        title: "Tap photo",
+        category: "photo",
+        storageId,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      })
+    );
+
+    await t.mutation(api.maintenanceMedia.remove, { sessionToken: seed.sessionToken, id: mediaId });
+    expect(await t.run((ctx) => ctx.db.system.get(storageId))).not.toBeNull();
+
+    await t.run(async (ctx) => {
+      const document = await ctx.db.query("documents").first();
+      await ctx.db.delete(document!._id);
+    });
+    const again = await addMediaRow(t, seed, requestId, storageId);
+    await t.mutation(api.maintenanceMedia.remove, { sessionToken: seed.sessionToken, id: again });
+    expect(await t.run((ctx) => ctx.db.system.get(storageId))).toBeNull();
+  });
+});
@@ -0,0 +1,237 @@
+import { v } from "convex/values";
+import { mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, forbidden, requireOwned } from "./authorization";
+import type { Access } from "./authorization";
+import { claimUploads, deleteUnusedFiles } from "./maintenanceUploads";
+
+const MAX_MEDIA_PER_REQUEST = 30;
+const MAX_PHOTO_BYTES = 15 * 1024 * 1024;
+const MAX_VIDEO_BYTES = 100 * 1024 * 1024;
+const MAX_CAPTION_LENGTH = 500;
+
+export const MEDIA_TAGS = ["before", "after"];
+
+const fileValidator = v.object({
+  storageId: v.id("_storage"),
+  fileName: v.string(),
+});
+
+type MediaFile = { storageId: Id<"_storage">; fileName: string };
+
+function checkTag(tag: string | undefined) {
+  if (tag !== undefined && !MEDIA_TAGS.includes(tag)) {
+    throw new Error(`Unknown tag: ${tag}`);
+  }
+}
+
+/**
+ * Load a request for someone who can see its photos: staff of the
+ * portfolio, or the tenant who filed it
+ */
+async function requestFor(ctx: QueryCtx, access: Access, requestId: Id<"maintenanceRequests">) {
+  const request = await requireOwned(ctx, access, "maintenanceRequests", requestId);
+  if (access.tenantId && request.tenantId !== access.tenantId) {
+    throw forbidden("You can only see photos on your own requests.");
+  }
+  return request;
+}
+
+function toMedia(media: Doc<"maintenanceMedia">, access: Access) {
+  return {
+    _id: media._id,
+    id: media._id,
+    requestId: media.requestId,
+    kind: media.kind,
+    contentType: media.contentType,
+    fileName: media.fileName,
+    fileSizeBytes: media.fileSizeBytes,
+    url: media.url,
+    tag: media.tag,
+    caption: media.caption,
+    uploadedByType: media.uploadedByType,
+    uploadedByName: media.uploadedByName,
+    // Tenants can only remove what they uploaded themselves
+    canRemove: !access.tenantId || media.tenantId === access.tenantId,
+    createdAt: media.createdAt,
+  };
+}
+
+/**
+ * Check photos and videos the caller uploaded and add them to a request,
+ * keeping its photoURLs in step. Used when a request is filed and by `add`.
+ */
+export async function insertMedia(
+  ctx: MutationCtx,
+  access: Access,
+  request: Doc<"maintenanceRequests">,
+  files: MediaFile[],
+  tag?: string
+) {
+  checkTag(tag);
+  const existing = await ctx.db
+    .query("maintenanceMedia")
+    .withIndex("by_request", (q) => q.eq("requestId", request._id))
+    .collect();
+  if (existing.length + files.length > MAX_MEDIA_PER_REQUEST) {
+    throw new Error(`A request can have at most ${MAX_MEDIA_PER_REQUEST} photos and videos`);
+  }
+  await claimUploads(ctx, access, files);
+
+  const tenant = access.tenantId ? await ctx.db.get(access.tenantId) : null;
+  const now = Date.now();
+  const photoURLs = [];
+  for (const file of files) {
+    const stored = await ctx.db.system.get(file.storageId);
+    const url = await ctx.storage.getUrl(file.storageId);
+    if (!stored || !url) {
+      throw new Error(`Upload of ${file.fileName} didn't finish`);
+    }
+    const contentType = stored.contentType ?? "";
+    const kind = contentType.startsWith("image/") ? "photo" : contentType.startsWith("video/") ? "video" : null;
+    if (!kind) {
+      throw new Error(`${file.fileName} isn't a photo or video`);
+    }
+    if (stored.size > (kind === "photo" ? MAX_PHOTO_BYTES : MAX_VIDEO_BYTES)) {
+      throw new Error(`${file.fileName} is over ${kind === "photo" ? 15 : 100} MB`);
+    }
+    await ctx.db.insert("maintenanceMedia", {
+      requestId: request._id,
+      storageId: file.storageId,
+      kind,
+      contentType,
+      fileName: file.fileName.trim() || (kind === "photo" ? "Photo" : "Video"),
+      fileSizeBytes: stored.size,
+      url,
+      ...(tag ? { tag } : {}),
+      uploadedByType: tenant ? "tenant" : "staff",
+      ...(tenant ? { tenantId: tenant._id } : {}),
+      uploadedByName: tenant ? `${tenant.firstName} ${tenant.lastName}`.trim() : access.user.name,
+      userId: request.userId,
+      createdAt: now,
+    });
+    if (kind === "photo") {
+      photoURLs.push(url);
+    }
+  }
+
+  await ctx.db.patch(request._id, {
+    photoURLs: [...(request.photoURLs ?? []), ...photoURLs],
+    updatedAt: now,
+  });
+}
+
+/**
+ * Delete a photo or video along with its file, unless something else
+ * still shows the file
+ */
+export async function deleteMedia(ctx: MutationCtx, media: Doc<"maintenanceMedia">) {
+  await ctx.db.delete(media._id);
+  await deleteUnusedFiles(ctx, media.userId, [media.storageId]);
+}
+
+/**
+ * A request's photos and videos, oldest first. Photo links added before
+ * uploads were kept here come back separately, untagged.
+ */
+export const list = query({
+  args: { sessionToken: v.string(), requestId: v.id("maintenanceRequests") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read", {
+      allowTenant: true,
+    });
+    const request = await requestFor(ctx, access, args.requestId);
+    const media = await ctx.db
+      .query("maintenanceMedia")
+      .withIndex("by_request", (q) => q.eq("requestId", request._id))
+      .collect();
+    const urls = new Set(media.map((entry) => entry.url));
+    return {
+      media: media.map((entry) => toMedia(entry, access)),
+      otherPhotoURLs: (request.photoURLs ?? []).filter((url) => !urls.has(url)),
+    };
+  },
+});
+
+/**
+ * Add uploaded photos and videos to a request, as staff or as the tenant
+ * who filed it. Only staff can tag them.
+ */
+export const add = mutation({
+  args: {
+    sessionToken: v.string(),
+    requestId: v.id("maintenanceRequests"),
+    files: v.array(fileValidator),
+    tag: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write", {
+      allowTenant: true,
+    });
+    const request = await requestFor(ctx, access, args.requestId);
+    if (access.tenantId && args.tag) {
+      throw forbidden("Tenants can't tag photos.");
+    }
+    if (!args.files.length) {
+      throw new Error("Choose at least one photo or video");
+    }
+    await insertMedia(ctx, access, request, args.files, args.tag);
+    return { count: args.files.length };
+  },
+});
+
+/**
+ * Tag a photo or video as before or after the work, or change its caption
+ */
+export const update = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("maintenanceMedia"),
+    tag: v.optional(v.string()),
+    clearTag: v.optional(v.boolean()),
+    caption: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const media = await requireOwned(ctx, access, "maintenanceMedia", args.id);
+    checkTag(args.tag);
+    const caption = args.caption?.trim();
+    if (caption && caption.length > MAX_CAPTION_LENGTH) {
+      throw new Error(`Captions can be at most ${MAX_CAPTION_LENGTH} characters`);
+    }
+
+    await ctx.db.patch(media._id, {
+      ...(args.clearTag ? { tag: undefined } : args.tag ? { tag: args.tag } : {}),
+      ...(args.caption !== undefined ? { caption: caption || undefined } : {}),
+    });
+    return toMedia((await ctx.db.get(media._id))!, access);
+  },
+});
+
+/**
+ * Remove a photo or video from a request and delete its file. Tenants can
+ * only remove their own uploads.
+ */
+export const remove = mutation({
+  args: { sessionToken: v.string(), id: v.id("maintenanceMedia") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write", {
+      allowTenant: true,
+    });
+    const media = await requireOwned(ctx, access, "maintenanceMedia", args.id);
+    if (access.tenantId && media.tenantId !== access.tenantId) {
+      throw forbidden("You can only remove photos you uploaded.");
+    }
+
+    const request = await ctx.db.get(media.requestId);
+    if (request) {
+      await ctx.db.patch(request._id, {
+        photoURLs: (request.photoURLs ?? []).filter((url) => url !== media.url),
+        updatedAt: Date.now(),
+      });
+    }
+    await deleteMedia(ctx, media);
+    return { id: args.id };
+  },
+});
@@ -0,0 +1,103 @@
+// @vitest-environment edge-runtime
+import { describe, expect, it } from "vitest";
+import { api, internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { seedPortfolio, setupConvex } from "./test.setup";
+import type { TestConvex } from "./test.setup";
+
+type Seed = Awaited<ReturnType<typeof seedPortfolio>>;
+
+async function fileRequest(t: TestConvex, seed: Seed) {
+  return await t.run((ctx) =>
+    ctx.db.insert("maintenanceRequests", {
+      propertyId: seed.propertyId,
+      title: "Leaking tap",
+      descriptionText: "Kitchen",
+      category: "plumbing",
+      priority: "medium",
+      status: "new",
+      userId: seed.userId,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    })
+  );
+}
+
+// A message already on the request, with a file that came in by email
+async function postedMessage(t: TestConvex, seed: Seed, requestId: Id<"maintenanceRequests">) {
+  return await t.run(async (ctx) => {
+    const storageId = await ctx.storage.store(new Blob(["%PDF"], { type: "application/pdf" }));
+    await ctx.db.insert("maintenanceMessages", {
+      requestId,
+      authorType: "contractor",
+      authorName: "Ace Plumbing",
+      body: "Quote attached",
+      attachments: [{ storageId, fileName: "quote.pdf" }],
+      internal: false,
+      via: "email",
+      userId: seed.userId,
+      createdAt: Date.now(),
+    });
+    return storageId;
+  });
+}
+
+describe("message attachments", () => {
+  it("won't attach a file from another message", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const requestId = await fileRequest(t, seed);
+    const storageId = await postedMessage(t, seed, requestId);
+
+    await expect(
+      t.mutation(internal.maintenanceMessages.record, {
+        sessionToken: seed.sessionToken,
+        requestId,
+        body: "Forwarding",
+        internal: false,
+        attachments: [{ storageId, fileName: "quote.pdf" }],
+      })
+    ).rejects.toThrow("didn't finish uploading");
+  });
+
+  it("won't attach a file recorded as uploaded once it is on another message", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const requestId = await fileRequest(t, seed);
+    const storageId = await postedMessage(t, seed, requestId);
+    await t.mutation(internal.maintenanceUploads.recordUpload, { storageId, userId: seed.userId });
+
+    await expect(
+      t.mutation(internal.maintenanceMessages.record, {
+        sessionToken: seed.sessionToken,
+        requestId,
+        body: "Forwarding",
+        internal: false,
+        attachments: [{ storageId, fileName: "quote.pdf" }],
+      })
+    ).rejects.toThrow("didn't finish uploading");
+  });
+
+  it("keeps files a document still uses when the request is deleted", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const requestId = await fileRequest(t, seed);
+    const shared = await postedMessage(t, seed, requestId);
+    const own = await postedMessage(t, seed, requestId);
+    await t.run((ctx) =>
+      ctx.db.insert("documents", {
+        userId: seed.userId,
+        title: "Plumbing quote",
+        category: "contractor",
+        storageId: shared,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      })
+    );
+
+    await t.mutation(api.maintenanceRequests.remove, { sessionToken: seed.sessionToken, id: requestId });
+    expect(await t.run((ctx) => ctx.db.query("maintenanceMessages").collect())).toEqual([]);
+    expect(await t.run((ctx) => ctx.db.system.get(shared))).not.toBeNull();
+    expect(await t.run((ctx) => ctx.db.system.get(own))).toBeNull();
+  });
+});
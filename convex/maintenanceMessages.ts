@@ -0,0 +1,420 @@
+import { v } from "convex/values";
+import { internalMutation, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, forbidden, requireOwned } from "./authorization";
+import type { Access } from "./authorization";
+import { normalizeEmail } from "./limits";
+import { claimUploads } from "./maintenanceUploads";
+import { hashSessionToken } from "./sessions";
+
+const MAX_BODY_LENGTH = 5000;
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+const attachmentValidator = v.object({
+  storageId: v.id("_storage"),
+  fileName: v.string(),
+});
+
+type Attachment = Doc<"maintenanceMessages">["attachments"][number];
+
+export type MessageNotice = {
+  subject: string;
+  authorName: string;
+  body: string;
+  attachments: { fileName: string; url: string }[];
+  recipients: {
+    email: string;
+    name: string;
+    recipientType: string;
+    replyToken: string;
+  }[];
+};
+
+function generateToken() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+type ReplyRecipient = {
+  recipientType: string;
+  tenantId?: Id<"tenants">;
+  contractorId?: Id<"contractors">;
+  email: string;
+};
+
+/**
+ * A new reply token for someone emailed about a request. Only its hash is
+ * stored, so each email gets its own; tokens from earlier emails keep
+ * working until the request is deleted.
+ */
+export async function replyTokenFor(
+  ctx: MutationCtx,
+  request: Doc<"maintenanceRequests">,
+  recipient: ReplyRecipient
+) {
+  const token = generateToken();
+  await ctx.db.insert("maintenanceReplyTokens", {
+    requestId: request._id,
+    tokenHash: await hashSessionToken(token),
+    recipientType: recipient.recipientType,
+    ...(recipient.tenantId ? { tenantId: recipient.tenantId } : {}),
+    ...(recipient.contractorId ? { contractorId: recipient.contractorId } : {}),
+    email: recipient.email,
+    userId: request.userId,
+    createdAt: Date.now(),
+  });
+  return token;
+}
+
+/**
+ * The text of an emailed reply, without the quoted message below it
+ */
+export function stripQuotedReply(text: string) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+  for (const line of lines) {
+    if (
+      /^On .+ wrote:\s*$/.test(line) ||
+      /^-{2,}\s*Original Message\s*-{2,}/i.test(line) ||
+      /^From: /.test(line) ||
+      line.startsWith(">")
+    ) {
+      break;
+    }
+    kept.push(line);
+  }
+  return kept.join("\n").trim();
+}
+
+/**
+ * Load a request for someone in its conversation: staff of the portfolio,
+ * or the tenant who filed it
+ */
+async function requestFor(ctx: QueryCtx, access: Access, requestId: Id<"maintenanceRequests">) {
+  const request = await requireOwned(ctx, access, "maintenanceRequests", requestId);
+  if (access.tenantId && request.tenantId !== access.tenantId) {
+    throw forbidden("You can only see messages on your own requests.");
+  }
+  return request;
+}
+
+/**
+ * Check files the caller uploaded and fill in their type and size
+ */
+async function readAttachments(
+  ctx: MutationCtx,
+  access: Access,
+  attachments: { storageId: Id<"_storage">; fileName: string }[]
+): Promise<Attachment[]> {
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`Attach at most ${MAX_ATTACHMENTS} files`);
+  }
+  await claimUploads(ctx, access, attachments);
+  const results = [];
+  for (const attachment of attachments) {
+    const stored = await ctx.db.system.get(attachment.storageId);
+    if (!stored) {
+      throw new Error(`Upload of ${attachment.fileName} didn't finish`);
+    }
+    const contentType = stored.contentType ?? "";
+    if (!contentType.startsWith("image/") && contentType !== "application/pdf") {
+      throw new Error(`${attachment.fileName} isn't a photo or PDF`);
+    }
+    if (stored.size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`${attachment.fileName} is over 10 MB`);
+    }
+    results.push({
+      storageId: attachment.storageId,
+      fileName: attachment.fileName.trim() || "Attachment",
+      contentType,
+      fileSizeBytes: stored.size,
+    });
+  }
+  return results;
+}
+
+function cleanBody(body: string, attachments: Attachment[]) {
+  const text = body.trim();
+  if (!text && !attachments.length) {
+    throw new Error("Write a message or attach a file");
+  }
+  if (text.length > MAX_BODY_LENGTH) {
+    throw new Error(`Messages can be at most ${MAX_BODY_LENGTH} characters`);
+  }
+  return text;
+}
+
+async function attachmentUrls(ctx: QueryCtx, attachments: Attachment[]) {
+  const results = [];
+  for (const attachment of attachments) {
+    const url = await ctx.storage.getUrl(attachment.storageId);
+    if (url) {
+      results.push({ ...attachment, url });
+    }
+  }
+  return results;
+}
+
+async function toMessage(ctx: QueryCtx, message: Doc<"maintenanceMessages">) {
+  return {
+    _id: message._id,
+    id: message._id,
+    requestId: message.requestId,
+    authorType: message.authorType,
+    authorName: message.authorName,
+    body: message.body,
+    attachments: await attachmentUrls(ctx, message.attachments),
+    internal: message.internal,
+    via: message.via,
+    createdAt: message.createdAt,
+  };
+}
+
+/**
+ * Add a message to a request's conversation on someone's behalf, e.g. a
+ * contractor answering a work order. The caller sends the emails.
+ */
+export async function insertMessage(
+  ctx: MutationCtx,
+  request: Doc<"maintenanceRequests">,
+  author: {
+    authorType: string;
+    authorName: string;
+    authorUserId?: Id<"users">;
+    contractorId?: Id<"contractors">;
+  },
+  body: string,
+  via: string
+) {
+  const now = Date.now();
+  const messageId = await ctx.db.insert("maintenanceMessages", {
+    requestId: request._id,
+    ...author,
+    body,
+    attachments: [],
+    internal: false,
+    via,
+    userId: request.userId,
+    createdAt: now,
+  });
+  await ctx.db.patch(request._id, { updatedAt: now });
+  return messageId;
+}
+
+/**
+ * A request's conversation, oldest first. Tenants don't see internal notes.
+ */
+export const list = query({
+  args: { sessionToken: v.string(), requestId: v.id("maintenanceRequests") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read", {
+      allowTenant: true,
+    });
+    const request = await requestFor(ctx, access, args.requestId);
+    const messages = await ctx.db
+      .query("maintenanceMessages")
+      .withIndex("by_request", (q) => q.eq("requestId", request._id))
+      .collect();
+
+    const results = [];
+    for (const message of messages) {
+      if (!message.internal || !access.tenantId) {
+        results.push(await toMessage(ctx, message));
+      }
+    }
+    return results;
+  },
+});
+
+/**
+ * Post a message from the app, as staff or as the tenant on the request.
+ * Called from maintenanceEmails.post, which then emails the other side.
+ */
+export const record = internalMutation({
+  args: {
+    sessionToken: v.string(),
+    requestId: v.id("maintenanceRequests"),
+    body: v.string(),
+    internal: v.boolean(),
+    attachments: v.array(attachmentValidator),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write", {
+      allowTenant: true,
+    });
+    const request = await requestFor(ctx, access, args.requestId);
+    if (access.tenantId && args.internal) {
+      throw forbidden("Tenants can't post internal notes.");
+    }
+    const attachments = await readAttachments(ctx, access, args.attachments);
+    const body = cleanBody(args.body, attachments);
+
+    const tenant = access.tenantId ? await ctx.db.get(access.tenantId) : null;
+    const messageId = await ctx.db.insert("maintenanceMessages", {
+      requestId: request._id,
+      authorType: tenant ? "tenant" : "staff",
+      ...(tenant ? { tenantId: tenant._id } : { authorUserId: access.user._id }),
+      authorName: tenant ? `${tenant.firstName} ${tenant.lastName}`.trim() : access.user.name,
+      body,
+      attachments,
+      internal: args.internal,
+      via: "app",
+      userId: request.userId,
+      createdAt: Date.now(),
+    });
+    await ctx.db.patch(request._id, { updatedAt: Date.now() });
+    return await toMessage(ctx, (await ctx.db.get(messageId))!);
+  },
+});
+
+/**
+ * Who to email about a new message, with a reply token for each: everyone
+ * on the request but its author. The owner hears from the tenant and the
+ * contractor; staff messages go to the tenant and the contractor. Internal
+ * notes aren't emailed.
+ */
+export const notice = internalMutation({
+  args: { messageId: v.id("maintenanceMessages") },
+  handler: async (ctx, args): Promise<MessageNotice | null> => {
+    const message = await ctx.db.get(args.messageId);
+    const request = message ? await ctx.db.get(message.requestId) : null;
+    if (!message || !request || message.internal) {
+      return null;
+    }
+
+    const owner = await ctx.db.get(request.userId);
+    const tenant = request.tenantId ? await ctx.db.get(request.tenantId) : null;
+    const contractor = request.contractorId ? await ctx.db.get(request.contractorId) : null;
+    const candidates = [
+      owner && message.authorType !== "staff"
+        ? { recipientType: "staff", email: owner.email, name: owner.name }
+        : null,
+      tenant?.email && message.authorType !== "tenant"
+        ? {
+            recipientType: "tenant",
+            tenantId: tenant._id,
+            email: tenant.email,
+            name: `${tenant.firstName} ${tenant.lastName}`.trim(),
+          }
+        : null,
+      contractor?.email && message.authorType !== "contractor"
+        ? {
+            recipientType: "contractor",
+            contractorId: contractor._id,
+            email: contractor.email,
+            name: contractor.contactName || contractor.companyName,
+          }
+        : null,
+    ];
+
+    const recipients = [];
+    for (const candidate of candidates) {
+      if (candidate) {
+        recipients.push({
+          email: candidate.email,
+          name: candidate.name,
+          recipientType: candidate.recipientType,
+          replyToken: await replyTokenFor(ctx, request, candidate),
+        });
+      }
+    }
+
+    const property = await ctx.db.get(request.propertyId);
+    return {
+      subject: `Re: ${request.title}${property ? ` at ${property.address}` : ""}`,
+      authorName: message.authorName,
+      body: message.body,
+      attachments: (await attachmentUrls(ctx, message.attachments)).map((attachment) => ({
+        fileName: attachment.fileName,
+        url: attachment.url,
+      })),
+      recipients,
+    };
+  },
+});
+
+/**
+ * The address in a From header such as `Jane Doe <jane@example.com>`
+ */
+function senderAddress(from: string) {
+  return normalizeEmail(from.match(/<([^>]+)>/)?.[1] ?? from);
+}
+
+/**
+ * Post an emailed reply as whoever its reply token was made for. Returns
+ * null when the token is unknown or the reply comes from another address,
+ * so a forwarded or leaked reply address can't post as them.
+ */
+export const receiveEmail = internalMutation({
+  args: {
+    token: v.string(),
+    fromEmail: v.string(),
+    body: v.string(),
+    attachments: v.array(
+      v.object({
+        storageId: v.id("_storage"),
+        fileName: v.string(),
+        contentType: v.optional(v.string()),
+        fileSizeBytes: v.optional(v.number()),
+      })
+    ),
+  },
+  handler: async (ctx, args): Promise<Id<"maintenanceMessages"> | null> => {
+    const tokenHash = await hashSessionToken(args.token);
+    const reply = await ctx.db
+      .query("maintenanceReplyTokens")
+      .withIndex("by_token_hash", (q) => q.eq("tokenHash", tokenHash))
+      .first();
+    const request = reply ? await ctx.db.get(reply.requestId) : null;
+    if (!reply || !request || senderAddress(args.fromEmail) !== normalizeEmail(reply.email)) {
+      return null;
+    }
+    const body = stripQuotedReply(args.body).slice(0, MAX_BODY_LENGTH);
+    if (!body && !args.attachments.length) {
+      return null;
+    }
+
+    let authorName = reply.email;
+    if (reply.recipientType === "tenant" && reply.tenantId) {
+      const tenant = await ctx.db.get(reply.tenantId);
+      authorName = tenant ? `${tenant.firstName} ${tenant.lastName}`.trim() : authorName;
+    } else if (reply.recipientType === "contractor" && reply.contractorId) {
+      const contractor = await ctx.db.get(reply.contractorId);
+      authorName = contractor?.contactName || contractor?.companyName || authorName;
+    } else if (reply.recipientType === "staff") {
+      authorName = (await ctx.db.get(request.userId))?.name ?? authorName;
+    }
+
+    const messageId = await ctx.db.insert("maintenanceMessages", {
+      requestId: request._id,
+      authorType: reply.recipientType,
+      ...(reply.recipientType === "staff" ? { authorUserId: request.userId } : {}),
+      ...(reply.tenantId ? { tenantId: reply.tenantId } : {}),
+      ...(reply.contractorId ? { contractorId: reply.contractorId } : {}),
+      authorName,
+      body,
+      attachments: args.attachments.slice(0, MAX_ATTACHMENTS),
+      internal: false,
+      via: "email",
+      userId: request.userId,
+      createdAt: Date.now(),
+    });
+    await ctx.db.patch(request._id, { updatedAt: Date.now() });
+    return messageId;
+  },
+});
+
+/**
+ * Remove stored files from an inbound email that wasn't posted
+ */
+export const discardUploads = internalMutation({
+  args: { storageIds: v.array(v.id("_storage")) },
+  handler: async (ctx, args) => {
+    for (const storageId of args.storageIds) {
+      await ctx.storage.delete(storageId);
+    }
+  },
+});
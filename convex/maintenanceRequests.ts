@@ -1,108 +1,305 @@
 import { v } from "convex/values";
 import { query, mutation } from "./_generated/server";
+import type { MutationCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, forbidden, requireOwned, requireOwnedRef } from "./authorization";
+import type { Access } from "./authorization";
+import { assignUnit } from "./units";
+import { insertMedia } from "./maintenanceMedia";
+import { deleteUnusedFiles } from "./maintenanceUploads";
+
+export const MAINTENANCE_STATUSES = [
+  "new",
+  "acknowledged",
+  "scheduled",
+  "inProgress",
+  "awaitingParts",
+  "completed",
+  "cancelled",
+];
+
+export const MAINTENANCE_PRIORITIES = ["low", "normal", "high", "urgent", "emergency"];
+
+export const STATUS_LABELS: Record<string, string> = {
+  new: "New",
+  acknowledged: "Acknowledged",
+  scheduled: "Scheduled",
+  inProgress: "In progress",
+  awaitingParts: "Awaiting parts",
+  completed: "Completed",
+  cancelled: "Cancelled",
+};
+
+/**
+ * Where a request can go from each status: one step along new, acknowledged,
+ * scheduled, in progress, awaiting parts and completed (back to in progress
+ * once the parts arrive), or cancelled while open. A closed request can be
+ * reopened; the iOS app's undo after "Mark Complete" relies on this.
+ */
+const STATUS_TRANSITIONS: Record<string, string[]> = {
+  new: ["acknowledged", "cancelled"],
+  acknowledged: ["scheduled", "cancelled"],
+  scheduled: ["inProgress", "cancelled"],
+  inProgress: ["awaitingParts", "completed", "cancelled"],
+  awaitingParts: ["inProgress", "completed", "cancelled"],
+  completed: ["inProgress", "awaitingParts"],
+  cancelled: ["new"],
+};
+
+/**
+ * Statuses saved before the list above was enforced, and the status each
+ * one moves on from
+ */
+const LEGACY_STATUSES: Record<string, string> = {
+  pending: "new",
+  open: "new",
+  "in-progress": "inProgress",
+  in_progress: "inProgress",
+  resolved: "completed",
+  closed: "completed",
+  canceled: "cancelled",
+};
+
+/**
+ * The statuses a request can move to next. A status that is neither current
+ * nor legacy can't move anywhere.
+ */
+function allowedStatuses(status: string) {
+  return STATUS_TRANSITIONS[LEGACY_STATUSES[status] ?? status] ?? [];
+}
+
+export const CLOSED_STATUSES = ["completed", "cancelled"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export type StatusActor = { actorId?: Id<"users">; actorName: string };
+
+export function actorFor(access: Access): StatusActor {
+  return { actorId: access.user._id, actorName: access.user.name };
+}
+
+function statusLabel(status: string) {
+  return STATUS_LABELS[status] ?? status;
+}
 
 /**
- * List all maintenance requests
+ * A request's status history, oldest first. Requests from before history
+ * was kept get one entry for filing and one for their current status.
+ */
+export function statusHistory(request: Doc<"maintenanceRequests">) {
+  if (request.statusHistory?.length) {
+    return request.statusHistory;
+  }
+  const filed = { status: "new", at: request.createdAt, actorName: "Unknown" };
+  if (request.status === "new") {
+    return [filed];
+  }
+  return [
+    filed,
+    {
+      status: request.status,
+      at: request.completedDate ?? request.updatedAt,
+      actorName: "Unknown",
+    },
+  ];
+}
+
+/**
+ * Move a request to another status along STATUS_TRANSITIONS, recording who
+ * did it and why. Moving to the status it's already in does nothing, so
+ * retried calls are harmless.
+ */
+export async function transitionStatus(
+  ctx: MutationCtx,
+  request: Doc<"maintenanceRequests">,
+  status: string,
+  actor: StatusActor,
+  note?: string
+) {
+  if (!MAINTENANCE_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${MAINTENANCE_STATUSES.join(", ")}`);
+  }
+  if (status === request.status) {
+    return request;
+  }
+  if (!allowedStatuses(request.status).includes(status)) {
+    throw new Error(
+      `A request can't go from ${statusLabel(request.status)} to ${statusLabel(status)}`
+    );
+  }
+
+  const now = Date.now();
+  await ctx.db.patch(request._id, {
+    status,
+    statusHistory: [
+      ...statusHistory(request),
+      { status, at: now, ...actor, note: note?.trim() || undefined },
+    ],
+    // Reopening clears the completion date; completing again sets it anew.
+    completedDate: status === "completed" ? now : undefined,
+    updatedAt: now,
+  });
+  return (await ctx.db.get(request._id))!;
+}
+
+function toRequest(req: Doc<"maintenanceRequests">, isTenant: boolean) {
+  return {
+    _id: req._id,
+    id: req._id,
+    propertyId: req.propertyId,
+    unitId: req.unitId,
+    turnoverId: req.turnoverId,
+    scheduleId: req.scheduleId,
+    dueDate: req.dueDate,
+    tenantId: req.tenantId,
+    contractorId: req.contractorId,
+    title: req.title,
+    description: req.descriptionText,
+    category: req.category,
+    priority: req.priority,
+    status: req.status,
+    allowedStatuses: isTenant ? [] : allowedStatuses(req.status),
+    // Tenants see when things happened, not who did them or the notes.
+    statusHistory: statusHistory(req).map((entry) =>
+      isTenant ? { status: entry.status, at: entry.at } : entry
+    ),
+    slaBreaches: isTenant ? [] : (req.slaBreaches ?? []),
+    photoURLs: req.photoURLs,
+    scheduledDate: req.scheduledDate,
+    completedDate: req.completedDate,
+    estimatedCost: isTenant ? undefined : req.estimatedCost,
+    actualCost: isTenant ? undefined : req.actualCost,
+    notes: isTenant ? undefined : req.notes,
+    createdAt: req.createdAt,
+    updatedAt: req.updatedAt,
+  };
+}
+
+/**
+ * List all maintenance requests. Tenants only see the requests they filed,
+ * without costs or internal notes.
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
     status: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("maintenanceRequests");
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read", {
+      allowTenant: true,
+    });
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const isTenant = access.tenantId !== null;
+    let requests;
 
-    if (args.status && args.userId) {
-      query = query.withIndex("by_user_status", (q) =>
-        q.eq("userId", args.userId!).eq("status", args.status!)
-      );
-    } else if (args.propertyId) {
-      query = query.withIndex("by_property", (q) =>
-        q.eq("propertyId", args.propertyId!)
-      );
-    } else if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
+    if (access.tenantId) {
+      const tenantId = access.tenantId;
+      requests = await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+        .order("desc")
+        .collect();
+      if (args.status) {
+        requests = requests.filter((req) => req.status === args.status);
+      }
     } else if (args.status) {
-      query = query.withIndex("by_status", (q) => q.eq("status", args.status!));
+      requests = await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_user_status", (q) =>
+          q.eq("userId", access.ownerId).eq("status", args.status!)
+        )
+        .order("desc")
+        .collect();
+    } else if (args.propertyId) {
+      requests = await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
+        .order("desc")
+        .collect();
+    } else {
+      requests = await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .order("desc")
+        .collect();
     }
 
-    const requests = await query.order("desc").collect();
-
-    return requests.map((req) => ({
-      _id: req._id,
-      id: req._id,
-      propertyId: req.propertyId,
-      tenantId: req.tenantId,
-      contractorId: req.contractorId,
-      title: req.title,
-      description: req.descriptionText,
-      category: req.category,
-      priority: req.priority,
-      status: req.status,
-      photoURLs: req.photoURLs,
-      scheduledDate: req.scheduledDate,
-      completedDate: req.completedDate,
-      estimatedCost: req.estimatedCost,
-      actualCost: req.actualCost,
-      notes: req.notes,
-      createdAt: req.createdAt,
-      updatedAt: req.updatedAt,
-    }));
+    if (args.propertyId && !isTenant) {
+      requests = requests.filter((req) => req.propertyId === args.propertyId);
+    }
+
+    return requests
+      .filter((req) => req.userId === access.ownerId)
+      .map((req) => toRequest(req, isTenant));
   },
 });
 
 /**
- * Create a new maintenance request
+ * Create a new maintenance request. Tenants can only file requests for
+ * their own unit; the request is tagged with their tenantId. Without a unit,
+ * the tenant's unit (or a single-unit property's only unit) is used.
  */
 export const create = mutation({
   args: {
     propertyId: v.id("properties"),
+    unitId: v.optional(v.id("units")),
     tenantId: v.optional(v.id("tenants")),
     title: v.string(),
     descriptionText: v.string(),
     category: v.string(),
     priority: v.string(),
     photoURLs: v.optional(v.array(v.string())),
-    userId: v.id("users"),
+    photoStorageIds: v.optional(v.array(v.id("_storage"))),
+    media: v.optional(v.array(v.object({ storageId: v.id("_storage"), fileName: v.string() }))),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write", {
+      allowTenant: true,
+    });
+    const property = await requireOwned(ctx, access, "properties", args.propertyId);
+    let tenant = await requireOwnedRef(ctx, access, "tenants", args.tenantId);
+    let unitId = args.unitId;
+
+    if (access.tenantId) {
+      tenant = await requireOwned(ctx, access, "tenants", access.tenantId);
+      if (tenant.propertyId !== args.propertyId) {
+        throw forbidden("You can only request maintenance for your own unit.");
+      }
+      unitId = tenant.unitId;
+    }
+    const unit = await assignUnit(ctx, access, property, unitId ?? tenant?.unitId);
+
     const now = Date.now();
     const requestId = await ctx.db.insert("maintenanceRequests", {
       propertyId: args.propertyId,
-      tenantId: args.tenantId,
+      unitId: unit?._id,
+      tenantId: tenant?._id,
       title: args.title,
       descriptionText: args.descriptionText,
       category: args.category,
       priority: args.priority,
       status: "new",
+      statusHistory: [{ status: "new", at: now, ...actorFor(access) }],
       photoURLs: args.photoURLs,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
       updatedAt: now,
     });
 
+    // Uploads filed with the request show what needed fixing. Older clients
+    // send bare storage IDs.
+    const media = [
+      ...(args.media ?? []),
+      ...(args.photoStorageIds ?? []).map((storageId) => ({ storageId, fileName: "Photo" })),
+    ];
+    if (media.length) {
+      await insertMedia(ctx, access, (await ctx.db.get(requestId))!, media, "before");
+    }
+
     const request = await ctx.db.get(requestId);
-    return {
-      _id: request!._id,
-      id: request!._id,
-      propertyId: request!.propertyId,
-      tenantId: request!.tenantId,
-      contractorId: request!.contractorId,
-      title: request!.title,
-      description: request!.descriptionText,
-      category: request!.category,
-      priority: request!.priority,
-      status: request!.status,
-      photoURLs: request!.photoURLs,
-      scheduledDate: request!.scheduledDate,
-      completedDate: request!.completedDate,
-      estimatedCost: request!.estimatedCost,
-      actualCost: request!.actualCost,
-      notes: request!.notes,
-      createdAt: request!.createdAt,
-      updatedAt: request!.updatedAt,
-    };
+    return toRequest(request!, false);
   },
 });
 
@@ -111,6 +308,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("maintenanceRequests"),
     title: v.optional(v.string()),
     descriptionText: v.optional(v.string()),
@@ -122,11 +320,9 @@ export const update = mutation({
     scheduledDate: v.optional(v.number()),
   },
   handler: async (ctx, args) => {
-    const { id, ...updates } = args;
-    const request = await ctx.db.get(id);
-    if (!request) {
-      throw new Error("Maintenance request not found");
-    }
+    const { sessionToken, id, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "maintenance", "write");
+    await requireOwned(ctx, access, "maintenanceRequests", id);
 
     await ctx.db.patch(id, {
       ...updates,
@@ -134,75 +330,87 @@ export const update = mutation({
     });
 
     const updated = await ctx.db.get(id);
-    return {
-      _id: updated!._id,
-      id: updated!._id,
-      propertyId: updated!.propertyId,
-      tenantId: updated!.tenantId,
-      contractorId: updated!.contractorId,
-      title: updated!.title,
-      description: updated!.descriptionText,
-      category: updated!.category,
-      priority: updated!.priority,
-      status: updated!.status,
-      photoURLs: updated!.photoURLs,
-      scheduledDate: updated!.scheduledDate,
-      completedDate: updated!.completedDate,
-      estimatedCost: updated!.estimatedCost,
-      actualCost: updated!.actualCost,
-      notes: updated!.notes,
-      createdAt: updated!.createdAt,
-      updatedAt: updated!.updatedAt,
-    };
+    return toRequest(updated!, false);
   },
 });
 
 /**
- * Update maintenance request status
+ * Delete a request with its photos, conversation, work orders and unapproved
+ * invoices, and their files. Requests with approved invoices are kept, as
+ * those invoices are posted to expenses.
  */
-export const updateStatus = mutation({
-  args: {
-    id: v.id("maintenanceRequests"),
-    status: v.string(),
-  },
+export const remove = mutation({
+  args: { sessionToken: v.string(), id: v.id("maintenanceRequests") },
   handler: async (ctx, args) => {
-    const request = await ctx.db.get(args.id);
-    if (!request) {
-      throw new Error("Maintenance request not found");
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const request = await requireOwned(ctx, access, "maintenanceRequests", args.id);
+
+    const invoices = await ctx.db
+      .query("contractorInvoices")
+      .withIndex("by_request", (q) => q.eq("requestId", request._id))
+      .collect();
+    if (invoices.some((invoice) => invoice.status === "approved")) {
+      throw new Error("This request has approved invoices. Unapprove them before deleting it.");
+    }
+    for (const invoice of invoices) {
+      if (invoice.file) {
+        await ctx.storage.delete(invoice.file.storageId);
+      }
+      await ctx.db.delete(invoice._id);
     }
 
-    const updates: any = {
-      status: args.status,
-      updatedAt: Date.now(),
-    };
+    const media = await ctx.db
+      .query("maintenanceMedia")
+      .withIndex("by_request", (q) => q.eq("requestId", request._id))
+      .collect();
+    for (const entry of media) {
+      await ctx.db.delete(entry._id);
+    }
 
-    if (args.status === "completed") {
-      updates.completedDate = Date.now();
+    const messages = await ctx.db
+      .query("maintenanceMessages")
+      .withIndex("by_request", (q) => q.eq("requestId", request._id))
+      .collect();
+    for (const message of messages) {
+      await ctx.db.delete(message._id);
     }
+    await deleteUnusedFiles(ctx, request.userId, [
+      ...media.map((entry) => entry.storageId),
+      ...messages.flatMap((message) => message.attachments.map((attachment) => attachment.storageId)),
+    ]);
 
-    await ctx.db.patch(args.id, updates);
+    for (const table of ["workOrders", "maintenanceReplyTokens"] as const) {
+      const rows = await ctx.db
+        .query(table)
+        .withIndex("by_request", (q) => q.eq("requestId", request._id))
+        .collect();
+      for (const row of rows) {
+        await ctx.db.delete(row._id);
+      }
+    }
 
-    const updated = await ctx.db.get(args.id);
-    return {
-      _id: updated!._id,
-      id: updated!._id,
-      propertyId: updated!.propertyId,
-      tenantId: updated!.tenantId,
-      contractorId: updated!.contractorId,
-      title: updated!.title,
-      description: updated!.descriptionText,
-      category: updated!.category,
-      priority: updated!.priority,
-      status: updated!.status,
-      photoURLs: updated!.photoURLs,
-      scheduledDate: updated!.scheduledDate,
-      completedDate: updated!.completedDate,
-      estimatedCost: updated!.estimatedCost,
-      actualCost: updated!.actualCost,
-      notes: updated!.notes,
-      createdAt: updated!.createdAt,
-      updatedAt: updated!.updatedAt,
-    };
+    await ctx.db.delete(request._id);
+    return { id: args.id };
+  },
+});
+
+/**
+ * Update maintenance request status. Only the moves in STATUS_TRANSITIONS
+ * are allowed; each one is added to the request's history with the note.
+ */
+export const updateStatus = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("maintenanceRequests"),
+    status: v.string(),
+    note: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const request = await requireOwned(ctx, access, "maintenanceRequests", args.id);
+
+    const updated = await transitionStatus(ctx, request, args.status, actorFor(access), args.note);
+    return toRequest(updated, false);
   },
 });
 
@@ -211,41 +419,149 @@ export const updateStatus = mutation({
  */
 export const assignContractor = mutation({
   args: {
+    sessionToken: v.string(),
     requestId: v.id("maintenanceRequests"),
     contractorId: v.id("contractors"),
   },
   handler: async (ctx, args) => {
-    const request = await ctx.db.get(args.requestId);
-    if (!request) {
-      throw new Error("Maintenance request not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const request = await requireOwned(
+      ctx,
+      access,
+      "maintenanceRequests",
+      args.requestId
+    );
+    const contractor = await requireOwned(ctx, access, "contractors", args.contractorId);
 
     await ctx.db.patch(args.requestId, {
       contractorId: args.contractorId,
-      status: request.status === "new" ? "acknowledged" : request.status,
       updatedAt: Date.now(),
     });
+    const updated =
+      request.status === "new"
+        ? await transitionStatus(
+            ctx,
+            (await ctx.db.get(request._id))!,
+            "acknowledged",
+            actorFor(access),
+            `Assigned to ${contractor.companyName}`
+          )
+        : (await ctx.db.get(request._id))!;
+    return toRequest(updated, false);
+  },
+});
+
+type StatusTotals = {
+  requests: number;
+  statusMs: Record<string, number>;
+  statusVisits: Record<string, number>;
+  resolutionMs: number;
+  resolved: number;
+};
+
+function emptyTotals(): StatusTotals {
+  return { requests: 0, statusMs: {}, statusVisits: {}, resolutionMs: 0, resolved: 0 };
+}
+
+function totalsFor<K>(groups: Map<K, StatusTotals>, key: K) {
+  let totals = groups.get(key);
+  if (!totals) {
+    totals = emptyTotals();
+    groups.set(key, totals);
+  }
+  return totals;
+}
+
+function toHours(ms: number) {
+  return Math.round((ms / (60 * 60 * 1000)) * 10) / 10;
+}
+
+function summarize(totals: StatusTotals) {
+  const averageHours: Record<string, number | null> = {};
+  for (const status of MAINTENANCE_STATUSES) {
+    if (CLOSED_STATUSES.includes(status)) {
+      continue;
+    }
+    const visits = totals.statusVisits[status] ?? 0;
+    averageHours[status] = visits ? toHours((totals.statusMs[status] ?? 0) / visits) : null;
+  }
+  return {
+    requests: totals.requests,
+    averageHours,
+    averageResolutionHours: totals.resolved ? toHours(totals.resolutionMs / totals.resolved) : null,
+  };
+}
+
+/**
+ * How long requests spend in each open status on average, overall and per
+ * category and property, plus time from filing to completion. Covers
+ * requests filed in the last `days` days (a year by default); time in a
+ * request's current status counts up to now.
+ */
+export const statusMetrics = query({
+  args: { sessionToken: v.string(), days: v.optional(v.number()) },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    const now = Date.now();
+    const since = now - Math.max(1, args.days ?? 365) * DAY_MS;
+    const requests = (
+      await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect()
+    ).filter((request) => request.createdAt >= since);
+
+    const overall = emptyTotals();
+    const byCategory = new Map<string, StatusTotals>();
+    const byProperty = new Map<Id<"properties">, StatusTotals>();
+    for (const request of requests) {
+      const groups = [
+        overall,
+        totalsFor(byCategory, request.category.trim() || "General"),
+        totalsFor(byProperty, request.propertyId),
+      ];
+
+      const history = statusHistory(request);
+      const completed = [...history].reverse().find((entry) => entry.status === "completed");
+      for (const totals of groups) {
+        totals.requests += 1;
+        if (request.status === "completed" && completed) {
+          totals.resolutionMs += completed.at - history[0].at;
+          totals.resolved += 1;
+        }
+      }
+      history.forEach((entry, index) => {
+        if (CLOSED_STATUSES.includes(entry.status)) {
+          return;
+        }
+        const until = index < history.length - 1 ? history[index + 1].at : now;
+        for (const totals of groups) {
+          totals.statusMs[entry.status] = (totals.statusMs[entry.status] ?? 0) + (until - entry.at);
+          totals.statusVisits[entry.status] = (totals.statusVisits[entry.status] ?? 0) + 1;
+        }
+      });
+    }
+
+    const properties = [];
+    for (const [propertyId, totals] of byProperty) {
+      const property = await ctx.db.get(propertyId);
+      properties.push({
+        propertyId,
+        propertyName: property?.name || property?.address || "Unknown property",
+        ...summarize(totals),
+      });
+    }
 
-    const updated = await ctx.db.get(args.requestId);
     return {
-      _id: updated!._id,
-      id: updated!._id,
-      propertyId: updated!.propertyId,
-      tenantId: updated!.tenantId,
-      contractorId: updated!.contractorId,
-      title: updated!.title,
-      description: updated!.descriptionText,
-      category: updated!.category,
-      priority: updated!.priority,
-      status: updated!.status,
-      photoURLs: updated!.photoURLs,
-      scheduledDate: updated!.scheduledDate,
-      completedDate: updated!.completedDate,
-      estimatedCost: updated!.estimatedCost,
-      actualCost: updated!.actualCost,
-      notes: updated!.notes,
-      createdAt: updated!.createdAt,
-      updatedAt: updated!.updatedAt,
+      since,
+      statuses: MAINTENANCE_STATUSES.filter((status) => !CLOSED_STATUSES.includes(status)).map(
+        (status) => ({ status, label: statusLabel(status) })
+      ),
+      overall: summarize(overall),
+      byCategory: Array.from(byCategory, ([category, totals]) => ({ category, ...summarize(totals) })).sort(
+        (a, b) => b.requests - a.requests
+      ),
+      byProperty: properties.sort((a, b) => b.requests - a.requests),
     };
   },
 });
@@ -0,0 +1,363 @@
+import { v } from "convex/values";
+import { internalMutation, mutation, query } from "./_generated/server";
+import type { QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { internal } from "./_generated/api";
+import { authorize } from "./authorization";
+import {
+  CLOSED_STATUSES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+  statusHistory,
+} from "./maintenanceRequests";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export type SlaTarget = {
+  priority: string;
+  acknowledgeHours: number;
+  scheduleHours: number;
+  completeHours: number;
+};
+
+type Stage = "acknowledge" | "schedule" | "complete";
+
+const STAGES: Stage[] = ["acknowledge", "schedule", "complete"];
+
+// Breaches older than this aren't alerted, so turning SLAs on doesn't
+// flood the feed with requests that were already late.
+const ALERT_WINDOW_MS = 7 * DAY_MS;
+
+const OPEN_STATUSES = MAINTENANCE_STATUSES.filter((status) => !CLOSED_STATUSES.includes(status));
+
+const STAGE_LABELS: Record<Stage, string> = {
+  acknowledge: "acknowledged",
+  schedule: "scheduled",
+  complete: "completed",
+};
+
+// The statuses that count as having reached each stage
+const STAGE_STATUSES: Record<Stage, string[]> = {
+  acknowledge: ["acknowledged", "scheduled", "inProgress", "awaitingParts", "completed"],
+  schedule: ["scheduled", "inProgress", "awaitingParts", "completed"],
+  complete: ["completed"],
+};
+
+export const DEFAULT_SLA_TARGETS: SlaTarget[] = [
+  { priority: "emergency", acknowledgeHours: 1, scheduleHours: 4, completeHours: 24 },
+  { priority: "urgent", acknowledgeHours: 4, scheduleHours: 24, completeHours: 72 },
+  { priority: "high", acknowledgeHours: 24, scheduleHours: 72, completeHours: 7 * 24 },
+  { priority: "normal", acknowledgeHours: 48, scheduleHours: 7 * 24, completeHours: 14 * 24 },
+  { priority: "low", acknowledgeHours: 72, scheduleHours: 14 * 24, completeHours: 30 * 24 },
+];
+
+async function loadTargets(ctx: QueryCtx, ownerId: Id<"users">): Promise<SlaTarget[]> {
+  const saved = await ctx.db
+    .query("slaSettings")
+    .withIndex("by_user", (q) => q.eq("userId", ownerId))
+    .first();
+  return DEFAULT_SLA_TARGETS.map(
+    (target) => saved?.targets.find((entry) => entry.priority === target.priority) ?? target
+  );
+}
+
+function targetHours(target: SlaTarget, stage: Stage) {
+  return stage === "acknowledge"
+    ? target.acknowledgeHours
+    : stage === "schedule"
+      ? target.scheduleHours
+      : target.completeHours;
+}
+
+/**
+ * Preventive visits are measured against their due date instead, and
+ * cancelled requests aren't measured at all
+ */
+function isMeasured(request: Doc<"maintenanceRequests">) {
+  return !request.scheduleId && request.status !== "cancelled";
+}
+
+/**
+ * Where a request stands on each stage: met, breached, or still open
+ * with time left. Stages are timed from filing to the first time the
+ * request reached them.
+ */
+function stageOutcomes(request: Doc<"maintenanceRequests">, target: SlaTarget, now: number) {
+  const history = statusHistory(request);
+  return STAGES.map((stage) => {
+    const deadline = request.createdAt + targetHours(target, stage) * HOUR_MS;
+    const reached = history.find((entry) => STAGE_STATUSES[stage].includes(entry.status));
+    const outcome: "met" | "breached" | "pending" = reached
+      ? reached.at <= deadline
+        ? "met"
+        : "breached"
+      : now > deadline
+        ? "breached"
+        : "pending";
+    return { stage, deadline, reachedAt: reached?.at, outcome };
+  });
+}
+
+type StageTotals = Record<Stage, { met: number; breached: number }>;
+
+type Totals = { requests: number; stages: StageTotals };
+
+function emptyTotals(): Totals {
+  return {
+    requests: 0,
+    stages: {
+      acknowledge: { met: 0, breached: 0 },
+      schedule: { met: 0, breached: 0 },
+      complete: { met: 0, breached: 0 },
+    },
+  };
+}
+
+function totalsFor<K>(groups: Map<K, Totals>, key: K) {
+  if (!groups.has(key)) {
+    groups.set(key, emptyTotals());
+  }
+  return groups.get(key)!;
+}
+
+function summarize(totals: Totals) {
+  let met = 0;
+  let breached = 0;
+  for (const stage of STAGES) {
+    met += totals.stages[stage].met;
+    breached += totals.stages[stage].breached;
+  }
+  return {
+    requests: totals.requests,
+    stages: totals.stages,
+    met,
+    breached,
+    compliancePercent: met + breached ? Math.round((met / (met + breached)) * 100) : null,
+  };
+}
+
+/**
+ * The portfolio's SLA targets, one per priority
+ */
+export const getTargets = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    return await loadTargets(ctx, access.ownerId);
+  },
+});
+
+/**
+ * Save targets for one or more priorities; the rest keep theirs
+ */
+export const saveTargets = mutation({
+  args: {
+    sessionToken: v.string(),
+    targets: v.array(
+      v.object({
+        priority: v.string(),
+        acknowledgeHours: v.number(),
+        scheduleHours: v.number(),
+        completeHours: v.number(),
+      })
+    ),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    for (const target of args.targets) {
+      if (!MAINTENANCE_PRIORITIES.includes(target.priority)) {
+        throw new Error(`Unknown priority: ${target.priority}`);
+      }
+      const hours = [target.acknowledgeHours, target.scheduleHours, target.completeHours];
+      if (hours.some((value) => !(value > 0))) {
+        throw new Error("Targets must be more than zero hours");
+      }
+      if (target.acknowledgeHours > target.scheduleHours || target.scheduleHours > target.completeHours) {
+        throw new Error(
+          `For ${target.priority} requests, acknowledging can't take longer than scheduling, nor scheduling longer than completing`
+        );
+      }
+    }
+
+    const existing = await ctx.db
+      .query("slaSettings")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .first();
+    const kept = (existing?.targets ?? []).filter(
+      (target) => !args.targets.some((entry) => entry.priority === target.priority)
+    );
+    const values = { targets: [...kept, ...args.targets], updatedAt: Date.now() };
+    if (existing) {
+      await ctx.db.patch(existing._id, values);
+    } else {
+      await ctx.db.insert("slaSettings", { ...values, userId: access.ownerId });
+    }
+    return await loadTargets(ctx, access.ownerId);
+  },
+});
+
+/**
+ * How often each stage's target was met, per contractor and per property,
+ * for requests filed in the last `days` days
+ */
+export const report = query({
+  args: { sessionToken: v.string(), days: v.optional(v.number()) },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    const now = Date.now();
+    const since = now - Math.max(1, args.days ?? 90) * DAY_MS;
+    const targets = await loadTargets(ctx, access.ownerId);
+    const requests = (
+      await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect()
+    ).filter((request) => request.createdAt >= since && isMeasured(request));
+
+    const overall = emptyTotals();
+    const byContractor = new Map<Id<"contractors"> | "unassigned", Totals>();
+    const byProperty = new Map<Id<"properties">, Totals>();
+
+    for (const request of requests) {
+      const target = targets.find((entry) => entry.priority === request.priority);
+      if (!target) {
+        continue;
+      }
+      const groups = [
+        overall,
+        totalsFor(byContractor, request.contractorId ?? "unassigned"),
+        totalsFor(byProperty, request.propertyId),
+      ];
+      const outcomes = stageOutcomes(request, target, now);
+      for (const totals of groups) {
+        totals.requests += 1;
+        for (const { stage, outcome } of outcomes) {
+          if (outcome !== "pending") {
+            totals.stages[stage][outcome] += 1;
+          }
+        }
+      }
+    }
+
+    const contractors = [];
+    for (const [contractorId, totals] of byContractor) {
+      const contractor = contractorId === "unassigned" ? null : await ctx.db.get(contractorId);
+      contractors.push({
+        contractorId: contractorId === "unassigned" ? null : contractorId,
+        contractorName: contractorId === "unassigned" ? "Unassigned" : (contractor?.companyName ?? "Removed contractor"),
+        ...summarize(totals),
+      });
+    }
+    const properties = [];
+    for (const [propertyId, totals] of byProperty) {
+      const property = await ctx.db.get(propertyId);
+      properties.push({
+        propertyId,
+        propertyName: property?.name || property?.address || "Unknown property",
+        ...summarize(totals),
+      });
+    }
+
+    return {
+      since,
+      targets,
+      overall: summarize(overall),
+      byContractor: contractors.sort((a, b) => b.requests - a.requests),
+      byProperty: properties.sort((a, b) => b.requests - a.requests),
+    };
+  },
+});
+
+/**
+ * Raise a feed alert for each open request that has just missed a stage's
+ * target, and email each owner a summary of their new breaches
+ */
+export const flagBreaches = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const targetsByOwner = new Map<Id<"users">, SlaTarget[]>();
+    const breachesByOwner = new Map<
+      Id<"users">,
+      { title: string; propertyName: string; priority: string; stage: string; hours: number }[]
+    >();
+
+    for (const status of OPEN_STATUSES) {
+      const requests = await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_status", (q) => q.eq("status", status))
+        .collect();
+      for (const request of requests) {
+        if (!isMeasured(request)) {
+          continue;
+        }
+        if (!targetsByOwner.has(request.userId)) {
+          targetsByOwner.set(request.userId, await loadTargets(ctx, request.userId));
+        }
+        const target = targetsByOwner.get(request.userId)!.find((entry) => entry.priority === request.priority);
+        if (!target) {
+          continue;
+        }
+        const alerted = request.slaBreaches ?? [];
+        const breached = stageOutcomes(request, target, now).filter(
+          (entry) =>
+            entry.outcome === "breached" &&
+            entry.reachedAt === undefined &&
+            entry.deadline > now - ALERT_WINDOW_MS &&
+            !alerted.some((breach) => breach.stage === entry.stage)
+        );
+        if (breached.length === 0) {
+          continue;
+        }
+
+        const property = await ctx.db.get(request.propertyId);
+        const propertyName = property?.name || property?.address || "Unknown property";
+        for (const entry of breached) {
+          await ctx.db.insert("feedEvents", {
+            eventType: "maintenanceSlaBreach",
+            title: `Not ${STAGE_LABELS[entry.stage]} in time`,
+            subtitle: `${request.title} · ${propertyName}`,
+            detail: `${request.priority} requests should be ${STAGE_LABELS[entry.stage]} within ${targetHours(target, entry.stage)} hours of being filed.`,
+            timestamp: now,
+            isRead: false,
+            isActionRequired: true,
+            actionLabel: "Review request",
+            priority: 3,
+            propertyId: request.propertyId,
+            tenantId: request.tenantId,
+            maintenanceRequestId: request._id,
+            contractorId: request.contractorId,
+            userId: request.userId,
+            createdAt: now,
+          });
+          const ownerBreaches = breachesByOwner.get(request.userId) ?? [];
+          ownerBreaches.push({
+            title: request.title,
+            propertyName,
+            priority: request.priority,
+            stage: STAGE_LABELS[entry.stage],
+            hours: targetHours(target, entry.stage),
+          });
+          breachesByOwner.set(request.userId, ownerBreaches);
+        }
+        await ctx.db.patch(request._id, {
+          slaBreaches: [...alerted, ...breached.map((entry) => ({ stage: entry.stage, at: now }))],
+        });
+      }
+    }
+
+    for (const [ownerId, breaches] of breachesByOwner) {
+      const owner = await ctx.db.get(ownerId);
+      if (owner?.email) {
+        await ctx.scheduler.runAfter(0, internal.maintenanceEmails.slaBreaches, {
+          email: owner.email,
+          name: owner.name,
+          breaches,
+        });
+      }
+    }
+
+    return { flagged: Array.from(breachesByOwner.values()).reduce((sum, entries) => sum + entries.length, 0) };
+  },
+});
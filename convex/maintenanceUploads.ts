@@ -0,0 +1,159 @@
+import { v } from "convex/values";
+import { internalMutation, internalQuery } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Id } from "./_generated/dataModel";
+import { internal } from "./_generated/api";
+import { authorize } from "./authorization";
+import type { Access } from "./authorization";
+
+// The largest upload is a video; photos and PDFs are held to their smaller
+// limits when they are attached.
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const SWEEP_BATCH = 200;
+
+type UploadedFile = { storageId: Id<"_storage">; fileName: string };
+
+/**
+ * Whether a file can be uploaded for a maintenance request at all: a photo,
+ * video or PDF within the largest size limit
+ */
+export function maintenanceUploadProblem(contentType: string, size: number) {
+  if (
+    !contentType.startsWith("image/") &&
+    !contentType.startsWith("video/") &&
+    contentType !== "application/pdf"
+  ) {
+    return "must be a photo, a video or a PDF";
+  }
+  if (size > MAX_UPLOAD_BYTES) {
+    return "is larger than 100 MB";
+  }
+  return null;
+}
+
+/**
+ * Who is uploading, for the upload HTTP action: anyone who can file or work
+ * on maintenance requests, tenants included
+ */
+export const uploader = internalQuery({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write", {
+      allowTenant: true,
+    });
+    return access.user._id;
+  },
+});
+
+/**
+ * Remember a file stored by the upload HTTP action, so only the user who
+ * uploaded it can attach it and it is swept if never used
+ */
+export const recordUpload = internalMutation({
+  args: { storageId: v.id("_storage"), userId: v.id("users") },
+  handler: async (ctx, args) => {
+    await ctx.db.insert("maintenanceUploads", { ...args, createdAt: Date.now() });
+  },
+});
+
+/**
+ * Which of these files a document, a request photo or a message in the
+ * portfolio still points at
+ */
+async function filesInUse(ctx: QueryCtx, ownerId: Id<"users">, storageIds: Id<"_storage">[]) {
+  const inUse = new Set<Id<"_storage">>();
+  if (!storageIds.length) {
+    return inUse;
+  }
+  for (const storageId of storageIds) {
+    const document = await ctx.db
+      .query("documents")
+      .withIndex("by_storage", (q) => q.eq("storageId", storageId))
+      .first();
+    const media = await ctx.db
+      .query("maintenanceMedia")
+      .withIndex("by_storage", (q) => q.eq("storageId", storageId))
+      .first();
+    if (document || media) {
+      inUse.add(storageId);
+    }
+  }
+  // Attachments are a list on each message, which can't be indexed
+  const wanted = new Set(storageIds);
+  const messages = await ctx.db
+    .query("maintenanceMessages")
+    .withIndex("by_user", (q) => q.eq("userId", ownerId))
+    .collect();
+  for (const message of messages) {
+    for (const attachment of message.attachments) {
+      if (wanted.has(attachment.storageId)) {
+        inUse.add(attachment.storageId);
+      }
+    }
+  }
+  return inUse;
+}
+
+/**
+ * Take files the caller uploaded through the upload HTTP action, so they
+ * can be attached once. Anything else, such as a file already on a
+ * document or request whose id the caller has seen, is turned away.
+ */
+export async function claimUploads(ctx: MutationCtx, access: Access, files: UploadedFile[]) {
+  if (new Set(files.map((file) => file.storageId)).size !== files.length) {
+    throw new Error("The same upload is attached more than once");
+  }
+  const inUse = await filesInUse(ctx, access.ownerId, files.map((file) => file.storageId));
+  for (const file of files) {
+    const upload = await ctx.db
+      .query("maintenanceUploads")
+      .withIndex("by_storage", (q) => q.eq("storageId", file.storageId))
+      .first();
+    if (!upload || upload.userId !== access.user._id || inUse.has(file.storageId)) {
+      throw new Error(`${file.fileName} didn't finish uploading. Attach it again.`);
+    }
+    await ctx.db.delete(upload._id);
+  }
+}
+
+/**
+ * Delete files whose rows were just removed, keeping any that something
+ * else in the portfolio still points at
+ */
+export async function deleteUnusedFiles(
+  ctx: MutationCtx,
+  ownerId: Id<"users">,
+  storageIds: Id<"_storage">[]
+) {
+  const unique = [...new Set(storageIds)];
+  const inUse = await filesInUse(ctx, ownerId, unique);
+  for (const storageId of unique) {
+    if (!inUse.has(storageId) && (await ctx.db.system.get(storageId))) {
+      await ctx.storage.delete(storageId);
+    }
+  }
+}
+
+/**
+ * Delete maintenance uploads that were never attached
+ */
+export const sweepUploads = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const stale = await ctx.db
+      .query("maintenanceUploads")
+      .withIndex("by_created", (q) => q.lt("createdAt", Date.now() - UPLOAD_TTL_MS))
+      .take(SWEEP_BATCH);
+    for (const upload of stale) {
+      if (await ctx.db.system.get(upload.storageId)) {
+        await ctx.storage.delete(upload.storageId);
+      }
+      await ctx.db.delete(upload._id);
+    }
+    if (stale.length === SWEEP_BATCH) {
+      await ctx.scheduler.runAfter(0, internal.maintenanceUploads.sweepUploads, {});
+    }
+    return { deleted: stale.length };
+  },
+});
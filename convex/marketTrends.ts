@@ -1,19 +1,20 @@
 import { v } from "convex/values";
 import { mutation, query } from "./_generated/server";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
 
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
   },
   handler: async (ctx, args) => {
-    const rows = args.userId
-      ? await ctx.db
-          .query("marketTrends")
-          .withIndex("by_user", (idx) => idx.eq("userId", args.userId))
-          .order("desc")
-          .collect()
-      : await ctx.db.query("marketTrends").order("desc").collect();
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const rows = await ctx.db
+      .query("marketTrends")
+      .withIndex("by_user", (idx) => idx.eq("userId", access.ownerId))
+      .order("desc")
+      .collect();
 
     if (args.propertyId) {
       return rows.filter((row) => row.propertyId === args.propertyId);
@@ -24,7 +25,7 @@ export const list = query({
 
 export const create = mutation({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
     title: v.string(),
     marketType: v.string(),
@@ -39,9 +40,11 @@ export const create = mutation({
     observedAt: v.optional(v.number()),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
     const now = Date.now();
     const id = await ctx.db.insert("marketTrends", {
-      userId: args.userId,
+      userId: access.ownerId,
       propertyId: args.propertyId,
       title: args.title,
       marketType: args.marketType,
@@ -64,6 +67,7 @@ export const create = mutation({
 
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("marketTrends"),
     title: v.optional(v.string()),
     marketType: v.optional(v.string()),
@@ -78,11 +82,9 @@ export const update = mutation({
     observedAt: v.optional(v.number()),
   },
   handler: async (ctx, args) => {
-    const { id, ...patch } = args;
-    const existing = await ctx.db.get(id);
-    if (!existing) {
-      throw new Error("Market trend not found");
-    }
+    const { sessionToken, id, ...patch } = args;
+    const access = await authorize(ctx, sessionToken, "properties", "write");
+    await requireOwned(ctx, access, "marketTrends", id);
 
     await ctx.db.patch(id, {
       ...patch,
@@ -95,9 +97,12 @@ export const update = mutation({
 
 export const remove = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("marketTrends"),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    await requireOwned(ctx, access, "marketTrends", args.id);
     await ctx.db.delete(args.id);
     return { success: true };
   },
@@ -4,6 +4,7 @@
 import { v } from "convex/values";
 import { action } from "./_generated/server";
 import { api } from "./_generated/api";
+import { Id } from "./_generated/dataModel";
 
 const DEFAULT_RENTCAST_BASE_URL = "https://api.rentcast.io/v1";
 
@@ -17,6 +18,30 @@ type LiveSnapshot = {
   notes?: string;
 };
 
+type RefreshedItem = { propertyId: string; propertyName: string };
+type FailedItem = RefreshedItem & { error: string };
+
+// Actions that call back into `api` need explicit return types, or their
+// inferred types become circular through the generated api.
+type PropertyRefreshResult = {
+  success: boolean;
+  propertyId: Id<"properties">;
+  propertyName: string;
+  trendId: Id<"marketTrends"> | null;
+  estimatePrice: number | null;
+  estimateRent: number | null;
+  source: string;
+};
+
+type PortfolioRefreshResult = {
+  success: boolean;
+  totalProperties: number;
+  refreshed: number;
+  failed: number;
+  refreshedItems: RefreshedItem[];
+  failedItems: FailedItem[];
+};
+
 function toAddressLine(property: {
   address: string;
   city: string;
@@ -109,18 +134,21 @@ async function fetchLiveSnapshotForAddress(addressLine: string): Promise<LiveSna
 
 export const refreshForProperty = action({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     propertyId: v.id("properties"),
   },
-  handler: async (ctx, args) => {
-    const property = await ctx.runQuery(api.properties.get, { id: args.propertyId });
+  handler: async (ctx, args): Promise<PropertyRefreshResult> => {
+    const property = await ctx.runQuery(api.properties.get, {
+      sessionToken: args.sessionToken,
+      id: args.propertyId,
+    });
     if (!property) throw new Error("Property not found.");
 
     const addressLine = toAddressLine(property);
     const snapshot = await fetchLiveSnapshotForAddress(addressLine);
 
     const created = await ctx.runMutation(api.marketTrends.create, {
-      userId: args.userId,
+      sessionToken: args.sessionToken,
       propertyId: args.propertyId,
       title: "Live Market Pull",
       marketType: "areaTrend",
@@ -149,23 +177,25 @@ export const refreshForProperty = action({
 
 export const refreshPortfolio = action({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
-  handler: async (ctx, args) => {
-    const properties = await ctx.runQuery(api.properties.list, { userId: args.userId });
+  handler: async (ctx, args): Promise<PortfolioRefreshResult> => {
+    const properties = await ctx.runQuery(api.properties.list, {
+      sessionToken: args.sessionToken,
+    });
     if (!properties.length) {
       return {
         success: true,
         totalProperties: 0,
         refreshed: 0,
         failed: 0,
-        refreshedItems: [] as Array<{ propertyId: string; propertyName: string }>,
-        failedItems: [] as Array<{ propertyId: string; propertyName: string; error: string }>,
+        refreshedItems: [],
+        failedItems: [],
       };
     }
 
-    const refreshedItems: Array<{ propertyId: string; propertyName: string }> = [];
-    const failedItems: Array<{ propertyId: string; propertyName: string; error: string }> = [];
+    const refreshedItems: RefreshedItem[] = [];
+    const failedItems: FailedItem[] = [];
 
     for (const property of properties) {
       try {
@@ -173,7 +203,7 @@ export const refreshPortfolio = action({
         const snapshot = await fetchLiveSnapshotForAddress(addressLine);
 
         await ctx.runMutation(api.marketTrends.create, {
-          userId: args.userId,
+          sessionToken: args.sessionToken,
           propertyId: property._id,
           title: "Live Market Pull",
           marketType: "areaTrend",
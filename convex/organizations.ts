@@ -0,0 +1,491 @@
+import { ConvexError, v } from "convex/values";
+import { internalMutation, mutation, MutationCtx, query } from "./_generated/server";
+import { Doc, Id } from "./_generated/dataModel";
+import {
+  Access,
+  authorize,
+  can,
+  findTenancies,
+  forbidden,
+  isRole,
+  isTenancyOf,
+  resolveAccess,
+  ROLE_LABELS,
+} from "./authorization";
+import { generateSessionToken, hashSessionToken, loadSession } from "./sessions";
+import { normalizeEmail } from "./limits";
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const roleValidator = v.union(
+  v.literal("owner"),
+  v.literal("manager"),
+  v.literal("maintenance"),
+  v.literal("bookkeeper")
+);
+
+function roleLabel(role: string) {
+  return isRole(role) ? ROLE_LABELS[role] : role;
+}
+
+/**
+ * Create the organization for a personal portfolio the first time it is
+ * shared. The account holder becomes its owner member.
+ */
+async function ensureOrganization(ctx: MutationCtx, access: Access) {
+  if (access.organizationId) {
+    return access.organizationId;
+  }
+
+  const owner = await ctx.db.get(access.ownerId);
+  const now = Date.now();
+  const organizationId = await ctx.db.insert("organizations", {
+    name: `${owner?.name || "My"}'s portfolio`,
+    ownerId: access.ownerId,
+    createdAt: now,
+  });
+  await ctx.db.insert("memberships", {
+    organizationId,
+    userId: access.ownerId,
+    role: "owner",
+    createdAt: now,
+  });
+  return organizationId;
+}
+
+/**
+ * Remove a user's memberships and any organizations they own (with their
+ * members and invitations). Used when an account is deleted.
+ */
+export async function deleteOrganizationsForUser(ctx: MutationCtx, userId: Id<"users">) {
+  const owned = await ctx.db
+    .query("organizations")
+    .withIndex("by_owner", (q) => q.eq("ownerId", userId))
+    .collect();
+  for (const organization of owned) {
+    const members = await ctx.db
+      .query("memberships")
+      .withIndex("by_organization", (q) => q.eq("organizationId", organization._id))
+      .collect();
+    for (const member of members) {
+      await ctx.db.delete(member._id);
+    }
+    const invitations = await ctx.db
+      .query("invitations")
+      .withIndex("by_organization", (q) => q.eq("organizationId", organization._id))
+      .collect();
+    for (const invitation of invitations) {
+      await ctx.db.delete(invitation._id);
+    }
+    await ctx.db.delete(organization._id);
+  }
+
+  const memberships = await ctx.db
+    .query("memberships")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .collect();
+  for (const membership of memberships) {
+    await ctx.db.delete(membership._id);
+  }
+}
+
+/**
+ * List the portfolios the signed-in user can switch between
+ */
+export const listMine = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await resolveAccess(ctx, args.sessionToken);
+    const { user } = access;
+
+    const personal = await ctx.db
+      .query("organizations")
+      .withIndex("by_owner", (q) => q.eq("ownerId", user._id))
+      .first();
+
+    const portfolios = [
+      {
+        organizationId: personal?._id ?? null,
+        tenantId: null as Id<"tenants"> | null,
+        name: personal?.name ?? "My portfolio",
+        role: "owner",
+        roleLabel: ROLE_LABELS.owner,
+        ownerName: user.name,
+        isPersonal: true,
+        isActive: !access.tenantId && access.ownerId === user._id,
+      },
+    ];
+
+    const memberships = await ctx.db
+      .query("memberships")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .collect();
+
+    for (const membership of memberships) {
+      const organization = await ctx.db.get(membership.organizationId);
+      if (!organization || organization.ownerId === user._id) {
+        continue;
+      }
+      const owner = await ctx.db.get(organization.ownerId);
+      portfolios.push({
+        organizationId: organization._id,
+        tenantId: null,
+        name: organization.name,
+        role: membership.role,
+        roleLabel: roleLabel(membership.role),
+        ownerName: owner?.name ?? "",
+        isPersonal: false,
+        isActive: access.organizationId === organization._id,
+      });
+    }
+
+    for (const tenancy of await findTenancies(ctx, user)) {
+      const property = await ctx.db.get(tenancy.propertyId);
+      const owner = await ctx.db.get(tenancy.userId);
+      const home = property?.name ?? "My home";
+      portfolios.push({
+        organizationId: null,
+        tenantId: tenancy._id,
+        name: tenancy.unit ? `${home} · Unit ${tenancy.unit}` : home,
+        role: "tenant",
+        roleLabel: ROLE_LABELS.tenant,
+        ownerName: owner?.name ?? "",
+        isPersonal: false,
+        isActive: access.tenantId === tenancy._id,
+      });
+    }
+
+    return portfolios;
+  },
+});
+
+/**
+ * Switch the portfolio this session acts in: a team portfolio, a tenancy
+ * (tenant portal), or your own when both ids are omitted
+ */
+export const switchPortfolio = mutation({
+  args: {
+    sessionToken: v.string(),
+    organizationId: v.optional(v.id("organizations")),
+    tenantId: v.optional(v.id("tenants")),
+  },
+  handler: async (ctx, args) => {
+    const { session, user } = await loadSession(ctx, args.sessionToken);
+
+    if (args.tenantId) {
+      const tenant = await ctx.db.get(args.tenantId);
+      if (!tenant || !isTenancyOf(tenant, user)) {
+        throw forbidden("You are not a tenant on that lease.");
+      }
+      await ctx.db.patch(session._id, {
+        activeOrganizationId: undefined,
+        activeTenantId: tenant._id,
+      });
+      return { organizationId: null, tenantId: tenant._id };
+    }
+
+    if (args.organizationId) {
+      const membership = await ctx.db
+        .query("memberships")
+        .withIndex("by_organization_user", (q) =>
+          q.eq("organizationId", args.organizationId!).eq("userId", user._id)
+        )
+        .first();
+      if (!membership) {
+        throw forbidden("You are not a member of that portfolio.");
+      }
+    }
+
+    await ctx.db.patch(session._id, {
+      activeOrganizationId: args.organizationId,
+      activeTenantId: undefined,
+    });
+    return { organizationId: args.organizationId ?? null, tenantId: null };
+  },
+});
+
+/**
+ * List members and pending invitations of the active portfolio
+ */
+export const listMembers = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "members", "read");
+    const canManage = can(access.role, "members", "write");
+
+    if (!access.organizationId) {
+      return {
+        role: access.role,
+        canManage,
+        members: [
+          {
+            _id: null,
+            userId: access.user._id,
+            name: access.user.name,
+            email: access.user.email,
+            role: "owner",
+            roleLabel: ROLE_LABELS.owner,
+            isPortfolioOwner: true,
+          },
+        ],
+        invitations: [],
+      };
+    }
+
+    const memberships = await ctx.db
+      .query("memberships")
+      .withIndex("by_organization", (q) => q.eq("organizationId", access.organizationId!))
+      .collect();
+
+    const members = [];
+    for (const membership of memberships) {
+      const member = await ctx.db.get(membership.userId);
+      members.push({
+        _id: membership._id,
+        userId: membership.userId,
+        name: member?.name ?? "",
+        email: member?.email ?? "",
+        role: membership.role,
+        roleLabel: roleLabel(membership.role),
+        isPortfolioOwner: membership.userId === access.ownerId,
+      });
+    }
+
+    const now = Date.now();
+    const invitations = canManage
+      ? (
+          await ctx.db
+            .query("invitations")
+            .withIndex("by_organization", (q) => q.eq("organizationId", access.organizationId!))
+            .collect()
+        )
+          .filter((invitation) => !invitation.acceptedAt && invitation.expiresAt > now)
+          .map((invitation) => ({
+            _id: invitation._id,
+            email: invitation.email,
+            role: invitation.role,
+            roleLabel: roleLabel(invitation.role),
+            expiresAt: invitation.expiresAt,
+            createdAt: invitation.createdAt,
+          }))
+      : [];
+
+    return { role: access.role, canManage, members, invitations };
+  },
+});
+
+async function requireMembership(
+  ctx: MutationCtx,
+  access: Access,
+  membershipId: Id<"memberships">
+): Promise<Doc<"memberships">> {
+  const membership = await ctx.db.get(membershipId);
+  if (!membership) {
+    throw new Error("Member not found");
+  }
+  if (membership.organizationId !== access.organizationId) {
+    throw forbidden();
+  }
+  return membership;
+}
+
+/**
+ * Change a member's role
+ */
+export const updateMemberRole = mutation({
+  args: {
+    sessionToken: v.string(),
+    membershipId: v.id("memberships"),
+    role: roleValidator,
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "members", "write");
+    const membership = await requireMembership(ctx, access, args.membershipId);
+    if (membership.userId === access.ownerId) {
+      throw new Error("The portfolio owner's role can't be changed.");
+    }
+
+    await ctx.db.patch(membership._id, { role: args.role });
+    return { _id: membership._id, role: args.role, roleLabel: ROLE_LABELS[args.role] };
+  },
+});
+
+/**
+ * Remove a member (or leave a portfolio by removing yourself)
+ */
+export const removeMember = mutation({
+  args: {
+    sessionToken: v.string(),
+    membershipId: v.id("memberships"),
+  },
+  handler: async (ctx, args) => {
+    const access = await resolveAccess(ctx, args.sessionToken);
+    const membership = await requireMembership(ctx, access, args.membershipId);
+
+    const leaving = membership.userId === access.user._id;
+    if (!leaving && !can(access.role, "members", "write")) {
+      throw forbidden(`Your role (${ROLE_LABELS[access.role]}) can't manage members.`);
+    }
+    if (membership.userId === access.ownerId) {
+      throw new Error("The portfolio owner can't be removed.");
+    }
+
+    await ctx.db.delete(membership._id);
+    return { id: membership._id };
+  },
+});
+
+/**
+ * Cancel a pending invitation
+ */
+export const revokeInvitation = mutation({
+  args: {
+    sessionToken: v.string(),
+    invitationId: v.id("invitations"),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "members", "write");
+    const invitation = await ctx.db.get(args.invitationId);
+    if (!invitation) {
+      throw new Error("Invitation not found");
+    }
+    if (invitation.organizationId !== access.organizationId) {
+      throw forbidden();
+    }
+    await ctx.db.delete(invitation._id);
+    return { id: invitation._id };
+  },
+});
+
+/**
+ * Accept an emailed invitation and switch this session to that portfolio.
+ * The account's email must be verified, so signing up with someone else's
+ * address doesn't get their invitation.
+ */
+export const acceptInvitation = mutation({
+  args: {
+    sessionToken: v.string(),
+    token: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { session, user } = await loadSession(ctx, args.sessionToken);
+    const tokenHash = await hashSessionToken(args.token);
+    const invitation = await ctx.db
+      .query("invitations")
+      .withIndex("by_token_hash", (q) => q.eq("tokenHash", tokenHash))
+      .first();
+
+    if (!invitation || invitation.acceptedAt || invitation.expiresAt <= Date.now()) {
+      throw new Error("This invitation link is invalid or has expired. Ask for a new invite.");
+    }
+    if (normalizeEmail(user.email) !== invitation.email) {
+      throw forbidden(
+        `This invitation was sent to ${invitation.email}. Sign in with that email to accept it.`
+      );
+    }
+    if (!user.emailVerified) {
+      throw forbidden("Verify your email address to accept this invitation.");
+    }
+
+    const organization = await ctx.db.get(invitation.organizationId);
+    if (!organization) {
+      throw new Error("Portfolio not found");
+    }
+
+    const existing = await ctx.db
+      .query("memberships")
+      .withIndex("by_organization_user", (q) =>
+        q.eq("organizationId", organization._id).eq("userId", user._id)
+      )
+      .first();
+    if (!existing) {
+      await ctx.db.insert("memberships", {
+        organizationId: organization._id,
+        userId: user._id,
+        role: invitation.role,
+        createdAt: Date.now(),
+      });
+    }
+
+    await ctx.db.patch(invitation._id, { acceptedAt: Date.now() });
+    await ctx.db.patch(session._id, {
+      activeOrganizationId: organization._id,
+      activeTenantId: undefined,
+    });
+
+    return {
+      organizationId: organization._id,
+      name: organization.name,
+      role: existing?.role ?? invitation.role,
+      roleLabel: roleLabel(existing?.role ?? invitation.role),
+    };
+  },
+});
+
+/**
+ * Create an invitation for the active portfolio and return the plaintext
+ * token for the invite email. Called from the `invitations.send` action.
+ */
+export const createInvitation = internalMutation({
+  args: {
+    sessionToken: v.string(),
+    email: v.string(),
+    role: roleValidator,
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "members", "write");
+    const email = normalizeEmail(args.email);
+    const organizationId = await ensureOrganization(ctx, access);
+    const organization = await ctx.db.get(organizationId);
+
+    const existingUser = await ctx.db
+      .query("users")
+      .withIndex("by_email", (q) => q.eq("email", email))
+      .first();
+    if (existingUser) {
+      const existingMembership = await ctx.db
+        .query("memberships")
+        .withIndex("by_organization_user", (q) =>
+          q.eq("organizationId", organizationId).eq("userId", existingUser._id)
+        )
+        .first();
+      if (existingMembership) {
+        throw new ConvexError({
+          code: "ALREADY_MEMBER",
+          message: `${email} is already a member of this portfolio.`,
+        });
+      }
+    }
+
+    // Re-inviting replaces any earlier pending invite for the same email.
+    const pending = await ctx.db
+      .query("invitations")
+      .withIndex("by_organization", (q) => q.eq("organizationId", organizationId))
+      .collect();
+    for (const invitation of pending) {
+      if (invitation.email === email && !invitation.acceptedAt) {
+        await ctx.db.delete(invitation._id);
+      }
+    }
+
+    const token = generateSessionToken();
+    const now = Date.now();
+    await ctx.db.insert("invitations", {
+      organizationId,
+      email,
+      role: args.role,
+      tokenHash: await hashSessionToken(token),
+      invitedBy: access.user._id,
+      expiresAt: now + INVITATION_TTL_MS,
+      createdAt: now,
+    });
+
+    return {
+      token,
+      email,
+      organizationName: organization?.name ?? "a portfolio",
+      inviterName: access.user.name,
+      roleLabel: ROLE_LABELS[args.role],
+    };
+  },
+});
@@ -0,0 +1,83 @@
+/// <reference types="node" />
+"use node";
+
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "crypto";
+
+/**
+ * Stored hashes look like `scrypt$<version>$<hex>`. The version pins the
+ * scrypt cost parameters so they can be raised later without breaking
+ * existing hashes. Hashes without a prefix are the original unversioned
+ * sha256(password + salt) format.
+ */
+const CURRENT_VERSION = 1;
+
+const SCRYPT_PARAMS: Record<number, { N: number; r: number; p: number; keyLength: number }> = {
+  1: { N: 16384, r: 8, p: 1, keyLength: 64 },
+};
+
+function deriveKey(password: string, salt: string, version: number) {
+  const { N, r, p, keyLength } = SCRYPT_PARAMS[version];
+  return new Promise<Buffer>((resolve, reject) => {
+    scrypt(password, salt, keyLength, { N, r, p }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+function parseHash(passwordHash: string) {
+  const [scheme, version, hex] = passwordHash.split("$");
+  if (scheme !== "scrypt" || !hex) {
+    return null;
+  }
+  const parsedVersion = Number(version);
+  if (!SCRYPT_PARAMS[parsedVersion]) {
+    return null;
+  }
+  return { version: parsedVersion, key: Buffer.from(hex, "hex") };
+}
+
+function safeEqual(a: Buffer, b: Buffer) {
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Hash a new password with a fresh salt using the current scrypt version.
+ */
+export async function hashPassword(password: string) {
+  const passwordSalt = randomBytes(16).toString("hex");
+  const key = await deriveKey(password, passwordSalt, CURRENT_VERSION);
+  return {
+    passwordHash: `scrypt$${CURRENT_VERSION}$${key.toString("hex")}`,
+    passwordSalt,
+  };
+}
+
+/**
+ * Check a password against a stored hash in either the scrypt or legacy format.
+ */
+export async function verifyPassword(
+  password: string,
+  passwordHash: string,
+  passwordSalt: string
+) {
+  const parsed = parseHash(passwordHash);
+  if (parsed) {
+    const key = await deriveKey(password, passwordSalt, parsed.version);
+    return safeEqual(key, parsed.key);
+  }
+
+  const legacy = createHash("sha256").update(password + passwordSalt).digest();
+  return safeEqual(legacy, Buffer.from(passwordHash, "hex"));
+}
+
+/**
+ * True when a stored hash is legacy or uses an older scrypt version.
+ */
+export function needsRehash(passwordHash: string) {
+  const parsed = parseHash(passwordHash);
+  return !parsed || parsed.version !== CURRENT_VERSION;
+}
@@ -0,0 +1,91 @@
+// @vitest-environment edge-runtime
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { api } from "./_generated/api";
+import { insertCharge, seedPortfolio, setupConvex } from "./test.setup";
+
+const day = (month: number, date: number) => Date.UTC(2026, month - 1, date);
+
+describe("reverse", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(2, 3));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("re-opens charges as overdue when the payment covering them is reversed", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const january = await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+    const payment = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 1500,
+      receivedAt: day(1, 2),
+    });
+
+    const reversed = await t.mutation(api.payments.reverse, {
+      sessionToken: seed.sessionToken,
+      id: payment._id,
+      reason: "returned",
+    });
+    expect(reversed.status).toBe("returned");
+    expect(await t.run((ctx) => ctx.db.get(january))).toMatchObject({
+      status: "overdue",
+      amountPaid: 0,
+    });
+    const allocations = await t.run((ctx) => ctx.db.query("paymentAllocations").collect());
+    expect(allocations.every((allocation) => allocation.reversedAt !== undefined)).toBe(true);
+  });
+
+  it("re-opens a charge that isn't past grace as pending, keeping other payments on it", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const february = await insertCharge(t, seed, { amount: 1500, dueDate: day(2, 1) });
+    const partial = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 600,
+      receivedAt: day(2, 1),
+    });
+    const rest = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 900,
+      receivedAt: day(2, 2),
+    });
+    expect(await t.run((ctx) => ctx.db.get(february))).toMatchObject({ status: "completed" });
+
+    await t.mutation(api.payments.reverse, {
+      sessionToken: seed.sessionToken,
+      id: rest._id,
+      reason: "reversed",
+      note: "Check bounced",
+    });
+    expect(await t.run((ctx) => ctx.db.get(february))).toMatchObject({
+      status: "pending",
+      amountPaid: 600,
+    });
+    expect(await t.run((ctx) => ctx.db.get(partial._id))).toMatchObject({ status: "applied" });
+    expect(await t.run((ctx) => ctx.db.get(rest._id))).toMatchObject({
+      status: "reversed",
+      unappliedAmount: 0,
+      reversalNote: "Check bounced",
+    });
+  });
+
+  it("refuses to reverse a payment twice", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const payment = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 100,
+      receivedAt: day(2, 1),
+    });
+    const args = { sessionToken: seed.sessionToken, id: payment._id, reason: "returned" as const };
+    await t.mutation(api.payments.reverse, args);
+    await expect(t.mutation(api.payments.reverse, args)).rejects.toThrow("already been reversed");
+  });
+});
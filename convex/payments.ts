@@ -0,0 +1,193 @@
+import { v } from "convex/values";
+import { mutation, query } from "./_generated/server";
+import type { QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
+import { applyCredits, openChargeStatus, roundCents } from "./rentLedger";
+
+async function withAllocations(ctx: QueryCtx, payment: Doc<"payments">) {
+  const allocations = await ctx.db
+    .query("paymentAllocations")
+    .withIndex("by_payment", (q) => q.eq("paymentId", payment._id))
+    .collect();
+
+  let rentApplied = 0;
+  let feesApplied = 0;
+  const applied = [];
+  for (const allocation of allocations) {
+    const charge = await ctx.db.get(allocation.chargeId);
+    const kind = charge?.kind ?? "rent";
+    if (!allocation.reversedAt) {
+      if (kind === "late_fee") {
+        feesApplied += allocation.amount;
+      } else {
+        rentApplied += allocation.amount;
+      }
+    }
+    applied.push({
+      chargeId: allocation.chargeId,
+      kind,
+      amount: allocation.amount,
+      dueDate: charge?.dueDate,
+      reversedAt: allocation.reversedAt,
+    });
+  }
+
+  return {
+    _id: payment._id,
+    id: payment._id,
+    tenantId: payment.tenantId,
+    propertyId: payment.propertyId,
+    unitId: payment.unitId,
+    amount: payment.amount,
+    receivedAt: payment.receivedAt,
+    paymentMethod: payment.paymentMethod,
+    transactionId: payment.transactionId,
+    notes: payment.notes,
+    status: payment.status,
+    unappliedAmount: payment.unappliedAmount,
+    reversedAt: payment.reversedAt,
+    reversalNote: payment.reversalNote,
+    rentApplied: roundCents(rentApplied),
+    feesApplied: roundCents(feesApplied),
+    allocations: applied,
+    createdAt: payment.createdAt,
+  };
+}
+
+/**
+ * List payments received (tenants only see their own)
+ */
+export const list = query({
+  args: {
+    sessionToken: v.string(),
+    tenantId: v.optional(v.id("tenants")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "read", {
+      allowTenant: true,
+    });
+    await requireOwnedRef(ctx, access, "tenants", args.tenantId);
+    const tenantId = access.tenantId ?? args.tenantId;
+
+    let payments;
+    if (tenantId) {
+      payments = await ctx.db
+        .query("payments")
+        .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+        .collect();
+    } else {
+      payments = await ctx.db
+        .query("payments")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect();
+    }
+
+    const owned = payments.filter((payment) => payment.userId === access.ownerId);
+    return await Promise.all(owned.map((payment) => withAllocations(ctx, payment)));
+  },
+});
+
+/**
+ * Record a payment from a tenant and apply it to their open charges
+ */
+export const record = mutation({
+  args: {
+    sessionToken: v.string(),
+    tenantId: v.id("tenants"),
+    amount: v.number(),
+    receivedAt: v.number(),
+    paymentMethod: v.optional(v.string()),
+    transactionId: v.optional(v.string()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const tenant = await requireOwned(ctx, access, "tenants", args.tenantId);
+    const amount = roundCents(args.amount);
+    if (!(amount > 0)) {
+      throw new Error("Payment amount must be greater than zero");
+    }
+
+    const paymentId = await ctx.db.insert("payments", {
+      tenantId: tenant._id,
+      propertyId: tenant.propertyId,
+      unitId: tenant.unitId,
+      amount,
+      receivedAt: args.receivedAt,
+      ...(args.paymentMethod ? { paymentMethod: args.paymentMethod } : {}),
+      ...(args.transactionId ? { transactionId: args.transactionId } : {}),
+      ...(args.notes ? { notes: args.notes } : {}),
+      status: "applied",
+      unappliedAmount: amount,
+      userId: access.ownerId,
+      createdAt: Date.now(),
+    });
+    await applyCredits(ctx, tenant._id);
+
+    const payment = await ctx.db.get(paymentId);
+    return await withAllocations(ctx, payment!);
+  },
+});
+
+/**
+ * Reverse a payment, or mark it returned for insufficient funds, and re-open
+ * the charges it had covered
+ */
+export const reverse = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("payments"),
+    reason: v.union(v.literal("reversed"), v.literal("returned")),
+    note: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const payment = await requireOwned(ctx, access, "payments", args.id);
+    if (payment.status !== "applied") {
+      throw new Error("This payment has already been reversed");
+    }
+
+    const now = Date.now();
+    const allocations = await ctx.db
+      .query("paymentAllocations")
+      .withIndex("by_payment", (q) => q.eq("paymentId", payment._id))
+      .collect();
+    const properties = new Map<Id<"properties">, Doc<"properties"> | null>();
+
+    for (const allocation of allocations) {
+      if (allocation.reversedAt) {
+        continue;
+      }
+      await ctx.db.patch(allocation._id, { reversedAt: now });
+
+      const charge = await ctx.db.get(allocation.chargeId);
+      if (!charge) {
+        continue;
+      }
+      const amountPaid = Math.max(0, roundCents((charge.amountPaid ?? 0) - allocation.amount));
+      const patch: Partial<Doc<"rentPayments">> = { amountPaid };
+      if (charge.status === "completed") {
+        if (!properties.has(charge.propertyId)) {
+          properties.set(charge.propertyId, await ctx.db.get(charge.propertyId));
+        }
+        patch.status = openChargeStatus(charge, properties.get(charge.propertyId) ?? null, now);
+      }
+      await ctx.db.patch(charge._id, patch);
+    }
+
+    const note = args.note?.trim();
+    await ctx.db.patch(payment._id, {
+      status: args.reason,
+      unappliedAmount: 0,
+      reversedAt: now,
+      ...(note ? { reversalNote: note } : {}),
+    });
+
+    // Other unapplied credit can pick up the charges that just re-opened.
+    await applyCredits(ctx, payment.tenantId);
+
+    const updated = await ctx.db.get(payment._id);
+    return await withAllocations(ctx, updated!);
+  },
+});
@@ -0,0 +1,468 @@
+import { v } from "convex/values";
+import { internalMutation, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
+import { addUtcMonths } from "./leaseRenewals";
+import { CLOSED_STATUSES, MAINTENANCE_PRIORITIES } from "./maintenanceRequests";
+import { DAY_MS, startOfUtcDay } from "./rentLedger";
+
+const INTERVAL_UNITS = ["days", "months", "years"];
+
+// Requests are created at most this far ahead of their due date.
+const MAX_LEAD_DAYS = 90;
+
+// Compliance looks at visits due in the past year.
+const COMPLIANCE_WINDOW_DAYS = 365;
+
+const templateFields = {
+  name: v.string(),
+  descriptionText: v.optional(v.string()),
+  category: v.string(),
+  specialty: v.optional(v.string()),
+  priority: v.optional(v.string()),
+  intervalCount: v.number(),
+  intervalUnit: v.string(),
+  leadDays: v.optional(v.number()),
+};
+
+/**
+ * The due date one interval after `dueDate`
+ */
+function advance(dueDate: number, template: Doc<"maintenanceTemplates">) {
+  if (template.intervalUnit === "days") {
+    return startOfUtcDay(dueDate) + template.intervalCount * DAY_MS;
+  }
+  const months = template.intervalUnit === "years" ? template.intervalCount * 12 : template.intervalCount;
+  return addUtcMonths(dueDate, months);
+}
+
+function validateTemplate(fields: {
+  name: string;
+  category: string;
+  priority?: string;
+  intervalCount: number;
+  intervalUnit: string;
+  leadDays?: number;
+}) {
+  if (!fields.name.trim()) {
+    throw new Error("Give the template a name");
+  }
+  if (!fields.category.trim()) {
+    throw new Error("Choose a category");
+  }
+  if (fields.priority !== undefined && !MAINTENANCE_PRIORITIES.includes(fields.priority)) {
+    throw new Error(`Unknown priority: ${fields.priority}`);
+  }
+  if (!INTERVAL_UNITS.includes(fields.intervalUnit)) {
+    throw new Error(`Unknown interval: ${fields.intervalUnit}`);
+  }
+  if (!Number.isInteger(fields.intervalCount) || fields.intervalCount < 1) {
+    throw new Error("The interval must be a whole number of at least 1");
+  }
+  if (
+    fields.leadDays !== undefined &&
+    (!Number.isInteger(fields.leadDays) || fields.leadDays < 0 || fields.leadDays > MAX_LEAD_DAYS)
+  ) {
+    throw new Error(`Requests can be created up to ${MAX_LEAD_DAYS} days ahead`);
+  }
+}
+
+/**
+ * The owner's preferred contractor for a specialty, best rated first
+ */
+async function preferredContractor(ctx: QueryCtx, ownerId: Id<"users">, specialty: string | undefined) {
+  if (!specialty) {
+    return null;
+  }
+  const wanted = specialty.trim().toLowerCase();
+  const contractors = await ctx.db
+    .query("contractors")
+    .withIndex("by_user", (q) => q.eq("userId", ownerId))
+    .collect();
+  const matches = contractors
+    .filter(
+      (contractor) =>
+        contractor.isPreferred &&
+        contractor.specialty.some((entry) => entry.trim().toLowerCase() === wanted)
+    )
+    .sort((a, b) => (b.rating ?? 0) - (a.rating ?? 0));
+  return matches[0] ?? null;
+}
+
+/**
+ * How a scheduled visit went: done by the end of its due date, missed
+ * (done late, cancelled or still open after it), or not due yet
+ */
+function visitOutcome(request: Doc<"maintenanceRequests">, now: number) {
+  const deadline = startOfUtcDay(request.dueDate ?? request.createdAt) + DAY_MS;
+  if (request.status === "completed") {
+    return (request.completedDate ?? request.updatedAt) < deadline ? "onTime" : "missed";
+  }
+  if (request.status === "cancelled" || now >= deadline) {
+    return "missed";
+  }
+  return "upcoming";
+}
+
+function toTemplate(template: Doc<"maintenanceTemplates">, scheduleCount: number) {
+  return {
+    _id: template._id,
+    id: template._id,
+    name: template.name,
+    descriptionText: template.descriptionText,
+    category: template.category,
+    specialty: template.specialty,
+    priority: template.priority,
+    intervalCount: template.intervalCount,
+    intervalUnit: template.intervalUnit,
+    leadDays: template.leadDays,
+    scheduleCount,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+}
+
+async function toSchedule(ctx: QueryCtx, schedule: Doc<"maintenanceSchedules">, now: number) {
+  const template = await ctx.db.get(schedule.templateId);
+  const property = await ctx.db.get(schedule.propertyId);
+  const unit = schedule.unitId ? await ctx.db.get(schedule.unitId) : null;
+  const contractor = schedule.contractorId
+    ? await ctx.db.get(schedule.contractorId)
+    : await preferredContractor(ctx, schedule.userId, template?.specialty);
+
+  const requests = await ctx.db
+    .query("maintenanceRequests")
+    .withIndex("by_schedule", (q) => q.eq("scheduleId", schedule._id))
+    .collect();
+  const compliance = { onTime: 0, missed: 0, upcoming: 0 };
+  let lastCompletedDate: number | undefined;
+  for (const request of requests) {
+    if (request.completedDate && (!lastCompletedDate || request.completedDate > lastCompletedDate)) {
+      lastCompletedDate = request.completedDate;
+    }
+    if ((request.dueDate ?? request.createdAt) < now - COMPLIANCE_WINDOW_DAYS * DAY_MS) {
+      continue;
+    }
+    compliance[visitOutcome(request, now)] += 1;
+  }
+  const openRequest = requests.find((request) => !CLOSED_STATUSES.includes(request.status));
+
+  return {
+    _id: schedule._id,
+    id: schedule._id,
+    templateId: schedule.templateId,
+    templateName: template?.name ?? "Removed template",
+    propertyId: schedule.propertyId,
+    propertyName: property ? property.name || property.address : "Removed property",
+    unitId: schedule.unitId,
+    unitLabel: unit?.label,
+    contractorId: schedule.contractorId,
+    contractorName: contractor?.companyName,
+    contractorIsDefault: !schedule.contractorId && Boolean(contractor),
+    nextDueDate: schedule.nextDueDate,
+    createsOn: schedule.nextDueDate - (template?.leadDays ?? 0) * DAY_MS,
+    active: schedule.active,
+    openRequestId: openRequest?._id,
+    lastCompletedDate,
+    compliance,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+  };
+}
+
+/**
+ * Create the request for a schedule's next visit and move the schedule on
+ * to the visit after. Visits already past are skipped rather than created
+ * in a burst.
+ */
+async function createScheduledRequest(
+  ctx: MutationCtx,
+  schedule: Doc<"maintenanceSchedules">,
+  template: Doc<"maintenanceTemplates">,
+  now: number
+) {
+  const contractorId =
+    schedule.contractorId ?? (await preferredContractor(ctx, schedule.userId, template.specialty))?._id;
+  const requestId = await ctx.db.insert("maintenanceRequests", {
+    propertyId: schedule.propertyId,
+    unitId: schedule.unitId,
+    scheduleId: schedule._id,
+    dueDate: schedule.nextDueDate,
+    contractorId,
+    title: template.name,
+    descriptionText: template.descriptionText,
+    category: template.category,
+    priority: template.priority,
+    status: "new",
+    statusHistory: [{ status: "new", at: now, actorName: "Preventive maintenance" }],
+    userId: schedule.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  let nextDueDate = advance(schedule.nextDueDate, template);
+  while (nextDueDate < startOfUtcDay(now)) {
+    nextDueDate = advance(nextDueDate, template);
+  }
+  await ctx.db.patch(schedule._id, { nextDueDate, updatedAt: now });
+  return requestId;
+}
+
+/**
+ * List preventive maintenance templates
+ */
+export const listTemplates = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    const templates = await ctx.db
+      .query("maintenanceTemplates")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+    const results = [];
+    for (const template of templates) {
+      const schedules = await ctx.db
+        .query("maintenanceSchedules")
+        .withIndex("by_template", (q) => q.eq("templateId", template._id))
+        .collect();
+      results.push(toTemplate(template, schedules.length));
+    }
+    return results.sort((a, b) => a.name.localeCompare(b.name));
+  },
+});
+
+/**
+ * Create a preventive maintenance template
+ */
+export const createTemplate = mutation({
+  args: { sessionToken: v.string(), ...templateFields },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    validateTemplate(args);
+    const now = Date.now();
+    const templateId = await ctx.db.insert("maintenanceTemplates", {
+      name: args.name.trim(),
+      descriptionText: args.descriptionText?.trim() || args.name.trim(),
+      category: args.category.trim(),
+      specialty: args.specialty?.trim() || undefined,
+      priority: args.priority ?? "normal",
+      intervalCount: args.intervalCount,
+      intervalUnit: args.intervalUnit,
+      leadDays: args.leadDays ?? 14,
+      userId: access.ownerId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return toTemplate((await ctx.db.get(templateId))!, 0);
+  },
+});
+
+/**
+ * Update a template. Every schedule using it picks up the change from its
+ * next request on.
+ */
+export const updateTemplate = mutation({
+  args: { sessionToken: v.string(), id: v.id("maintenanceTemplates"), ...templateFields },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const template = await requireOwned(ctx, access, "maintenanceTemplates", args.id);
+    validateTemplate(args);
+    await ctx.db.patch(template._id, {
+      name: args.name.trim(),
+      descriptionText: args.descriptionText?.trim() || args.name.trim(),
+      category: args.category.trim(),
+      specialty: args.specialty?.trim() || undefined,
+      priority: args.priority ?? template.priority,
+      intervalCount: args.intervalCount,
+      intervalUnit: args.intervalUnit,
+      leadDays: args.leadDays ?? template.leadDays,
+      updatedAt: Date.now(),
+    });
+    const schedules = await ctx.db
+      .query("maintenanceSchedules")
+      .withIndex("by_template", (q) => q.eq("templateId", template._id))
+      .collect();
+    return toTemplate((await ctx.db.get(template._id))!, schedules.length);
+  },
+});
+
+/**
+ * Delete a template no property is scheduled with
+ */
+export const removeTemplate = mutation({
+  args: { sessionToken: v.string(), id: v.id("maintenanceTemplates") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const template = await requireOwned(ctx, access, "maintenanceTemplates", args.id);
+    const schedule = await ctx.db
+      .query("maintenanceSchedules")
+      .withIndex("by_template", (q) => q.eq("templateId", template._id))
+      .first();
+    if (schedule) {
+      throw new Error("Remove this template's schedules first");
+    }
+    await ctx.db.delete(template._id);
+    return { id: template._id };
+  },
+});
+
+/**
+ * List preventive maintenance schedules with their on-time record
+ */
+export const listSchedules = query({
+  args: { sessionToken: v.string(), propertyId: v.optional(v.id("properties")) },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const schedules = args.propertyId
+      ? await ctx.db
+          .query("maintenanceSchedules")
+          .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
+          .collect()
+      : await ctx.db
+          .query("maintenanceSchedules")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
+
+    const now = Date.now();
+    const results = [];
+    for (const schedule of schedules.filter((entry) => entry.userId === access.ownerId)) {
+      results.push(await toSchedule(ctx, schedule, now));
+    }
+    return results.sort((a, b) => a.nextDueDate - b.nextDueDate);
+  },
+});
+
+/**
+ * Schedule a template on one or more properties. A unit can be picked
+ * when scheduling a single property.
+ */
+export const createSchedules = mutation({
+  args: {
+    sessionToken: v.string(),
+    templateId: v.id("maintenanceTemplates"),
+    propertyIds: v.array(v.id("properties")),
+    unitId: v.optional(v.id("units")),
+    contractorId: v.optional(v.id("contractors")),
+    firstDueDate: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const template = await requireOwned(ctx, access, "maintenanceTemplates", args.templateId);
+    await requireOwnedRef(ctx, access, "contractors", args.contractorId);
+    const propertyIds = [...new Set(args.propertyIds)];
+    if (propertyIds.length === 0) {
+      throw new Error("Choose at least one property");
+    }
+    const unit = await requireOwnedRef(ctx, access, "units", args.unitId);
+    if (unit && (propertyIds.length !== 1 || unit.propertyId !== propertyIds[0])) {
+      throw new Error("A unit can only be scheduled with its own property");
+    }
+
+    const now = Date.now();
+    const nextDueDate = startOfUtcDay(args.firstDueDate);
+    // A day's grace, for owners west of UTC late in their day
+    if (nextDueDate < startOfUtcDay(now) - DAY_MS) {
+      throw new Error("The first due date can't be in the past");
+    }
+    const created = [];
+    for (const propertyId of propertyIds) {
+      await requireOwned(ctx, access, "properties", propertyId);
+      const scheduleId = await ctx.db.insert("maintenanceSchedules", {
+        templateId: template._id,
+        propertyId,
+        unitId: unit?._id,
+        contractorId: args.contractorId,
+        nextDueDate,
+        active: true,
+        userId: access.ownerId,
+        createdAt: now,
+        updatedAt: now,
+      });
+      // Inside the lead time already: don't wait for tomorrow's run.
+      const schedule = (await ctx.db.get(scheduleId))!;
+      if (nextDueDate - template.leadDays * DAY_MS <= now) {
+        await createScheduledRequest(ctx, schedule, template, now);
+      }
+      created.push(await toSchedule(ctx, (await ctx.db.get(scheduleId))!, now));
+    }
+    return created;
+  },
+});
+
+/**
+ * Move a schedule's next due date, change its contractor, or pause it
+ */
+export const updateSchedule = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("maintenanceSchedules"),
+    nextDueDate: v.optional(v.number()),
+    contractorId: v.optional(v.id("contractors")),
+    clearContractorId: v.optional(v.boolean()),
+    active: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const schedule = await requireOwned(ctx, access, "maintenanceSchedules", args.id);
+    await requireOwnedRef(ctx, access, "contractors", args.contractorId);
+
+    const patch: Partial<Doc<"maintenanceSchedules">> = { updatedAt: Date.now() };
+    if (args.nextDueDate !== undefined) patch.nextDueDate = startOfUtcDay(args.nextDueDate);
+    if (args.clearContractorId) {
+      patch.contractorId = undefined;
+    } else if (args.contractorId !== undefined) {
+      patch.contractorId = args.contractorId;
+    }
+    if (args.active !== undefined) patch.active = args.active;
+    await ctx.db.patch(schedule._id, patch);
+    return await toSchedule(ctx, (await ctx.db.get(schedule._id))!, Date.now());
+  },
+});
+
+/**
+ * Remove a schedule. Requests it already created are kept.
+ */
+export const removeSchedule = mutation({
+  args: { sessionToken: v.string(), id: v.id("maintenanceSchedules") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const schedule = await requireOwned(ctx, access, "maintenanceSchedules", args.id);
+    await ctx.db.delete(schedule._id);
+    return { id: schedule._id };
+  },
+});
+
+/**
+ * Create requests for scheduled visits entering their template's lead time
+ */
+export const createDue = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const schedules = await ctx.db
+      .query("maintenanceSchedules")
+      .withIndex("by_active_due", (q) =>
+        q.eq("active", true).lte("nextDueDate", now + MAX_LEAD_DAYS * DAY_MS)
+      )
+      .collect();
+
+    let created = 0;
+    for (const schedule of schedules) {
+      const template = await ctx.db.get(schedule.templateId);
+      const property = await ctx.db.get(schedule.propertyId);
+      const unitGone = schedule.unitId && !(await ctx.db.get(schedule.unitId));
+      if (!template || !property || unitGone) {
+        await ctx.db.patch(schedule._id, { active: false, updatedAt: now });
+        continue;
+      }
+      if (schedule.nextDueDate - template.leadDays * DAY_MS > now) {
+        continue;
+      }
+      await createScheduledRequest(ctx, schedule, template, now);
+      created += 1;
+    }
+    return { created };
+  },
+});
@@ -1,24 +1,24 @@
 import { v } from "convex/values";
 import { query, mutation } from "./_generated/server";
 import { FREE_PROPERTY_LIMIT, isOwnerEmail } from "./limits";
+import { authorize, requireOwned } from "./authorization";
+import { lateFeePolicyValidator, validateLateFeePolicy } from "./lateFees";
+import { ensurePropertyUnits } from "./units";
 
 /**
- * List all properties for the current user
- * Note: In production, get userId from auth token
+ * List all properties for the signed-in user
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
-    // TODO: Get userId from auth token in production
-    // If userId is present, scope to that user; otherwise return all (useful for preview/demo).
-    let query = ctx.db.query("properties");
-    if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
-    }
-
-    const properties = await query.order("desc").collect();
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    const properties = await ctx.db
+      .query("properties")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .order("desc")
+      .collect();
 
     return properties.map((prop) => ({
       _id: prop._id,
@@ -36,6 +36,10 @@ export const list = query({
       mortgageLoanBalance: prop.mortgageLoanBalance,
       mortgageAPR: prop.mortgageAPR,
       mortgageMonthlyPayment: prop.mortgageMonthlyPayment,
+      rentDueDay: prop.rentDueDay,
+      rentGraceDays: prop.rentGraceDays,
+      lateFeePolicy: prop.lateFeePolicy,
+      paymentAllocationOrder: prop.paymentAllocationOrder,
       imageURL: prop.imageURL,
       notes: prop.notes,
       createdAt: prop.createdAt,
@@ -48,12 +52,10 @@ export const list = query({
  * Get a single property by ID
  */
 export const get = query({
-  args: { id: v.id("properties") },
+  args: { sessionToken: v.string(), id: v.id("properties") },
   handler: async (ctx, args) => {
-    const property = await ctx.db.get(args.id);
-    if (!property) {
-      throw new Error("Property not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    const property = await requireOwned(ctx, access, "properties", args.id);
 
     return {
       _id: property._id,
@@ -71,6 +73,10 @@ export const get = query({
       mortgageLoanBalance: property.mortgageLoanBalance,
       mortgageAPR: property.mortgageAPR,
       mortgageMonthlyPayment: property.mortgageMonthlyPayment,
+      rentDueDay: property.rentDueDay,
+      rentGraceDays: property.rentGraceDays,
+      lateFeePolicy: property.lateFeePolicy,
+      paymentAllocationOrder: property.paymentAllocationOrder,
       imageURL: property.imageURL,
       notes: property.notes,
       createdAt: property.createdAt,
@@ -99,20 +105,19 @@ export const create = mutation({
     mortgageMonthlyPayment: v.optional(v.number()),
     imageURL: v.optional(v.string()),
     notes: v.optional(v.string()),
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
     const now = Date.now();
-    const user = await ctx.db.get(args.userId);
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
 
-    const ownerAccount = isOwnerEmail(user.email);
-    if (!user.isPremium && !ownerAccount) {
+    // The plan limit follows the portfolio owner's subscription.
+    const owner = await ctx.db.get(access.ownerId);
+    const ownerAccount = isOwnerEmail(owner?.email);
+    if (!owner?.isPremium && !ownerAccount) {
       const existing = await ctx.db
         .query("properties")
-        .withIndex("by_user", (q) => q.eq("userId", args.userId))
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
         .collect();
       if (existing.length >= FREE_PROPERTY_LIMIT) {
         throw new Error(
@@ -137,12 +142,13 @@ export const create = mutation({
       mortgageMonthlyPayment: args.mortgageMonthlyPayment,
       imageURL: args.imageURL,
       notes: args.notes,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
       updatedAt: now,
     });
 
     const property = await ctx.db.get(propertyId);
+    await ensurePropertyUnits(ctx, property!);
     return {
       _id: property!._id,
       id: property!._id,
@@ -159,6 +165,10 @@ export const create = mutation({
       mortgageLoanBalance: property!.mortgageLoanBalance,
       mortgageAPR: property!.mortgageAPR,
       mortgageMonthlyPayment: property!.mortgageMonthlyPayment,
+      rentDueDay: property!.rentDueDay,
+      rentGraceDays: property!.rentGraceDays,
+      lateFeePolicy: property!.lateFeePolicy,
+      paymentAllocationOrder: property!.paymentAllocationOrder,
       imageURL: property!.imageURL,
       notes: property!.notes,
       createdAt: property!.createdAt,
@@ -172,6 +182,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("properties"),
     name: v.optional(v.string()),
     address: v.optional(v.string()),
@@ -189,20 +200,52 @@ export const update = mutation({
     clearMortgageLoanBalance: v.optional(v.boolean()),
     clearMortgageAPR: v.optional(v.boolean()),
     clearMortgageMonthlyPayment: v.optional(v.boolean()),
+    rentDueDay: v.optional(v.number()),
+    rentGraceDays: v.optional(v.number()),
+    lateFeePolicy: v.optional(lateFeePolicyValidator),
+    clearLateFeePolicy: v.optional(v.boolean()),
+    paymentAllocationOrder: v.optional(v.union(v.literal("fees_first"), v.literal("rent_first"))),
     imageURL: v.optional(v.string()),
     notes: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
     const {
+      sessionToken,
       id,
       clearMortgageLoanBalance,
       clearMortgageAPR,
       clearMortgageMonthlyPayment,
+      clearLateFeePolicy,
       ...updates
     } = args;
-    const property = await ctx.db.get(id);
-    if (!property) {
-      throw new Error("Property not found");
+    const access = await authorize(ctx, sessionToken, "properties", "write");
+    await requireOwned(ctx, access, "properties", id);
+
+    if (
+      updates.rentDueDay !== undefined &&
+      (!Number.isInteger(updates.rentDueDay) || updates.rentDueDay < 1 || updates.rentDueDay > 28)
+    ) {
+      throw new Error("Rent due day must be between 1 and 28");
+    }
+    if (
+      updates.rentGraceDays !== undefined &&
+      (!Number.isInteger(updates.rentGraceDays) || updates.rentGraceDays < 0)
+    ) {
+      throw new Error("Grace period must be zero or more days");
+    }
+    if (updates.lateFeePolicy) {
+      validateLateFeePolicy(updates.lateFeePolicy);
+    }
+    if (updates.units !== undefined) {
+      const units = await ctx.db
+        .query("units")
+        .withIndex("by_property", (q) => q.eq("propertyId", id))
+        .collect();
+      if (updates.units < units.length) {
+        throw new Error(
+          `This property has ${units.length} units on record. Remove units from its unit list first.`
+        );
+      }
     }
 
     const patch: Record<string, any> = {
@@ -219,12 +262,18 @@ export const update = mutation({
     if (clearMortgageMonthlyPayment) {
       patch.mortgageMonthlyPayment = undefined;
     }
+    if (clearLateFeePolicy) {
+      patch.lateFeePolicy = undefined;
+    }
 
     await ctx.db.patch(id, {
       ...patch,
     });
 
     const updated = await ctx.db.get(id);
+    if (updates.units !== undefined) {
+      await ensurePropertyUnits(ctx, updated!);
+    }
     return {
       _id: updated!._id,
       id: updated!._id,
@@ -241,6 +290,10 @@ export const update = mutation({
       mortgageLoanBalance: updated!.mortgageLoanBalance,
       mortgageAPR: updated!.mortgageAPR,
       mortgageMonthlyPayment: updated!.mortgageMonthlyPayment,
+      rentDueDay: updated!.rentDueDay,
+      rentGraceDays: updated!.rentGraceDays,
+      lateFeePolicy: updated!.lateFeePolicy,
+      paymentAllocationOrder: updated!.paymentAllocationOrder,
       imageURL: updated!.imageURL,
       notes: updated!.notes,
       createdAt: updated!.createdAt,
@@ -253,13 +306,25 @@ export const update = mutation({
  * Delete a property
  */
 export const deleteProperty = mutation({
-  args: { id: v.id("properties") },
+  args: { sessionToken: v.string(), id: v.id("properties") },
   handler: async (ctx, args) => {
-    const property = await ctx.db.get(args.id);
-    if (!property) {
-      throw new Error("Property not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    await requireOwned(ctx, access, "properties", args.id);
 
+    const units = await ctx.db
+      .query("units")
+      .withIndex("by_property", (q) => q.eq("propertyId", args.id))
+      .collect();
+    for (const unit of units) {
+      await ctx.db.delete(unit._id);
+    }
+    const schedules = await ctx.db
+      .query("maintenanceSchedules")
+      .withIndex("by_property", (q) => q.eq("propertyId", args.id))
+      .collect();
+    for (const schedule of schedules) {
+      await ctx.db.delete(schedule._id);
+    }
     await ctx.db.delete(args.id);
     return { success: true };
   },
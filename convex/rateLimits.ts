@@ -0,0 +1,126 @@
+import { ConvexError, v } from "convex/values";
+import { internalMutation, QueryCtx } from "./_generated/server";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Per-action limits for unauthenticated auth endpoints, tracked per email.
+ * Every attempt counts until one succeeds and clears the count. The first
+ * `freeAttempts` are not delayed; after that each attempt doubles the wait
+ * from `baseDelayMs`, and hitting `maxFailures` locks the email out of that
+ * action for `lockoutMs`. Verification and reset emails are only cleared
+ * once the email is verified or the password reset, since each send is a
+ * request we'd rather not repeat.
+ */
+export const RATE_LIMITS = {
+  signIn: { freeAttempts: 3, baseDelayMs: 2000, maxFailures: 10, lockoutMs: 15 * MINUTE_MS },
+  verifyEmail: { freeAttempts: 2, baseDelayMs: 5000, maxFailures: 5, lockoutMs: 15 * MINUTE_MS },
+  sendVerificationEmail: { freeAttempts: 1, baseDelayMs: 30000, maxFailures: 5, lockoutMs: 60 * MINUTE_MS },
+  resetPassword: { freeAttempts: 1, baseDelayMs: 30000, maxFailures: 5, lockoutMs: 60 * MINUTE_MS },
+} as const;
+
+export type RateLimitedAction = keyof typeof RATE_LIMITS;
+
+const actionValidator = v.union(
+  v.literal("signIn"),
+  v.literal("verifyEmail"),
+  v.literal("sendVerificationEmail"),
+  v.literal("resetPassword")
+);
+
+function retryAfter(
+  action: RateLimitedAction,
+  failures: number,
+  lastFailureAt: number,
+  lockedUntil: number | undefined,
+  now: number
+) {
+  if (lockedUntil && lockedUntil > now) {
+    return lockedUntil - now;
+  }
+  const { freeAttempts, baseDelayMs } = RATE_LIMITS[action];
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  const delay = baseDelayMs * 2 ** (failures - freeAttempts);
+  return Math.max(0, lastFailureAt + delay - now);
+}
+
+function formatWait(ms: number) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+async function findAttempt(ctx: QueryCtx, email: string, action: RateLimitedAction) {
+  return await ctx.db
+    .query("authAttempts")
+    .withIndex("by_email_action", (q) => q.eq("email", email).eq("action", action))
+    .first();
+}
+
+export function rateLimited(retryAfterMs: number) {
+  return new ConvexError({
+    code: "RATE_LIMITED",
+    message: `Too many attempts. Try again in ${formatWait(retryAfterMs)}.`,
+    retryAfterMs,
+  });
+}
+
+/**
+ * Count an attempt before it is checked, so parallel requests can't all get
+ * in ahead of the first failure being recorded. Returns the milliseconds
+ * until an attempt is allowed, without counting it, when it is too soon
+ * (0 when the attempt was counted and may go ahead).
+ */
+export const reserveAttempt = internalMutation({
+  args: { email: v.string(), action: actionValidator },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const { maxFailures, lockoutMs } = RATE_LIMITS[args.action];
+    const attempt = await findAttempt(ctx, args.email, args.action);
+    const waitMs = attempt
+      ? retryAfter(args.action, attempt.failures, attempt.lastFailureAt, attempt.lockedUntil, now)
+      : 0;
+    if (waitMs > 0) {
+      return waitMs;
+    }
+
+    // Attempts older than the lockout window (including a served lockout)
+    // no longer count.
+    const stale = !attempt || now - attempt.lastFailureAt >= lockoutMs;
+    const failures = (stale ? 0 : attempt.failures) + 1;
+    const lockedUntil = failures >= maxFailures ? now + lockoutMs : undefined;
+
+    if (attempt) {
+      await ctx.db.patch(attempt._id, {
+        failures,
+        lastFailureAt: now,
+        lockedUntil,
+      });
+    } else {
+      await ctx.db.insert("authAttempts", {
+        email: args.email,
+        action: args.action,
+        failures,
+        lastFailureAt: now,
+        lockedUntil,
+      });
+    }
+
+    return 0;
+  },
+});
+
+export const clearFailures = internalMutation({
+  args: { email: v.string(), action: actionValidator },
+  handler: async (ctx, args) => {
+    const attempt = await findAttempt(ctx, args.email, args.action);
+    if (attempt) {
+      await ctx.db.delete(attempt._id);
+    }
+  },
+});
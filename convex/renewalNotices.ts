@@ -0,0 +1,183 @@
+/// <reference types="node" />
+"use node";
+
+import { v } from "convex/values";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import type { PDFFont } from "pdf-lib";
+import { action, internalAction } from "./_generated/server";
+import { internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { appUrl, deliverEmail } from "./email";
+
+export function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// The standard PDF fonts only cover Latin-1 and a little punctuation.
+function printable(text: string) {
+  return text.replace(/[^\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026]/g, "?");
+}
+
+function wrap(text: string, font: PDFFont, size: number, width: number): string[] {
+  const lines: string[] = [];
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of printable(paragraph).split(" ")) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(next, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Lay the rendered letter out on letter-size pages
+ */
+export async function renderLetter(title: string, letter: string, issuedAt: number): Promise<Uint8Array> {
+  const pdf = await PDFDocument.create();
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const margin = 64;
+  const width = 612;
+  const height = 792;
+
+  let page = pdf.addPage([width, height]);
+  let y = height - margin;
+  page.drawText(title, { x: margin, y, size: 16, font: bold });
+  y -= 24;
+  page.drawText(
+    new Date(issuedAt).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      timeZone: "UTC",
+    }),
+    { x: margin, y, size: 10, font: regular }
+  );
+  y -= 32;
+
+  for (const line of wrap(letter, regular, 11, width - margin * 2)) {
+    if (y < margin) {
+      page = pdf.addPage([width, height]);
+      y = height - margin;
+    }
+    page.drawText(line, { x: margin, y, size: 11, font: regular });
+    y -= 16;
+  }
+
+  return await pdf.save();
+}
+
+function letterEmail(letter: string, subject: string) {
+  const portal = `${appUrl()}/portal`;
+  return {
+    subject,
+    html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
+      ${letter
+        .split("\n\n")
+        .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`)
+        .join("\n      ")}
+      <p><a href="${portal}">Answer in the tenant portal</a></p>
+    </div>
+  `,
+    text: `${letter}\n\nAnswer in the tenant portal: ${portal}`,
+  };
+}
+
+async function emailAll(emails: string[], message: ReturnType<typeof letterEmail>) {
+  let sent = 0;
+  for (const email of emails) {
+    try {
+      await deliverEmail(email, message);
+      sent += 1;
+    } catch (error) {
+      console.warn("Renewal email failed:", error);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Generate the renewal notice from the portfolio's template, file it with
+ * the tenant's documents and email it to every tenant on the lease
+ */
+export const send = action({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("leaseRenewals"),
+  },
+  handler: async (
+    ctx,
+    args
+  ): Promise<{ documentId: Id<"documents">; downloadURL: string | null; emailsSent: number }> => {
+    const notice: {
+      ownerId: Id<"users">;
+      emails: string[];
+      tenantNames: string;
+      landlordName: string;
+      letter: string;
+      responseDueAt: number;
+    } = await ctx.runQuery(internal.leaseRenewals.noticeData, {
+      sessionToken: args.sessionToken,
+      id: args.id,
+    });
+
+    const title = "Lease renewal offer";
+    const bytes = await renderLetter(title, notice.letter, Date.now());
+    const storageId = await ctx.storage.store(new Blob([bytes], { type: "application/pdf" }));
+    const filed: { documentId: Id<"documents">; downloadURL: string | null } =
+      await ctx.runMutation(internal.leaseRenewals.markSent, {
+        id: args.id,
+        ownerId: notice.ownerId,
+        storageId,
+        title: `${title} - ${notice.tenantNames}`,
+        fileSizeBytes: bytes.byteLength,
+        responseDueAt: notice.responseDueAt,
+      });
+
+    const emailsSent = await emailAll(
+      notice.emails,
+      letterEmail(notice.letter, `Lease renewal offer from ${notice.landlordName}`)
+    );
+    return { ...filed, emailsSent };
+  },
+});
+
+/**
+ * Re-send the offer to tenants who haven't answered yet
+ */
+export const sendReminders = internalAction({
+  args: {},
+  handler: async (ctx): Promise<{ reminded: number }> => {
+    const due: {
+      id: Id<"leaseRenewals">;
+      emails: string[];
+      tenantNames: string;
+      landlordName: string;
+      letter: string;
+    }[] = await ctx.runQuery(internal.leaseRenewals.dueReminders, {});
+
+    for (const renewal of due) {
+      await emailAll(
+        renewal.emails,
+        letterEmail(renewal.letter, `Reminder: lease renewal offer from ${renewal.landlordName}`)
+      );
+      await ctx.runMutation(internal.leaseRenewals.recordReminder, {
+        id: renewal.id,
+        tenantNames: renewal.tenantNames,
+      });
+    }
+    return { reminded: due.length };
+  },
+});
@@ -0,0 +1,223 @@
+// @vitest-environment edge-runtime
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { api, internal } from "./_generated/api";
+import { applyCredits, releaseAllocations, rentSchedule } from "./rentLedger";
+import { insertCharge, seedPortfolio, setupConvex } from "./test.setup";
+
+const day = (month: number, date: number) => Date.UTC(2026, month - 1, date);
+
+describe("rentSchedule", () => {
+  it("charges whole months in full, due on the due day", () => {
+    const charges = rentSchedule(
+      { leaseStartDate: day(1, 1), leaseEndDate: day(3, 31), monthlyRent: 1500 },
+      1,
+      day(12, 31)
+    );
+    expect(charges.map((charge) => [charge.dueDate, charge.amount, charge.prorated])).toEqual([
+      [day(1, 1), 1500, false],
+      [day(2, 1), 1500, false],
+      [day(3, 1), 1500, false],
+    ]);
+  });
+
+  it("prorates a first month that starts after the due day, due on the move-in date", () => {
+    const [first, second] = rentSchedule(
+      { leaseStartDate: day(1, 15), leaseEndDate: day(6, 30), monthlyRent: 1550 },
+      1,
+      day(2, 1)
+    );
+    // January 15-31 is 17 of 31 days
+    expect(first).toEqual({
+      dueDate: day(1, 15),
+      periodStart: day(1, 15),
+      periodEnd: day(1, 31),
+      amount: 850,
+      prorated: true,
+    });
+    expect(second).toMatchObject({ dueDate: day(2, 1), amount: 1550, prorated: false });
+  });
+
+  it("prorates a last month that ends before the next due day", () => {
+    const charges = rentSchedule(
+      { leaseStartDate: day(1, 1), leaseEndDate: day(2, 14), monthlyRent: 1400 },
+      1,
+      day(12, 31)
+    );
+    // February 1-14 is 14 of 28 days
+    expect(charges.at(-1)).toEqual({
+      dueDate: day(2, 1),
+      periodStart: day(2, 1),
+      periodEnd: day(2, 14),
+      amount: 700,
+      prorated: true,
+    });
+  });
+
+  it("bills periods between due days when the due day isn't the 1st", () => {
+    const charges = rentSchedule(
+      { leaseStartDate: day(1, 1), leaseEndDate: day(2, 14), monthlyRent: 1500 },
+      15,
+      day(12, 31)
+    );
+    // December 15 - January 14: January 1-14 is 14 of 31 days
+    expect(charges.map((charge) => [charge.dueDate, charge.amount])).toEqual([
+      [day(1, 1), 677.42],
+      [day(1, 15), 1500],
+    ]);
+  });
+
+  it("stops at charges due after `through`", () => {
+    const charges = rentSchedule(
+      { leaseStartDate: day(1, 1), leaseEndDate: day(12, 31), monthlyRent: 1500 },
+      1,
+      day(2, 28)
+    );
+    expect(charges).toHaveLength(2);
+  });
+});
+
+describe("payment credits", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(2, 3));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("carries an overpayment as credit and applies it to the next charge", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const january = await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+
+    const payment = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 2000,
+      receivedAt: day(1, 2),
+    });
+    expect(payment.unappliedAmount).toBe(500);
+    expect(await t.run((ctx) => ctx.db.get(january))).toMatchObject({
+      status: "completed",
+      amountPaid: 1500,
+    });
+
+    const february = await insertCharge(t, seed, { amount: 1500, dueDate: day(2, 1) });
+    await t.run((ctx) => applyCredits(ctx, seed.tenantId));
+    expect(await t.run((ctx) => ctx.db.get(february))).toMatchObject({
+      status: "pending",
+      amountPaid: 500,
+    });
+    expect(await t.run((ctx) => ctx.db.get(payment._id))).toMatchObject({ unappliedAmount: 0 });
+  });
+
+  it("pays late fees ahead of rent unless the property says otherwise", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t, { property: { paymentAllocationOrder: "rent_first" } });
+    const rent = await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+    const fee = await insertCharge(t, seed, { amount: 75, dueDate: day(1, 1), kind: "late_fee" });
+
+    await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 1500,
+      receivedAt: day(1, 20),
+    });
+    expect(await t.run((ctx) => ctx.db.get(rent))).toMatchObject({ status: "completed" });
+    expect(await t.run((ctx) => ctx.db.get(fee))).toMatchObject({ status: "pending", amountPaid: 0 });
+  });
+
+  it("moves other credit onto charges a reversal re-opens", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const january = await insertCharge(t, seed, { amount: 1500, dueDate: day(1, 1) });
+    const first = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 1500,
+      receivedAt: day(1, 2),
+    });
+    const second = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 1000,
+      receivedAt: day(1, 3),
+    });
+    expect(second.unappliedAmount).toBe(1000);
+
+    await t.mutation(api.payments.reverse, {
+      sessionToken: seed.sessionToken,
+      id: first._id,
+      reason: "reversed",
+    });
+    expect(await t.run((ctx) => ctx.db.get(january))).toMatchObject({
+      status: "overdue",
+      amountPaid: 1000,
+    });
+    expect(await t.run((ctx) => ctx.db.get(second._id))).toMatchObject({ unappliedAmount: 0 });
+  });
+
+  it("gives released allocations back to their payments", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t);
+    const january = await insertCharge(t, seed, { amount: 1000, dueDate: day(1, 1) });
+    const payment = await t.mutation(api.payments.record, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      amount: 1200,
+      receivedAt: day(1, 2),
+    });
+
+    const released = await t.run(async (ctx) => releaseAllocations(ctx, (await ctx.db.get(january))!));
+    expect(released).toBe(1000);
+    expect(await t.run((ctx) => ctx.db.get(payment._id))).toMatchObject({ unappliedAmount: 1200 });
+    expect(await t.run((ctx) => ctx.db.query("paymentAllocations").collect())).toEqual([]);
+  });
+});
+
+describe("generateCharges", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(2, 3));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("posts a shared lease's charges to its first active tenant", async () => {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t, { tenant: { isActive: false } });
+    const { coTenantId } = await t.run(async (ctx) => {
+      const former = (await ctx.db.get(seed.tenantId))!;
+      const { _id, _creationTime, ...fields } = former;
+      const coTenantId = await ctx.db.insert("tenants", {
+        ...fields,
+        firstName: "Sam",
+        email: "sam@example.com",
+        isActive: true,
+      });
+      const leaseId = await ctx.db.insert("leases", {
+        propertyId: seed.propertyId,
+        tenantIds: [_id, coTenantId],
+        startDate: former.leaseStartDate,
+        endDate: former.leaseEndDate,
+        monthlyRent: former.monthlyRent,
+        securityDeposit: former.securityDeposit,
+        status: "active",
+        userId: seed.userId,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+      await ctx.db.patch(_id, { leaseId });
+      await ctx.db.patch(coTenantId, { leaseId });
+      return { coTenantId };
+    });
+
+    expect(await t.mutation(internal.rentLedger.generateCharges, {})).toEqual({ created: 1 });
+    const charges = await t.run((ctx) => ctx.db.query("rentPayments").collect());
+    expect(charges.map((charge) => [charge.tenantId, charge.dueDate])).toEqual([[coTenantId, day(2, 1)]]);
+
+    // Running again finds the charge and doesn't post it twice
+    expect(await t.mutation(internal.rentLedger.generateCharges, {})).toEqual({ created: 0 });
+  });
+});
@@ -0,0 +1,503 @@
+import { v } from "convex/values";
+import { internalMutation, query } from "./_generated/server";
+import type { MutationCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned } from "./authorization";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RENT_DUE_DAY = 1;
+export const DEFAULT_RENT_GRACE_DAYS = 5;
+
+// Charges due this far back are still created, so a missed cron run
+// catches up on the next one.
+const GENERATION_LOOKBACK_DAYS = 7;
+
+export type RentCharge = {
+  dueDate: number;
+  periodStart: number;
+  periodEnd: number;
+  amount: number;
+  prorated: boolean;
+};
+
+/**
+ * Due day of month for a property, kept to 1-28 so every month has one
+ */
+export function rentDueDay(property: Doc<"properties"> | null): number {
+  const day = Math.round(property?.rentDueDay ?? DEFAULT_RENT_DUE_DAY);
+  return Math.min(28, Math.max(1, day));
+}
+
+/**
+ * Days after the due date before an unpaid charge is overdue
+ */
+export function rentGraceDays(property: Doc<"properties"> | null): number {
+  return Math.max(0, Math.round(property?.rentGraceDays ?? DEFAULT_RENT_GRACE_DAYS));
+}
+
+export function startOfUtcDay(timestamp: number): number {
+  const date = new Date(timestamp);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+export function roundCents(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Monthly rent charges for a lease, due on or before `through`.
+ *
+ * Billing periods run from one due day to the next. The first and last
+ * periods are prorated by the days the lease actually covers, and the first
+ * charge falls due on the lease start date. Lease dates are compared as UTC
+ * calendar days; the end date is the last day of the tenancy.
+ */
+export function rentSchedule(
+  lease: { leaseStartDate: number; leaseEndDate: number; monthlyRent: number },
+  dueDay: number,
+  through: number
+): RentCharge[] {
+  const leaseStart = startOfUtcDay(lease.leaseStartDate);
+  const leaseEnd = startOfUtcDay(lease.leaseEndDate) + DAY_MS;
+  const charges: RentCharge[] = [];
+  if (lease.monthlyRent <= 0) {
+    return charges;
+  }
+
+  const first = new Date(leaseStart);
+  let periodStart = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), dueDay);
+  if (periodStart > leaseStart) {
+    periodStart = Date.UTC(first.getUTCFullYear(), first.getUTCMonth() - 1, dueDay);
+  }
+
+  while (periodStart < leaseEnd) {
+    const current = new Date(periodStart);
+    const periodEnd = Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, dueDay);
+    const coveredStart = Math.max(periodStart, leaseStart);
+    const coveredEnd = Math.min(periodEnd, leaseEnd);
+    if (coveredStart > through) {
+      break;
+    }
+
+    const periodDays = Math.round((periodEnd - periodStart) / DAY_MS);
+    const coveredDays = Math.round((coveredEnd - coveredStart) / DAY_MS);
+    const prorated = coveredDays < periodDays;
+    charges.push({
+      dueDate: coveredStart,
+      periodStart: coveredStart,
+      periodEnd: coveredEnd - DAY_MS,
+      amount: prorated
+        ? roundCents((lease.monthlyRent * coveredDays) / periodDays)
+        : lease.monthlyRent,
+      prorated,
+    });
+    periodStart = periodEnd;
+  }
+
+  return charges;
+}
+
+/**
+ * Whether a charge due on `dueDate` is late at `now`. The due day itself and
+ * every grace day after it are still on time.
+ */
+export function isPastGrace(dueDate: number, graceDays: number, now: number): boolean {
+  return startOfUtcDay(dueDate) + (graceDays + 1) * DAY_MS <= now;
+}
+
+/**
+ * What is still owed on a charge. Completed rows count as settled even when
+ * they predate payment allocations.
+ */
+export function chargeRemaining(charge: Doc<"rentPayments">): number {
+  if (charge.status !== "pending" && charge.status !== "overdue") {
+    return 0;
+  }
+  return Math.max(0, roundCents(charge.amount - (charge.amountPaid ?? 0)));
+}
+
+/**
+ * Status for a charge that still has a balance
+ */
+export function openChargeStatus(
+  charge: Doc<"rentPayments">,
+  property: Doc<"properties"> | null,
+  now: number
+): "pending" | "overdue" {
+  const dueDate = charge.dueDate ?? charge.paymentDate;
+  return isPastGrace(dueDate, rentGraceDays(property), now) ? "overdue" : "pending";
+}
+
+/**
+ * Apply a tenant's unapplied payment credit to their open charges, oldest
+ * payment first. Charges are paid oldest first, with late fees ahead of rent
+ * or behind it depending on the property's allocation order.
+ */
+export async function applyCredits(ctx: MutationCtx, tenantId: Id<"tenants">): Promise<void> {
+  const payments = (
+    await ctx.db
+      .query("payments")
+      .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+      .collect()
+  )
+    .filter((payment) => payment.status === "applied" && payment.unappliedAmount > 0)
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+  if (payments.length === 0) {
+    return;
+  }
+
+  const tenant = await ctx.db.get(tenantId);
+  const property = tenant ? await ctx.db.get(tenant.propertyId) : null;
+  const feesFirst = (property?.paymentAllocationOrder ?? "fees_first") === "fees_first";
+  const rank = (charge: Doc<"rentPayments">) =>
+    (charge.kind === "late_fee") === feesFirst ? 0 : 1;
+
+  const charges = (
+    await ctx.db
+      .query("rentPayments")
+      .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+      .collect()
+  )
+    .filter((charge) => chargeRemaining(charge) > 0)
+    .sort(
+      (a, b) =>
+        rank(a) - rank(b) ||
+        (a.dueDate ?? a.paymentDate) - (b.dueDate ?? b.paymentDate) ||
+        a.createdAt - b.createdAt
+    );
+
+  const now = Date.now();
+  for (const payment of payments) {
+    let credit = payment.unappliedAmount;
+    for (const charge of charges) {
+      if (credit <= 0) {
+        break;
+      }
+      if (charge.userId !== payment.userId) {
+        continue;
+      }
+      const remaining = chargeRemaining(charge);
+      if (remaining <= 0) {
+        continue;
+      }
+
+      const applied = Math.min(credit, remaining);
+      await ctx.db.insert("paymentAllocations", {
+        paymentId: payment._id,
+        chargeId: charge._id,
+        amount: applied,
+        userId: payment.userId,
+        createdAt: now,
+      });
+      charge.amountPaid = roundCents((charge.amountPaid ?? 0) + applied);
+      if (charge.amountPaid >= charge.amount) {
+        charge.status = "completed";
+        charge.paymentDate = payment.receivedAt;
+      }
+      await ctx.db.patch(charge._id, {
+        amountPaid: charge.amountPaid,
+        status: charge.status,
+        paymentDate: charge.paymentDate,
+      });
+      credit = roundCents(credit - applied);
+    }
+
+    if (credit !== payment.unappliedAmount) {
+      await ctx.db.patch(payment._id, { unappliedAmount: credit });
+    }
+  }
+}
+
+/**
+ * Give the payment credit applied to a charge back to its payments and drop
+ * the allocations, before the charge is deleted or its amount, status or
+ * tenant changes. Returns the amount released; run applyCredits afterwards
+ * to apply it again.
+ */
+export async function releaseAllocations(ctx: MutationCtx, charge: Doc<"rentPayments">): Promise<number> {
+  const allocations = await ctx.db
+    .query("paymentAllocations")
+    .withIndex("by_charge", (q) => q.eq("chargeId", charge._id))
+    .collect();
+
+  let released = 0;
+  for (const allocation of allocations) {
+    if (allocation.reversedAt) {
+      continue;
+    }
+    const payment = await ctx.db.get(allocation.paymentId);
+    if (payment?.status === "applied") {
+      await ctx.db.patch(payment._id, {
+        unappliedAmount: roundCents(payment.unappliedAmount + allocation.amount),
+      });
+    }
+    await ctx.db.delete(allocation._id);
+    released = roundCents(released + allocation.amount);
+  }
+  return released;
+}
+
+/**
+ * Create pending rent charges for active tenants whose due dates have arrived
+ */
+export const generateCharges = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const since = startOfUtcDay(now) - GENERATION_LOOKBACK_DAYS * DAY_MS;
+    const tenants = await ctx.db
+      .query("tenants")
+      .withIndex("by_active", (q) => q.eq("isActive", true))
+      .collect();
+
+    const activeIds = new Set(tenants.map((tenant) => tenant._id));
+    const properties = new Map<Id<"properties">, Doc<"properties"> | null>();
+    let created = 0;
+
+    for (const tenant of tenants) {
+      if (!properties.has(tenant.propertyId)) {
+        properties.set(tenant.propertyId, await ctx.db.get(tenant.propertyId));
+      }
+      const property = properties.get(tenant.propertyId) ?? null;
+      if (!property) {
+        continue;
+      }
+      // Co-tenants share one set of charges, posted to the first tenant on
+      // the lease who is still active. A period already charged to another
+      // tenant on the lease (one who has since moved out) isn't charged again.
+      const lease = tenant.leaseId ? await ctx.db.get(tenant.leaseId) : null;
+      const payer = lease?.tenantIds.find((tenantId) => activeIds.has(tenantId));
+      if (payer && payer !== tenant._id) {
+        continue;
+      }
+      const billedTenants = lease ? [...new Set([tenant._id, ...lease.tenantIds])] : [tenant._id];
+
+      const due = rentSchedule(tenant, rentDueDay(property), now).filter(
+        (charge) => charge.dueDate >= since
+      );
+      for (const charge of due) {
+        let charged = false;
+        for (const tenantId of billedTenants) {
+          const existing = await ctx.db
+            .query("rentPayments")
+            .withIndex("by_tenant_due", (q) => q.eq("tenantId", tenantId).eq("dueDate", charge.dueDate))
+            .collect();
+          charged ||= existing.some((row) => (row.kind ?? "rent") === "rent");
+        }
+        if (charged) {
+          continue;
+        }
+
+        await ctx.db.insert("rentPayments", {
+          propertyId: tenant.propertyId,
+          unitId: tenant.unitId,
+          tenantId: tenant._id,
+          amount: charge.amount,
+          paymentDate: charge.dueDate,
+          dueDate: charge.dueDate,
+          status: "pending",
+          source: "schedule",
+          periodStart: charge.periodStart,
+          periodEnd: charge.periodEnd,
+          prorated: charge.prorated,
+          amountPaid: 0,
+          userId: tenant.userId,
+          createdAt: now,
+        });
+        created += 1;
+      }
+      if (due.length > 0) {
+        await applyCredits(ctx, tenant._id);
+      }
+    }
+
+    return { created };
+  },
+});
+
+/**
+ * Flip pending charges to overdue once their property's grace period ends
+ */
+export const markOverdue = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const pending = await ctx.db
+      .query("rentPayments")
+      .withIndex("by_status_due", (q) => q.eq("status", "pending").lt("dueDate", now))
+      .collect();
+
+    const properties = new Map<Id<"properties">, Doc<"properties"> | null>();
+    let updated = 0;
+
+    for (const charge of pending) {
+      if (charge.dueDate === undefined) {
+        continue;
+      }
+      if (!properties.has(charge.propertyId)) {
+        properties.set(charge.propertyId, await ctx.db.get(charge.propertyId));
+      }
+      const graceDays = rentGraceDays(properties.get(charge.propertyId) ?? null);
+      if (!isPastGrace(charge.dueDate, graceDays, now)) {
+        continue;
+      }
+
+      await ctx.db.patch(charge._id, { status: "overdue" });
+      updated += 1;
+    }
+
+    return { updated };
+  },
+});
+
+type LedgerEntry = {
+  key: string;
+  type: "charge" | "payment" | "waiver" | "reversal";
+  kind: string;
+  date: number;
+  amount: number;
+  status: string;
+  rentPaymentId?: Id<"rentPayments">;
+  paymentId?: Id<"payments">;
+  amountPaid?: number;
+  remaining?: number;
+  source?: string;
+  periodStart?: number;
+  periodEnd?: number;
+  prorated?: boolean;
+  notes?: string;
+  paymentMethod?: string;
+  waiverNote?: string;
+  waivedByName?: string;
+  reversalNote?: string;
+};
+
+/**
+ * Charges and payments for one tenant with a running balance
+ */
+export const ledger = query({
+  args: {
+    sessionToken: v.string(),
+    tenantId: v.optional(v.id("tenants")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "read", {
+      allowTenant: true,
+    });
+    const tenantId = access.tenantId ?? args.tenantId;
+    if (!tenantId) {
+      throw new Error("Tenant is required");
+    }
+    if (!access.tenantId) {
+      await requireOwned(ctx, access, "tenants", tenantId);
+    }
+
+    const rows = await ctx.db
+      .query("rentPayments")
+      .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+      .collect();
+    const payments = await ctx.db
+      .query("payments")
+      .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+      .collect();
+
+    // Every charge row is something owed. Payments are credits, and a reversed
+    // or returned payment is charged back. Rows marked completed by hand, and
+    // waived late fees, are credited for whatever payments didn't cover.
+    const entries: LedgerEntry[] = [];
+    const waiverNames = new Map<Id<"users">, string | undefined>();
+    for (const row of rows) {
+      if (row.userId !== access.ownerId || row.status === "cancelled") {
+        continue;
+      }
+      const base = {
+        rentPaymentId: row._id,
+        kind: row.kind ?? "rent",
+        status: row.status,
+        notes: row.notes,
+      };
+      const uncovered = roundCents(row.amount - (row.amountPaid ?? 0));
+      entries.push({
+        ...base,
+        key: `charge-${row._id}`,
+        type: "charge",
+        date: row.dueDate ?? row.paymentDate,
+        amount: row.amount,
+        amountPaid: row.amountPaid ?? (row.status === "completed" ? row.amount : 0),
+        remaining: chargeRemaining(row),
+        source: row.source ?? "manual",
+        periodStart: row.periodStart,
+        periodEnd: row.periodEnd,
+        prorated: row.prorated ?? false,
+      });
+      if (row.status === "completed" && uncovered > 0) {
+        entries.push({
+          ...base,
+          key: `paid-${row._id}`,
+          type: "payment",
+          date: row.paymentDate,
+          amount: uncovered,
+        });
+      } else if (row.status === "waived" && uncovered > 0) {
+        if (row.waivedBy && !waiverNames.has(row.waivedBy)) {
+          waiverNames.set(row.waivedBy, (await ctx.db.get(row.waivedBy))?.name);
+        }
+        entries.push({
+          ...base,
+          key: `waiver-${row._id}`,
+          type: "waiver",
+          date: row.waivedAt ?? row.paymentDate,
+          amount: uncovered,
+          waiverNote: row.waiverNote,
+          waivedByName: row.waivedBy ? waiverNames.get(row.waivedBy) : undefined,
+        });
+      }
+    }
+
+    let credit = 0;
+    for (const payment of payments) {
+      if (payment.userId !== access.ownerId) {
+        continue;
+      }
+      const base = {
+        paymentId: payment._id,
+        kind: "payment",
+        amount: payment.amount,
+        status: payment.status,
+        notes: payment.notes,
+        paymentMethod: payment.paymentMethod,
+      };
+      entries.push({ ...base, key: `payment-${payment._id}`, type: "payment", date: payment.receivedAt });
+      if (payment.status === "applied") {
+        credit += payment.unappliedAmount;
+      } else {
+        entries.push({
+          ...base,
+          key: `reversal-${payment._id}`,
+          type: "reversal",
+          date: payment.reversedAt ?? payment.receivedAt,
+          reversalNote: payment.reversalNote,
+        });
+      }
+    }
+
+    // Charges sort ahead of credits posted on the same day.
+    const typeOrder = { charge: 0, reversal: 1, payment: 2, waiver: 3 };
+    entries.sort((a, b) => a.date - b.date || typeOrder[a.type] - typeOrder[b.type]);
+
+    let balance = 0;
+    const withBalance = entries.map((entry) => {
+      const debit = entry.type === "charge" || entry.type === "reversal";
+      balance = roundCents(balance + (debit ? entry.amount : -entry.amount));
+      return { ...entry, balance };
+    });
+
+    return {
+      tenantId,
+      entries: withBalance,
+      balance,
+      credit: roundCents(credit),
+    };
+  },
+});
@@ -1,36 +1,53 @@
 import { v } from "convex/values";
 import { query, mutation } from "./_generated/server";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
+import { applyCredits, chargeRemaining, openChargeStatus, releaseAllocations, roundCents } from "./rentLedger";
 
 /**
- * List rent payments
+ * List rent payments (tenants only see their own)
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
     tenantId: v.optional(v.id("tenants")),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("rentPayments");
+    const access = await authorize(ctx, args.sessionToken, "finance", "read", {
+      allowTenant: true,
+    });
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    await requireOwnedRef(ctx, access, "tenants", args.tenantId);
+    let payments;
 
-    if (args.propertyId) {
-      query = query.withIndex("by_property", (q) =>
-        q.eq("propertyId", args.propertyId!)
-      );
+    if (access.tenantId) {
+      const tenantId = access.tenantId;
+      payments = await ctx.db
+        .query("rentPayments")
+        .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+        .collect();
+    } else if (args.propertyId) {
+      payments = await ctx.db
+        .query("rentPayments")
+        .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
+        .collect();
     } else if (args.tenantId) {
-      query = query.withIndex("by_tenant", (q) =>
-        q.eq("tenantId", args.tenantId!)
-      );
-    } else if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
+      payments = await ctx.db
+        .query("rentPayments")
+        .withIndex("by_tenant", (q) => q.eq("tenantId", args.tenantId!))
+        .collect();
+    } else {
+      payments = await ctx.db
+        .query("rentPayments")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect();
     }
 
-    const payments = await query.collect();
-
-    return payments.map((payment) => ({
+    return payments.filter((payment) => payment.userId === access.ownerId).map((payment) => ({
       _id: payment._id,
       id: payment._id,
       propertyId: payment.propertyId,
+      unitId: payment.unitId,
       tenantId: payment.tenantId,
       amount: payment.amount,
       paymentDate: payment.paymentDate,
@@ -39,6 +56,16 @@ export const list = query({
       status: payment.status,
       transactionId: payment.transactionId,
       notes: payment.notes,
+      source: payment.source,
+      periodStart: payment.periodStart,
+      periodEnd: payment.periodEnd,
+      prorated: payment.prorated,
+      kind: payment.kind,
+      chargeId: payment.chargeId,
+      waivedAt: payment.waivedAt,
+      waiverNote: payment.waiverNote,
+      amountPaid: payment.amountPaid,
+      remaining: chargeRemaining(payment),
       createdAt: payment.createdAt,
     }));
   },
@@ -50,6 +77,7 @@ export const list = query({
 export const create = mutation({
   args: {
     propertyId: v.id("properties"),
+    unitId: v.optional(v.id("units")),
     tenantId: v.optional(v.id("tenants")),
     amount: v.number(),
     paymentDate: v.number(),
@@ -58,9 +86,17 @@ export const create = mutation({
     status: v.string(),
     transactionId: v.optional(v.string()),
     notes: v.optional(v.string()),
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    await requireOwned(ctx, access, "properties", args.propertyId);
+    const tenant = await requireOwnedRef(ctx, access, "tenants", args.tenantId);
+    const unit = await requireOwnedRef(ctx, access, "units", args.unitId);
+    if (unit && unit.propertyId !== args.propertyId) {
+      throw new Error("That unit belongs to another property");
+    }
+    const unitId = unit?._id ?? tenant?.unitId;
     const now = Date.now();
     const paymentDoc: Record<string, any> = {
       propertyId: args.propertyId,
@@ -68,11 +104,12 @@ export const create = mutation({
       paymentDate: args.paymentDate,
       dueDate: args.dueDate ?? args.paymentDate,
       status: args.status,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
     };
 
     if (args.tenantId) paymentDoc.tenantId = args.tenantId;
+    if (unitId) paymentDoc.unitId = unitId;
     if (args.paymentMethod) paymentDoc.paymentMethod = args.paymentMethod;
     if (args.transactionId) paymentDoc.transactionId = args.transactionId;
     if (args.notes) paymentDoc.notes = args.notes;
@@ -84,6 +121,7 @@ export const create = mutation({
       _id: payment!._id,
       id: payment!._id,
       propertyId: payment!.propertyId,
+      unitId: payment!.unitId,
       tenantId: payment!.tenantId,
       amount: payment!.amount,
       paymentDate: payment!.paymentDate,
@@ -92,6 +130,16 @@ export const create = mutation({
       status: payment!.status,
       transactionId: payment!.transactionId,
       notes: payment!.notes,
+      source: payment!.source,
+      periodStart: payment!.periodStart,
+      periodEnd: payment!.periodEnd,
+      prorated: payment!.prorated,
+      kind: payment!.kind,
+      chargeId: payment!.chargeId,
+      waivedAt: payment!.waivedAt,
+      waiverNote: payment!.waiverNote,
+      amountPaid: payment!.amountPaid,
+      remaining: chargeRemaining(payment!),
       createdAt: payment!.createdAt,
     };
   },
@@ -102,6 +150,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("rentPayments"),
     propertyId: v.optional(v.id("properties")),
     tenantId: v.optional(v.id("tenants")),
@@ -115,11 +164,11 @@ export const update = mutation({
     notes: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const { id, clearTenantId, ...updates } = args;
-    const payment = await ctx.db.get(id);
-    if (!payment) {
-      throw new Error("Rent payment not found");
-    }
+    const { sessionToken, id, clearTenantId, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "finance", "write");
+    const charge = await requireOwned(ctx, access, "rentPayments", id);
+    await requireOwnedRef(ctx, access, "properties", updates.propertyId);
+    await requireOwnedRef(ctx, access, "tenants", updates.tenantId);
 
     const patch: Record<string, any> = {};
 
@@ -143,8 +192,33 @@ export const update = mutation({
       patch.notes = updates.notes === "" ? undefined : updates.notes;
     }
 
+    // Payments applied to the charge no longer fit a new amount, status or
+    // tenant: give their credit back and apply it again afterwards.
+    const changesLedger =
+      (patch.amount !== undefined && patch.amount !== charge.amount) ||
+      (patch.status !== undefined && patch.status !== charge.status) ||
+      ("tenantId" in patch && patch.tenantId !== charge.tenantId);
+    if (changesLedger) {
+      const released = await releaseAllocations(ctx, charge);
+      if (released > 0) {
+        patch.amountPaid = Math.max(0, roundCents((charge.amountPaid ?? 0) - released));
+        if (patch.status === undefined && charge.status === "completed") {
+          const property = await ctx.db.get(charge.propertyId);
+          patch.status = openChargeStatus(charge, property, Date.now());
+        }
+      }
+    }
+
     await ctx.db.patch(id, patch);
 
+    if (changesLedger) {
+      for (const tenantId of new Set([charge.tenantId, patch.tenantId])) {
+        if (tenantId) {
+          await applyCredits(ctx, tenantId);
+        }
+      }
+    }
+
     const updated = await ctx.db.get(id);
     return {
       _id: updated!._id,
@@ -158,6 +232,16 @@ export const update = mutation({
       status: updated!.status,
       transactionId: updated!.transactionId,
       notes: updated!.notes,
+      source: updated!.source,
+      periodStart: updated!.periodStart,
+      periodEnd: updated!.periodEnd,
+      prorated: updated!.prorated,
+      kind: updated!.kind,
+      chargeId: updated!.chargeId,
+      waivedAt: updated!.waivedAt,
+      waiverNote: updated!.waiverNote,
+      amountPaid: updated!.amountPaid,
+      remaining: chargeRemaining(updated!),
       createdAt: updated!.createdAt,
     };
   },
@@ -168,14 +252,19 @@ export const update = mutation({
  */
 export const remove = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("rentPayments"),
   },
   handler: async (ctx, args) => {
-    const payment = await ctx.db.get(args.id);
-    if (!payment) {
-      throw new Error("Rent payment not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const charge = await requireOwned(ctx, access, "rentPayments", args.id);
+    // Money applied to the charge goes back to its payments, to pay other
+    // charges or stay as credit.
+    await releaseAllocations(ctx, charge);
     await ctx.db.delete(args.id);
+    if (charge.tenantId) {
+      await applyCredits(ctx, charge.tenantId);
+    }
     return { id: args.id };
   },
 });
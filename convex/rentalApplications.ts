@@ -0,0 +1,771 @@
+import { v } from "convex/values";
+import { internalMutation, internalQuery, mutation, query } from "./_generated/server";
+import type { QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { internal } from "./_generated/api";
+import { authorize, forbidden, requireOwned } from "./authorization";
+import { ensureTenantLease, syncLeaseTenants } from "./leases";
+import { renderTemplate } from "./leaseRenewals";
+import { normalizeEmail } from "./limits";
+import { closeListing } from "./listings";
+import { roundCents, startOfUtcDay } from "./rentLedger";
+import { recordApplication, recordLeaseSigned } from "./turnovers";
+import { refreshUnitStatus } from "./units";
+
+export type ApplicationSettings = {
+  incomeMultiple: number;
+  countCoApplicantIncome: boolean;
+  denialTemplate: string;
+  screeningCompany: string;
+};
+
+export const DEFAULT_DENIAL_TEMPLATE = `Dear {{applicantNames}},
+
+Thank you for applying to rent {{propertyAddress}}. After reviewing your application, we are unable to approve it at this time.
+
+Our decision was based in whole or in part on the following:
+{{reasons}}
+
+{{reportNotice}}
+
+Sincerely,
+{{landlordName}}`;
+
+export const DEFAULT_APPLICATION_SETTINGS: ApplicationSettings = {
+  incomeMultiple: 3,
+  countCoApplicantIncome: true,
+  denialTemplate: DEFAULT_DENIAL_TEMPLATE,
+  screeningCompany: "",
+};
+
+// Offered in the review screen; landlords can also write their own
+const DENIAL_REASONS = [
+  "Household income is below our rent-to-income requirement",
+  "We could not verify income or employment",
+  "Rental history did not meet our requirements",
+  "The application was incomplete",
+  "Information in a consumer report",
+  "Another applicant was approved for this home",
+];
+
+const FILE_KINDS = ["id", "pay_stub", "other"];
+const MAX_FILES = 10;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_ENTRIES = 5;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const SWEEP_BATCH = 200;
+
+/**
+ * Whether a file can be attached to an application: a photo or a PDF
+ * within the size limit
+ */
+export function applicationFileProblem(contentType: string, size: number) {
+  if (!contentType.startsWith("image/") && contentType !== "application/pdf") {
+    return "must be a photo or a PDF";
+  }
+  if (size > MAX_FILE_BYTES) {
+    return "is larger than 10 MB";
+  }
+  return null;
+}
+
+const rentalHistoryValidator = v.object({
+  address: v.string(),
+  landlordName: v.optional(v.string()),
+  landlordPhone: v.optional(v.string()),
+  monthlyRent: v.optional(v.number()),
+  movedIn: v.optional(v.number()),
+  movedOut: v.optional(v.number()),
+  reasonForLeaving: v.optional(v.string()),
+});
+
+const coApplicantValidator = v.object({
+  firstName: v.string(),
+  lastName: v.string(),
+  email: v.string(),
+  phone: v.optional(v.string()),
+  monthlyIncome: v.optional(v.number()),
+});
+
+const fileValidator = v.object({
+  storageId: v.id("_storage"),
+  kind: v.string(),
+  fileName: v.string(),
+});
+
+function validateEmail(email: string) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function optionalText(value: string | undefined) {
+  return value?.trim() || undefined;
+}
+
+async function loadSettings(ctx: QueryCtx, ownerId: Id<"users">): Promise<ApplicationSettings> {
+  const saved = await ctx.db
+    .query("applicationSettings")
+    .withIndex("by_user", (q) => q.eq("userId", ownerId))
+    .first();
+  if (!saved) {
+    return DEFAULT_APPLICATION_SETTINGS;
+  }
+  return {
+    incomeMultiple: saved.incomeMultiple,
+    countCoApplicantIncome: saved.countCoApplicantIncome,
+    denialTemplate: saved.denialTemplate || DEFAULT_DENIAL_TEMPLATE,
+    screeningCompany: saved.screeningCompany ?? "",
+  };
+}
+
+async function findActiveListing(ctx: QueryCtx, slug: string) {
+  const listing = await ctx.db
+    .query("listings")
+    .withIndex("by_slug", (q) => q.eq("slug", slug))
+    .first();
+  if (!listing || listing.status !== "active") {
+    throw new Error("This home is no longer taking applications");
+  }
+  return listing;
+}
+
+/**
+ * The rent-to-income check plus the paperwork a landlord looks for. Income
+ * is monthly; co-applicants' income counts when the owner's settings say so.
+ */
+export function screenApplication(
+  application: Doc<"rentalApplications">,
+  monthlyRent: number,
+  settings: ApplicationSettings
+) {
+  const coApplicantIncome = application.coApplicants.reduce(
+    (sum, person) => sum + (person.monthlyIncome ?? 0),
+    0
+  );
+  const householdIncome = roundCents(
+    application.monthlyIncome +
+      (application.otherIncome ?? 0) +
+      (settings.countCoApplicantIncome ? coApplicantIncome : 0)
+  );
+  const requiredIncome = roundCents(monthlyRent * settings.incomeMultiple);
+  return {
+    householdIncome,
+    requiredIncome,
+    incomeMultiple: settings.incomeMultiple,
+    rentToIncomePercent:
+      householdIncome > 0 ? Math.round((monthlyRent / householdIncome) * 1000) / 10 : null,
+    meetsIncome: householdIncome >= requiredIncome,
+    hasId: application.files.some((file) => file.kind === "id"),
+    hasPayStubs: application.files.some((file) => file.kind === "pay_stub"),
+    hasRentalHistory: application.rentalHistory.length > 0,
+  };
+}
+
+async function toApplication(
+  ctx: QueryCtx,
+  application: Doc<"rentalApplications">,
+  settings: ApplicationSettings
+) {
+  const listing = await ctx.db.get(application.listingId);
+  const unit = await ctx.db.get(application.unitId);
+  const property = await ctx.db.get(application.propertyId);
+  const monthlyRent = listing?.monthlyRent ?? unit?.marketRent ?? 0;
+
+  const files = [];
+  for (const file of application.files) {
+    files.push({ ...file, url: await ctx.storage.getUrl(file.storageId) });
+  }
+  const letter = application.letterDocumentId
+    ? await ctx.db.get(application.letterDocumentId)
+    : null;
+
+  return {
+    _id: application._id,
+    id: application._id,
+    listingId: application.listingId,
+    unitId: application.unitId,
+    unitLabel: unit?.label ?? "Unit",
+    propertyId: application.propertyId,
+    propertyName: property?.name || property?.address || "Unknown property",
+    monthlyRent,
+    securityDeposit: listing?.securityDeposit,
+    status: application.status,
+    firstName: application.firstName,
+    lastName: application.lastName,
+    email: application.email,
+    phone: application.phone,
+    desiredMoveIn: application.desiredMoveIn,
+    employer: application.employer,
+    jobTitle: application.jobTitle,
+    employedSince: application.employedSince,
+    monthlyIncome: application.monthlyIncome,
+    otherIncome: application.otherIncome,
+    rentalHistory: application.rentalHistory,
+    coApplicants: application.coApplicants,
+    files,
+    message: application.message,
+    screening: screenApplication(application, monthlyRent, settings),
+    submittedAt: application.submittedAt,
+    decidedAt: application.decidedAt,
+    denialReasons: application.denialReasons,
+    decisionNote: application.decisionNote,
+    letterURL: letter ? await ctx.storage.getUrl(letter.storageId) : null,
+    tenantId: application.tenantId,
+    leaseId: application.leaseId,
+    createdAt: application.createdAt,
+    updatedAt: application.updatedAt,
+  };
+}
+
+/**
+ * The listing an upload to the public application form is for, or null when
+ * it isn't taking applications. Used by the upload HTTP action.
+ */
+export const uploadListing = internalQuery({
+  args: { slug: v.string() },
+  handler: async (ctx, args) => {
+    const listing = await ctx.db
+      .query("listings")
+      .withIndex("by_slug", (q) => q.eq("slug", args.slug))
+      .first();
+    return listing?.status === "active" ? listing._id : null;
+  },
+});
+
+/**
+ * Remember a file stored by the upload HTTP action, so only it can be
+ * attached to this listing's applications and it is swept if never used
+ */
+export const recordUpload = internalMutation({
+  args: { storageId: v.id("_storage"), listingId: v.id("listings") },
+  handler: async (ctx, args) => {
+    await ctx.db.insert("applicationUploads", { ...args, createdAt: Date.now() });
+  },
+});
+
+/**
+ * Delete a form's uploads after its submission was turned down; the form
+ * uploads them again when it is sent again. Public, but only touches files
+ * uploaded to this listing's form and not yet claimed by an application.
+ */
+export const discardUploads = mutation({
+  args: { slug: v.string(), storageIds: v.array(v.id("_storage")) },
+  handler: async (ctx, args) => {
+    const listing = await ctx.db
+      .query("listings")
+      .withIndex("by_slug", (q) => q.eq("slug", args.slug))
+      .first();
+    for (const storageId of args.storageIds.slice(0, MAX_FILES)) {
+      const upload = await ctx.db
+        .query("applicationUploads")
+        .withIndex("by_storage", (q) => q.eq("storageId", storageId))
+        .first();
+      if (upload && upload.listingId === listing?._id) {
+        await ctx.storage.delete(storageId);
+        await ctx.db.delete(upload._id);
+      }
+    }
+  },
+});
+
+/**
+ * Delete uploads from application forms that were never submitted
+ */
+export const sweepUploads = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const stale = await ctx.db
+      .query("applicationUploads")
+      .withIndex("by_created", (q) => q.lt("createdAt", Date.now() - UPLOAD_TTL_MS))
+      .take(SWEEP_BATCH);
+    for (const upload of stale) {
+      if (await ctx.db.system.get(upload.storageId)) {
+        await ctx.storage.delete(upload.storageId);
+      }
+      await ctx.db.delete(upload._id);
+    }
+    if (stale.length === SWEEP_BATCH) {
+      await ctx.scheduler.runAfter(0, internal.rentalApplications.sweepUploads, {});
+    }
+    return { deleted: stale.length };
+  },
+});
+
+/**
+ * Submit an application through a listing's public form
+ */
+export const submit = mutation({
+  args: {
+    slug: v.string(),
+    firstName: v.string(),
+    lastName: v.string(),
+    email: v.string(),
+    phone: v.string(),
+    desiredMoveIn: v.optional(v.number()),
+    employer: v.optional(v.string()),
+    jobTitle: v.optional(v.string()),
+    employedSince: v.optional(v.number()),
+    monthlyIncome: v.number(),
+    otherIncome: v.optional(v.number()),
+    rentalHistory: v.array(rentalHistoryValidator),
+    coApplicants: v.array(coApplicantValidator),
+    files: v.array(fileValidator),
+    message: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const listing = await findActiveListing(ctx, args.slug);
+
+    const firstName = args.firstName.trim();
+    const lastName = args.lastName.trim();
+    const email = normalizeEmail(args.email);
+    const phone = args.phone.trim();
+    if (!firstName || !lastName || !phone) {
+      throw new Error("Enter your name and phone number");
+    }
+    if (!validateEmail(email)) {
+      throw new Error("Enter a valid email address");
+    }
+    if (!(args.monthlyIncome >= 0) || (args.otherIncome !== undefined && !(args.otherIncome >= 0))) {
+      throw new Error("Income can't be negative");
+    }
+    if (args.rentalHistory.length > MAX_ENTRIES || args.coApplicants.length > MAX_ENTRIES) {
+      throw new Error(`List at most ${MAX_ENTRIES} previous homes and ${MAX_ENTRIES} co-applicants`);
+    }
+
+    const rentalHistory = [];
+    for (const home of args.rentalHistory) {
+      const address = home.address.trim();
+      if (!address) {
+        continue;
+      }
+      if (home.monthlyRent !== undefined && !(home.monthlyRent >= 0)) {
+        throw new Error("Previous rent can't be negative");
+      }
+      rentalHistory.push({
+        address,
+        landlordName: optionalText(home.landlordName),
+        landlordPhone: optionalText(home.landlordPhone),
+        monthlyRent: home.monthlyRent,
+        movedIn: home.movedIn,
+        movedOut: home.movedOut,
+        reasonForLeaving: optionalText(home.reasonForLeaving),
+      });
+    }
+
+    const coApplicants = [];
+    for (const person of args.coApplicants) {
+      const coEmail = normalizeEmail(person.email);
+      if (!person.firstName.trim() || !person.lastName.trim() || !validateEmail(coEmail)) {
+        throw new Error("Each co-applicant needs a name and a valid email address");
+      }
+      if (person.monthlyIncome !== undefined && !(person.monthlyIncome >= 0)) {
+        throw new Error("Income can't be negative");
+      }
+      coApplicants.push({
+        firstName: person.firstName.trim(),
+        lastName: person.lastName.trim(),
+        email: coEmail,
+        phone: optionalText(person.phone),
+        monthlyIncome: person.monthlyIncome,
+      });
+    }
+
+    if (args.files.length > MAX_FILES) {
+      throw new Error(`Attach at most ${MAX_FILES} files`);
+    }
+    if (new Set(args.files.map((file) => file.storageId)).size !== args.files.length) {
+      throw new Error("The same upload is attached more than once");
+    }
+    // Only files uploaded through this listing's form can be attached. When
+    // a submission fails the form discards its uploads (deleting them here
+    // would be rolled back with the rest), and the daily sweep gets the rest.
+    const files = [];
+    const uploads = [];
+    for (const file of args.files) {
+      if (!FILE_KINDS.includes(file.kind)) {
+        throw new Error(`File type must be one of: ${FILE_KINDS.join(", ")}`);
+      }
+      const upload = await ctx.db
+        .query("applicationUploads")
+        .withIndex("by_storage", (q) => q.eq("storageId", file.storageId))
+        .first();
+      const stored = await ctx.db.system.get(file.storageId);
+      if (!upload || upload.listingId !== listing._id || !stored) {
+        throw new Error(`${file.fileName} didn't finish uploading. Attach it again.`);
+      }
+      const contentType = stored.contentType ?? "";
+      const problem = applicationFileProblem(contentType, stored.size);
+      if (problem) {
+        throw new Error(`${file.fileName} ${problem}`);
+      }
+      uploads.push(upload);
+      files.push({
+        storageId: file.storageId,
+        kind: file.kind,
+        fileName: file.fileName.trim() || "Attachment",
+        contentType,
+        fileSizeBytes: stored.size,
+      });
+    }
+
+    const existing = await ctx.db
+      .query("rentalApplications")
+      .withIndex("by_listing", (q) => q.eq("listingId", listing._id))
+      .collect();
+    if (existing.some((application) => application.email === email && application.status === "submitted")) {
+      throw new Error("You've already applied for this home. The landlord will be in touch.");
+    }
+
+    const now = Date.now();
+    const applicationId = await ctx.db.insert("rentalApplications", {
+      listingId: listing._id,
+      unitId: listing.unitId,
+      propertyId: listing.propertyId,
+      status: "submitted",
+      firstName,
+      lastName,
+      email,
+      phone,
+      desiredMoveIn: args.desiredMoveIn !== undefined ? startOfUtcDay(args.desiredMoveIn) : undefined,
+      employer: optionalText(args.employer),
+      jobTitle: optionalText(args.jobTitle),
+      employedSince: args.employedSince,
+      monthlyIncome: roundCents(args.monthlyIncome),
+      otherIncome: args.otherIncome !== undefined ? roundCents(args.otherIncome) : undefined,
+      rentalHistory,
+      coApplicants,
+      files,
+      message: optionalText(args.message),
+      submittedAt: now,
+      userId: listing.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    for (const upload of uploads) {
+      await ctx.db.delete(upload._id);
+    }
+    await recordApplication(ctx, listing.unitId);
+    const unit = await ctx.db.get(listing.unitId);
+    const property = await ctx.db.get(listing.propertyId);
+    await ctx.db.insert("feedEvents", {
+      eventType: "rentalApplication",
+      title: "New rental application",
+      subtitle: `${firstName} ${lastName} applied for ${property?.name || property?.address || "a property"}${
+        unit && (property?.units ?? 1) > 1 ? ` · ${unit.label}` : ""
+      }`,
+      timestamp: now,
+      isRead: false,
+      isActionRequired: true,
+      actionLabel: "Review",
+      priority: 2,
+      propertyId: listing.propertyId,
+      userId: listing.userId,
+      createdAt: now,
+    });
+
+    return { _id: applicationId, id: applicationId, submittedAt: now };
+  },
+});
+
+/**
+ * Applications with their screening results, undecided ones first
+ */
+export const list = query({
+  args: {
+    sessionToken: v.string(),
+    listingId: v.optional(v.id("listings")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read");
+    const listingId = args.listingId;
+    let applications;
+    if (listingId) {
+      await requireOwned(ctx, access, "listings", listingId);
+      applications = await ctx.db
+        .query("rentalApplications")
+        .withIndex("by_listing", (q) => q.eq("listingId", listingId))
+        .collect();
+    } else {
+      applications = await ctx.db
+        .query("rentalApplications")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect();
+    }
+    applications.sort(
+      (a, b) =>
+        Number(b.status === "submitted") - Number(a.status === "submitted") ||
+        b.submittedAt - a.submittedAt
+    );
+
+    const settings = await loadSettings(ctx, access.ownerId);
+    const results = [];
+    for (const application of applications) {
+      results.push(await toApplication(ctx, application, settings));
+    }
+    return results;
+  },
+});
+
+/**
+ * Approve an application: the applicant and co-applicants become tenants on
+ * a new lease for the unit, the listing closes and the turnover finishes.
+ */
+export const approve = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("rentalApplications"),
+    startDate: v.number(),
+    endDate: v.number(),
+    monthlyRent: v.optional(v.number()),
+    securityDeposit: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const application = await requireOwned(ctx, access, "rentalApplications", args.id);
+    if (application.status !== "submitted") {
+      throw new Error("This application has already been decided");
+    }
+    const unit = await requireOwned(ctx, access, "units", application.unitId);
+    const listing = await ctx.db.get(application.listingId);
+
+    const startDate = startOfUtcDay(args.startDate);
+    const endDate = startOfUtcDay(args.endDate);
+    if (endDate <= startDate) {
+      throw new Error("Lease end date must be after the start date");
+    }
+    const monthlyRent = args.monthlyRent ?? listing?.monthlyRent ?? unit.marketRent ?? 0;
+    const securityDeposit = args.securityDeposit ?? listing?.securityDeposit ?? 0;
+    if (!(monthlyRent >= 0) || !(securityDeposit >= 0)) {
+      throw new Error("Rent and deposit can't be negative");
+    }
+
+    const occupants = await ctx.db
+      .query("tenants")
+      .withIndex("by_unit", (q) => q.eq("unitId", unit._id))
+      .collect();
+    if (occupants.some((tenant) => tenant.isActive)) {
+      throw new Error(
+        `${unit.label} still has active tenants. Approve the application once they have moved out.`
+      );
+    }
+
+    const now = Date.now();
+    const people = [
+      {
+        firstName: application.firstName,
+        lastName: application.lastName,
+        email: application.email,
+        phone: application.phone,
+      },
+      ...application.coApplicants.map((person) => ({ ...person, phone: person.phone ?? "" })),
+    ];
+    const tenantIds: Id<"tenants">[] = [];
+    for (const person of people) {
+      tenantIds.push(
+        await ctx.db.insert("tenants", {
+          firstName: person.firstName,
+          lastName: person.lastName,
+          email: person.email,
+          phone: person.phone,
+          unit: unit.label,
+          unitId: unit._id,
+          propertyId: unit.propertyId,
+          leaseStartDate: startDate,
+          leaseEndDate: endDate,
+          monthlyRent,
+          securityDeposit,
+          isActive: true,
+          notes: "Approved from a rental application",
+          userId: unit.userId,
+          createdAt: now,
+          updatedAt: now,
+        })
+      );
+    }
+    const leaseId = await ensureTenantLease(ctx, (await ctx.db.get(tenantIds[0]))!);
+    if (tenantIds.length > 1) {
+      await ctx.db.patch(leaseId, { tenantIds, updatedAt: now });
+      await syncLeaseTenants(ctx, (await ctx.db.get(leaseId))!);
+    }
+
+    await recordLeaseSigned(ctx, unit._id, startDate);
+    await refreshUnitStatus(ctx, unit._id);
+    if (listing) {
+      await closeListing(ctx, listing);
+    }
+    await ctx.db.patch(application._id, {
+      status: "approved",
+      decidedAt: now,
+      tenantId: tenantIds[0],
+      leaseId,
+      updatedAt: now,
+    });
+
+    const settings = await loadSettings(ctx, access.ownerId);
+    return await toApplication(ctx, (await ctx.db.get(application._id))!, settings);
+  },
+});
+
+/**
+ * Adverse action notice text and recipients for a denial
+ */
+export const denialData = internalQuery({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("rentalApplications"),
+    reasons: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const application = await requireOwned(ctx, access, "rentalApplications", args.id);
+    if (application.status !== "submitted") {
+      throw new Error("This application has already been decided");
+    }
+    const reasons = args.reasons.map((reason) => reason.trim()).filter(Boolean);
+    if (!reasons.length) {
+      throw new Error("Give at least one reason for the denial");
+    }
+
+    const unit = await ctx.db.get(application.unitId);
+    const property = await ctx.db.get(application.propertyId);
+    const landlord = await ctx.db.get(application.userId);
+    if (!property) {
+      throw new Error("Property not found");
+    }
+    const settings = await loadSettings(ctx, application.userId);
+    const names = [application, ...application.coApplicants].map((person) =>
+      `${person.firstName} ${person.lastName}`.trim()
+    );
+    const unitPart = unit && property.units > 1 ? `, Unit ${unit.label}` : "";
+    const company = settings.screeningCompany.trim();
+    const reportNotice = company
+      ? `Information used in this decision came in whole or in part from a consumer report provided by ${company}. ${company} did not make this decision and cannot explain why it was made. Under the Fair Credit Reporting Act you have the right to a free copy of your report if you request it from ${company} within 60 days, and to dispute the accuracy or completeness of any information in it.`
+      : "";
+
+    const letter = renderTemplate(settings.denialTemplate, {
+      applicantNames: names.join(" and "),
+      propertyAddress: `${property.address}${unitPart}, ${property.city}, ${property.state} ${property.zipCode}`,
+      decisionDate: new Date().toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        timeZone: "UTC",
+      }),
+      reasons: reasons.map((reason) => `- ${reason}`).join("\n"),
+      reportNotice,
+      screeningCompany: company,
+      landlordName: landlord?.name ?? "The landlord",
+    });
+
+    return {
+      ownerId: application.userId,
+      emails: [application.email, ...application.coApplicants.map((person) => person.email)],
+      applicantNames: names.join(", "),
+      landlordName: landlord?.name ?? "The landlord",
+      // An empty placeholder leaves a gap; keep paragraphs single-spaced.
+      letter: letter.replace(/\n{3,}/g, "\n\n").trim(),
+      reasons,
+    };
+  },
+});
+
+/**
+ * File the adverse action notice and record the denial
+ */
+export const markDenied = internalMutation({
+  args: {
+    id: v.id("rentalApplications"),
+    ownerId: v.id("users"),
+    reasons: v.array(v.string()),
+    note: v.optional(v.string()),
+    storageId: v.id("_storage"),
+    title: v.string(),
+    fileSizeBytes: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const application = await ctx.db.get(args.id);
+    if (!application) {
+      throw new Error("Application not found");
+    }
+    if (application.userId !== args.ownerId) {
+      throw forbidden();
+    }
+
+    const now = Date.now();
+    const documentId = await ctx.db.insert("documents", {
+      userId: application.userId,
+      propertyId: application.propertyId,
+      title: args.title,
+      category: "application",
+      storageId: args.storageId,
+      contentType: "application/pdf",
+      fileSizeBytes: args.fileSizeBytes,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await ctx.db.patch(application._id, {
+      status: "denied",
+      decidedAt: now,
+      denialReasons: args.reasons,
+      decisionNote: optionalText(args.note),
+      letterDocumentId: documentId,
+      updatedAt: now,
+    });
+
+    return {
+      documentId,
+      downloadURL: await ctx.storage.getUrl(args.storageId),
+    };
+  },
+});
+
+/**
+ * Screening settings and the denial letter template
+ */
+export const settings = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read");
+    return {
+      settings: await loadSettings(ctx, access.ownerId),
+      defaultDenialTemplate: DEFAULT_DENIAL_TEMPLATE,
+      denialReasons: DENIAL_REASONS,
+    };
+  },
+});
+
+export const saveSettings = mutation({
+  args: {
+    sessionToken: v.string(),
+    incomeMultiple: v.number(),
+    countCoApplicantIncome: v.boolean(),
+    denialTemplate: v.optional(v.string()),
+    screeningCompany: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    if (!(args.incomeMultiple > 0) || args.incomeMultiple > 10) {
+      throw new Error("Income requirement must be between 0 and 10 times the rent");
+    }
+
+    const template = args.denialTemplate?.trim();
+    const values = {
+      incomeMultiple: args.incomeMultiple,
+      countCoApplicantIncome: args.countCoApplicantIncome,
+      // The built-in letter is used whenever no template of their own is saved.
+      denialTemplate: template && template !== DEFAULT_DENIAL_TEMPLATE ? template : undefined,
+      screeningCompany: optionalText(args.screeningCompany),
+      updatedAt: Date.now(),
+    };
+    const existing = await ctx.db
+      .query("applicationSettings")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .first();
+    if (existing) {
+      await ctx.db.patch(existing._id, values);
+    } else {
+      await ctx.db.insert("applicationSettings", { ...values, userId: access.ownerId });
+    }
+    return await loadSettings(ctx, access.ownerId);
+  },
+});
@@ -1,6 +1,7 @@
 import { v } from "convex/values";
-import { mutation, query } from "./_generated/server";
+import { internalMutation, mutation, query } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
 
 type RentalLicenseSeedInput = {
   propertyLabel: string;
@@ -59,7 +60,7 @@ function parseDate(value: string) {
 async function resolveUserId(
   ctx: any,
   args: { userId?: string; ownerEmail?: string }
-) {
+): Promise<string> {
   if (args.userId) return args.userId;
   if (!args.ownerEmail) {
     throw new Error("userId or ownerEmail is required.");
@@ -149,15 +150,14 @@ async function insertLicenses(
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("rentalLicenses");
-    if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
-    }
-
-    const licenses = await query.collect();
+    const access = await authorize(ctx, args.sessionToken, "compliance", "read");
+    const licenses = await ctx.db
+      .query("rentalLicenses")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
 
     return licenses.map((license) => ({
       _id: license._id,
@@ -191,9 +191,11 @@ export const create = mutation({
     unitFees: v.number(),
     link: v.optional(v.string()),
     notes: v.optional(v.string()),
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "compliance", "write");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
     const now = Date.now();
     const licenseId = await ctx.db.insert("rentalLicenses", {
       propertyId: args.propertyId,
@@ -205,7 +207,7 @@ export const create = mutation({
       unitFees: args.unitFees,
       link: args.link,
       notes: args.notes,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
       updatedAt: now,
     });
@@ -234,6 +236,7 @@ export const create = mutation({
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("rentalLicenses"),
     propertyId: v.optional(v.id("properties")),
     propertyLabel: v.optional(v.string()),
@@ -246,11 +249,10 @@ export const update = mutation({
     notes: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const { id, ...updates } = args;
-    const license = await ctx.db.get(id);
-    if (!license) {
-      throw new Error("Rental license not found");
-    }
+    const { sessionToken, id, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "compliance", "write");
+    await requireOwned(ctx, access, "rentalLicenses", id);
+    await requireOwnedRef(ctx, access, "properties", updates.propertyId);
 
     await ctx.db.patch(id, {
       ...updates,
@@ -281,13 +283,12 @@ export const update = mutation({
  */
 export const remove = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("rentalLicenses"),
   },
   handler: async (ctx, args) => {
-    const license = await ctx.db.get(args.id);
-    if (!license) {
-      throw new Error("Rental license not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "compliance", "write");
+    await requireOwned(ctx, access, "rentalLicenses", args.id);
     await ctx.db.delete(args.id);
     return { id: args.id };
   },
@@ -296,7 +297,7 @@ export const remove = mutation({
 /**
  * Seed default rental licenses for a user
  */
-export const seedDefault = mutation({
+export const seedDefault = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
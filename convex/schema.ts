@@ -13,10 +13,80 @@ export default defineSchema({
     emailVerified: v.optional(v.boolean()),
     emailVerificationCode: v.optional(v.string()),
     emailVerificationExpiresAt: v.optional(v.number()),
+    appleSub: v.optional(v.string()), // Stable Apple ID user identifier
     createdAt: v.number(),
     lastLoginAt: v.optional(v.number()),
   })
-    .index("by_email", ["email"]),
+    .index("by_email", ["email"])
+    .index("by_apple_sub", ["appleSub"]),
+
+  // Sessions table (only a hash of each token is stored)
+  sessions: defineTable({
+    userId: v.id("users"),
+    tokenHash: v.string(),
+    expiresAt: v.number(),
+    activeOrganizationId: v.optional(v.id("organizations")), // Portfolio picked in the switcher
+    activeTenantId: v.optional(v.id("tenants")), // Set when acting in the tenant portal
+    createdAt: v.number(),
+  })
+    .index("by_token_hash", ["tokenHash"])
+    .index("by_user", ["userId"]),
+
+  // Organizations (shared portfolios). Portfolio data stays keyed by the
+  // owning account's userId, so ownerId is the key for every row below.
+  organizations: defineTable({
+    name: v.string(),
+    ownerId: v.id("users"),
+    createdAt: v.number(),
+  })
+    .index("by_owner", ["ownerId"]),
+
+  // Memberships: role is owner | manager | maintenance | bookkeeper
+  memberships: defineTable({
+    organizationId: v.id("organizations"),
+    userId: v.id("users"),
+    role: v.string(),
+    createdAt: v.number(),
+  })
+    .index("by_organization", ["organizationId"])
+    .index("by_user", ["userId"])
+    .index("by_organization_user", ["organizationId", "userId"]),
+
+  // Pending email invitations to a portfolio (only the token hash is stored)
+  invitations: defineTable({
+    organizationId: v.id("organizations"),
+    email: v.string(),
+    role: v.string(),
+    tokenHash: v.string(),
+    invitedBy: v.id("users"),
+    expiresAt: v.number(),
+    acceptedAt: v.optional(v.number()),
+    createdAt: v.number(),
+  })
+    .index("by_organization", ["organizationId"])
+    .index("by_token_hash", ["tokenHash"]),
+
+  // Password reset tokens (hashed, single use)
+  passwordResetTokens: defineTable({
+    userId: v.id("users"),
+    tokenHash: v.string(),
+    expiresAt: v.number(),
+    usedAt: v.optional(v.number()),
+    createdAt: v.number(),
+  })
+    .index("by_token_hash", ["tokenHash"])
+    .index("by_user", ["userId"]),
+
+  // Auth attempts per email and action since the last success, for backoff
+  // and lockout
+  authAttempts: defineTable({
+    email: v.string(),
+    action: v.string(),
+    failures: v.number(),
+    lastFailureAt: v.number(),
+    lockedUntil: v.optional(v.number()),
+  })
+    .index("by_email_action", ["email", "action"]),
 
   // Properties table
   properties: defineTable({
@@ -33,6 +103,17 @@ export default defineSchema({
     mortgageLoanBalance: v.optional(v.number()),
     mortgageAPR: v.optional(v.number()),
     mortgageMonthlyPayment: v.optional(v.number()),
+    rentDueDay: v.optional(v.number()), // Day of month rent is due (1-28), defaults to 1
+    rentGraceDays: v.optional(v.number()), // Days after due date before a charge is overdue
+    lateFeePolicy: v.optional(
+      v.object({
+        type: v.string(), // "flat", "percent" or "daily"
+        amount: v.number(), // Dollars for flat/daily, percent of the charge for percent
+        maxAmount: v.optional(v.number()), // Cap on the total fee per charge
+        graceDays: v.optional(v.number()), // Days past due before a fee; defaults to rentGraceDays
+      })
+    ),
+    paymentAllocationOrder: v.optional(v.string()), // "fees_first" (default) or "rent_first"
     imageURL: v.optional(v.string()),
     notes: v.optional(v.string()),
     userId: v.id("users"), // Owner of the property
@@ -42,14 +123,168 @@ export default defineSchema({
     .index("by_user", ["userId"])
     .index("by_user_updated", ["userId", "updatedAt"]),
 
+  // Units: the rentable spaces of a property. Single-family homes have one.
+  units: defineTable({
+    propertyId: v.id("properties"),
+    label: v.string(), // "Main", "2B", "Unit 3"
+    bedrooms: v.optional(v.number()),
+    bathrooms: v.optional(v.number()),
+    squareFeet: v.optional(v.number()),
+    marketRent: v.optional(v.number()),
+    status: v.string(), // "vacant", "occupied", "notice", "unavailable"
+    notes: v.optional(v.string()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_property", ["propertyId"])
+    .index("by_user", ["userId"]),
+
+  // Turnovers: a unit's way from one lease to the next, from the outgoing
+  // tenant's notice to a signed lease for the incoming one.
+  turnovers: defineTable({
+    unitId: v.id("units"),
+    propertyId: v.id("properties"),
+    leaseId: v.optional(v.id("leases")), // Lease that is ending
+    stage: v.string(), // "notice", "inspection", "make_ready", "listed", "showing", "application", "lease_signed"
+    stages: v.array(v.object({ stage: v.string(), enteredAt: v.number() })),
+    status: v.string(), // "open", "completed", "cancelled"
+    monthlyRent: v.number(), // Rent a vacant day is valued at
+    moveOutDate: v.optional(v.number()),
+    vacantSince: v.optional(v.number()),
+    vacantUntil: v.optional(v.number()), // Start of the next lease
+    inspectionNotes: v.optional(v.string()),
+    listedRent: v.optional(v.number()),
+    showings: v.optional(v.number()),
+    notes: v.optional(v.string()),
+    completedAt: v.optional(v.number()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_unit", ["unitId"])
+    .index("by_user", ["userId"])
+    .index("by_status", ["status"]),
+
+  // A unit offered for rent. `slug` is the public part of its listing page
+  // and application link, so anyone with the link can apply without an
+  // account. Active listings are syndicated; beds, baths and address are
+  // read from the unit and property.
+  listings: defineTable({
+    unitId: v.id("units"),
+    propertyId: v.id("properties"),
+    slug: v.string(),
+    status: v.string(), // "active", "closed"
+    title: v.optional(v.string()),
+    monthlyRent: v.number(),
+    securityDeposit: v.optional(v.number()),
+    availableDate: v.optional(v.number()),
+    description: v.optional(v.string()),
+    photos: v.optional(
+      v.array(v.object({ storageId: v.id("_storage"), caption: v.optional(v.string()) }))
+    ),
+    contactEmail: v.optional(v.string()), // Public address for the syndication feed
+    closedAt: v.optional(v.number()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_slug", ["slug"])
+    .index("by_unit", ["unitId"])
+    .index("by_user", ["userId"]),
+
+  // Applications submitted through a listing's public form
+  rentalApplications: defineTable({
+    listingId: v.id("listings"),
+    unitId: v.id("units"),
+    propertyId: v.id("properties"),
+    status: v.string(), // "submitted", "approved", "denied"
+    firstName: v.string(),
+    lastName: v.string(),
+    email: v.string(),
+    phone: v.string(),
+    desiredMoveIn: v.optional(v.number()),
+    employer: v.optional(v.string()),
+    jobTitle: v.optional(v.string()),
+    employedSince: v.optional(v.number()),
+    monthlyIncome: v.number(),
+    otherIncome: v.optional(v.number()),
+    rentalHistory: v.array(
+      v.object({
+        address: v.string(),
+        landlordName: v.optional(v.string()),
+        landlordPhone: v.optional(v.string()),
+        monthlyRent: v.optional(v.number()),
+        movedIn: v.optional(v.number()),
+        movedOut: v.optional(v.number()),
+        reasonForLeaving: v.optional(v.string()),
+      })
+    ),
+    coApplicants: v.array(
+      v.object({
+        firstName: v.string(),
+        lastName: v.string(),
+        email: v.string(),
+        phone: v.optional(v.string()),
+        monthlyIncome: v.optional(v.number()),
+      })
+    ),
+    files: v.array(
+      v.object({
+        storageId: v.id("_storage"),
+        kind: v.string(), // "id", "pay_stub", "other"
+        fileName: v.string(),
+        contentType: v.optional(v.string()),
+        fileSizeBytes: v.optional(v.number()),
+      })
+    ),
+    message: v.optional(v.string()),
+    submittedAt: v.number(),
+    decidedAt: v.optional(v.number()),
+    denialReasons: v.optional(v.array(v.string())),
+    decisionNote: v.optional(v.string()),
+    letterDocumentId: v.optional(v.id("documents")), // Adverse action notice
+    tenantId: v.optional(v.id("tenants")),
+    leaseId: v.optional(v.id("leases")),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_listing", ["listingId"])
+    .index("by_user", ["userId"]),
+
+  // Files uploaded through a listing's public application form, until an
+  // application claims them. Unclaimed ones are swept after a day.
+  applicationUploads: defineTable({
+    storageId: v.id("_storage"),
+    listingId: v.id("listings"),
+    createdAt: v.number(),
+  })
+    .index("by_storage", ["storageId"])
+    .index("by_listing", ["listingId"])
+    .index("by_created", ["createdAt"]),
+
+  // Per-owner screening settings (defaults apply until saved)
+  applicationSettings: defineTable({
+    incomeMultiple: v.number(), // Monthly income required, as a multiple of rent
+    countCoApplicantIncome: v.boolean(),
+    denialTemplate: v.optional(v.string()),
+    screeningCompany: v.optional(v.string()), // Named in adverse action notices
+    userId: v.id("users"),
+    updatedAt: v.number(),
+  }).index("by_user", ["userId"]),
+
   // Tenants table
   tenants: defineTable({
     firstName: v.string(),
     lastName: v.string(),
     email: v.string(),
     phone: v.string(),
-    unit: v.optional(v.string()),
+    unit: v.optional(v.string()), // Label of `unitId`, kept for older clients
+    unitId: v.optional(v.id("units")),
     propertyId: v.id("properties"),
+    // Terms of the current lease, kept in sync from `leases`
+    leaseId: v.optional(v.id("leases")),
     leaseStartDate: v.number(),
     leaseEndDate: v.number(),
     monthlyRent: v.number(),
@@ -65,11 +300,100 @@ export default defineSchema({
   })
     .index("by_property", ["propertyId"])
     .index("by_user", ["userId"])
-    .index("by_email", ["email"]),
+    .index("by_email", ["email"])
+    .index("by_active", ["isActive"])
+    .index("by_lease", ["leaseId"])
+    .index("by_unit", ["unitId"]),
+
+  // Leases: one or more tenants renting a property (or unit) for a term.
+  // Renewing creates a new lease linked to the one it replaces.
+  leases: defineTable({
+    propertyId: v.id("properties"),
+    unit: v.optional(v.string()),
+    unitId: v.optional(v.id("units")),
+    tenantIds: v.array(v.id("tenants")),
+    startDate: v.number(),
+    endDate: v.number(),
+    monthlyRent: v.number(),
+    securityDeposit: v.number(),
+    recurringCharges: v.optional(
+      v.array(v.object({ description: v.string(), amount: v.number() }))
+    ),
+    documentId: v.optional(v.id("documents")), // Signed lease
+    previousLeaseId: v.optional(v.id("leases")),
+    status: v.string(), // "active", "renewed", "ended"
+    monthToMonth: v.optional(v.boolean()), // Rolls over a month at a time
+    notes: v.optional(v.string()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_user", ["userId"])
+    .index("by_property", ["propertyId"])
+    .index("by_previous", ["previousLeaseId"])
+    .index("by_status_end", ["status", "endDate"]),
+
+  // Renewal offers: proposed terms for a lease nearing its end, the notice
+  // sent to its tenants and how they answered.
+  leaseRenewals: defineTable({
+    leaseId: v.id("leases"),
+    propertyId: v.id("properties"),
+    currentRent: v.number(),
+    marketRent: v.optional(v.number()), // Latest marketTrends rent estimate
+    capPercent: v.optional(v.number()), // Jurisdiction's maximum increase
+    jurisdiction: v.optional(v.string()),
+    proposedRent: v.number(),
+    proposedStartDate: v.number(),
+    proposedEndDate: v.number(),
+    status: v.string(), // "draft", "sent", "accepted", "declined", "month_to_month"
+    noticeDocumentId: v.optional(v.id("documents")),
+    sentAt: v.optional(v.number()),
+    responseDueAt: v.optional(v.number()),
+    remindersSent: v.optional(v.number()),
+    lastReminderAt: v.optional(v.number()),
+    overdueAlertedAt: v.optional(v.number()),
+    respondedAt: v.optional(v.number()),
+    respondedBy: v.optional(v.id("users")),
+    responseNote: v.optional(v.string()),
+    renewedLeaseId: v.optional(v.id("leases")),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_lease", ["leaseId"])
+    .index("by_user", ["userId"])
+    .index("by_status", ["status"]),
+
+  // Per-owner renewal pipeline settings (defaults apply until saved)
+  renewalSettings: defineTable({
+    leadDays: v.number(), // Days before lease end to draft an offer
+    termMonths: v.number(),
+    responseDays: v.number(),
+    reminderIntervalDays: v.number(),
+    defaultIncreasePercent: v.number(), // Used when there's no market estimate
+    noticeTemplate: v.optional(v.string()),
+    userId: v.id("users"),
+    updatedAt: v.number(),
+  }).index("by_user", ["userId"]),
+
+  // Maximum yearly rent increase by jurisdiction: a state ("MD") or a
+  // city within one ("Gaithersburg, MD")
+  rentIncreaseCaps: defineTable({
+    jurisdiction: v.string(),
+    maxIncreasePercent: v.number(),
+    userId: v.id("users"),
+    updatedAt: v.number(),
+  })
+    .index("by_user", ["userId"])
+    .index("by_user_jurisdiction", ["userId", "jurisdiction"]),
 
   // Maintenance Requests table
   maintenanceRequests: defineTable({
     propertyId: v.id("properties"),
+    unitId: v.optional(v.id("units")),
+    turnoverId: v.optional(v.id("turnovers")), // Make-ready task for a turnover
+    scheduleId: v.optional(v.id("maintenanceSchedules")), // Preventive maintenance visit
+    dueDate: v.optional(v.number()), // When a preventive visit is due
     tenantId: v.optional(v.id("tenants")),
     contractorId: v.optional(v.id("contractors")),
     title: v.string(),
@@ -77,6 +401,23 @@ export default defineSchema({
     category: v.string(), // "Plumbing", "Electrical", "HVAC", etc.
     priority: v.string(), // "low", "normal", "high", "urgent", "emergency"
     status: v.string(), // "new", "acknowledged", "scheduled", "inProgress", "awaitingParts", "completed", "cancelled"
+    // Every status the request has been in, oldest first. Requests filed
+    // before this was kept have none; their history is pieced together from
+    // createdAt and completedDate.
+    statusHistory: v.optional(
+      v.array(
+        v.object({
+          status: v.string(),
+          at: v.number(),
+          actorId: v.optional(v.id("users")),
+          actorName: v.string(), // Kept so the timeline survives removed team members
+          note: v.optional(v.string()),
+        })
+      )
+    ),
+    // SLA stages ("acknowledge", "schedule" or "complete") already alerted
+    // as breached, so each is only raised once
+    slaBreaches: v.optional(v.array(v.object({ stage: v.string(), at: v.number() }))),
     photoURLs: v.optional(v.array(v.string())),
     scheduledDate: v.optional(v.number()),
     completedDate: v.optional(v.number()),
@@ -90,10 +431,208 @@ export default defineSchema({
     .index("by_property", ["propertyId"])
     .index("by_tenant", ["tenantId"])
     .index("by_contractor", ["contractorId"])
+    .index("by_unit", ["unitId"])
+    .index("by_turnover", ["turnoverId"])
+    .index("by_schedule", ["scheduleId"])
     .index("by_user", ["userId"])
     .index("by_status", ["status"])
     .index("by_user_status", ["userId", "status"]),
 
+  // Photos and short videos on a maintenance request. Photo URLs are also
+  // kept in the request's photoURLs for work orders and older clients.
+  maintenanceMedia: defineTable({
+    requestId: v.id("maintenanceRequests"),
+    storageId: v.id("_storage"),
+    kind: v.string(), // "photo" or "video"
+    contentType: v.string(),
+    fileName: v.string(),
+    fileSizeBytes: v.number(),
+    url: v.string(),
+    tag: v.optional(v.string()), // "before" or "after" the work
+    caption: v.optional(v.string()),
+    uploadedByType: v.string(), // "staff" or "tenant"
+    tenantId: v.optional(v.id("tenants")),
+    uploadedByName: v.string(),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+  })
+    .index("by_request", ["requestId"])
+    .index("by_storage", ["storageId"])
+    .index("by_user", ["userId"]),
+
+  // Files uploaded for a maintenance request, until they are attached. Only
+  // the user who uploaded one can attach it, once; unused ones are swept
+  // after a day.
+  maintenanceUploads: defineTable({
+    storageId: v.id("_storage"),
+    userId: v.id("users"), // Who uploaded it
+    createdAt: v.number(),
+  })
+    .index("by_storage", ["storageId"])
+    .index("by_user", ["userId"])
+    .index("by_created", ["createdAt"]),
+
+  // Conversation on a maintenance request between staff, the tenant who
+  // filed it and the assigned contractor. Internal notes are staff-only.
+  maintenanceMessages: defineTable({
+    requestId: v.id("maintenanceRequests"),
+    authorType: v.string(), // "staff", "tenant" or "contractor"
+    authorUserId: v.optional(v.id("users")),
+    tenantId: v.optional(v.id("tenants")),
+    contractorId: v.optional(v.id("contractors")),
+    authorName: v.string(),
+    body: v.string(),
+    attachments: v.array(
+      v.object({
+        storageId: v.id("_storage"),
+        fileName: v.string(),
+        contentType: v.optional(v.string()),
+        fileSizeBytes: v.optional(v.number()),
+      })
+    ),
+    internal: v.boolean(),
+    via: v.string(), // "app", "email" or "work_order"
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+  })
+    .index("by_request", ["requestId"])
+    .index("by_user", ["userId"]),
+
+  // Work order emailed to a contractor. The token in its links lets the
+  // contractor accept, decline or propose a time without an account; only
+  // its SHA-256 hash is stored.
+  workOrders: defineTable({
+    requestId: v.id("maintenanceRequests"),
+    contractorId: v.id("contractors"),
+    tokenHash: v.string(),
+    status: v.string(), // "sent", "accepted", "proposed", "declined" or "cancelled"
+    scope: v.string(),
+    accessInstructions: v.optional(v.string()),
+    shareTenantContact: v.boolean(),
+    notToExceed: v.optional(v.number()),
+    // Visit times are wall-clock times at the property, stored as UTC like
+    // the other dates: 10am on Oct 21 is Date.UTC(2026, 9, 21, 10).
+    proposedTime: v.optional(v.number()), // Visit time the contractor asked for
+    scheduledTime: v.optional(v.number()), // Visit time agreed on
+    contractorNote: v.optional(v.string()),
+    sentAt: v.number(),
+    respondedAt: v.optional(v.number()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_token_hash", ["tokenHash"])
+    .index("by_request", ["requestId"])
+    .index("by_user", ["userId"]),
+
+  // Response targets per priority, in hours from when a request is filed.
+  // Owners without saved targets use the defaults in maintenanceSla.ts.
+  slaSettings: defineTable({
+    targets: v.array(
+      v.object({
+        priority: v.string(),
+        acknowledgeHours: v.number(),
+        scheduleHours: v.number(),
+        completeHours: v.number(),
+      })
+    ),
+    userId: v.id("users"),
+    updatedAt: v.number(),
+  }).index("by_user", ["userId"]),
+
+  // Recurring maintenance (e.g. "Replace HVAC filter every 90 days"),
+  // shared by every property scheduled with it
+  maintenanceTemplates: defineTable({
+    name: v.string(),
+    descriptionText: v.string(),
+    category: v.string(),
+    specialty: v.optional(v.string()), // Contractor specialty to pre-assign from
+    priority: v.string(),
+    intervalCount: v.number(),
+    intervalUnit: v.string(), // "days", "months" or "years"
+    leadDays: v.number(), // Create the request this many days before it's due
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_user", ["userId"]),
+
+  // A template applied to a property (or one unit of it). A request is
+  // created leadDays before nextDueDate, which then moves on one interval.
+  maintenanceSchedules: defineTable({
+    templateId: v.id("maintenanceTemplates"),
+    propertyId: v.id("properties"),
+    unitId: v.optional(v.id("units")),
+    contractorId: v.optional(v.id("contractors")), // Overrides the preferred contractor
+    nextDueDate: v.number(),
+    active: v.boolean(),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_template", ["templateId"])
+    .index("by_property", ["propertyId"])
+    .index("by_active_due", ["active", "nextDueDate"])
+    .index("by_user", ["userId"]),
+
+  // Contractor invoice for a work order. Approving it posts a linked
+  // expense and adds its total to the request's actualCost.
+  contractorInvoices: defineTable({
+    workOrderId: v.id("workOrders"),
+    requestId: v.id("maintenanceRequests"),
+    contractorId: v.id("contractors"),
+    invoiceNumber: v.optional(v.string()),
+    invoiceDate: v.number(),
+    dueDate: v.optional(v.number()),
+    lineItems: v.array(
+      v.object({
+        description: v.string(),
+        quantity: v.number(),
+        unitPrice: v.number(),
+        amount: v.number(),
+      })
+    ),
+    subtotal: v.number(),
+    tax: v.number(),
+    total: v.number(),
+    file: v.optional(
+      v.object({
+        storageId: v.id("_storage"),
+        fileName: v.string(),
+        contentType: v.optional(v.string()),
+      })
+    ),
+    status: v.string(), // "pending", "approved" or "rejected"
+    expenseId: v.optional(v.id("expenses")),
+    approvedAt: v.optional(v.number()),
+    paidAt: v.optional(v.number()),
+    paymentReference: v.optional(v.string()), // Check number, transfer ID, etc.
+    notes: v.optional(v.string()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_work_order", ["workOrderId"])
+    .index("by_request", ["requestId"])
+    .index("by_expense", ["expenseId"])
+    .index("by_user", ["userId"]),
+
+  // Reply-to addresses for maintenance emails: a reply to
+  // reply+<token>@INBOUND_EMAIL_DOMAIN is posted to the request as the
+  // recipient the token was made for
+  maintenanceReplyTokens: defineTable({
+    requestId: v.id("maintenanceRequests"),
+    tokenHash: v.string(), // SHA-256 of the token in the reply address
+    recipientType: v.string(), // "staff", "tenant" or "contractor"
+    tenantId: v.optional(v.id("tenants")),
+    contractorId: v.optional(v.id("contractors")),
+    email: v.string(),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+  })
+    .index("by_token_hash", ["tokenHash"])
+    .index("by_request", ["requestId"])
+    .index("by_user", ["userId"]),
+
   // Contractors table
   contractors: defineTable({
     companyName: v.string(),
@@ -117,22 +656,117 @@ export default defineSchema({
   // Rent Payments table
   rentPayments: defineTable({
     propertyId: v.id("properties"),
+    unitId: v.optional(v.id("units")),
     tenantId: v.optional(v.id("tenants")),
     amount: v.number(),
     paymentDate: v.number(),
     dueDate: v.optional(v.number()),
     paymentMethod: v.optional(v.string()), // "check", "bank_transfer", "cash", etc.
-    status: v.string(), // "pending", "completed", "overdue", "cancelled"
+    status: v.string(), // "pending", "completed", "overdue", "cancelled", "waived"
     transactionId: v.optional(v.string()),
     notes: v.optional(v.string()),
+    source: v.optional(v.string()), // "manual" (default) or "schedule" for generated charges
+    kind: v.optional(v.string()), // "rent" (default) or "late_fee"
+    amountPaid: v.optional(v.number()), // Sum of payment allocations; unset on legacy rows
+    chargeId: v.optional(v.id("rentPayments")), // Rent charge a late fee was assessed on
+    waivedAt: v.optional(v.number()),
+    waivedBy: v.optional(v.id("users")),
+    waiverNote: v.optional(v.string()),
+    periodStart: v.optional(v.number()),
+    periodEnd: v.optional(v.number()),
+    prorated: v.optional(v.boolean()),
     userId: v.id("users"), // Property owner
     createdAt: v.number(),
   })
     .index("by_property", ["propertyId"])
     .index("by_tenant", ["tenantId"])
+    .index("by_tenant_due", ["tenantId", "dueDate"])
+    .index("by_status_due", ["status", "dueDate"])
+    .index("by_charge", ["chargeId"])
     .index("by_user", ["userId"])
     .index("by_date", ["paymentDate"]),
 
+  // Payments received from tenants, applied to rent payment charges
+  payments: defineTable({
+    tenantId: v.id("tenants"),
+    propertyId: v.id("properties"),
+    unitId: v.optional(v.id("units")),
+    amount: v.number(),
+    receivedAt: v.number(),
+    paymentMethod: v.optional(v.string()),
+    transactionId: v.optional(v.string()),
+    notes: v.optional(v.string()),
+    status: v.string(), // "applied", "reversed" or "returned" (NSF)
+    unappliedAmount: v.number(), // Credit left over after covering open charges
+    reversedAt: v.optional(v.number()),
+    reversalNote: v.optional(v.string()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_user", ["userId"]),
+
+  // How much of a payment went to which charge
+  paymentAllocations: defineTable({
+    paymentId: v.id("payments"),
+    chargeId: v.id("rentPayments"),
+    amount: v.number(),
+    reversedAt: v.optional(v.number()), // Set when the payment was reversed or returned
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+  })
+    .index("by_payment", ["paymentId"])
+    .index("by_charge", ["chargeId"])
+    .index("by_user", ["userId"]),
+
+  // Security deposits held for a tenancy
+  securityDeposits: defineTable({
+    tenantId: v.id("tenants"),
+    propertyId: v.id("properties"),
+    amount: v.number(),
+    collectedAt: v.number(),
+    accountName: v.string(), // Bank or escrow account the deposit is held in
+    state: v.string(), // Jurisdiction whose interest and return rules apply
+    moveOutDate: v.optional(v.number()),
+    returnDeadline: v.optional(v.number()),
+    interestAccrued: v.optional(v.number()), // Frozen at move-out
+    statementDocumentId: v.optional(v.id("documents")),
+    deadlineAlertedAt: v.optional(v.number()),
+    returnedAt: v.optional(v.number()),
+    notes: v.optional(v.string()),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_tenant", ["tenantId"])
+    .index("by_user", ["userId"])
+    .index("by_deadline", ["returnDeadline"]),
+
+  // Move-out deductions from a security deposit
+  depositDeductions: defineTable({
+    depositId: v.id("securityDeposits"),
+    description: v.string(),
+    amount: v.number(),
+    maintenanceRequestId: v.optional(v.id("maintenanceRequests")),
+    documentId: v.optional(v.id("documents")),
+    userId: v.id("users"), // Property owner
+    createdAt: v.number(),
+  })
+    .index("by_deposit", ["depositId"])
+    .index("by_user", ["userId"]),
+
+  // Per-state deposit interest and return rules, overriding the defaults
+  depositRules: defineTable({
+    state: v.string(),
+    annualRatePercent: v.number(),
+    interestPeriodMonths: v.number(), // 0 accrues daily; MD accrues in 6-month steps
+    returnDeadlineDays: v.number(),
+    userId: v.id("users"), // Portfolio owner
+    updatedAt: v.number(),
+  })
+    .index("by_user", ["userId"])
+    .index("by_user_state", ["userId", "state"]),
+
   // Expenses table
   expenses: defineTable({
     propertyId: v.optional(v.id("properties")),
@@ -217,7 +851,7 @@ export default defineSchema({
     propertyId: v.optional(v.id("properties")),
     tenantId: v.optional(v.id("tenants")),
     title: v.string(),
-    category: v.string(), // "lease", "insurance", "contractor", "receipt", "photo", "other"
+    category: v.string(), // "lease", "insurance", "contractor", "receipt", "photo", "deposit", "application", "other"
     storageId: v.id("_storage"),
     contentType: v.optional(v.string()),
     fileSizeBytes: v.optional(v.number()),
@@ -227,6 +861,8 @@ export default defineSchema({
   })
     .index("by_user", ["userId"])
     .index("by_property", ["propertyId"])
+    .index("by_tenant", ["tenantId"])
+    .index("by_storage", ["storageId"])
     .index("by_user_category", ["userId", "category"])
     .index("by_user_updated", ["userId", "updatedAt"]),
 
@@ -2,55 +2,50 @@
 "use node";
 
 import { v } from "convex/values";
-import { action } from "./_generated/server";
+import { internalAction } from "./_generated/server";
 import { internal, api } from "./_generated/api";
-import { createHash, randomBytes } from "crypto";
-
-function hashPassword(password: string, salt: string) {
-  return createHash("sha256").update(password + salt).digest("hex");
-}
+import { Id } from "./_generated/dataModel";
+import { issueSession } from "./auth";
+import { hashPassword } from "./passwords";
 
 function normalizeEmail(email: string) {
   return email.trim().toLowerCase();
 }
 
-export const seedScreenshotData = action({
+export const seedScreenshotData = internalAction({
   args: {
     email: v.string(),
     password: v.string(),
     name: v.optional(v.string()),
   },
-  handler: async (ctx, args) => {
+  handler: async (ctx, args): Promise<{ userId: Id<"users">; email: string; properties: number }> => {
     const email = normalizeEmail(args.email);
     const name = args.name || "Demo Owner";
 
-    let user = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
-    if (!user) {
-      const salt = randomBytes(16).toString("hex");
-      const passwordHash = hashPassword(args.password, salt);
-      const userId = await ctx.runMutation(internal.authInternal.createUser, {
+    const existing = await ctx.runQuery(internal.authInternal.findUserByEmail, { email });
+    let userId: Id<"users">;
+    if (!existing) {
+      userId = await ctx.runMutation(internal.authInternal.createUser, {
         email,
         name,
-        passwordHash,
-        passwordSalt: salt,
+        ...(await hashPassword(args.password)),
         emailVerified: true,
       });
-      user = await ctx.runQuery(internal.authInternal.getUser, { userId });
     } else {
-      const salt = randomBytes(16).toString("hex");
-      const passwordHash = hashPassword(args.password, salt);
+      userId = existing._id;
       await ctx.runMutation(internal.authInternal.setPassword, {
-        userId: user._id,
-        passwordHash,
-        passwordSalt: salt,
+        userId,
+        ...(await hashPassword(args.password)),
       });
       await ctx.runMutation(internal.authInternal.markEmailVerified, {
-        userId: user._id,
+        userId,
       });
     }
 
+    const sessionToken = await issueSession(ctx, userId);
+
     await ctx.runMutation(api.users.setPremiumStatus, {
-      userId: user._id,
+      sessionToken,
       isPremium: true,
     });
 
@@ -105,7 +100,7 @@ export const seedScreenshotData = action({
         currentValue: undefined,
         imageURL: undefined,
         notes: "Demo data for screenshots",
-        userId: user._id,
+        sessionToken,
       });
       createdProperties.push(created);
     }
@@ -124,7 +119,7 @@ export const seedScreenshotData = action({
       monthlyRent: 1700,
       securityDeposit: 1700,
       isActive: true,
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.tenants.create, {
@@ -139,7 +134,7 @@ export const seedScreenshotData = action({
       monthlyRent: 1600,
       securityDeposit: 1500,
       isActive: true,
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.tenants.create, {
@@ -154,7 +149,7 @@ export const seedScreenshotData = action({
       monthlyRent: 2500,
       securityDeposit: 2500,
       isActive: true,
-      userId: user._id,
+      sessionToken,
     });
 
     const contractorInputs = [
@@ -201,7 +196,7 @@ export const seedScreenshotData = action({
         notes: undefined,
         hourlyRate: undefined,
         rating: undefined,
-        userId: user._id,
+        sessionToken,
       });
       contractorIds.push(created._id);
     }
@@ -213,14 +208,16 @@ export const seedScreenshotData = action({
       descriptionText: "Tenant reports AC blowing warm air.",
       category: "HVAC",
       priority: "high",
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.maintenanceRequests.assignContractor, {
+      sessionToken,
       requestId: hvacRequest._id,
       contractorId: contractorIds[0],
     });
     await ctx.runMutation(api.maintenanceRequests.updateStatus, {
+      sessionToken,
       id: hvacRequest._id,
       status: "scheduled",
     });
@@ -232,14 +229,16 @@ export const seedScreenshotData = action({
       descriptionText: "Minor leak under sink. Needs washer replacement.",
       category: "Plumbing",
       priority: "normal",
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.maintenanceRequests.assignContractor, {
+      sessionToken,
       requestId: plumbingRequest._id,
       contractorId: contractorIds[3],
     });
     await ctx.runMutation(api.maintenanceRequests.updateStatus, {
+      sessionToken,
       id: plumbingRequest._id,
       status: "inProgress",
     });
@@ -253,7 +252,7 @@ export const seedScreenshotData = action({
       paymentMethod: "bank_transfer",
       status: "completed",
       notes: "On-time",
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.expenses.create, {
@@ -265,7 +264,7 @@ export const seedScreenshotData = action({
       date: Date.now() - 1000 * 60 * 60 * 24 * 10,
       isRecurring: false,
       notes: "No issues found",
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.insurancePolicies.create, {
@@ -278,7 +277,7 @@ export const seedScreenshotData = action({
       premium: 3568,
       notes: "Lender: Select Portfolio Servicing",
       agent: "EnsuranceMax LLC",
-      userId: user._id,
+      sessionToken,
     });
 
     await ctx.runMutation(api.rentalLicenses.create, {
@@ -291,18 +290,18 @@ export const seedScreenshotData = action({
       unitFees: 60,
       link: "https://citizenaccess.baltimorecountymd.gov/CitizenAccess/Login.aspx",
       notes: "Baltimore County",
-      userId: user._id,
+      sessionToken,
     });
 
     return {
-      userId: user._id,
+      userId,
       email,
       properties: createdProperties.length,
     };
   },
 });
 
-export const clearScreenshotData = action({
+export const clearScreenshotData = internalAction({
   args: { email: v.string() },
   handler: async (ctx, args) => {
     const email = normalizeEmail(args.email);
@@ -310,7 +309,8 @@ export const clearScreenshotData = action({
     if (!user) {
       return { success: false, message: "User not found" };
     }
-    await ctx.runMutation(api.users.deleteAccount, { userId: user._id });
+    const sessionToken = await issueSession(ctx, user._id);
+    await ctx.runMutation(api.users.deleteAccount, { sessionToken });
     return { success: true };
   },
 });
@@ -0,0 +1,105 @@
+// @vitest-environment edge-runtime
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { api } from "./_generated/api";
+import { depositInterest } from "./securityDeposits";
+import { seedPortfolio, setupConvex } from "./test.setup";
+
+const date = (year: number, month: number, day: number) => Date.UTC(year, month - 1, day);
+const MARYLAND = { annualRatePercent: 1.5, interestPeriodMonths: 6, returnDeadlineDays: 45 };
+
+describe("depositInterest", () => {
+  it("pays nothing until a full six-month period has passed", () => {
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 15), date(2025, 7, 14))).toBe(0);
+    // 2000 × 1.5% × 6/12
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 15), date(2025, 7, 15))).toBe(15);
+  });
+
+  it("drops the partial period at the end", () => {
+    // 17 months is two whole periods
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 15), date(2026, 6, 20))).toBe(30);
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 15), date(2026, 7, 15))).toBe(45);
+  });
+
+  it("counts a month only once its day of the month comes round", () => {
+    // January 31 to July 30 is five months and 30 days
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 31), date(2025, 7, 30))).toBe(0);
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 31), date(2025, 7, 31))).toBe(15);
+  });
+
+  it("accrues daily when the rule has no interest period", () => {
+    const daily = { annualRatePercent: 3, interestPeriodMonths: 0, returnDeadlineDays: 30 };
+    expect(depositInterest(1000, daily, date(2025, 1, 1), date(2025, 4, 11))).toBe(8.22);
+  });
+
+  it("pays nothing without a rate or before collection", () => {
+    const none = { annualRatePercent: 0, interestPeriodMonths: 0, returnDeadlineDays: 30 };
+    expect(depositInterest(2000, none, date(2025, 1, 1), date(2027, 1, 1))).toBe(0);
+    expect(depositInterest(2000, MARYLAND, date(2025, 1, 1), date(2024, 1, 1))).toBe(0);
+  });
+});
+
+describe("recordMoveOut", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  async function depositFor(state: string) {
+    const t = setupConvex();
+    const seed = await seedPortfolio(t, { property: { state } });
+    const deposit = await t.mutation(api.securityDeposits.create, {
+      sessionToken: seed.sessionToken,
+      tenantId: seed.tenantId,
+      accountName: "Escrow",
+      amount: 2000,
+      collectedAt: date(2025, 1, 15),
+    });
+    return { t, seed, deposit };
+  }
+
+  it("sets a Maryland return deadline 45 days after the move-out date", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(date(2026, 6, 20));
+    const { t, seed, deposit } = await depositFor("Maryland");
+    expect(deposit.state).toBe("MD");
+
+    const moved = await t.mutation(api.securityDeposits.recordMoveOut, {
+      sessionToken: seed.sessionToken,
+      id: deposit._id,
+      moveOutDate: date(2026, 6, 10) + 15 * 60 * 60 * 1000,
+    });
+    expect(moved.returnDeadline).toBe(date(2026, 7, 25));
+    expect(moved.deadlineStatus).toBe("awaiting_return");
+    // Interest stops at move-out: two whole periods, not the 17th month
+    expect(moved.interest).toBe(30);
+    expect(moved.refundDue).toBe(2030);
+
+    vi.setSystemTime(date(2026, 7, 16));
+    const [soon] = await t.query(api.securityDeposits.list, { sessionToken: seed.sessionToken });
+    expect(soon).toMatchObject({ deadlineStatus: "due_soon", interest: 30 });
+
+    vi.setSystemTime(date(2026, 7, 25) + 1);
+    const [late] = await t.query(api.securityDeposits.list, { sessionToken: seed.sessionToken });
+    expect(late.deadlineStatus).toBe("overdue");
+  });
+
+  it("uses a saved rule for the state over the default", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(date(2026, 6, 20));
+    const { t, seed, deposit } = await depositFor("MD");
+    await t.mutation(api.securityDeposits.setRule, {
+      sessionToken: seed.sessionToken,
+      state: "MD",
+      annualRatePercent: 2,
+      interestPeriodMonths: 6,
+      returnDeadlineDays: 30,
+    });
+
+    const moved = await t.mutation(api.securityDeposits.recordMoveOut, {
+      sessionToken: seed.sessionToken,
+      id: deposit._id,
+      moveOutDate: date(2026, 6, 10),
+    });
+    expect(moved.returnDeadline).toBe(date(2026, 7, 10));
+    expect(moved.interest).toBe(40);
+  });
+});
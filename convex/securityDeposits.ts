@@ -0,0 +1,628 @@
+import { v } from "convex/values";
+import { internalMutation, internalQuery, mutation, query } from "./_generated/server";
+import type { QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, forbidden, requireOwned, requireOwnedRef } from "./authorization";
+import { DAY_MS, roundCents, startOfUtcDay } from "./rentLedger";
+
+export type DepositRule = {
+  annualRatePercent: number;
+  interestPeriodMonths: number;
+  returnDeadlineDays: number;
+};
+
+// Statutory defaults, overridable per portfolio. Maryland pays simple
+// interest in six-month steps at a 1.5% floor (raised some years, so keep the
+// rate current) and gives landlords 45 days after move-out to return the
+// deposit with an itemized list of deductions.
+const DEFAULT_RULES: Record<string, DepositRule> = {
+  MD: { annualRatePercent: 1.5, interestPeriodMonths: 6, returnDeadlineDays: 45 },
+};
+const FALLBACK_RULE: DepositRule = {
+  annualRatePercent: 0,
+  interestPeriodMonths: 0,
+  returnDeadlineDays: 30,
+};
+
+// How early the return deadline is flagged.
+const DEADLINE_WARNING_DAYS = 10;
+
+/**
+ * Two-letter code for the states we have defaults for, upper-cased otherwise
+ */
+export function normalizeState(state: string): string {
+  const key = state.trim().toUpperCase();
+  return key === "MARYLAND" ? "MD" : key;
+}
+
+function fullMonthsBetween(from: number, to: number): number {
+  const start = new Date(from);
+  const end = new Date(to);
+  let months =
+    (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  if (end.getUTCDate() < start.getUTCDate()) {
+    months -= 1;
+  }
+  return Math.max(0, months);
+}
+
+/**
+ * Simple interest on a deposit between two dates. With an interest period
+ * set, only whole periods earn interest; otherwise it accrues daily.
+ */
+export function depositInterest(
+  amount: number,
+  rule: DepositRule,
+  from: number,
+  to: number
+): number {
+  if (rule.annualRatePercent <= 0 || to <= from) {
+    return 0;
+  }
+  const rate = rule.annualRatePercent / 100;
+  if (rule.interestPeriodMonths > 0) {
+    const periods = Math.floor(fullMonthsBetween(from, to) / rule.interestPeriodMonths);
+    return roundCents((amount * rate * periods * rule.interestPeriodMonths) / 12);
+  }
+  const days = Math.floor((startOfUtcDay(to) - startOfUtcDay(from)) / DAY_MS);
+  return roundCents((amount * rate * days) / 365);
+}
+
+async function resolveRule(
+  ctx: QueryCtx,
+  ownerId: Id<"users">,
+  state: string
+): Promise<DepositRule> {
+  const override = await ctx.db
+    .query("depositRules")
+    .withIndex("by_user_state", (q) => q.eq("userId", ownerId).eq("state", state))
+    .first();
+  if (override) {
+    return {
+      annualRatePercent: override.annualRatePercent,
+      interestPeriodMonths: override.interestPeriodMonths,
+      returnDeadlineDays: override.returnDeadlineDays,
+    };
+  }
+  return DEFAULT_RULES[state] ?? FALLBACK_RULE;
+}
+
+function deadlineStatus(deposit: Doc<"securityDeposits">, now: number) {
+  if (deposit.returnedAt) {
+    return "returned";
+  }
+  if (!deposit.returnDeadline) {
+    return "held";
+  }
+  if (deposit.returnDeadline < now) {
+    return "overdue";
+  }
+  if (deposit.returnDeadline - now <= DEADLINE_WARNING_DAYS * DAY_MS) {
+    return "due_soon";
+  }
+  return "awaiting_return";
+}
+
+async function summarize(ctx: QueryCtx, deposit: Doc<"securityDeposits">, now: number) {
+  const tenant = await ctx.db.get(deposit.tenantId);
+  const property = await ctx.db.get(deposit.propertyId);
+  const rule = await resolveRule(ctx, deposit.userId, deposit.state);
+  const deductions = await ctx.db
+    .query("depositDeductions")
+    .withIndex("by_deposit", (q) => q.eq("depositId", deposit._id))
+    .collect();
+
+  const interest =
+    deposit.interestAccrued ??
+    depositInterest(deposit.amount, rule, deposit.collectedAt, deposit.moveOutDate ?? now);
+  const totalDeductions = roundCents(deductions.reduce((sum, row) => sum + row.amount, 0));
+  const held = roundCents(deposit.amount + interest);
+  const statement = deposit.statementDocumentId
+    ? await ctx.db.get(deposit.statementDocumentId)
+    : null;
+
+  return {
+    _id: deposit._id,
+    id: deposit._id,
+    tenantId: deposit.tenantId,
+    tenantName: tenant ? `${tenant.firstName} ${tenant.lastName}`.trim() : "Former tenant",
+    unit: tenant?.unit,
+    propertyId: deposit.propertyId,
+    propertyName: property?.name,
+    propertyAddress: property
+      ? `${property.address}, ${property.city}, ${property.state} ${property.zipCode}`
+      : undefined,
+    amount: deposit.amount,
+    collectedAt: deposit.collectedAt,
+    accountName: deposit.accountName,
+    state: deposit.state,
+    rule,
+    interest,
+    deductions: deductions.map((row) => ({
+      _id: row._id,
+      id: row._id,
+      description: row.description,
+      amount: row.amount,
+      maintenanceRequestId: row.maintenanceRequestId,
+      documentId: row.documentId,
+      createdAt: row.createdAt,
+    })),
+    totalDeductions,
+    refundDue: Math.max(0, roundCents(held - totalDeductions)),
+    tenantOwes: Math.max(0, roundCents(totalDeductions - held)),
+    moveOutDate: deposit.moveOutDate,
+    returnDeadline: deposit.returnDeadline,
+    deadlineStatus: deadlineStatus(deposit, now),
+    statementDocumentId: deposit.statementDocumentId,
+    statementURL: statement ? await ctx.storage.getUrl(statement.storageId) : null,
+    returnedAt: deposit.returnedAt,
+    notes: deposit.notes,
+    createdAt: deposit.createdAt,
+    updatedAt: deposit.updatedAt,
+  };
+}
+
+/**
+ * What a tenant sees of their deposit: the numbers, without the landlord's
+ * notes or the rule details behind them
+ */
+function tenantView(summary: Awaited<ReturnType<typeof summarize>>) {
+  const { rule, notes, ...rest } = summary;
+  return rest;
+}
+
+/**
+ * List security deposits (tenants only see their own)
+ */
+export const list = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "read", {
+      allowTenant: true,
+    });
+
+    let deposits;
+    if (access.tenantId) {
+      const tenantId = access.tenantId;
+      deposits = await ctx.db
+        .query("securityDeposits")
+        .withIndex("by_tenant", (q) => q.eq("tenantId", tenantId))
+        .collect();
+    } else {
+      deposits = await ctx.db
+        .query("securityDeposits")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect();
+    }
+
+    const now = Date.now();
+    const summaries = await Promise.all(
+      deposits
+        .filter((deposit) => deposit.userId === access.ownerId)
+        .map((deposit) => summarize(ctx, deposit, now))
+    );
+    return access.tenantId ? summaries.map(tenantView) : summaries;
+  },
+});
+
+/**
+ * Record a deposit collected from a tenant. Amount and date default to the
+ * tenant's lease terms.
+ */
+export const create = mutation({
+  args: {
+    sessionToken: v.string(),
+    tenantId: v.id("tenants"),
+    accountName: v.string(),
+    amount: v.optional(v.number()),
+    collectedAt: v.optional(v.number()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const tenant = await requireOwned(ctx, access, "tenants", args.tenantId);
+    const property = await ctx.db.get(tenant.propertyId);
+    if (!property) {
+      throw new Error("Property not found");
+    }
+
+    const existing = await ctx.db
+      .query("securityDeposits")
+      .withIndex("by_tenant", (q) => q.eq("tenantId", tenant._id))
+      .first();
+    if (existing) {
+      throw new Error("A deposit is already recorded for this tenant");
+    }
+
+    const amount = roundCents(args.amount ?? tenant.securityDeposit);
+    if (!(amount > 0)) {
+      throw new Error("Deposit amount must be greater than zero");
+    }
+    const accountName = args.accountName.trim();
+    if (!accountName) {
+      throw new Error("Name the account the deposit is held in");
+    }
+
+    const now = Date.now();
+    const depositId = await ctx.db.insert("securityDeposits", {
+      tenantId: tenant._id,
+      propertyId: tenant.propertyId,
+      amount,
+      collectedAt: args.collectedAt ?? tenant.leaseStartDate,
+      accountName,
+      state: normalizeState(property.state),
+      ...(args.notes ? { notes: args.notes } : {}),
+      userId: access.ownerId,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const deposit = await ctx.db.get(depositId);
+    return await summarize(ctx, deposit!, now);
+  },
+});
+
+/**
+ * Update where a deposit is held, or correct its amount before move-out
+ */
+export const update = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("securityDeposits"),
+    accountName: v.optional(v.string()),
+    amount: v.optional(v.number()),
+    collectedAt: v.optional(v.number()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const deposit = await requireOwned(ctx, access, "securityDeposits", args.id);
+    if (
+      deposit.moveOutDate !== undefined &&
+      (args.amount !== undefined || args.collectedAt !== undefined)
+    ) {
+      throw new Error("The deposit amount is locked once move-out is recorded");
+    }
+
+    const patch: Partial<Doc<"securityDeposits">> = { updatedAt: Date.now() };
+    if (args.accountName !== undefined) {
+      const accountName = args.accountName.trim();
+      if (!accountName) {
+        throw new Error("Name the account the deposit is held in");
+      }
+      patch.accountName = accountName;
+    }
+    if (args.amount !== undefined) {
+      if (!(args.amount > 0)) {
+        throw new Error("Deposit amount must be greater than zero");
+      }
+      patch.amount = roundCents(args.amount);
+    }
+    if (args.collectedAt !== undefined) patch.collectedAt = args.collectedAt;
+    if (args.notes !== undefined) {
+      patch.notes = args.notes === "" ? undefined : args.notes;
+    }
+
+    await ctx.db.patch(deposit._id, patch);
+    const updated = await ctx.db.get(deposit._id);
+    return await summarize(ctx, updated!, Date.now());
+  },
+});
+
+/**
+ * Record the move-out date, freezing interest and starting the statutory
+ * return clock
+ */
+export const recordMoveOut = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("securityDeposits"),
+    moveOutDate: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const deposit = await requireOwned(ctx, access, "securityDeposits", args.id);
+    if (deposit.returnedAt) {
+      throw new Error("This deposit has already been returned");
+    }
+    if (args.moveOutDate < deposit.collectedAt) {
+      throw new Error("Move-out can't be before the deposit was collected");
+    }
+
+    const rule = await resolveRule(ctx, deposit.userId, deposit.state);
+    await ctx.db.patch(deposit._id, {
+      moveOutDate: args.moveOutDate,
+      interestAccrued: depositInterest(deposit.amount, rule, deposit.collectedAt, args.moveOutDate),
+      returnDeadline: startOfUtcDay(args.moveOutDate) + rule.returnDeadlineDays * DAY_MS,
+      deadlineAlertedAt: undefined,
+      updatedAt: Date.now(),
+    });
+
+    const updated = await ctx.db.get(deposit._id);
+    return await summarize(ctx, updated!, Date.now());
+  },
+});
+
+/**
+ * Add a move-out deduction, optionally backed by a maintenance request and
+ * a document (invoice, photos)
+ */
+export const addDeduction = mutation({
+  args: {
+    sessionToken: v.string(),
+    depositId: v.id("securityDeposits"),
+    description: v.string(),
+    amount: v.number(),
+    maintenanceRequestId: v.optional(v.id("maintenanceRequests")),
+    documentId: v.optional(v.id("documents")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const deposit = await requireOwned(ctx, access, "securityDeposits", args.depositId);
+    await requireOwnedRef(ctx, access, "maintenanceRequests", args.maintenanceRequestId);
+    await requireOwnedRef(ctx, access, "documents", args.documentId);
+    if (deposit.returnedAt) {
+      throw new Error("This deposit has already been returned");
+    }
+    const description = args.description.trim();
+    if (!description) {
+      throw new Error("Describe what the deduction is for");
+    }
+    if (!(args.amount > 0)) {
+      throw new Error("Deduction amount must be greater than zero");
+    }
+
+    const now = Date.now();
+    await ctx.db.insert("depositDeductions", {
+      depositId: deposit._id,
+      description,
+      amount: roundCents(args.amount),
+      ...(args.maintenanceRequestId ? { maintenanceRequestId: args.maintenanceRequestId } : {}),
+      ...(args.documentId ? { documentId: args.documentId } : {}),
+      userId: access.ownerId,
+      createdAt: now,
+    });
+    await ctx.db.patch(deposit._id, { updatedAt: now });
+
+    const updated = await ctx.db.get(deposit._id);
+    return await summarize(ctx, updated!, now);
+  },
+});
+
+/**
+ * Remove a move-out deduction
+ */
+export const removeDeduction = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("depositDeductions"),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const deduction = await requireOwned(ctx, access, "depositDeductions", args.id);
+    const deposit = await ctx.db.get(deduction.depositId);
+    if (deposit?.returnedAt) {
+      throw new Error("This deposit has already been returned");
+    }
+    await ctx.db.delete(deduction._id);
+    return { id: args.id };
+  },
+});
+
+/**
+ * Mark the balance as returned to the tenant
+ */
+export const markReturned = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("securityDeposits"),
+    returnedAt: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const deposit = await requireOwned(ctx, access, "securityDeposits", args.id);
+    if (!deposit.moveOutDate) {
+      throw new Error("Record the move-out date first");
+    }
+    await ctx.db.patch(deposit._id, { returnedAt: args.returnedAt, updatedAt: Date.now() });
+    const updated = await ctx.db.get(deposit._id);
+    return await summarize(ctx, updated!, Date.now());
+  },
+});
+
+/**
+ * Interest and return rules by state: saved overrides plus the defaults
+ */
+export const listRules = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "read");
+    const overrides = await ctx.db
+      .query("depositRules")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+
+    const rules = new Map<string, DepositRule & { state: string; isDefault: boolean }>();
+    for (const [state, rule] of Object.entries(DEFAULT_RULES)) {
+      rules.set(state, { state, ...rule, isDefault: true });
+    }
+    for (const override of overrides) {
+      rules.set(override.state, {
+        state: override.state,
+        annualRatePercent: override.annualRatePercent,
+        interestPeriodMonths: override.interestPeriodMonths,
+        returnDeadlineDays: override.returnDeadlineDays,
+        isDefault: false,
+      });
+    }
+    return [...rules.values()].sort((a, b) => a.state.localeCompare(b.state));
+  },
+});
+
+/**
+ * Set the interest rate and return deadline used for a state
+ */
+export const setRule = mutation({
+  args: {
+    sessionToken: v.string(),
+    state: v.string(),
+    annualRatePercent: v.number(),
+    interestPeriodMonths: v.number(),
+    returnDeadlineDays: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const state = normalizeState(args.state);
+    if (!state) {
+      throw new Error("State is required");
+    }
+    if (args.annualRatePercent < 0 || args.annualRatePercent > 100) {
+      throw new Error("Interest rate must be between 0 and 100 percent");
+    }
+    if (!Number.isInteger(args.interestPeriodMonths) || args.interestPeriodMonths < 0) {
+      throw new Error("Interest period must be zero or more whole months");
+    }
+    if (!Number.isInteger(args.returnDeadlineDays) || args.returnDeadlineDays < 1) {
+      throw new Error("Return deadline must be at least one day");
+    }
+
+    const rule = {
+      annualRatePercent: args.annualRatePercent,
+      interestPeriodMonths: args.interestPeriodMonths,
+      returnDeadlineDays: args.returnDeadlineDays,
+      updatedAt: Date.now(),
+    };
+    const existing = await ctx.db
+      .query("depositRules")
+      .withIndex("by_user_state", (q) => q.eq("userId", access.ownerId).eq("state", state))
+      .first();
+    if (existing) {
+      await ctx.db.patch(existing._id, rule);
+    } else {
+      await ctx.db.insert("depositRules", { ...rule, state, userId: access.ownerId });
+    }
+    return { state, ...rule };
+  },
+});
+
+/**
+ * Everything the disposition statement prints, for the statement action
+ */
+export const statementData = internalQuery({
+  args: {
+    sessionToken: v.string(),
+    depositId: v.id("securityDeposits"),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "write");
+    const deposit = await requireOwned(ctx, access, "securityDeposits", args.depositId);
+    if (!deposit.moveOutDate) {
+      throw new Error("Record the move-out date before generating a statement");
+    }
+    const landlord = await ctx.db.get(access.ownerId);
+    const summary = await summarize(ctx, deposit, Date.now());
+    return {
+      ...summary,
+      ownerId: access.ownerId,
+      landlordName: landlord?.name ?? "Landlord",
+      landlordEmail: landlord?.email,
+    };
+  },
+});
+
+/**
+ * File a generated statement under the tenant's documents, replacing any
+ * earlier one
+ */
+export const attachStatement = internalMutation({
+  args: {
+    depositId: v.id("securityDeposits"),
+    ownerId: v.id("users"),
+    storageId: v.id("_storage"),
+    title: v.string(),
+    fileSizeBytes: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const deposit = await ctx.db.get(args.depositId);
+    if (!deposit) {
+      throw new Error("Security deposit not found");
+    }
+    if (deposit.userId !== args.ownerId) {
+      throw forbidden();
+    }
+
+    const now = Date.now();
+    if (deposit.statementDocumentId) {
+      const previous = await ctx.db.get(deposit.statementDocumentId);
+      if (previous) {
+        await ctx.storage.delete(previous.storageId);
+        await ctx.db.delete(previous._id);
+      }
+    }
+
+    const documentId = await ctx.db.insert("documents", {
+      userId: deposit.userId,
+      propertyId: deposit.propertyId,
+      tenantId: deposit.tenantId,
+      title: args.title,
+      category: "deposit",
+      storageId: args.storageId,
+      contentType: "application/pdf",
+      fileSizeBytes: args.fileSizeBytes,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await ctx.db.patch(deposit._id, { statementDocumentId: documentId, updatedAt: now });
+
+    return {
+      documentId,
+      downloadURL: await ctx.storage.getUrl(args.storageId),
+    };
+  },
+});
+
+/**
+ * Post a feed alert for deposits whose return deadline is close or past
+ */
+export const flagDeadlines = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const due = await ctx.db
+      .query("securityDeposits")
+      .withIndex("by_deadline", (q) =>
+        q.gt("returnDeadline", 0).lte("returnDeadline", now + DEADLINE_WARNING_DAYS * DAY_MS)
+      )
+      .collect();
+
+    let flagged = 0;
+    for (const deposit of due) {
+      if (deposit.returnedAt || deposit.deadlineAlertedAt || !deposit.returnDeadline) {
+        continue;
+      }
+      const tenant = await ctx.db.get(deposit.tenantId);
+      const tenantName = tenant ? `${tenant.firstName} ${tenant.lastName}`.trim() : "Former tenant";
+      const deadline = new Date(deposit.returnDeadline).toISOString().slice(0, 10);
+
+      await ctx.db.insert("feedEvents", {
+        eventType: "depositDeadline",
+        title: "Security deposit due back",
+        subtitle: `${tenantName} · return by ${deadline}`,
+        detail: "Send the itemized disposition statement and any refund before the deadline.",
+        timestamp: now,
+        isRead: false,
+        isActionRequired: true,
+        actionLabel: "Review deposit",
+        priority: deposit.returnDeadline < now ? 3 : 2,
+        propertyId: deposit.propertyId,
+        tenantId: deposit.tenantId,
+        userId: deposit.userId,
+        createdAt: now,
+      });
+      await ctx.db.patch(deposit._id, { deadlineAlertedAt: now });
+      flagged += 1;
+    }
+
+    return { flagged };
+  },
+});
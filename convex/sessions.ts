@@ -0,0 +1,162 @@
+import { ConvexError, v } from "convex/values";
+import {
+  internalMutation,
+  internalQuery,
+  MutationCtx,
+  QueryCtx,
+} from "./_generated/server";
+import { Doc, Id } from "./_generated/dataModel";
+
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function toHex(bytes: Uint8Array) {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Generate a random session token (256 bits, hex encoded).
+ * Only the SHA-256 hash of this value is ever stored.
+ */
+export function generateSessionToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+export async function hashSessionToken(token: string) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  return toHex(new Uint8Array(digest));
+}
+
+function unauthenticated(message = "Please sign in to continue.") {
+  return new ConvexError({ code: "UNAUTHENTICATED", message });
+}
+
+/**
+ * Load the session row and its user, throwing UNAUTHENTICATED when the token
+ * is missing, unknown or expired.
+ */
+export async function loadSession(
+  ctx: QueryCtx,
+  sessionToken: string | undefined
+): Promise<{ session: Doc<"sessions">; user: Doc<"users"> }> {
+  if (!sessionToken) {
+    throw unauthenticated();
+  }
+
+  const tokenHash = await hashSessionToken(sessionToken);
+  const session = await ctx.db
+    .query("sessions")
+    .withIndex("by_token_hash", (q) => q.eq("tokenHash", tokenHash))
+    .first();
+
+  if (!session) {
+    throw unauthenticated();
+  }
+
+  if (session.expiresAt <= Date.now()) {
+    throw unauthenticated("Your session has expired. Please sign in again.");
+  }
+
+  const user = await ctx.db.get(session.userId);
+  if (!user) {
+    throw unauthenticated();
+  }
+
+  return { session, user };
+}
+
+/**
+ * Resolve the signed-in user from a session token.
+ * Every public query and mutation derives the caller through this helper
+ * (or `authorize`, for portfolio data) instead of trusting a client-supplied
+ * userId.
+ */
+export async function validateSession(
+  ctx: QueryCtx,
+  sessionToken: string | undefined
+): Promise<Doc<"users">> {
+  const { user } = await loadSession(ctx, sessionToken);
+  return user;
+}
+
+/**
+ * Delete every session for a user, signing them out on all devices.
+ */
+export async function revokeSessionsForUser(
+  ctx: MutationCtx,
+  userId: Id<"users">,
+  keepTokenHash?: string
+) {
+  const sessions = await ctx.db
+    .query("sessions")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .collect();
+  const revoked = sessions.filter((session) => session.tokenHash !== keepTokenHash);
+  for (const session of revoked) {
+    await ctx.db.delete(session._id);
+  }
+  return revoked.length;
+}
+
+export const create = internalMutation({
+  args: {
+    userId: v.id("users"),
+    tokenHash: v.string(),
+    expiresAt: v.number(),
+    activeTenantId: v.optional(v.id("tenants")),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.insert("sessions", {
+      userId: args.userId,
+      tokenHash: args.tokenHash,
+      expiresAt: args.expiresAt,
+      activeTenantId: args.activeTenantId,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+/**
+ * Resolve the session user for actions, which have no direct db access.
+ */
+export const getSessionUser = internalQuery({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const user = await validateSession(ctx, args.sessionToken);
+    return {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isPremium: user.isPremium,
+    };
+  },
+});
+
+export const revoke = internalMutation({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const tokenHash = await hashSessionToken(args.sessionToken);
+    const session = await ctx.db
+      .query("sessions")
+      .withIndex("by_token_hash", (q) => q.eq("tokenHash", tokenHash))
+      .first();
+    if (session) {
+      await ctx.db.delete(session._id);
+    }
+    return { success: true };
+  },
+});
+
+export const revokeAllForUser = internalMutation({
+  args: { userId: v.id("users") },
+  handler: async (ctx, args) => {
+    const revoked = await revokeSessionsForUser(ctx, args.userId);
+    return { revoked };
+  },
+});
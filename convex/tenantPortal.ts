@@ -0,0 +1,118 @@
+import { v } from "convex/values";
+import { internalQuery, query } from "./_generated/server";
+import type { Doc } from "./_generated/dataModel";
+import { authorize, findTenancies, forbidden } from "./authorization";
+
+/**
+ * Lease, home and landlord details for the signed-in tenant
+ */
+export const overview = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read", {
+      allowTenant: true,
+    });
+    if (!access.tenantId) {
+      throw forbidden("The tenant portal is only available to tenants.");
+    }
+
+    const tenant = await ctx.db.get(access.tenantId);
+    if (!tenant) {
+      throw new Error("Tenant not found");
+    }
+    const property = await ctx.db.get(tenant.propertyId);
+    const landlord = await ctx.db.get(tenant.userId);
+    const lease = tenant.leaseId ? await ctx.db.get(tenant.leaseId) : null;
+
+    const coTenants = [];
+    for (const tenantId of lease?.tenantIds ?? []) {
+      const coTenant = tenantId === tenant._id ? null : await ctx.db.get(tenantId);
+      if (coTenant) {
+        coTenants.push(`${coTenant.firstName} ${coTenant.lastName}`.trim());
+      }
+    }
+    const signed = lease?.documentId ? await ctx.db.get(lease.documentId) : null;
+
+    const previousTerms = [];
+    let previousId = lease?.previousLeaseId;
+    while (previousId) {
+      const previous: Doc<"leases"> | null = await ctx.db.get(previousId);
+      if (!previous || previous.userId !== tenant.userId) {
+        break;
+      }
+      previousTerms.push({
+        startDate: previous.startDate,
+        endDate: previous.endDate,
+        monthlyRent: previous.monthlyRent,
+      });
+      previousId = previous.previousLeaseId;
+    }
+
+    return {
+      tenant: {
+        _id: tenant._id,
+        id: tenant._id,
+        firstName: tenant.firstName,
+        lastName: tenant.lastName,
+        email: tenant.email,
+        phone: tenant.phone,
+        unit: tenant.unit,
+        propertyId: tenant.propertyId,
+      },
+      lease: {
+        startDate: tenant.leaseStartDate,
+        endDate: tenant.leaseEndDate,
+        monthlyRent: tenant.monthlyRent,
+        securityDeposit: tenant.securityDeposit,
+        coTenants,
+        recurringCharges: lease?.recurringCharges ?? [],
+        documentURL: signed ? await ctx.storage.getUrl(signed.storageId) : null,
+        previousTerms,
+      },
+      // Only what a tenant needs to know about the building.
+      property: property
+        ? {
+            _id: property._id,
+            id: property._id,
+            name: property.name,
+            address: property.address,
+            city: property.city,
+            state: property.state,
+            zipCode: property.zipCode,
+            imageURL: property.imageURL,
+          }
+        : null,
+      landlord: landlord ? { name: landlord.name, email: landlord.email } : null,
+    };
+  },
+});
+
+/**
+ * Tenancy a new session should open in, if any: only for users with no
+ * portfolio or team of their own, so owners and staff keep landing on the
+ * console.
+ */
+export const defaultTenancy = internalQuery({
+  args: { userId: v.id("users") },
+  handler: async (ctx, args) => {
+    const user = await ctx.db.get(args.userId);
+    if (!user) {
+      return null;
+    }
+
+    const ownProperty = await ctx.db
+      .query("properties")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .first();
+    const membership = await ctx.db
+      .query("memberships")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .first();
+    if (ownProperty || membership) {
+      return null;
+    }
+
+    const [tenancy] = await findTenancies(ctx, user);
+    return tenancy?._id ?? null;
+  },
+});
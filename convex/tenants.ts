@@ -1,6 +1,21 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { internalMutation, query, mutation } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
+import { ensureTenantLease, syncLeaseTenants } from "./leases";
+import { assignUnit, refreshUnitStatus, resolveUnit } from "./units";
+
+// Tenants moved onto leases per migration run
+const LEASE_MIGRATION_BATCH = 100;
+
+const LEASE_FIELDS = [
+  "propertyId",
+  "unit",
+  "leaseStartDate",
+  "leaseEndDate",
+  "monthlyRent",
+  "securityDeposit",
+] as const;
 
 type TenantSeedInput = {
   firstName: string;
@@ -124,7 +139,7 @@ function toDateMs(date: string) {
 async function resolveUserId(
   ctx: any,
   args: { userId?: string; ownerEmail?: string }
-) {
+): Promise<string> {
   if (args.userId) return args.userId;
   if (!args.ownerEmail) {
     throw new Error("userId or ownerEmail is required.");
@@ -228,13 +243,15 @@ async function insertTenants(
       skipped += 1;
       continue;
     }
+    const unit = await resolveUnit(ctx, await ctx.db.get(propertyId), tenant.unit);
 
-    await ctx.db.insert("tenants", {
+    const tenantId = await ctx.db.insert("tenants", {
       firstName: tenant.firstName,
       lastName: tenant.lastName,
-      email: tenant.email,
+      email: normalizeEmail(tenant.email),
       phone: tenant.phone,
-      unit: tenant.unit,
+      unit: unit?.label ?? tenant.unit,
+      unitId: unit?._id,
       propertyId: propertyId as any,
       leaseStartDate: toDateMs(tenant.leaseStartDate),
       leaseEndDate: toDateMs(tenant.leaseEndDate),
@@ -249,6 +266,8 @@ async function insertTenants(
       createdAt: now,
       updatedAt: now,
     });
+    await ensureTenantLease(ctx, await ctx.db.get(tenantId), { joinCoTenants: true });
+    await refreshUnitStatus(ctx, unit?._id);
 
     existingKeys.add(key);
     created += 1;
@@ -262,23 +281,23 @@ async function insertTenants(
  */
 export const list = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.string(),
     propertyId: v.optional(v.id("properties")),
   },
   handler: async (ctx, args) => {
-    let query = ctx.db.query("tenants");
-
-    if (args.propertyId) {
-      query = query.withIndex("by_property", (q) =>
-        q.eq("propertyId", args.propertyId!)
-      );
-    } else if (args.userId) {
-      query = query.withIndex("by_user", (q) => q.eq("userId", args.userId!));
-    }
-
-    const tenants = await query.collect();
-
-    return tenants.map((tenant) => ({
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const tenants = args.propertyId
+      ? await ctx.db
+          .query("tenants")
+          .withIndex("by_property", (q) => q.eq("propertyId", args.propertyId!))
+          .collect()
+      : await ctx.db
+          .query("tenants")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
+
+    return tenants.filter((tenant) => tenant.userId === access.ownerId).map((tenant) => ({
       _id: tenant._id,
       id: tenant._id,
       firstName: tenant.firstName,
@@ -286,7 +305,9 @@ export const list = query({
       email: tenant.email,
       phone: tenant.phone,
       unit: tenant.unit,
+      unitId: tenant.unitId,
       propertyId: tenant.propertyId,
+      leaseId: tenant.leaseId,
       leaseStartDate: tenant.leaseStartDate,
       leaseEndDate: tenant.leaseEndDate,
       monthlyRent: tenant.monthlyRent,
@@ -306,12 +327,10 @@ export const list = query({
  * Get a single tenant by ID
  */
 export const get = query({
-  args: { id: v.id("tenants") },
+  args: { sessionToken: v.string(), id: v.id("tenants") },
   handler: async (ctx, args) => {
-    const tenant = await ctx.db.get(args.id);
-    if (!tenant) {
-      throw new Error("Tenant not found");
-    }
+    const access = await authorize(ctx, args.sessionToken, "tenants", "read");
+    const tenant = await requireOwned(ctx, access, "tenants", args.id);
 
     return {
       _id: tenant._id,
@@ -321,7 +340,9 @@ export const get = query({
       email: tenant.email,
       phone: tenant.phone,
       unit: tenant.unit,
+      unitId: tenant.unitId,
       propertyId: tenant.propertyId,
+      leaseId: tenant.leaseId,
       leaseStartDate: tenant.leaseStartDate,
       leaseEndDate: tenant.leaseEndDate,
       monthlyRent: tenant.monthlyRent,
@@ -338,7 +359,9 @@ export const get = query({
 });
 
 /**
- * Create a new tenant
+ * Create a new tenant on a lease of their own, or as a co-tenant on an
+ * existing lease (whose terms then apply). The unit can be given by id or by
+ * its label.
  */
 export const create = mutation({
   args: {
@@ -347,6 +370,7 @@ export const create = mutation({
     email: v.string(),
     phone: v.string(),
     unit: v.optional(v.string()),
+    unitId: v.optional(v.id("units")),
     propertyId: v.id("properties"),
     leaseStartDate: v.number(),
     leaseEndDate: v.number(),
@@ -357,16 +381,26 @@ export const create = mutation({
     emergencyContactPhone: v.optional(v.string()),
     notes: v.optional(v.string()),
     avatarURL: v.optional(v.string()),
-    userId: v.id("users"),
+    leaseId: v.optional(v.id("leases")),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "tenants", "write");
+    const property = await requireOwned(ctx, access, "properties", args.propertyId);
+    const unit = await assignUnit(ctx, access, property, args.unitId, args.unit);
+    const lease = args.leaseId ? await requireOwned(ctx, access, "leases", args.leaseId) : null;
+    if (lease && lease.status !== "active") {
+      throw new Error("Co-tenants can only be added to the current lease");
+    }
     const now = Date.now();
     const tenantId = await ctx.db.insert("tenants", {
       firstName: args.firstName,
       lastName: args.lastName,
-      email: args.email,
+      // Stored normalized so the tenant can sign in to the portal with it.
+      email: normalizeEmail(args.email),
       phone: args.phone,
-      unit: args.unit,
+      unit: unit?.label ?? args.unit,
+      unitId: unit?._id,
       propertyId: args.propertyId,
       leaseStartDate: args.leaseStartDate,
       leaseEndDate: args.leaseEndDate,
@@ -377,12 +411,20 @@ export const create = mutation({
       emergencyContactPhone: args.emergencyContactPhone,
       notes: args.notes,
       avatarURL: args.avatarURL,
-      userId: args.userId,
+      userId: access.ownerId,
       createdAt: now,
       updatedAt: now,
     });
 
+    if (lease) {
+      await ctx.db.patch(lease._id, { tenantIds: [...lease.tenantIds, tenantId], updatedAt: now });
+      await syncLeaseTenants(ctx, (await ctx.db.get(lease._id))!);
+    } else {
+      await ensureTenantLease(ctx, (await ctx.db.get(tenantId))!);
+    }
+
     const tenant = await ctx.db.get(tenantId);
+    await refreshUnitStatus(ctx, tenant!.unitId);
     return {
       _id: tenant!._id,
       id: tenant!._id,
@@ -391,7 +433,9 @@ export const create = mutation({
       email: tenant!.email,
       phone: tenant!.phone,
       unit: tenant!.unit,
+      unitId: tenant!.unitId,
       propertyId: tenant!.propertyId,
+      leaseId: tenant!.leaseId,
       leaseStartDate: tenant!.leaseStartDate,
       leaseEndDate: tenant!.leaseEndDate,
       monthlyRent: tenant!.monthlyRent,
@@ -408,16 +452,19 @@ export const create = mutation({
 });
 
 /**
- * Update an existing tenant
+ * Update an existing tenant. Lease terms are written through to the tenant's
+ * current lease, so co-tenants stay in step.
  */
 export const update = mutation({
   args: {
+    sessionToken: v.string(),
     id: v.id("tenants"),
     firstName: v.optional(v.string()),
     lastName: v.optional(v.string()),
     email: v.optional(v.string()),
     phone: v.optional(v.string()),
     unit: v.optional(v.string()),
+    unitId: v.optional(v.id("units")),
     propertyId: v.optional(v.id("properties")),
     leaseStartDate: v.optional(v.number()),
     leaseEndDate: v.optional(v.number()),
@@ -430,17 +477,56 @@ export const update = mutation({
     avatarURL: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const { id, ...updates } = args;
-    const tenant = await ctx.db.get(id);
-    if (!tenant) {
-      throw new Error("Tenant not found");
+    const { sessionToken, id, unitId, ...updates } = args;
+    const access = await authorize(ctx, sessionToken, "tenants", "write");
+    const tenant = await requireOwned(ctx, access, "tenants", id);
+    await requireOwnedRef(ctx, access, "properties", updates.propertyId);
+
+    // Moving property or unit re-resolves the unit the tenant lives in.
+    const moved =
+      unitId !== undefined || updates.unit !== undefined || updates.propertyId !== undefined;
+    let unitFields = {};
+    if (moved) {
+      const property = await requireOwned(
+        ctx,
+        access,
+        "properties",
+        updates.propertyId ?? tenant.propertyId
+      );
+      const unit = await assignUnit(ctx, access, property, unitId, updates.unit ?? tenant.unit);
+      unitFields = { unitId: unit?._id, ...(unit ? { unit: unit.label } : {}) };
     }
 
     await ctx.db.patch(id, {
       ...updates,
+      ...unitFields,
+      ...(updates.email !== undefined ? { email: normalizeEmail(updates.email) } : {}),
       updatedAt: Date.now(),
     });
 
+    const current = (await ctx.db.get(id))!;
+    const lease = tenant.leaseId ? await ctx.db.get(tenant.leaseId) : null;
+    if (!lease) {
+      await ensureTenantLease(ctx, { ...current, leaseId: undefined });
+    } else if (moved || LEASE_FIELDS.some((field) => updates[field] !== undefined)) {
+      await ctx.db.patch(lease._id, {
+        propertyId: current.propertyId,
+        unit: current.unit,
+        unitId: current.unitId,
+        startDate: current.leaseStartDate,
+        endDate: current.leaseEndDate,
+        monthlyRent: current.monthlyRent,
+        securityDeposit: current.securityDeposit,
+        updatedAt: Date.now(),
+      });
+      if (lease.status === "active") {
+        await syncLeaseTenants(ctx, (await ctx.db.get(lease._id))!);
+      }
+    }
+
+    await refreshUnitStatus(ctx, tenant.unitId);
+    await refreshUnitStatus(ctx, current.unitId);
+
     const updated = await ctx.db.get(id);
     return {
       _id: updated!._id,
@@ -450,7 +536,9 @@ export const update = mutation({
       email: updated!.email,
       phone: updated!.phone,
       unit: updated!.unit,
+      unitId: updated!.unitId,
       propertyId: updated!.propertyId,
+      leaseId: updated!.leaseId,
       leaseStartDate: updated!.leaseStartDate,
       leaseEndDate: updated!.leaseEndDate,
       monthlyRent: updated!.monthlyRent,
@@ -469,7 +557,7 @@ export const update = mutation({
 /**
  * Bulk create tenants for a user
  */
-export const bulkCreate = mutation({
+export const bulkCreate = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
@@ -510,7 +598,7 @@ export const bulkCreate = mutation({
 /**
  * Seed default tenant list for a user
  */
-export const seedDefault = mutation({
+export const seedDefault = internalMutation({
   args: {
     userId: v.optional(v.id("users")),
     ownerEmail: v.optional(v.string()),
@@ -529,3 +617,40 @@ export const seedDefault = mutation({
     );
   },
 });
+
+/**
+ * Lower-case stored tenant emails so existing tenants can sign in to the
+ * tenant portal (run once from the Convex dashboard)
+ */
+export const normalizeEmails = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    let updated = 0;
+    for (const tenant of await ctx.db.query("tenants").collect()) {
+      const email = normalizeEmail(tenant.email);
+      if (email !== tenant.email) {
+        await ctx.db.patch(tenant._id, { email });
+        updated += 1;
+      }
+    }
+    return { updated };
+  },
+});
+
+/**
+ * Move tenants that have no lease yet onto one, grouping roommates with
+ * matching terms onto a shared lease (run hourly until every tenant has one)
+ */
+export const migrateLeases = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const tenants = await ctx.db
+      .query("tenants")
+      .withIndex("by_lease", (q) => q.eq("leaseId", undefined))
+      .take(LEASE_MIGRATION_BATCH);
+    for (const tenant of tenants) {
+      await ensureTenantLease(ctx, tenant, { joinCoTenants: true });
+    }
+    return { migrated: tenants.length };
+  },
+});
@@ -0,0 +1,102 @@
+/// <reference types="vite/client" />
+import { convexTest } from "convex-test";
+import schema from "./schema";
+import { hashSessionToken } from "./sessions";
+import type { Doc, Id } from "./_generated/dataModel";
+
+// Every function module and _generated/api.js, for convex-test to run. Test
+// files (and this one) have more than one dot in their names, so Convex
+// leaves them out too.
+const modules = import.meta.glob("./**/!(*.*.*)*.*s");
+
+export function setupConvex() {
+  return convexTest(schema, modules);
+}
+
+export type TestConvex = ReturnType<typeof setupConvex>;
+
+/**
+ * A verified owner account with a session, a property and one active tenant
+ * on it. `property` and `tenant` override the defaults.
+ */
+export async function seedPortfolio(
+  t: TestConvex,
+  overrides: {
+    property?: Partial<Doc<"properties">>;
+    tenant?: Partial<Doc<"tenants">>;
+  } = {}
+) {
+  const sessionToken = "test-session";
+  const now = Date.now();
+  return await t.run(async (ctx) => {
+    const userId = await ctx.db.insert("users", {
+      name: "Owner",
+      email: "owner@example.com",
+      isPremium: false,
+      emailVerified: true,
+      createdAt: now,
+    });
+    await ctx.db.insert("sessions", {
+      userId,
+      tokenHash: await hashSessionToken(sessionToken),
+      expiresAt: now + 365 * 24 * 60 * 60 * 1000,
+      createdAt: now,
+    });
+    const propertyId = await ctx.db.insert("properties", {
+      name: "Maple Court",
+      address: "1 Maple Ct",
+      city: "Baltimore",
+      state: "MD",
+      zipCode: "21201",
+      propertyType: "Single Family",
+      units: 1,
+      monthlyRent: 1500,
+      userId,
+      createdAt: now,
+      updatedAt: now,
+      ...overrides.property,
+    });
+    const tenantId = await ctx.db.insert("tenants", {
+      firstName: "Pat",
+      lastName: "Lee",
+      email: "pat@example.com",
+      phone: "555-0100",
+      propertyId,
+      leaseStartDate: Date.UTC(2026, 0, 1),
+      leaseEndDate: Date.UTC(2026, 11, 31),
+      monthlyRent: 1500,
+      securityDeposit: 1500,
+      isActive: true,
+      userId,
+      createdAt: now,
+      updatedAt: now,
+      ...overrides.tenant,
+    });
+    return { sessionToken, userId, propertyId, tenantId };
+  });
+}
+
+/**
+ * Insert an open rent charge for a tenant
+ */
+export async function insertCharge(
+  t: TestConvex,
+  seed: { userId: Id<"users">; propertyId: Id<"properties">; tenantId: Id<"tenants"> },
+  charge: { amount: number; dueDate: number; kind?: string }
+) {
+  return await t.run(async (ctx) =>
+    ctx.db.insert("rentPayments", {
+      propertyId: seed.propertyId,
+      tenantId: seed.tenantId,
+      amount: charge.amount,
+      paymentDate: charge.dueDate,
+      dueDate: charge.dueDate,
+      status: "pending",
+      source: "schedule",
+      ...(charge.kind ? { kind: charge.kind } : {}),
+      amountPaid: 0,
+      userId: seed.userId,
+      createdAt: Date.now(),
+    })
+  );
+}
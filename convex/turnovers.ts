@@ -0,0 +1,636 @@
+import { v } from "convex/values";
+import { internalMutation, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned } from "./authorization";
+import { closeUnitListings, publishListing } from "./listings";
+import { DAY_MS, roundCents, startOfUtcDay } from "./rentLedger";
+
+export const TURNOVER_STAGES = [
+  "notice",
+  "inspection",
+  "make_ready",
+  "listed",
+  "showing",
+  "application",
+  "lease_signed",
+];
+
+const DEFAULT_MAKE_READY_TASKS = [
+  { title: "Deep clean", category: "Cleaning" },
+  { title: "Patch and paint walls", category: "Painting" },
+  { title: "Replace HVAC filters", category: "HVAC" },
+  { title: "Rekey locks", category: "General" },
+];
+
+// Finished turnovers stay on the board this long
+const RECENT_DAYS = 30;
+
+const taskValidator = v.object({ title: v.string(), category: v.string() });
+
+export type VacancyCost = {
+  daysVacant: number;
+  lostRent: number;
+  stages: { stage: string; enteredAt: number; days: number; vacantDays: number; lostRent: number }[];
+};
+
+/**
+ * Days vacant and rent lost over a turnover, in total and per stage. A
+ * vacant day is valued at the turnover's monthly rent over 365/12 days.
+ */
+export function vacancyCost(turnover: Doc<"turnovers">, now: number): VacancyCost {
+  const open = turnover.status === "open";
+  const vacantFrom = turnover.vacantSince;
+  const vacantTo = turnover.vacantUntil ?? (open ? now : (turnover.completedAt ?? turnover.updatedAt));
+  const daily = (turnover.monthlyRent * 12) / 365;
+  const vacantDaysBetween = (start: number, finish: number) =>
+    vacantFrom === undefined
+      ? 0
+      : Math.max(0, Math.min(finish, vacantTo) - Math.max(start, vacantFrom)) / DAY_MS;
+
+  const last = turnover.stages.length - 1;
+  const stages = turnover.stages.map((entry, index) => {
+    // A signed lease that starts later still leaves the unit empty until then.
+    const finish =
+      index < last
+        ? turnover.stages[index + 1].enteredAt
+        : open
+          ? now
+          : Math.max(turnover.completedAt ?? turnover.updatedAt, vacantTo);
+    const vacantDays = vacantDaysBetween(entry.enteredAt, finish);
+    return {
+      stage: entry.stage,
+      enteredAt: entry.enteredAt,
+      days: Math.round(Math.max(0, finish - entry.enteredAt) / DAY_MS),
+      vacantDays: Math.round(vacantDays),
+      lostRent: roundCents(vacantDays * daily),
+    };
+  });
+
+  const daysVacant = vacantDaysBetween(-Infinity, Infinity);
+  return {
+    daysVacant: Math.round(daysVacant),
+    lostRent: roundCents(daysVacant * daily),
+    stages,
+  };
+}
+
+/**
+ * Rent lost to a turnover's vacancy between two dates
+ */
+export function vacancyLossBetween(
+  turnover: Doc<"turnovers">,
+  from: number,
+  to: number,
+  now: number
+) {
+  if (turnover.vacantSince === undefined || turnover.status === "cancelled") {
+    return 0;
+  }
+  const vacantTo =
+    turnover.vacantUntil ?? (turnover.status === "open" ? now : (turnover.completedAt ?? turnover.updatedAt));
+  const days = Math.max(0, Math.min(to, vacantTo) - Math.max(from, turnover.vacantSince)) / DAY_MS;
+  return roundCents((days * turnover.monthlyRent * 12) / 365);
+}
+
+export async function openTurnoverFor(ctx: QueryCtx, unitId: Id<"units">) {
+  const turnovers = await ctx.db
+    .query("turnovers")
+    .withIndex("by_unit", (q) => q.eq("unitId", unitId))
+    .collect();
+  return turnovers.find((turnover) => turnover.status === "open") ?? null;
+}
+
+function enterStage(turnover: Doc<"turnovers">, stage: string, at: number) {
+  return { stage, stages: [...turnover.stages, { stage, enteredAt: at }] };
+}
+
+async function activeTenants(ctx: QueryCtx, unitId: Id<"units">) {
+  const tenants = await ctx.db
+    .query("tenants")
+    .withIndex("by_unit", (q) => q.eq("unitId", unitId))
+    .collect();
+  return tenants.filter((tenant) => tenant.isActive);
+}
+
+/**
+ * Open a turnover for a unit, or return the one already open. The ending
+ * lease defaults to the unit's current one, and its end date to the
+ * expected move-out. An occupied unit starting at notice goes on notice.
+ */
+export async function startTurnover(
+  ctx: MutationCtx,
+  unit: Doc<"units">,
+  options: { stage: "notice" | "inspection"; leaseId?: Id<"leases">; moveOutDate?: number }
+): Promise<Doc<"turnovers">> {
+  const existing = await openTurnoverFor(ctx, unit._id);
+  if (existing) {
+    return existing;
+  }
+
+  const now = Date.now();
+  const tenants = await activeTenants(ctx, unit._id);
+  const leaseId = options.leaseId ?? tenants.find((tenant) => tenant.leaseId)?.leaseId;
+  const lease = leaseId ? await ctx.db.get(leaseId) : null;
+  const property = await ctx.db.get(unit.propertyId);
+  const monthlyRent =
+    unit.marketRent ??
+    lease?.monthlyRent ??
+    (property ? property.monthlyRent / Math.max(1, property.units) : 0);
+
+  const turnoverId = await ctx.db.insert("turnovers", {
+    unitId: unit._id,
+    propertyId: unit.propertyId,
+    ...(lease ? { leaseId: lease._id } : {}),
+    stage: options.stage,
+    stages: [{ stage: options.stage, enteredAt: now }],
+    status: "open",
+    monthlyRent: roundCents(monthlyRent),
+    moveOutDate: options.moveOutDate ?? lease?.endDate,
+    ...(options.stage === "inspection" ? { vacantSince: now } : {}),
+    userId: unit.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  if (options.stage === "notice" && unit.status === "occupied") {
+    await ctx.db.patch(unit._id, { status: "notice", updatedAt: now });
+  }
+  return (await ctx.db.get(turnoverId))!;
+}
+
+/**
+ * The last tenants of a unit moved out: its turnover moves on to the
+ * move-out inspection, and the vacancy starts counting
+ */
+export async function recordVacancy(ctx: MutationCtx, unit: Doc<"units">) {
+  const turnover = await openTurnoverFor(ctx, unit._id);
+  if (!turnover) {
+    await startTurnover(ctx, unit, { stage: "inspection" });
+    return;
+  }
+  const now = Date.now();
+  await ctx.db.patch(turnover._id, {
+    ...(turnover.stage === "notice" ? enterStage(turnover, "inspection", now) : {}),
+    vacantSince: turnover.vacantSince ?? now,
+    updatedAt: now,
+  });
+}
+
+/**
+ * A new tenant moved in: the unit's open turnover is done and its listing
+ * comes down
+ */
+export async function recordMoveIn(ctx: MutationCtx, unit: Doc<"units">) {
+  await closeUnitListings(ctx, unit._id);
+  const turnover = await openTurnoverFor(ctx, unit._id);
+  if (!turnover) {
+    return;
+  }
+  const now = Date.now();
+  await ctx.db.patch(turnover._id, {
+    ...(turnover.stage !== "lease_signed" ? enterStage(turnover, "lease_signed", now) : {}),
+    status: "completed",
+    completedAt: now,
+    ...(turnover.vacantSince !== undefined && turnover.vacantUntil === undefined
+      ? { vacantUntil: now }
+      : {}),
+    updatedAt: now,
+  });
+}
+
+/**
+ * An application came in through the unit's listing: a turnover that is
+ * listed or showing moves on to the application stage
+ */
+export async function recordApplication(ctx: MutationCtx, unitId: Id<"units">) {
+  const turnover = await openTurnoverFor(ctx, unitId);
+  if (!turnover || !["listed", "showing"].includes(turnover.stage)) {
+    return;
+  }
+  const now = Date.now();
+  await ctx.db.patch(turnover._id, { ...enterStage(turnover, "application", now), updatedAt: now });
+}
+
+/**
+ * The next tenant signed a lease: the vacancy runs until it starts, and the
+ * unit stops being advertised
+ */
+export async function recordLeaseSigned(ctx: MutationCtx, unitId: Id<"units">, leaseStart: number) {
+  await closeUnitListings(ctx, unitId);
+  const turnover = await openTurnoverFor(ctx, unitId);
+  if (!turnover) {
+    return;
+  }
+  const now = Date.now();
+  await ctx.db.patch(turnover._id, {
+    ...(turnover.stage !== "lease_signed" ? enterStage(turnover, "lease_signed", now) : {}),
+    vacantUntil: startOfUtcDay(leaseStart),
+    updatedAt: now,
+  });
+}
+
+/**
+ * Move the outgoing tenants out: their lease ends, they stop being billed
+ * and the unit is vacant from `at`
+ */
+async function moveOut(ctx: MutationCtx, turnover: Doc<"turnovers">, at: number) {
+  const now = Date.now();
+  const lease = turnover.leaseId ? await ctx.db.get(turnover.leaseId) : null;
+  const tenants = await activeTenants(ctx, turnover.unitId);
+  for (const tenant of tenants) {
+    if (!lease || lease.tenantIds.includes(tenant._id)) {
+      await ctx.db.patch(tenant._id, { isActive: false, updatedAt: now });
+    }
+  }
+  if (lease?.status === "active") {
+    await ctx.db.patch(lease._id, { status: "ended", updatedAt: now });
+  }
+
+  const unit = await ctx.db.get(turnover.unitId);
+  if (unit && (await activeTenants(ctx, unit._id)).length === 0 && unit.status !== "unavailable") {
+    await ctx.db.patch(unit._id, { status: "vacant", updatedAt: now });
+  }
+
+  // A lease signed before move-out finishes the turnover now.
+  const signed = turnover.stage === "lease_signed";
+  await ctx.db.patch(turnover._id, {
+    ...(turnover.stage === "notice" ? enterStage(turnover, "inspection", now) : {}),
+    vacantSince: turnover.vacantSince ?? at,
+    ...(signed ? { status: "completed", completedAt: now } : {}),
+    updatedAt: now,
+  });
+}
+
+async function toTurnover(ctx: QueryCtx, turnover: Doc<"turnovers">, now: number) {
+  const unit = await ctx.db.get(turnover.unitId);
+  const property = await ctx.db.get(turnover.propertyId);
+  const lease = turnover.leaseId ? await ctx.db.get(turnover.leaseId) : null;
+  const outgoing = [];
+  for (const tenantId of lease?.tenantIds ?? []) {
+    const tenant = await ctx.db.get(tenantId);
+    if (tenant) {
+      outgoing.push(`${tenant.firstName} ${tenant.lastName}`.trim());
+    }
+  }
+  const tasks = await ctx.db
+    .query("maintenanceRequests")
+    .withIndex("by_turnover", (q) => q.eq("turnoverId", turnover._id))
+    .collect();
+
+  return {
+    _id: turnover._id,
+    id: turnover._id,
+    unitId: turnover.unitId,
+    unitLabel: unit?.label ?? "Unit",
+    propertyId: turnover.propertyId,
+    propertyName: property?.name || property?.address || "Unknown property",
+    leaseId: turnover.leaseId,
+    outgoingTenants: outgoing,
+    stage: turnover.stage,
+    status: turnover.status,
+    monthlyRent: turnover.monthlyRent,
+    moveOutDate: turnover.moveOutDate,
+    vacantSince: turnover.vacantSince,
+    vacantUntil: turnover.vacantUntil,
+    inspectionNotes: turnover.inspectionNotes,
+    listedRent: turnover.listedRent,
+    showings: turnover.showings ?? 0,
+    notes: turnover.notes,
+    tasks: tasks.map((task) => ({
+      _id: task._id,
+      id: task._id,
+      title: task.title,
+      status: task.status,
+    })),
+    ...vacancyCost(turnover, now),
+    completedAt: turnover.completedAt,
+    createdAt: turnover.createdAt,
+    updatedAt: turnover.updatedAt,
+  };
+}
+
+/**
+ * Turnover board: open turnovers and those finished recently, by stage
+ */
+export const board = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    const now = Date.now();
+    const turnovers = await ctx.db
+      .query("turnovers")
+      .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+      .collect();
+
+    const visible = turnovers
+      .filter(
+        (turnover) =>
+          turnover.status === "open" ||
+          (turnover.status === "completed" &&
+            (turnover.completedAt ?? 0) >= now - RECENT_DAYS * DAY_MS)
+      )
+      .sort(
+        (a, b) =>
+          TURNOVER_STAGES.indexOf(a.stage) - TURNOVER_STAGES.indexOf(b.stage) ||
+          a.createdAt - b.createdAt
+      );
+    return await Promise.all(visible.map((turnover) => toTurnover(ctx, turnover, now)));
+  },
+});
+
+/**
+ * Rent lost to vacancies this month and this year, per property, and how
+ * long units sat empty on average over the past year
+ */
+export const vacancyLoss = query({
+  args: { sessionToken: v.string() },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "read");
+    const now = Date.now();
+    const date = new Date(now);
+    const monthStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const turnovers = (
+      await ctx.db
+        .query("turnovers")
+        .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+        .collect()
+    ).filter((turnover) => turnover.status !== "cancelled");
+
+    const byProperty = new Map<Id<"properties">, { monthToDate: number; yearToDate: number }>();
+    let monthToDate = 0;
+    let yearToDate = 0;
+    for (const turnover of turnovers) {
+      const month = vacancyLossBetween(turnover, monthStart, now, now);
+      const year = vacancyLossBetween(turnover, yearStart, now, now);
+      monthToDate += month;
+      yearToDate += year;
+      const totals = byProperty.get(turnover.propertyId) ?? { monthToDate: 0, yearToDate: 0 };
+      byProperty.set(turnover.propertyId, {
+        monthToDate: totals.monthToDate + month,
+        yearToDate: totals.yearToDate + year,
+      });
+    }
+
+    const properties = [];
+    for (const [propertyId, totals] of byProperty) {
+      if (totals.yearToDate <= 0) {
+        continue;
+      }
+      const property = await ctx.db.get(propertyId);
+      properties.push({
+        propertyId,
+        propertyName: property?.name || property?.address || "Unknown property",
+        monthToDate: roundCents(totals.monthToDate),
+        yearToDate: roundCents(totals.yearToDate),
+      });
+    }
+    properties.sort((a, b) => b.yearToDate - a.yearToDate);
+
+    const open = turnovers.filter((turnover) => turnover.status === "open");
+    const finished = turnovers.filter(
+      (turnover) =>
+        turnover.status === "completed" &&
+        turnover.vacantSince !== undefined &&
+        (turnover.completedAt ?? 0) >= now - 365 * DAY_MS
+    );
+    const finishedDays = finished.map((turnover) => vacancyCost(turnover, now).daysVacant);
+
+    return {
+      monthToDate: roundCents(monthToDate),
+      yearToDate: roundCents(yearToDate),
+      openTurnovers: open.length,
+      vacantUnits: open.filter((turnover) => turnover.vacantSince !== undefined).length,
+      openLostRent: roundCents(
+        open.reduce((sum, turnover) => sum + vacancyCost(turnover, now).lostRent, 0)
+      ),
+      averageDaysVacant: finishedDays.length
+        ? Math.round(finishedDays.reduce((sum, days) => sum + days, 0) / finishedDays.length)
+        : null,
+      properties,
+    };
+  },
+});
+
+/**
+ * Start a turnover by hand: at "notice" when the tenant has said they're
+ * leaving, or at "inspection" once they're out (which ends their tenancy)
+ */
+export const start = mutation({
+  args: {
+    sessionToken: v.string(),
+    unitId: v.id("units"),
+    stage: v.union(v.literal("notice"), v.literal("inspection")),
+    moveOutDate: v.optional(v.number()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const unit = await requireOwned(ctx, access, "units", args.unitId);
+    if (await openTurnoverFor(ctx, unit._id)) {
+      throw new Error("This unit already has a turnover in progress");
+    }
+    const occupied = (await activeTenants(ctx, unit._id)).length > 0;
+    if (args.stage === "notice" && !occupied) {
+      throw new Error("Nobody lives in this unit to give notice");
+    }
+
+    let turnover = await startTurnover(ctx, unit, {
+      stage: args.stage,
+      moveOutDate: args.moveOutDate,
+    });
+    if (args.notes?.trim()) {
+      await ctx.db.patch(turnover._id, { notes: args.notes.trim() });
+    }
+    if (args.stage === "inspection" && occupied) {
+      await moveOut(ctx, turnover, turnover.vacantSince ?? Date.now());
+    }
+
+    turnover = (await ctx.db.get(turnover._id))!;
+    return await toTurnover(ctx, turnover, Date.now());
+  },
+});
+
+/**
+ * Move a turnover to a later stage. Moving to inspection moves the outgoing
+ * tenants out, make-ready files its tasks as maintenance requests, listing
+ * publishes the unit to the listings feed, and a signed lease ends the
+ * vacancy on the new lease's start date and takes the listing down.
+ */
+export const advance = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("turnovers"),
+    stage: v.string(),
+    tasks: v.optional(v.array(taskValidator)),
+    inspectionNotes: v.optional(v.string()),
+    listedRent: v.optional(v.number()),
+    leaseStartDate: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const turnover = await requireOwned(ctx, access, "turnovers", args.id);
+    if (turnover.status !== "open") {
+      throw new Error("This turnover is already finished");
+    }
+    const target = TURNOVER_STAGES.indexOf(args.stage);
+    if (target === -1) {
+      throw new Error(`Stage must be one of: ${TURNOVER_STAGES.join(", ")}`);
+    }
+    if (target <= TURNOVER_STAGES.indexOf(turnover.stage)) {
+      throw new Error("Turnovers only move forward");
+    }
+    const unit = await requireOwned(ctx, access, "units", turnover.unitId);
+
+    const now = Date.now();
+    await ctx.db.patch(turnover._id, {
+      ...enterStage(turnover, args.stage, now),
+      ...(args.inspectionNotes !== undefined
+        ? { inspectionNotes: args.inspectionNotes.trim() || undefined }
+        : {}),
+      updatedAt: now,
+    });
+
+    const stillOccupied = turnover.vacantSince === undefined;
+    if (args.stage === "inspection" && stillOccupied) {
+      await moveOut(ctx, (await ctx.db.get(turnover._id))!, now);
+    }
+
+    if (args.stage === "make_ready") {
+      const existing = await ctx.db
+        .query("maintenanceRequests")
+        .withIndex("by_turnover", (q) => q.eq("turnoverId", turnover._id))
+        .first();
+      if (!existing) {
+        for (const task of args.tasks ?? DEFAULT_MAKE_READY_TASKS) {
+          const title = task.title.trim();
+          if (!title) {
+            continue;
+          }
+          await ctx.db.insert("maintenanceRequests", {
+            propertyId: turnover.propertyId,
+            unitId: turnover.unitId,
+            turnoverId: turnover._id,
+            title,
+            descriptionText: `Make-ready for ${unit.label} before the next tenant moves in.`,
+            category: task.category.trim() || "General",
+            priority: "normal",
+            status: "new",
+            statusHistory: [{ status: "new", at: now, actorName: "Unit turnover" }],
+            userId: turnover.userId,
+            createdAt: now,
+            updatedAt: now,
+          });
+        }
+      }
+    }
+
+    if (args.stage === "listed") {
+      const listedRent = args.listedRent ?? unit.marketRent ?? turnover.monthlyRent;
+      if (!(listedRent >= 0)) {
+        throw new Error("Listed rent can't be negative");
+      }
+      await ctx.db.patch(turnover._id, { listedRent });
+      await publishListing(ctx, unit, {
+        monthlyRent: listedRent,
+        availableDate: stillOccupied ? turnover.moveOutDate : undefined,
+      });
+    }
+
+    if (args.stage === "lease_signed") {
+      const leaseStart = args.leaseStartDate !== undefined ? startOfUtcDay(args.leaseStartDate) : now;
+      await closeUnitListings(ctx, unit._id);
+      await ctx.db.patch(turnover._id, {
+        vacantUntil: leaseStart,
+        // Pre-leased before move-out: finished once the old tenants are out.
+        ...(stillOccupied ? {} : { status: "completed", completedAt: now }),
+      });
+    }
+
+    return await toTurnover(ctx, (await ctx.db.get(turnover._id))!, Date.now());
+  },
+});
+
+/**
+ * Correct a turnover's dates, rent basis or notes, or log a showing
+ */
+export const update = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("turnovers"),
+    moveOutDate: v.optional(v.number()),
+    monthlyRent: v.optional(v.number()),
+    listedRent: v.optional(v.number()),
+    showings: v.optional(v.number()),
+    inspectionNotes: v.optional(v.string()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const turnover = await requireOwned(ctx, access, "turnovers", args.id);
+    for (const value of [args.monthlyRent, args.listedRent, args.showings]) {
+      if (value !== undefined && !(value >= 0)) {
+        throw new Error("Rent and showings can't be negative");
+      }
+    }
+
+    await ctx.db.patch(turnover._id, {
+      ...(args.moveOutDate !== undefined ? { moveOutDate: args.moveOutDate } : {}),
+      ...(args.monthlyRent !== undefined ? { monthlyRent: roundCents(args.monthlyRent) } : {}),
+      ...(args.listedRent !== undefined ? { listedRent: args.listedRent } : {}),
+      ...(args.showings !== undefined ? { showings: Math.floor(args.showings) } : {}),
+      ...(args.inspectionNotes !== undefined
+        ? { inspectionNotes: args.inspectionNotes.trim() || undefined }
+        : {}),
+      ...(args.notes !== undefined ? { notes: args.notes.trim() || undefined } : {}),
+      updatedAt: Date.now(),
+    });
+    return await toTurnover(ctx, (await ctx.db.get(turnover._id))!, Date.now());
+  },
+});
+
+/**
+ * Drop a turnover that isn't happening, e.g. the tenant withdrew their notice
+ */
+export const cancel = mutation({
+  args: { sessionToken: v.string(), id: v.id("turnovers") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const turnover = await requireOwned(ctx, access, "turnovers", args.id);
+    if (turnover.status !== "open") {
+      throw new Error("This turnover is already finished");
+    }
+    const now = Date.now();
+    await ctx.db.patch(turnover._id, { status: "cancelled", updatedAt: now });
+    await closeUnitListings(ctx, turnover.unitId);
+
+    const unit = await ctx.db.get(turnover.unitId);
+    if (unit?.status === "notice") {
+      await ctx.db.patch(unit._id, { status: "occupied", updatedAt: now });
+    }
+    return { success: true };
+  },
+});
+
+/**
+ * Move tenants out on the date their notice runs out
+ */
+export const moveOutDue = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const open = await ctx.db
+      .query("turnovers")
+      .withIndex("by_status", (q) => q.eq("status", "open"))
+      .collect();
+    let movedOut = 0;
+    for (const turnover of open) {
+      const due = turnover.moveOutDate !== undefined && turnover.moveOutDate <= now;
+      if (due && turnover.vacantSince === undefined) {
+        await moveOut(ctx, turnover, turnover.moveOutDate!);
+        movedOut += 1;
+      }
+    }
+    return { movedOut };
+  },
+});
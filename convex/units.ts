@@ -0,0 +1,606 @@
+import { v } from "convex/values";
+import { internalMutation, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { authorize, requireOwned, requireOwnedRef } from "./authorization";
+import type { Access } from "./authorization";
+import { openTurnoverFor, recordMoveIn, recordVacancy, startTurnover } from "./turnovers";
+
+export const UNIT_STATUSES = ["vacant", "occupied", "notice", "unavailable"];
+
+// Label of the only unit of a single-family property
+const SINGLE_UNIT_LABEL = "Main";
+
+// Properties given unit records per migration run
+const MIGRATION_BATCH = 10;
+
+function labelKey(label: string) {
+  return label.trim().toLowerCase();
+}
+
+// Units we generated and nobody has edited since, which a tenant's own unit
+// label may take over.
+function isPlaceholder(unit: Doc<"units">) {
+  return (
+    unit.updatedAt === unit.createdAt &&
+    (unit.label === SINGLE_UNIT_LABEL || /^Unit \d+$/.test(unit.label))
+  );
+}
+
+function validateUnitDetails(details: {
+  bedrooms?: number;
+  bathrooms?: number;
+  squareFeet?: number;
+  marketRent?: number;
+  status?: string;
+}) {
+  for (const value of [details.bedrooms, details.bathrooms, details.squareFeet, details.marketRent]) {
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      throw new Error("Unit details can't be negative");
+    }
+  }
+  if (details.status !== undefined && !UNIT_STATUSES.includes(details.status)) {
+    throw new Error(`Unit status must be one of: ${UNIT_STATUSES.join(", ")}`);
+  }
+}
+
+function toUnit(unit: Doc<"units">) {
+  return {
+    _id: unit._id,
+    id: unit._id,
+    propertyId: unit.propertyId,
+    label: unit.label,
+    bedrooms: unit.bedrooms,
+    bathrooms: unit.bathrooms,
+    squareFeet: unit.squareFeet,
+    marketRent: unit.marketRent,
+    status: unit.status,
+    notes: unit.notes,
+    createdAt: unit.createdAt,
+    updatedAt: unit.updatedAt,
+  };
+}
+
+async function propertyUnits(ctx: QueryCtx, propertyId: Id<"properties">) {
+  return await ctx.db
+    .query("units")
+    .withIndex("by_property", (q) => q.eq("propertyId", propertyId))
+    .collect();
+}
+
+async function activeTenants(ctx: QueryCtx, unitId: Id<"units">) {
+  const tenants = await ctx.db
+    .query("tenants")
+    .withIndex("by_unit", (q) => q.eq("unitId", unitId))
+    .collect();
+  return tenants.filter((tenant) => tenant.isActive);
+}
+
+/**
+ * Keep `properties.units`, which older clients read, equal to the number of
+ * unit records.
+ */
+async function syncUnitCount(ctx: MutationCtx, propertyId: Id<"properties">) {
+  const property = await ctx.db.get(propertyId);
+  const count = (await propertyUnits(ctx, propertyId)).length;
+  if (property && count > 0 && property.units !== count) {
+    await ctx.db.patch(propertyId, { units: count, updatedAt: Date.now() });
+  }
+}
+
+/**
+ * Give a property unit records up to its `units` count, labelled "Unit 1",
+ * "Unit 2", ... ("Main" for a single-family property)
+ */
+export async function ensurePropertyUnits(
+  ctx: MutationCtx,
+  property: Doc<"properties">
+): Promise<Doc<"units">[]> {
+  const units = await propertyUnits(ctx, property._id);
+  const wanted = Math.max(1, Math.floor(property.units));
+  const taken = new Set(units.map((unit) => labelKey(unit.label)));
+  const now = Date.now();
+  let next = 1;
+
+  while (units.length < wanted) {
+    let label = wanted === 1 ? SINGLE_UNIT_LABEL : "";
+    while (!label || taken.has(labelKey(label))) {
+      label = `Unit ${next}`;
+      next += 1;
+    }
+    taken.add(labelKey(label));
+    const unitId = await ctx.db.insert("units", {
+      propertyId: property._id,
+      label,
+      status: "vacant",
+      userId: property.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    units.push((await ctx.db.get(unitId))!);
+  }
+  return units;
+}
+
+/**
+ * Find the unit a free-text unit label refers to. An unknown label takes over
+ * a generated placeholder nobody lives in, or else becomes a new unit. With
+ * no label, only a property's single unit can be meant.
+ */
+export async function resolveUnit(
+  ctx: MutationCtx,
+  property: Doc<"properties">,
+  label?: string
+): Promise<Doc<"units"> | null> {
+  const units = await ensurePropertyUnits(ctx, property);
+  const trimmed = label?.trim();
+  if (!trimmed) {
+    return units.length === 1 ? units[0] : null;
+  }
+
+  const match = units.find((unit) => labelKey(unit.label) === labelKey(trimmed));
+  if (match) {
+    return match;
+  }
+
+  const now = Date.now();
+  for (const unit of units) {
+    if (!isPlaceholder(unit)) {
+      continue;
+    }
+    const occupant = await ctx.db
+      .query("tenants")
+      .withIndex("by_unit", (q) => q.eq("unitId", unit._id))
+      .first();
+    if (!occupant) {
+      await ctx.db.patch(unit._id, { label: trimmed, updatedAt: now });
+      return (await ctx.db.get(unit._id))!;
+    }
+  }
+
+  const unitId = await ctx.db.insert("units", {
+    propertyId: property._id,
+    label: trimmed,
+    status: "vacant",
+    userId: property.userId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  await syncUnitCount(ctx, property._id);
+  return (await ctx.db.get(unitId))!;
+}
+
+/**
+ * Resolve the unit a write refers to, by id (which must be on the property)
+ * or by label
+ */
+export async function assignUnit(
+  ctx: MutationCtx,
+  access: Access,
+  property: Doc<"properties">,
+  unitId: Id<"units"> | undefined,
+  label?: string
+): Promise<Doc<"units"> | null> {
+  const unit = await requireOwnedRef(ctx, access, "units", unitId);
+  if (unit) {
+    if (unit.propertyId !== property._id) {
+      throw new Error("That unit belongs to another property");
+    }
+    return unit;
+  }
+  return await resolveUnit(ctx, property, label);
+}
+
+/**
+ * Follow a unit's occupancy after tenants move in or out. Notice and
+ * unavailable are set by hand; a unit whose tenants have all left is vacant
+ * and goes into turnover until someone moves in.
+ */
+export async function refreshUnitStatus(ctx: MutationCtx, unitId: Id<"units"> | undefined) {
+  const unit = unitId ? await ctx.db.get(unitId) : null;
+  if (!unit) {
+    return;
+  }
+  const occupied = (await activeTenants(ctx, unit._id)).length > 0;
+  let status = unit.status;
+  if (occupied && (status === "vacant" || status === "unavailable")) {
+    status = "occupied";
+  } else if (!occupied && (status === "occupied" || status === "notice")) {
+    status = "vacant";
+  }
+  if (status !== unit.status) {
+    await ctx.db.patch(unit._id, { status, updatedAt: Date.now() });
+    if (status === "vacant") {
+      await recordVacancy(ctx, unit);
+    } else if (status === "occupied" && unit.status !== "notice") {
+      await recordMoveIn(ctx, unit);
+    }
+  }
+}
+
+/**
+ * Give a property that predates units its unit records, and point its
+ * tenants, leases, charges, payments and maintenance requests at them
+ */
+async function migrateProperty(ctx: MutationCtx, property: Doc<"properties">) {
+  const tenants = (
+    await ctx.db
+      .query("tenants")
+      .withIndex("by_property", (q) => q.eq("propertyId", property._id))
+      .collect()
+  ).filter((tenant) => tenant.userId === property.userId);
+
+  // Labelled tenants first, so their labels replace placeholders.
+  tenants.sort((a, b) => Number(Boolean(b.unit?.trim())) - Number(Boolean(a.unit?.trim())));
+  const tenantUnits = new Map<Id<"tenants">, Id<"units"> | undefined>();
+  for (const tenant of tenants) {
+    const current = (await ctx.db.get(property._id))!;
+    const unit = await resolveUnit(ctx, current, tenant.unit);
+    tenantUnits.set(tenant._id, unit?._id);
+    if (unit) {
+      await ctx.db.patch(tenant._id, { unitId: unit._id, unit: unit.label });
+    }
+  }
+
+  const units = await ensurePropertyUnits(ctx, (await ctx.db.get(property._id))!);
+  const onlyUnit = units.length === 1 ? units[0]._id : undefined;
+  const unitFor = (tenantId?: Id<"tenants">) =>
+    (tenantId ? tenantUnits.get(tenantId) : undefined) ?? onlyUnit;
+
+  const leases = await ctx.db
+    .query("leases")
+    .withIndex("by_property", (q) => q.eq("propertyId", property._id))
+    .collect();
+  for (const lease of leases) {
+    const byLabel = lease.unit
+      ? units.find((unit) => labelKey(unit.label) === labelKey(lease.unit!))
+      : undefined;
+    const unitId = byLabel?._id ?? unitFor(lease.tenantIds[0]);
+    if (unitId) {
+      await ctx.db.patch(lease._id, { unitId });
+    }
+  }
+
+  const requests = await ctx.db
+    .query("maintenanceRequests")
+    .withIndex("by_property", (q) => q.eq("propertyId", property._id))
+    .collect();
+  for (const request of requests) {
+    const unitId = unitFor(request.tenantId);
+    if (unitId) {
+      await ctx.db.patch(request._id, { unitId });
+    }
+  }
+
+  const charges = await ctx.db
+    .query("rentPayments")
+    .withIndex("by_property", (q) => q.eq("propertyId", property._id))
+    .collect();
+  for (const charge of charges) {
+    const unitId = unitFor(charge.tenantId);
+    if (unitId) {
+      await ctx.db.patch(charge._id, { unitId });
+    }
+  }
+
+  for (const tenant of tenants) {
+    const unitId = unitFor(tenant._id);
+    if (!unitId) {
+      continue;
+    }
+    const payments = await ctx.db
+      .query("payments")
+      .withIndex("by_tenant", (q) => q.eq("tenantId", tenant._id))
+      .collect();
+    for (const payment of payments) {
+      await ctx.db.patch(payment._id, { unitId });
+    }
+  }
+
+  for (const unit of units) {
+    await refreshUnitStatus(ctx, unit._id);
+  }
+}
+
+/**
+ * List units, by property then label
+ */
+export const list = query({
+  args: {
+    sessionToken: v.string(),
+    propertyId: v.optional(v.id("properties")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "read");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const units = args.propertyId
+      ? await propertyUnits(ctx, args.propertyId)
+      : await ctx.db
+          .query("units")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
+
+    return units
+      .filter((unit) => unit.userId === access.ownerId)
+      .sort(
+        (a, b) =>
+          a.propertyId.localeCompare(b.propertyId) ||
+          a.label.localeCompare(b.label, undefined, { numeric: true })
+      )
+      .map(toUnit);
+  },
+});
+
+/**
+ * Add a unit to a property
+ */
+export const create = mutation({
+  args: {
+    sessionToken: v.string(),
+    propertyId: v.id("properties"),
+    label: v.string(),
+    bedrooms: v.optional(v.number()),
+    bathrooms: v.optional(v.number()),
+    squareFeet: v.optional(v.number()),
+    marketRent: v.optional(v.number()),
+    status: v.optional(v.string()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const property = await requireOwned(ctx, access, "properties", args.propertyId);
+    const label = args.label.trim();
+    if (!label) {
+      throw new Error("Unit label is required");
+    }
+    const status = args.status ?? "vacant";
+    if (status === "occupied" || status === "notice") {
+      throw new Error("A new unit has no tenants yet; add them from the tenant's record");
+    }
+    validateUnitDetails({ ...args, status });
+
+    const existing = await ensurePropertyUnits(ctx, property);
+    if (existing.some((unit) => labelKey(unit.label) === labelKey(label))) {
+      throw new Error(`This property already has a unit labelled "${label}"`);
+    }
+
+    const now = Date.now();
+    const unitId = await ctx.db.insert("units", {
+      propertyId: property._id,
+      label,
+      bedrooms: args.bedrooms,
+      bathrooms: args.bathrooms,
+      squareFeet: args.squareFeet,
+      marketRent: args.marketRent,
+      status,
+      notes: args.notes?.trim() || undefined,
+      userId: access.ownerId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await syncUnitCount(ctx, property._id);
+    return toUnit((await ctx.db.get(unitId))!);
+  },
+});
+
+/**
+ * Update a unit's details. A new label is copied to its tenants and current
+ * lease; status only moves between the states its occupancy allows. Putting
+ * a unit on notice starts its turnover, and taking it off notice drops a
+ * turnover that hasn't got past the notice.
+ */
+export const update = mutation({
+  args: {
+    sessionToken: v.string(),
+    id: v.id("units"),
+    label: v.optional(v.string()),
+    bedrooms: v.optional(v.number()),
+    bathrooms: v.optional(v.number()),
+    squareFeet: v.optional(v.number()),
+    marketRent: v.optional(v.number()),
+    clearMarketRent: v.optional(v.boolean()),
+    status: v.optional(v.string()),
+    notes: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const unit = await requireOwned(ctx, access, "units", args.id);
+    validateUnitDetails(args);
+
+    const tenants = await activeTenants(ctx, unit._id);
+    if (args.status !== undefined) {
+      const lived = args.status === "occupied" || args.status === "notice";
+      if (lived && tenants.length === 0) {
+        throw new Error("Only units with active tenants can be occupied or on notice");
+      }
+      if (!lived && tenants.length > 0) {
+        throw new Error("A unit with active tenants can only be occupied or on notice");
+      }
+    }
+
+    const label = args.label?.trim();
+    if (args.label !== undefined && !label) {
+      throw new Error("Unit label is required");
+    }
+    if (label && labelKey(label) !== labelKey(unit.label)) {
+      const siblings = await propertyUnits(ctx, unit.propertyId);
+      if (siblings.some((other) => other._id !== unit._id && labelKey(other.label) === labelKey(label))) {
+        throw new Error(`This property already has a unit labelled "${label}"`);
+      }
+    }
+
+    const now = Date.now();
+    await ctx.db.patch(unit._id, {
+      ...(label ? { label } : {}),
+      ...(args.bedrooms !== undefined ? { bedrooms: args.bedrooms } : {}),
+      ...(args.bathrooms !== undefined ? { bathrooms: args.bathrooms } : {}),
+      ...(args.squareFeet !== undefined ? { squareFeet: args.squareFeet } : {}),
+      ...(args.marketRent !== undefined ? { marketRent: args.marketRent } : {}),
+      ...(args.clearMarketRent ? { marketRent: undefined } : {}),
+      ...(args.status !== undefined ? { status: args.status } : {}),
+      ...(args.notes !== undefined ? { notes: args.notes.trim() || undefined } : {}),
+      updatedAt: now,
+    });
+
+    if (args.status === "notice" && unit.status !== "notice") {
+      await startTurnover(ctx, unit, { stage: "notice" });
+    } else if (args.status === "occupied" && unit.status === "notice") {
+      const turnover = await openTurnoverFor(ctx, unit._id);
+      if (turnover?.stage === "notice") {
+        await ctx.db.patch(turnover._id, { status: "cancelled", updatedAt: now });
+      }
+    }
+
+    if (label && label !== unit.label) {
+      const residents = await ctx.db
+        .query("tenants")
+        .withIndex("by_unit", (q) => q.eq("unitId", unit._id))
+        .collect();
+      for (const tenant of residents) {
+        await ctx.db.patch(tenant._id, { unit: label, updatedAt: now });
+        if (tenant.leaseId) {
+          await ctx.db.patch(tenant.leaseId, { unit: label, updatedAt: now });
+        }
+      }
+    }
+
+    return toUnit((await ctx.db.get(unit._id))!);
+  },
+});
+
+/**
+ * Remove a unit nobody has lived in or filed maintenance for
+ */
+export const remove = mutation({
+  args: { sessionToken: v.string(), id: v.id("units") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "properties", "write");
+    const unit = await requireOwned(ctx, access, "units", args.id);
+
+    const tenant = await ctx.db
+      .query("tenants")
+      .withIndex("by_unit", (q) => q.eq("unitId", unit._id))
+      .first();
+    const request = await ctx.db
+      .query("maintenanceRequests")
+      .withIndex("by_unit", (q) => q.eq("unitId", unit._id))
+      .first();
+    if (tenant || request) {
+      throw new Error("This unit has tenant or maintenance history. Mark it unavailable instead.");
+    }
+    if ((await propertyUnits(ctx, unit.propertyId)).length <= 1) {
+      throw new Error("A property needs at least one unit");
+    }
+
+    await ctx.db.delete(unit._id);
+    await syncUnitCount(ctx, unit.propertyId);
+    return { success: true };
+  },
+});
+
+/**
+ * Rent roll: every unit with its tenants and lease rent, plus portfolio
+ * occupancy and how much rent vacancies and below-market leases leave on the
+ * table
+ */
+export const rentRoll = query({
+  args: {
+    sessionToken: v.string(),
+    propertyId: v.optional(v.id("properties")),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "finance", "read");
+    await requireOwnedRef(ctx, access, "properties", args.propertyId);
+    const units = (
+      args.propertyId
+        ? await propertyUnits(ctx, args.propertyId)
+        : await ctx.db
+            .query("units")
+            .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+            .collect()
+    ).filter((unit) => unit.userId === access.ownerId);
+
+    const properties = new Map<Id<"properties">, Doc<"properties"> | null>();
+    const rows = [];
+    for (const unit of units) {
+      if (!properties.has(unit.propertyId)) {
+        properties.set(unit.propertyId, await ctx.db.get(unit.propertyId));
+      }
+      const property = properties.get(unit.propertyId);
+      const tenants = await activeTenants(ctx, unit._id);
+
+      // Co-tenants share a lease, so rent is counted once per lease.
+      const leases = new Map<string, { monthlyRent: number; endDate: number }>();
+      for (const tenant of tenants) {
+        const lease = tenant.leaseId ? await ctx.db.get(tenant.leaseId) : null;
+        leases.set(lease?._id ?? tenant._id, {
+          monthlyRent: lease?.monthlyRent ?? tenant.monthlyRent,
+          endDate: lease?.endDate ?? tenant.leaseEndDate,
+        });
+      }
+      const terms = [...leases.values()];
+
+      rows.push({
+        ...toUnit(unit),
+        propertyName: property?.name || property?.address || "Unknown property",
+        tenants: tenants.map((tenant) => ({
+          _id: tenant._id,
+          id: tenant._id,
+          name: `${tenant.firstName} ${tenant.lastName}`.trim(),
+        })),
+        monthlyRent: terms.reduce((sum, lease) => sum + lease.monthlyRent, 0),
+        leaseEndDate: terms.length ? Math.max(...terms.map((lease) => lease.endDate)) : undefined,
+      });
+    }
+    rows.sort(
+      (a, b) =>
+        a.propertyName.localeCompare(b.propertyName) ||
+        a.label.localeCompare(b.label, undefined, { numeric: true })
+    );
+
+    const occupied = rows.filter((row) => row.tenants.length > 0);
+    const vacant = rows.filter((row) => row.status === "vacant");
+    const belowMarket = occupied.filter(
+      (row) => row.marketRent !== undefined && row.marketRent > row.monthlyRent
+    );
+    return {
+      units: rows,
+      totals: {
+        units: rows.length,
+        occupied: occupied.length,
+        vacant: vacant.length,
+        occupancyPercent: rows.length ? Math.round((occupied.length / rows.length) * 100) : 0,
+        scheduledRent: occupied.reduce((sum, row) => sum + row.monthlyRent, 0),
+        marketRent: rows.reduce((sum, row) => sum + (row.marketRent ?? 0), 0),
+        vacantMarketRent: vacant.reduce((sum, row) => sum + (row.marketRent ?? 0), 0),
+        lossToLease: belowMarket.reduce((sum, row) => sum + row.marketRent! - row.monthlyRent, 0),
+      },
+    };
+  },
+});
+
+/**
+ * Create unit records for properties that predate them, from their unit
+ * count and their tenants' unit labels (run hourly until every property has
+ * units)
+ */
+export const migrate = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    let migrated = 0;
+    for (const property of await ctx.db.query("properties").collect()) {
+      if (migrated >= MIGRATION_BATCH) {
+        break;
+      }
+      const existing = await ctx.db
+        .query("units")
+        .withIndex("by_property", (q) => q.eq("propertyId", property._id))
+        .first();
+      if (!existing) {
+        await migrateProperty(ctx, property);
+        migrated += 1;
+      }
+    }
+    return { migrated };
+  },
+});
@@ -1,23 +1,22 @@
 import { v } from "convex/values";
 import { query, mutation } from "./_generated/server";
+import type { Id } from "./_generated/dataModel";
+import { validateSession } from "./sessions";
+import { deleteOrganizationsForUser } from "./organizations";
 
 /**
- * Get current user
- * Note: In production, get userId from auth token
+ * Get the signed-in user for a session token
  */
 export const current = query({
   args: {
-    userId: v.optional(v.id("users")),
+    sessionToken: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    if (!args.userId) {
+    if (!args.sessionToken) {
       return null;
     }
 
-    const user = await ctx.db.get(args.userId);
-    if (!user) {
-      return null;
-    }
+    const user = await validateSession(ctx, args.sessionToken);
 
     return {
       _id: user._id,
@@ -38,17 +37,15 @@ export const current = query({
  */
 export const update = mutation({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     name: v.optional(v.string()),
     email: v.optional(v.string()),
     avatarURL: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const { userId, ...updates } = args;
-    const user = await ctx.db.get(userId);
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const { sessionToken, ...updates } = args;
+    const user = await validateSession(ctx, sessionToken);
+    const userId = user._id;
 
     if (updates.email) {
       updates.email = updates.email.trim().toLowerCase();
@@ -76,20 +73,17 @@ export const update = mutation({
  */
 export const setPremiumStatus = mutation({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
     isPremium: v.boolean(),
   },
   handler: async (ctx, args) => {
-    const user = await ctx.db.get(args.userId);
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const user = await validateSession(ctx, args.sessionToken);
 
-    await ctx.db.patch(args.userId, {
+    await ctx.db.patch(user._id, {
       isPremium: args.isPremium,
     });
 
-    const updated = await ctx.db.get(args.userId);
+    const updated = await ctx.db.get(user._id);
     return {
       _id: updated!._id,
       id: updated!._id,
@@ -109,10 +103,11 @@ export const setPremiumStatus = mutation({
  */
 export const deleteAccount = mutation({
   args: {
-    userId: v.id("users"),
+    sessionToken: v.string(),
   },
   handler: async (ctx, args) => {
-    const userId = args.userId;
+    const user = await validateSession(ctx, args.sessionToken);
+    const userId = user._id;
 
     const deleteByUser = async (table: string) => {
       const rows = await ctx.db
@@ -124,15 +119,97 @@ export const deleteAccount = mutation({
       }
     };
 
+    // Uploaded files go first, while the rows that point at them are still
+    // there. A file referenced from more than one row is deleted once.
+    const files = new Set<Id<"_storage">>();
+    const documents = await ctx.db
+      .query("documents")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    documents.forEach((document) => files.add(document.storageId));
+    const media = await ctx.db
+      .query("maintenanceMedia")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    media.forEach((entry) => files.add(entry.storageId));
+    const messages = await ctx.db
+      .query("maintenanceMessages")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    messages.forEach((message) => message.attachments.forEach((file) => files.add(file.storageId)));
+    const applications = await ctx.db
+      .query("rentalApplications")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    applications.forEach((application) => application.files.forEach((file) => files.add(file.storageId)));
+    const invoices = await ctx.db
+      .query("contractorInvoices")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    invoices.forEach((invoice) => invoice.file && files.add(invoice.file.storageId));
+    const listings = await ctx.db
+      .query("listings")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    for (const listing of listings) {
+      listing.photos?.forEach((photo) => files.add(photo.storageId));
+      const uploads = await ctx.db
+        .query("applicationUploads")
+        .withIndex("by_listing", (q) => q.eq("listingId", listing._id))
+        .collect();
+      for (const upload of uploads) {
+        files.add(upload.storageId);
+        await ctx.db.delete(upload._id);
+      }
+    }
+    const pendingUploads = await ctx.db
+      .query("maintenanceUploads")
+      .withIndex("by_user", (q) => q.eq("userId", userId))
+      .collect();
+    for (const upload of pendingUploads) {
+      files.add(upload.storageId);
+      await ctx.db.delete(upload._id);
+    }
+    for (const storageId of files) {
+      if (await ctx.db.system.get(storageId)) {
+        await ctx.storage.delete(storageId);
+      }
+    }
+
     await deleteByUser("properties");
+    await deleteByUser("units");
+    await deleteByUser("turnovers");
+    await deleteByUser("listings");
+    await deleteByUser("rentalApplications");
+    await deleteByUser("applicationSettings");
     await deleteByUser("tenants");
+    await deleteByUser("leases");
+    await deleteByUser("leaseRenewals");
+    await deleteByUser("renewalSettings");
+    await deleteByUser("rentIncreaseCaps");
     await deleteByUser("maintenanceRequests");
+    await deleteByUser("slaSettings");
+    await deleteByUser("maintenanceTemplates");
+    await deleteByUser("maintenanceSchedules");
+    await deleteByUser("maintenanceMedia");
+    await deleteByUser("maintenanceMessages");
+    await deleteByUser("maintenanceReplyTokens");
+    await deleteByUser("workOrders");
+    await deleteByUser("contractorInvoices");
     await deleteByUser("contractors");
     await deleteByUser("rentPayments");
+    await deleteByUser("payments");
+    await deleteByUser("paymentAllocations");
+    await deleteByUser("securityDeposits");
+    await deleteByUser("depositDeductions");
+    await deleteByUser("depositRules");
     await deleteByUser("expenses");
     await deleteByUser("insurancePolicies");
     await deleteByUser("rentalLicenses");
+    await deleteByUser("documents");
     await deleteByUser("feedEvents");
+    await deleteByUser("sessions");
+    await deleteOrganizationsForUser(ctx, userId);
 
     await ctx.db.delete(userId);
     return { success: true };
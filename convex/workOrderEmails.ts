@@ -0,0 +1,129 @@
+/// <reference types="node" />
+"use node";
+
+import { v } from "convex/values";
+import { action } from "./_generated/server";
+import { internal } from "./_generated/api";
+import type { Id } from "./_generated/dataModel";
+import { appUrl, deliverEmail } from "./email";
+import { replyAddress } from "./maintenanceEmails";
+import { escapeHtml } from "./renewalNotices";
+import type { WorkOrderDetails } from "./workOrders";
+
+function money(amount: number) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(amount);
+}
+
+function workOrderEmail(details: WorkOrderDetails, link: string, replyTo: string | undefined) {
+  const place = `${details.address}${details.unitLabel ? `, Unit ${details.unitLabel}` : ""}, ${details.city}, ${details.state} ${details.zipCode}`;
+  const sections: [string, string][] = [
+    ["Job", `${details.title}${details.priority ? ` (${details.priority} priority)` : ""}`],
+    ["Address", place],
+    ["Scope of work", details.scope],
+  ];
+  if (details.accessInstructions) {
+    sections.push(["Access", details.accessInstructions]);
+  }
+  if (details.tenantContact) {
+    const { name, phone, email } = details.tenantContact;
+    sections.push(["Tenant contact", [name, phone, email].filter(Boolean).join(" · ")]);
+  }
+  if (details.notToExceed !== undefined) {
+    sections.push([
+      "Not to exceed",
+      `${money(details.notToExceed)}. Check with us before going over this amount.`,
+    ]);
+  }
+  const actions: [string, string][] = [
+    ["Accept", `${link}?response=accept`],
+    ["Propose a time", `${link}?response=propose`],
+    ["Decline", `${link}?response=decline`],
+  ];
+
+  const text = [
+    `Hi ${details.contractorName},`,
+    `${details.landlordName} has a work order for you.`,
+    ...sections.map(([label, value]) => `${label}: ${value}`),
+    details.photoURLs.length ? `Photos:\n${details.photoURLs.join("\n")}` : "",
+    actions.map(([label, url]) => `${label}: ${url}`).join("\n"),
+    replyTo ? "Questions? Reply to this email." : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    subject: `Work order: ${details.title} at ${details.address}`,
+    replyTo,
+    text,
+    html: `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
+      <p>Hi ${escapeHtml(details.contractorName)},</p>
+      <p>${escapeHtml(details.landlordName)} has a work order for you.</p>
+      ${sections
+        .map(
+          ([label, value]) =>
+            `<p><strong>${escapeHtml(label)}</strong><br />${escapeHtml(value).replace(/\n/g, "<br />")}</p>`
+        )
+        .join("\n      ")}
+      ${details.photoURLs
+        .map(
+          (url) =>
+            `<a href="${escapeHtml(url)}"><img src="${escapeHtml(url)}" alt="" style="max-width: 160px; margin: 4px; border-radius: 6px;" /></a>`
+        )
+        .join("")}
+      <p>
+        ${actions
+          .map(
+            ([label, url]) =>
+              `<a href="${escapeHtml(url)}" style="display: inline-block; margin: 4px 8px 4px 0; padding: 8px 16px; border-radius: 6px; background: #0f172a; color: #ffffff; text-decoration: none;">${escapeHtml(label)}</a>`
+          )
+          .join("\n        ")}
+      </p>
+      ${replyTo ? `<p style="color: #64748b;">Questions? Reply to this email.</p>` : ""}
+    </div>
+  `,
+  };
+}
+
+/**
+ * Send a maintenance request to a contractor as a work order. The email
+ * links to a page where they can accept, decline or propose a time without
+ * an account. When the email can't be sent, the link is returned so it can
+ * be passed on another way.
+ */
+export const dispatch = action({
+  args: {
+    sessionToken: v.string(),
+    requestId: v.id("maintenanceRequests"),
+    contractorId: v.id("contractors"),
+    scope: v.string(),
+    accessInstructions: v.optional(v.string()),
+    shareTenantContact: v.boolean(),
+    notToExceed: v.optional(v.number()),
+  },
+  handler: async (
+    ctx,
+    args
+  ): Promise<{ workOrderId: Id<"workOrders">; link: string; emailed: boolean }> => {
+    const prepared: {
+      workOrderId: Id<"workOrders">;
+      token: string;
+      email: string;
+      replyToken: string;
+      details: WorkOrderDetails;
+    } = await ctx.runMutation(internal.workOrders.prepare, args);
+
+    const link = `${appUrl()}/work-orders/${prepared.token}`;
+    let emailed = false;
+    try {
+      await deliverEmail(
+        prepared.email,
+        workOrderEmail(prepared.details, link, replyAddress(prepared.replyToken))
+      );
+      emailed = true;
+    } catch (error) {
+      console.warn("Work order email failed:", error);
+    }
+    return { workOrderId: prepared.workOrderId, link, emailed };
+  },
+});
@@ -0,0 +1,393 @@
+import { v } from "convex/values";
+import { internalMutation, mutation, query } from "./_generated/server";
+import type { MutationCtx, QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { internal } from "./_generated/api";
+import { authorize, requireOwned } from "./authorization";
+import { insertMessage, replyTokenFor } from "./maintenanceMessages";
+import { actorFor, CLOSED_STATUSES, transitionStatus } from "./maintenanceRequests";
+import { hashSessionToken } from "./sessions";
+
+// Work orders the contractor can still answer
+const OPEN_STATUSES = ["sent", "accepted", "proposed"];
+
+function generateToken() {
+  const bytes = new Uint8Array(24);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * A visit time as the people at the property read it (see the schema note
+ * on workOrders)
+ */
+export function formatVisit(time: number) {
+  return new Date(time).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+  });
+}
+
+function contractorName(contractor: Doc<"contractors">) {
+  return contractor.contactName || contractor.companyName;
+}
+
+/**
+ * Everything the contractor needs to do the job. Tenant contact details are
+ * only included when the landlord chose to share them.
+ */
+async function workOrderDetails(ctx: QueryCtx, workOrder: Doc<"workOrders">) {
+  const request = await ctx.db.get(workOrder.requestId);
+  const property = request ? await ctx.db.get(request.propertyId) : null;
+  const unit = request?.unitId ? await ctx.db.get(request.unitId) : null;
+  const tenant =
+    workOrder.shareTenantContact && request?.tenantId ? await ctx.db.get(request.tenantId) : null;
+  const contractor = await ctx.db.get(workOrder.contractorId);
+  const owner = await ctx.db.get(workOrder.userId);
+  return {
+    status: workOrder.status,
+    jobClosed: !request || CLOSED_STATUSES.includes(request.status),
+    title: request?.title ?? "Maintenance request",
+    category: request?.category,
+    priority: request?.priority,
+    description: request?.descriptionText,
+    scope: workOrder.scope,
+    address: property?.address ?? "",
+    unitLabel: property && property.units > 1 ? unit?.label : undefined,
+    city: property?.city ?? "",
+    state: property?.state ?? "",
+    zipCode: property?.zipCode ?? "",
+    accessInstructions: workOrder.accessInstructions,
+    tenantContact: tenant
+      ? {
+          name: `${tenant.firstName} ${tenant.lastName}`.trim(),
+          phone: tenant.phone,
+          email: tenant.email,
+        }
+      : null,
+    photoURLs: request?.photoURLs ?? [],
+    notToExceed: workOrder.notToExceed,
+    proposedTime: workOrder.proposedTime,
+    scheduledTime: workOrder.scheduledTime,
+    contractorName: contractor ? contractorName(contractor) : "Contractor",
+    companyName: contractor?.companyName ?? "",
+    landlordName: owner?.name ?? "The landlord",
+    landlordEmail: owner?.email,
+    sentAt: workOrder.sentAt,
+  };
+}
+
+export type WorkOrderDetails = Awaited<ReturnType<typeof workOrderDetails>>;
+
+function toWorkOrder(workOrder: Doc<"workOrders">, contractor: Doc<"contractors"> | null) {
+  return {
+    _id: workOrder._id,
+    id: workOrder._id,
+    requestId: workOrder.requestId,
+    contractorId: workOrder.contractorId,
+    contractorName: contractor?.companyName ?? "Contractor",
+    status: workOrder.status,
+    scope: workOrder.scope,
+    accessInstructions: workOrder.accessInstructions,
+    shareTenantContact: workOrder.shareTenantContact,
+    notToExceed: workOrder.notToExceed,
+    proposedTime: workOrder.proposedTime,
+    scheduledTime: workOrder.scheduledTime,
+    contractorNote: workOrder.contractorNote,
+    sentAt: workOrder.sentAt,
+    respondedAt: workOrder.respondedAt,
+    createdAt: workOrder.createdAt,
+    updatedAt: workOrder.updatedAt,
+  };
+}
+
+/**
+ * Book the agreed visit on the request, moving it to scheduled if work
+ * hasn't started. A request nobody had acknowledged is acknowledged first,
+ * since that's the only step out of new.
+ */
+async function scheduleVisit(
+  ctx: MutationCtx,
+  request: Doc<"maintenanceRequests">,
+  time: number,
+  actor: { actorId?: Id<"users">; actorName: string }
+) {
+  await ctx.db.patch(request._id, { scheduledDate: time, updatedAt: Date.now() });
+  if (request.status === "new") {
+    await transitionStatus(ctx, (await ctx.db.get(request._id))!, "acknowledged", actor);
+  }
+  if (["new", "acknowledged"].includes(request.status)) {
+    await transitionStatus(
+      ctx,
+      (await ctx.db.get(request._id))!,
+      "scheduled",
+      actor,
+      `Visit on ${formatVisit(time)}`
+    );
+  }
+}
+
+/**
+ * The portfolio's work orders, newest first, optionally for one request
+ */
+export const list = query({
+  args: { sessionToken: v.string(), requestId: v.optional(v.id("maintenanceRequests")) },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "read");
+    const requestId = args.requestId;
+    const workOrders = requestId
+      ? await ctx.db
+          .query("workOrders")
+          .withIndex("by_request", (q) => q.eq("requestId", requestId))
+          .collect()
+      : await ctx.db
+          .query("workOrders")
+          .withIndex("by_user", (q) => q.eq("userId", access.ownerId))
+          .collect();
+
+    const results = [];
+    for (const workOrder of workOrders.filter((entry) => entry.userId === access.ownerId)) {
+      results.push(toWorkOrder(workOrder, await ctx.db.get(workOrder.contractorId)));
+    }
+    return results.sort((a, b) => b.sentAt - a.sentAt);
+  },
+});
+
+/**
+ * Create a work order and assign its contractor. Any open work order on the
+ * request is withdrawn. Called from workOrderEmails.dispatch, which emails
+ * the contractor what this returns.
+ */
+export const prepare = internalMutation({
+  args: {
+    sessionToken: v.string(),
+    requestId: v.id("maintenanceRequests"),
+    contractorId: v.id("contractors"),
+    scope: v.string(),
+    accessInstructions: v.optional(v.string()),
+    shareTenantContact: v.boolean(),
+    notToExceed: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const request = await requireOwned(ctx, access, "maintenanceRequests", args.requestId);
+    const contractor = await requireOwned(ctx, access, "contractors", args.contractorId);
+    if (CLOSED_STATUSES.includes(request.status)) {
+      throw new Error("This request is closed");
+    }
+    if (!contractor.email.trim()) {
+      throw new Error(`Add an email address for ${contractor.companyName} to send work orders`);
+    }
+    const scope = args.scope.trim();
+    if (!scope) {
+      throw new Error("Describe the work to be done");
+    }
+    if (args.notToExceed !== undefined && !(args.notToExceed > 0)) {
+      throw new Error("The not-to-exceed amount must be more than zero");
+    }
+
+    const now = Date.now();
+    const previous = await ctx.db
+      .query("workOrders")
+      .withIndex("by_request", (q) => q.eq("requestId", request._id))
+      .collect();
+    for (const workOrder of previous) {
+      if (OPEN_STATUSES.includes(workOrder.status)) {
+        await ctx.db.patch(workOrder._id, { status: "cancelled", updatedAt: now });
+      }
+    }
+
+    await ctx.db.patch(request._id, { contractorId: contractor._id, updatedAt: now });
+    if (request.status === "new") {
+      await transitionStatus(
+        ctx,
+        (await ctx.db.get(request._id))!,
+        "acknowledged",
+        actorFor(access),
+        `Work order sent to ${contractor.companyName}`
+      );
+    }
+
+    const token = generateToken();
+    const workOrderId = await ctx.db.insert("workOrders", {
+      requestId: request._id,
+      contractorId: contractor._id,
+      tokenHash: await hashSessionToken(token),
+      status: "sent",
+      scope,
+      accessInstructions: args.accessInstructions?.trim() || undefined,
+      shareTenantContact: args.shareTenantContact,
+      notToExceed: args.notToExceed,
+      sentAt: now,
+      userId: request.userId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    const workOrder = (await ctx.db.get(workOrderId))!;
+    return {
+      workOrderId,
+      token,
+      email: contractor.email.trim(),
+      replyToken: await replyTokenFor(ctx, request, {
+        recipientType: "contractor",
+        contractorId: contractor._id,
+        email: contractor.email.trim(),
+      }),
+      details: await workOrderDetails(ctx, workOrder),
+    };
+  },
+});
+
+/**
+ * The work order a link's token was made for
+ */
+async function workOrderForToken(ctx: QueryCtx, token: string) {
+  const tokenHash = await hashSessionToken(token);
+  return await ctx.db
+    .query("workOrders")
+    .withIndex("by_token_hash", (q) => q.eq("tokenHash", tokenHash))
+    .first();
+}
+
+/**
+ * The work order page behind the emailed links. Public: the token is the
+ * only credential.
+ */
+export const publicWorkOrder = query({
+  args: { token: v.string() },
+  handler: async (ctx, args) => {
+    const workOrder = await workOrderForToken(ctx, args.token);
+    return workOrder ? await workOrderDetails(ctx, workOrder) : null;
+  },
+});
+
+/**
+ * The contractor's answer from the work order page: accept (optionally with
+ * a visit time, which schedules the request), decline (which unassigns
+ * them) or propose a time for the landlord to confirm. The answer is posted
+ * to the request's conversation and emailed to the landlord.
+ */
+export const respond = mutation({
+  args: {
+    token: v.string(),
+    response: v.union(v.literal("accept"), v.literal("decline"), v.literal("propose")),
+    time: v.optional(v.number()),
+    note: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const workOrder = await workOrderForToken(ctx, args.token);
+    const request = workOrder ? await ctx.db.get(workOrder.requestId) : null;
+    const contractor = workOrder ? await ctx.db.get(workOrder.contractorId) : null;
+    if (!workOrder || !request || !contractor) {
+      throw new Error("This work order link isn't valid");
+    }
+    if (workOrder.status === "cancelled") {
+      throw new Error("This work order was withdrawn");
+    }
+    if (workOrder.status === "declined") {
+      throw new Error("You already declined this work order");
+    }
+    if (CLOSED_STATUSES.includes(request.status)) {
+      throw new Error("This job is closed");
+    }
+    if (args.response === "propose" && args.time === undefined) {
+      throw new Error("Pick the time you'd like to come");
+    }
+
+    const now = Date.now();
+    const note = args.note?.trim().slice(0, 1000) || undefined;
+    const actor = { actorName: `${contractor.companyName} (work order)` };
+    let summary: string;
+    if (args.response === "accept") {
+      await ctx.db.patch(workOrder._id, {
+        status: "accepted",
+        ...(args.time !== undefined ? { scheduledTime: args.time } : {}),
+        proposedTime: undefined,
+      });
+      if (args.time !== undefined) {
+        await scheduleVisit(ctx, request, args.time, actor);
+      }
+      summary =
+        args.time !== undefined
+          ? `Accepted the work order. Visit on ${formatVisit(args.time)}.`
+          : "Accepted the work order.";
+    } else if (args.response === "decline") {
+      await ctx.db.patch(workOrder._id, { status: "declined" });
+      if (request.contractorId === contractor._id) {
+        await ctx.db.patch(request._id, { contractorId: undefined });
+      }
+      summary = "Declined the work order.";
+    } else {
+      await ctx.db.patch(workOrder._id, { status: "proposed", proposedTime: args.time });
+      summary = `Proposed a visit on ${formatVisit(args.time!)}.`;
+    }
+    await ctx.db.patch(workOrder._id, { contractorNote: note, respondedAt: now, updatedAt: now });
+
+    const messageId = await insertMessage(
+      ctx,
+      (await ctx.db.get(request._id))!,
+      { authorType: "contractor", authorName: contractorName(contractor), contractorId: contractor._id },
+      note ? `${summary}\n\n${note}` : summary,
+      "work_order"
+    );
+    await ctx.scheduler.runAfter(0, internal.maintenanceEmails.notify, { messageId });
+    return await workOrderDetails(ctx, (await ctx.db.get(workOrder._id))!);
+  },
+});
+
+/**
+ * Agree to the time a contractor proposed: the request is scheduled and the
+ * contractor and tenant are told
+ */
+export const confirmTime = mutation({
+  args: { sessionToken: v.string(), id: v.id("workOrders") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const workOrder = await requireOwned(ctx, access, "workOrders", args.id);
+    const request = await requireOwned(ctx, access, "maintenanceRequests", workOrder.requestId);
+    if (workOrder.status !== "proposed" || workOrder.proposedTime === undefined) {
+      throw new Error("The contractor hasn't proposed a time");
+    }
+    const time = workOrder.proposedTime;
+    const now = Date.now();
+    await ctx.db.patch(workOrder._id, {
+      status: "accepted",
+      scheduledTime: time,
+      proposedTime: undefined,
+      updatedAt: now,
+    });
+    await scheduleVisit(ctx, request, time, actorFor(access));
+
+    const messageId = await insertMessage(
+      ctx,
+      (await ctx.db.get(request._id))!,
+      { authorType: "staff", authorName: access.user.name, authorUserId: access.user._id },
+      `Confirmed the visit on ${formatVisit(time)}.`,
+      "app"
+    );
+    await ctx.scheduler.runAfter(0, internal.maintenanceEmails.notify, { messageId });
+    const contractor = await ctx.db.get(workOrder.contractorId);
+    return toWorkOrder((await ctx.db.get(workOrder._id))!, contractor);
+  },
+});
+
+/**
+ * Withdraw a work order; its links stop working
+ */
+export const cancel = mutation({
+  args: { sessionToken: v.string(), id: v.id("workOrders") },
+  handler: async (ctx, args) => {
+    const access = await authorize(ctx, args.sessionToken, "maintenance", "write");
+    const workOrder = await requireOwned(ctx, access, "workOrders", args.id);
+    if (!OPEN_STATUSES.includes(workOrder.status)) {
+      throw new Error("This work order is already closed");
+    }
+    await ctx.db.patch(workOrder._id, { status: "cancelled", updatedAt: Date.now() });
+    const contractor = await ctx.db.get(workOrder.contractorId);
+    return toWorkOrder((await ctx.db.get(workOrder._id))!, contractor);
+  },
+});
@@ -14,9 +14,15 @@ import Contractors from "./pages/Contractors";
 import Documents from "./pages/Documents";
 import NotFound from "./pages/NotFound";
 import Login from "./pages/Login";
+import ResetPassword from "./pages/ResetPassword";
+import AcceptInvite from "./pages/AcceptInvite";
+import TenantPortal from "./pages/TenantPortal";
 import Terms from "./pages/Terms";
 import Privacy from "./pages/Privacy";
 import Support from "./pages/Support";
+import Apply from "./pages/Apply";
+import Listing from "./pages/Listing";
+import WorkOrder from "./pages/WorkOrder";
 import { AuthProvider } from "./contexts/AuthContext";
 import ProtectedRoute from "./components/ProtectedRoute";
 import { SpeedInsights } from "@vercel/speed-insights/react";
@@ -39,9 +45,13 @@ const App = () => {
             {/* Public routes */}
             <Route path="/" element={<Index />} />
             <Route path="/login" element={<Login />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             <Route path="/terms" element={<Terms />} />
             <Route path="/privacy" element={<Privacy />} />
             <Route path="/support" element={<Support />} />
+            <Route path="/apply/:slug" element={<Apply />} />
+            <Route path="/listing/:slug" element={<Listing />} />
+            <Route path="/work-orders/:token" element={<WorkOrder />} />
             
             {/* Protected routes */}
             <Route element={<ProtectedRoute />}>
@@ -52,6 +62,8 @@ const App = () => {
               <Route path="/documents" element={<Documents />} />
               <Route path="/contractors" element={<Contractors />} />
               <Route path="/profile" element={<Profile />} />
+              <Route path="/accept-invite" element={<AcceptInvite />} />
+              <Route path="/portal" element={<TenantPortal />} />
             </Route>
 
             {/* Catch all route */}
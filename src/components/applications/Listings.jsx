@@ -0,0 +1,429 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Copy, ExternalLink, ImagePlus, Plus, X } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  closeListing,
+  fetchListingFeeds,
+  generateListingPhotoUploadUrl,
+  listListings,
+  listProperties,
+  listUnits,
+  openListing,
+} from "@/services/dataService";
+import { formatCurrency, formatDate, toDateInputValue } from "@/lib/format";
+
+// Closed listings stay on the card this long
+const RECENT_CLOSED_DAYS = 30;
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function toUtcTimestamp(value) {
+  return value ? new Date(`${value}T00:00:00Z`).getTime() : undefined;
+}
+
+function applyLink(listing) {
+  return `${window.location.origin}/apply/${listing.slug}`;
+}
+
+async function uploadPhoto(file) {
+  const uploadUrl = await generateListingPhotoUploadUrl();
+  const uploadResponse = await fetch(uploadUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+    },
+    body: file,
+  });
+  if (!uploadResponse.ok) {
+    throw new Error(`Upload failed for ${file.name}.`);
+  }
+  const { storageId } = await uploadResponse.json();
+  return storageId;
+}
+
+function listingForm(listing) {
+  return {
+    unitId: listing?.unitId || "",
+    title: listing?.title || "",
+    monthlyRent: listing ? String(listing.monthlyRent) : "",
+    securityDeposit: listing?.securityDeposit !== undefined ? String(listing.securityDeposit) : "",
+    availableDate: toDateInputValue(listing?.availableDate),
+    description: listing?.description || "",
+    contactEmail: listing?.contactEmail || "",
+    // Saved photos have a storageId; new ones a file, uploaded on save
+    photos: (listing?.photos || []).map((photo) => ({ ...photo, caption: photo.caption || "" })),
+    editing: Boolean(listing),
+  };
+}
+
+export default function Listings() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [showFeeds, setShowFeeds] = useState(false);
+
+  const listingsQuery = useQuery({
+    queryKey: ["listings", userId],
+    queryFn: () => listListings(),
+    enabled: Boolean(userId),
+  });
+
+  const unitsQuery = useQuery({
+    queryKey: ["units", userId],
+    queryFn: () => listUnits(),
+    enabled: Boolean(userId) && Boolean(form),
+  });
+
+  const propertiesQuery = useQuery({
+    queryKey: ["properties", userId],
+    queryFn: () => listProperties(),
+    enabled: Boolean(userId) && Boolean(form),
+  });
+
+  const feedsQuery = useQuery({
+    queryKey: ["listingFeeds", userId],
+    queryFn: () => fetchListingFeeds(),
+    enabled: Boolean(userId) && showFeeds,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: async (values) => {
+      const photos = [];
+      for (const photo of values.photos) {
+        photos.push({
+          storageId: photo.storageId || (await uploadPhoto(photo.file)),
+          caption: photo.caption || undefined,
+        });
+      }
+      return openListing({
+        unitId: values.unitId,
+        title: values.title,
+        monthlyRent: parseNumber(values.monthlyRent),
+        securityDeposit: parseNumber(values.securityDeposit),
+        availableDate: toUtcTimestamp(values.availableDate),
+        description: values.description,
+        contactEmail: values.contactEmail,
+        photos,
+      });
+    },
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["listings", userId] });
+      setForm(null);
+    },
+  });
+
+  const closeMutation = useMutation({
+    mutationFn: closeListing,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["listings", userId] }),
+  });
+
+  async function copyLink(listing) {
+    await navigator.clipboard.writeText(applyLink(listing));
+    setCopiedId(listing._id);
+  }
+
+  async function copyFeed(format) {
+    await navigator.clipboard.writeText(feedsQuery.data[format]);
+    setCopiedId(format);
+  }
+
+  function addPhotos(files) {
+    const added = Array.from(files || [])
+      .filter((file) => file.type.startsWith("image/"))
+      .map((file) => ({ file, url: URL.createObjectURL(file), caption: "" }));
+    setForm((prev) => ({ ...prev, photos: [...prev.photos, ...added] }));
+  }
+
+  function updatePhoto(index, changes) {
+    setForm((prev) => ({
+      ...prev,
+      photos: prev.photos.map((photo, current) => (current === index ? { ...photo, ...changes } : photo)),
+    }));
+  }
+
+  function removePhoto(index) {
+    setForm((prev) => ({ ...prev, photos: prev.photos.filter((_, current) => current !== index) }));
+  }
+
+  const closedSince = Date.now() - RECENT_CLOSED_DAYS * 24 * 60 * 60 * 1000;
+  const listings = (listingsQuery.data || []).filter(
+    (listing) => listing.status === "active" || listing.closedAt >= closedSince
+  );
+  const activeUnits = new Set(
+    listings.filter((listing) => listing.status === "active").map((listing) => listing.unitId)
+  );
+  const propertyNames = new Map(
+    (propertiesQuery.data || []).map((property) => [property._id, property.name || property.address])
+  );
+  const listableUnits = (unitsQuery.data || []).filter(
+    (unit) =>
+      (unit.status === "vacant" || unit.status === "notice") &&
+      (!activeUnits.has(unit._id) || unit._id === form?.unitId)
+  );
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Listings</CardTitle>
+        <div className="flex gap-2">
+          <Button variant="ghost" size="sm" onClick={() => setShowFeeds((prev) => !prev)}>
+            Feeds
+          </Button>
+          <Button variant="outline" size="sm" className="gap-2" onClick={() => setForm(listingForm())}>
+            <Plus className="h-4 w-4" />
+            Take applications
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {listingsQuery.isLoading ? <p className="text-muted-foreground">Loading listings...</p> : null}
+        {listingsQuery.error ? <p className="text-red-600">{listingsQuery.error.message}</p> : null}
+        {closeMutation.error ? <p className="text-red-600">{closeMutation.error.message}</p> : null}
+        {showFeeds ? (
+          <div className="space-y-2 rounded-md border bg-muted/40 p-3">
+            <p className="text-muted-foreground">
+              Open listings are published to these feeds. Give the XML feed to Zillow, Trulia or HotPads, or the
+              JSON feed to your own website.
+            </p>
+            {feedsQuery.error ? <p className="text-red-600">{feedsQuery.error.message}</p> : null}
+            {[
+              ["xml", "Zillow / HotPads (XML)"],
+              ["json", "JSON Feed"],
+            ].map(([format, label]) => (
+              <div key={format} className="space-y-1">
+                <Label>{label}</Label>
+                <div className="flex gap-2">
+                  <Input readOnly value={feedsQuery.data?.[format] || "Loading..."} />
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="gap-2"
+                    disabled={!feedsQuery.data}
+                    onClick={() => copyFeed(format)}
+                  >
+                    <Copy className="h-4 w-4" />
+                    {copiedId === format ? "Copied" : "Copy"}
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : null}
+        {!listingsQuery.isLoading && !listingsQuery.error && listings.length === 0 ? (
+          <p className="text-muted-foreground">
+            No listings yet. List a vacant unit, or one on notice, to get a public application link.
+          </p>
+        ) : null}
+
+        {listings.map((listing) => {
+          const active = listing.status === "active";
+          return (
+            <div key={listing._id} className="flex flex-wrap items-start justify-between gap-3 rounded-md border p-3">
+              <div>
+                <p className="font-medium">
+                  {listing.propertyName} · {listing.unitLabel}
+                </p>
+                {listing.title ? <p className="text-muted-foreground">{listing.title}</p> : null}
+                <p className="text-xs text-muted-foreground">
+                  {formatCurrency(listing.monthlyRent)}/mo
+                  {listing.availableDate ? ` · available ${formatDate(listing.availableDate)}` : ""} ·{" "}
+                  {listing.applications} application{listing.applications === 1 ? "" : "s"}
+                  {listing.pendingApplications ? ` (${listing.pendingApplications} to review)` : ""}
+                  {listing.photos.length ? ` · ${listing.photos.length} photo${listing.photos.length === 1 ? "" : "s"}` : ""}
+                </p>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Badge variant={active ? "success" : "outline"}>{active ? "Taking applications" : "Closed"}</Badge>
+                {active ? (
+                  <>
+                    <Button variant="outline" size="sm" className="gap-2" onClick={() => copyLink(listing)}>
+                      <Copy className="h-4 w-4" />
+                      {copiedId === listing._id ? "Copied" : "Copy link"}
+                    </Button>
+                    <Button variant="ghost" size="sm" className="gap-2" asChild>
+                      <a href={`/listing/${listing.slug}`} target="_blank" rel="noreferrer">
+                        <ExternalLink className="h-4 w-4" />
+                        View
+                      </a>
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setForm(listingForm(listing))}>
+                      Edit
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={closeMutation.isPending}
+                      onClick={() => closeMutation.mutate(listing._id)}
+                    >
+                      Close
+                    </Button>
+                  </>
+                ) : null}
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+
+      <Dialog open={Boolean(form)} onOpenChange={(open) => !open && setForm(null)}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{form?.editing ? "Edit listing" : "Take applications"}</DialogTitle>
+          </DialogHeader>
+          {form ? (
+            <div className="space-y-3 text-sm">
+              <div className="space-y-1">
+                <Label>Unit</Label>
+                <select
+                  value={form.unitId}
+                  disabled={form.editing}
+                  onChange={(event) => setForm((prev) => ({ ...prev, unitId: event.target.value }))}
+                  className={selectClassName}
+                >
+                  <option value="">Select unit</option>
+                  {listableUnits.map((unit) => (
+                    <option key={unit._id} value={unit._id}>
+                      {propertyNames.get(unit.propertyId) || "Property"} · {unit.label} ({unit.status})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <Label>Headline</Label>
+                <Input
+                  placeholder="Written from the unit's beds, baths and city"
+                  value={form.title}
+                  onChange={(event) => setForm((prev) => ({ ...prev, title: event.target.value }))}
+                />
+              </div>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label>Monthly rent</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    placeholder="Listed or market rent"
+                    value={form.monthlyRent}
+                    onChange={(event) => setForm((prev) => ({ ...prev, monthlyRent: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Security deposit</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={form.securityDeposit}
+                    onChange={(event) => setForm((prev) => ({ ...prev, securityDeposit: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Available</Label>
+                  <Input
+                    type="date"
+                    value={form.availableDate}
+                    onChange={(event) => setForm((prev) => ({ ...prev, availableDate: event.target.value }))}
+                  />
+                </div>
+              </div>
+              <div className="space-y-1">
+                <Label>Description</Label>
+                <Textarea
+                  rows={4}
+                  placeholder="Written from the unit's details"
+                  value={form.description}
+                  onChange={(event) => setForm((prev) => ({ ...prev, description: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Contact email</Label>
+                <Input
+                  type="email"
+                  placeholder="Shown on listing sites; left off if blank"
+                  value={form.contactEmail}
+                  onChange={(event) => setForm((prev) => ({ ...prev, contactEmail: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Photos</Label>
+                {form.photos.length ? (
+                  <div className="grid grid-cols-2 gap-2 sm:grid-cols-3">
+                    {form.photos.map((photo, index) => (
+                      <div key={photo.storageId || photo.url} className="space-y-1">
+                        <div className="relative">
+                          <img src={photo.url} alt="" className="aspect-[4/3] w-full rounded-md object-cover" />
+                          <button
+                            type="button"
+                            aria-label="Remove photo"
+                            className="absolute right-1 top-1 rounded-full bg-background/90 p-1"
+                            onClick={() => removePhoto(index)}
+                          >
+                            <X className="h-3 w-3" />
+                          </button>
+                        </div>
+                        <Input
+                          placeholder={index === 0 ? "Caption (cover photo)" : "Caption"}
+                          value={photo.caption}
+                          onChange={(event) => updatePhoto(index, { caption: event.target.value })}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-xs text-muted-foreground">Without photos, the property's picture is used.</p>
+                )}
+                <Label className="inline-flex cursor-pointer items-center gap-2 rounded-md border px-3 py-2 font-normal">
+                  <ImagePlus className="h-4 w-4" />
+                  Add photos
+                  <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    className="hidden"
+                    onChange={(event) => {
+                      addPhotos(event.target.files);
+                      event.target.value = "";
+                    }}
+                  />
+                </Label>
+              </div>
+              {saveMutation.error ? <p className="text-red-600">{saveMutation.error.message}</p> : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setForm(null)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => saveMutation.mutate(form)}
+              disabled={saveMutation.isPending || !form?.unitId}
+            >
+              {saveMutation.isPending ? "Saving..." : form?.editing ? "Save listing" : "Open listing"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
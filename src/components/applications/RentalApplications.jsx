@@ -0,0 +1,604 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { FileText, Settings2, UserCircle2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  approveRentalApplication,
+  denyRentalApplication,
+  fetchApplicationSettings,
+  listRentalApplications,
+  saveApplicationSettings,
+} from "@/services/dataService";
+import { formatCurrency, formatDate, toDateInputValue } from "@/lib/format";
+
+const STATUS_BADGES = {
+  submitted: { label: "To review", variant: "secondary" },
+  approved: { label: "Approved", variant: "success" },
+  denied: { label: "Denied", variant: "destructive" },
+};
+
+const FILE_LABELS = {
+  id: "Photo ID",
+  pay_stub: "Pay stub",
+  other: "Document",
+};
+
+const TEMPLATE_FIELDS = [
+  "applicantNames",
+  "propertyAddress",
+  "decisionDate",
+  "reasons",
+  "reportNotice",
+  "screeningCompany",
+  "landlordName",
+];
+
+const RECENT_DECISION_DAYS = 60;
+
+// Approving creates tenants and a lease and fills the unit.
+const APPROVAL_QUERY_KEYS = [
+  "tenants",
+  "leases",
+  "units",
+  "turnovers",
+  "rentRoll",
+  "vacancyLoss",
+  "dashboardSnapshot",
+];
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function toUtcTimestamp(value) {
+  return value ? new Date(`${value}T00:00:00Z`).getTime() : undefined;
+}
+
+// A year's lease, ending the day before the anniversary
+function approvalForm(application) {
+  const start = new Date(
+    Math.max(application.desiredMoveIn ?? 0, new Date().setUTCHours(0, 0, 0, 0))
+  );
+  const end = new Date(start);
+  end.setUTCFullYear(end.getUTCFullYear() + 1);
+  end.setUTCDate(end.getUTCDate() - 1);
+  return {
+    mode: "approve",
+    startDate: toDateInputValue(start.getTime()),
+    endDate: toDateInputValue(end.getTime()),
+    monthlyRent: String(application.monthlyRent),
+    securityDeposit:
+      application.securityDeposit !== undefined ? String(application.securityDeposit) : "",
+  };
+}
+
+function denialForm() {
+  return { mode: "deny", reasons: [], otherReason: "", note: "" };
+}
+
+function Check({ passed, children }) {
+  return (
+    <p className={passed ? "text-emerald-700 dark:text-emerald-400" : "text-amber-700 dark:text-amber-400"}>
+      {passed ? "✓" : "!"} {children}
+    </p>
+  );
+}
+
+export default function RentalApplications() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [reviewId, setReviewId] = useState(null);
+  const [decision, setDecision] = useState(null);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [settingsForm, setSettingsForm] = useState(null);
+
+  const applicationsQuery = useQuery({
+    queryKey: ["rentalApplications", userId],
+    queryFn: () => listRentalApplications(),
+    enabled: Boolean(userId),
+  });
+
+  // Denial reasons come with the settings, so they load for reviews too.
+  const settingsQuery = useQuery({
+    queryKey: ["applicationSettings", userId],
+    queryFn: () => fetchApplicationSettings(),
+    enabled: Boolean(userId) && (isSettingsOpen || Boolean(reviewId)),
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["rentalApplications", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["listings", userId] });
+  }
+
+  function closeReview() {
+    setReviewId(null);
+    setDecision(null);
+  }
+
+  const approveMutation = useMutation({
+    mutationFn: (values) =>
+      approveRentalApplication({
+        id: reviewId,
+        startDate: toUtcTimestamp(values.startDate),
+        endDate: toUtcTimestamp(values.endDate),
+        monthlyRent: parseNumber(values.monthlyRent),
+        securityDeposit: parseNumber(values.securityDeposit),
+      }),
+    onSuccess: async () => {
+      await refresh();
+      for (const key of APPROVAL_QUERY_KEYS) {
+        await queryClient.invalidateQueries({ queryKey: [key, userId] });
+      }
+      closeReview();
+    },
+  });
+
+  const denyMutation = useMutation({
+    mutationFn: (values) =>
+      denyRentalApplication({
+        id: reviewId,
+        reasons: [...values.reasons, values.otherReason.trim()].filter(Boolean),
+        note: values.note.trim() || undefined,
+      }),
+    onSuccess: async () => {
+      await refresh();
+      await queryClient.invalidateQueries({ queryKey: ["documents", userId] });
+      closeReview();
+    },
+  });
+
+  const saveSettingsMutation = useMutation({
+    mutationFn: (values) =>
+      saveApplicationSettings({
+        incomeMultiple: parseNumber(values.incomeMultiple) ?? 0,
+        countCoApplicantIncome: values.countCoApplicantIncome,
+        screeningCompany: values.screeningCompany,
+        denialTemplate: values.denialTemplate,
+      }),
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["applicationSettings", userId] });
+      await refresh();
+      setIsSettingsOpen(false);
+    },
+  });
+
+  function openSettings() {
+    setSettingsForm(null);
+    setIsSettingsOpen(true);
+  }
+
+  const settings = settingsQuery.data?.settings;
+  const form =
+    settingsForm ||
+    (settings
+      ? {
+          incomeMultiple: String(settings.incomeMultiple),
+          countCoApplicantIncome: settings.countCoApplicantIncome,
+          screeningCompany: settings.screeningCompany,
+          denialTemplate: settings.denialTemplate,
+        }
+      : null);
+
+  function updateForm(field, value) {
+    setSettingsForm({ ...form, [field]: value });
+  }
+
+  function toggleReason(reason) {
+    setDecision((prev) => ({
+      ...prev,
+      reasons: prev.reasons.includes(reason)
+        ? prev.reasons.filter((entry) => entry !== reason)
+        : [...prev.reasons, reason],
+    }));
+  }
+
+  // Decided applications drop off after a couple of months.
+  const decidedSince = Date.now() - RECENT_DECISION_DAYS * 24 * 60 * 60 * 1000;
+  const applications = (applicationsQuery.data || []).filter(
+    (application) => !application.decidedAt || application.decidedAt >= decidedSince
+  );
+  const review = (applicationsQuery.data || []).find((application) => application._id === reviewId);
+
+  function renderReview() {
+    const { screening } = review;
+    return (
+      <div className="space-y-4 text-sm">
+        <div className="grid gap-1">
+          <p>
+            {review.email} · {review.phone}
+          </p>
+          <p className="text-muted-foreground">
+            {review.propertyName} · {review.unitLabel} · {formatCurrency(review.monthlyRent)}/mo
+            {review.desiredMoveIn ? ` · wants to move in ${formatDate(review.desiredMoveIn)}` : ""}
+          </p>
+        </div>
+
+        <div className="space-y-1 rounded-md border p-3">
+          <p className="font-medium">Screening</p>
+          <Check passed={screening.meetsIncome}>
+            Household income {formatCurrency(screening.householdIncome)}/mo against{" "}
+            {formatCurrency(screening.requiredIncome)} required ({screening.incomeMultiple}× rent)
+            {screening.rentToIncomePercent !== null ? ` · rent is ${screening.rentToIncomePercent}% of income` : ""}
+          </Check>
+          <Check passed={screening.hasId}>{screening.hasId ? "Photo ID attached" : "No photo ID"}</Check>
+          <Check passed={screening.hasPayStubs}>
+            {screening.hasPayStubs ? "Pay stubs attached" : "No pay stubs"}
+          </Check>
+          <Check passed={screening.hasRentalHistory}>
+            {screening.hasRentalHistory
+              ? `${review.rentalHistory.length} previous home${review.rentalHistory.length === 1 ? "" : "s"} listed`
+              : "No rental history"}
+          </Check>
+        </div>
+
+        <div className="space-y-1">
+          <p className="font-medium">Employment</p>
+          <p className="text-muted-foreground">
+            {[review.jobTitle, review.employer].filter(Boolean).join(" at ") || "Not given"}
+            {review.employedSince ? ` · since ${formatDate(review.employedSince)}` : ""}
+          </p>
+          <p className="text-muted-foreground">
+            {formatCurrency(review.monthlyIncome)}/mo
+            {review.otherIncome ? ` + ${formatCurrency(review.otherIncome)}/mo other income` : ""}
+          </p>
+        </div>
+
+        {review.coApplicants.length ? (
+          <div className="space-y-1">
+            <p className="font-medium">Co-applicants</p>
+            {review.coApplicants.map((person) => (
+              <p key={person.email} className="text-muted-foreground">
+                {person.firstName} {person.lastName} · {person.email}
+                {person.monthlyIncome !== undefined ? ` · ${formatCurrency(person.monthlyIncome)}/mo` : ""}
+              </p>
+            ))}
+          </div>
+        ) : null}
+
+        {review.rentalHistory.length ? (
+          <div className="space-y-2">
+            <p className="font-medium">Rental history</p>
+            {review.rentalHistory.map((home, index) => (
+              <div key={index} className="text-muted-foreground">
+                <p className="text-foreground">{home.address}</p>
+                <p>
+                  {[
+                    home.movedIn || home.movedOut
+                      ? `${formatDate(home.movedIn)} – ${home.movedOut ? formatDate(home.movedOut) : "now"}`
+                      : null,
+                    home.monthlyRent !== undefined ? `${formatCurrency(home.monthlyRent)}/mo` : null,
+                    home.landlordName
+                      ? `landlord ${home.landlordName}${home.landlordPhone ? ` (${home.landlordPhone})` : ""}`
+                      : null,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </p>
+                {home.reasonForLeaving ? <p>Leaving: {home.reasonForLeaving}</p> : null}
+              </div>
+            ))}
+          </div>
+        ) : null}
+
+        {review.files.length ? (
+          <div className="flex flex-wrap gap-2">
+            {review.files.map((file) => (
+              <Button key={file.storageId} asChild size="sm" variant="outline">
+                <a href={file.url || "#"} target="_blank" rel="noreferrer" className="gap-2">
+                  <FileText className="h-4 w-4" />
+                  {FILE_LABELS[file.kind] || "Document"}: {file.fileName}
+                </a>
+              </Button>
+            ))}
+          </div>
+        ) : null}
+
+        {review.message ? <p className="rounded-md bg-muted p-3">{review.message}</p> : null}
+
+        {review.status === "denied" ? (
+          <div className="space-y-1">
+            <p className="font-medium">Denied {formatDate(review.decidedAt)}</p>
+            {(review.denialReasons || []).map((reason) => (
+              <p key={reason} className="text-muted-foreground">
+                - {reason}
+              </p>
+            ))}
+            {review.decisionNote ? <p className="text-muted-foreground">{review.decisionNote}</p> : null}
+            {review.letterURL ? (
+              <Button asChild size="sm" variant="outline">
+                <a href={review.letterURL} target="_blank" rel="noreferrer">
+                  View adverse action notice
+                </a>
+              </Button>
+            ) : null}
+          </div>
+        ) : null}
+        {review.status === "approved" ? (
+          <p className="font-medium">Approved {formatDate(review.decidedAt)}. The applicants are now tenants.</p>
+        ) : null}
+
+        {decision?.mode === "approve" ? (
+          <div className="space-y-3 border-t pt-3">
+            <p className="font-medium">New lease</p>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Starts</Label>
+                <Input
+                  type="date"
+                  value={decision.startDate}
+                  onChange={(event) => setDecision((prev) => ({ ...prev, startDate: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Ends</Label>
+                <Input
+                  type="date"
+                  value={decision.endDate}
+                  onChange={(event) => setDecision((prev) => ({ ...prev, endDate: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Monthly rent</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={decision.monthlyRent}
+                  onChange={(event) => setDecision((prev) => ({ ...prev, monthlyRent: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Security deposit</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={decision.securityDeposit}
+                  onChange={(event) => setDecision((prev) => ({ ...prev, securityDeposit: event.target.value }))}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Everyone on the application becomes a tenant on this lease, and the listing closes.
+            </p>
+            {approveMutation.error ? <p className="text-red-600">{approveMutation.error.message}</p> : null}
+          </div>
+        ) : null}
+
+        {decision?.mode === "deny" ? (
+          <div className="space-y-3 border-t pt-3">
+            <p className="font-medium">Reasons for the denial</p>
+            {(settingsQuery.data?.denialReasons || []).map((reason) => (
+              <label key={reason} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4"
+                  checked={decision.reasons.includes(reason)}
+                  onChange={() => toggleReason(reason)}
+                />
+                {reason}
+              </label>
+            ))}
+            <Input
+              placeholder="Another reason"
+              value={decision.otherReason}
+              onChange={(event) => setDecision((prev) => ({ ...prev, otherReason: event.target.value }))}
+            />
+            <div className="space-y-1">
+              <Label>Internal note</Label>
+              <Input
+                value={decision.note}
+                onChange={(event) => setDecision((prev) => ({ ...prev, note: event.target.value }))}
+              />
+            </div>
+            <p className="text-xs text-muted-foreground">
+              An adverse action notice is generated from your letter template, filed under documents and
+              emailed to every applicant.
+            </p>
+            {denyMutation.error ? <p className="text-red-600">{denyMutation.error.message}</p> : null}
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Rental applications</CardTitle>
+        <Button variant="outline" size="sm" onClick={openSettings}>
+          <Settings2 className="mr-2 h-4 w-4" />
+          Screening
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {applicationsQuery.isLoading ? <p className="text-muted-foreground">Loading applications...</p> : null}
+        {applicationsQuery.error ? <p className="text-red-600">{applicationsQuery.error.message}</p> : null}
+        {!applicationsQuery.isLoading && !applicationsQuery.error && applications.length === 0 ? (
+          <p className="text-muted-foreground">
+            No applications yet. Share a listing's application link to start receiving them.
+          </p>
+        ) : null}
+
+        {applications.map((application) => {
+          const badge = STATUS_BADGES[application.status] || STATUS_BADGES.submitted;
+          const { screening } = application;
+          return (
+            <div key={application._id} className="flex flex-wrap items-start justify-between gap-3 rounded-md border p-3">
+              <div>
+                <p className="font-medium flex items-center gap-2">
+                  <UserCircle2 className="h-4 w-4" />
+                  {application.firstName} {application.lastName}
+                  {application.coApplicants.length ? ` +${application.coApplicants.length}` : ""}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {application.propertyName} · {application.unitLabel} · applied{" "}
+                  {formatDate(application.submittedAt)}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {formatCurrency(screening.householdIncome)}/mo income ·{" "}
+                  {screening.rentToIncomePercent !== null
+                    ? `rent is ${screening.rentToIncomePercent}% of income`
+                    : "no income listed"}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {application.status === "submitted" ? (
+                  <Badge variant={screening.meetsIncome ? "success" : "warning"}>
+                    {screening.meetsIncome ? "Meets income" : "Below income"}
+                  </Badge>
+                ) : null}
+                <Badge variant={badge.variant}>{badge.label}</Badge>
+                <Button variant="outline" size="sm" onClick={() => setReviewId(application._id)}>
+                  Review
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+
+      <Dialog open={Boolean(review)} onOpenChange={(open) => !open && closeReview()}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>
+              {review
+                ? [review, ...review.coApplicants].map((person) => `${person.firstName} ${person.lastName}`).join(", ")
+                : "Application"}
+            </DialogTitle>
+          </DialogHeader>
+          {review ? renderReview() : null}
+          {review?.status === "submitted" ? (
+            <DialogFooter>
+              {!decision ? (
+                <>
+                  <Button variant="outline" onClick={() => setDecision(denialForm())}>
+                    Deny
+                  </Button>
+                  <Button onClick={() => setDecision(approvalForm(review))}>Approve</Button>
+                </>
+              ) : (
+                <>
+                  <Button variant="outline" onClick={() => setDecision(null)}>
+                    Back
+                  </Button>
+                  {decision.mode === "approve" ? (
+                    <Button
+                      onClick={() => approveMutation.mutate(decision)}
+                      disabled={approveMutation.isPending || !decision.startDate || !decision.endDate}
+                    >
+                      {approveMutation.isPending ? "Approving..." : "Approve and create lease"}
+                    </Button>
+                  ) : (
+                    <Button
+                      variant="destructive"
+                      onClick={() => denyMutation.mutate(decision)}
+                      disabled={
+                        denyMutation.isPending || (!decision.reasons.length && !decision.otherReason.trim())
+                      }
+                    >
+                      {denyMutation.isPending ? "Sending notice..." : "Deny and send notice"}
+                    </Button>
+                  )}
+                </>
+              )}
+            </DialogFooter>
+          ) : null}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={isSettingsOpen} onOpenChange={setIsSettingsOpen}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Screening settings</DialogTitle>
+          </DialogHeader>
+
+          {settingsQuery.isLoading || !form ? (
+            <p className="text-sm text-muted-foreground">Loading settings...</p>
+          ) : (
+            <div className="space-y-4 text-sm">
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label>Required income (× monthly rent)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={form.incomeMultiple}
+                    onChange={(event) => updateForm("incomeMultiple", event.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Screening company</Label>
+                  <Input
+                    placeholder="Named in denial letters"
+                    value={form.screeningCompany}
+                    onChange={(event) => updateForm("screeningCompany", event.target.value)}
+                  />
+                </div>
+              </div>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4"
+                  checked={form.countCoApplicantIncome}
+                  onChange={(event) => updateForm("countCoApplicantIncome", event.target.checked)}
+                />
+                Count co-applicants' income
+              </label>
+
+              <div className="space-y-1">
+                <Label>Denial letter</Label>
+                <Textarea
+                  rows={10}
+                  value={form.denialTemplate}
+                  onChange={(event) => updateForm("denialTemplate", event.target.value)}
+                />
+                <p className="text-xs text-muted-foreground">
+                  Fields: {TEMPLATE_FIELDS.map((field) => `{{${field}}}`).join(", ")}. {"{{reportNotice}}"} is
+                  the consumer report disclosure, filled in when a screening company is set.
+                </p>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => updateForm("denialTemplate", settingsQuery.data.defaultDenialTemplate)}
+                >
+                  Restore default letter
+                </Button>
+              </div>
+              {saveSettingsMutation.error ? (
+                <p className="text-red-600">{saveSettingsMutation.error.message}</p>
+              ) : null}
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsSettingsOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => saveSettingsMutation.mutate(form)}
+              disabled={saveSettingsMutation.isPending || !form}
+            >
+              {saveSettingsMutation.isPending ? "Saving..." : "Save"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState } from "react";
-import { Link, useLocation } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
 import {
   Building2,
   DollarSign,
@@ -10,9 +11,12 @@ import {
   X,
   Handshake,
   FileText,
+  Home,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
+import { usePortfolios } from "@/hooks/use-portfolios";
+import { switchPortfolio } from "@/services/dataService";
 
 const navItems = [
   { path: "/dashboard", label: "Dashboard", icon: LayoutDashboard },
@@ -24,12 +28,82 @@ const navItems = [
   { path: "/profile", label: "Profile", icon: User },
 ];
 
+const tenantNavItems = [
+  { path: "/portal", label: "My home", icon: Home },
+  { path: "/profile", label: "Profile", icon: User },
+];
+
 const IOS_APP_URL =
   import.meta.env.VITE_IOS_APP_URL || "https://apps.apple.com/us/app/highlander-homes/id6758958500";
 
+// Switcher option values: the user's own portfolio (which has no
+// organization until it is first shared), a team portfolio or a tenancy.
+const PERSONAL = "personal";
+
+function portfolioKey(portfolio) {
+  if (portfolio.isPersonal) return PERSONAL;
+  if (portfolio.tenantId) return `tenant:${portfolio.tenantId}`;
+  return `org:${portfolio.organizationId}`;
+}
+
+function PortfolioSwitcher() {
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+  const { portfolios, active } = usePortfolios();
+
+  const switchMutation = useMutation({
+    mutationFn: switchPortfolio,
+    // Every cached query belongs to the previous portfolio.
+    onSuccess: async (result) => {
+      await queryClient.invalidateQueries();
+      navigate(result.tenantId ? "/portal" : "/dashboard");
+    },
+  });
+
+  function handleChange(value) {
+    const [kind, id] = value.split(":");
+    switchMutation.mutate(
+      kind === "tenant" ? { tenantId: id } : kind === "org" ? { organizationId: id } : {}
+    );
+  }
+
+  if (portfolios.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="border-b px-5 py-3 space-y-1">
+      <label htmlFor="portfolio-switcher" className="text-xs text-muted-foreground">
+        Portfolio
+      </label>
+      <select
+        id="portfolio-switcher"
+        className="h-9 w-full rounded-md border bg-background px-3 text-sm"
+        value={active ? portfolioKey(active) : PERSONAL}
+        disabled={switchMutation.isPending}
+        onChange={(event) => handleChange(event.target.value)}
+      >
+        {portfolios.map((portfolio) => (
+          <option key={portfolioKey(portfolio)} value={portfolioKey(portfolio)}>
+            {portfolio.name}
+          </option>
+        ))}
+      </select>
+      {active ? (
+        <p className="text-xs text-muted-foreground">
+          Your role: {active.roleLabel}
+          {switchMutation.error ? ` · ${switchMutation.error.message}` : ""}
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
 export default function Sidebar() {
   const [open, setOpen] = useState(false);
   const location = useLocation();
+  const { isTenant } = usePortfolios();
+  const items = isTenant ? tenantNavItems : navItems;
 
   return (
     <>
@@ -51,7 +125,11 @@ export default function Sidebar() {
       >
         <div className="h-full flex flex-col">
           <div className="border-b px-5 py-5">
-            <Link to="/dashboard" className="flex items-center gap-3" onClick={() => setOpen(false)}>
+            <Link
+              to={isTenant ? "/portal" : "/dashboard"}
+              className="flex items-center gap-3"
+              onClick={() => setOpen(false)}
+            >
               <img src="/HH Logo.png" alt="Highlander Homes" className="h-10 w-10 object-contain" />
               <div>
                 <p className="font-semibold leading-tight">Highlander Homes</p>
@@ -60,8 +138,10 @@ export default function Sidebar() {
             </Link>
           </div>
 
+          <PortfolioSwitcher />
+
           <nav className="flex-1 overflow-y-auto p-3 space-y-1">
-            {navItems.map((item) => {
+            {items.map((item) => {
               const Icon = item.icon;
               const active = location.pathname === item.path;
               return (
@@ -0,0 +1,321 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import { listDocuments, listLeases, renewLease, updateLease } from "@/services/dataService";
+import { formatCurrency, formatDate, toDateInputValue } from "@/lib/format";
+
+const STATUS_BADGES = {
+  active: { label: "Current", variant: "default" },
+  renewed: { label: "Renewed", variant: "secondary" },
+  ended: { label: "Ended", variant: "outline" },
+};
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+// Lease dates are stored as UTC midnight.
+function toUtcTimestamp(value) {
+  return value ? new Date(`${value}T00:00:00Z`).getTime() : undefined;
+}
+
+function termsForm(lease, mode) {
+  const nextStart = new Date(lease.endDate + 24 * 60 * 60 * 1000);
+  const nextEnd = new Date(lease.endDate);
+  nextEnd.setUTCFullYear(nextEnd.getUTCFullYear() + 1);
+  return {
+    mode,
+    leaseId: lease._id,
+    startDate: toDateInputValue(mode === "renew" ? nextStart : lease.startDate),
+    endDate: toDateInputValue(mode === "renew" ? nextEnd : lease.endDate),
+    monthlyRent: String(lease.monthlyRent),
+    securityDeposit: String(lease.securityDeposit),
+    recurringCharges: lease.recurringCharges.map((charge) => ({
+      description: charge.description,
+      amount: String(charge.amount),
+    })),
+    documentId: mode === "renew" ? "" : lease.documentId || "",
+  };
+}
+
+export default function PropertyLeases({ property, onClose }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+  const propertyId = property?._id;
+
+  const leasesQuery = useQuery({
+    queryKey: ["leases", userId, propertyId],
+    queryFn: () => listLeases(propertyId),
+    enabled: Boolean(userId) && Boolean(propertyId),
+  });
+
+  const documentsQuery = useQuery({
+    queryKey: ["documents", userId, propertyId, "lease"],
+    queryFn: () => listDocuments(propertyId, "lease"),
+    enabled: Boolean(userId) && Boolean(form),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const terms = {
+        id: form.leaseId,
+        startDate: toUtcTimestamp(form.startDate),
+        endDate: toUtcTimestamp(form.endDate),
+        monthlyRent: parseNumber(form.monthlyRent) ?? 0,
+        securityDeposit: parseNumber(form.securityDeposit),
+        recurringCharges: form.recurringCharges
+          .filter((charge) => charge.description.trim())
+          .map((charge) => ({
+            description: charge.description.trim(),
+            amount: parseNumber(charge.amount) ?? 0,
+          })),
+        documentId: form.documentId || undefined,
+      };
+      if (form.mode === "renew") {
+        return renewLease(terms);
+      }
+      return updateLease({ ...terms, clearDocument: !form.documentId });
+    },
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["leases", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["tenants", userId] });
+      setForm(null);
+    },
+  });
+
+  function updateCharge(index, field, value) {
+    setForm((prev) => ({
+      ...prev,
+      recurringCharges: prev.recurringCharges.map((charge, position) =>
+        position === index ? { ...charge, [field]: value } : charge
+      ),
+    }));
+  }
+
+  const leases = leasesQuery.data || [];
+
+  return (
+    <Dialog
+      open={Boolean(property)}
+      onOpenChange={(open) => {
+        if (!open) {
+          setForm(null);
+          onClose();
+        }
+      }}
+    >
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Leases · {property?.name || property?.address}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3 text-sm">
+          {leasesQuery.isLoading ? <p className="text-muted-foreground">Loading leases...</p> : null}
+          {leasesQuery.error ? <p className="text-red-600">{leasesQuery.error.message}</p> : null}
+          {!leasesQuery.isLoading && leases.length === 0 ? (
+            <p className="text-muted-foreground">No leases for this property yet.</p>
+          ) : null}
+
+          {leases.map((lease) => {
+            const badge = STATUS_BADGES[lease.status] || STATUS_BADGES.ended;
+            return (
+              <div key={lease._id} className="space-y-2 rounded-md border p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <p className="font-medium">
+                      {lease.tenants.map((tenant) => tenant.name).join(", ") || "No tenants"}
+                      {lease.unit ? ` · Unit ${lease.unit}` : ""}
+                    </p>
+                    <p className="text-muted-foreground">
+                      {formatDate(lease.startDate)} – {formatDate(lease.endDate)} ·{" "}
+                      {formatCurrency(lease.monthlyRent)}/mo · deposit{" "}
+                      {formatCurrency(lease.securityDeposit)}
+                    </p>
+                  </div>
+                  <Badge variant={badge.variant}>{badge.label}</Badge>
+                </div>
+                {lease.recurringCharges.length ? (
+                  <p className="text-muted-foreground">
+                    Also monthly:{" "}
+                    {lease.recurringCharges
+                      .map((charge) => `${charge.description} ${formatCurrency(charge.amount)}`)
+                      .join(", ")}
+                  </p>
+                ) : null}
+                <div className="flex flex-wrap items-center gap-2">
+                  {lease.documentURL ? (
+                    <a
+                      href={lease.documentURL}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="text-primary underline underline-offset-4"
+                    >
+                      {lease.documentTitle || "Signed lease"}
+                    </a>
+                  ) : null}
+                  {lease.status === "active" ? (
+                    <>
+                      <Button variant="outline" size="sm" onClick={() => setForm(termsForm(lease, "edit"))}>
+                        Edit
+                      </Button>
+                      <Button size="sm" onClick={() => setForm(termsForm(lease, "renew"))}>
+                        Renew
+                      </Button>
+                    </>
+                  ) : null}
+                </div>
+
+                {form?.leaseId === lease._id ? (
+                  <div className="space-y-3 border-t pt-3">
+                    <p className="font-medium">
+                      {form.mode === "renew" ? "Renewal terms" : "Correct lease terms"}
+                    </p>
+                    <div className="grid gap-3 sm:grid-cols-2">
+                      <div className="space-y-1">
+                        <Label>Start</Label>
+                        <Input
+                          type="date"
+                          value={form.startDate}
+                          onChange={(event) => setForm((prev) => ({ ...prev, startDate: event.target.value }))}
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label>End</Label>
+                        <Input
+                          type="date"
+                          value={form.endDate}
+                          onChange={(event) => setForm((prev) => ({ ...prev, endDate: event.target.value }))}
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label>Monthly rent</Label>
+                        <Input
+                          type="number"
+                          min="0"
+                          value={form.monthlyRent}
+                          onChange={(event) => setForm((prev) => ({ ...prev, monthlyRent: event.target.value }))}
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label>Security deposit</Label>
+                        <Input
+                          type="number"
+                          min="0"
+                          value={form.securityDeposit}
+                          onChange={(event) =>
+                            setForm((prev) => ({ ...prev, securityDeposit: event.target.value }))
+                          }
+                        />
+                      </div>
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label>Recurring charges</Label>
+                      {form.recurringCharges.map((charge, index) => (
+                        <div key={index} className="flex gap-2">
+                          <Input
+                            placeholder="e.g. Parking"
+                            value={charge.description}
+                            onChange={(event) => updateCharge(index, "description", event.target.value)}
+                          />
+                          <Input
+                            type="number"
+                            min="0"
+                            className="w-32"
+                            value={charge.amount}
+                            onChange={(event) => updateCharge(index, "amount", event.target.value)}
+                          />
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() =>
+                              setForm((prev) => ({
+                                ...prev,
+                                recurringCharges: prev.recurringCharges.filter(
+                                  (_, position) => position !== index
+                                ),
+                              }))
+                            }
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="gap-2"
+                        onClick={() =>
+                          setForm((prev) => ({
+                            ...prev,
+                            recurringCharges: [...prev.recurringCharges, { description: "", amount: "" }],
+                          }))
+                        }
+                      >
+                        <Plus className="h-4 w-4" />
+                        Add charge
+                      </Button>
+                    </div>
+
+                    <div className="space-y-1">
+                      <Label>Signed lease</Label>
+                      <select
+                        value={form.documentId}
+                        onChange={(event) => setForm((prev) => ({ ...prev, documentId: event.target.value }))}
+                        className={selectClassName}
+                      >
+                        <option value="">None</option>
+                        {(documentsQuery.data || []).map((document) => (
+                          <option key={document._id} value={document._id}>
+                            {document.title}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-muted-foreground">
+                        Upload the signed copy under Documents with the Lease category to pick it here.
+                      </p>
+                    </div>
+
+                    {saveMutation.error ? <p className="text-red-600">{saveMutation.error.message}</p> : null}
+                    <div className="flex justify-end gap-2">
+                      <Button variant="outline" onClick={() => setForm(null)}>
+                        Cancel
+                      </Button>
+                      <Button
+                        onClick={() => saveMutation.mutate()}
+                        disabled={saveMutation.isPending || !form.endDate}
+                      >
+                        {saveMutation.isPending
+                          ? "Saving..."
+                          : form.mode === "renew"
+                            ? "Renew lease"
+                            : "Save changes"}
+                      </Button>
+                    </div>
+                  </div>
+                ) : null}
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
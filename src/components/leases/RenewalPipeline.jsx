@@ -0,0 +1,493 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Settings2, Trash2, UserCircle2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  fetchRenewalSettings,
+  listLeaseRenewals,
+  proposeLeaseRenewal,
+  removeRentIncreaseCap,
+  respondToLeaseRenewal,
+  saveRenewalSettings,
+  sendRenewalNotice,
+  setRentIncreaseCap,
+  updateLeaseRenewal,
+} from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+const STATUS_BADGES = {
+  draft: { label: "Draft", variant: "outline" },
+  sent: { label: "Awaiting answer", variant: "secondary" },
+  accepted: { label: "Accepted", variant: "default" },
+  declined: { label: "Declined", variant: "destructive" },
+  month_to_month: { label: "Month to month", variant: "secondary" },
+};
+
+const TEMPLATE_FIELDS = [
+  "tenantNames",
+  "propertyAddress",
+  "leaseEndDate",
+  "startDate",
+  "endDate",
+  "currentRent",
+  "proposedRent",
+  "responseDeadline",
+  "landlordName",
+];
+
+const RECENT_ANSWER_DAYS = 60;
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+export default function RenewalPipeline() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [rentDrafts, setRentDrafts] = useState({});
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [settingsForm, setSettingsForm] = useState(null);
+  const [capForm, setCapForm] = useState({ jurisdiction: "", maxIncreasePercent: "" });
+
+  const renewalsQuery = useQuery({
+    queryKey: ["leaseRenewals", userId],
+    queryFn: () => listLeaseRenewals(),
+    enabled: Boolean(userId),
+  });
+
+  const settingsQuery = useQuery({
+    queryKey: ["renewalSettings", userId],
+    queryFn: () => fetchRenewalSettings(),
+    enabled: Boolean(userId) && isSettingsOpen,
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["leaseRenewals", userId] });
+  }
+
+  const proposeMutation = useMutation({ mutationFn: proposeLeaseRenewal, onSuccess: refresh });
+
+  const rentMutation = useMutation({
+    mutationFn: ({ id, proposedRent }) => updateLeaseRenewal({ id, proposedRent }),
+    onSuccess: async (_, { id }) => {
+      await refresh();
+      setRentDrafts((prev) => ({ ...prev, [id]: undefined }));
+    },
+  });
+
+  const sendMutation = useMutation({
+    mutationFn: sendRenewalNotice,
+    onSuccess: async () => {
+      await refresh();
+      await queryClient.invalidateQueries({ queryKey: ["documents", userId] });
+    },
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: ({ id, outcome }) => respondToLeaseRenewal(id, outcome),
+    onSuccess: async () => {
+      await refresh();
+      await queryClient.invalidateQueries({ queryKey: ["leases", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["dashboardSnapshot", userId] });
+    },
+  });
+
+  const saveSettingsMutation = useMutation({
+    mutationFn: (values) =>
+      saveRenewalSettings({
+        leadDays: parseNumber(values.leadDays) ?? 0,
+        termMonths: parseNumber(values.termMonths) ?? 0,
+        responseDays: parseNumber(values.responseDays) ?? 0,
+        reminderIntervalDays: parseNumber(values.reminderIntervalDays) ?? 0,
+        defaultIncreasePercent: parseNumber(values.defaultIncreasePercent) ?? 0,
+        noticeTemplate: values.noticeTemplate,
+      }),
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["renewalSettings", userId] });
+      await refresh();
+      setIsSettingsOpen(false);
+    },
+  });
+
+  const capMutation = useMutation({
+    mutationFn: () =>
+      setRentIncreaseCap({
+        jurisdiction: capForm.jurisdiction.trim(),
+        maxIncreasePercent: parseNumber(capForm.maxIncreasePercent) ?? 0,
+      }),
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["renewalSettings", userId] });
+      setCapForm({ jurisdiction: "", maxIncreasePercent: "" });
+    },
+  });
+
+  const removeCapMutation = useMutation({
+    mutationFn: removeRentIncreaseCap,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["renewalSettings", userId] }),
+  });
+
+  function openSettings() {
+    setSettingsForm(null);
+    setIsSettingsOpen(true);
+  }
+
+  const settings = settingsQuery.data?.settings;
+  const form =
+    settingsForm ||
+    (settings
+      ? {
+          leadDays: String(settings.leadDays),
+          termMonths: String(settings.termMonths),
+          responseDays: String(settings.responseDays),
+          reminderIntervalDays: String(settings.reminderIntervalDays),
+          defaultIncreasePercent: String(settings.defaultIncreasePercent),
+          noticeTemplate: settings.noticeTemplate,
+        }
+      : null);
+
+  function updateForm(field, value) {
+    setSettingsForm({ ...form, [field]: value });
+  }
+
+  // Answered offers drop off after a couple of months.
+  const answeredSince = Date.now() - RECENT_ANSWER_DAYS * 24 * 60 * 60 * 1000;
+  const renewals = (renewalsQuery.data?.renewals || []).filter(
+    (renewal) => !renewal.respondedAt || renewal.respondedAt >= answeredSince
+  );
+  const upcoming = renewalsQuery.data?.upcoming || [];
+  const actionError =
+    proposeMutation.error || rentMutation.error || sendMutation.error || respondMutation.error;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle>Lease Renewals</CardTitle>
+        <Button variant="outline" size="sm" onClick={openSettings}>
+          <Settings2 className="mr-2 h-4 w-4" />
+          Settings
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {renewalsQuery.error ? <p className="text-red-600">{renewalsQuery.error.message}</p> : null}
+        {actionError ? <p className="text-red-600">{actionError.message}</p> : null}
+        {!renewalsQuery.isLoading && renewals.length === 0 && upcoming.length === 0 ? (
+          <div className="rounded-md border p-3 text-muted-foreground">
+            No leases are coming up for renewal.
+          </div>
+        ) : null}
+
+        {upcoming.map((lease) => (
+          <div key={lease.leaseId} className="rounded-md border p-3">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="font-medium flex items-center gap-2">
+                  <UserCircle2 className="h-4 w-4" />
+                  {lease.tenantNames.join(", ")}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  Ends {formatDate(lease.endDate)} · {formatCurrency(lease.monthlyRent)}/mo
+                </p>
+              </div>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => proposeMutation.mutate(lease.leaseId)}
+                disabled={proposeMutation.isPending}
+              >
+                Draft offer
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        {renewals.map((renewal) => {
+          const badge = STATUS_BADGES[renewal.status] || STATUS_BADGES.draft;
+          const isOpen = renewal.status === "draft" || renewal.status === "sent";
+          const rentDraft = rentDrafts[renewal._id];
+          return (
+            <div key={renewal._id} className="space-y-2 rounded-md border p-3">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <p className="font-medium flex items-center gap-2">
+                    <UserCircle2 className="h-4 w-4" />
+                    {renewal.tenantNames.join(", ")}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {renewal.propertyName}
+                    {renewal.unit ? ` · Unit ${renewal.unit}` : ""} · ends {formatDate(renewal.leaseEndDate)}
+                  </p>
+                </div>
+                <Badge variant={badge.variant}>{badge.label}</Badge>
+              </div>
+
+              <p>
+                {formatCurrency(renewal.currentRent)} → {formatCurrency(renewal.proposedRent)}/mo for{" "}
+                {formatDate(renewal.proposedStartDate)} – {formatDate(renewal.proposedEndDate)}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {renewal.marketRent !== undefined
+                  ? `Market estimate ${formatCurrency(renewal.marketRent)}`
+                  : "No market estimate; default increase applied"}
+                {renewal.capPercent !== undefined
+                  ? ` · capped at ${renewal.capPercent}% (${renewal.jurisdiction})`
+                  : ""}
+              </p>
+              {renewal.status === "sent" ? (
+                <p className="text-xs text-muted-foreground">
+                  Sent {formatDate(renewal.sentAt)} · answer due {formatDate(renewal.responseDueAt)} ·{" "}
+                  {renewal.remindersSent} reminder{renewal.remindersSent === 1 ? "" : "s"} sent
+                </p>
+              ) : null}
+              {renewal.respondedAt ? (
+                <p className="text-xs text-muted-foreground">
+                  Answered {formatDate(renewal.respondedAt)}
+                  {renewal.responseNote ? ` · "${renewal.responseNote}"` : ""}
+                </p>
+              ) : null}
+
+              <div className="flex flex-wrap items-center gap-2">
+                {renewal.status === "draft" ? (
+                  <>
+                    <Input
+                      type="number"
+                      min="0"
+                      className="h-9 w-28"
+                      value={rentDraft ?? String(renewal.proposedRent)}
+                      onChange={(event) =>
+                        setRentDrafts((prev) => ({ ...prev, [renewal._id]: event.target.value }))
+                      }
+                    />
+                    {rentDraft !== undefined ? (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() =>
+                          rentMutation.mutate({ id: renewal._id, proposedRent: parseNumber(rentDraft) ?? 0 })
+                        }
+                        disabled={rentMutation.isPending}
+                      >
+                        Save rent
+                      </Button>
+                    ) : null}
+                  </>
+                ) : null}
+                {isOpen ? (
+                  <Button
+                    size="sm"
+                    onClick={() => sendMutation.mutate(renewal._id)}
+                    disabled={sendMutation.isPending || rentDraft !== undefined}
+                  >
+                    {renewal.status === "sent" ? "Resend notice" : "Send notice"}
+                  </Button>
+                ) : null}
+                {renewal.noticeURL ? (
+                  <Button asChild size="sm" variant="outline">
+                    <a href={renewal.noticeURL} target="_blank" rel="noreferrer">
+                      View notice
+                    </a>
+                  </Button>
+                ) : null}
+                {isOpen ? (
+                  <>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => respondMutation.mutate({ id: renewal._id, outcome: "accepted" })}
+                      disabled={respondMutation.isPending}
+                    >
+                      Accepted
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => respondMutation.mutate({ id: renewal._id, outcome: "month_to_month" })}
+                      disabled={respondMutation.isPending}
+                    >
+                      Month to month
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => respondMutation.mutate({ id: renewal._id, outcome: "declined" })}
+                      disabled={respondMutation.isPending}
+                    >
+                      Declined
+                    </Button>
+                  </>
+                ) : null}
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+
+      <Dialog open={isSettingsOpen} onOpenChange={setIsSettingsOpen}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Renewal settings</DialogTitle>
+          </DialogHeader>
+
+          {settingsQuery.isLoading || !form ? (
+            <p className="text-sm text-muted-foreground">Loading settings...</p>
+          ) : (
+            <div className="space-y-4 text-sm">
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label>Draft offers (days before lease end)</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={form.leadDays}
+                    onChange={(event) => updateForm("leadDays", event.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Renewal term (months)</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={form.termMonths}
+                    onChange={(event) => updateForm("termMonths", event.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Days to answer</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={form.responseDays}
+                    onChange={(event) => updateForm("responseDays", event.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Remind every (days)</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={form.reminderIntervalDays}
+                    onChange={(event) => updateForm("reminderIntervalDays", event.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Increase without a market estimate (%)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={form.defaultIncreasePercent}
+                    onChange={(event) => updateForm("defaultIncreasePercent", event.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-1">
+                <Label>Notice letter</Label>
+                <Textarea
+                  rows={10}
+                  value={form.noticeTemplate}
+                  onChange={(event) => updateForm("noticeTemplate", event.target.value)}
+                />
+                <p className="text-xs text-muted-foreground">
+                  Fields: {TEMPLATE_FIELDS.map((field) => `{{${field}}}`).join(", ")}
+                </p>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => updateForm("noticeTemplate", settingsQuery.data.defaultNoticeTemplate)}
+                >
+                  Restore default letter
+                </Button>
+              </div>
+
+              <div className="space-y-2">
+                <Label>Rent increase caps</Label>
+                {(settingsQuery.data?.caps || []).map((cap) => (
+                  <div key={cap._id} className="flex items-center justify-between rounded-md border px-3 py-2">
+                    <span>{cap.jurisdiction}</span>
+                    <div className="flex items-center gap-2">
+                      <span className="text-muted-foreground">up to {cap.maxIncreasePercent}% a year</span>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => removeCapMutation.mutate(cap._id)}
+                        disabled={removeCapMutation.isPending}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+                <div className="flex gap-2">
+                  <Input
+                    placeholder="State (MD) or city (Gaithersburg, MD)"
+                    value={capForm.jurisdiction}
+                    onChange={(event) => setCapForm((prev) => ({ ...prev, jurisdiction: event.target.value }))}
+                  />
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    className="w-28"
+                    placeholder="Max %"
+                    value={capForm.maxIncreasePercent}
+                    onChange={(event) =>
+                      setCapForm((prev) => ({ ...prev, maxIncreasePercent: event.target.value }))
+                    }
+                  />
+                  <Button
+                    variant="outline"
+                    onClick={() => capMutation.mutate()}
+                    disabled={
+                      capMutation.isPending ||
+                      !capForm.jurisdiction.trim() ||
+                      parseNumber(capForm.maxIncreasePercent) === undefined
+                    }
+                  >
+                    Add
+                  </Button>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  A city cap takes precedence over its state's.
+                </p>
+              </div>
+
+              {saveSettingsMutation.error || capMutation.error ? (
+                <p className="text-red-600">
+                  {(saveSettingsMutation.error || capMutation.error).message}
+                </p>
+              ) : null}
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsSettingsOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => saveSettingsMutation.mutate(form)}
+              disabled={saveSettingsMutation.isPending || !form}
+            >
+              {saveSettingsMutation.isPending ? "Saving..." : "Save settings"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,514 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { FileText, Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  approveContractorInvoice,
+  createContractorInvoice,
+  deleteContractorInvoice,
+  generateInvoiceUploadUrl,
+  listContractorInvoices,
+  listWorkOrders,
+  rejectContractorInvoice,
+  setContractorInvoicePaid,
+  unapproveContractorInvoice,
+} from "@/services/dataService";
+import { formatCurrency, formatDate, toDateInputValue } from "@/lib/format";
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+const emptyLineItem = { description: "", quantity: "1", unitPrice: "" };
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function toTimestamp(value) {
+  if (!value) return undefined;
+  const timestamp = new Date(`${value}T00:00:00`).getTime();
+  return Number.isFinite(timestamp) ? timestamp : undefined;
+}
+
+function emptyForm(workOrders) {
+  return {
+    workOrderId: workOrders[0]?._id || "",
+    invoiceNumber: "",
+    invoiceDate: toDateInputValue(Date.now()),
+    dueDate: "",
+    lineItems: [{ ...emptyLineItem }],
+    tax: "",
+    notes: "",
+    file: null,
+  };
+}
+
+async function uploadInvoiceFile(file) {
+  const uploadUrl = await generateInvoiceUploadUrl();
+  const uploadResponse = await fetch(uploadUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+    },
+    body: file,
+  });
+  if (!uploadResponse.ok) {
+    throw new Error(`Upload failed for ${file.name}.`);
+  }
+  const { storageId } = await uploadResponse.json();
+  return { storageId, fileName: file.name, contentType: file.type || undefined };
+}
+
+function invoiceBadge(invoice) {
+  if (invoice.status === "rejected") return { label: "Rejected", variant: "outline" };
+  if (invoice.status === "pending") return { label: "Awaiting approval", variant: "warning" };
+  return invoice.paidAt ? { label: "Paid", variant: "success" } : { label: "Unpaid", variant: "secondary" };
+}
+
+/**
+ * Record contractors' invoices against a request's work orders, and
+ * approve, reject or pay them
+ */
+export default function InvoiceDialog({ request, onClose }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+  const [payment, setPayment] = useState(null);
+
+  const workOrdersQuery = useQuery({
+    queryKey: ["workOrders", userId],
+    queryFn: () => listWorkOrders(),
+    enabled: Boolean(userId),
+  });
+
+  const invoicesQuery = useQuery({
+    queryKey: ["contractorInvoices", userId],
+    queryFn: () => listContractorInvoices(),
+    enabled: Boolean(userId),
+  });
+
+  const workOrders = (workOrdersQuery.data || []).filter((workOrder) => workOrder.requestId === request._id);
+  const invoices = (invoicesQuery.data || []).filter((invoice) => invoice.requestId === request._id);
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["contractorInvoices", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["expenses", userId] });
+  }
+
+  const createMutation = useMutation({
+    mutationFn: async () => {
+      const file = form.file ? await uploadInvoiceFile(form.file) : undefined;
+      return createContractorInvoice({
+        workOrderId: form.workOrderId,
+        invoiceNumber: form.invoiceNumber.trim() || undefined,
+        invoiceDate: toTimestamp(form.invoiceDate) ?? Date.now(),
+        dueDate: toTimestamp(form.dueDate),
+        lineItems: form.lineItems
+          .filter((item) => item.description.trim())
+          .map((item) => ({
+            description: item.description.trim(),
+            quantity: parseNumber(item.quantity) ?? 1,
+            unitPrice: parseNumber(item.unitPrice) ?? 0,
+          })),
+        tax: parseNumber(form.tax) ?? 0,
+        file,
+        notes: form.notes.trim() || undefined,
+      });
+    },
+    onSuccess: async () => {
+      setForm(null);
+      await refresh();
+    },
+  });
+
+  const approveMutation = useMutation({ mutationFn: approveContractorInvoice, onSuccess: refresh });
+  const rejectMutation = useMutation({ mutationFn: rejectContractorInvoice, onSuccess: refresh });
+  const unapproveMutation = useMutation({ mutationFn: unapproveContractorInvoice, onSuccess: refresh });
+  const deleteMutation = useMutation({ mutationFn: deleteContractorInvoice, onSuccess: refresh });
+  const paidMutation = useMutation({
+    mutationFn: setContractorInvoicePaid,
+    onSuccess: async () => {
+      setPayment(null);
+      await refresh();
+    },
+  });
+
+  const actionError =
+    approveMutation.error ||
+    rejectMutation.error ||
+    unapproveMutation.error ||
+    deleteMutation.error ||
+    paidMutation.error;
+
+  function setLineItem(index, field, value) {
+    setForm((prev) => ({
+      ...prev,
+      lineItems: prev.lineItems.map((item, itemIndex) => (itemIndex === index ? { ...item, [field]: value } : item)),
+    }));
+  }
+
+  const subtotal = (form?.lineItems || []).reduce(
+    (sum, item) => sum + (parseNumber(item.quantity) ?? 0) * (parseNumber(item.unitPrice) ?? 0),
+    0
+  );
+  const total = subtotal + (parseNumber(form?.tax) ?? 0);
+  const estimate = request.estimatedCost ?? workOrders.find((entry) => entry._id === form?.workOrderId)?.notToExceed;
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-h-[90vh] max-w-2xl overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Invoices · {request.title}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-4 text-sm">
+          {invoices.map((invoice) => {
+            const badge = invoiceBadge(invoice);
+            return (
+              <div key={invoice._id} className="space-y-2 rounded-md border p-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <p className="font-medium">
+                    {invoice.contractorName}
+                    {invoice.invoiceNumber ? ` · #${invoice.invoiceNumber}` : ""}
+                    <span className="font-normal text-muted-foreground"> · {formatDate(invoice.invoiceDate)}</span>
+                  </p>
+                  <div className="flex items-center gap-2">
+                    {invoice.overEstimate ? (
+                      <Badge variant="destructive">Over estimate by {formatCurrency(invoice.total - invoice.estimate)}</Badge>
+                    ) : null}
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                  </div>
+                </div>
+                <table className="w-full text-xs">
+                  <tbody>
+                    {invoice.lineItems.map((item, index) => (
+                      <tr key={index}>
+                        <td className="py-0.5">{item.description}</td>
+                        <td className="py-0.5 text-right text-muted-foreground">
+                          {item.quantity} × {formatCurrency(item.unitPrice)}
+                        </td>
+                        <td className="py-0.5 text-right">{formatCurrency(item.amount)}</td>
+                      </tr>
+                    ))}
+                    {invoice.tax ? (
+                      <tr>
+                        <td className="py-0.5 text-muted-foreground" colSpan={2}>
+                          Tax
+                        </td>
+                        <td className="py-0.5 text-right">{formatCurrency(invoice.tax)}</td>
+                      </tr>
+                    ) : null}
+                    <tr className="font-medium">
+                      <td className="py-0.5" colSpan={2}>
+                        Total
+                      </td>
+                      <td className="py-0.5 text-right">{formatCurrency(invoice.total)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+                <div className="space-y-1 text-xs text-muted-foreground">
+                  {invoice.dueDate ? <p>Due {formatDate(invoice.dueDate)}</p> : null}
+                  {invoice.paidAt ? (
+                    <p>
+                      Paid {formatDate(invoice.paidAt)}
+                      {invoice.paymentReference ? ` · ${invoice.paymentReference}` : ""}
+                    </p>
+                  ) : null}
+                  {invoice.status === "approved" ? <p>Posted to expenses {formatDate(invoice.approvedAt)}</p> : null}
+                  {invoice.notes ? <p className="whitespace-pre-wrap">{invoice.notes}</p> : null}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {invoice.fileURL ? (
+                    <Button variant="outline" size="sm" className="gap-2" asChild>
+                      <a href={invoice.fileURL} target="_blank" rel="noreferrer">
+                        <FileText className="h-4 w-4" />
+                        {invoice.fileName || "Invoice"}
+                      </a>
+                    </Button>
+                  ) : null}
+                  {invoice.status === "pending" ? (
+                    <>
+                      <Button size="sm" disabled={approveMutation.isPending} onClick={() => approveMutation.mutate(invoice._id)}>
+                        Approve
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={rejectMutation.isPending}
+                        onClick={() => rejectMutation.mutate({ id: invoice._id })}
+                      >
+                        Reject
+                      </Button>
+                    </>
+                  ) : null}
+                  {invoice.status === "approved" && !invoice.paidAt ? (
+                    <>
+                      <Button
+                        size="sm"
+                        onClick={() =>
+                          setPayment({ id: invoice._id, paidAt: toDateInputValue(Date.now()), paymentReference: "" })
+                        }
+                      >
+                        Mark paid
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={unapproveMutation.isPending}
+                        onClick={() => unapproveMutation.mutate(invoice._id)}
+                      >
+                        Undo approval
+                      </Button>
+                    </>
+                  ) : null}
+                  {invoice.paidAt ? (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={paidMutation.isPending}
+                      onClick={() => paidMutation.mutate({ id: invoice._id, paid: false })}
+                    >
+                      Mark unpaid
+                    </Button>
+                  ) : null}
+                  {invoice.status !== "approved" ? (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={deleteMutation.isPending}
+                      onClick={() => deleteMutation.mutate(invoice._id)}
+                    >
+                      Delete
+                    </Button>
+                  ) : null}
+                </div>
+                {payment?.id === invoice._id ? (
+                  <div className="flex flex-wrap items-end gap-2">
+                    <div className="space-y-1">
+                      <Label>Paid on</Label>
+                      <Input
+                        type="date"
+                        value={payment.paidAt}
+                        onChange={(event) => setPayment((prev) => ({ ...prev, paidAt: event.target.value }))}
+                      />
+                    </div>
+                    <div className="flex-1 space-y-1">
+                      <Label>Reference</Label>
+                      <Input
+                        placeholder="Check number, transfer ID..."
+                        value={payment.paymentReference}
+                        onChange={(event) => setPayment((prev) => ({ ...prev, paymentReference: event.target.value }))}
+                      />
+                    </div>
+                    <Button
+                      size="sm"
+                      disabled={paidMutation.isPending}
+                      onClick={() =>
+                        paidMutation.mutate({
+                          id: invoice._id,
+                          paid: true,
+                          paidAt: toTimestamp(payment.paidAt),
+                          paymentReference: payment.paymentReference.trim() || undefined,
+                        })
+                      }
+                    >
+                      Save
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setPayment(null)}>
+                      Cancel
+                    </Button>
+                  </div>
+                ) : null}
+              </div>
+            );
+          })}
+          {actionError ? <p className="text-red-600">{actionError.message}</p> : null}
+          {!invoicesQuery.isLoading && invoices.length === 0 && !form ? (
+            <p className="text-muted-foreground">No invoices recorded for this request yet.</p>
+          ) : null}
+
+          {form ? (
+            <div className="space-y-3 rounded-md border p-3">
+              <p className="font-medium">New invoice</p>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1 sm:col-span-2">
+                  <Label>Work order</Label>
+                  <select
+                    value={form.workOrderId}
+                    onChange={(event) => setForm((prev) => ({ ...prev, workOrderId: event.target.value }))}
+                    className={selectClassName}
+                  >
+                    {workOrders.map((workOrder) => (
+                      <option key={workOrder._id} value={workOrder._id}>
+                        {workOrder.contractorName} · sent {formatDate(workOrder.sentAt)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <Label>Invoice number</Label>
+                  <Input
+                    value={form.invoiceNumber}
+                    onChange={(event) => setForm((prev) => ({ ...prev, invoiceNumber: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Invoice PDF</Label>
+                  <Input
+                    type="file"
+                    accept="application/pdf,image/*"
+                    onChange={(event) => setForm((prev) => ({ ...prev, file: event.target.files?.[0] || null }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Invoice date</Label>
+                  <Input
+                    type="date"
+                    value={form.invoiceDate}
+                    onChange={(event) => setForm((prev) => ({ ...prev, invoiceDate: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Due date</Label>
+                  <Input
+                    type="date"
+                    value={form.dueDate}
+                    onChange={(event) => setForm((prev) => ({ ...prev, dueDate: event.target.value }))}
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label>Line items</Label>
+                {form.lineItems.map((item, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <Input
+                      className="flex-1"
+                      placeholder="Description"
+                      value={item.description}
+                      onChange={(event) => setLineItem(index, "description", event.target.value)}
+                    />
+                    <Input
+                      className="w-20"
+                      type="number"
+                      min="0"
+                      step="any"
+                      aria-label="Quantity"
+                      value={item.quantity}
+                      onChange={(event) => setLineItem(index, "quantity", event.target.value)}
+                    />
+                    <Input
+                      className="w-28"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Unit price"
+                      value={item.unitPrice}
+                      onChange={(event) => setLineItem(index, "unitPrice", event.target.value)}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      disabled={form.lineItems.length === 1}
+                      onClick={() =>
+                        setForm((prev) => ({
+                          ...prev,
+                          lineItems: prev.lineItems.filter((_, itemIndex) => itemIndex !== index),
+                        }))
+                      }
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  className="gap-2"
+                  onClick={() => setForm((prev) => ({ ...prev, lineItems: [...prev.lineItems, { ...emptyLineItem }] }))}
+                >
+                  <Plus className="h-4 w-4" />
+                  Add line
+                </Button>
+              </div>
+
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label>Tax</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.tax}
+                    onChange={(event) => setForm((prev) => ({ ...prev, tax: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1 sm:pt-6">
+                  <p className="font-medium">Total {formatCurrency(total)}</p>
+                  {estimate !== undefined && total > estimate ? (
+                    <p className="text-xs text-red-600">Over the {formatCurrency(estimate)} estimate.</p>
+                  ) : null}
+                </div>
+              </div>
+              <div className="space-y-1">
+                <Label>Notes</Label>
+                <Textarea
+                  rows={2}
+                  value={form.notes}
+                  onChange={(event) => setForm((prev) => ({ ...prev, notes: event.target.value }))}
+                />
+              </div>
+              {createMutation.error ? <p className="text-red-600">{createMutation.error.message}</p> : null}
+            </div>
+          ) : null}
+          {!form && workOrders.length === 0 ? (
+            <p className="text-muted-foreground">Send a work order first; invoices are recorded against it.</p>
+          ) : null}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={form ? () => setForm(null) : onClose}>
+            {form ? "Cancel" : "Close"}
+          </Button>
+          {form ? (
+            <Button
+              disabled={createMutation.isPending || !form.workOrderId || !form.lineItems.some((item) => item.description.trim())}
+              onClick={() => createMutation.mutate()}
+            >
+              {createMutation.isPending ? "Saving..." : "Save invoice"}
+            </Button>
+          ) : (
+            <Button
+              className="gap-2"
+              disabled={workOrders.length === 0}
+              onClick={() => {
+                createMutation.reset();
+                setForm(emptyForm(workOrders));
+              }}
+            >
+              <Plus className="h-4 w-4" />
+              Record invoice
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
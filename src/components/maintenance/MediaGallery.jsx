@@ -0,0 +1,190 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { useAuth } from "@/contexts/AuthContext";
+import { uploadMediaFiles } from "@/lib/media";
+import {
+  addMaintenanceMedia,
+  deleteMaintenanceMedia,
+  listMaintenanceMedia,
+  updateMaintenanceMedia,
+} from "@/services/dataService";
+import { formatDate } from "@/lib/format";
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  { value: "before", label: "Before" },
+  { value: "after", label: "After" },
+];
+
+const TAG_LABELS = {
+  before: "Before",
+  after: "After",
+};
+
+/**
+ * Photos and videos on a maintenance request. Staff can tag them as before
+ * or after the work; tenants can add their own and remove what they added.
+ */
+export default function MediaGallery({ requestId, canTag = false }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [filter, setFilter] = useState("all");
+  const [files, setFiles] = useState([]);
+  const [uploadTag, setUploadTag] = useState("");
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const mediaQueryKey = ["maintenanceMedia", userId, requestId];
+
+  const mediaQuery = useQuery({
+    queryKey: mediaQueryKey,
+    queryFn: () => listMaintenanceMedia(requestId),
+    enabled: Boolean(userId) && Boolean(requestId),
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: mediaQueryKey });
+    await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+  }
+
+  const uploadMutation = useMutation({
+    mutationFn: async () =>
+      addMaintenanceMedia({
+        requestId,
+        files: await uploadMediaFiles(files),
+        tag: uploadTag || undefined,
+      }),
+    onSuccess: async () => {
+      await refresh();
+      setFiles([]);
+      setFileInputKey((key) => key + 1);
+    },
+  });
+
+  const tagMutation = useMutation({
+    mutationFn: ({ id, tag }) => updateMaintenanceMedia(tag ? { id, tag } : { id, clearTag: true }),
+    onSuccess: refresh,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: deleteMaintenanceMedia,
+    onSuccess: refresh,
+  });
+
+  const media = mediaQuery.data?.media || [];
+  const otherPhotoURLs = mediaQuery.data?.otherPhotoURLs || [];
+  const shown = filter === "all" ? media : media.filter((entry) => entry.tag === filter);
+  const error = uploadMutation.error || tagMutation.error || removeMutation.error;
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap gap-2">
+        {FILTERS.map((option) => (
+          <Button
+            key={option.value}
+            variant={filter === option.value ? "default" : "outline"}
+            size="sm"
+            onClick={() => setFilter(option.value)}
+          >
+            {option.label}
+            {option.value === "all"
+              ? ` (${media.length + otherPhotoURLs.length})`
+              : ` (${media.filter((entry) => entry.tag === option.value).length})`}
+          </Button>
+        ))}
+      </div>
+
+      {mediaQuery.isLoading ? <p className="text-muted-foreground">Loading photos...</p> : null}
+      {mediaQuery.error ? <p className="text-red-600">{mediaQuery.error.message}</p> : null}
+      {!mediaQuery.isLoading && shown.length === 0 && (filter !== "all" || otherPhotoURLs.length === 0) ? (
+        <p className="text-muted-foreground">No photos or videos yet.</p>
+      ) : null}
+
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+        {shown.map((entry) => (
+          <div key={entry._id} className="space-y-1 rounded-md border p-2">
+            {entry.kind === "video" ? (
+              <video src={entry.url} controls preload="metadata" className="aspect-square w-full rounded bg-black object-contain" />
+            ) : (
+              <a href={entry.url} target="_blank" rel="noreferrer">
+                <img src={entry.url} alt={entry.caption || entry.fileName} className="aspect-square w-full rounded object-cover" />
+              </a>
+            )}
+            <div className="flex items-center justify-between gap-1">
+              {canTag ? (
+                <select
+                  value={entry.tag || ""}
+                  disabled={tagMutation.isPending}
+                  onChange={(event) => tagMutation.mutate({ id: entry._id, tag: event.target.value })}
+                  className="h-8 rounded-md border bg-background px-2 text-xs"
+                >
+                  <option value="">Untagged</option>
+                  <option value="before">Before</option>
+                  <option value="after">After</option>
+                </select>
+              ) : entry.tag ? (
+                <Badge variant="outline">{TAG_LABELS[entry.tag]}</Badge>
+              ) : (
+                <span />
+              )}
+              {entry.canRemove ? (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={removeMutation.isPending}
+                  onClick={() => removeMutation.mutate(entry._id)}
+                  aria-label={`Remove ${entry.fileName}`}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              ) : null}
+            </div>
+            <p className="truncate text-xs text-muted-foreground">
+              {entry.uploadedByName} · {formatDate(entry.createdAt)}
+            </p>
+          </div>
+        ))}
+        {filter === "all"
+          ? otherPhotoURLs.map((url) => (
+              <a key={url} href={url} target="_blank" rel="noreferrer" className="rounded-md border p-2">
+                <img src={url} alt="" className="aspect-square w-full rounded object-cover" />
+              </a>
+            ))
+          : null}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 border-t pt-3">
+        <Input
+          key={fileInputKey}
+          type="file"
+          accept="image/*,video/*"
+          multiple
+          className="max-w-xs"
+          onChange={(event) => setFiles(Array.from(event.target.files || []))}
+        />
+        {canTag ? (
+          <select
+            value={uploadTag}
+            onChange={(event) => setUploadTag(event.target.value)}
+            className="h-10 rounded-md border bg-background px-3 text-sm"
+          >
+            <option value="">Untagged</option>
+            <option value="before">Before</option>
+            <option value="after">After</option>
+          </select>
+        ) : null}
+        <Button disabled={!files.length || uploadMutation.isPending} onClick={() => uploadMutation.mutate()}>
+          {uploadMutation.isPending ? "Uploading..." : "Upload"}
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Photos are resized before uploading. Videos can be up to 2 minutes and 100 MB.
+      </p>
+      {error ? <p className="text-red-600">{error.message}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,679 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Plus } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  createMaintenanceSchedules,
+  createMaintenanceTemplate,
+  deleteMaintenanceSchedule,
+  deleteMaintenanceTemplate,
+  listContractors,
+  listMaintenanceSchedules,
+  listMaintenanceTemplates,
+  listProperties,
+  listUnits,
+  updateMaintenanceSchedule,
+  updateMaintenanceTemplate,
+} from "@/services/dataService";
+import { formatDate, toDateInputValue } from "@/lib/format";
+
+const PRIORITIES = ["low", "normal", "high", "urgent", "emergency"];
+
+// Common plans to start a template from
+const SUGGESTIONS = [
+  { name: "Replace HVAC filter", category: "HVAC", specialty: "HVAC", intervalCount: 90, intervalUnit: "days" },
+  { name: "Clean gutters", category: "Exterior", specialty: "Gutters", intervalCount: 1, intervalUnit: "years" },
+  { name: "Service furnace", category: "HVAC", specialty: "HVAC", intervalCount: 1, intervalUnit: "years" },
+  {
+    name: "Check smoke detector batteries",
+    category: "Safety",
+    specialty: "Electrical",
+    intervalCount: 6,
+    intervalUnit: "months",
+  },
+];
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+const emptyTemplate = {
+  name: "",
+  descriptionText: "",
+  category: "",
+  specialty: "",
+  priority: "normal",
+  intervalCount: "90",
+  intervalUnit: "days",
+  leadDays: "14",
+};
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function toTimestamp(value) {
+  if (!value) return undefined;
+  const timestamp = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(timestamp) ? timestamp : undefined;
+}
+
+function intervalLabel(template) {
+  const count = template.intervalCount;
+  const unit = count === 1 ? template.intervalUnit.replace(/s$/, "") : template.intervalUnit;
+  return count === 1 ? `Every ${unit}` : `Every ${count} ${unit}`;
+}
+
+// Due dates are whole UTC days
+function formatDueDate(value) {
+  return new Date(value).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Recurring maintenance templates, the properties they're scheduled on, and
+ * how often scheduled visits were done on time
+ */
+export default function PreventiveMaintenance() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [templateForm, setTemplateForm] = useState(null);
+  const [scheduleForm, setScheduleForm] = useState(null);
+  const [editingSchedule, setEditingSchedule] = useState(null);
+
+  const templatesQuery = useQuery({
+    queryKey: ["maintenanceTemplates", userId],
+    queryFn: () => listMaintenanceTemplates(),
+    enabled: Boolean(userId),
+  });
+
+  const schedulesQuery = useQuery({
+    queryKey: ["maintenanceSchedules", userId],
+    queryFn: () => listMaintenanceSchedules(),
+    enabled: Boolean(userId),
+  });
+
+  const propertiesQuery = useQuery({
+    queryKey: ["properties", userId],
+    queryFn: () => listProperties(),
+    enabled: Boolean(userId),
+  });
+
+  const unitsQuery = useQuery({
+    queryKey: ["units", userId],
+    queryFn: () => listUnits(),
+    enabled: Boolean(userId),
+  });
+
+  const contractorsQuery = useQuery({
+    queryKey: ["contractors", userId, "all"],
+    queryFn: () => listContractors(),
+    enabled: Boolean(userId),
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["maintenanceTemplates", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenanceSchedules", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+  }
+
+  const saveTemplateMutation = useMutation({
+    mutationFn: (form) => {
+      const payload = {
+        name: form.name.trim(),
+        descriptionText: form.descriptionText.trim() || undefined,
+        category: form.category.trim(),
+        specialty: form.specialty.trim() || undefined,
+        priority: form.priority,
+        intervalCount: parseNumber(form.intervalCount) ?? 0,
+        intervalUnit: form.intervalUnit,
+        leadDays: parseNumber(form.leadDays),
+      };
+      return form.id ? updateMaintenanceTemplate({ id: form.id, ...payload }) : createMaintenanceTemplate(payload);
+    },
+    onSuccess: async () => {
+      setTemplateForm(null);
+      await refresh();
+    },
+  });
+
+  const createSchedulesMutation = useMutation({
+    mutationFn: createMaintenanceSchedules,
+    onSuccess: async () => {
+      setScheduleForm(null);
+      await refresh();
+    },
+  });
+
+  const updateScheduleMutation = useMutation({
+    mutationFn: updateMaintenanceSchedule,
+    onSuccess: async () => {
+      setEditingSchedule(null);
+      await refresh();
+    },
+  });
+
+  const deleteScheduleMutation = useMutation({ mutationFn: deleteMaintenanceSchedule, onSuccess: refresh });
+  const deleteTemplateMutation = useMutation({ mutationFn: deleteMaintenanceTemplate, onSuccess: refresh });
+
+  const templates = templatesQuery.data || [];
+  const schedules = schedulesQuery.data || [];
+  const properties = propertiesQuery.data || [];
+  const contractors = contractorsQuery.data || [];
+  const scheduleUnits = scheduleForm?.propertyIds.length === 1
+    ? (unitsQuery.data || []).filter((unit) => unit.propertyId === scheduleForm.propertyIds[0])
+    : [];
+
+  const totals = schedules.reduce(
+    (sum, schedule) => ({
+      onTime: sum.onTime + schedule.compliance.onTime,
+      missed: sum.missed + schedule.compliance.missed,
+    }),
+    { onTime: 0, missed: 0 }
+  );
+  const finished = totals.onTime + totals.missed;
+  const listError = deleteScheduleMutation.error || deleteTemplateMutation.error || updateScheduleMutation.error;
+
+  function openSchedule(template) {
+    createSchedulesMutation.reset();
+    setScheduleForm({
+      templateId: template._id,
+      propertyIds: [],
+      unitId: "",
+      contractorId: "",
+      firstDueDate: toDateInputValue(Date.now()),
+    });
+  }
+
+  function toggleProperty(propertyId, checked) {
+    setScheduleForm((prev) => ({
+      ...prev,
+      unitId: "",
+      propertyIds: checked
+        ? [...prev.propertyIds, propertyId]
+        : prev.propertyIds.filter((entry) => entry !== propertyId),
+    }));
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Preventive maintenance</CardTitle>
+        <Button
+          variant="outline"
+          size="sm"
+          className="gap-2"
+          onClick={() => {
+            saveTemplateMutation.reset();
+            setTemplateForm({ ...emptyTemplate });
+          }}
+        >
+          <Plus className="h-4 w-4" />
+          New template
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-6 text-sm">
+        {finished ? (
+          <p>
+            <span className="font-medium">{Math.round((totals.onTime / finished) * 100)}% on time</span>
+            <span className="text-muted-foreground">
+              {" "}
+              · {totals.onTime} on time, {totals.missed} missed in the past year
+            </span>
+          </p>
+        ) : null}
+
+        <div className="space-y-2">
+          <p className="font-medium">Schedules</p>
+          {schedulesQuery.isLoading ? <p className="text-muted-foreground">Loading schedules...</p> : null}
+          {!schedulesQuery.isLoading && schedules.length === 0 ? (
+            <p className="text-muted-foreground">Nothing scheduled yet. Schedule a template on your properties.</p>
+          ) : null}
+          {schedules.length ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="text-xs text-muted-foreground">
+                  <tr>
+                    <th className="py-1 pr-3 font-medium">Task</th>
+                    <th className="py-1 pr-3 font-medium">Property</th>
+                    <th className="py-1 pr-3 font-medium">Contractor</th>
+                    <th className="py-1 pr-3 font-medium">Next due</th>
+                    <th className="py-1 pr-3 font-medium">On time / missed</th>
+                    <th className="py-1 font-medium" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {schedules.map((schedule) => (
+                    <tr key={schedule._id} className="border-t align-top">
+                      <td className="py-2 pr-3">
+                        {schedule.templateName}
+                        {!schedule.active ? (
+                          <Badge variant="outline" className="ml-2">
+                            Paused
+                          </Badge>
+                        ) : null}
+                      </td>
+                      <td className="py-2 pr-3">
+                        {schedule.propertyName}
+                        {schedule.unitLabel ? ` · ${schedule.unitLabel}` : ""}
+                      </td>
+                      <td className="py-2 pr-3">
+                        {schedule.contractorName || <span className="text-muted-foreground">Unassigned</span>}
+                        {schedule.contractorIsDefault ? (
+                          <span className="text-xs text-muted-foreground"> (preferred)</span>
+                        ) : null}
+                      </td>
+                      <td className="py-2 pr-3">
+                        {formatDueDate(schedule.nextDueDate)}
+                        {schedule.openRequestId ? (
+                          <p className="text-xs text-muted-foreground">A request is open</p>
+                        ) : null}
+                      </td>
+                      <td className="py-2 pr-3">
+                        <span className="text-emerald-600">{schedule.compliance.onTime}</span>
+                        {" / "}
+                        <span className={schedule.compliance.missed ? "text-red-600" : ""}>
+                          {schedule.compliance.missed}
+                        </span>
+                      </td>
+                      <td className="py-2 text-right">
+                        <div className="flex justify-end gap-1">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => {
+                              updateScheduleMutation.reset();
+                              setEditingSchedule({
+                                id: schedule._id,
+                                nextDueDate: toDateInputValue(schedule.nextDueDate),
+                                contractorId: schedule.contractorId || "",
+                                title: `${schedule.templateName} · ${schedule.propertyName}`,
+                              });
+                            }}
+                          >
+                            Edit
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            disabled={updateScheduleMutation.isPending}
+                            onClick={() => updateScheduleMutation.mutate({ id: schedule._id, active: !schedule.active })}
+                          >
+                            {schedule.active ? "Pause" : "Resume"}
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            disabled={deleteScheduleMutation.isPending}
+                            onClick={() => deleteScheduleMutation.mutate(schedule._id)}
+                          >
+                            Remove
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+        </div>
+
+        <div className="space-y-2">
+          <p className="font-medium">Templates</p>
+          {!templatesQuery.isLoading && templates.length === 0 ? (
+            <p className="text-muted-foreground">
+              Templates describe recurring work once, so it can be scheduled on any property.
+            </p>
+          ) : null}
+          {templates.map((template) => (
+            <div
+              key={template._id}
+              className="flex flex-col gap-2 rounded-md border p-3 sm:flex-row sm:items-center sm:justify-between"
+            >
+              <div>
+                <p className="font-medium">{template.name}</p>
+                <p className="text-xs text-muted-foreground">
+                  {intervalLabel(template)} · {template.category}
+                  {template.specialty ? ` · ${template.specialty} contractor` : ""} · created {template.leadDays} days
+                  ahead · {template.scheduleCount} {template.scheduleCount === 1 ? "schedule" : "schedules"}
+                </p>
+              </div>
+              <div className="flex gap-1">
+                <Button size="sm" onClick={() => openSchedule(template)}>
+                  Schedule
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => {
+                    saveTemplateMutation.reset();
+                    setTemplateForm({
+                      id: template._id,
+                      name: template.name,
+                      descriptionText: template.descriptionText || "",
+                      category: template.category,
+                      specialty: template.specialty || "",
+                      priority: template.priority,
+                      intervalCount: String(template.intervalCount),
+                      intervalUnit: template.intervalUnit,
+                      leadDays: String(template.leadDays),
+                    });
+                  }}
+                >
+                  Edit
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={deleteTemplateMutation.isPending || template.scheduleCount > 0}
+                  onClick={() => deleteTemplateMutation.mutate(template._id)}
+                >
+                  Delete
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+        {listError ? <p className="text-red-600">{listError.message}</p> : null}
+      </CardContent>
+
+      <Dialog open={Boolean(templateForm)} onOpenChange={(open) => !open && setTemplateForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{templateForm?.id ? "Edit template" : "New template"}</DialogTitle>
+          </DialogHeader>
+          {templateForm ? (
+            <div className="space-y-3 text-sm">
+              {!templateForm.id ? (
+                <div className="flex flex-wrap gap-2">
+                  {SUGGESTIONS.map((suggestion) => (
+                    <Button
+                      key={suggestion.name}
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() =>
+                        setTemplateForm((prev) => ({
+                          ...prev,
+                          ...suggestion,
+                          intervalCount: String(suggestion.intervalCount),
+                        }))
+                      }
+                    >
+                      {suggestion.name}
+                    </Button>
+                  ))}
+                </div>
+              ) : null}
+              <div className="space-y-1">
+                <Label>Name</Label>
+                <Input
+                  value={templateForm.name}
+                  onChange={(event) => setTemplateForm((prev) => ({ ...prev, name: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Instructions</Label>
+                <Textarea
+                  rows={3}
+                  value={templateForm.descriptionText}
+                  onChange={(event) => setTemplateForm((prev) => ({ ...prev, descriptionText: event.target.value }))}
+                />
+              </div>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label>Category</Label>
+                  <Input
+                    value={templateForm.category}
+                    onChange={(event) => setTemplateForm((prev) => ({ ...prev, category: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Contractor specialty</Label>
+                  <Input
+                    placeholder="Assigns your preferred contractor"
+                    value={templateForm.specialty}
+                    onChange={(event) => setTemplateForm((prev) => ({ ...prev, specialty: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Repeat every</Label>
+                  <div className="flex gap-2">
+                    <Input
+                      type="number"
+                      min="1"
+                      className="w-24"
+                      value={templateForm.intervalCount}
+                      onChange={(event) => setTemplateForm((prev) => ({ ...prev, intervalCount: event.target.value }))}
+                    />
+                    <select
+                      value={templateForm.intervalUnit}
+                      onChange={(event) => setTemplateForm((prev) => ({ ...prev, intervalUnit: event.target.value }))}
+                      className={selectClassName}
+                    >
+                      <option value="days">days</option>
+                      <option value="months">months</option>
+                      <option value="years">years</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <Label>Create the request (days ahead)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    max="90"
+                    value={templateForm.leadDays}
+                    onChange={(event) => setTemplateForm((prev) => ({ ...prev, leadDays: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Priority</Label>
+                  <select
+                    value={templateForm.priority}
+                    onChange={(event) => setTemplateForm((prev) => ({ ...prev, priority: event.target.value }))}
+                    className={selectClassName}
+                  >
+                    {PRIORITIES.map((priority) => (
+                      <option key={priority} value={priority}>
+                        {priority}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {templateForm.id ? (
+                <p className="text-xs text-muted-foreground">
+                  Changes apply to every property scheduled with this template, from their next request on.
+                </p>
+              ) : null}
+              {saveTemplateMutation.error ? (
+                <p className="text-red-600">{saveTemplateMutation.error.message}</p>
+              ) : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setTemplateForm(null)}>
+              Cancel
+            </Button>
+            <Button
+              disabled={saveTemplateMutation.isPending || !templateForm?.name.trim() || !templateForm?.category.trim()}
+              onClick={() => saveTemplateMutation.mutate(templateForm)}
+            >
+              {saveTemplateMutation.isPending ? "Saving..." : "Save template"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(scheduleForm)} onOpenChange={(open) => !open && setScheduleForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              Schedule {templates.find((template) => template._id === scheduleForm?.templateId)?.name}
+            </DialogTitle>
+          </DialogHeader>
+          {scheduleForm ? (
+            <div className="space-y-3 text-sm">
+              <div className="space-y-1">
+                <Label>Properties</Label>
+                <div className="max-h-48 space-y-1 overflow-y-auto rounded-md border p-2">
+                  {properties.map((property) => (
+                    <label key={property._id} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4"
+                        checked={scheduleForm.propertyIds.includes(property._id)}
+                        onChange={(event) => toggleProperty(property._id, event.target.checked)}
+                      />
+                      {property.name || property.address}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {scheduleUnits.length > 1 ? (
+                <div className="space-y-1">
+                  <Label>Unit</Label>
+                  <select
+                    value={scheduleForm.unitId}
+                    onChange={(event) => setScheduleForm((prev) => ({ ...prev, unitId: event.target.value }))}
+                    className={selectClassName}
+                  >
+                    <option value="">Whole property</option>
+                    {scheduleUnits.map((unit) => (
+                      <option key={unit._id} value={unit._id}>
+                        {unit.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : null}
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label>First due</Label>
+                  <Input
+                    type="date"
+                    value={scheduleForm.firstDueDate}
+                    onChange={(event) => setScheduleForm((prev) => ({ ...prev, firstDueDate: event.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label>Contractor</Label>
+                  <select
+                    value={scheduleForm.contractorId}
+                    onChange={(event) => setScheduleForm((prev) => ({ ...prev, contractorId: event.target.value }))}
+                    className={selectClassName}
+                  >
+                    <option value="">Preferred for the specialty</option>
+                    {contractors.map((contractor) => (
+                      <option key={contractor._id} value={contractor._id}>
+                        {contractor.companyName}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {createSchedulesMutation.error ? (
+                <p className="text-red-600">{createSchedulesMutation.error.message}</p>
+              ) : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setScheduleForm(null)}>
+              Cancel
+            </Button>
+            <Button
+              disabled={createSchedulesMutation.isPending || !scheduleForm?.propertyIds.length || !scheduleForm?.firstDueDate}
+              onClick={() =>
+                createSchedulesMutation.mutate({
+                  templateId: scheduleForm.templateId,
+                  propertyIds: scheduleForm.propertyIds,
+                  unitId: scheduleForm.unitId || undefined,
+                  contractorId: scheduleForm.contractorId || undefined,
+                  firstDueDate: toTimestamp(scheduleForm.firstDueDate),
+                })
+              }
+            >
+              {createSchedulesMutation.isPending ? "Scheduling..." : "Schedule"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(editingSchedule)} onOpenChange={(open) => !open && setEditingSchedule(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingSchedule?.title}</DialogTitle>
+          </DialogHeader>
+          {editingSchedule ? (
+            <div className="grid gap-3 text-sm sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Next due</Label>
+                <Input
+                  type="date"
+                  value={editingSchedule.nextDueDate}
+                  onChange={(event) => setEditingSchedule((prev) => ({ ...prev, nextDueDate: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Contractor</Label>
+                <select
+                  value={editingSchedule.contractorId}
+                  onChange={(event) => setEditingSchedule((prev) => ({ ...prev, contractorId: event.target.value }))}
+                  className={selectClassName}
+                >
+                  <option value="">Preferred for the specialty</option>
+                  {contractors.map((contractor) => (
+                    <option key={contractor._id} value={contractor._id}>
+                      {contractor.companyName}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {updateScheduleMutation.error ? (
+                <p className="text-red-600 sm:col-span-2">{updateScheduleMutation.error.message}</p>
+              ) : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditingSchedule(null)}>
+              Cancel
+            </Button>
+            <Button
+              disabled={updateScheduleMutation.isPending}
+              onClick={() =>
+                updateScheduleMutation.mutate({
+                  id: editingSchedule.id,
+                  nextDueDate: toTimestamp(editingSchedule.nextDueDate),
+                  contractorId: editingSchedule.contractorId || undefined,
+                  clearContractorId: !editingSchedule.contractorId,
+                })
+              }
+            >
+              {updateScheduleMutation.isPending ? "Saving..." : "Save"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Lock, Mail, Paperclip } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  listMaintenanceMessages,
+  postMaintenanceMessage,
+  uploadMaintenanceFile,
+} from "@/services/dataService";
+
+const AUTHOR_LABELS = {
+  staff: "Landlord",
+  tenant: "Tenant",
+  contractor: "Contractor",
+};
+
+function formatTime(value) {
+  return new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Conversation on a maintenance request. Staff can also post internal
+ * notes, which tenants and contractors never see.
+ */
+export default function RequestThread({ requestId, allowInternal = false }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [body, setBody] = useState("");
+  const [files, setFiles] = useState([]);
+  const [internal, setInternal] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const messagesQuery = useQuery({
+    queryKey: ["maintenanceMessages", userId, requestId],
+    queryFn: () => listMaintenanceMessages(requestId),
+    enabled: Boolean(userId) && Boolean(requestId),
+  });
+
+  const postMutation = useMutation({
+    mutationFn: async () => {
+      const attachments = [];
+      for (const file of files) {
+        attachments.push({ storageId: await uploadMaintenanceFile(file), fileName: file.name });
+      }
+      return postMaintenanceMessage({ requestId, body, internal, attachments });
+    },
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceMessages", userId, requestId] });
+      setBody("");
+      setFiles([]);
+      setInternal(false);
+      setFileInputKey((key) => key + 1);
+    },
+  });
+
+  const messages = messagesQuery.data || [];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {messagesQuery.isLoading ? <p className="text-muted-foreground">Loading messages...</p> : null}
+      {messagesQuery.error ? <p className="text-red-600">{messagesQuery.error.message}</p> : null}
+      {!messagesQuery.isLoading && !messages.length ? (
+        <p className="text-muted-foreground">No messages yet.</p>
+      ) : null}
+
+      <div className="max-h-96 space-y-2 overflow-y-auto">
+        {messages.map((message) => (
+          <div
+            key={message._id}
+            className={`rounded-md border p-3 ${message.internal ? "border-dashed bg-amber-50 dark:bg-amber-950/30" : ""}`}
+          >
+            <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+              <span className="font-medium text-foreground">{message.authorName}</span>
+              <span>{AUTHOR_LABELS[message.authorType] || message.authorType}</span>
+              <span>· {formatTime(message.createdAt)}</span>
+              {message.via === "email" ? (
+                <span className="inline-flex items-center gap-1">
+                  <Mail className="h-3 w-3" />
+                  by email
+                </span>
+              ) : null}
+              {message.internal ? (
+                <Badge variant="warning" className="gap-1">
+                  <Lock className="h-3 w-3" />
+                  Internal
+                </Badge>
+              ) : null}
+            </div>
+            {message.body ? <p className="mt-1 whitespace-pre-line">{message.body}</p> : null}
+            {message.attachments.length ? (
+              <div className="mt-2 flex flex-wrap gap-2">
+                {message.attachments.map((attachment) =>
+                  attachment.contentType?.startsWith("image/") ? (
+                    <a key={attachment.storageId} href={attachment.url} target="_blank" rel="noreferrer">
+                      <img
+                        src={attachment.url}
+                        alt={attachment.fileName}
+                        className="h-24 w-24 rounded-md object-cover"
+                      />
+                    </a>
+                  ) : (
+                    <a
+                      key={attachment.storageId}
+                      href={attachment.url}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="inline-flex items-center gap-1 text-primary underline-offset-4 hover:underline"
+                    >
+                      <Paperclip className="h-3 w-3" />
+                      {attachment.fileName}
+                    </a>
+                  )
+                )}
+              </div>
+            ) : null}
+          </div>
+        ))}
+      </div>
+
+      <form
+        className="space-y-2"
+        onSubmit={(event) => {
+          event.preventDefault();
+          postMutation.mutate();
+        }}
+      >
+        <Textarea
+          rows={3}
+          placeholder={internal ? "Internal note for your team" : "Write a message"}
+          value={body}
+          onChange={(event) => setBody(event.target.value)}
+        />
+        <Input
+          key={fileInputKey}
+          type="file"
+          accept="image/*,application/pdf"
+          multiple
+          onChange={(event) => setFiles(Array.from(event.target.files || []))}
+        />
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          {allowInternal ? (
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                className="h-4 w-4"
+                checked={internal}
+                onChange={(event) => setInternal(event.target.checked)}
+              />
+              Internal note (hidden from the tenant and contractor)
+            </label>
+          ) : (
+            <span />
+          )}
+          <Button type="submit" disabled={postMutation.isPending || (!body.trim() && !files.length)}>
+            {postMutation.isPending ? "Sending..." : internal ? "Add note" : "Send"}
+          </Button>
+        </div>
+        {postMutation.error ? <p className="text-red-600">{postMutation.error.message}</p> : null}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import { fetchSlaReport, saveSlaTargets } from "@/services/dataService";
+
+const PERIODS = [
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 365, label: "Last year" },
+];
+
+const STAGES = [
+  { stage: "acknowledge", field: "acknowledgeHours", label: "Acknowledge" },
+  { stage: "schedule", field: "scheduleHours", label: "Schedule" },
+  { stage: "complete", field: "completeHours", label: "Complete" },
+];
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function formatHours(hours) {
+  return hours % 24 === 0 && hours >= 48 ? `${hours / 24} d` : `${hours} h`;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? "—" : `${value}%`;
+}
+
+function stageCell(totals) {
+  const measured = totals.met + totals.breached;
+  return measured ? `${totals.met}/${measured}` : "—";
+}
+
+function ComplianceTable({ title, rows }) {
+  if (!rows.length) return null;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-left">
+        <thead className="text-xs text-muted-foreground">
+          <tr>
+            <th className="py-1 pr-3 font-medium">{title}</th>
+            <th className="py-1 pr-3 font-medium">Requests</th>
+            {STAGES.map((stage) => (
+              <th key={stage.stage} className="py-1 pr-3 font-medium">
+                {stage.label}
+              </th>
+            ))}
+            <th className="py-1 font-medium">On target</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.key} className="border-t">
+              <td className="py-1 pr-3">{row.label}</td>
+              <td className="py-1 pr-3">{row.requests}</td>
+              {STAGES.map((stage) => (
+                <td key={stage.stage} className="py-1 pr-3">
+                  {stageCell(row.stages[stage.stage])}
+                </td>
+              ))}
+              <td className={`py-1 ${row.compliancePercent !== null && row.compliancePercent < 80 ? "text-red-600" : ""}`}>
+                {formatPercent(row.compliancePercent)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Response targets by priority, and how often contractors and properties
+ * met them
+ */
+export default function SlaReport() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [days, setDays] = useState(90);
+  const [targetsForm, setTargetsForm] = useState(null);
+
+  const reportQuery = useQuery({
+    queryKey: ["maintenanceSla", userId, days],
+    queryFn: () => fetchSlaReport(days),
+    enabled: Boolean(userId),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: saveSlaTargets,
+    onSuccess: async () => {
+      setTargetsForm(null);
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceSla", userId] });
+    },
+  });
+
+  const report = reportQuery.data;
+
+  function openTargets() {
+    saveMutation.reset();
+    setTargetsForm(
+      report.targets.map((target) => ({
+        priority: target.priority,
+        acknowledgeHours: String(target.acknowledgeHours),
+        scheduleHours: String(target.scheduleHours),
+        completeHours: String(target.completeHours),
+      }))
+    );
+  }
+
+  function setTarget(index, field, value) {
+    setTargetsForm((prev) => prev.map((target, targetIndex) => (targetIndex === index ? { ...target, [field]: value } : target)));
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Response targets</CardTitle>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="sm" disabled={!report} onClick={openTargets}>
+            Edit targets
+          </Button>
+          <select
+            value={days}
+            onChange={(event) => setDays(Number(event.target.value))}
+            className="h-9 rounded-md border bg-background px-3 text-sm"
+          >
+            {PERIODS.map((period) => (
+              <option key={period.days} value={period.days}>
+                {period.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {reportQuery.isLoading ? <p className="text-muted-foreground">Loading report...</p> : null}
+        {reportQuery.error ? <p className="text-red-600">{reportQuery.error.message}</p> : null}
+
+        {report ? (
+          <>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
+              {report.targets.map((target) => (
+                <span key={target.priority}>
+                  <span className="font-medium text-foreground">{target.priority}</span>:{" "}
+                  {STAGES.map((stage) => formatHours(target[stage.field])).join(" / ")}
+                </span>
+              ))}
+            </div>
+            {report.overall.requests ? (
+              <>
+                <p>
+                  <span className="font-medium">{formatPercent(report.overall.compliancePercent)} on target</span>
+                  <span className="text-muted-foreground">
+                    {" "}
+                    · {report.overall.breached} missed{" "}
+                    {report.overall.breached === 1 ? "target" : "targets"} across {report.overall.requests}{" "}
+                    {report.overall.requests === 1 ? "request" : "requests"}
+                  </span>
+                </p>
+                <ComplianceTable
+                  title="Contractor"
+                  rows={report.byContractor.map((row) => ({
+                    key: row.contractorId || "unassigned",
+                    label: row.contractorName,
+                    ...row,
+                  }))}
+                />
+                <ComplianceTable
+                  title="Property"
+                  rows={report.byProperty.map((row) => ({ key: row.propertyId, label: row.propertyName, ...row }))}
+                />
+                <p className="text-xs text-muted-foreground">
+                  Stages met out of those measured, timed from when each request was filed. Preventive visits are
+                  measured by their due date instead.
+                </p>
+              </>
+            ) : (
+              <p className="text-muted-foreground">No requests filed in this period.</p>
+            )}
+          </>
+        ) : null}
+      </CardContent>
+
+      <Dialog open={Boolean(targetsForm)} onOpenChange={(open) => !open && setTargetsForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Response targets (hours)</DialogTitle>
+          </DialogHeader>
+          {targetsForm ? (
+            <div className="space-y-3 text-sm">
+              <table className="w-full text-left">
+                <thead className="text-xs text-muted-foreground">
+                  <tr>
+                    <th className="py-1 pr-2 font-medium">Priority</th>
+                    {STAGES.map((stage) => (
+                      <th key={stage.stage} className="py-1 pr-2 font-medium">
+                        {stage.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {targetsForm.map((target, index) => (
+                    <tr key={target.priority}>
+                      <td className="py-1 pr-2">{target.priority}</td>
+                      {STAGES.map((stage) => (
+                        <td key={stage.stage} className="py-1 pr-2">
+                          <Input
+                            type="number"
+                            min="1"
+                            value={target[stage.field]}
+                            onChange={(event) => setTarget(index, stage.field, event.target.value)}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-muted-foreground">
+                Requests still open past a target are flagged in the feed and emailed to you.
+              </p>
+              {saveMutation.error ? <p className="text-red-600">{saveMutation.error.message}</p> : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setTargetsForm(null)}>
+              Cancel
+            </Button>
+            <Button
+              disabled={saveMutation.isPending}
+              onClick={() =>
+                saveMutation.mutate(
+                  targetsForm.map((target) => ({
+                    priority: target.priority,
+                    acknowledgeHours: parseNumber(target.acknowledgeHours) ?? 0,
+                    scheduleHours: parseNumber(target.scheduleHours) ?? 0,
+                    completeHours: parseNumber(target.completeHours) ?? 0,
+                  }))
+                )
+              }
+            >
+              {saveMutation.isPending ? "Saving..." : "Save targets"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
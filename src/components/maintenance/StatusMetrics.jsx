@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useAuth } from "@/contexts/AuthContext";
+import { fetchMaintenanceStatusMetrics } from "@/services/dataService";
+
+const PERIODS = [
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 365, label: "Last year" },
+];
+
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return "—";
+  return hours >= 48 ? `${Math.round((hours / 24) * 10) / 10} d` : `${hours} h`;
+}
+
+function MetricsTable({ title, rows, statuses }) {
+  if (!rows.length) return null;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-left">
+        <thead className="text-xs text-muted-foreground">
+          <tr>
+            <th className="py-1 pr-3 font-medium">{title}</th>
+            <th className="py-1 pr-3 font-medium">Requests</th>
+            {statuses.map((status) => (
+              <th key={status.status} className="py-1 pr-3 font-medium">
+                {status.label}
+              </th>
+            ))}
+            <th className="py-1 font-medium">To complete</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.key} className="border-t">
+              <td className="py-1 pr-3">{row.label}</td>
+              <td className="py-1 pr-3">{row.requests}</td>
+              {statuses.map((status) => (
+                <td key={status.status} className="py-1 pr-3">
+                  {formatHours(row.averageHours[status.status])}
+                </td>
+              ))}
+              <td className="py-1">{formatHours(row.averageResolutionHours)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function StatusMetrics() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const [days, setDays] = useState(90);
+
+  const metricsQuery = useQuery({
+    queryKey: ["maintenanceMetrics", userId, days],
+    queryFn: () => fetchMaintenanceStatusMetrics(days),
+    enabled: Boolean(userId),
+  });
+
+  const metrics = metricsQuery.data;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Time in status</CardTitle>
+        <select
+          value={days}
+          onChange={(event) => setDays(Number(event.target.value))}
+          className="h-9 rounded-md border bg-background px-3 text-sm"
+        >
+          {PERIODS.map((period) => (
+            <option key={period.days} value={period.days}>
+              {period.label}
+            </option>
+          ))}
+        </select>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {metricsQuery.isLoading ? <p className="text-muted-foreground">Loading metrics...</p> : null}
+        {metricsQuery.error ? <p className="text-red-600">{metricsQuery.error.message}</p> : null}
+        {metrics && !metrics.overall.requests ? (
+          <p className="text-muted-foreground">No requests filed in this period.</p>
+        ) : null}
+
+        {metrics?.overall.requests ? (
+          <>
+            <p className="text-xs text-muted-foreground">
+              Average time a request spends in each status, counting requests filed in this period.
+            </p>
+            <MetricsTable
+              title="All requests"
+              statuses={metrics.statuses}
+              rows={[{ key: "all", label: "All", ...metrics.overall }]}
+            />
+            <MetricsTable
+              title="Category"
+              statuses={metrics.statuses}
+              rows={metrics.byCategory.map((row) => ({ key: row.category, label: row.category, ...row }))}
+            />
+            <MetricsTable
+              title="Property"
+              statuses={metrics.statuses}
+              rows={metrics.byProperty.map((row) => ({ key: row.propertyId, label: row.propertyName, ...row }))}
+            />
+          </>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,286 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Copy, Send } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  cancelWorkOrder,
+  confirmWorkOrderTime,
+  dispatchWorkOrder,
+  listContractors,
+  listWorkOrders,
+} from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+const STATUS_BADGES = {
+  sent: { label: "Waiting for reply", variant: "secondary" },
+  accepted: { label: "Accepted", variant: "success" },
+  proposed: { label: "New time proposed", variant: "warning" },
+  declined: { label: "Declined", variant: "destructive" },
+  cancelled: { label: "Withdrawn", variant: "outline" },
+};
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+// Visit times are the property's wall-clock time, kept in UTC
+function formatVisit(value) {
+  return new Date(value).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Send a request to a contractor as a work order, and follow up on the
+ * ones already sent
+ */
+export default function WorkOrderDialog({ request, onClose }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(() => ({
+    contractorId: request.contractorId || "",
+    scope: request.description || "",
+    accessInstructions: "",
+    shareTenantContact: Boolean(request.tenantId),
+    notToExceed: "",
+  }));
+  const [result, setResult] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const contractorsQuery = useQuery({
+    queryKey: ["contractors", userId, "all"],
+    queryFn: () => listContractors(),
+    enabled: Boolean(userId),
+  });
+
+  const workOrdersQuery = useQuery({
+    queryKey: ["workOrders", userId],
+    queryFn: () => listWorkOrders(),
+    enabled: Boolean(userId),
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["workOrders", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenanceMetrics", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenanceMessages", userId, request._id] });
+  }
+
+  const dispatchMutation = useMutation({
+    mutationFn: () =>
+      dispatchWorkOrder({
+        requestId: request._id,
+        contractorId: form.contractorId,
+        scope: form.scope,
+        accessInstructions: form.accessInstructions || undefined,
+        shareTenantContact: form.shareTenantContact,
+        notToExceed: parseNumber(form.notToExceed),
+      }),
+    onSuccess: async (data) => {
+      setResult(data);
+      setCopied(false);
+      await refresh();
+    },
+  });
+
+  const confirmMutation = useMutation({ mutationFn: confirmWorkOrderTime, onSuccess: refresh });
+  const cancelMutation = useMutation({ mutationFn: cancelWorkOrder, onSuccess: refresh });
+
+  // Only a hash of the link's token is kept, so it can be copied just
+  // after sending
+  async function copyLink(link) {
+    await navigator.clipboard.writeText(link);
+    setCopied(true);
+  }
+
+  const workOrders = (workOrdersQuery.data || []).filter((workOrder) => workOrder.requestId === request._id);
+  const contractors = contractorsQuery.data || [];
+  const selected = contractors.find((contractor) => contractor._id === form.contractorId);
+  const actionError = confirmMutation.error || cancelMutation.error;
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-h-[90vh] max-w-2xl overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Work order · {request.title}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-4 text-sm">
+          {workOrders.length ? (
+            <div className="space-y-2">
+              {workOrders.map((workOrder) => {
+                const badge = STATUS_BADGES[workOrder.status] || { label: workOrder.status, variant: "outline" };
+                const open = ["sent", "accepted", "proposed"].includes(workOrder.status);
+                return (
+                  <div key={workOrder._id} className="space-y-2 rounded-md border p-3">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <p className="font-medium">
+                        {workOrder.contractorName}
+                        <span className="font-normal text-muted-foreground"> · sent {formatDate(workOrder.sentAt)}</span>
+                      </p>
+                      <Badge variant={badge.variant}>{badge.label}</Badge>
+                    </div>
+                    {workOrder.scheduledTime ? <p>Visit: {formatVisit(workOrder.scheduledTime)}</p> : null}
+                    {workOrder.proposedTime ? <p>Proposed: {formatVisit(workOrder.proposedTime)}</p> : null}
+                    {workOrder.contractorNote ? (
+                      <p className="text-muted-foreground">“{workOrder.contractorNote}”</p>
+                    ) : null}
+                    {open ? (
+                      <div className="flex flex-wrap gap-2">
+                        {workOrder.status === "proposed" ? (
+                          <Button
+                            size="sm"
+                            disabled={confirmMutation.isPending}
+                            onClick={() => confirmMutation.mutate(workOrder._id)}
+                          >
+                            Confirm time
+                          </Button>
+                        ) : null}
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={cancelMutation.isPending}
+                          onClick={() => cancelMutation.mutate(workOrder._id)}
+                        >
+                          Withdraw
+                        </Button>
+                      </div>
+                    ) : null}
+                  </div>
+                );
+              })}
+              {actionError ? <p className="text-red-600">{actionError.message}</p> : null}
+            </div>
+          ) : null}
+
+          <div className="space-y-3 rounded-md border p-3">
+            <p className="font-medium">{workOrders.length ? "Send a new work order" : "Send a work order"}</p>
+            <div className="space-y-1">
+              <Label>Contractor</Label>
+              <select
+                value={form.contractorId}
+                onChange={(event) => setForm((prev) => ({ ...prev, contractorId: event.target.value }))}
+                className={selectClassName}
+              >
+                <option value="">Select contractor</option>
+                {contractors.map((contractor) => (
+                  <option key={contractor._id} value={contractor._id}>
+                    {contractor.companyName}
+                    {contractor.contactName && contractor.contactName !== contractor.companyName
+                      ? ` (${contractor.contactName})`
+                      : ""}
+                    {contractor.email ? "" : " · no email"}
+                  </option>
+                ))}
+              </select>
+              {selected && !selected.email ? (
+                <p className="text-xs text-red-600">Add an email address for this contractor first.</p>
+              ) : null}
+            </div>
+            <div className="space-y-1">
+              <Label>Scope of work</Label>
+              <Textarea
+                rows={4}
+                value={form.scope}
+                onChange={(event) => setForm((prev) => ({ ...prev, scope: event.target.value }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label>Access instructions</Label>
+              <Textarea
+                rows={2}
+                placeholder="e.g. Lockbox on the side door, code 1234. Dog in the back yard."
+                value={form.accessInstructions}
+                onChange={(event) => setForm((prev) => ({ ...prev, accessInstructions: event.target.value }))}
+              />
+            </div>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Not to exceed</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  placeholder="No limit"
+                  value={form.notToExceed}
+                  onChange={(event) => setForm((prev) => ({ ...prev, notToExceed: event.target.value }))}
+                />
+              </div>
+              <label className="flex items-center gap-2 sm:pt-6">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4"
+                  disabled={!request.tenantId}
+                  checked={form.shareTenantContact}
+                  onChange={(event) => setForm((prev) => ({ ...prev, shareTenantContact: event.target.checked }))}
+                />
+                Share the tenant's contact details
+              </label>
+            </div>
+            {request.photoURLs?.length ? (
+              <p className="text-xs text-muted-foreground">
+                The request's {request.photoURLs.length} photo{request.photoURLs.length === 1 ? "" : "s"} will be
+                included.
+              </p>
+            ) : null}
+            {form.notToExceed && parseNumber(form.notToExceed) !== undefined ? (
+              <p className="text-xs text-muted-foreground">
+                The contractor is asked to check with you before going over{" "}
+                {formatCurrency(parseNumber(form.notToExceed))}.
+              </p>
+            ) : null}
+            {dispatchMutation.error ? <p className="text-red-600">{dispatchMutation.error.message}</p> : null}
+            {result ? (
+              <div className="flex flex-wrap items-center gap-2">
+                <p className={result.emailed ? "text-emerald-600" : "text-amber-600"}>
+                  {result.emailed
+                    ? "Work order emailed."
+                    : "The work order was created but couldn't be emailed. Copy its link and send it another way."}
+                </p>
+                <Button variant="outline" size="sm" className="gap-2" onClick={() => copyLink(result.link)}>
+                  <Copy className="h-4 w-4" />
+                  {copied ? "Copied" : "Copy link"}
+                </Button>
+              </div>
+            ) : null}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          <Button
+            className="gap-2"
+            disabled={dispatchMutation.isPending || !form.contractorId || !form.scope.trim() || !selected?.email}
+            onClick={() => dispatchMutation.mutate()}
+          >
+            <Send className="h-4 w-4" />
+            {dispatchMutation.isPending ? "Sending..." : "Send work order"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
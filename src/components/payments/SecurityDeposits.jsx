@@ -0,0 +1,615 @@
+import { useMemo, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Plus } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  addDepositDeduction,
+  createSecurityDeposit,
+  generateDepositStatement,
+  listDepositRules,
+  listDocuments,
+  listMaintenanceRequests,
+  listSecurityDeposits,
+  markDepositReturned,
+  recordDepositMoveOut,
+  removeDepositDeduction,
+  setDepositRule,
+} from "@/services/dataService";
+import { formatCurrency, formatDate, toDateInputValue } from "@/lib/format";
+
+const DEADLINE_BADGES = {
+  held: { label: "Held", variant: "secondary" },
+  awaiting_return: { label: "Awaiting return", variant: "outline" },
+  due_soon: { label: "Return due soon", variant: "destructive" },
+  overdue: { label: "Return overdue", variant: "destructive" },
+  returned: { label: "Returned", variant: "default" },
+};
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function toTimestamp(value) {
+  if (!value) return Date.now();
+  const timestamp = new Date(`${value}T00:00:00`).getTime();
+  return Number.isFinite(timestamp) ? timestamp : Date.now();
+}
+
+export default function SecurityDeposits({ tenants = [] }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [selectedId, setSelectedId] = useState("");
+  const [isCreateOpen, setIsCreateOpen] = useState(false);
+  const [isRulesOpen, setIsRulesOpen] = useState(false);
+  const [createForm, setCreateForm] = useState({
+    tenantId: "",
+    accountName: "",
+    amount: "",
+    collectedAt: "",
+  });
+  const [moveOutDate, setMoveOutDate] = useState(toDateInputValue(Date.now()));
+  const [deductionForm, setDeductionForm] = useState({
+    description: "",
+    amount: "",
+    maintenanceRequestId: "",
+    documentId: "",
+  });
+  const [ruleForm, setRuleForm] = useState({
+    state: "MD",
+    annualRatePercent: "",
+    interestPeriodMonths: "",
+    returnDeadlineDays: "",
+  });
+
+  const depositsQuery = useQuery({
+    queryKey: ["securityDeposits", userId],
+    queryFn: () => listSecurityDeposits(),
+    enabled: Boolean(userId),
+  });
+
+  const rulesQuery = useQuery({
+    queryKey: ["depositRules", userId],
+    queryFn: () => listDepositRules(),
+    enabled: Boolean(userId) && isRulesOpen,
+  });
+
+  const deposits = depositsQuery.data || [];
+  const selected = deposits.find((deposit) => deposit._id === selectedId) || null;
+
+  // Deductions can point at the tenant's maintenance requests and documents.
+  const requestsQuery = useQuery({
+    queryKey: ["maintenanceRequests", userId],
+    queryFn: () => listMaintenanceRequests(),
+    enabled: Boolean(userId) && Boolean(selected),
+  });
+
+  const documentsQuery = useQuery({
+    queryKey: ["documents", userId],
+    queryFn: () => listDocuments(),
+    enabled: Boolean(userId) && Boolean(selected),
+  });
+
+  const tenantsWithoutDeposit = useMemo(() => {
+    const taken = new Set(deposits.map((deposit) => deposit.tenantId));
+    return tenants.filter((tenant) => !taken.has(tenant._id));
+  }, [deposits, tenants]);
+
+  const tenantRequests = (requestsQuery.data || []).filter(
+    (request) =>
+      selected &&
+      (request.tenantId === selected.tenantId || request.propertyId === selected.propertyId)
+  );
+  const tenantDocuments = (documentsQuery.data || []).filter(
+    (document) =>
+      selected &&
+      (document.tenantId === selected.tenantId || document.propertyId === selected.propertyId)
+  );
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["securityDeposits", userId] });
+  }
+
+  const createMutation = useMutation({
+    mutationFn: () =>
+      createSecurityDeposit({
+        tenantId: createForm.tenantId,
+        accountName: createForm.accountName.trim(),
+        amount: parseNumber(createForm.amount),
+        collectedAt: createForm.collectedAt ? toTimestamp(createForm.collectedAt) : undefined,
+      }),
+    onSuccess: async (deposit) => {
+      await refresh();
+      setIsCreateOpen(false);
+      setSelectedId(deposit._id);
+      setCreateForm({ tenantId: "", accountName: "", amount: "", collectedAt: "" });
+    },
+  });
+
+  const moveOutMutation = useMutation({
+    mutationFn: () => recordDepositMoveOut(selected._id, toTimestamp(moveOutDate)),
+    onSuccess: refresh,
+  });
+
+  const addDeductionMutation = useMutation({
+    mutationFn: () =>
+      addDepositDeduction({
+        depositId: selected._id,
+        description: deductionForm.description.trim(),
+        amount: parseNumber(deductionForm.amount) || 0,
+        maintenanceRequestId: deductionForm.maintenanceRequestId || undefined,
+        documentId: deductionForm.documentId || undefined,
+      }),
+    onSuccess: async () => {
+      await refresh();
+      setDeductionForm({ description: "", amount: "", maintenanceRequestId: "", documentId: "" });
+    },
+  });
+
+  const removeDeductionMutation = useMutation({
+    mutationFn: removeDepositDeduction,
+    onSuccess: refresh,
+  });
+
+  const statementMutation = useMutation({
+    mutationFn: () => generateDepositStatement(selected._id),
+    onSuccess: async (result) => {
+      await refresh();
+      await queryClient.invalidateQueries({ queryKey: ["documents", userId] });
+      if (result?.downloadURL) {
+        window.open(result.downloadURL, "_blank", "noopener");
+      }
+    },
+  });
+
+  const returnedMutation = useMutation({
+    mutationFn: () => markDepositReturned(selected._id, Date.now()),
+    onSuccess: refresh,
+  });
+
+  const ruleMutation = useMutation({
+    mutationFn: () =>
+      setDepositRule({
+        state: ruleForm.state.trim(),
+        annualRatePercent: parseNumber(ruleForm.annualRatePercent) ?? 0,
+        interestPeriodMonths: parseNumber(ruleForm.interestPeriodMonths) ?? 0,
+        returnDeadlineDays: parseNumber(ruleForm.returnDeadlineDays) ?? 30,
+      }),
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["depositRules", userId] });
+      await refresh();
+    },
+  });
+
+  const actionError =
+    moveOutMutation.error ||
+    addDeductionMutation.error ||
+    removeDeductionMutation.error ||
+    statementMutation.error ||
+    returnedMutation.error;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Security deposits</CardTitle>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={() => setIsRulesOpen(true)}>
+            Interest rules
+          </Button>
+          <Button size="sm" className="gap-2" onClick={() => setIsCreateOpen(true)}>
+            <Plus className="h-4 w-4" />
+            Record deposit
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {depositsQuery.error ? (
+          <p className="text-red-600">{depositsQuery.error.message}</p>
+        ) : null}
+        {!depositsQuery.isLoading && deposits.length === 0 ? (
+          <p className="text-center text-muted-foreground py-8">No deposits recorded yet.</p>
+        ) : null}
+
+        {deposits.map((deposit) => {
+          const badge = DEADLINE_BADGES[deposit.deadlineStatus] || DEADLINE_BADGES.held;
+          return (
+            <button
+              key={deposit._id}
+              type="button"
+              onClick={() => setSelectedId(deposit._id === selectedId ? "" : deposit._id)}
+              className={`flex w-full flex-col gap-2 rounded-md border p-3 text-left md:flex-row md:items-center md:justify-between ${
+                deposit._id === selectedId ? "border-primary" : ""
+              }`}
+            >
+              <div>
+                <p className="font-medium">{deposit.tenantName}</p>
+                <p className="text-xs text-muted-foreground">
+                  {deposit.accountName} · collected {formatDate(deposit.collectedAt)}
+                  {deposit.returnDeadline ? ` · return by ${formatDate(deposit.returnDeadline)}` : ""}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <Badge variant={badge.variant}>{badge.label}</Badge>
+                <span className="font-semibold">{formatCurrency(deposit.amount + deposit.interest)}</span>
+              </div>
+            </button>
+          );
+        })}
+
+        {selected ? (
+          <div className="space-y-4 rounded-md border p-4">
+            <div className="grid gap-3 sm:grid-cols-4">
+              <div>
+                <p className="text-muted-foreground">Deposit</p>
+                <p className="font-medium">{formatCurrency(selected.amount)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">
+                  Interest ({selected.rule.annualRatePercent}%, {selected.state || "—"})
+                </p>
+                <p className="font-medium">{formatCurrency(selected.interest)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Deductions</p>
+                <p className="font-medium">{formatCurrency(selected.totalDeductions)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">
+                  {selected.tenantOwes > 0 ? "Tenant owes" : "Refund due"}
+                </p>
+                <p className="font-medium">
+                  {formatCurrency(selected.tenantOwes > 0 ? selected.tenantOwes : selected.refundDue)}
+                </p>
+              </div>
+            </div>
+
+            {!selected.moveOutDate ? (
+              <div className="flex flex-wrap items-end gap-2">
+                <div className="space-y-1">
+                  <Label>Move-out date</Label>
+                  <Input
+                    type="date"
+                    value={moveOutDate}
+                    onChange={(event) => setMoveOutDate(event.target.value)}
+                  />
+                </div>
+                <Button
+                  variant="outline"
+                  onClick={() => moveOutMutation.mutate()}
+                  disabled={moveOutMutation.isPending || !moveOutDate}
+                >
+                  Record move-out
+                </Button>
+              </div>
+            ) : (
+              <p className="text-muted-foreground">
+                Moved out {formatDate(selected.moveOutDate)}. Interest stopped accruing on that date;
+                the deposit must be returned by {formatDate(selected.returnDeadline)}.
+              </p>
+            )}
+
+            <div className="space-y-2">
+              <p className="font-medium">Deductions</p>
+              {selected.deductions.length === 0 ? (
+                <p className="text-muted-foreground">No deductions.</p>
+              ) : null}
+              {selected.deductions.map((deduction) => (
+                <div
+                  key={deduction._id}
+                  className="flex items-center justify-between rounded-md border px-3 py-2"
+                >
+                  <div>
+                    <p>{deduction.description}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {deduction.maintenanceRequestId ? "Linked to a maintenance request" : ""}
+                      {deduction.maintenanceRequestId && deduction.documentId ? " · " : ""}
+                      {deduction.documentId ? "Document attached" : ""}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{formatCurrency(deduction.amount)}</span>
+                    {!selected.returnedAt ? (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => removeDeductionMutation.mutate(deduction._id)}
+                        disabled={removeDeductionMutation.isPending}
+                      >
+                        Remove
+                      </Button>
+                    ) : null}
+                  </div>
+                </div>
+              ))}
+
+              {!selected.returnedAt ? (
+                <div className="grid gap-2 sm:grid-cols-2">
+                  <Input
+                    placeholder="Description"
+                    value={deductionForm.description}
+                    onChange={(event) =>
+                      setDeductionForm((prev) => ({ ...prev, description: event.target.value }))
+                    }
+                  />
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Amount"
+                    value={deductionForm.amount}
+                    onChange={(event) =>
+                      setDeductionForm((prev) => ({ ...prev, amount: event.target.value }))
+                    }
+                  />
+                  <select
+                    value={deductionForm.maintenanceRequestId}
+                    onChange={(event) =>
+                      setDeductionForm((prev) => ({
+                        ...prev,
+                        maintenanceRequestId: event.target.value,
+                      }))
+                    }
+                    className={selectClassName}
+                  >
+                    <option value="">No maintenance request</option>
+                    {tenantRequests.map((request) => (
+                      <option key={request._id} value={request._id}>
+                        {request.title}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={deductionForm.documentId}
+                    onChange={(event) =>
+                      setDeductionForm((prev) => ({ ...prev, documentId: event.target.value }))
+                    }
+                    className={selectClassName}
+                  >
+                    <option value="">No document</option>
+                    {tenantDocuments.map((document) => (
+                      <option key={document._id} value={document._id}>
+                        {document.title}
+                      </option>
+                    ))}
+                  </select>
+                  <Button
+                    variant="outline"
+                    onClick={() => addDeductionMutation.mutate()}
+                    disabled={
+                      addDeductionMutation.isPending ||
+                      !deductionForm.description.trim() ||
+                      !parseNumber(deductionForm.amount)
+                    }
+                  >
+                    Add deduction
+                  </Button>
+                </div>
+              ) : null}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <Button
+                onClick={() => statementMutation.mutate()}
+                disabled={statementMutation.isPending || !selected.moveOutDate}
+              >
+                {statementMutation.isPending ? "Generating..." : "Generate statement PDF"}
+              </Button>
+              {selected.statementURL ? (
+                <Button asChild variant="outline">
+                  <a href={selected.statementURL} target="_blank" rel="noreferrer">
+                    Open latest statement
+                  </a>
+                </Button>
+              ) : null}
+              {selected.moveOutDate && !selected.returnedAt ? (
+                <Button
+                  variant="outline"
+                  onClick={() => returnedMutation.mutate()}
+                  disabled={returnedMutation.isPending}
+                >
+                  Mark returned
+                </Button>
+              ) : null}
+            </div>
+            {actionError ? <p className="text-red-600">{actionError.message}</p> : null}
+          </div>
+        ) : null}
+      </CardContent>
+
+      <Dialog open={isCreateOpen} onOpenChange={setIsCreateOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Record security deposit</DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-3">
+            <div className="space-y-1">
+              <Label>Tenant</Label>
+              <select
+                value={createForm.tenantId}
+                onChange={(event) => {
+                  const tenant = tenants.find((item) => item._id === event.target.value);
+                  setCreateForm((prev) => ({
+                    ...prev,
+                    tenantId: event.target.value,
+                    amount: tenant ? String(tenant.securityDeposit ?? "") : prev.amount,
+                    collectedAt: tenant ? toDateInputValue(tenant.leaseStartDate) : prev.collectedAt,
+                  }));
+                }}
+                className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+              >
+                <option value="">Select tenant</option>
+                {tenantsWithoutDeposit.map((tenant) => (
+                  <option key={tenant._id} value={tenant._id}>
+                    {tenant.firstName} {tenant.lastName}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <Label>Held in account</Label>
+              <Input
+                placeholder="e.g. Escrow savings at First Bank"
+                value={createForm.accountName}
+                onChange={(event) =>
+                  setCreateForm((prev) => ({ ...prev, accountName: event.target.value }))
+                }
+              />
+            </div>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Amount</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={createForm.amount}
+                  onChange={(event) =>
+                    setCreateForm((prev) => ({ ...prev, amount: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Collected on</Label>
+                <Input
+                  type="date"
+                  value={createForm.collectedAt}
+                  onChange={(event) =>
+                    setCreateForm((prev) => ({ ...prev, collectedAt: event.target.value }))
+                  }
+                />
+              </div>
+            </div>
+            {createMutation.error ? (
+              <p className="text-sm text-red-600">{createMutation.error.message}</p>
+            ) : null}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsCreateOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => createMutation.mutate()}
+              disabled={
+                createMutation.isPending || !createForm.tenantId || !createForm.accountName.trim()
+              }
+            >
+              {createMutation.isPending ? "Saving..." : "Save deposit"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={isRulesOpen} onOpenChange={setIsRulesOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Deposit interest rules</DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-3 text-sm">
+            {(rulesQuery.data || []).map((rule) => (
+              <button
+                key={rule.state}
+                type="button"
+                className="flex w-full items-center justify-between rounded-md border px-3 py-2 text-left"
+                onClick={() =>
+                  setRuleForm({
+                    state: rule.state,
+                    annualRatePercent: String(rule.annualRatePercent),
+                    interestPeriodMonths: String(rule.interestPeriodMonths),
+                    returnDeadlineDays: String(rule.returnDeadlineDays),
+                  })
+                }
+              >
+                <span className="font-medium">{rule.state}</span>
+                <span className="text-muted-foreground">
+                  {rule.annualRatePercent}% ·{" "}
+                  {rule.interestPeriodMonths
+                    ? `every ${rule.interestPeriodMonths} months`
+                    : "daily"}{" "}
+                  · return within {rule.returnDeadlineDays} days
+                  {rule.isDefault ? " (default)" : ""}
+                </span>
+              </button>
+            ))}
+            <p className="text-xs text-muted-foreground">
+              States without a rule earn no interest and use a 30-day return deadline.
+            </p>
+            <div className="grid gap-3 sm:grid-cols-4">
+              <div className="space-y-1">
+                <Label>State</Label>
+                <Input
+                  value={ruleForm.state}
+                  onChange={(event) => setRuleForm((prev) => ({ ...prev, state: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Rate (%)</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={ruleForm.annualRatePercent}
+                  onChange={(event) =>
+                    setRuleForm((prev) => ({ ...prev, annualRatePercent: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Period (months)</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={ruleForm.interestPeriodMonths}
+                  onChange={(event) =>
+                    setRuleForm((prev) => ({ ...prev, interestPeriodMonths: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Return (days)</Label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={ruleForm.returnDeadlineDays}
+                  onChange={(event) =>
+                    setRuleForm((prev) => ({ ...prev, returnDeadlineDays: event.target.value }))
+                  }
+                />
+              </div>
+            </div>
+            {ruleMutation.error ? <p className="text-red-600">{ruleMutation.error.message}</p> : null}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsRulesOpen(false)}>
+              Close
+            </Button>
+            <Button
+              onClick={() => ruleMutation.mutate()}
+              disabled={ruleMutation.isPending || !ruleForm.state.trim()}
+            >
+              {ruleMutation.isPending ? "Saving..." : "Save rule"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,248 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  inviteTeamMember,
+  listTeamMembers,
+  removeTeamMember,
+  revokeInvitation,
+  updateTeamMemberRole,
+} from "@/services/dataService";
+
+const ROLE_OPTIONS = [
+  { value: "manager", label: "Property manager" },
+  { value: "maintenance", label: "Maintenance" },
+  { value: "bookkeeper", label: "Bookkeeper" },
+  { value: "owner", label: "Owner" },
+];
+
+const ROLE_DESCRIPTIONS = {
+  owner: "Full access, including team management.",
+  manager: "Can view and change everything except the team.",
+  maintenance: "Can view properties and tenants, and work maintenance requests.",
+  bookkeeper: "Read-only access to the whole portfolio, including finances.",
+};
+
+const selectClassName = "h-9 rounded-md border bg-background px-3 text-sm";
+
+export default function TeamSettings() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [inviteForm, setInviteForm] = useState({ email: "", role: "manager" });
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const teamQuery = useQuery({
+    queryKey: ["team", userId],
+    queryFn: () => listTeamMembers(),
+    enabled: Boolean(userId),
+  });
+
+  const onError = (nextError) => {
+    setError(nextError.message);
+    setMessage("");
+  };
+
+  const refreshTeam = async () => {
+    await queryClient.invalidateQueries({ queryKey: ["team", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["portfolios", userId] });
+  };
+
+  const inviteMutation = useMutation({
+    mutationFn: inviteTeamMember,
+    onSuccess: async (result) => {
+      await refreshTeam();
+      setInviteForm((prev) => ({ ...prev, email: "" }));
+      setMessage(
+        result.emailSent
+          ? `Invitation sent to ${result.email}.`
+          : `Invitation created for ${result.email}, but the email could not be sent.`
+      );
+      setError("");
+    },
+    onError,
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: updateTeamMemberRole,
+    onSuccess: async () => {
+      await refreshTeam();
+      setMessage("Role updated.");
+      setError("");
+    },
+    onError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: removeTeamMember,
+    onSuccess: async () => {
+      await refreshTeam();
+      setMessage("Member removed.");
+      setError("");
+    },
+    onError,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: revokeInvitation,
+    onSuccess: async () => {
+      await refreshTeam();
+      setMessage("Invitation cancelled.");
+      setError("");
+    },
+    onError,
+  });
+
+  function handleInvite(event) {
+    event.preventDefault();
+    inviteMutation.mutate({
+      email: inviteForm.email.trim(),
+      role: inviteForm.role,
+    });
+  }
+
+  const team = teamQuery.data;
+  const canManage = Boolean(team?.canManage);
+
+  return (
+    <Card className="lg:col-span-2">
+      <CardHeader>
+        <CardTitle>Team</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {teamQuery.isLoading ? <p className="text-sm text-muted-foreground">Loading team...</p> : null}
+        {teamQuery.error ? (
+          <p className="text-sm text-red-600">{teamQuery.error.message}</p>
+        ) : null}
+
+        <div className="divide-y rounded-md border">
+          {(team?.members || []).map((member) => (
+            <div
+              key={member.userId}
+              className="flex flex-wrap items-center justify-between gap-3 px-3 py-2"
+            >
+              <div>
+                <p className="text-sm font-medium">
+                  {member.name || member.email}
+                  {member.userId === userId ? " (you)" : ""}
+                </p>
+                <p className="text-xs text-muted-foreground">{member.email}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                {canManage && !member.isPortfolioOwner ? (
+                  <select
+                    className={selectClassName}
+                    value={member.role}
+                    disabled={roleMutation.isPending}
+                    onChange={(event) =>
+                      roleMutation.mutate({
+                        membershipId: member._id,
+                        role: event.target.value,
+                      })
+                    }
+                  >
+                    {ROLE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-muted-foreground">{member.roleLabel}</span>
+                )}
+                {!member.isPortfolioOwner && (canManage || member.userId === userId) ? (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={removeMutation.isPending}
+                    onClick={() => removeMutation.mutate(member._id)}
+                  >
+                    {member.userId === userId ? "Leave" : "Remove"}
+                  </Button>
+                ) : null}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {canManage && team?.invitations?.length ? (
+          <div className="space-y-2">
+            <p className="text-sm font-medium">Pending invitations</p>
+            <div className="divide-y rounded-md border">
+              {team.invitations.map((invitation) => (
+                <div
+                  key={invitation._id}
+                  className="flex flex-wrap items-center justify-between gap-3 px-3 py-2"
+                >
+                  <div>
+                    <p className="text-sm">{invitation.email}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {invitation.roleLabel} · expires{" "}
+                      {new Date(invitation.expiresAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={revokeMutation.isPending}
+                    onClick={() => revokeMutation.mutate(invitation._id)}
+                  >
+                    Cancel
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : null}
+
+        {canManage ? (
+          <form onSubmit={handleInvite} className="space-y-3">
+            <div className="grid gap-3 sm:grid-cols-[1fr_auto_auto] sm:items-end">
+              <div className="space-y-1">
+                <Label htmlFor="invite-email">Invite by email</Label>
+                <Input
+                  id="invite-email"
+                  type="email"
+                  value={inviteForm.email}
+                  onChange={(event) =>
+                    setInviteForm((prev) => ({ ...prev, email: event.target.value }))
+                  }
+                  required
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="invite-role">Role</Label>
+                <select
+                  id="invite-role"
+                  className={selectClassName}
+                  value={inviteForm.role}
+                  onChange={(event) =>
+                    setInviteForm((prev) => ({ ...prev, role: event.target.value }))
+                  }
+                >
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <Button type="submit" disabled={inviteMutation.isPending}>
+                {inviteMutation.isPending ? "Sending..." : "Send invite"}
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">{ROLE_DESCRIPTIONS[inviteForm.role]}</p>
+          </form>
+        ) : null}
+
+        {message ? <p className="text-sm text-emerald-600">{message}</p> : null}
+        {error ? <p className="text-sm text-red-600">{error}</p> : null}
+      </CardContent>
+    </Card>
+  );
+}
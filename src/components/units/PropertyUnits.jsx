@@ -0,0 +1,269 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import { createUnit, listUnits, removeUnit, updateUnit } from "@/services/dataService";
+import { formatCurrency } from "@/lib/format";
+
+const UNIT_STATUS_BADGES = {
+  occupied: { label: "Occupied", variant: "default" },
+  notice: { label: "On notice", variant: "secondary" },
+  vacant: { label: "Vacant", variant: "outline" },
+  unavailable: { label: "Unavailable", variant: "warning" },
+};
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function unitForm(unit) {
+  return {
+    id: unit?._id || null,
+    label: unit?.label || "",
+    bedrooms: unit?.bedrooms ?? "",
+    bathrooms: unit?.bathrooms ?? "",
+    squareFeet: unit?.squareFeet ?? "",
+    marketRent: unit?.marketRent ?? "",
+    status: unit?.status || "vacant",
+    notes: unit?.notes || "",
+  };
+}
+
+// Tenants set occupied and vacant; by hand, a lived-in unit can go on
+// notice and an empty one can be taken off the market.
+function statusChoices(status) {
+  return status === "occupied" || status === "notice"
+    ? ["occupied", "notice"]
+    : ["vacant", "unavailable"];
+}
+
+function describe(unit) {
+  return [
+    unit.bedrooms !== undefined ? `${unit.bedrooms} bd` : null,
+    unit.bathrooms !== undefined ? `${unit.bathrooms} ba` : null,
+    unit.squareFeet ? `${unit.squareFeet.toLocaleString()} sq ft` : null,
+    unit.marketRent !== undefined ? `market ${formatCurrency(unit.marketRent)}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+export default function PropertyUnits({ property, onClose }) {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+  const propertyId = property?._id;
+
+  const unitsQuery = useQuery({
+    queryKey: ["units", userId, propertyId],
+    queryFn: () => listUnits(propertyId),
+    enabled: Boolean(userId) && Boolean(propertyId),
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["units", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["rentRoll", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["properties", userId] });
+  }
+
+  const saveMutation = useMutation({
+    mutationFn: (values) => {
+      const details = {
+        label: values.label.trim(),
+        bedrooms: parseNumber(values.bedrooms),
+        bathrooms: parseNumber(values.bathrooms),
+        squareFeet: parseNumber(values.squareFeet),
+        marketRent: parseNumber(values.marketRent),
+        status: values.status,
+        notes: values.notes.trim(),
+      };
+      if (values.id) {
+        return updateUnit({ id: values.id, ...details, clearMarketRent: values.marketRent === "" });
+      }
+      return createUnit({ propertyId, ...details });
+    },
+    onSuccess: async () => {
+      await refresh();
+      setForm(null);
+    },
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: removeUnit,
+    onSuccess: refresh,
+  });
+
+  const units = unitsQuery.data || [];
+
+  function renderForm() {
+    return (
+      <div className="space-y-3 border-t pt-3">
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div className="space-y-1">
+            <Label>Label</Label>
+            <Input
+              placeholder="e.g. 2B"
+              value={form.label}
+              onChange={(event) => setForm((prev) => ({ ...prev, label: event.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Status</Label>
+            <select
+              value={form.status}
+              onChange={(event) => setForm((prev) => ({ ...prev, status: event.target.value }))}
+              className={selectClassName}
+            >
+              {statusChoices(form.status).map((status) => (
+                <option key={status} value={status}>
+                  {UNIT_STATUS_BADGES[status].label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label>Bedrooms</Label>
+            <Input
+              type="number"
+              min="0"
+              value={form.bedrooms}
+              onChange={(event) => setForm((prev) => ({ ...prev, bedrooms: event.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Bathrooms</Label>
+            <Input
+              type="number"
+              min="0"
+              step="0.5"
+              value={form.bathrooms}
+              onChange={(event) => setForm((prev) => ({ ...prev, bathrooms: event.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Square feet</Label>
+            <Input
+              type="number"
+              min="0"
+              value={form.squareFeet}
+              onChange={(event) => setForm((prev) => ({ ...prev, squareFeet: event.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Market rent</Label>
+            <Input
+              type="number"
+              min="0"
+              value={form.marketRent}
+              onChange={(event) => setForm((prev) => ({ ...prev, marketRent: event.target.value }))}
+            />
+          </div>
+        </div>
+        <div className="space-y-1">
+          <Label>Notes</Label>
+          <Input
+            value={form.notes}
+            onChange={(event) => setForm((prev) => ({ ...prev, notes: event.target.value }))}
+          />
+        </div>
+
+        {saveMutation.error ? <p className="text-red-600">{saveMutation.error.message}</p> : null}
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => setForm(null)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => saveMutation.mutate(form)}
+            disabled={saveMutation.isPending || !form.label.trim()}
+          >
+            {saveMutation.isPending ? "Saving..." : form.id ? "Save changes" : "Add unit"}
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <Dialog
+      open={Boolean(property)}
+      onOpenChange={(open) => {
+        if (!open) {
+          setForm(null);
+          onClose();
+        }
+      }}
+    >
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Units · {property?.name || property?.address}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3 text-sm">
+          {unitsQuery.isLoading ? <p className="text-muted-foreground">Loading units...</p> : null}
+          {unitsQuery.error ? <p className="text-red-600">{unitsQuery.error.message}</p> : null}
+          {!unitsQuery.isLoading && units.length === 0 ? (
+            <p className="text-muted-foreground">
+              Unit records for this property haven't been created yet. Add one below, or they
+              will be created from its unit count and tenants shortly.
+            </p>
+          ) : null}
+          {removeMutation.error ? <p className="text-red-600">{removeMutation.error.message}</p> : null}
+
+          {units.map((unit) => {
+            const badge = UNIT_STATUS_BADGES[unit.status] || UNIT_STATUS_BADGES.vacant;
+            return (
+              <div key={unit._id} className="space-y-2 rounded-md border p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <p className="font-medium">{unit.label}</p>
+                    {describe(unit) ? <p className="text-muted-foreground">{describe(unit)}</p> : null}
+                    {unit.notes ? <p className="text-muted-foreground">{unit.notes}</p> : null}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                    <Button variant="outline" size="sm" onClick={() => setForm(unitForm(unit))}>
+                      Edit
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      disabled={removeMutation.isPending}
+                      onClick={() => removeMutation.mutate(unit._id)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+                {form?.id === unit._id ? renderForm() : null}
+              </div>
+            );
+          })}
+
+          {form && !form.id ? (
+            renderForm()
+          ) : (
+            <Button variant="outline" size="sm" className="gap-2" onClick={() => setForm(unitForm())}>
+              <Plus className="h-4 w-4" />
+              Add unit
+            </Button>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,109 @@
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { useAuth } from "@/contexts/AuthContext";
+import { fetchRentRoll } from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+const STATUS_BADGES = {
+  occupied: { label: "Occupied", variant: "default" },
+  notice: { label: "On notice", variant: "secondary" },
+  vacant: { label: "Vacant", variant: "outline" },
+  unavailable: { label: "Unavailable", variant: "warning" },
+};
+
+function Total({ label, value }) {
+  return (
+    <div>
+      <p className="text-xs text-muted-foreground">{label}</p>
+      <p className="font-semibold">{value}</p>
+    </div>
+  );
+}
+
+export default function RentRoll() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+
+  const rentRollQuery = useQuery({
+    queryKey: ["rentRoll", userId],
+    queryFn: () => fetchRentRoll(),
+    enabled: Boolean(userId),
+  });
+
+  const units = rentRollQuery.data?.units || [];
+  const totals = rentRollQuery.data?.totals;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Rent roll</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {rentRollQuery.isLoading ? <p className="text-muted-foreground">Loading rent roll...</p> : null}
+        {rentRollQuery.error ? <p className="text-red-600">{rentRollQuery.error.message}</p> : null}
+
+        {totals ? (
+          <div className="grid gap-3 sm:grid-cols-3 lg:grid-cols-6">
+            <Total label="Occupancy" value={`${totals.occupancyPercent}%`} />
+            <Total label="Units occupied" value={`${totals.occupied} of ${totals.units}`} />
+            <Total label="Scheduled rent" value={formatCurrency(totals.scheduledRent)} />
+            <Total label="Market rent" value={formatCurrency(totals.marketRent)} />
+            <Total label="Vacant at market" value={formatCurrency(totals.vacantMarketRent)} />
+            <Total label="Loss to lease" value={formatCurrency(totals.lossToLease)} />
+          </div>
+        ) : null}
+
+        {!rentRollQuery.isLoading && !rentRollQuery.error && units.length === 0 ? (
+          <p className="text-muted-foreground">No units on record yet.</p>
+        ) : null}
+
+        {units.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead className="text-xs text-muted-foreground">
+                <tr className="border-b">
+                  <th className="py-2 pr-3 font-medium">Property</th>
+                  <th className="py-2 pr-3 font-medium">Unit</th>
+                  <th className="py-2 pr-3 font-medium">Beds / baths</th>
+                  <th className="py-2 pr-3 font-medium">Tenants</th>
+                  <th className="py-2 pr-3 font-medium">Lease ends</th>
+                  <th className="py-2 pr-3 text-right font-medium">Rent</th>
+                  <th className="py-2 pr-3 text-right font-medium">Market</th>
+                  <th className="py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {units.map((unit) => {
+                  const badge = STATUS_BADGES[unit.status] || STATUS_BADGES.vacant;
+                  return (
+                    <tr key={unit._id} className="border-b last:border-0">
+                      <td className="py-2 pr-3">{unit.propertyName}</td>
+                      <td className="py-2 pr-3 font-medium">{unit.label}</td>
+                      <td className="py-2 pr-3">
+                        {unit.bedrooms ?? "—"} / {unit.bathrooms ?? "—"}
+                      </td>
+                      <td className="py-2 pr-3">
+                        {unit.tenants.map((tenant) => tenant.name).join(", ") || "—"}
+                      </td>
+                      <td className="py-2 pr-3">{unit.leaseEndDate ? formatDate(unit.leaseEndDate) : "—"}</td>
+                      <td className="py-2 pr-3 text-right">
+                        {unit.tenants.length ? formatCurrency(unit.monthlyRent) : "—"}
+                      </td>
+                      <td className="py-2 pr-3 text-right">
+                        {unit.marketRent !== undefined ? formatCurrency(unit.marketRent) : "—"}
+                      </td>
+                      <td className="py-2">
+                        <Badge variant={badge.variant}>{badge.label}</Badge>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
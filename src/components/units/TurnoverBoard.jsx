@@ -0,0 +1,436 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Plus } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  advanceTurnover,
+  cancelTurnover,
+  fetchTurnoverBoard,
+  listProperties,
+  listUnits,
+  startTurnover,
+  updateTurnover,
+} from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+const STAGES = [
+  { key: "notice", label: "Notice" },
+  { key: "inspection", label: "Move-out inspection" },
+  { key: "make_ready", label: "Make-ready" },
+  { key: "listed", label: "Listed" },
+  { key: "showing", label: "Showing" },
+  { key: "application", label: "Application" },
+  { key: "lease_signed", label: "Lease signed" },
+];
+
+const STAGE_LABELS = Object.fromEntries(STAGES.map((stage) => [stage.key, stage.label]));
+
+const DEFAULT_TASKS = "Deep clean\nPatch and paint walls\nReplace HVAC filters\nRekey locks";
+
+const selectClassName = "h-9 w-full rounded-md border bg-background px-3 text-sm";
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+// Dates are stored as UTC midnight.
+function toUtcTimestamp(value) {
+  return value ? new Date(`${value}T00:00:00Z`).getTime() : undefined;
+}
+
+function nextStage(stage) {
+  const index = STAGES.findIndex((entry) => entry.key === stage);
+  return STAGES[index + 1]?.key;
+}
+
+function advanceForm(turnover) {
+  return {
+    id: turnover._id,
+    stage: nextStage(turnover.stage),
+    tasks: DEFAULT_TASKS,
+    inspectionNotes: turnover.inspectionNotes || "",
+    listedRent: String(turnover.listedRent ?? turnover.monthlyRent),
+    leaseStartDate: "",
+  };
+}
+
+export default function TurnoverBoard() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const [advancing, setAdvancing] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [startForm, setStartForm] = useState(null);
+
+  const boardQuery = useQuery({
+    queryKey: ["turnovers", userId],
+    queryFn: () => fetchTurnoverBoard(),
+    enabled: Boolean(userId),
+  });
+
+  const unitsQuery = useQuery({
+    queryKey: ["units", userId],
+    queryFn: () => listUnits(),
+    enabled: Boolean(userId) && Boolean(startForm),
+  });
+
+  const propertiesQuery = useQuery({
+    queryKey: ["properties", userId],
+    queryFn: () => listProperties(),
+    enabled: Boolean(userId) && Boolean(startForm),
+  });
+
+  async function refresh() {
+    await queryClient.invalidateQueries({ queryKey: ["turnovers", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["units", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["rentRoll", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["vacancyLoss", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["tenants", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["listings", userId] });
+  }
+
+  const advanceMutation = useMutation({
+    mutationFn: (values) =>
+      advanceTurnover({
+        id: values.id,
+        stage: values.stage,
+        tasks:
+          values.stage === "make_ready"
+            ? values.tasks
+                .split("\n")
+                .map((line) => line.trim())
+                .filter(Boolean)
+                .map((title) => ({ title, category: "General" }))
+            : undefined,
+        inspectionNotes: values.stage === "inspection" ? values.inspectionNotes : undefined,
+        listedRent: values.stage === "listed" ? parseNumber(values.listedRent) : undefined,
+        leaseStartDate:
+          values.stage === "lease_signed" ? toUtcTimestamp(values.leaseStartDate) : undefined,
+      }),
+    onSuccess: async () => {
+      await refresh();
+      setAdvancing(null);
+    },
+  });
+
+  const showingMutation = useMutation({
+    mutationFn: (turnover) => updateTurnover({ id: turnover._id, showings: turnover.showings + 1 }),
+    onSuccess: refresh,
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: cancelTurnover,
+    onSuccess: refresh,
+  });
+
+  const startMutation = useMutation({
+    mutationFn: (values) =>
+      startTurnover({
+        unitId: values.unitId,
+        stage: values.stage,
+        moveOutDate: toUtcTimestamp(values.moveOutDate),
+        notes: values.notes.trim() || undefined,
+      }),
+    onSuccess: async () => {
+      await refresh();
+      setStartForm(null);
+    },
+  });
+
+  const turnovers = boardQuery.data || [];
+  const busyUnits = new Set(
+    turnovers.filter((turnover) => turnover.status === "open").map((turnover) => turnover.unitId)
+  );
+  const propertyNames = new Map(
+    (propertiesQuery.data || []).map((property) => [property._id, property.name || property.address])
+  );
+  const mutationError = advanceMutation.error || showingMutation.error || cancelMutation.error;
+
+  function renderAdvanceForm() {
+    return (
+      <div className="space-y-2 border-t pt-2">
+        <p className="font-medium">Move to {STAGE_LABELS[advancing.stage]}</p>
+        {advancing.stage === "inspection" ? (
+          <Textarea
+            rows={3}
+            placeholder="Condition notes"
+            value={advancing.inspectionNotes}
+            onChange={(event) => setAdvancing((prev) => ({ ...prev, inspectionNotes: event.target.value }))}
+          />
+        ) : null}
+        {advancing.stage === "make_ready" ? (
+          <div className="space-y-1">
+            <Label>Tasks (one per line)</Label>
+            <Textarea
+              rows={4}
+              value={advancing.tasks}
+              onChange={(event) => setAdvancing((prev) => ({ ...prev, tasks: event.target.value }))}
+            />
+            <p className="text-xs text-muted-foreground">Each task is filed as a maintenance request.</p>
+          </div>
+        ) : null}
+        {advancing.stage === "listed" ? (
+          <div className="space-y-1">
+            <Label>Asking rent</Label>
+            <Input
+              type="number"
+              min="0"
+              value={advancing.listedRent}
+              onChange={(event) => setAdvancing((prev) => ({ ...prev, listedRent: event.target.value }))}
+            />
+            <p className="text-xs text-muted-foreground">
+              Publishes a listing to your listing feeds. Add photos to it under Listings.
+            </p>
+          </div>
+        ) : null}
+        {advancing.stage === "lease_signed" ? (
+          <div className="space-y-1">
+            <Label>New lease starts</Label>
+            <Input
+              type="date"
+              value={advancing.leaseStartDate}
+              onChange={(event) =>
+                setAdvancing((prev) => ({ ...prev, leaseStartDate: event.target.value }))
+              }
+            />
+          </div>
+        ) : null}
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" size="sm" onClick={() => setAdvancing(null)}>
+            Cancel
+          </Button>
+          <Button
+            size="sm"
+            onClick={() => advanceMutation.mutate(advancing)}
+            disabled={advanceMutation.isPending}
+          >
+            {advanceMutation.isPending ? "Saving..." : "Move"}
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  function renderTurnover(turnover) {
+    const open = turnover.status === "open";
+    const tasksDone = turnover.tasks.filter((task) => task.status === "completed").length;
+    return (
+      <div key={turnover._id} className="space-y-2 rounded-md border p-3">
+        <div>
+          <p className="font-medium">
+            {turnover.propertyName} · {turnover.unitLabel}
+          </p>
+          {turnover.outgoingTenants.length ? (
+            <p className="text-xs text-muted-foreground">
+              Outgoing: {turnover.outgoingTenants.join(", ")}
+            </p>
+          ) : null}
+        </div>
+        <div className="space-y-1 text-xs text-muted-foreground">
+          {turnover.vacantSince ? (
+            <p>
+              Vacant {turnover.daysVacant} days · {formatCurrency(turnover.lostRent)} lost
+            </p>
+          ) : turnover.moveOutDate ? (
+            <p>Moves out {formatDate(turnover.moveOutDate)}</p>
+          ) : null}
+          {turnover.tasks.length ? (
+            <p>
+              Make-ready {tasksDone}/{turnover.tasks.length} done
+            </p>
+          ) : null}
+          {turnover.listedRent !== undefined ? <p>Asking {formatCurrency(turnover.listedRent)}</p> : null}
+          {turnover.showings ? <p>{turnover.showings} showings</p> : null}
+          {turnover.vacantUntil ? <p>Next lease starts {formatDate(turnover.vacantUntil)}</p> : null}
+        </div>
+        {!open ? <Badge variant="success">Done</Badge> : null}
+
+        {expandedId === turnover._id ? (
+          <div className="space-y-1 border-t pt-2 text-xs">
+            {turnover.stages.map((entry) => (
+              <div key={`${entry.stage}-${entry.enteredAt}`} className="flex justify-between gap-2">
+                <span>
+                  {STAGE_LABELS[entry.stage] || entry.stage} · {entry.days}d
+                </span>
+                <span className="text-muted-foreground">
+                  {entry.vacantDays}d vacant · {formatCurrency(entry.lostRent)}
+                </span>
+              </div>
+            ))}
+            {turnover.inspectionNotes ? (
+              <p className="text-muted-foreground">Inspection: {turnover.inspectionNotes}</p>
+            ) : null}
+            {turnover.notes ? <p className="text-muted-foreground">{turnover.notes}</p> : null}
+          </div>
+        ) : null}
+
+        <div className="flex flex-wrap gap-1">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setExpandedId(expandedId === turnover._id ? null : turnover._id)}
+          >
+            {expandedId === turnover._id ? "Hide" : "Details"}
+          </Button>
+          {open && nextStage(turnover.stage) ? (
+            <Button variant="outline" size="sm" onClick={() => setAdvancing(advanceForm(turnover))}>
+              Next stage
+            </Button>
+          ) : null}
+          {open && turnover.stage === "showing" ? (
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={showingMutation.isPending}
+              onClick={() => showingMutation.mutate(turnover)}
+            >
+              +1 showing
+            </Button>
+          ) : null}
+          {open && turnover.stage === "notice" ? (
+            <Button
+              variant="ghost"
+              size="sm"
+              disabled={cancelMutation.isPending}
+              onClick={() => cancelMutation.mutate(turnover._id)}
+            >
+              Notice withdrawn
+            </Button>
+          ) : null}
+        </div>
+        {advancing?.id === turnover._id ? renderAdvanceForm() : null}
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Turnovers</CardTitle>
+        <Button
+          variant="outline"
+          size="sm"
+          className="gap-2"
+          onClick={() => setStartForm({ unitId: "", stage: "notice", moveOutDate: "", notes: "" })}
+        >
+          <Plus className="h-4 w-4" />
+          Start turnover
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {boardQuery.isLoading ? <p className="text-muted-foreground">Loading turnovers...</p> : null}
+        {boardQuery.error ? <p className="text-red-600">{boardQuery.error.message}</p> : null}
+        {mutationError ? <p className="text-red-600">{mutationError.message}</p> : null}
+        {!boardQuery.isLoading && !boardQuery.error && turnovers.length === 0 ? (
+          <p className="text-muted-foreground">
+            No units are turning over. A turnover starts when a tenant gives notice, declines a
+            renewal or moves out.
+          </p>
+        ) : null}
+
+        {turnovers.length > 0 ? (
+          <div className="overflow-x-auto">
+            <div className="grid min-w-[1120px] grid-cols-7 gap-3">
+              {STAGES.map((stage) => (
+                <div key={stage.key} className="space-y-2">
+                  <p className="text-xs font-medium uppercase text-muted-foreground">{stage.label}</p>
+                  {turnovers.filter((turnover) => turnover.stage === stage.key).map(renderTurnover)}
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : null}
+      </CardContent>
+
+      <Dialog open={Boolean(startForm)} onOpenChange={(open) => !open && setStartForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Start turnover</DialogTitle>
+          </DialogHeader>
+          {startForm ? (
+            <div className="space-y-3">
+              <div className="space-y-1">
+                <Label>Unit</Label>
+                <select
+                  value={startForm.unitId}
+                  onChange={(event) => setStartForm((prev) => ({ ...prev, unitId: event.target.value }))}
+                  className={selectClassName}
+                >
+                  <option value="">Select unit</option>
+                  {(unitsQuery.data || [])
+                    .filter((unit) => !busyUnits.has(unit._id))
+                    .map((unit) => (
+                      <option key={unit._id} value={unit._id}>
+                        {propertyNames.get(unit.propertyId) || "Property"} · {unit.label} ({unit.status})
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <Label>Where things stand</Label>
+                <select
+                  value={startForm.stage}
+                  onChange={(event) => setStartForm((prev) => ({ ...prev, stage: event.target.value }))}
+                  className={selectClassName}
+                >
+                  <option value="notice">Tenant gave notice</option>
+                  <option value="inspection">Tenant has moved out</option>
+                </select>
+              </div>
+              {startForm.stage === "notice" ? (
+                <div className="space-y-1">
+                  <Label>Move-out date</Label>
+                  <Input
+                    type="date"
+                    value={startForm.moveOutDate}
+                    onChange={(event) =>
+                      setStartForm((prev) => ({ ...prev, moveOutDate: event.target.value }))
+                    }
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Defaults to the lease end date. Tenants are moved out on this date.
+                  </p>
+                </div>
+              ) : null}
+              <div className="space-y-1">
+                <Label>Notes</Label>
+                <Input
+                  value={startForm.notes}
+                  onChange={(event) => setStartForm((prev) => ({ ...prev, notes: event.target.value }))}
+                />
+              </div>
+              {startMutation.error ? <p className="text-sm text-red-600">{startMutation.error.message}</p> : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setStartForm(null)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => startMutation.mutate(startForm)}
+              disabled={startMutation.isPending || !startForm?.unitId}
+            >
+              {startMutation.isPending ? "Starting..." : "Start"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,69 @@
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useAuth } from "@/contexts/AuthContext";
+import { fetchVacancyLoss } from "@/services/dataService";
+import { formatCurrency } from "@/lib/format";
+
+function Total({ label, value }) {
+  return (
+    <div>
+      <p className="text-xs text-muted-foreground">{label}</p>
+      <p className="font-semibold">{value}</p>
+    </div>
+  );
+}
+
+export default function VacancyLoss() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+
+  const lossQuery = useQuery({
+    queryKey: ["vacancyLoss", userId],
+    queryFn: () => fetchVacancyLoss(),
+    enabled: Boolean(userId),
+  });
+
+  const loss = lossQuery.data;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Vacancy loss</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {lossQuery.isLoading ? <p className="text-muted-foreground">Loading vacancy loss...</p> : null}
+        {lossQuery.error ? <p className="text-red-600">{lossQuery.error.message}</p> : null}
+
+        {loss ? (
+          <div className="grid gap-3 sm:grid-cols-3 lg:grid-cols-5">
+            <Total label="This month" value={formatCurrency(loss.monthToDate)} />
+            <Total label="This year" value={formatCurrency(loss.yearToDate)} />
+            <Total label="Vacant units" value={`${loss.vacantUnits} of ${loss.openTurnovers} turning over`} />
+            <Total label="Accruing on open turnovers" value={formatCurrency(loss.openLostRent)} />
+            <Total
+              label="Average days vacant"
+              value={loss.averageDaysVacant === null ? "—" : loss.averageDaysVacant}
+            />
+          </div>
+        ) : null}
+
+        {loss?.properties.length ? (
+          <div className="space-y-1">
+            {loss.properties.map((row) => (
+              <div key={row.propertyId} className="flex justify-between gap-3 border-b py-1 last:border-0">
+                <span>{row.propertyName}</span>
+                <span className="text-muted-foreground">
+                  {formatCurrency(row.monthToDate)} this month · {formatCurrency(row.yearToDate)} this year
+                </span>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
+        {loss && !loss.properties.length ? (
+          <p className="text-muted-foreground">No rent lost to vacancy this year.</p>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
@@ -2,14 +2,17 @@ import { createContext, useContext, useEffect, useMemo, useState } from "react";
 import {
   changePassword,
   clearSession,
+  completePasswordReset,
   loadSession,
   requestPasswordReset,
   resendEmailCode,
   saveSession,
   signInWithEmail,
+  signOut,
   signUpWithEmail,
   verifyEmailCode,
 } from "@/services/authService";
+import { onSessionInvalid } from "@/services/convexClient";
 
 const AuthContext = createContext(undefined);
 
@@ -23,6 +26,14 @@ export function AuthProvider({ children }) {
     setLoading(false);
   }, []);
 
+  useEffect(() => {
+    // Expired or revoked sessions are rejected server-side; drop the local copy.
+    return onSessionInvalid(() => {
+      clearSession();
+      setSession(null);
+    });
+  }, []);
+
   const login = async (email, password) => {
     const nextSession = await signInWithEmail(email, password);
     setSession(nextSession);
@@ -47,12 +58,20 @@ export function AuthProvider({ children }) {
     return requestPasswordReset(email);
   };
 
-  const updatePassword = async ({ email, currentPassword, newPassword }) => {
-    return changePassword({ email, currentPassword, newPassword });
+  const confirmPasswordReset = async ({ token, newPassword }) => {
+    const result = await completePasswordReset({ token, newPassword });
+    // Every session was revoked server-side, including this browser's.
+    clearSession();
+    setSession(null);
+    return result;
+  };
+
+  const updatePassword = async ({ currentPassword, newPassword }) => {
+    return changePassword({ currentPassword, newPassword });
   };
 
   const logout = async () => {
-    clearSession();
+    await signOut();
     setSession(null);
   };
 
@@ -78,6 +97,7 @@ export function AuthProvider({ children }) {
       verifyEmail,
       sendVerificationEmail,
       resetPassword,
+      confirmPasswordReset,
       updatePassword,
       refreshSession,
     }),
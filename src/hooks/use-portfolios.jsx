@@ -0,0 +1,28 @@
+import { useQuery } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/AuthContext";
+import { listPortfolios } from "@/services/dataService";
+
+/**
+ * Portfolios (and tenancies) the signed-in user can switch between, plus the
+ * one this session is acting in.
+ */
+export function usePortfolios() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+
+  const portfoliosQuery = useQuery({
+    queryKey: ["portfolios", userId],
+    queryFn: () => listPortfolios(),
+    enabled: Boolean(userId),
+  });
+
+  const portfolios = portfoliosQuery.data || [];
+  const active = portfolios.find((portfolio) => portfolio.isActive) || null;
+
+  return {
+    portfolios,
+    active,
+    isTenant: active?.role === "tenant",
+    isLoading: portfoliosQuery.isLoading,
+  };
+}
@@ -0,0 +1,94 @@
+import { uploadMaintenanceFile } from "@/services/dataService";
+
+const MAX_PHOTO_EDGE = 2048;
+const PHOTO_QUALITY = 0.85;
+const MAX_VIDEO_SECONDS = 120;
+const MAX_VIDEO_BYTES = 100 * 1024 * 1024;
+
+// Animated and vector images would lose what makes them useful as a JPEG
+const KEEP_AS_IS = ["image/gif", "image/svg+xml"];
+
+function loadVideoDuration(file) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.preload = "metadata";
+    video.onloadedmetadata = () => {
+      URL.revokeObjectURL(url);
+      resolve(video.duration);
+    };
+    // Formats the browser can't play are left for the server to size-check
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    video.src = url;
+  });
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", PHOTO_QUALITY));
+}
+
+/**
+ * Shrink a photo to at most 2048px on its longest side and re-encode it as
+ * JPEG, turned upright from its EXIF orientation. Videos are checked to be
+ * short enough. Photos the browser can't decode (e.g. HEIC outside Safari)
+ * are uploaded as they are.
+ */
+export async function prepareMediaFile(file) {
+  if (file.type.startsWith("video/")) {
+    if (file.size > MAX_VIDEO_BYTES) {
+      throw new Error(`${file.name} is over 100 MB.`);
+    }
+    const duration = await loadVideoDuration(file);
+    if (duration !== null && duration > MAX_VIDEO_SECONDS) {
+      throw new Error(`${file.name} is longer than ${MAX_VIDEO_SECONDS / 60} minutes.`);
+    }
+    return file;
+  }
+  if (!file.type.startsWith("image/")) {
+    throw new Error(`${file.name} isn't a photo or video.`);
+  }
+  if (KEEP_AS_IS.includes(file.type)) {
+    return file;
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch {
+    return file;
+  }
+  const scale = Math.min(1, MAX_PHOTO_EDGE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const blob = await canvasToBlob(canvas);
+  if (!blob) {
+    return file;
+  }
+  const baseName = file.name.replace(/\.[^.]+$/, "") || "photo";
+  return new File([blob], `${baseName}.jpg`, { type: "image/jpeg", lastModified: file.lastModified });
+}
+
+/**
+ * Prepare and upload photos and videos for a maintenance request, returning
+ * the files to pass to maintenanceMedia.add or maintenanceRequests.create
+ */
+export async function uploadMediaFiles(files) {
+  // Check every file before uploading any, so a rejected one doesn't leave
+  // the rest stranded in storage
+  const prepared = [];
+  for (const file of files) {
+    prepared.push(await prepareMediaFile(file));
+  }
+  const uploaded = [];
+  for (const file of prepared) {
+    uploaded.push({ storageId: await uploadMaintenanceFile(file), fileName: file.name });
+  }
+  return uploaded;
+}
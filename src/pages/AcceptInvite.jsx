@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { AlertCircle, CheckCircle2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useAuth } from "@/contexts/AuthContext";
+import { acceptInvitation } from "@/services/dataService";
+
+export default function AcceptInvite() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const { currentUser, logout } = useAuth();
+  const queryClient = useQueryClient();
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [accepted, setAccepted] = useState(null);
+
+  async function handleAccept() {
+    setLoading(true);
+    setError("");
+    try {
+      const result = await acceptInvitation(token);
+      // The session now acts in the new portfolio.
+      await queryClient.invalidateQueries();
+      setAccepted(result);
+    } catch (nextError) {
+      setError(nextError.message || "Could not accept the invitation.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-100 to-white dark:from-slate-950 dark:to-slate-900 flex items-center justify-center px-4 py-10">
+      <Card className="w-full max-w-md shadow-xl">
+        <CardHeader className="space-y-3">
+          <img
+            src="/HH Logo.png"
+            alt="Highlander Homes"
+            className="h-12 w-auto object-contain"
+          />
+          <CardTitle>Join a portfolio</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          ) : null}
+
+          {!token ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                This invitation link is missing its token. Ask the portfolio owner to send a new invite.
+              </AlertDescription>
+            </Alert>
+          ) : null}
+
+          {accepted ? (
+            <>
+              <Alert>
+                <CheckCircle2 className="h-4 w-4" />
+                <AlertDescription>
+                  You joined {accepted.name} as {accepted.roleLabel}. You can switch portfolios from the sidebar.
+                </AlertDescription>
+              </Alert>
+              <Button asChild className="w-full">
+                <Link to="/dashboard">Go to dashboard</Link>
+              </Button>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-muted-foreground">
+                You're signed in as {currentUser?.email}. Invitations can only be accepted with the
+                email address they were sent to.
+              </p>
+              <Button className="w-full" onClick={handleAccept} disabled={loading || !token}>
+                {loading ? "Joining..." : "Accept invitation"}
+              </Button>
+              <p className="text-center text-sm text-muted-foreground">
+                Wrong account?{" "}
+                <button type="button" className="underline" onClick={logout}>
+                  Sign out
+                </button>
+              </p>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
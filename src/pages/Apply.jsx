@@ -0,0 +1,461 @@
+import { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { AlertCircle, CheckCircle2, Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  applicationUploadUrl,
+  discardApplicationUploads,
+  fetchPublicListing,
+  submitRentalApplication,
+} from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+const FILE_KINDS = [
+  { key: "id", label: "Photo ID" },
+  { key: "pay_stub", label: "Pay stubs" },
+  { key: "other", label: "Other documents" },
+];
+
+const MAX_ENTRIES = 5;
+
+const emptyHome = {
+  address: "",
+  landlordName: "",
+  landlordPhone: "",
+  monthlyRent: "",
+  movedIn: "",
+  movedOut: "",
+  reasonForLeaving: "",
+};
+const emptyCoApplicant = { firstName: "", lastName: "", email: "", phone: "", monthlyIncome: "" };
+
+function parseNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : undefined;
+}
+
+function toUtcTimestamp(value) {
+  return value ? new Date(`${value}T00:00:00Z`).getTime() : undefined;
+}
+
+function optional(value) {
+  return value.trim() || undefined;
+}
+
+async function uploadFile(slug, file) {
+  const uploadResponse = await fetch(applicationUploadUrl(slug), {
+    method: "POST",
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+    },
+    body: file,
+  });
+  const body = await uploadResponse.json().catch(() => ({}));
+  if (!uploadResponse.ok) {
+    throw new Error(body.error ? `${file.name}: ${body.error}.` : `Upload failed for ${file.name}.`);
+  }
+  return body.storageId;
+}
+
+function Field({ label, children }) {
+  return (
+    <div className="space-y-1">
+      <Label>{label}</Label>
+      {children}
+    </div>
+  );
+}
+
+export default function Apply() {
+  const { slug = "" } = useParams();
+  const [form, setForm] = useState({
+    firstName: "",
+    lastName: "",
+    email: "",
+    phone: "",
+    desiredMoveIn: "",
+    employer: "",
+    jobTitle: "",
+    employedSince: "",
+    monthlyIncome: "",
+    otherIncome: "",
+    message: "",
+  });
+  const [homes, setHomes] = useState([{ ...emptyHome }]);
+  const [coApplicants, setCoApplicants] = useState([]);
+  const [files, setFiles] = useState([]);
+
+  const listingQuery = useQuery({
+    queryKey: ["publicListing", slug],
+    queryFn: () => fetchPublicListing(slug),
+    enabled: Boolean(slug),
+  });
+
+  const submitMutation = useMutation({
+    mutationFn: async () => {
+      const uploaded = [];
+      try {
+        for (const entry of files) {
+          uploaded.push({
+            storageId: await uploadFile(slug, entry.file),
+            kind: entry.kind,
+            fileName: entry.file.name,
+          });
+        }
+        return await submitApplication(uploaded);
+      } catch (error) {
+        // The form uploads the files again when it's sent again
+        await discardApplicationUploads(slug, uploaded.map((file) => file.storageId)).catch(() => {});
+        throw error;
+      }
+    },
+  });
+
+  function submitApplication(uploaded) {
+    return submitRentalApplication({
+      slug,
+      firstName: form.firstName,
+      lastName: form.lastName,
+      email: form.email,
+      phone: form.phone,
+      desiredMoveIn: toUtcTimestamp(form.desiredMoveIn),
+      employer: optional(form.employer),
+      jobTitle: optional(form.jobTitle),
+      employedSince: toUtcTimestamp(form.employedSince),
+      monthlyIncome: parseNumber(form.monthlyIncome) ?? 0,
+      otherIncome: parseNumber(form.otherIncome),
+      rentalHistory: homes
+        .filter((home) => home.address.trim())
+        .map((home) => ({
+          address: home.address,
+          landlordName: optional(home.landlordName),
+          landlordPhone: optional(home.landlordPhone),
+          monthlyRent: parseNumber(home.monthlyRent),
+          movedIn: toUtcTimestamp(home.movedIn),
+          movedOut: toUtcTimestamp(home.movedOut),
+          reasonForLeaving: optional(home.reasonForLeaving),
+        })),
+      coApplicants: coApplicants.map((person) => ({
+        firstName: person.firstName,
+        lastName: person.lastName,
+        email: person.email,
+        phone: optional(person.phone),
+        monthlyIncome: parseNumber(person.monthlyIncome),
+      })),
+      files: uploaded,
+      message: optional(form.message),
+    });
+  }
+
+  function setField(key) {
+    return (event) => setForm((prev) => ({ ...prev, [key]: event.target.value }));
+  }
+
+  function setEntry(setList, index, key) {
+    return (event) =>
+      setList((prev) =>
+        prev.map((entry, position) => (position === index ? { ...entry, [key]: event.target.value } : entry))
+      );
+  }
+
+  function removeEntry(setList, index) {
+    setList((prev) => prev.filter((_, position) => position !== index));
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    submitMutation.mutate();
+  }
+
+  const listing = listingQuery.data;
+  const canSubmit =
+    form.firstName.trim() &&
+    form.lastName.trim() &&
+    form.email.trim() &&
+    form.phone.trim() &&
+    form.monthlyIncome !== "";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-100 to-white dark:from-slate-950 dark:to-slate-900 px-4 py-10">
+      <div className="mx-auto w-full max-w-2xl space-y-6">
+        <img src="/HH Logo.png" alt="Highlander Homes" className="h-12 w-auto object-contain" />
+
+        {listingQuery.isLoading ? <p className="text-muted-foreground">Loading listing...</p> : null}
+        {listingQuery.error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{listingQuery.error.message}</AlertDescription>
+          </Alert>
+        ) : null}
+        {!listingQuery.isLoading && !listingQuery.error && !listing ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>This application link isn't valid. Ask the landlord for a new one.</AlertDescription>
+          </Alert>
+        ) : null}
+
+        {listing ? (
+          <Card>
+            <CardHeader>
+              <CardTitle>
+                {listing.address}
+                {listing.unitLabel ? `, Unit ${listing.unitLabel}` : ""}
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                {listing.city}, {listing.state} {listing.zipCode}
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-3 text-sm">
+              {listing.photos.length ? (
+                <img
+                  src={listing.photos[0].url}
+                  alt={listing.photos[0].caption || listing.propertyName}
+                  className="max-h-72 w-full rounded-md object-cover"
+                />
+              ) : null}
+              <p className="text-lg font-semibold">{formatCurrency(listing.monthlyRent)} / month</p>
+              <p className="text-muted-foreground">
+                {[
+                  listing.bedrooms !== undefined ? `${listing.bedrooms} bd` : null,
+                  listing.bathrooms !== undefined ? `${listing.bathrooms} ba` : null,
+                  listing.squareFeet ? `${listing.squareFeet.toLocaleString()} sq ft` : null,
+                  listing.securityDeposit !== undefined ? `${formatCurrency(listing.securityDeposit)} deposit` : null,
+                  listing.availableDate ? `available ${formatDate(listing.availableDate)}` : null,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+              {listing.description ? <p className="whitespace-pre-line">{listing.description}</p> : null}
+              <p className="text-muted-foreground">Offered by {listing.landlordName}</p>
+              <Link to={`/listing/${slug}`} className="text-primary underline-offset-4 hover:underline">
+                View the full listing{listing.photos.length > 1 ? ` and all ${listing.photos.length} photos` : ""}
+              </Link>
+            </CardContent>
+          </Card>
+        ) : null}
+
+        {listing && !listing.accepting ? (
+          <Alert>
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>This home is no longer taking applications.</AlertDescription>
+          </Alert>
+        ) : null}
+
+        {submitMutation.isSuccess ? (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>
+              Application sent. {listing?.landlordName || "The landlord"} will review it and get back to
+              you at {form.email.trim()}.
+            </AlertDescription>
+          </Alert>
+        ) : null}
+
+        {listing?.accepting && !submitMutation.isSuccess ? (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">About you</CardTitle>
+              </CardHeader>
+              <CardContent className="grid gap-3 sm:grid-cols-2">
+                <Field label="First name">
+                  <Input value={form.firstName} onChange={setField("firstName")} required />
+                </Field>
+                <Field label="Last name">
+                  <Input value={form.lastName} onChange={setField("lastName")} required />
+                </Field>
+                <Field label="Email">
+                  <Input type="email" value={form.email} onChange={setField("email")} required />
+                </Field>
+                <Field label="Phone">
+                  <Input type="tel" value={form.phone} onChange={setField("phone")} required />
+                </Field>
+                <Field label="Desired move-in">
+                  <Input type="date" value={form.desiredMoveIn} onChange={setField("desiredMoveIn")} />
+                </Field>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Employment and income</CardTitle>
+              </CardHeader>
+              <CardContent className="grid gap-3 sm:grid-cols-2">
+                <Field label="Employer">
+                  <Input value={form.employer} onChange={setField("employer")} />
+                </Field>
+                <Field label="Job title">
+                  <Input value={form.jobTitle} onChange={setField("jobTitle")} />
+                </Field>
+                <Field label="Employed since">
+                  <Input type="date" value={form.employedSince} onChange={setField("employedSince")} />
+                </Field>
+                <Field label="Monthly income before taxes">
+                  <Input type="number" min="0" value={form.monthlyIncome} onChange={setField("monthlyIncome")} required />
+                </Field>
+                <Field label="Other monthly income">
+                  <Input type="number" min="0" value={form.otherIncome} onChange={setField("otherIncome")} />
+                </Field>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Rental history</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {homes.map((home, index) => (
+                  <div key={index} className="space-y-3 rounded-md border p-3">
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-medium">{index === 0 ? "Current home" : "Previous home"}</p>
+                      {homes.length > 1 ? (
+                        <Button type="button" variant="ghost" size="icon" onClick={() => removeEntry(setHomes, index)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      ) : null}
+                    </div>
+                    <Field label="Address">
+                      <Input value={home.address} onChange={setEntry(setHomes, index, "address")} />
+                    </Field>
+                    <div className="grid gap-3 sm:grid-cols-2">
+                      <Field label="Landlord name">
+                        <Input value={home.landlordName} onChange={setEntry(setHomes, index, "landlordName")} />
+                      </Field>
+                      <Field label="Landlord phone">
+                        <Input type="tel" value={home.landlordPhone} onChange={setEntry(setHomes, index, "landlordPhone")} />
+                      </Field>
+                      <Field label="Monthly rent">
+                        <Input type="number" min="0" value={home.monthlyRent} onChange={setEntry(setHomes, index, "monthlyRent")} />
+                      </Field>
+                      <Field label="Reason for leaving">
+                        <Input value={home.reasonForLeaving} onChange={setEntry(setHomes, index, "reasonForLeaving")} />
+                      </Field>
+                      <Field label="Moved in">
+                        <Input type="date" value={home.movedIn} onChange={setEntry(setHomes, index, "movedIn")} />
+                      </Field>
+                      <Field label="Moved out">
+                        <Input type="date" value={home.movedOut} onChange={setEntry(setHomes, index, "movedOut")} />
+                      </Field>
+                    </div>
+                  </div>
+                ))}
+                {homes.length < MAX_ENTRIES ? (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    className="gap-2"
+                    onClick={() => setHomes((prev) => [...prev, { ...emptyHome }])}
+                  >
+                    <Plus className="h-4 w-4" />
+                    Add a previous home
+                  </Button>
+                ) : null}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Co-applicants</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                  Every adult who will live in the home and sign the lease.
+                </p>
+                {coApplicants.map((person, index) => (
+                  <div key={index} className="space-y-3 rounded-md border p-3">
+                    <div className="flex justify-end">
+                      <Button type="button" variant="ghost" size="icon" onClick={() => removeEntry(setCoApplicants, index)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <div className="grid gap-3 sm:grid-cols-2">
+                      <Field label="First name">
+                        <Input value={person.firstName} onChange={setEntry(setCoApplicants, index, "firstName")} required />
+                      </Field>
+                      <Field label="Last name">
+                        <Input value={person.lastName} onChange={setEntry(setCoApplicants, index, "lastName")} required />
+                      </Field>
+                      <Field label="Email">
+                        <Input type="email" value={person.email} onChange={setEntry(setCoApplicants, index, "email")} required />
+                      </Field>
+                      <Field label="Phone">
+                        <Input type="tel" value={person.phone} onChange={setEntry(setCoApplicants, index, "phone")} />
+                      </Field>
+                      <Field label="Monthly income">
+                        <Input
+                          type="number"
+                          min="0"
+                          value={person.monthlyIncome}
+                          onChange={setEntry(setCoApplicants, index, "monthlyIncome")}
+                        />
+                      </Field>
+                    </div>
+                  </div>
+                ))}
+                {coApplicants.length < MAX_ENTRIES ? (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    className="gap-2"
+                    onClick={() => setCoApplicants((prev) => [...prev, { ...emptyCoApplicant }])}
+                  >
+                    <Plus className="h-4 w-4" />
+                    Add a co-applicant
+                  </Button>
+                ) : null}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Documents</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                <p className="text-muted-foreground">Photos or PDFs, up to 10 MB each.</p>
+                {FILE_KINDS.map((kind) => (
+                  <Field key={kind.key} label={kind.label}>
+                    <Input
+                      type="file"
+                      multiple
+                      accept="image/*,application/pdf"
+                      onChange={(event) => {
+                        const picked = Array.from(event.target.files || []).map((file) => ({ file, kind: kind.key }));
+                        setFiles((prev) => [...prev.filter((entry) => entry.kind !== kind.key), ...picked]);
+                      }}
+                    />
+                  </Field>
+                ))}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardContent className="space-y-3 pt-6">
+                <Field label="Anything else the landlord should know?">
+                  <Textarea rows={3} value={form.message} onChange={setField("message")} />
+                </Field>
+                {submitMutation.error ? (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>{submitMutation.error.message}</AlertDescription>
+                  </Alert>
+                ) : null}
+                <Button type="submit" className="w-full" disabled={submitMutation.isPending || !canSubmit}>
+                  {submitMutation.isPending ? "Sending application..." : "Submit application"}
+                </Button>
+              </CardContent>
+            </Card>
+          </form>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -64,7 +64,7 @@ export default function Contractors() {
 
   const contractorsQuery = useQuery({
     queryKey: ["contractors", userId, "all"],
-    queryFn: () => listContractors(userId),
+    queryFn: () => listContractors(),
     enabled: Boolean(userId),
   });
 
@@ -317,7 +317,6 @@ export default function Contractors() {
             <Button
               onClick={() =>
                 createMutation.mutate({
-                  userId,
                   companyName: createForm.companyName.trim(),
                   contactName: createForm.contactName.trim(),
                   phone: createForm.phone.trim(),
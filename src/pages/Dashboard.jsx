@@ -1,14 +1,18 @@
 import { useMemo } from "react";
 import { useQuery } from "@tanstack/react-query";
-import { Link } from "react-router-dom";
-import { AlertTriangle, Building2, DollarSign, FileText, Home, UserCircle2, Wrench } from "lucide-react";
+import { Link, Navigate } from "react-router-dom";
+import { AlertTriangle, Building2, DollarSign, FileText, Home, Wrench } from "lucide-react";
 import PageLayout from "@/components/layout/PageLayout";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { useAuth } from "@/contexts/AuthContext";
+import { usePortfolios } from "@/hooks/use-portfolios";
 import { fetchDashboardSnapshot } from "@/services/dataService";
 import { formatCurrency, formatDate } from "@/lib/format";
 import AppStoreBadge from "@/components/common/AppStoreBadge";
+import RenewalPipeline from "@/components/leases/RenewalPipeline";
+
+const OCCUPIED_UNIT_STATUSES = ["occupied", "notice"];
 
 function StatCard({ title, value, hint, icon: Icon }) {
   return (
@@ -33,15 +37,18 @@ export default function Dashboard() {
 
   const { currentUser } = useAuth();
   const userId = currentUser?._id;
+  const { isTenant, isLoading: portfoliosLoading } = usePortfolios();
 
   const dashboardQuery = useQuery({
     queryKey: ["dashboardSnapshot", userId],
-    queryFn: () => fetchDashboardSnapshot(userId),
-    enabled: Boolean(userId),
+    queryFn: () => fetchDashboardSnapshot(),
+    // Tenant portal sessions are redirected to /portal instead.
+    enabled: Boolean(userId) && !portfoliosLoading && !isTenant,
   });
 
   const data = dashboardQuery.data;
   const properties = data?.properties || [];
+  const units = data?.units || [];
   const tenants = data?.tenants || [];
   const maintenanceRequests = data?.maintenanceRequests || [];
   const rentPayments = data?.rentPayments || [];
@@ -62,8 +69,25 @@ export default function Dashboard() {
   );
 
   const metrics = useMemo(() => {
-    const occupied = tenants.filter((tenant) => tenant.isActive).length;
-    const occupancy = properties.length > 0 ? Math.round((occupied / properties.length) * 100) : 0;
+    // Occupancy is counted per unit. Properties whose unit records haven't
+    // been created yet count their active tenants against their unit count.
+    let unitCount = 0;
+    let occupied = 0;
+    for (const property of properties) {
+      const propertyUnits = units.filter((unit) => unit.propertyId === property._id);
+      if (propertyUnits.length > 0) {
+        unitCount += propertyUnits.length;
+        occupied += propertyUnits.filter((unit) => OCCUPIED_UNIT_STATUSES.includes(unit.status)).length;
+      } else {
+        const count = Math.max(1, Number(property.units || 1));
+        const active = tenants.filter(
+          (tenant) => tenant.isActive && tenant.propertyId === property._id
+        ).length;
+        unitCount += count;
+        occupied += Math.min(active, count);
+      }
+    }
+    const occupancy = unitCount > 0 ? Math.round((occupied / unitCount) * 100) : 0;
 
     const monthlyRevenue = properties.reduce(
       (total, property) => total + Number(property.monthlyRent || 0),
@@ -91,6 +115,8 @@ export default function Dashboard() {
 
     return {
       occupancy,
+      occupiedUnits: occupied,
+      unitCount,
       monthlyRevenue,
       monthlyExpenses,
       netCashflow: monthlyRevenue - monthlyExpenses,
@@ -99,7 +125,7 @@ export default function Dashboard() {
       documents: documents.length,
       complianceAlerts: policyAlerts + licenseAlerts,
     };
-  }, [documents.length, expenses, insurancePolicies, maintenanceRequests, properties, rentalLicenses, rentPayments, tenants]);
+  }, [documents.length, expenses, insurancePolicies, maintenanceRequests, properties, rentalLicenses, rentPayments, tenants, units]);
 
   const recentMaintenance = useMemo(() => {
     return [...maintenanceRequests]
@@ -107,15 +133,6 @@ export default function Dashboard() {
       .slice(0, 6);
   }, [maintenanceRequests]);
 
-  const upcomingLeaseExpirations = useMemo(() => {
-    const now = Date.now();
-    const ninetyDaysFromNow = now + 90 * 24 * 60 * 60 * 1000;
-    return tenants
-      .filter((tenant) => tenant.isActive && tenant.leaseEndDate >= now && tenant.leaseEndDate <= ninetyDaysFromNow)
-      .sort((a, b) => a.leaseEndDate - b.leaseEndDate)
-      .slice(0, 5);
-  }, [tenants]);
-
   const documentsByProperty = useMemo(() => {
     const countMap = new Map();
     for (const document of documents) {
@@ -145,6 +162,10 @@ export default function Dashboard() {
 
   const nowMs = Date.now();
 
+  if (isTenant) {
+    return <Navigate to="/portal" replace />;
+  }
+
   return (
     <PageLayout
       title="Dashboard"
@@ -199,7 +220,7 @@ export default function Dashboard() {
               <StatCard
                 title="Occupancy"
                 value={`${metrics.occupancy}%`}
-                hint="Active tenants / properties"
+                hint={`${metrics.occupiedUnits} of ${metrics.unitCount} units occupied`}
                 icon={Building2}
               />
               <StatCard
@@ -272,38 +293,7 @@ export default function Dashboard() {
                 </CardContent>
               </Card>
 
-              <Card>
-                <CardHeader className="flex flex-row items-center justify-between space-y-0">
-                  <CardTitle>Upcoming Lease Expirations</CardTitle>
-                  <Button asChild variant="outline" size="sm">
-                    <Link to="/properties">Open Properties</Link>
-                  </Button>
-                </CardHeader>
-                <CardContent className="space-y-3">
-                  {upcomingLeaseExpirations.length === 0 ? (
-                    <div className="rounded-md border p-3 text-sm text-muted-foreground">
-                      No active leases expiring in the next 90 days.
-                    </div>
-                  ) : (
-                    upcomingLeaseExpirations.map((tenant) => (
-                      <div key={tenant._id} className="rounded-md border p-3">
-                        <div className="flex items-start justify-between gap-3">
-                          <div>
-                            <p className="font-medium flex items-center gap-2">
-                              <UserCircle2 className="h-4 w-4" />
-                              {tenant.firstName} {tenant.lastName}
-                            </p>
-                            <p className="text-xs text-muted-foreground">
-                              Ends {formatDate(tenant.leaseEndDate)}
-                            </p>
-                          </div>
-                          <Badge variant="secondary">{formatCurrency(tenant.monthlyRent)}</Badge>
-                        </div>
-                      </div>
-                    ))
-                  )}
-                </CardContent>
-              </Card>
+              <RenewalPipeline />
             </section>
 
             <Card>
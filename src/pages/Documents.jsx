@@ -33,6 +33,8 @@ const CATEGORIES = [
   "receipt",
   "tax",
   "photo",
+  "deposit",
+  "application",
   "other",
 ];
 
@@ -93,13 +95,13 @@ export default function Documents() {
 
   const propertiesQuery = useQuery({
     queryKey: ["properties", userId],
-    queryFn: () => listProperties(userId),
+    queryFn: () => listProperties(),
     enabled: Boolean(userId),
   });
 
   const documentsQuery = useQuery({
     queryKey: ["documents", userId],
-    queryFn: () => listDocuments(userId),
+    queryFn: () => listDocuments(),
     enabled: Boolean(userId),
   });
 
@@ -124,7 +126,6 @@ export default function Documents() {
       const { storageId } = await uploadResponse.json();
 
       return createDocument({
-        userId,
         propertyId: uploadForm.propertyId || undefined,
         title: uploadForm.title.trim() || selectedFile.name,
         category: uploadForm.category,
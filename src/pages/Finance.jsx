@@ -7,6 +7,7 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
 import {
   Dialog,
   DialogContent,
@@ -14,16 +15,32 @@ import {
   DialogHeader,
   DialogTitle,
 } from "@/components/ui/dialog";
+import SecurityDeposits from "@/components/payments/SecurityDeposits";
+import RentRoll from "@/components/units/RentRoll";
+import VacancyLoss from "@/components/units/VacancyLoss";
 import { useAuth } from "@/contexts/AuthContext";
 import {
   createExpense,
-  createRentPayment,
+  fetchTenantLedger,
   listExpenses,
+  listPayments,
   listProperties,
   listRentPayments,
+  listTenants,
+  recordPayment,
+  reversePayment,
+  waiveLateFee,
 } from "@/services/dataService";
 import { formatCurrency, formatDate, toDateInputValue } from "@/lib/format";
 
+const LEDGER_LABELS = {
+  charge: (entry) =>
+    entry.kind === "late_fee" ? "Late fee" : entry.prorated ? "Prorated rent" : "Rent",
+  payment: (entry) => (entry.paymentId ? "Payment received" : "Marked paid"),
+  waiver: () => "Late fee waived",
+  reversal: (entry) => (entry.status === "returned" ? "Payment returned (NSF)" : "Payment reversed"),
+};
+
 function parseNumber(value) {
   if (value === "" || value === null || value === undefined) return undefined;
   const next = Number(value);
@@ -42,6 +59,11 @@ export default function Finance() {
   const queryClient = useQueryClient();
   const [isExpenseOpen, setIsExpenseOpen] = useState(false);
   const [isPaymentOpen, setIsPaymentOpen] = useState(false);
+  const [ledgerTenantId, setLedgerTenantId] = useState("");
+  const [waivingFee, setWaivingFee] = useState(null);
+  const [waiverNote, setWaiverNote] = useState("");
+  const [reversingPayment, setReversingPayment] = useState(null);
+  const [reversalForm, setReversalForm] = useState({ reason: "returned", note: "" });
 
   const [expenseForm, setExpenseForm] = useState({
     propertyId: "",
@@ -53,32 +75,79 @@ export default function Finance() {
   });
 
   const [paymentForm, setPaymentForm] = useState({
-    propertyId: "",
+    tenantId: "",
     amount: "",
-    status: "completed",
-    paymentDate: toDateInputValue(Date.now()),
-    notes: "",
+    receivedAt: toDateInputValue(Date.now()),
     paymentMethod: "bank_transfer",
+    transactionId: "",
+    notes: "",
   });
 
   const propertiesQuery = useQuery({
     queryKey: ["properties", userId],
-    queryFn: () => listProperties(userId),
+    queryFn: () => listProperties(),
     enabled: Boolean(userId),
   });
 
   const expensesQuery = useQuery({
     queryKey: ["expenses", userId],
-    queryFn: () => listExpenses(userId),
+    queryFn: () => listExpenses(),
     enabled: Boolean(userId),
   });
 
   const paymentsQuery = useQuery({
     queryKey: ["rentPayments", userId],
-    queryFn: () => listRentPayments(userId),
+    queryFn: () => listRentPayments(),
+    enabled: Boolean(userId),
+  });
+
+  const tenantsQuery = useQuery({
+    queryKey: ["tenants", userId],
+    queryFn: () => listTenants(),
+    enabled: Boolean(userId),
+  });
+
+  const ledgerQuery = useQuery({
+    queryKey: ["rentLedger", userId, ledgerTenantId],
+    queryFn: () => fetchTenantLedger(ledgerTenantId),
+    enabled: Boolean(userId) && Boolean(ledgerTenantId),
+  });
+
+  const receivedQuery = useQuery({
+    queryKey: ["payments", userId],
+    queryFn: () => listPayments(),
     enabled: Boolean(userId),
   });
 
+  async function invalidateRentData() {
+    await queryClient.invalidateQueries({ queryKey: ["rentPayments", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["payments", userId] });
+    await queryClient.invalidateQueries({ queryKey: ["rentLedger", userId] });
+  }
+
+  const reverseMutation = useMutation({
+    mutationFn: () =>
+      reversePayment({
+        id: reversingPayment.paymentId,
+        reason: reversalForm.reason,
+        note: reversalForm.note.trim() || undefined,
+      }),
+    onSuccess: async () => {
+      await invalidateRentData();
+      setReversingPayment(null);
+      setReversalForm({ reason: "returned", note: "" });
+    },
+  });
+
+  const waiveMutation = useMutation({
+    mutationFn: () => waiveLateFee(waivingFee.rentPaymentId, waiverNote.trim()),
+    onSuccess: async () => {
+      await invalidateRentData();
+      setWaivingFee(null);
+      setWaiverNote("");
+    },
+  });
+
   const createExpenseMutation = useMutation({
     mutationFn: createExpense,
     onSuccess: async () => {
@@ -96,21 +165,30 @@ export default function Finance() {
   });
 
   const createPaymentMutation = useMutation({
-    mutationFn: createRentPayment,
+    mutationFn: recordPayment,
     onSuccess: async () => {
-      await queryClient.invalidateQueries({ queryKey: ["rentPayments", userId] });
+      await invalidateRentData();
       setIsPaymentOpen(false);
       setPaymentForm({
-        propertyId: "",
+        tenantId: "",
         amount: "",
-        status: "completed",
-        paymentDate: toDateInputValue(Date.now()),
-        notes: "",
+        receivedAt: toDateInputValue(Date.now()),
         paymentMethod: "bank_transfer",
+        transactionId: "",
+        notes: "",
       });
     },
   });
 
+  function openPaymentFor(entry) {
+    setPaymentForm((prev) => ({
+      ...prev,
+      tenantId: entry ? ledgerTenantId : prev.tenantId,
+      amount: entry ? String(entry.remaining) : prev.amount,
+    }));
+    setIsPaymentOpen(true);
+  }
+
   const propertyMap = useMemo(
     () =>
       Object.fromEntries(
@@ -122,20 +200,55 @@ export default function Finance() {
     [propertiesQuery.data]
   );
 
+  const tenantMap = useMemo(
+    () =>
+      Object.fromEntries(
+        (tenantsQuery.data || []).map((tenant) => [
+          tenant._id,
+          `${tenant.firstName} ${tenant.lastName}`.trim(),
+        ])
+      ),
+    [tenantsQuery.data]
+  );
+
   const totals = useMemo(() => {
-    const income = (paymentsQuery.data || [])
-      .filter((payment) => payment.status === "completed")
-      .reduce((sum, payment) => sum + Number(payment.amount || 0), 0);
+    let rentIncome = 0;
+    let feeIncome = 0;
+    let feesOutstanding = 0;
+
+    // Charges marked completed by hand count in full, less anything a
+    // recorded payment already covered.
+    for (const charge of paymentsQuery.data || []) {
+      const amount = Number(charge.amount || 0);
+      const paid = Number(charge.amountPaid || 0);
+      const isFee = charge.kind === "late_fee";
+      if (charge.status === "completed") {
+        if (isFee) feeIncome += amount - paid;
+        else rentIncome += amount - paid;
+      } else if (isFee && (charge.status === "pending" || charge.status === "overdue")) {
+        feesOutstanding += amount - paid;
+      }
+    }
+
+    // Unapplied credit is rent paid in advance.
+    for (const payment of receivedQuery.data || []) {
+      if (payment.status !== "applied") continue;
+      rentIncome += payment.rentApplied + payment.unappliedAmount;
+      feeIncome += payment.feesApplied;
+    }
+
     const expenses = (expensesQuery.data || []).reduce(
       (sum, expense) => sum + Number(expense.amount || 0),
       0
     );
     return {
-      income,
+      rentIncome,
+      feeIncome,
+      feesOutstanding,
       expenses,
-      net: income - expenses,
+      net: rentIncome + feeIncome - expenses,
     };
-  }, [paymentsQuery.data, expensesQuery.data]);
+  }, [paymentsQuery.data, receivedQuery.data, expensesQuery.data]);
 
   const transactions = useMemo(() => {
     const expenseRows = (expensesQuery.data || []).map((expense) => ({
@@ -149,19 +262,34 @@ export default function Finance() {
       notes: expense.notes,
     }));
 
-    const paymentRows = (paymentsQuery.data || []).map((payment) => ({
+    // Scheduled charges and fees live in the rent ledger; only money in and
+    // hand-entered rent rows are transactions.
+    const manualRows = (paymentsQuery.data || [])
+      .filter((payment) => payment.source !== "schedule")
+      .map((payment) => ({
+        id: `rent-${payment._id}`,
+        type: "income",
+        title: "Rent Payment",
+        amount: Number(payment.amount || 0),
+        date: payment.paymentDate,
+        propertyId: payment.propertyId,
+        status: payment.status,
+        notes: payment.notes,
+      }));
+
+    const receivedRows = (receivedQuery.data || []).map((payment) => ({
       id: `payment-${payment._id}`,
       type: "income",
-      title: "Rent Payment",
+      title: `Payment from ${tenantMap[payment.tenantId] || "tenant"}`,
       amount: Number(payment.amount || 0),
-      date: payment.paymentDate,
+      date: payment.receivedAt,
       propertyId: payment.propertyId,
       status: payment.status,
       notes: payment.notes,
     }));
 
-    return [...expenseRows, ...paymentRows].sort((a, b) => b.date - a.date);
-  }, [expensesQuery.data, paymentsQuery.data]);
+    return [...expenseRows, ...manualRows, ...receivedRows].sort((a, b) => b.date - a.date);
+  }, [expensesQuery.data, paymentsQuery.data, receivedQuery.data, tenantMap]);
 
   return (
     <PageLayout
@@ -169,17 +297,36 @@ export default function Finance() {
       onRefresh={() => {
         expensesQuery.refetch();
         paymentsQuery.refetch();
+        receivedQuery.refetch();
+        if (ledgerTenantId) ledgerQuery.refetch();
       }}
-      isRefreshing={expensesQuery.isFetching || paymentsQuery.isFetching}
+      isRefreshing={
+        expensesQuery.isFetching || paymentsQuery.isFetching || receivedQuery.isFetching
+      }
     >
       <div className="space-y-6">
-        <section className="grid gap-4 sm:grid-cols-3">
+        <section className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          <Card>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm text-muted-foreground">Rent Income</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-semibold text-emerald-600">
+                {formatCurrency(totals.rentIncome)}
+              </p>
+            </CardContent>
+          </Card>
           <Card>
             <CardHeader className="pb-2">
-              <CardTitle className="text-sm text-muted-foreground">Total Income</CardTitle>
+              <CardTitle className="text-sm text-muted-foreground">Late Fees</CardTitle>
             </CardHeader>
             <CardContent>
-              <p className="text-2xl font-semibold text-emerald-600">{formatCurrency(totals.income)}</p>
+              <p className="text-2xl font-semibold text-emerald-600">
+                {formatCurrency(totals.feeIncome)}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {formatCurrency(totals.feesOutstanding)} outstanding
+              </p>
             </CardContent>
           </Card>
           <Card>
@@ -208,9 +355,9 @@ export default function Finance() {
                 <Plus className="h-4 w-4" />
                 Add expense
               </Button>
-              <Button onClick={() => setIsPaymentOpen(true)} className="gap-2">
+              <Button onClick={() => openPaymentFor(null)} className="gap-2">
                 <Plus className="h-4 w-4" />
-                Add payment
+                Record payment
               </Button>
             </div>
           </CardHeader>
@@ -251,6 +398,132 @@ export default function Finance() {
             </div>
           </CardContent>
         </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="text-base">Rent ledger</CardTitle>
+            <select
+              value={ledgerTenantId}
+              onChange={(event) => setLedgerTenantId(event.target.value)}
+              className="h-9 rounded-md border bg-background px-3 text-sm"
+            >
+              <option value="">Select a tenant</option>
+              {(tenantsQuery.data || []).map((tenant) => (
+                <option key={tenant._id} value={tenant._id}>
+                  {tenant.firstName} {tenant.lastName}
+                </option>
+              ))}
+            </select>
+          </CardHeader>
+          <CardContent>
+            {!ledgerTenantId ? (
+              <p className="text-center text-sm text-muted-foreground py-8">
+                Pick a tenant to see their charges, payments and balance.
+              </p>
+            ) : null}
+            {ledgerQuery.error ? (
+              <p className="text-sm text-red-600">{ledgerQuery.error.message}</p>
+            ) : null}
+            {ledgerQuery.data ? (
+              <div className="space-y-3">
+                <div className="flex items-center justify-between rounded-md bg-muted px-3 py-2 text-sm">
+                  <span className="text-muted-foreground">
+                    Balance due
+                    {ledgerQuery.data.credit > 0
+                      ? ` · ${formatCurrency(ledgerQuery.data.credit)} unapplied credit`
+                      : ""}
+                  </span>
+                  <span className="font-semibold">{formatCurrency(ledgerQuery.data.balance)}</span>
+                </div>
+                {[...ledgerQuery.data.entries].reverse().map((entry) => (
+                  <div
+                    key={entry.key}
+                    className="flex flex-col gap-2 rounded-md border p-3 text-sm md:flex-row md:items-center md:justify-between"
+                  >
+                    <div>
+                      <p className="font-medium">{LEDGER_LABELS[entry.type](entry)}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatDate(entry.date)}
+                        {entry.type === "charge" && entry.periodStart && entry.periodEnd
+                          ? ` · covers ${formatDate(entry.periodStart)} – ${formatDate(entry.periodEnd)}`
+                          : ""}
+                        {entry.type === "charge" && entry.remaining > 0 && entry.amountPaid > 0
+                          ? ` · ${formatCurrency(entry.remaining)} remaining`
+                          : ""}
+                        {entry.type === "payment" && entry.paymentMethod
+                          ? ` · ${entry.paymentMethod}`
+                          : ""}
+                      </p>
+                      {entry.type === "waiver" && entry.waiverNote ? (
+                        <p className="text-xs text-muted-foreground">
+                          {entry.waivedByName ? `${entry.waivedByName}: ` : ""}
+                          {entry.waiverNote}
+                        </p>
+                      ) : null}
+                      {entry.type === "reversal" && entry.reversalNote ? (
+                        <p className="text-xs text-muted-foreground">{entry.reversalNote}</p>
+                      ) : null}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {entry.type === "charge" && entry.remaining > 0 ? (
+                        <>
+                          <Badge variant={entry.status === "overdue" ? "destructive" : "secondary"}>
+                            {entry.amountPaid > 0 ? "partial" : entry.status}
+                          </Badge>
+                          <Button variant="outline" size="sm" onClick={() => openPaymentFor(entry)}>
+                            Record payment
+                          </Button>
+                          {entry.kind === "late_fee" ? (
+                            <Button variant="ghost" size="sm" onClick={() => setWaivingFee(entry)}>
+                              Waive
+                            </Button>
+                          ) : null}
+                        </>
+                      ) : null}
+                      {entry.type === "payment" && entry.paymentId ? (
+                        entry.status === "applied" ? (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setReversingPayment(entry)}
+                          >
+                            Reverse
+                          </Button>
+                        ) : (
+                          <Badge variant="destructive">{entry.status}</Badge>
+                        )
+                      ) : null}
+                      <span
+                        className={`font-semibold ${
+                          entry.type === "payment" || entry.type === "waiver"
+                            ? "text-emerald-600"
+                            : ""
+                        }`}
+                      >
+                        {entry.type === "payment" || entry.type === "waiver" ? "-" : "+"}
+                        {formatCurrency(entry.amount)}
+                      </span>
+                      <span className="w-24 text-right text-muted-foreground">
+                        {formatCurrency(entry.balance)}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+                {ledgerQuery.data.entries.length === 0 ? (
+                  <p className="text-center text-sm text-muted-foreground py-8">
+                    No charges for this tenant yet.
+                  </p>
+                ) : null}
+              </div>
+            ) : null}
+          </CardContent>
+        </Card>
+
+        <RentRoll />
+
+        <VacancyLoss />
+
+        <SecurityDeposits tenants={tenantsQuery.data || []} />
       </div>
 
       <Dialog open={isExpenseOpen} onOpenChange={setIsExpenseOpen}>
@@ -336,7 +609,6 @@ export default function Finance() {
             <Button
               onClick={() =>
                 createExpenseMutation.mutate({
-                  userId,
                   propertyId: expenseForm.propertyId || undefined,
                   title: expenseForm.title.trim(),
                   amount: parseNumber(expenseForm.amount) || 0,
@@ -361,33 +633,35 @@ export default function Finance() {
       <Dialog open={isPaymentOpen} onOpenChange={setIsPaymentOpen}>
         <DialogContent>
           <DialogHeader>
-            <DialogTitle>Add rent payment</DialogTitle>
+            <DialogTitle>Record payment</DialogTitle>
           </DialogHeader>
 
           <div className="space-y-3">
             <div className="space-y-1">
-              <Label>Property</Label>
+              <Label>Tenant</Label>
               <select
-                value={paymentForm.propertyId}
+                value={paymentForm.tenantId}
                 onChange={(event) =>
-                  setPaymentForm((prev) => ({ ...prev, propertyId: event.target.value }))
+                  setPaymentForm((prev) => ({ ...prev, tenantId: event.target.value }))
                 }
                 className="h-10 w-full rounded-md border bg-background px-3 text-sm"
               >
-                <option value="">Select property</option>
-                {(propertiesQuery.data || []).map((property) => (
-                  <option key={property._id} value={property._id}>
-                    {property.name || property.address}
+                <option value="">Select tenant</option>
+                {(tenantsQuery.data || []).map((tenant) => (
+                  <option key={tenant._id} value={tenant._id}>
+                    {tenant.firstName} {tenant.lastName}
+                    {propertyMap[tenant.propertyId] ? ` · ${propertyMap[tenant.propertyId]}` : ""}
                   </option>
                 ))}
               </select>
             </div>
-            <div className="grid gap-3 sm:grid-cols-3">
+            <div className="grid gap-3 sm:grid-cols-2">
               <div className="space-y-1">
                 <Label>Amount</Label>
                 <Input
                   type="number"
                   min="0"
+                  step="0.01"
                   value={paymentForm.amount}
                   onChange={(event) =>
                     setPaymentForm((prev) => ({ ...prev, amount: event.target.value }))
@@ -395,27 +669,12 @@ export default function Finance() {
                 />
               </div>
               <div className="space-y-1">
-                <Label>Status</Label>
-                <select
-                  value={paymentForm.status}
-                  onChange={(event) =>
-                    setPaymentForm((prev) => ({ ...prev, status: event.target.value }))
-                  }
-                  className="h-10 w-full rounded-md border bg-background px-3 text-sm"
-                >
-                  <option value="completed">completed</option>
-                  <option value="pending">pending</option>
-                  <option value="overdue">overdue</option>
-                  <option value="cancelled">cancelled</option>
-                </select>
-              </div>
-              <div className="space-y-1">
-                <Label>Payment date</Label>
+                <Label>Date received</Label>
                 <Input
                   type="date"
-                  value={paymentForm.paymentDate}
+                  value={paymentForm.receivedAt}
                   onChange={(event) =>
-                    setPaymentForm((prev) => ({ ...prev, paymentDate: event.target.value }))
+                    setPaymentForm((prev) => ({ ...prev, receivedAt: event.target.value }))
                   }
                 />
               </div>
@@ -431,15 +690,32 @@ export default function Finance() {
                 />
               </div>
               <div className="space-y-1">
-                <Label>Notes</Label>
+                <Label>Reference</Label>
                 <Input
-                  value={paymentForm.notes}
+                  placeholder="Check # or transaction ID"
+                  value={paymentForm.transactionId}
                   onChange={(event) =>
-                    setPaymentForm((prev) => ({ ...prev, notes: event.target.value }))
+                    setPaymentForm((prev) => ({ ...prev, transactionId: event.target.value }))
                   }
                 />
               </div>
             </div>
+            <div className="space-y-1">
+              <Label>Notes</Label>
+              <Input
+                value={paymentForm.notes}
+                onChange={(event) =>
+                  setPaymentForm((prev) => ({ ...prev, notes: event.target.value }))
+                }
+              />
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Payments cover the oldest open charges first. Anything left over is kept as credit
+              for the next charge.
+            </p>
+            {createPaymentMutation.error ? (
+              <p className="text-sm text-red-600">{createPaymentMutation.error.message}</p>
+            ) : null}
           </div>
 
           <DialogFooter>
@@ -449,18 +725,17 @@ export default function Finance() {
             <Button
               onClick={() =>
                 createPaymentMutation.mutate({
-                  userId,
-                  propertyId: paymentForm.propertyId,
+                  tenantId: paymentForm.tenantId,
                   amount: parseNumber(paymentForm.amount) || 0,
-                  paymentDate: toTimestamp(paymentForm.paymentDate),
-                  status: paymentForm.status,
+                  receivedAt: toTimestamp(paymentForm.receivedAt),
                   paymentMethod: paymentForm.paymentMethod.trim() || undefined,
+                  transactionId: paymentForm.transactionId.trim() || undefined,
                   notes: paymentForm.notes.trim() || undefined,
                 })
               }
               disabled={
                 createPaymentMutation.isPending ||
-                !paymentForm.propertyId ||
+                !paymentForm.tenantId ||
                 !parseNumber(paymentForm.amount)
               }
             >
@@ -469,6 +744,108 @@ export default function Finance() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <Dialog
+        open={Boolean(reversingPayment)}
+        onOpenChange={(open) => {
+          if (!open) setReversingPayment(null);
+        }}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Reverse payment</DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-3">
+            <p className="text-sm text-muted-foreground">
+              {reversingPayment
+                ? `${formatCurrency(reversingPayment.amount)} received ${formatDate(reversingPayment.date)}.`
+                : ""}{" "}
+              The charges it covered will be re-opened.
+            </p>
+            <div className="space-y-1">
+              <Label>Reason</Label>
+              <select
+                value={reversalForm.reason}
+                onChange={(event) =>
+                  setReversalForm((prev) => ({ ...prev, reason: event.target.value }))
+                }
+                className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+              >
+                <option value="returned">Returned (NSF)</option>
+                <option value="reversed">Reversed / entered in error</option>
+              </select>
+            </div>
+            <div className="space-y-1">
+              <Label>Note</Label>
+              <Input
+                value={reversalForm.note}
+                onChange={(event) =>
+                  setReversalForm((prev) => ({ ...prev, note: event.target.value }))
+                }
+              />
+            </div>
+            {reverseMutation.error ? (
+              <p className="text-sm text-red-600">{reverseMutation.error.message}</p>
+            ) : null}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setReversingPayment(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => reverseMutation.mutate()}
+              disabled={reverseMutation.isPending}
+            >
+              {reverseMutation.isPending ? "Saving..." : "Reverse payment"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={Boolean(waivingFee)}
+        onOpenChange={(open) => {
+          if (!open) {
+            setWaivingFee(null);
+            setWaiverNote("");
+          }
+        }}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Waive late fee</DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-3">
+            <p className="text-sm text-muted-foreground">
+              {waivingFee ? `${formatCurrency(waivingFee.amount)} assessed ${formatDate(waivingFee.date)}.` : ""}{" "}
+              The reason is recorded on the ledger alongside who waived it and when.
+            </p>
+            <div className="space-y-1">
+              <Label>Reason</Label>
+              <Textarea value={waiverNote} onChange={(event) => setWaiverNote(event.target.value)} />
+            </div>
+            {waiveMutation.error ? (
+              <p className="text-sm text-red-600">{waiveMutation.error.message}</p>
+            ) : null}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setWaivingFee(null)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => waiveMutation.mutate()}
+              disabled={waiveMutation.isPending || !waiverNote.trim()}
+            >
+              {waiveMutation.isPending ? "Saving..." : "Waive fee"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </PageLayout>
   );
 }
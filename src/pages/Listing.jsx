@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { AlertCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { fetchPublicListing } from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+export default function Listing() {
+  const { slug } = useParams();
+  const [photoIndex, setPhotoIndex] = useState(0);
+
+  const listingQuery = useQuery({
+    queryKey: ["publicListing", slug],
+    queryFn: () => fetchPublicListing(slug),
+    enabled: Boolean(slug),
+  });
+
+  const listing = listingQuery.data;
+  const photo = listing?.photos[photoIndex] || listing?.photos[0];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-100 to-white dark:from-slate-950 dark:to-slate-900 px-4 py-10">
+      <div className="mx-auto w-full max-w-3xl space-y-6">
+        <img src="/HH Logo.png" alt="Highlander Homes" className="h-12 w-auto object-contain" />
+
+        {listingQuery.isLoading ? <p className="text-muted-foreground">Loading listing...</p> : null}
+        {listingQuery.error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{listingQuery.error.message}</AlertDescription>
+          </Alert>
+        ) : null}
+        {!listingQuery.isLoading && !listingQuery.error && !listing ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>This listing doesn't exist.</AlertDescription>
+          </Alert>
+        ) : null}
+
+        {listing ? (
+          <Card>
+            <CardHeader>
+              <CardTitle>{listing.title || listing.address}</CardTitle>
+              <p className="text-sm text-muted-foreground">
+                {listing.address}
+                {listing.unitLabel ? `, Unit ${listing.unitLabel}` : ""}, {listing.city}, {listing.state}{" "}
+                {listing.zipCode}
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4 text-sm">
+              {photo ? (
+                <figure className="space-y-2">
+                  <img
+                    src={photo.url}
+                    alt={photo.caption || listing.propertyName}
+                    className="max-h-[28rem] w-full rounded-md object-cover"
+                  />
+                  {photo.caption ? (
+                    <figcaption className="text-muted-foreground">{photo.caption}</figcaption>
+                  ) : null}
+                </figure>
+              ) : null}
+              {listing.photos.length > 1 ? (
+                <div className="flex gap-2 overflow-x-auto">
+                  {listing.photos.map((entry, index) => (
+                    <button
+                      key={entry.url}
+                      type="button"
+                      aria-label={entry.caption || `Photo ${index + 1}`}
+                      onClick={() => setPhotoIndex(index)}
+                      className={`shrink-0 rounded-md border-2 ${
+                        entry === photo ? "border-primary" : "border-transparent"
+                      }`}
+                    >
+                      <img src={entry.url} alt="" className="h-16 w-24 rounded object-cover" />
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+
+              <p className="text-lg font-semibold">{formatCurrency(listing.monthlyRent)} / month</p>
+              <p className="text-muted-foreground">
+                {[
+                  listing.propertyType,
+                  listing.bedrooms !== undefined ? `${listing.bedrooms} bd` : null,
+                  listing.bathrooms !== undefined ? `${listing.bathrooms} ba` : null,
+                  listing.squareFeet ? `${listing.squareFeet.toLocaleString()} sq ft` : null,
+                  listing.securityDeposit !== undefined ? `${formatCurrency(listing.securityDeposit)} deposit` : null,
+                  listing.availableDate ? `available ${formatDate(listing.availableDate)}` : "available now",
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+              {listing.description ? <p className="whitespace-pre-line">{listing.description}</p> : null}
+              <p className="text-muted-foreground">Offered by {listing.landlordName}</p>
+
+              {listing.accepting ? (
+                <Button asChild>
+                  <Link to={`/apply/${slug}`}>Apply now</Link>
+                </Button>
+              ) : (
+                <Alert>
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>This home has been rented and is no longer taking applications.</AlertDescription>
+                </Alert>
+              )}
+            </CardContent>
+          </Card>
+        ) : null}
+      </div>
+    </div>
+  );
+}
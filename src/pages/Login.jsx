@@ -1,5 +1,5 @@
 import { useEffect, useMemo, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { AlertCircle, CheckCircle2, Mail, ShieldCheck } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -15,8 +15,22 @@ function getErrorMessage(error, fallback) {
   return String(raw).replace(/^Uncaught Error:\s*/, "");
 }
 
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  return rest ? `${minutes}m ${rest}s` : `${minutes}m`;
+}
+
 export default function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
+  // ProtectedRoute sends signed-out visitors here with the page they wanted
+  // (e.g. an invitation link); go back there after signing in.
+  const from = location.state?.from;
+  const returnTo = from ? `${from.pathname}${from.search || ""}` : "/dashboard";
   const {
     isAuthenticated,
     login,
@@ -31,6 +45,8 @@ export default function Login() {
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [pendingEmail, setPendingEmail] = useState("");
+  const [retryAt, setRetryAt] = useState({});
+  const [now, setNow] = useState(() => Date.now());
 
   const [signInForm, setSignInForm] = useState({ email: "", password: "" });
   const [signUpForm, setSignUpForm] = useState({
@@ -44,9 +60,57 @@ export default function Login() {
 
   useEffect(() => {
     if (isAuthenticated) {
-      navigate("/dashboard");
+      navigate(returnTo);
+    }
+  }, [isAuthenticated, navigate, returnTo]);
+
+  // Rate-limited actions (signIn, verifyEmail, sendVerificationEmail) report
+  // how long until the next attempt; count that down per action.
+  useEffect(() => {
+    const latest = Math.max(0, ...Object.values(retryAt));
+    if (latest <= Date.now()) {
+      return undefined;
     }
-  }, [isAuthenticated, navigate]);
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= latest) {
+        clearInterval(timer);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  function waitSecondsFor(action) {
+    return Math.max(0, Math.ceil(((retryAt[action] || 0) - now) / 1000));
+  }
+
+  function showError(nextError, fallback, action) {
+    if (action && nextError?.retryAfterMs) {
+      setNow(Date.now());
+      setRetryAt((prev) => ({ ...prev, [action]: Date.now() + nextError.retryAfterMs }));
+      setError("");
+      return;
+    }
+    setError(getErrorMessage(nextError, fallback));
+  }
+
+  const signInWait = waitSecondsFor("signIn");
+  const verifyWait = waitSecondsFor("verifyEmail");
+  const resendWait = waitSecondsFor("sendVerificationEmail");
+
+  const waitMessage = useMemo(() => {
+    if (mode === "signin" && signInWait > 0) {
+      return `Too many sign-in attempts. Try again in ${formatWait(signInWait)}.`;
+    }
+    if (mode === "verify" && verifyWait > 0) {
+      return `Too many incorrect codes. Try again in ${formatWait(verifyWait)}.`;
+    }
+    if (mode === "verify" && resendWait > 0) {
+      return `You can request another code in ${formatWait(resendWait)}.`;
+    }
+    return "";
+  }, [mode, signInWait, verifyWait, resendWait]);
 
   const heading = useMemo(() => {
     if (mode === "signup") return "Create account";
@@ -62,9 +126,9 @@ export default function Login() {
     setSuccess("");
     try {
       await login(signInForm.email.trim(), signInForm.password);
-      navigate("/dashboard");
+      navigate(returnTo);
     } catch (nextError) {
-      setError(getErrorMessage(nextError, "Sign in failed."));
+      showError(nextError, "Sign in failed.", "signIn");
     } finally {
       setLoading(false);
     }
@@ -103,7 +167,7 @@ export default function Login() {
       }
       setMode("verify");
     } catch (nextError) {
-      setError(getErrorMessage(nextError, "Sign up failed."));
+      showError(nextError, "Sign up failed.");
     } finally {
       setLoading(false);
     }
@@ -121,9 +185,9 @@ export default function Login() {
       };
       await verifyEmail(payload);
       setSuccess("Email verified. You are now signed in.");
-      navigate("/dashboard");
+      navigate(returnTo);
     } catch (nextError) {
-      setError(getErrorMessage(nextError, "Verification failed."));
+      showError(nextError, "Verification failed.", "verifyEmail");
     } finally {
       setLoading(false);
     }
@@ -141,7 +205,7 @@ export default function Login() {
       await sendVerificationEmail(email);
       setSuccess("Verification code sent.");
     } catch (nextError) {
-      setError(getErrorMessage(nextError, "Failed to resend verification code."));
+      showError(nextError, "Failed to resend verification code.", "sendVerificationEmail");
     } finally {
       setLoading(false);
     }
@@ -158,9 +222,9 @@ export default function Login() {
         throw new Error("Enter a valid email.");
       }
       await resetPassword(email);
-      setSuccess("If this account exists, a reset flow was triggered.");
+      setSuccess("If this account exists, we've emailed a link to reset your password.");
     } catch (nextError) {
-      setError(getErrorMessage(nextError, "Reset request failed."));
+      showError(nextError, "Reset request failed.");
     } finally {
       setLoading(false);
     }
@@ -253,6 +317,13 @@ export default function Login() {
               </Button>
             </div>
 
+            {waitMessage ? (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{waitMessage}</AlertDescription>
+              </Alert>
+            ) : null}
+
             {error ? (
               <Alert variant="destructive">
                 <AlertCircle className="h-4 w-4" />
@@ -293,7 +364,7 @@ export default function Login() {
                     required
                   />
                 </div>
-                <Button type="submit" className="w-full" disabled={loading}>
+                <Button type="submit" className="w-full" disabled={loading || signInWait > 0}>
                   {loading ? "Signing in..." : "Sign in"}
                 </Button>
               </form>
@@ -381,7 +452,7 @@ export default function Login() {
                   />
                 </div>
                 <div className="flex gap-2">
-                  <Button type="submit" className="flex-1" disabled={loading}>
+                  <Button type="submit" className="flex-1" disabled={loading || verifyWait > 0}>
                     {loading ? "Verifying..." : "Verify"}
                   </Button>
                   <Button
@@ -389,7 +460,7 @@ export default function Login() {
                     variant="outline"
                     className="flex-1"
                     onClick={handleResendCode}
-                    disabled={loading}
+                    disabled={loading || resendWait > 0}
                   >
                     Resend code
                   </Button>
@@ -1,7 +1,14 @@
 import { useMemo, useState } from "react";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
-import { Plus } from "lucide-react";
+import { Camera, ClipboardList, History, MessageSquare, Plus, Receipt } from "lucide-react";
 import PageLayout from "@/components/layout/PageLayout";
+import InvoiceDialog from "@/components/maintenance/InvoiceDialog";
+import MediaGallery from "@/components/maintenance/MediaGallery";
+import PreventiveMaintenance from "@/components/maintenance/PreventiveMaintenance";
+import RequestThread from "@/components/maintenance/RequestThread";
+import SlaReport from "@/components/maintenance/SlaReport";
+import StatusMetrics from "@/components/maintenance/StatusMetrics";
+import WorkOrderDialog from "@/components/maintenance/WorkOrderDialog";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -18,24 +25,54 @@ import {
 import { useAuth } from "@/contexts/AuthContext";
 import {
   createMaintenanceRequest,
+  deleteMaintenanceRequest,
+  listContractorInvoices,
   listContractors,
   listMaintenanceRequests,
   listProperties,
+  listUnits,
+  listWorkOrders,
   updateMaintenanceRequest,
   updateMaintenanceStatus,
 } from "@/services/dataService";
 import { formatCurrency, formatDate } from "@/lib/format";
+import { uploadMediaFiles } from "@/lib/media";
 
 const PRIORITIES = ["low", "normal", "high", "urgent", "emergency"];
-const STATUSES = [
-  "new",
-  "acknowledged",
-  "scheduled",
-  "inProgress",
-  "awaitingParts",
-  "completed",
-  "cancelled",
-];
+const STATUS_LABELS = {
+  new: "New",
+  acknowledged: "Acknowledged",
+  scheduled: "Scheduled",
+  inProgress: "In progress",
+  awaitingParts: "Awaiting parts",
+  completed: "Completed",
+  cancelled: "Cancelled",
+};
+const WORK_ORDER_LABELS = {
+  sent: "Work order sent",
+  accepted: "Work order accepted",
+  proposed: "New time proposed",
+  declined: "Work order declined",
+};
+
+function statusLabel(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+// Preventive due dates are whole UTC days
+function formatDueDate(value) {
+  return new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+}
 
 function parseNumber(value) {
   if (value === "" || value === null || value === undefined) {
@@ -53,9 +90,18 @@ export default function MaintenanceRequests() {
   const [statusFilter, setStatusFilter] = useState("all");
   const [isCreateOpen, setIsCreateOpen] = useState(false);
   const [editingRequest, setEditingRequest] = useState(null);
+  const [transition, setTransition] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState({});
+  const [threadRequest, setThreadRequest] = useState(null);
+  const [workOrderRequest, setWorkOrderRequest] = useState(null);
+  const [invoiceRequest, setInvoiceRequest] = useState(null);
+  const [mediaRequest, setMediaRequest] = useState(null);
+  const [newFiles, setNewFiles] = useState([]);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
 
   const [newForm, setNewForm] = useState({
     propertyId: "",
+    unitId: "",
     title: "",
     category: "General",
     priority: "normal",
@@ -74,29 +120,52 @@ export default function MaintenanceRequests() {
 
   const propertiesQuery = useQuery({
     queryKey: ["properties", userId],
-    queryFn: () => listProperties(userId),
+    queryFn: () => listProperties(),
+    enabled: Boolean(userId),
+  });
+
+  const unitsQuery = useQuery({
+    queryKey: ["units", userId],
+    queryFn: () => listUnits(),
     enabled: Boolean(userId),
   });
 
   const contractorsQuery = useQuery({
     queryKey: ["contractors", userId, "all"],
-    queryFn: () => listContractors(userId),
+    queryFn: () => listContractors(),
     enabled: Boolean(userId),
   });
 
   const maintenanceQuery = useQuery({
     queryKey: ["maintenance", userId],
-    queryFn: () => listMaintenanceRequests(userId),
+    queryFn: () => listMaintenanceRequests(),
+    enabled: Boolean(userId),
+  });
+
+  const workOrdersQuery = useQuery({
+    queryKey: ["workOrders", userId],
+    queryFn: () => listWorkOrders(),
+    enabled: Boolean(userId),
+  });
+
+  const invoicesQuery = useQuery({
+    queryKey: ["contractorInvoices", userId],
+    queryFn: () => listContractorInvoices(),
     enabled: Boolean(userId),
   });
 
   const createMutation = useMutation({
-    mutationFn: createMaintenanceRequest,
+    mutationFn: async (payload) => {
+      const media = await uploadMediaFiles(newFiles);
+      return createMaintenanceRequest({ ...payload, media: media.length ? media : undefined });
+    },
     onSuccess: async () => {
       await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
       setIsCreateOpen(false);
+      setNewFiles([]);
       setNewForm({
         propertyId: "",
+        unitId: "",
         title: "",
         category: "General",
         priority: "normal",
@@ -113,10 +182,26 @@ export default function MaintenanceRequests() {
     },
   });
 
+  const deleteMutation = useMutation({
+    mutationFn: deleteMaintenanceRequest,
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceMetrics", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceSla", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["workOrders", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["contractorInvoices", userId] });
+      setEditingRequest(null);
+    },
+  });
+
   const statusMutation = useMutation({
     mutationFn: updateMaintenanceStatus,
     onSuccess: async () => {
       await queryClient.invalidateQueries({ queryKey: ["maintenance", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceMetrics", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceSchedules", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceSla", userId] });
+      setTransition(null);
     },
   });
 
@@ -131,6 +216,15 @@ export default function MaintenanceRequests() {
     [propertiesQuery.data]
   );
 
+  const unitMap = useMemo(
+    () => Object.fromEntries((unitsQuery.data || []).map((unit) => [unit._id, unit.label])),
+    [unitsQuery.data]
+  );
+
+  const newFormUnits = (unitsQuery.data || []).filter(
+    (unit) => unit.propertyId === newForm.propertyId
+  );
+
   const contractorMap = useMemo(
     () =>
       Object.fromEntries(
@@ -142,6 +236,30 @@ export default function MaintenanceRequests() {
     [contractorsQuery.data]
   );
 
+  // Work orders come back newest first, so the first one seen is the latest
+  const latestWorkOrders = useMemo(() => {
+    const latest = {};
+    for (const workOrder of workOrdersQuery.data || []) {
+      latest[workOrder.requestId] ??= workOrder;
+    }
+    return latest;
+  }, [workOrdersQuery.data]);
+
+  // Paid once every approved invoice is paid; invoices still to review
+  // come first
+  const invoiceSummaries = useMemo(() => {
+    const summaries = {};
+    for (const invoice of invoicesQuery.data || []) {
+      if (invoice.status === "rejected") continue;
+      const summary = (summaries[invoice.requestId] ??= { pending: 0, unpaid: 0, paid: 0, overEstimate: false });
+      if (invoice.status === "pending") summary.pending += 1;
+      else if (invoice.paidAt) summary.paid += 1;
+      else summary.unpaid += 1;
+      summary.overEstimate ||= invoice.overEstimate;
+    }
+    return summaries;
+  }, [invoicesQuery.data]);
+
   const filteredRequests = useMemo(() => {
     const requests = maintenanceQuery.data || [];
     if (statusFilter === "all") {
@@ -152,8 +270,8 @@ export default function MaintenanceRequests() {
 
   function handleCreateRequest() {
     createMutation.mutate({
-      userId,
       propertyId: newForm.propertyId,
+      unitId: newForm.unitId || undefined,
       title: newForm.title.trim(),
       category: newForm.category.trim() || "General",
       priority: newForm.priority,
@@ -162,6 +280,8 @@ export default function MaintenanceRequests() {
   }
 
   function openEditDialog(request) {
+    deleteMutation.reset();
+    setConfirmingDelete(false);
     setEditingRequest(request);
     setEditForm({
       title: request.title || "",
@@ -198,7 +318,15 @@ export default function MaintenanceRequests() {
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0">
             <CardTitle className="text-base">Requests</CardTitle>
-            <Button type="button" onClick={() => setIsCreateOpen(true)} className="gap-2">
+            <Button
+              type="button"
+              onClick={() => {
+                createMutation.reset();
+                setNewFiles([]);
+                setIsCreateOpen(true);
+              }}
+              className="gap-2"
+            >
               <Plus className="h-4 w-4" />
               New request
             </Button>
@@ -214,9 +342,9 @@ export default function MaintenanceRequests() {
               className="h-9 rounded-md border bg-background px-3 text-sm"
             >
               <option value="all">All</option>
-              {STATUSES.map((status) => (
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
                 <option key={status} value={status}>
-                  {status}
+                  {label}
                 </option>
               ))}
             </select>
@@ -250,23 +378,52 @@ export default function MaintenanceRequests() {
                         <h3 className="text-lg font-semibold">{request.title}</h3>
                         <p className="text-sm text-muted-foreground">
                           {propertyMap[request.propertyId] || "Unknown property"}
+                          {request.unitId && unitMap[request.unitId] ? ` · ${unitMap[request.unitId]}` : ""}
                         </p>
                       </div>
                       <div className="flex items-center gap-2">
+                        {request.turnoverId ? <Badge variant="secondary">Make-ready</Badge> : null}
+                        {request.scheduleId ? (
+                          <Badge variant="secondary">
+                            Preventive{request.dueDate ? ` · due ${formatDueDate(request.dueDate)}` : ""}
+                          </Badge>
+                        ) : null}
+                        {WORK_ORDER_LABELS[latestWorkOrders[request._id]?.status] ? (
+                          <Badge
+                            variant={latestWorkOrders[request._id].status === "declined" ? "destructive" : "secondary"}
+                          >
+                            {WORK_ORDER_LABELS[latestWorkOrders[request._id].status]}
+                          </Badge>
+                        ) : null}
+                        {request.slaBreaches.length ? (
+                          <Badge variant="destructive">
+                            Missed SLA: {request.slaBreaches.map((breach) => breach.stage).join(", ")}
+                          </Badge>
+                        ) : null}
+                        {invoiceSummaries[request._id]?.overEstimate ? (
+                          <Badge variant="destructive">Over estimate</Badge>
+                        ) : null}
+                        {invoiceSummaries[request._id] ? (
+                          invoiceSummaries[request._id].pending ? (
+                            <Badge variant="warning">Invoice to review</Badge>
+                          ) : invoiceSummaries[request._id].unpaid ? (
+                            <Badge variant="secondary">Unpaid</Badge>
+                          ) : (
+                            <Badge variant="success">Paid</Badge>
+                          )
+                        ) : null}
                         <Badge variant="outline">{request.priority}</Badge>
                         <select
                           value={request.status}
-                          onChange={(event) =>
-                            statusMutation.mutate({
-                              id: request._id,
-                              status: event.target.value,
-                            })
-                          }
+                          onChange={(event) => {
+                            statusMutation.reset();
+                            setTransition({ request, status: event.target.value, note: "" });
+                          }}
                           className="h-9 rounded-md border bg-background px-2 text-sm"
                         >
-                          {STATUSES.map((status) => (
+                          {[request.status, ...request.allowedStatuses].map((status) => (
                             <option key={status} value={status}>
-                              {status}
+                              {statusLabel(status)}
                             </option>
                           ))}
                         </select>
@@ -281,11 +438,58 @@ export default function MaintenanceRequests() {
                         Contractor:{" "}
                         {request.contractorId ? contractorMap[request.contractorId] || "Assigned" : "Unassigned"}
                       </p>
-                      <p>Estimated: {request.estimatedCost ? formatCurrency(request.estimatedCost) : "—"}</p>
+                      <p>
+                        Estimated: {request.estimatedCost ? formatCurrency(request.estimatedCost) : "—"}
+                        {request.actualCost !== undefined ? ` · Actual: ${formatCurrency(request.actualCost)}` : ""}
+                      </p>
                       <p>Updated: {formatDate(request.updatedAt)}</p>
                     </div>
 
-                    <div className="flex justify-end">
+                    {historyOpen[request._id] ? (
+                      <ol className="space-y-2 border-l pl-4 text-sm">
+                        {request.statusHistory.map((entry, index) => (
+                          <li key={`${entry.at}-${index}`}>
+                            <p>
+                              <span className="font-medium">{statusLabel(entry.status)}</span>
+                              <span className="text-muted-foreground">
+                                {" "}
+                                · {formatDateTime(entry.at)} · {entry.actorName}
+                              </span>
+                            </p>
+                            {entry.note ? <p className="text-muted-foreground">{entry.note}</p> : null}
+                          </li>
+                        ))}
+                      </ol>
+                    ) : null}
+
+                    <div className="flex justify-end gap-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="gap-2"
+                        onClick={() =>
+                          setHistoryOpen((prev) => ({ ...prev, [request._id]: !prev[request._id] }))
+                        }
+                      >
+                        <History className="h-4 w-4" />
+                        {historyOpen[request._id] ? "Hide history" : "History"}
+                      </Button>
+                      <Button variant="ghost" size="sm" className="gap-2" onClick={() => setMediaRequest(request)}>
+                        <Camera className="h-4 w-4" />
+                        Photos
+                      </Button>
+                      <Button variant="ghost" size="sm" className="gap-2" onClick={() => setThreadRequest(request)}>
+                        <MessageSquare className="h-4 w-4" />
+                        Conversation
+                      </Button>
+                      <Button variant="ghost" size="sm" className="gap-2" onClick={() => setWorkOrderRequest(request)}>
+                        <ClipboardList className="h-4 w-4" />
+                        Work order
+                      </Button>
+                      <Button variant="ghost" size="sm" className="gap-2" onClick={() => setInvoiceRequest(request)}>
+                        <Receipt className="h-4 w-4" />
+                        Invoices
+                      </Button>
                       <Button variant="outline" size="sm" onClick={() => openEditDialog(request)}>
                         Edit details
                       </Button>
@@ -303,8 +507,82 @@ export default function MaintenanceRequests() {
             ) : null}
           </div>
         ) : null}
+
+        <StatusMetrics />
+
+        <SlaReport />
+
+        <PreventiveMaintenance />
       </div>
 
+      <Dialog open={Boolean(threadRequest)} onOpenChange={(open) => !open && setThreadRequest(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{threadRequest?.title}</DialogTitle>
+          </DialogHeader>
+          {threadRequest ? <RequestThread requestId={threadRequest._id} allowInternal /> : null}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(mediaRequest)} onOpenChange={(open) => !open && setMediaRequest(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{mediaRequest?.title}</DialogTitle>
+          </DialogHeader>
+          {mediaRequest ? <MediaGallery requestId={mediaRequest._id} canTag /> : null}
+        </DialogContent>
+      </Dialog>
+
+      {workOrderRequest ? (
+        <WorkOrderDialog request={workOrderRequest} onClose={() => setWorkOrderRequest(null)} />
+      ) : null}
+
+      {invoiceRequest ? <InvoiceDialog request={invoiceRequest} onClose={() => setInvoiceRequest(null)} /> : null}
+
+      <Dialog open={Boolean(transition)} onOpenChange={(open) => !open && setTransition(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {transition
+                ? `${statusLabel(transition.request.status)} → ${statusLabel(transition.status)}`
+                : "Change status"}
+            </DialogTitle>
+          </DialogHeader>
+          {transition ? (
+            <div className="space-y-3 text-sm">
+              <p className="text-muted-foreground">{transition.request.title}</p>
+              <div className="space-y-1">
+                <Label>Note (optional)</Label>
+                <Textarea
+                  rows={3}
+                  placeholder="e.g. Plumber booked for Tuesday morning"
+                  value={transition.note}
+                  onChange={(event) => setTransition((prev) => ({ ...prev, note: event.target.value }))}
+                />
+              </div>
+              {statusMutation.error ? <p className="text-red-600">{statusMutation.error.message}</p> : null}
+            </div>
+          ) : null}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setTransition(null)}>
+              Cancel
+            </Button>
+            <Button
+              disabled={statusMutation.isPending}
+              onClick={() =>
+                statusMutation.mutate({
+                  id: transition.request._id,
+                  status: transition.status,
+                  note: transition.note.trim() || undefined,
+                })
+              }
+            >
+              {statusMutation.isPending ? "Saving..." : "Change status"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
       <Dialog open={isCreateOpen} onOpenChange={setIsCreateOpen}>
         <DialogContent>
           <DialogHeader>
@@ -317,7 +595,7 @@ export default function MaintenanceRequests() {
               <select
                 value={newForm.propertyId}
                 onChange={(event) =>
-                  setNewForm((prev) => ({ ...prev, propertyId: event.target.value }))
+                  setNewForm((prev) => ({ ...prev, propertyId: event.target.value, unitId: "" }))
                 }
                 className="h-10 w-full rounded-md border bg-background px-3 text-sm"
               >
@@ -330,6 +608,26 @@ export default function MaintenanceRequests() {
               </select>
             </div>
 
+            {newFormUnits.length > 1 ? (
+              <div className="space-y-1">
+                <Label>Unit</Label>
+                <select
+                  value={newForm.unitId}
+                  onChange={(event) =>
+                    setNewForm((prev) => ({ ...prev, unitId: event.target.value }))
+                  }
+                  className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+                >
+                  <option value="">Whole property / common area</option>
+                  {newFormUnits.map((unit) => (
+                    <option key={unit._id} value={unit._id}>
+                      {unit.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : null}
+
             <div className="space-y-1">
               <Label>Title</Label>
               <Input
@@ -375,6 +673,19 @@ export default function MaintenanceRequests() {
                 }
               />
             </div>
+
+            <div className="space-y-1">
+              <Label>Photos and videos</Label>
+              <Input
+                type="file"
+                accept="image/*,video/*"
+                multiple
+                onChange={(event) => setNewFiles(Array.from(event.target.files || []))}
+              />
+              <p className="text-xs text-muted-foreground">Tagged as before the work.</p>
+            </div>
+
+            {createMutation.error ? <p className="text-sm text-red-600">{createMutation.error.message}</p> : null}
           </div>
 
           <DialogFooter>
@@ -481,9 +792,26 @@ export default function MaintenanceRequests() {
                 onChange={(event) => setEditForm((prev) => ({ ...prev, notes: event.target.value }))}
               />
             </div>
+
+            {confirmingDelete ? (
+              <p className="text-sm text-red-600">
+                Deleting removes its photos, conversation, work orders and unapproved invoices for good.
+              </p>
+            ) : null}
+            {deleteMutation.error ? <p className="text-sm text-red-600">{deleteMutation.error.message}</p> : null}
           </div>
 
           <DialogFooter>
+            <Button
+              variant="destructive"
+              className="sm:mr-auto"
+              disabled={deleteMutation.isPending}
+              onClick={() =>
+                confirmingDelete ? deleteMutation.mutate(editingRequest._id) : setConfirmingDelete(true)
+              }
+            >
+              {deleteMutation.isPending ? "Deleting..." : confirmingDelete ? "Delete for good" : "Delete request"}
+            </Button>
             <Button variant="outline" onClick={() => setEditingRequest(null)}>
               Cancel
             </Button>
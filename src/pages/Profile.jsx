@@ -5,6 +5,7 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import TeamSettings from "@/components/team/TeamSettings";
 import { useAuth } from "@/contexts/AuthContext";
 import { listUserProfile, updateUserProfile } from "@/services/dataService";
 
@@ -26,7 +27,7 @@ export default function Profile() {
 
   const profileQuery = useQuery({
     queryKey: ["userProfile", userId],
-    queryFn: () => listUserProfile(userId),
+    queryFn: () => listUserProfile(),
     enabled: Boolean(userId),
   });
 
@@ -68,7 +69,6 @@ export default function Profile() {
         throw new Error("New password and confirmation do not match.");
       }
       await updatePassword({
-        email: profileForm.email.trim(),
         currentPassword: passwordForm.currentPassword,
         newPassword: passwordForm.newPassword,
       });
@@ -118,7 +118,6 @@ export default function Profile() {
             <Button
               onClick={() =>
                 updateMutation.mutate({
-                  userId,
                   name: profileForm.name.trim(),
                   email: profileForm.email.trim(),
                 })
@@ -189,6 +188,8 @@ export default function Profile() {
             {error ? <p className="text-sm text-red-600">{error}</p> : null}
           </CardContent>
         </Card>
+
+        <TeamSettings />
       </div>
     </PageLayout>
   );
@@ -1,7 +1,12 @@
 import { useMemo, useState } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { Edit3, Search } from "lucide-react";
+import { DoorOpen, Edit3, FileText, Search } from "lucide-react";
 import PageLayout from "@/components/layout/PageLayout";
+import PropertyLeases from "@/components/leases/PropertyLeases";
+import PropertyUnits from "@/components/units/PropertyUnits";
+import TurnoverBoard from "@/components/units/TurnoverBoard";
+import Listings from "@/components/applications/Listings";
+import RentalApplications from "@/components/applications/RentalApplications";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -18,6 +23,12 @@ import { useAuth } from "@/contexts/AuthContext";
 import { listProperties, listTenants, updateProperty } from "@/services/dataService";
 import { formatCurrency } from "@/lib/format";
 
+const LATE_FEE_AMOUNT_LABELS = {
+  flat: "Amount",
+  percent: "Percent of rent (%)",
+  daily: "Amount per day",
+};
+
 function parseNumber(value) {
   if (value === "" || value === null || value === undefined) {
     return undefined;
@@ -32,17 +43,19 @@ export default function Properties() {
   const queryClient = useQueryClient();
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedProperty, setSelectedProperty] = useState(null);
+  const [leasesProperty, setLeasesProperty] = useState(null);
+  const [unitsProperty, setUnitsProperty] = useState(null);
   const [form, setForm] = useState({});
 
   const propertiesQuery = useQuery({
     queryKey: ["properties", userId],
-    queryFn: () => listProperties(userId),
+    queryFn: () => listProperties(),
     enabled: Boolean(userId),
   });
 
   const tenantsQuery = useQuery({
     queryKey: ["tenants", userId],
-    queryFn: () => listTenants(userId),
+    queryFn: () => listTenants(),
     enabled: Boolean(userId),
   });
 
@@ -50,6 +63,7 @@ export default function Properties() {
     mutationFn: updateProperty,
     onSuccess: async () => {
       await queryClient.invalidateQueries({ queryKey: ["properties", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["units", userId] });
       setSelectedProperty(null);
     },
   });
@@ -96,12 +110,27 @@ export default function Properties() {
       mortgageLoanBalance: property.mortgageLoanBalance ?? "",
       mortgageAPR: property.mortgageAPR ?? "",
       mortgageMonthlyPayment: property.mortgageMonthlyPayment ?? "",
+      rentDueDay: String(property.rentDueDay ?? 1),
+      rentGraceDays: String(property.rentGraceDays ?? 5),
+      lateFeeType: property.lateFeePolicy?.type || "",
+      lateFeeAmount: property.lateFeePolicy?.amount ?? "",
+      lateFeeMaxAmount: property.lateFeePolicy?.maxAmount ?? "",
+      lateFeeGraceDays: property.lateFeePolicy?.graceDays ?? "",
+      paymentAllocationOrder: property.paymentAllocationOrder || "fees_first",
       notes: property.notes || "",
     });
   }
 
   function handleSave() {
     if (!selectedProperty) return;
+    const lateFeePolicy = form.lateFeeType
+      ? {
+          type: form.lateFeeType,
+          amount: parseNumber(form.lateFeeAmount) || 0,
+          maxAmount: parseNumber(form.lateFeeMaxAmount),
+          graceDays: parseNumber(form.lateFeeGraceDays),
+        }
+      : undefined;
     updateMutation.mutate({
       id: selectedProperty._id,
       name: form.name.trim(),
@@ -115,6 +144,11 @@ export default function Properties() {
       mortgageLoanBalance: parseNumber(form.mortgageLoanBalance),
       mortgageAPR: parseNumber(form.mortgageAPR),
       mortgageMonthlyPayment: parseNumber(form.mortgageMonthlyPayment),
+      rentDueDay: parseNumber(form.rentDueDay),
+      rentGraceDays: parseNumber(form.rentGraceDays),
+      lateFeePolicy,
+      clearLateFeePolicy: !lateFeePolicy,
+      paymentAllocationOrder: form.paymentAllocationOrder || undefined,
       notes: form.notes.trim() || undefined,
       clearMortgageLoanBalance: form.mortgageLoanBalance === "",
       clearMortgageAPR: form.mortgageAPR === "",
@@ -149,6 +183,12 @@ export default function Properties() {
           </CardContent>
         </Card>
 
+        <TurnoverBoard />
+
+        <Listings />
+
+        <RentalApplications />
+
         {propertiesQuery.isLoading ? (
           <Card>
             <CardContent className="py-10 text-center text-muted-foreground">
@@ -202,10 +242,20 @@ export default function Properties() {
                         </p>
                       </div>
                     </div>
-                    <Button variant="outline" size="sm" onClick={() => openEdit(property)}>
-                      <Edit3 className="mr-2 h-4 w-4" />
-                      Edit
-                    </Button>
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="sm" onClick={() => setUnitsProperty(property)}>
+                        <DoorOpen className="mr-2 h-4 w-4" />
+                        Units
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => setLeasesProperty(property)}>
+                        <FileText className="mr-2 h-4 w-4" />
+                        Leases
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => openEdit(property)}>
+                        <Edit3 className="mr-2 h-4 w-4" />
+                        Edit
+                      </Button>
+                    </div>
                   </div>
                 </CardContent>
               </Card>
@@ -221,6 +271,9 @@ export default function Properties() {
         ) : null}
       </div>
 
+      <PropertyLeases property={leasesProperty} onClose={() => setLeasesProperty(null)} />
+      <PropertyUnits property={unitsProperty} onClose={() => setUnitsProperty(null)} />
+
       <Dialog open={Boolean(selectedProperty)} onOpenChange={(open) => !open && setSelectedProperty(null)}>
         <DialogContent className="max-h-[90vh] overflow-y-auto">
           <DialogHeader>
@@ -334,6 +387,103 @@ export default function Properties() {
               </div>
             </div>
 
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Rent due day</Label>
+                <Input
+                  type="number"
+                  min="1"
+                  max="28"
+                  value={form.rentDueDay}
+                  onChange={(event) => setForm((prev) => ({ ...prev, rentDueDay: event.target.value }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label>Grace period (days)</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={form.rentGraceDays}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, rentGraceDays: event.target.value }))
+                  }
+                />
+              </div>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Rent charges are posted on the due day and turn overdue once the grace period has passed.
+            </p>
+
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Late fee</Label>
+                <select
+                  value={form.lateFeeType || ""}
+                  onChange={(event) => setForm((prev) => ({ ...prev, lateFeeType: event.target.value }))}
+                  className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+                >
+                  <option value="">No late fee</option>
+                  <option value="flat">Flat amount</option>
+                  <option value="percent">Percent of rent</option>
+                  <option value="daily">Daily, up to a cap</option>
+                </select>
+              </div>
+              <div className="space-y-1">
+                <Label>Apply payments to</Label>
+                <select
+                  value={form.paymentAllocationOrder || "fees_first"}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, paymentAllocationOrder: event.target.value }))
+                  }
+                  className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+                >
+                  <option value="fees_first">Late fees before rent</option>
+                  <option value="rent_first">Rent before late fees</option>
+                </select>
+              </div>
+              {form.lateFeeType ? (
+                <div className="space-y-1">
+                  <Label>{LATE_FEE_AMOUNT_LABELS[form.lateFeeType]}</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.lateFeeAmount}
+                    onChange={(event) =>
+                      setForm((prev) => ({ ...prev, lateFeeAmount: event.target.value }))
+                    }
+                  />
+                </div>
+              ) : null}
+              {form.lateFeeType ? (
+                <div className="space-y-1">
+                  <Label>Maximum fee (optional)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={form.lateFeeMaxAmount}
+                    onChange={(event) =>
+                      setForm((prev) => ({ ...prev, lateFeeMaxAmount: event.target.value }))
+                    }
+                  />
+                </div>
+              ) : null}
+              {form.lateFeeType ? (
+                <div className="space-y-1">
+                  <Label>Days late before fee (optional)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    placeholder={form.rentGraceDays || "5"}
+                    value={form.lateFeeGraceDays}
+                    onChange={(event) =>
+                      setForm((prev) => ({ ...prev, lateFeeGraceDays: event.target.value }))
+                    }
+                  />
+                </div>
+              ) : null}
+            </div>
+
             <div className="space-y-1">
               <Label>Notes</Label>
               <Input
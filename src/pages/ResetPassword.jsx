@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { AlertCircle, CheckCircle2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useAuth } from "@/contexts/AuthContext";
+
+function getErrorMessage(error, fallback) {
+  const raw = error?.data?.message || error?.message || fallback;
+  return String(raw).replace(/^Uncaught Error:\s*/, "");
+}
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const { confirmPasswordReset } = useAuth();
+
+  const [form, setForm] = useState({ password: "", confirmPassword: "" });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [completed, setCompleted] = useState(false);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setLoading(true);
+    setError("");
+    try {
+      if (form.password !== form.confirmPassword) {
+        throw new Error("Passwords do not match.");
+      }
+      await confirmPasswordReset({ token, newPassword: form.password });
+      setCompleted(true);
+    } catch (nextError) {
+      setError(getErrorMessage(nextError, "Password reset failed."));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-100 to-white dark:from-slate-950 dark:to-slate-900 flex items-center justify-center px-4 py-10">
+      <Card className="w-full max-w-md shadow-xl">
+        <CardHeader className="space-y-3">
+          <img
+            src="/HH Logo.png"
+            alt="Highlander Homes"
+            className="h-12 w-auto object-contain"
+          />
+          <CardTitle>Choose a new password</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          ) : null}
+
+          {!token ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                This reset link is missing its token. Request a new one from the sign-in page.
+              </AlertDescription>
+            </Alert>
+          ) : null}
+
+          {completed ? (
+            <>
+              <Alert>
+                <CheckCircle2 className="h-4 w-4" />
+                <AlertDescription>
+                  Password updated. You've been signed out on all devices, so sign in with your new password.
+                </AlertDescription>
+              </Alert>
+              <Button asChild className="w-full">
+                <Link to="/login">Go to sign in</Link>
+              </Button>
+            </>
+          ) : (
+            <form className="space-y-3" onSubmit={handleSubmit}>
+              <div className="space-y-1">
+                <Label htmlFor="reset-new-password">New password</Label>
+                <Input
+                  id="reset-new-password"
+                  type="password"
+                  value={form.password}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, password: event.target.value }))
+                  }
+                  disabled={!token}
+                  required
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="reset-confirm-password">Confirm password</Label>
+                <Input
+                  id="reset-confirm-password"
+                  type="password"
+                  value={form.confirmPassword}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, confirmPassword: event.target.value }))
+                  }
+                  disabled={!token}
+                  required
+                />
+              </div>
+              <Button type="submit" className="w-full" disabled={loading || !token}>
+                {loading ? "Saving..." : "Set new password"}
+              </Button>
+              <p className="text-center text-sm text-muted-foreground">
+                <Link to="/login" className="underline">
+                  Back to sign in
+                </Link>
+              </p>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,500 @@
+import { useState } from "react";
+import { Navigate } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import PageLayout from "@/components/layout/PageLayout";
+import MediaGallery from "@/components/maintenance/MediaGallery";
+import RequestThread from "@/components/maintenance/RequestThread";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { useAuth } from "@/contexts/AuthContext";
+import { usePortfolios } from "@/hooks/use-portfolios";
+import {
+  createMaintenanceRequest,
+  fetchTenantLedger,
+  fetchTenantOverview,
+  listDocuments,
+  listLeaseRenewals,
+  listMaintenanceRequests,
+  listRentPayments,
+  respondToLeaseRenewal,
+} from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+import { uploadMediaFiles } from "@/lib/media";
+
+const RENEWAL_ANSWERS = {
+  accepted: "You accepted this offer.",
+  declined: "You declined this offer.",
+  month_to_month: "You chose to continue month to month.",
+};
+
+const CATEGORIES = ["Plumbing", "Electrical", "HVAC", "Appliance", "Pest", "Other"];
+const PRIORITIES = ["low", "normal", "high", "urgent", "emergency"];
+
+const EMPTY_REQUEST = {
+  title: "",
+  category: "Plumbing",
+  priority: "normal",
+  descriptionText: "",
+};
+
+function isPartial(charge) {
+  return (
+    (charge.status === "pending" || charge.status === "overdue") &&
+    charge.amountPaid > 0 &&
+    charge.amountPaid < charge.amount
+  );
+}
+
+export default function TenantPortal() {
+  const { currentUser } = useAuth();
+  const userId = currentUser?._id;
+  const queryClient = useQueryClient();
+  const { isTenant, isLoading: portfoliosLoading } = usePortfolios();
+  const [requestForm, setRequestForm] = useState(EMPTY_REQUEST);
+  const [photos, setPhotos] = useState([]);
+  const [message, setMessage] = useState("");
+  const [openThreadId, setOpenThreadId] = useState(null);
+  const [openGalleryId, setOpenGalleryId] = useState(null);
+
+  const enabled = Boolean(userId) && isTenant;
+
+  const overviewQuery = useQuery({
+    queryKey: ["tenantOverview", userId],
+    queryFn: () => fetchTenantOverview(),
+    enabled,
+  });
+
+  const paymentsQuery = useQuery({
+    queryKey: ["rentPayments", userId],
+    queryFn: () => listRentPayments(),
+    enabled,
+  });
+
+  const ledgerQuery = useQuery({
+    queryKey: ["rentLedger", userId],
+    queryFn: () => fetchTenantLedger(),
+    enabled,
+  });
+
+  const renewalsQuery = useQuery({
+    queryKey: ["leaseRenewals", userId],
+    queryFn: () => listLeaseRenewals(),
+    enabled,
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: ({ id, outcome }) => respondToLeaseRenewal(id, outcome),
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["leaseRenewals", userId] });
+      await queryClient.invalidateQueries({ queryKey: ["tenantOverview", userId] });
+    },
+  });
+
+  const documentsQuery = useQuery({
+    queryKey: ["documents", userId],
+    queryFn: () => listDocuments(),
+    enabled,
+  });
+
+  const requestsQuery = useQuery({
+    queryKey: ["maintenanceRequests", userId],
+    queryFn: () => listMaintenanceRequests(),
+    enabled,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: async () => {
+      const propertyId = overviewQuery.data?.tenant.propertyId;
+      if (!propertyId) {
+        throw new Error("Your lease details are still loading.");
+      }
+      if (!requestForm.title.trim() || !requestForm.descriptionText.trim()) {
+        throw new Error("Add a title and a short description.");
+      }
+      const media = await uploadMediaFiles(photos);
+      return createMaintenanceRequest({
+        propertyId,
+        title: requestForm.title.trim(),
+        descriptionText: requestForm.descriptionText.trim(),
+        category: requestForm.category,
+        priority: requestForm.priority,
+        media: media.length ? media : undefined,
+      });
+    },
+    onSuccess: async () => {
+      await queryClient.invalidateQueries({ queryKey: ["maintenanceRequests", userId] });
+      setRequestForm(EMPTY_REQUEST);
+      setPhotos([]);
+      setMessage("Request sent to your landlord.");
+    },
+    onError: () => setMessage(""),
+  });
+
+  if (!portfoliosLoading && !isTenant) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const overview = overviewQuery.data;
+  const payments = [...(paymentsQuery.data || [])].sort((a, b) => b.paymentDate - a.paymentDate);
+  const documents = documentsQuery.data || [];
+  const requests = requestsQuery.data || [];
+  const property = overview?.property;
+  // The latest offer, whether still open or already answered.
+  const renewal = [...(renewalsQuery.data?.renewals || [])].sort(
+    (a, b) => b.proposedStartDate - a.proposedStartDate
+  )[0];
+
+  return (
+    <PageLayout
+      title="My home"
+      onRefresh={() => queryClient.invalidateQueries()}
+      isRefreshing={overviewQuery.isFetching || requestsQuery.isFetching}
+    >
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Lease</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            {overviewQuery.isLoading ? <p className="text-muted-foreground">Loading lease...</p> : null}
+            {overviewQuery.error ? <p className="text-red-600">{overviewQuery.error.message}</p> : null}
+            {overview ? (
+              <>
+                <div>
+                  <p className="font-medium">
+                    {property?.name || "Your home"}
+                    {overview.tenant.unit ? ` · Unit ${overview.tenant.unit}` : ""}
+                  </p>
+                  {property ? (
+                    <p className="text-muted-foreground">
+                      {property.address}, {property.city}, {property.state} {property.zipCode}
+                    </p>
+                  ) : null}
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <p className="text-muted-foreground">Lease term</p>
+                    <p>
+                      {formatDate(overview.lease.startDate)} – {formatDate(overview.lease.endDate)}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Monthly rent</p>
+                    <p>{formatCurrency(overview.lease.monthlyRent)}</p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Security deposit</p>
+                    <p>{formatCurrency(overview.lease.securityDeposit)}</p>
+                  </div>
+                  {overview.landlord ? (
+                    <div>
+                      <p className="text-muted-foreground">Landlord</p>
+                      <p>{overview.landlord.name}</p>
+                      <a
+                        href={`mailto:${overview.landlord.email}`}
+                        className="text-primary underline underline-offset-4"
+                      >
+                        {overview.landlord.email}
+                      </a>
+                    </div>
+                  ) : null}
+                  {overview.lease.coTenants?.length ? (
+                    <div>
+                      <p className="text-muted-foreground">Co-tenants</p>
+                      <p>{overview.lease.coTenants.join(", ")}</p>
+                    </div>
+                  ) : null}
+                </div>
+                {overview.lease.recurringCharges?.length ? (
+                  <div>
+                    <p className="text-muted-foreground">Other monthly charges</p>
+                    {overview.lease.recurringCharges.map((charge) => (
+                      <p key={charge.description}>
+                        {charge.description}: {formatCurrency(charge.amount)}
+                      </p>
+                    ))}
+                  </div>
+                ) : null}
+                {overview.lease.previousTerms?.length ? (
+                  <div>
+                    <p className="text-muted-foreground">Previous terms</p>
+                    {overview.lease.previousTerms.map((term) => (
+                      <p key={term.startDate}>
+                        {formatDate(term.startDate)} – {formatDate(term.endDate)} at{" "}
+                        {formatCurrency(term.monthlyRent)}/mo
+                      </p>
+                    ))}
+                  </div>
+                ) : null}
+                {overview.lease.documentURL ? (
+                  <a
+                    href={overview.lease.documentURL}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="text-primary underline underline-offset-4"
+                  >
+                    View signed lease
+                  </a>
+                ) : null}
+              </>
+            ) : null}
+          </CardContent>
+        </Card>
+
+        {renewal ? (
+          <Card>
+            <CardHeader>
+              <CardTitle>Renewal offer</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3 text-sm">
+              <p>
+                {formatDate(renewal.proposedStartDate)} – {formatDate(renewal.proposedEndDate)} at{" "}
+                <span className="font-medium">{formatCurrency(renewal.proposedRent)}/mo</span>
+              </p>
+              {renewal.noticeURL ? (
+                <a
+                  href={renewal.noticeURL}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-primary underline underline-offset-4"
+                >
+                  Read the renewal letter
+                </a>
+              ) : null}
+              {renewal.status === "sent" ? (
+                <>
+                  <p className="text-muted-foreground">
+                    Please answer by {formatDate(renewal.responseDueAt)}.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    <Button
+                      onClick={() => respondMutation.mutate({ id: renewal._id, outcome: "accepted" })}
+                      disabled={respondMutation.isPending}
+                    >
+                      Accept
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => respondMutation.mutate({ id: renewal._id, outcome: "month_to_month" })}
+                      disabled={respondMutation.isPending}
+                    >
+                      Month to month
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => respondMutation.mutate({ id: renewal._id, outcome: "declined" })}
+                      disabled={respondMutation.isPending}
+                    >
+                      Decline
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <p className="text-muted-foreground">{RENEWAL_ANSWERS[renewal.status]}</p>
+              )}
+              {respondMutation.error ? (
+                <p className="text-red-600">{respondMutation.error.message}</p>
+              ) : null}
+            </CardContent>
+          </Card>
+        ) : null}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Documents</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2 text-sm">
+            {documentsQuery.error ? <p className="text-red-600">{documentsQuery.error.message}</p> : null}
+            {!documentsQuery.isLoading && documents.length === 0 ? (
+              <p className="text-muted-foreground">No documents have been shared with you yet.</p>
+            ) : null}
+            {documents.map((document) => (
+              <div key={document._id} className="flex items-center justify-between gap-3 rounded-md border px-3 py-2">
+                <div>
+                  <p className="font-medium">{document.title}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {document.category} · {formatDate(document.updatedAt)}
+                  </p>
+                </div>
+                {document.downloadURL ? (
+                  <Button asChild variant="outline" size="sm">
+                    <a href={document.downloadURL} target="_blank" rel="noreferrer">
+                      Open
+                    </a>
+                  </Button>
+                ) : null}
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Rent</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2 text-sm">
+            {ledgerQuery.data ? (
+              <div className="flex items-center justify-between rounded-md bg-muted px-3 py-2">
+                <span className="text-muted-foreground">Balance due</span>
+                <span className="font-semibold">{formatCurrency(ledgerQuery.data.balance)}</span>
+              </div>
+            ) : null}
+            {paymentsQuery.error ? <p className="text-red-600">{paymentsQuery.error.message}</p> : null}
+            {!paymentsQuery.isLoading && payments.length === 0 ? (
+              <p className="text-muted-foreground">No payments recorded yet.</p>
+            ) : null}
+            {payments.map((payment) => (
+              <div key={payment._id} className="flex items-center justify-between rounded-md border px-3 py-2">
+                <div>
+                  <p className="font-medium">
+                    {formatCurrency(payment.amount)}
+                    {payment.kind === "late_fee" ? " late fee" : ""}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {payment.status === "completed"
+                      ? `Paid ${formatDate(payment.paymentDate)}`
+                      : `Due ${formatDate(payment.dueDate ?? payment.paymentDate)}`}
+                    {payment.status === "completed" && payment.dueDate
+                      ? ` · due ${formatDate(payment.dueDate)}`
+                      : ""}
+                    {isPartial(payment)
+                      ? ` · ${formatCurrency(payment.amount - payment.amountPaid)} remaining`
+                      : ""}
+                  </p>
+                </div>
+                <Badge variant="outline">{isPartial(payment) ? "partial" : payment.status}</Badge>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Maintenance</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 text-sm">
+            <form
+              className="space-y-3"
+              onSubmit={(event) => {
+                event.preventDefault();
+                createMutation.mutate();
+              }}
+            >
+              <div className="space-y-1">
+                <Label htmlFor="request-title">What needs fixing?</Label>
+                <Input
+                  id="request-title"
+                  value={requestForm.title}
+                  onChange={(event) =>
+                    setRequestForm((prev) => ({ ...prev, title: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label htmlFor="request-category">Category</Label>
+                  <select
+                    id="request-category"
+                    value={requestForm.category}
+                    onChange={(event) =>
+                      setRequestForm((prev) => ({ ...prev, category: event.target.value }))
+                    }
+                    className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+                  >
+                    {CATEGORIES.map((category) => (
+                      <option key={category} value={category}>
+                        {category}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="request-priority">Priority</Label>
+                  <select
+                    id="request-priority"
+                    value={requestForm.priority}
+                    onChange={(event) =>
+                      setRequestForm((prev) => ({ ...prev, priority: event.target.value }))
+                    }
+                    className="h-10 w-full rounded-md border bg-background px-3 text-sm"
+                  >
+                    {PRIORITIES.map((priority) => (
+                      <option key={priority} value={priority}>
+                        {priority}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="request-description">Description</Label>
+                <Textarea
+                  id="request-description"
+                  value={requestForm.descriptionText}
+                  onChange={(event) =>
+                    setRequestForm((prev) => ({ ...prev, descriptionText: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="request-photos">Photos and videos</Label>
+                <Input
+                  id="request-photos"
+                  type="file"
+                  accept="image/*,video/*"
+                  multiple
+                  onChange={(event) => setPhotos(Array.from(event.target.files || []))}
+                />
+              </div>
+              <Button type="submit" disabled={createMutation.isPending || !overview}>
+                {createMutation.isPending ? "Sending..." : "Submit request"}
+              </Button>
+              {createMutation.error ? (
+                <p className="text-red-600">{createMutation.error.message}</p>
+              ) : null}
+              {message ? <p className="text-emerald-600">{message}</p> : null}
+            </form>
+
+            <div className="space-y-2">
+              {requests.map((request) => (
+                <div key={request._id} className="rounded-md border px-3 py-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <p className="font-medium">{request.title}</p>
+                    <Badge variant="outline">{request.status}</Badge>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {request.category} · submitted {formatDate(request.createdAt)}
+                  </p>
+                  <div className="flex gap-3">
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="h-auto px-0"
+                      onClick={() => setOpenThreadId((prev) => (prev === request._id ? null : request._id))}
+                    >
+                      {openThreadId === request._id ? "Hide messages" : "Messages"}
+                    </Button>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="h-auto px-0"
+                      onClick={() => setOpenGalleryId((prev) => (prev === request._id ? null : request._id))}
+                    >
+                      {openGalleryId === request._id ? "Hide photos" : "Photos"}
+                    </Button>
+                  </div>
+                  {openThreadId === request._id ? <RequestThread requestId={request._id} /> : null}
+                  {openGalleryId === request._id ? <MediaGallery requestId={request._id} /> : null}
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </PageLayout>
+  );
+}
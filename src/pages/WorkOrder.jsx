@@ -0,0 +1,243 @@
+import { useState } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { AlertCircle, CheckCircle2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { fetchPublicWorkOrder, respondToWorkOrder } from "@/services/dataService";
+import { formatCurrency, formatDate } from "@/lib/format";
+
+const RESPONSES = [
+  { value: "accept", label: "Accept" },
+  { value: "propose", label: "Propose a time" },
+  { value: "decline", label: "Decline" },
+];
+
+const CONFIRMATIONS = {
+  accept: "Thanks — the landlord has been told you're taking the job.",
+  propose: "Thanks — the landlord will confirm your time by email.",
+  decline: "Thanks for letting us know. The landlord has been told.",
+};
+
+// Visit times are the wall-clock time at the property, kept in UTC so
+// everyone reads the same hour whatever their own timezone
+function formatVisit(value) {
+  return new Date(value).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+  });
+}
+
+function parseVisit(value) {
+  if (!value) return undefined;
+  const time = Date.parse(`${value}:00Z`);
+  return Number.isFinite(time) ? time : undefined;
+}
+
+export default function WorkOrder() {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const queryClient = useQueryClient();
+  const [response, setResponse] = useState(() =>
+    RESPONSES.some((entry) => entry.value === searchParams.get("response")) ? searchParams.get("response") : "accept"
+  );
+  const [visit, setVisit] = useState("");
+  const [note, setNote] = useState("");
+  const [answered, setAnswered] = useState(null);
+
+  const workOrderQuery = useQuery({
+    queryKey: ["publicWorkOrder", token],
+    queryFn: () => fetchPublicWorkOrder(token),
+    enabled: Boolean(token),
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: respondToWorkOrder,
+    onSuccess: async (_, variables) => {
+      setAnswered(variables.response);
+      await queryClient.invalidateQueries({ queryKey: ["publicWorkOrder", token] });
+    },
+  });
+
+  const workOrder = workOrderQuery.data;
+  const closedMessage = !workOrder
+    ? null
+    : workOrder.status === "cancelled"
+      ? "This work order was withdrawn by the landlord."
+      : workOrder.status === "declined"
+        ? "You declined this work order."
+        : workOrder.jobClosed
+          ? "This job is closed."
+          : null;
+  const visitTime = parseVisit(visit);
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    respondMutation.mutate({
+      token,
+      response,
+      time: response === "decline" ? undefined : visitTime,
+      note: note.trim() || undefined,
+    });
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-100 to-white dark:from-slate-950 dark:to-slate-900 px-4 py-10">
+      <div className="mx-auto w-full max-w-2xl space-y-6">
+        <img src="/HH Logo.png" alt="Highlander Homes" className="h-12 w-auto object-contain" />
+
+        {workOrderQuery.isLoading ? <p className="text-muted-foreground">Loading work order...</p> : null}
+        {workOrderQuery.error ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{workOrderQuery.error.message}</AlertDescription>
+          </Alert>
+        ) : null}
+        {!workOrderQuery.isLoading && !workOrderQuery.error && !workOrder ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>This work order link isn't valid.</AlertDescription>
+          </Alert>
+        ) : null}
+
+        {workOrder ? (
+          <Card>
+            <CardHeader>
+              <CardTitle>Work order: {workOrder.title}</CardTitle>
+              <p className="text-sm text-muted-foreground">
+                For {workOrder.companyName || workOrder.contractorName} from {workOrder.landlordName} · sent{" "}
+                {formatDate(workOrder.sentAt)}
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4 text-sm">
+              <div>
+                <p className="font-medium">Address</p>
+                <p>
+                  {workOrder.address}
+                  {workOrder.unitLabel ? `, Unit ${workOrder.unitLabel}` : ""}, {workOrder.city}, {workOrder.state}{" "}
+                  {workOrder.zipCode}
+                </p>
+              </div>
+              <div>
+                <p className="font-medium">Scope of work</p>
+                <p className="whitespace-pre-wrap">{workOrder.scope}</p>
+              </div>
+              <div className="grid gap-1 text-muted-foreground sm:grid-cols-2">
+                {workOrder.category ? <p>Category: {workOrder.category}</p> : null}
+                {workOrder.priority ? <p>Priority: {workOrder.priority}</p> : null}
+                {workOrder.notToExceed !== undefined ? (
+                  <p>Not to exceed: {formatCurrency(workOrder.notToExceed)}</p>
+                ) : null}
+                {workOrder.scheduledTime ? <p>Visit: {formatVisit(workOrder.scheduledTime)}</p> : null}
+                {workOrder.proposedTime && workOrder.status === "proposed" ? (
+                  <p>You proposed: {formatVisit(workOrder.proposedTime)}</p>
+                ) : null}
+              </div>
+              {workOrder.accessInstructions ? (
+                <div>
+                  <p className="font-medium">Access</p>
+                  <p className="whitespace-pre-wrap">{workOrder.accessInstructions}</p>
+                </div>
+              ) : null}
+              {workOrder.tenantContact ? (
+                <div>
+                  <p className="font-medium">Tenant</p>
+                  <p>
+                    {workOrder.tenantContact.name}
+                    {workOrder.tenantContact.phone ? ` · ${workOrder.tenantContact.phone}` : ""}
+                    {workOrder.tenantContact.email ? ` · ${workOrder.tenantContact.email}` : ""}
+                  </p>
+                </div>
+              ) : null}
+              {workOrder.photoURLs.length ? (
+                <div className="grid grid-cols-3 gap-2">
+                  {workOrder.photoURLs.map((url) => (
+                    <a key={url} href={url} target="_blank" rel="noreferrer">
+                      <img src={url} alt="" className="h-24 w-full rounded-md object-cover" />
+                    </a>
+                  ))}
+                </div>
+              ) : null}
+              {workOrder.landlordEmail ? (
+                <p className="text-muted-foreground">
+                  Questions? Email <a className="underline" href={`mailto:${workOrder.landlordEmail}`}>{workOrder.landlordEmail}</a>.
+                </p>
+              ) : null}
+            </CardContent>
+          </Card>
+        ) : null}
+
+        {answered ? (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>{CONFIRMATIONS[answered]}</AlertDescription>
+          </Alert>
+        ) : null}
+
+        {workOrder && closedMessage ? (
+          <Alert>
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{closedMessage}</AlertDescription>
+          </Alert>
+        ) : null}
+
+        {workOrder && !closedMessage && !answered ? (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Your answer</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <form className="space-y-4 text-sm" onSubmit={handleSubmit}>
+                <div className="flex flex-wrap gap-2">
+                  {RESPONSES.map((entry) => (
+                    <Button
+                      key={entry.value}
+                      type="button"
+                      variant={response === entry.value ? "default" : "outline"}
+                      onClick={() => setResponse(entry.value)}
+                    >
+                      {entry.label}
+                    </Button>
+                  ))}
+                </div>
+                {response !== "decline" ? (
+                  <div className="space-y-1">
+                    <Label htmlFor="visit">
+                      {response === "propose" ? "When can you come?" : "Visit time (optional)"}
+                    </Label>
+                    <Input
+                      id="visit"
+                      type="datetime-local"
+                      value={visit}
+                      onChange={(event) => setVisit(event.target.value)}
+                    />
+                    <p className="text-xs text-muted-foreground">Local time at the property.</p>
+                  </div>
+                ) : null}
+                <div className="space-y-1">
+                  <Label htmlFor="note">{response === "decline" ? "Reason (optional)" : "Note (optional)"}</Label>
+                  <Textarea id="note" rows={3} value={note} onChange={(event) => setNote(event.target.value)} />
+                </div>
+                {respondMutation.error ? <p className="text-red-600">{respondMutation.error.message}</p> : null}
+                <Button
+                  type="submit"
+                  disabled={respondMutation.isPending || (response === "propose" && visitTime === undefined)}
+                >
+                  {respondMutation.isPending ? "Sending..." : "Send answer"}
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { api } from "../../convex/_generated/api";
 import {
   runConvexAction,
+  setSessionToken,
 } from "./convexClient";
 
 const SESSION_STORAGE_KEY = "highlanderhomes_web_session";
+const ANONYMOUS = { includeSession: false };
 
 function sanitizeSession(payload) {
   if (!payload?.user || !payload?.token) {
@@ -21,7 +23,9 @@ export function loadSession() {
     if (!raw) {
       return null;
     }
-    return sanitizeSession(JSON.parse(raw));
+    const session = sanitizeSession(JSON.parse(raw));
+    setSessionToken(session?.token);
+    return session;
   } catch (error) {
     console.error("Failed to parse saved session:", error);
     return null;
@@ -34,49 +38,71 @@ export function saveSession(session) {
     return null;
   }
   localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sanitized));
+  setSessionToken(sanitized.token);
   return sanitized;
 }
 
 export function clearSession() {
   localStorage.removeItem(SESSION_STORAGE_KEY);
+  setSessionToken(null);
 }
 
 export async function signInWithEmail(email, password) {
-  const response = await runConvexAction(api.auth.signIn, {
-    email,
-    password,
-  });
+  const response = await runConvexAction(
+    api.auth.signIn,
+    { email, password },
+    ANONYMOUS
+  );
   return saveSession(response);
 }
 
 export async function signUpWithEmail({ name, email, password }) {
-  return runConvexAction(api.auth.signUp, {
-    name,
-    email,
-    password,
-  });
+  return runConvexAction(
+    api.auth.signUp,
+    { name, email, password },
+    ANONYMOUS
+  );
 }
 
 export async function verifyEmailCode({ email, code }) {
-  const response = await runConvexAction(api.auth.verifyEmail, {
-    email,
-    code,
-  });
+  const response = await runConvexAction(
+    api.auth.verifyEmail,
+    { email, code },
+    ANONYMOUS
+  );
   return saveSession(response);
 }
 
 export async function resendEmailCode(email) {
-  return runConvexAction(api.auth.sendVerificationEmail, { email });
+  return runConvexAction(api.auth.sendVerificationEmail, { email }, ANONYMOUS);
 }
 
 export async function requestPasswordReset(email) {
-  return runConvexAction(api.auth.resetPassword, { email });
+  return runConvexAction(api.auth.resetPassword, { email }, ANONYMOUS);
+}
+
+export async function completePasswordReset({ token, newPassword }) {
+  return runConvexAction(
+    api.auth.completePasswordReset,
+    { token, newPassword },
+    ANONYMOUS
+  );
 }
 
-export async function changePassword({ email, currentPassword, newPassword }) {
+export async function changePassword({ currentPassword, newPassword }) {
   return runConvexAction(api.auth.changePassword, {
-    email,
     currentPassword,
     newPassword,
   });
 }
+
+export async function signOut() {
+  try {
+    await runConvexAction(api.auth.signOut, {});
+  } catch (error) {
+    // The local session is cleared regardless; an expired token is fine here.
+    console.warn("Failed to revoke session:", error?.message || error);
+  } finally {
+    clearSession();
+  }
+}
@@ -5,34 +5,111 @@ const CONVEX_URL = import.meta.env.VITE_CONVEX_URL || DEFAULT_CONVEX_URL;
 
 export const convex = new ConvexHttpClient(CONVEX_URL);
 
+// HTTP routes (e.g. listing feeds) are served from the deployment's .site host.
+export const CONVEX_SITE_URL =
+  import.meta.env.VITE_CONVEX_SITE_URL || CONVEX_URL.replace(/\.convex\.cloud$/, ".convex.site");
+
+const FORBIDDEN_MESSAGE =
+  "You don't have access to that record. It may belong to another account.";
+
+let sessionToken = null;
+let sessionInvalidHandler = null;
+
+export function setSessionToken(token) {
+  sessionToken = token || null;
+}
+
+export function onSessionInvalid(handler) {
+  sessionInvalidHandler = handler;
+  return () => {
+    if (sessionInvalidHandler === handler) {
+      sessionInvalidHandler = null;
+    }
+  };
+}
+
+function withSession(args) {
+  if (!sessionToken) {
+    return args;
+  }
+  return { ...args, sessionToken };
+}
+
 function normalizeError(error, fallbackMessage) {
+  const code = error?.data?.code;
   const rawMessage =
     error?.data?.message ||
     error?.message ||
     fallbackMessage;
-  const message = String(rawMessage).replace(/^Uncaught Error:\s*/, "");
-  return new Error(message);
+  // Access errors explain themselves (e.g. which role can't make changes);
+  // the generic text only covers ones that don't.
+  const message =
+    code === "FORBIDDEN" && !error?.data?.message
+      ? FORBIDDEN_MESSAGE
+      : String(rawMessage).replace(/^Uncaught Error:\s*/, "");
+
+  if (code === "UNAUTHENTICATED" && sessionInvalidHandler) {
+    sessionInvalidHandler();
+  }
+
+  const normalized = new Error(message);
+  if (code) {
+    normalized.code = code;
+  }
+  if (code === "RATE_LIMITED") {
+    normalized.retryAfterMs = error.data.retryAfterMs;
+  }
+  return normalized;
+}
+
+/**
+ * Post a file to one of the deployment's upload routes as the signed-in
+ * user, returning its storage ID
+ */
+export async function uploadWithSession(url, file) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+      ...(sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}),
+    },
+    body: file,
+  });
+  const body = await response.json().catch(() => ({}));
+  if (response.status === 401 && sessionInvalidHandler) {
+    sessionInvalidHandler();
+  }
+  if (!response.ok) {
+    throw new Error(body.error ? `${file.name}: ${body.error}.` : `Upload failed for ${file.name}.`);
+  }
+  return body.storageId;
 }
 
-export async function runConvexQuery(functionReference, args = {}) {
+export async function runConvexQuery(functionReference, args = {}, options = {}) {
+  const { includeSession = true } = options;
   try {
-    return await convex.query(functionReference, args);
+    return await convex.query(functionReference, includeSession ? withSession(args) : args);
   } catch (error) {
     throw normalizeError(error, "Failed to run query.");
   }
 }
 
-export async function runConvexMutation(functionReference, args = {}) {
+export async function runConvexMutation(functionReference, args = {}, options = {}) {
+  const { includeSession = true } = options;
   try {
-    return await convex.mutation(functionReference, args);
+    return await convex.mutation(functionReference, includeSession ? withSession(args) : args);
   } catch (error) {
     throw normalizeError(error, "Failed to run mutation.");
   }
 }
 
-export async function runConvexAction(functionReference, args = {}) {
+export async function runConvexAction(functionReference, args = {}, options = {}) {
+  const { includeSession = true } = options;
   try {
-    return await convex.action(functionReference, args);
+    return await convex.action(
+      functionReference,
+      includeSession ? withSession(args) : args
+    );
   } catch (error) {
     throw normalizeError(error, "Failed to run action.");
   }
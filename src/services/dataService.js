@@ -1,23 +1,186 @@
 import { api } from "../../convex/_generated/api";
 import {
+  CONVEX_SITE_URL,
+  runConvexAction,
   runConvexMutation,
   runConvexQuery,
+  uploadWithSession,
 } from "./convexClient";
 
-export async function listProperties(userId) {
-  return runConvexQuery(api.properties.list, { userId });
+// Public pages (e.g. rental applications) identify themselves by slug, not a session.
+const ANONYMOUS = { includeSession: false };
+
+export async function listProperties() {
+  return runConvexQuery(api.properties.list, {});
 }
 
 export async function updateProperty(payload) {
   return runConvexMutation(api.properties.update, payload);
 }
 
-export async function listTenants(userId) {
-  return runConvexQuery(api.tenants.list, { userId });
+export async function listTenants() {
+  return runConvexQuery(api.tenants.list, {});
+}
+
+export async function listUnits(propertyId) {
+  return runConvexQuery(api.units.list, { propertyId: propertyId || undefined });
+}
+
+export async function createUnit(payload) {
+  return runConvexMutation(api.units.create, payload);
+}
+
+export async function updateUnit(payload) {
+  return runConvexMutation(api.units.update, payload);
+}
+
+export async function removeUnit(id) {
+  return runConvexMutation(api.units.remove, { id });
+}
+
+export async function fetchRentRoll(propertyId) {
+  return runConvexQuery(api.units.rentRoll, { propertyId: propertyId || undefined });
+}
+
+export async function fetchTurnoverBoard() {
+  return runConvexQuery(api.turnovers.board, {});
+}
+
+export async function fetchVacancyLoss() {
+  return runConvexQuery(api.turnovers.vacancyLoss, {});
+}
+
+export async function startTurnover(payload) {
+  return runConvexMutation(api.turnovers.start, payload);
+}
+
+export async function advanceTurnover(payload) {
+  return runConvexMutation(api.turnovers.advance, payload);
+}
+
+export async function updateTurnover(payload) {
+  return runConvexMutation(api.turnovers.update, payload);
+}
+
+export async function listListings() {
+  return runConvexQuery(api.listings.list, {});
+}
+
+export async function openListing(payload) {
+  return runConvexMutation(api.listings.open, payload);
 }
 
-export async function listMaintenanceRequests(userId) {
-  return runConvexQuery(api.maintenanceRequests.list, { userId });
+export async function closeListing(id) {
+  return runConvexMutation(api.listings.close, { id });
+}
+
+export async function generateListingPhotoUploadUrl() {
+  return runConvexMutation(api.listings.generatePhotoUploadUrl, {});
+}
+
+export async function fetchListingFeeds() {
+  const { ownerId } = await runConvexQuery(api.listings.feedInfo, {});
+  const owner = encodeURIComponent(ownerId);
+  return {
+    json: `${CONVEX_SITE_URL}/listings/feed.json?owner=${owner}`,
+    xml: `${CONVEX_SITE_URL}/listings/feed.xml?owner=${owner}`,
+  };
+}
+
+export async function fetchPublicListing(slug) {
+  return runConvexQuery(api.listings.publicListing, { slug }, ANONYMOUS);
+}
+
+export function applicationUploadUrl(slug) {
+  return `${CONVEX_SITE_URL}/applications/upload?slug=${encodeURIComponent(slug)}`;
+}
+
+export async function discardApplicationUploads(slug, storageIds) {
+  return runConvexMutation(api.rentalApplications.discardUploads, { slug, storageIds }, ANONYMOUS);
+}
+
+export async function submitRentalApplication(payload) {
+  return runConvexMutation(api.rentalApplications.submit, payload, ANONYMOUS);
+}
+
+export async function listRentalApplications(listingId) {
+  return runConvexQuery(api.rentalApplications.list, { listingId: listingId || undefined });
+}
+
+export async function approveRentalApplication(payload) {
+  return runConvexMutation(api.rentalApplications.approve, payload);
+}
+
+export async function denyRentalApplication(payload) {
+  return runConvexAction(api.applicationLetters.deny, payload);
+}
+
+export async function fetchApplicationSettings() {
+  return runConvexQuery(api.rentalApplications.settings, {});
+}
+
+export async function saveApplicationSettings(payload) {
+  return runConvexMutation(api.rentalApplications.saveSettings, payload);
+}
+
+export async function cancelTurnover(id) {
+  return runConvexMutation(api.turnovers.cancel, { id });
+}
+
+export async function listLeases(propertyId) {
+  return runConvexQuery(api.leases.list, { propertyId: propertyId || undefined });
+}
+
+export async function updateLease(payload) {
+  return runConvexMutation(api.leases.update, payload);
+}
+
+export async function renewLease(payload) {
+  return runConvexMutation(api.leases.renew, payload);
+}
+
+export async function listLeaseRenewals() {
+  return runConvexQuery(api.leaseRenewals.list, {});
+}
+
+export async function proposeLeaseRenewal(leaseId) {
+  return runConvexMutation(api.leaseRenewals.propose, { leaseId });
+}
+
+export async function updateLeaseRenewal(payload) {
+  return runConvexMutation(api.leaseRenewals.update, payload);
+}
+
+export async function respondToLeaseRenewal(id, outcome, note) {
+  return runConvexMutation(api.leaseRenewals.respond, {
+    id,
+    outcome,
+    note: note || undefined,
+  });
+}
+
+export async function sendRenewalNotice(id) {
+  return runConvexAction(api.renewalNotices.send, { id });
+}
+
+export async function fetchRenewalSettings() {
+  return runConvexQuery(api.leaseRenewals.settings, {});
+}
+
+export async function saveRenewalSettings(payload) {
+  return runConvexMutation(api.leaseRenewals.saveSettings, payload);
+}
+
+export async function setRentIncreaseCap(payload) {
+  return runConvexMutation(api.leaseRenewals.setCap, payload);
+}
+
+export async function removeRentIncreaseCap(id) {
+  return runConvexMutation(api.leaseRenewals.removeCap, { id });
+}
+
+export async function listMaintenanceRequests() {
+  return runConvexQuery(api.maintenanceRequests.list, {});
 }
 
 export async function createMaintenanceRequest(payload) {
@@ -32,9 +195,146 @@ export async function updateMaintenanceStatus(payload) {
   return runConvexMutation(api.maintenanceRequests.updateStatus, payload);
 }
 
-export async function listContractors(userId, specialty) {
+export async function deleteMaintenanceRequest(id) {
+  return runConvexMutation(api.maintenanceRequests.remove, { id });
+}
+
+export async function listMaintenanceMedia(requestId) {
+  return runConvexQuery(api.maintenanceMedia.list, { requestId });
+}
+
+export async function uploadMaintenanceFile(file) {
+  return uploadWithSession(`${CONVEX_SITE_URL}/maintenance/upload`, file);
+}
+
+export async function addMaintenanceMedia(payload) {
+  return runConvexMutation(api.maintenanceMedia.add, payload);
+}
+
+export async function updateMaintenanceMedia(payload) {
+  return runConvexMutation(api.maintenanceMedia.update, payload);
+}
+
+export async function deleteMaintenanceMedia(id) {
+  return runConvexMutation(api.maintenanceMedia.remove, { id });
+}
+
+export async function listMaintenanceMessages(requestId) {
+  return runConvexQuery(api.maintenanceMessages.list, { requestId });
+}
+
+export async function postMaintenanceMessage(payload) {
+  return runConvexAction(api.maintenanceEmails.post, payload);
+}
+
+export async function listWorkOrders(requestId) {
+  return runConvexQuery(api.workOrders.list, { requestId: requestId || undefined });
+}
+
+export async function dispatchWorkOrder(payload) {
+  return runConvexAction(api.workOrderEmails.dispatch, payload);
+}
+
+export async function confirmWorkOrderTime(id) {
+  return runConvexMutation(api.workOrders.confirmTime, { id });
+}
+
+export async function cancelWorkOrder(id) {
+  return runConvexMutation(api.workOrders.cancel, { id });
+}
+
+export async function fetchPublicWorkOrder(token) {
+  return runConvexQuery(api.workOrders.publicWorkOrder, { token }, ANONYMOUS);
+}
+
+export async function respondToWorkOrder(payload) {
+  return runConvexMutation(api.workOrders.respond, payload, ANONYMOUS);
+}
+
+export async function listContractorInvoices(requestId) {
+  return runConvexQuery(api.contractorInvoices.list, { requestId: requestId || undefined });
+}
+
+export async function generateInvoiceUploadUrl() {
+  return runConvexMutation(api.contractorInvoices.generateUploadUrl, {});
+}
+
+export async function createContractorInvoice(payload) {
+  return runConvexMutation(api.contractorInvoices.create, payload);
+}
+
+export async function approveContractorInvoice(id) {
+  return runConvexMutation(api.contractorInvoices.approve, { id });
+}
+
+export async function rejectContractorInvoice(payload) {
+  return runConvexMutation(api.contractorInvoices.reject, payload);
+}
+
+export async function unapproveContractorInvoice(id) {
+  return runConvexMutation(api.contractorInvoices.unapprove, { id });
+}
+
+export async function setContractorInvoicePaid(payload) {
+  return runConvexMutation(api.contractorInvoices.setPaid, payload);
+}
+
+export async function deleteContractorInvoice(id) {
+  return runConvexMutation(api.contractorInvoices.remove, { id });
+}
+
+export async function listMaintenanceTemplates() {
+  return runConvexQuery(api.preventiveMaintenance.listTemplates, {});
+}
+
+export async function createMaintenanceTemplate(payload) {
+  return runConvexMutation(api.preventiveMaintenance.createTemplate, payload);
+}
+
+export async function updateMaintenanceTemplate(payload) {
+  return runConvexMutation(api.preventiveMaintenance.updateTemplate, payload);
+}
+
+export async function deleteMaintenanceTemplate(id) {
+  return runConvexMutation(api.preventiveMaintenance.removeTemplate, { id });
+}
+
+export async function listMaintenanceSchedules(propertyId) {
+  return runConvexQuery(api.preventiveMaintenance.listSchedules, {
+    propertyId: propertyId || undefined,
+  });
+}
+
+export async function createMaintenanceSchedules(payload) {
+  return runConvexMutation(api.preventiveMaintenance.createSchedules, payload);
+}
+
+export async function updateMaintenanceSchedule(payload) {
+  return runConvexMutation(api.preventiveMaintenance.updateSchedule, payload);
+}
+
+export async function deleteMaintenanceSchedule(id) {
+  return runConvexMutation(api.preventiveMaintenance.removeSchedule, { id });
+}
+
+export async function fetchSlaTargets() {
+  return runConvexQuery(api.maintenanceSla.getTargets, {});
+}
+
+export async function saveSlaTargets(targets) {
+  return runConvexMutation(api.maintenanceSla.saveTargets, { targets });
+}
+
+export async function fetchSlaReport(days) {
+  return runConvexQuery(api.maintenanceSla.report, { days: days || undefined });
+}
+
+export async function fetchMaintenanceStatusMetrics(days) {
+  return runConvexQuery(api.maintenanceRequests.statusMetrics, { days: days || undefined });
+}
+
+export async function listContractors(specialty) {
   return runConvexQuery(api.contractors.list, {
-    userId,
     specialty: specialty || undefined,
   });
 }
@@ -47,8 +347,8 @@ export async function createContractor(payload) {
   return runConvexMutation(api.contractors.create, payload);
 }
 
-export async function listRentPayments(userId) {
-  return runConvexQuery(api.rentPayments.list, { userId });
+export async function listRentPayments() {
+  return runConvexQuery(api.rentPayments.list, {});
 }
 
 export async function createRentPayment(payload) {
@@ -59,8 +359,68 @@ export async function updateRentPayment(payload) {
   return runConvexMutation(api.rentPayments.update, payload);
 }
 
-export async function listExpenses(userId) {
-  return runConvexQuery(api.expenses.list, { userId });
+export async function fetchTenantLedger(tenantId) {
+  return runConvexQuery(api.rentLedger.ledger, { tenantId: tenantId || undefined });
+}
+
+export async function listPayments(tenantId) {
+  return runConvexQuery(api.payments.list, { tenantId: tenantId || undefined });
+}
+
+export async function recordPayment(payload) {
+  return runConvexMutation(api.payments.record, payload);
+}
+
+export async function reversePayment(payload) {
+  return runConvexMutation(api.payments.reverse, payload);
+}
+
+export async function waiveLateFee(id, note) {
+  return runConvexMutation(api.lateFees.waive, { id, note });
+}
+
+export async function listSecurityDeposits() {
+  return runConvexQuery(api.securityDeposits.list, {});
+}
+
+export async function createSecurityDeposit(payload) {
+  return runConvexMutation(api.securityDeposits.create, payload);
+}
+
+export async function updateSecurityDeposit(payload) {
+  return runConvexMutation(api.securityDeposits.update, payload);
+}
+
+export async function recordDepositMoveOut(id, moveOutDate) {
+  return runConvexMutation(api.securityDeposits.recordMoveOut, { id, moveOutDate });
+}
+
+export async function addDepositDeduction(payload) {
+  return runConvexMutation(api.securityDeposits.addDeduction, payload);
+}
+
+export async function removeDepositDeduction(id) {
+  return runConvexMutation(api.securityDeposits.removeDeduction, { id });
+}
+
+export async function markDepositReturned(id, returnedAt) {
+  return runConvexMutation(api.securityDeposits.markReturned, { id, returnedAt });
+}
+
+export async function generateDepositStatement(depositId) {
+  return runConvexAction(api.depositStatements.generateStatement, { depositId });
+}
+
+export async function listDepositRules() {
+  return runConvexQuery(api.securityDeposits.listRules, {});
+}
+
+export async function setDepositRule(payload) {
+  return runConvexMutation(api.securityDeposits.setRule, payload);
+}
+
+export async function listExpenses() {
+  return runConvexQuery(api.expenses.list, {});
 }
 
 export async function createExpense(payload) {
@@ -71,29 +431,28 @@ export async function updateExpense(payload) {
   return runConvexMutation(api.expenses.update, payload);
 }
 
-export async function listUserProfile(userId) {
-  return runConvexQuery(api.users.current, { userId });
+export async function listUserProfile() {
+  return runConvexQuery(api.users.current, {});
 }
 
 export async function updateUserProfile(payload) {
   return runConvexMutation(api.users.update, payload);
 }
 
-export async function listInsurancePolicies(userId) {
-  return runConvexQuery(api.insurancePolicies.list, { userId });
+export async function listInsurancePolicies() {
+  return runConvexQuery(api.insurancePolicies.list, {});
 }
 
-export async function listRentalLicenses(userId) {
-  return runConvexQuery(api.rentalLicenses.list, { userId });
+export async function listRentalLicenses() {
+  return runConvexQuery(api.rentalLicenses.list, {});
 }
 
 export async function generateDocumentUploadUrl() {
   return runConvexMutation(api.documents.generateUploadUrl, {});
 }
 
-export async function listDocuments(userId, propertyId, category) {
+export async function listDocuments(propertyId, category) {
   return runConvexQuery(api.documents.list, {
-    userId,
     propertyId: propertyId || undefined,
     category: category || undefined,
   });
@@ -111,12 +470,52 @@ export async function removeDocument(id) {
   return runConvexMutation(api.documents.remove, { id });
 }
 
-export async function fetchDashboardSnapshot(userId) {
+export async function listPortfolios() {
+  return runConvexQuery(api.organizations.listMine, {});
+}
+
+export async function switchPortfolio({ organizationId, tenantId } = {}) {
+  return runConvexMutation(api.organizations.switchPortfolio, {
+    organizationId: organizationId || undefined,
+    tenantId: tenantId || undefined,
+  });
+}
+
+export async function listTeamMembers() {
+  return runConvexQuery(api.organizations.listMembers, {});
+}
+
+export async function inviteTeamMember(payload) {
+  return runConvexAction(api.invitations.send, payload);
+}
+
+export async function updateTeamMemberRole(payload) {
+  return runConvexMutation(api.organizations.updateMemberRole, payload);
+}
+
+export async function removeTeamMember(membershipId) {
+  return runConvexMutation(api.organizations.removeMember, { membershipId });
+}
+
+export async function revokeInvitation(invitationId) {
+  return runConvexMutation(api.organizations.revokeInvitation, { invitationId });
+}
+
+export async function acceptInvitation(token) {
+  return runConvexMutation(api.organizations.acceptInvitation, { token });
+}
+
+export async function fetchTenantOverview() {
+  return runConvexQuery(api.tenantPortal.overview, {});
+}
+
+export async function fetchDashboardSnapshot() {
   const safeList = async (loader, fallback = []) => {
     try {
       return await loader();
     } catch (error) {
-      // Keep dashboard usable if optional modules are not deployed yet.
+      // Keep dashboard usable if optional modules are not deployed yet, or the
+      // caller's role can't read them.
       console.warn("Optional dashboard data unavailable:", error?.message || error);
       return fallback;
     }
@@ -124,6 +523,7 @@ export async function fetchDashboardSnapshot(userId) {
 
   const [
     properties,
+    units,
     tenants,
     maintenanceRequests,
     rentPayments,
@@ -133,19 +533,21 @@ export async function fetchDashboardSnapshot(userId) {
     insurancePolicies,
     rentalLicenses,
   ] = await Promise.all([
-    listProperties(userId),
-    listTenants(userId),
-    listMaintenanceRequests(userId),
-    listRentPayments(userId),
-    listExpenses(userId),
-    listContractors(userId),
-    safeList(() => listDocuments(userId), []),
-    safeList(() => listInsurancePolicies(userId), []),
-    safeList(() => listRentalLicenses(userId), []),
+    listProperties(),
+    safeList(() => listUnits(), []),
+    listTenants(),
+    listMaintenanceRequests(),
+    safeList(() => listRentPayments(), []),
+    safeList(() => listExpenses(), []),
+    listContractors(),
+    safeList(() => listDocuments(), []),
+    safeList(() => listInsurancePolicies(), []),
+    safeList(() => listRentalLicenses(), []),
   ]);
 
   return {
     properties,
+    units,
     tenants,
     maintenanceRequests,
     rentPayments,